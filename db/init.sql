@@ -18,7 +18,10 @@ CREATE TABLE IF NOT EXISTS event_logs (
     endpoint_id     INT,
     cluster_id      BIGINT,
     attribute_id    BIGINT,
-    raw_iid         INT                     -- HAP instance ID, useful for debugging
+    raw_iid         INT,                    -- HAP instance ID, useful for debugging
+    reconciled      BOOLEAN     NOT NULL DEFAULT FALSE, -- found by a read after a reconnect, not seen live
+    gap_started_at  TIMESTAMPTZ,            -- ConnectivityGap rows: when the outage began
+    event_data      JSONB                   -- Matter cluster events: the event's fields
 );
 
 CREATE TABLE IF NOT EXISTS event_logs_archive (
@@ -38,9 +41,57 @@ CREATE TABLE IF NOT EXISTS event_logs_archive (
     cluster_id      BIGINT,
     attribute_id    BIGINT,
     raw_iid         INT,
+    reconciled      BOOLEAN     NOT NULL DEFAULT FALSE,
+    gap_started_at  TIMESTAMPTZ,
+    event_data      JSONB,
     archived_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Last known value of every logged characteristic, written with each event
+-- so old_value survives listener restarts.
+CREATE TABLE IF NOT EXISTS accessory_state (
+    protocol        TEXT        NOT NULL DEFAULT 'homekit',
+    state_key       TEXT        NOT NULL,   -- runtime value-cache key, e.g. "<accessoryId>:<aid>.<iid>"
+    accessory_id    TEXT        NOT NULL,
+    accessory_name  TEXT        NOT NULL,
+    room_name       TEXT,
+    service_type    TEXT,
+    characteristic  TEXT        NOT NULL,
+    value           TEXT        NOT NULL,
+    endpoint_id     INT,
+    cluster_id      BIGINT,
+    attribute_id    BIGINT,
+    raw_iid         INT,
+    event_id        BIGINT,                 -- event_logs row that set the value
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (protocol, state_key)
+);
+
+-- HomeKit address/port changes seen by discovery, newest first per device.
+CREATE TABLE IF NOT EXISTS device_address_history (
+    id              BIGSERIAL PRIMARY KEY,
+    device_id       TEXT        NOT NULL,
+    device_name     TEXT,
+    old_address     TEXT,
+    old_port        INT,
+    new_address     TEXT        NOT NULL,
+    new_port        INT         NOT NULL,
+    source          TEXT        NOT NULL,   -- browse | scan
+    changed_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Daily counts of changes a noise policy kept out of event_logs.
+CREATE TABLE IF NOT EXISTS event_suppressions (
+    day             DATE        NOT NULL,
+    accessory_id    TEXT        NOT NULL,
+    accessory_name  TEXT        NOT NULL,
+    characteristic  TEXT        NOT NULL,
+    protocol        TEXT        NOT NULL DEFAULT 'homekit',
+    reason          TEXT        NOT NULL,   -- deadband | minInterval | flap | delayOff
+    count           BIGINT      NOT NULL DEFAULT 0,
+    PRIMARY KEY (day, accessory_id, characteristic, reason)
+);
+
 CREATE TABLE IF NOT EXISTS alert_rules (
     id              BIGSERIAL PRIMARY KEY,
     name            TEXT        NOT NULL,
@@ -50,16 +101,88 @@ CREATE TABLE IF NOT EXISTS alert_rules (
     characteristic  TEXT,
     operator        TEXT        NOT NULL DEFAULT 'equals',
     match_value     TEXT        NOT NULL,
-    target_url      TEXT        NOT NULL,
+    match_value_to  TEXT,
+    target_url      TEXT,
     quiet_minutes   INT         NOT NULL DEFAULT 0,
+    condition_type  TEXT        NOT NULL DEFAULT 'event',
+    for_minutes     INT,
+    channel_ids     BIGINT[]    NOT NULL DEFAULT '{}',
+    conditions      JSONB,
+    schedule        JSONB,
+    escalate_after_minutes INT,
+    escalation_target_url  TEXT,
+    escalation_channel_ids BIGINT[] NOT NULL DEFAULT '{}',
+    auto_resolve    BOOLEAN     NOT NULL DEFAULT FALSE,
+    delivery_mode   TEXT        NOT NULL DEFAULT 'immediate',
+    signing_secret  TEXT,
+    signing_secret_previous TEXT,
+    signing_secret_rotated_at TIMESTAMPTZ,
     created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     CONSTRAINT chk_alert_scope_type
       CHECK (scope_type IN ('all', 'room', 'accessory', 'characteristic')),
     CONSTRAINT chk_alert_operator
-      CHECK (operator IN ('equals', 'not_equals', 'contains')),
+      CHECK (operator IN (
+        'equals', 'not_equals', 'contains',
+        'gt', 'gte', 'lt', 'lte', 'between', 'outside',
+        'changed_from_to', 'increased_by', 'decreased_by', 'changed_by'
+      )),
     CONSTRAINT chk_alert_quiet_minutes
-      CHECK (quiet_minutes >= 0 AND quiet_minutes <= 10080)
+      CHECK (quiet_minutes >= 0 AND quiet_minutes <= 10080),
+    CONSTRAINT chk_alert_condition_type
+      CHECK (condition_type IN ('event', 'absence')),
+    CONSTRAINT chk_alert_for_minutes
+      CHECK (for_minutes IS NULL OR (for_minutes >= 1 AND for_minutes <= 10080)),
+    CONSTRAINT chk_alert_absence_for_minutes
+      CHECK (condition_type <> 'absence' OR for_minutes IS NOT NULL),
+    CONSTRAINT chk_alert_destination
+      CHECK (target_url IS NOT NULL OR cardinality(channel_ids) > 0),
+    CONSTRAINT chk_alert_escalate_after_minutes
+      CHECK (escalate_after_minutes IS NULL OR (escalate_after_minutes >= 1 AND escalate_after_minutes <= 10080)),
+    CONSTRAINT chk_alert_delivery_mode
+      CHECK (delivery_mode IN ('immediate', 'hourly', 'daily'))
+);
+
+-- Delivery channels (webhook, ntfy, SMTP, MQTT) that rules fan out to
+-- through alert_rules.channel_ids. See alert-channels.js for config shapes.
+CREATE TABLE IF NOT EXISTS alert_channels (
+    id              BIGSERIAL PRIMARY KEY,
+    name            TEXT        NOT NULL,
+    type            TEXT        NOT NULL,
+    enabled         BOOLEAN     NOT NULL DEFAULT TRUE,
+    config          JSONB       NOT NULL DEFAULT '{}'::jsonb,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT chk_alert_channel_type
+      CHECK (type IN ('webhook', 'ntfy', 'smtp', 'mqtt'))
+);
+
+-- Open/acknowledged/resolved firings (see alert-incidents.js). At most one
+-- unresolved incident per rule, accessory and characteristic.
+CREATE TABLE IF NOT EXISTS alert_incidents (
+    id              BIGSERIAL PRIMARY KEY,
+    rule_id         BIGINT      NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+    event_id        BIGINT      REFERENCES event_logs(id) ON DELETE SET NULL,
+    accessory_id    TEXT        NOT NULL DEFAULT '',
+    characteristic  TEXT        NOT NULL DEFAULT '',
+    status          TEXT        NOT NULL DEFAULT 'open',
+    summary         TEXT        NOT NULL,
+    payload         JSONB,
+    fire_count      INT         NOT NULL DEFAULT 1,
+    opened_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_fired_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    acknowledged_at TIMESTAMPTZ,
+    acknowledged_by TEXT,
+    resolved_at     TIMESTAMPTZ,
+    resolved_by     TEXT,
+    resolution      TEXT,
+    escalate_at     TIMESTAMPTZ,
+    escalated_at    TIMESTAMPTZ,
+    action_secret   TEXT        NOT NULL,
+    CONSTRAINT chk_alert_incident_status
+      CHECK (status IN ('open', 'acknowledged', 'resolved')),
+    CONSTRAINT chk_alert_incident_resolution
+      CHECK (resolution IS NULL OR resolution IN ('manual', 'link', 'auto'))
 );
 
 CREATE TABLE IF NOT EXISTS alert_deliveries (
@@ -71,12 +194,65 @@ CREATE TABLE IF NOT EXISTS alert_deliveries (
     response_code   INT,
     error           TEXT,
     sent_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    channel_id      BIGINT      REFERENCES alert_channels(id) ON DELETE SET NULL,
+    channel_type    TEXT        NOT NULL DEFAULT 'webhook',
+    attempts        INT         NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ,
+    idempotency_key TEXT,
+    payload         JSONB,
+    incident_id     BIGINT      REFERENCES alert_incidents(id) ON DELETE SET NULL,
     CONSTRAINT chk_alert_delivery_status
-      CHECK (status IN ('sent', 'failed', 'suppressed'))
+      CHECK (status IN ('pending', 'sent', 'failed', 'suppressed', 'dead', 'batched', 'digested'))
+);
+
+-- Pending/fired timers for duration and absence rules (see alert-scheduler.js)
+CREATE TABLE IF NOT EXISTS alert_timers (
+    id              BIGSERIAL PRIMARY KEY,
+    rule_id         BIGINT      NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+    accessory_id    TEXT        NOT NULL,
+    characteristic  TEXT        NOT NULL DEFAULT '',
+    started_at      TIMESTAMPTZ NOT NULL,
+    due_at          TIMESTAMPTZ NOT NULL,
+    fired_at        TIMESTAMPTZ,
+    event_id        BIGINT      REFERENCES event_logs(id) ON DELETE SET NULL,
+    context         JSONB       NOT NULL DEFAULT '{}'::jsonb,
+    CONSTRAINT uq_alert_timers_key UNIQUE (rule_id, accessory_id, characteristic)
+);
+
+-- Accounts for AUTH_MODE=users (see auth.js). Only hashes are stored:
+-- scrypt for passwords, SHA-256 for session and device tokens.
+CREATE TABLE IF NOT EXISTS users (
+    id              BIGSERIAL PRIMARY KEY,
+    username        TEXT        NOT NULL UNIQUE,
+    password_hash   TEXT        NOT NULL,
+    role            TEXT        NOT NULL DEFAULT 'viewer',
+    disabled        BOOLEAN     NOT NULL DEFAULT FALSE,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_login_at   TIMESTAMPTZ,
+    CONSTRAINT chk_user_role
+      CHECK (role IN ('viewer', 'member', 'admin'))
+);
+
+CREATE TABLE IF NOT EXISTS auth_tokens (
+    id              BIGSERIAL PRIMARY KEY,
+    user_id         BIGINT      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    kind            TEXT        NOT NULL,
+    name            TEXT        NOT NULL,
+    token_hash      TEXT        NOT NULL UNIQUE,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at    TIMESTAMPTZ,
+    expires_at      TIMESTAMPTZ,
+    revoked_at      TIMESTAMPTZ,
+    CONSTRAINT chk_auth_token_kind
+      CHECK (kind IN ('session', 'device'))
 );
 
 CREATE UNIQUE INDEX IF NOT EXISTS idx_event_logs_archive_source_id
   ON event_logs_archive (source_id);
+-- Keyset scans over the archive for /api/export/events
+CREATE INDEX IF NOT EXISTS idx_event_logs_archive_timestamp_source
+  ON event_logs_archive (timestamp, source_id);
 
 -- Primary query pattern: latest events, optionally filtered
 CREATE INDEX IF NOT EXISTS idx_event_logs_timestamp_id   ON event_logs (timestamp DESC, id DESC);
@@ -87,6 +263,10 @@ CREATE INDEX IF NOT EXISTS idx_event_logs_room           ON event_logs (room_nam
 CREATE INDEX IF NOT EXISTS idx_event_logs_room_ts        ON event_logs (room_name, timestamp DESC, id DESC);
 CREATE INDEX IF NOT EXISTS idx_event_logs_char           ON event_logs (characteristic);
 CREATE INDEX IF NOT EXISTS idx_event_logs_char_ts        ON event_logs (characteristic, timestamp DESC, id DESC);
+-- Latest event per accessory and characteristic (alert timer reconcile,
+-- compound-condition state)
+CREATE INDEX IF NOT EXISTS idx_event_logs_accessory_id_char_ts
+  ON event_logs (accessory_id, characteristic, timestamp DESC, id DESC);
 
 -- Stats queries group by hour/day in UTC.
 -- date_trunc(timestamptz) is not immutable; convert to UTC timestamp first.
@@ -100,3 +280,27 @@ CREATE INDEX IF NOT EXISTS idx_alert_deliveries_rule_sent
   ON alert_deliveries (rule_id, sent_at DESC);
 CREATE INDEX IF NOT EXISTS idx_alert_deliveries_event
   ON alert_deliveries (event_id);
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_pending
+  ON alert_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_deliveries_idempotency_key
+  ON alert_deliveries (idempotency_key) WHERE idempotency_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_alert_timers_pending_due
+  ON alert_timers (due_at) WHERE fired_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_incidents_unresolved_key
+  ON alert_incidents (rule_id, accessory_id, characteristic) WHERE status <> 'resolved';
+CREATE INDEX IF NOT EXISTS idx_alert_incidents_unresolved_accessory
+  ON alert_incidents (accessory_id) WHERE status <> 'resolved';
+CREATE INDEX IF NOT EXISTS idx_alert_incidents_escalation_due
+  ON alert_incidents (escalate_at) WHERE status = 'open' AND escalated_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_alert_incidents_opened
+  ON alert_incidents (opened_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_incident
+  ON alert_deliveries (incident_id);
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_batched
+  ON alert_deliveries (rule_id, sent_at) WHERE status = 'batched';
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user
+  ON auth_tokens (user_id, kind) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_accessory_state_accessory
+  ON accessory_state (accessory_id);
+CREATE INDEX IF NOT EXISTS idx_device_address_history_device
+  ON device_address_history (device_id, changed_at DESC);
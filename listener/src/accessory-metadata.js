@@ -1,3 +1,5 @@
+import { getVendorCharacteristic } from './vendor-characteristics.js';
+
 const SERVICE_TYPE_LABELS = new Map([
   ['43', 'Lightbulb'],
   ['49', 'Switch'],
@@ -60,9 +62,38 @@ const WATCHED_CHARACTERISTICS = new Map([
   ['5B', 'BatteryLevel'],
 ]);
 
+// Known HAP types that are not watched unless a watch list turns them on.
+const CHARACTERISTIC_LABELS = new Map([
+  ...WATCHED_CHARACTERISTICS,
+  ['29', 'RotationSpeed'],
+  ['33', 'TargetHeatingCoolingState'],
+  ['34', 'TargetRelativeHumidity'],
+  ['35', 'TargetTemperature'],
+  ['B6', 'SwingMode'],
+  ['D2', 'InUse'],
+  ['D3', 'SetDuration'],
+  ['D4', 'RemainingDuration'],
+]);
+
+const HAP_BASE_UUID_SUFFIX = '-0000-1000-8000-0026BB765291';
+const CHARACTERISTIC_TYPE_PATTERN = /^([0-9A-F]{1,8}|[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12})$/;
+const MAX_CHARACTERISTIC_NAME_LENGTH = 64;
+
 const identityCache = new Map();
 const capabilitiesCache = new Map();
 
+/**
+ * Watch lists (the watch-lists.json store) override WATCHED_CHARACTERISTICS:
+ *
+ *   { "accessories":  { "<accessoryId>": { "<type>": true|false } },
+ *     "serviceTypes": { "<serviceType>": { "<type>": true|false } },
+ *     "names":        { "<type>": "Friendly name" } }
+ *
+ * An accessory entry beats a service-type entry, which beats the default.
+ * Types are shortUuid() forms, so vendor characteristics keep their full UUID.
+ */
+let watchListConfig = { accessories: {}, serviceTypes: {}, names: {} };
+
 function copyOrNull(value) {
   if (value === undefined || value === null) return null;
   const text = String(value).trim();
@@ -74,9 +105,88 @@ function getInfoCharacteristicValue(infoService, shortType) {
   return copyOrNull(match?.value);
 }
 
+/**
+ * Short form of a HAP type: "00000025-0000-1000-8000-0026BB765291" → "25".
+ * Vendor types outside the HAP base UUID keep their full (uppercased) UUID,
+ * since their first segment alone is not unique.
+ */
 export function shortUuid(uuid = '') {
-  const match = uuid.match(/^0*([0-9A-Fa-f]+)-/);
-  return match ? match[1].toUpperCase() : uuid.toUpperCase();
+  const text = String(uuid).toUpperCase();
+  if (!text.endsWith(HAP_BASE_UUID_SUFFIX)) return text;
+  return text.slice(0, -HAP_BASE_UUID_SUFFIX.length).replace(/^0+(?=.)/, '');
+}
+
+/** Normalize a characteristic/service type from the API; null if malformed. */
+export function normalizeCharacteristicType(value) {
+  const type = shortUuid(String(value ?? '').trim());
+  return CHARACTERISTIC_TYPE_PATTERN.test(type) ? type : null;
+}
+
+function normalizeToggleMap(input) {
+  const output = {};
+  for (const [key, value] of Object.entries(input ?? {})) {
+    const type = normalizeCharacteristicType(key);
+    if (type && typeof value === 'boolean') output[type] = value;
+  }
+  return output;
+}
+
+/** Drop malformed entries from a stored watch-list config. */
+export function normalizeWatchListConfig(input = {}) {
+  const accessories = {};
+  for (const [accessoryId, toggles] of Object.entries(input?.accessories ?? {})) {
+    const normalized = normalizeToggleMap(toggles);
+    if (Object.keys(normalized).length) accessories[accessoryId] = normalized;
+  }
+  const serviceTypes = {};
+  for (const [serviceType, toggles] of Object.entries(input?.serviceTypes ?? {})) {
+    const type = normalizeCharacteristicType(serviceType);
+    const normalized = normalizeToggleMap(toggles);
+    if (type && Object.keys(normalized).length) serviceTypes[type] = normalized;
+  }
+  const names = {};
+  for (const [key, value] of Object.entries(input?.names ?? {})) {
+    const type = normalizeCharacteristicType(key);
+    const name = String(value ?? '').trim().slice(0, MAX_CHARACTERISTIC_NAME_LENGTH);
+    if (type && name) names[type] = name;
+  }
+  return { accessories, serviceTypes, names };
+}
+
+/**
+ * Replace the active watch lists. Returns false when nothing changed, so
+ * callers can skip resubscribing.
+ */
+export function setWatchListConfig(config) {
+  const next = normalizeWatchListConfig(config);
+  if (JSON.stringify(next) === JSON.stringify(watchListConfig)) return false;
+  watchListConfig = next;
+  return true;
+}
+
+/**
+ * Whether a characteristic is watched, and which level decided it
+ * ('accessory', 'service' or 'default').
+ */
+export function resolveWatched(accessoryId, serviceType, charType) {
+  const accessoryToggle = watchListConfig.accessories[accessoryId]?.[charType];
+  if (accessoryToggle !== undefined) return { watched: accessoryToggle, source: 'accessory' };
+  const serviceToggle = watchListConfig.serviceTypes[serviceType]?.[charType];
+  if (serviceToggle !== undefined) return { watched: serviceToggle, source: 'service' };
+  const watchedByDefault = WATCHED_CHARACTERISTICS.has(charType) || Boolean(getVendorCharacteristic(charType)?.watch);
+  return { watched: watchedByDefault, source: 'default' };
+}
+
+/**
+ * Name events are logged under: friendly name, HAP or vendor registry
+ * name, then description.
+ */
+function characteristicName(char, charType) {
+  return watchListConfig.names[charType]
+    ?? CHARACTERISTIC_LABELS.get(charType)
+    ?? getVendorCharacteristic(charType)?.name
+    ?? copyOrNull(char.description)
+    ?? charType;
 }
 
 export function extractAccessoryMetadata({ deviceId, pairingName = null, accessories }) {
@@ -109,18 +219,23 @@ export function extractAccessoryMetadata({ deviceId, pairingName = null, accesso
 
       for (const char of service.characteristics ?? []) {
         const charTypeShort = shortUuid(char.type);
-        const watchedLabel = WATCHED_CHARACTERISTICS.get(charTypeShort);
-        if (watchedLabel) {
+        const name = characteristicName(char, charTypeShort);
+        const { watched, source } = resolveWatched(effectiveId, serviceTypeShort, charTypeShort);
+        if (watched) {
           hasWatchedCharacteristic = true;
-          watchedCharacteristicNames.add(watchedLabel);
+          watchedCharacteristicNames.add(name);
         }
         characteristicCount += 1;
         characteristics.push({
           iid: char.iid ?? null,
           type: charTypeShort,
-          label: watchedLabel ?? char.description ?? charTypeShort,
+          label: name,
+          description: copyOrNull(char.description),
+          custom_name: watchListConfig.names[charTypeShort] ?? null,
+          watched,
+          watch_source: source,
           format: char.format ?? null,
-          unit: char.unit ?? null,
+          unit: getVendorCharacteristic(charTypeShort)?.unit ?? char.unit ?? null,
           min_value: char.minValue ?? null,
           max_value: char.maxValue ?? null,
           min_step: char.minStep ?? null,
@@ -145,8 +260,8 @@ export function extractAccessoryMetadata({ deviceId, pairingName = null, accesso
       const serviceType = SERVICE_TYPE_LABELS.get(serviceTypeShort) ?? serviceTypeShort;
       for (const char of service.characteristics ?? []) {
         const charType = shortUuid(char.type);
-        const charName = WATCHED_CHARACTERISTICS.get(charType) ?? null;
-        if (!charName) continue;
+        if (!resolveWatched(effectiveId, serviceTypeShort, charType).watched) continue;
+        const charName = characteristicName(char, charType);
         const componentName = (shouldDisambiguateByService && childName)
           ? `${childName} · ${serviceType}`
           : childName;
@@ -155,6 +270,7 @@ export function extractAccessoryMetadata({ deviceId, pairingName = null, accesso
           characteristicName: charName,
           childName,
           componentName,
+          decoder: getVendorCharacteristic(charType),
         });
       }
     }
@@ -213,6 +329,20 @@ export function getAccessoryCapabilities(accessoryId) {
   return capabilitiesCache.get(accessoryId) ?? null;
 }
 
+/**
+ * Whether the characteristic with instance ID `iid` on an accessory is
+ * watched, or null when its metadata isn't cached (yet).
+ */
+export function isCharacteristicWatched(accessoryId, iid) {
+  const capability = capabilitiesCache.get(accessoryId);
+  if (!capability || iid === null || iid === undefined) return null;
+  for (const service of capability.services) {
+    const match = service.characteristics.find((char) => char.iid === Number(iid));
+    if (match) return match.watched;
+  }
+  return null;
+}
+
 export function clearAccessoryMetadata(deviceId) {
   for (const key of identityCache.keys()) {
     if (key === deviceId || key.startsWith(`${deviceId}:`)) identityCache.delete(key);
@@ -222,4 +352,4 @@ export function clearAccessoryMetadata(deviceId) {
   }
 }
 
-export { SERVICE_TYPE_LABELS, WATCHED_CHARACTERISTICS };
+export { CHARACTERISTIC_LABELS, SERVICE_TYPE_LABELS, WATCHED_CHARACTERISTICS };
@@ -0,0 +1,201 @@
+/**
+ * alert-backtest.js — dry-run an alert rule over past events.
+ *
+ * Replays event_logs for a window through the same checks live alerts use
+ * (schedule, scope, characteristic, operator, compound conditions and, for
+ * timed rules, the duration/absence timers), then applies the quiet period
+ * to the firings. Nothing is queued or sent.
+ */
+
+import { applyEventToState, collectStateRefs, evaluateConditionTree, loadConditionState } from './alert-conditions.js';
+import { isDigestMode } from './alert-digest.js';
+import { evaluateOperator } from './alert-operators.js';
+import { isScheduleActive } from './alert-schedule.js';
+import { timerActionForEvent, toAlertEvent } from './alert-scheduler.js';
+import { eventForRule, eventMatchesCharacteristic, eventMatchesScope, ruleSeesEvent } from './alerts.js';
+
+export const BACKTEST_MAX_DAYS = 90;
+const MAX_EVENTS = 50_000;
+const MAX_FIRINGS = 500;
+const BUCKET_COUNT = 48;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse the window from `{ days }` or `{ from, to }` (ISO times).
+ * Returns `{ value: { from: Date, to: Date } }` or `{ error }`.
+ */
+export function parseBacktestWindow(input = {}, now = new Date()) {
+  const hasRange = input.from !== undefined || input.to !== undefined;
+  if (!hasRange) {
+    const days = input.days === undefined ? 7 : Number.parseInt(String(input.days), 10);
+    if (!Number.isFinite(days) || days < 1 || days > BACKTEST_MAX_DAYS) {
+      return { error: `days must be an integer between 1 and ${BACKTEST_MAX_DAYS}` };
+    }
+    return { value: { from: new Date(now.getTime() - days * DAY_MS), to: now } };
+  }
+
+  const from = new Date(String(input.from ?? ''));
+  const to = input.to === undefined ? now : new Date(String(input.to));
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: 'from and to must be ISO timestamps' };
+  }
+  if (from >= to) return { error: 'from must be before to' };
+  if (to - from > BACKTEST_MAX_DAYS * DAY_MS) {
+    return { error: `The backtest window can span at most ${BACKTEST_MAX_DAYS} days` };
+  }
+  return { value: { from, to: to > now ? now : to } };
+}
+
+/**
+ * SQL prefilter: the rule's scope, plus the accessories its conditions read.
+ * The rows are re-checked with eventMatchesScope(), so this only has to
+ * avoid loading events that can't matter.
+ */
+function buildEventFilter(rule, refs, params) {
+  const scope = [];
+  const scopeValue = String(rule.scope_value ?? '').trim();
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  if (rule.scope_type === 'room') {
+    scope.push(`LOWER(room_name) = LOWER(${add(scopeValue)})`);
+  } else if (rule.scope_type === 'accessory') {
+    const p = add(scopeValue);
+    scope.push(`(LOWER(accessory_name) = LOWER(${p}) OR LOWER(accessory_id) = LOWER(${p}))`);
+  } else if (rule.scope_type === 'characteristic') {
+    scope.push(`LOWER(characteristic) = LOWER(${add(scopeValue)})`);
+  }
+  // `LockOperation.operationSource` rules match LockOperation events.
+  const characteristic = String(rule.characteristic ?? '').trim().split('.')[0];
+  if (characteristic) scope.push(`LOWER(characteristic) = LOWER(${add(characteristic)})`);
+
+  const inScope = scope.length ? scope.join(' AND ') : 'TRUE';
+  if (!refs.length) return inScope;
+  return `((${inScope}) OR EXISTS (
+    SELECT 1 FROM jsonb_to_recordset(${add(JSON.stringify(refs))}::jsonb) AS ref(accessory text, characteristic text)
+    WHERE (e.accessory_name = ref.accessory OR e.accessory_id = ref.accessory)
+      AND e.characteristic = ref.characteristic))`;
+}
+
+function isTimedRule(rule) {
+  return rule.for_minutes !== null && rule.for_minutes !== undefined;
+}
+
+/**
+ * Simulate firings for `rule` over `[from, to]`.
+ * @returns {Promise<object>} counts, individual firings (newest last) and
+ *   `buckets` of fired/suppressed counts for a sparkline
+ */
+export async function backtestRule(pool, rule, { from, to }) {
+  const refs = rule.conditions ? collectStateRefs(rule.conditions) : [];
+  const params = [from.toISOString(), to.toISOString()];
+  const filter = buildEventFilter(rule, refs, params);
+  params.push(MAX_EVENTS + 1);
+  const result = await pool.query(
+    `SELECT e.id, e.timestamp, e.accessory_id, e.accessory_name, e.room_name, e.service_type,
+            e.characteristic, e.old_value, e.new_value, e.raw_iid, e.event_data
+     FROM event_logs e
+     WHERE e.timestamp >= $1::timestamptz AND e.timestamp < $2::timestamptz
+       AND ${filter}
+     ORDER BY e.timestamp ASC, e.id ASC
+     LIMIT $${params.length}`,
+    params
+  );
+  const truncated = result.rows.length > MAX_EVENTS;
+  const events = result.rows.slice(0, MAX_EVENTS).map(toAlertEvent);
+  const state = refs.length ? await loadConditionState(pool, refs, null, { before: from.toISOString() }) : null;
+
+  // Digest rules collect every match instead of applying the quiet period.
+  const quietMs = isDigestMode(rule.delivery_mode) ? 0 : Math.max(0, Number(rule.quiet_minutes ?? 0)) * 60_000;
+  const firings = [];
+  let fired = 0;
+  let suppressed = 0;
+  let lastFiredAt = null;
+  const bucketMs = Math.max(60_000, Math.ceil((to - from) / BUCKET_COUNT));
+  const buckets = Array.from({ length: Math.ceil((to - from) / bucketMs) }, (_, index) => ({
+    start: new Date(from.getTime() + index * bucketMs).toISOString(),
+    fired: 0,
+    suppressed: 0,
+  }));
+
+  function fire(at, event, extra = {}) {
+    if (!isScheduleActive(rule.schedule ?? null, at)) return;
+    if (state && !evaluateConditionTree(rule.conditions, state)) return;
+    const isSuppressed = lastFiredAt !== null && at - lastFiredAt < quietMs;
+    if (isSuppressed) suppressed += 1;
+    else {
+      fired += 1;
+      lastFiredAt = at;
+    }
+    const bucket = buckets[Math.min(buckets.length - 1, Math.floor((at - from) / bucketMs))];
+    if (bucket) bucket[isSuppressed ? 'suppressed' : 'fired'] += 1;
+    firings.push({
+      at: at.toISOString(),
+      status: isSuppressed ? 'suppressed' : 'fired',
+      eventId: event.eventId ?? null,
+      accessoryName: event.accessoryName ?? null,
+      characteristic: event.characteristic ?? null,
+      value: event.newValue ?? null,
+      ...extra,
+    });
+    if (firings.length > MAX_FIRINGS) firings.shift();
+  }
+
+  // Timed rules: the same reset/hold/cancel transitions as alert-scheduler.js,
+  // with timers fired as simulated time passes their due time.
+  const timers = new Map();
+  const forMs = isTimedRule(rule) ? Number(rule.for_minutes) * 60_000 : 0;
+  function fireDueTimers(until) {
+    const due = [...timers.entries()]
+      .filter(([, timer]) => !timer.fired && timer.dueAt <= until)
+      .sort((a, b) => a[1].dueAt - b[1].dueAt);
+    for (const [, timer] of due) {
+      timer.fired = true;
+      fire(new Date(timer.dueAt), timer.event, {
+        condition: rule.condition_type === 'absence' ? 'absence' : 'duration',
+      });
+    }
+  }
+
+  for (const event of events) {
+    const at = new Date(event.timestamp);
+    if (isTimedRule(rule)) fireDueTimers(at.getTime());
+    if (state) applyEventToState(state, refs, event);
+
+    if (isTimedRule(rule)) {
+      const action = timerActionForEvent(rule, event);
+      const key = rule.condition_type === 'absence'
+        ? String(event.accessoryId)
+        : `${event.accessoryId}\u0000${event.characteristic}`;
+      if (action === 'reset') timers.set(key, { dueAt: at.getTime() + forMs, event, fired: false });
+      else if (action === 'hold' && !timers.has(key)) timers.set(key, { dueAt: at.getTime() + forMs, event, fired: false });
+      else if (action === 'cancel') timers.delete(key);
+      continue;
+    }
+
+    if (!ruleSeesEvent(rule, event)) continue;
+    const ruleEvent = eventForRule(rule, event);
+    if (!ruleEvent) continue;
+    if (!eventMatchesScope(rule, event)) continue;
+    if (!eventMatchesCharacteristic(rule, ruleEvent)) continue;
+    if (!evaluateOperator(rule, ruleEvent)) continue;
+    fire(at, event);
+  }
+  // A truncated replay stops at its last event, not at `to`.
+  if (isTimedRule(rule)) {
+    fireDueTimers(truncated && events.length ? new Date(events.at(-1).timestamp).getTime() : to.getTime());
+  }
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    eventsScanned: events.length,
+    truncated,
+    fired,
+    suppressed,
+    firings,
+    bucketMinutes: Math.round(bucketMs / 60_000),
+    buckets,
+  };
+}
@@ -0,0 +1,542 @@
+/**
+ * alert-channels.js — where a fired alert goes.
+ *
+ * A channel is an alert_channels row `{ id, name, type, enabled, config }`.
+ * Rules fan out to the channels listed in alert_rules.channel_ids; a rule's
+ * plain `target_url` acts as an untemplated webhook channel, so existing
+ * rules keep posting the stock `homechronicle.alert` JSON.
+ *
+ *   webhook — HTTP POST/PUT with custom headers, basic/bearer auth and an
+ *             optional body template (Pushover, Gotify, APNs relays, ...)
+ *   ntfy    — publish to an ntfy topic (ntfy.sh or self-hosted)
+ *   smtp    — plain-text email through a mail relay
+ *   mqtt    — publish to an MQTT broker topic
+ *
+ * Templates substitute `{{path}}` from the alert payload, e.g.
+ * `{{rule.name}}`, `{{event.accessoryName}}`, `{{event.newValue}}`,
+ * `{{condition.forMinutes}}`, `{{incident.links.acknowledge}}`,
+ * `{{digest.count}}`, plus `{{message}}` (a one-line summary, or a digest's
+ * event list) and `{{json}}` (the whole payload).
+ * ntfy notifications and emails add the incident's acknowledge/resolve
+ * links by themselves (see alert-incidents.js).
+ */
+
+import { publishMqtt } from './mqtt-client.js';
+import { resolveAndValidateHost, resolveAndValidateWebhookTarget, validateWebhookTargetUrl } from './security.js';
+import { sendMail } from './smtp-client.js';
+import { SIGNATURE_HEADER, TIMESTAMP_HEADER, buildSignatureHeaders } from './webhook-signature.js';
+
+export const CHANNEL_TYPES = ['webhook', 'ntfy', 'smtp', 'mqtt'];
+
+/** Returned in place of stored secrets; sending it back keeps the stored value. */
+export const SECRET_PLACEHOLDER = '********';
+
+const ALERTS_WEBHOOK_TIMEOUT_MS = (() => {
+  const parsed = Number.parseInt(process.env.ALERTS_WEBHOOK_TIMEOUT_MS ?? '5000', 10);
+  if (!Number.isFinite(parsed) || parsed < 500) return 5000;
+  return parsed;
+})();
+const ALERTS_ALLOW_PRIVATE_TARGETS = /^(1|true|yes|on)$/i.test(
+  process.env.ALERTS_ALLOW_PRIVATE_TARGETS ?? 'true'
+);
+
+const MAX_TEMPLATE_LENGTH = 10_000;
+const MAX_HEADERS = 20;
+const MAX_RECIPIENTS = 20;
+const HEADER_NAME_PATTERN = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+const RESERVED_HEADERS = new Set([
+  'host',
+  'content-length',
+  'connection',
+  'transfer-encoding',
+  SIGNATURE_HEADER.toLowerCase(),
+  TIMESTAMP_HEADER.toLowerCase(),
+]);
+const SENSITIVE_HEADER_PATTERN = /authorization|token|secret|key|password|signature/i;
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+const NTFY_TOPIC_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const SMTP_DEFAULT_PORTS = { tls: 465, starttls: 587, none: 25 };
+
+function normalizeString(value) {
+  return String(value ?? '').trim();
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function lookupPath(payload, path) {
+  let current = payload;
+  for (const key of path.split('.')) {
+    if (current === null || current === undefined) return undefined;
+    current = current[key];
+  }
+  return current;
+}
+
+/**
+ * One-line summary used as the default message text. Digests use their
+ * own multi-line text (see alert-digest.js).
+ */
+export function summarizeAlert(payload) {
+  if (payload.digest?.text) return payload.digest.text;
+  const { rule = {}, event = {}, condition } = payload;
+  const subject = event.accessoryName || event.accessoryId || 'Unknown accessory';
+  if (condition?.type === 'absence') {
+    return `${rule.name}: no events from ${subject} for ${condition.forMinutes} min`;
+  }
+  const change = event.characteristic ? `${event.characteristic} is ${event.newValue}` : `value is ${event.newValue}`;
+  const held = condition?.type === 'duration' ? ` for ${condition.forMinutes} min` : '';
+  const room = event.roomName ? ` (${event.roomName})` : '';
+  return `${rule.name}: ${subject}${room} ${change}${held}`;
+}
+
+/**
+ * Substitute `{{path}}` placeholders. `escape` is applied to each inserted
+ * value, e.g. to keep a JSON body template valid.
+ */
+export function renderTemplate(template, payload, escape = (value) => value) {
+  const context = { ...payload, message: summarizeAlert(payload), json: JSON.stringify(payload) };
+  return String(template ?? '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_match, path) => {
+    const value = lookupPath(context, path);
+    if (value === null || value === undefined) return '';
+    return escape(typeof value === 'object' ? JSON.stringify(value) : String(value));
+  });
+}
+
+function escapeForContentType(contentType) {
+  if (/json/i.test(contentType)) return (value) => JSON.stringify(value).slice(1, -1);
+  if (/x-www-form-urlencoded/i.test(contentType)) return encodeURIComponent;
+  return (value) => value;
+}
+
+function parseTemplate(value, field, fallback = '') {
+  if (value === undefined || value === null) return { value: fallback };
+  if (typeof value !== 'string') return { error: `${field} must be a string` };
+  if (value.length > MAX_TEMPLATE_LENGTH) return { error: `${field} must be at most ${MAX_TEMPLATE_LENGTH} characters` };
+  return { value };
+}
+
+/** A stored secret is kept when the client echoes the placeholder back. */
+function keepSecret(value, previous) {
+  if (value === SECRET_PLACEHOLDER) return previous ?? '';
+  return normalizeString(value);
+}
+
+function validateWebhookConfig(config, previous) {
+  const target = validateWebhookTargetUrl(config.url, { allowPrivateTargets: ALERTS_ALLOW_PRIVATE_TARGETS });
+  if (!target.ok) return { error: target.error.replace('targetUrl', 'url') };
+
+  const method = normalizeString(config.method || 'POST').toUpperCase();
+  if (method !== 'POST' && method !== 'PUT') return { error: 'method must be POST or PUT' };
+
+  const headers = {};
+  if (config.headers !== undefined && config.headers !== null) {
+    if (!isPlainObject(config.headers)) return { error: 'headers must be an object' };
+    const entries = Object.entries(config.headers);
+    if (entries.length > MAX_HEADERS) return { error: `At most ${MAX_HEADERS} headers are allowed` };
+    for (const [name, value] of entries) {
+      if (!HEADER_NAME_PATTERN.test(name)) return { error: `Invalid header name: ${name}` };
+      if (RESERVED_HEADERS.has(name.toLowerCase())) return { error: `Header ${name} cannot be overridden` };
+      const text = keepSecret(value, previous?.headers?.[name]);
+      if (/[\r\n]/.test(text)) return { error: `Header ${name} must not contain line breaks` };
+      headers[name] = text;
+    }
+  }
+
+  const authInput = isPlainObject(config.auth) ? config.auth : {};
+  const authType = normalizeString(authInput.type || 'none').toLowerCase();
+  let auth = { type: 'none' };
+  if (authType === 'basic') {
+    const username = normalizeString(authInput.username);
+    if (!username) return { error: 'auth.username is required for basic auth' };
+    auth = { type: 'basic', username, password: keepSecret(authInput.password, previous?.auth?.password) };
+  } else if (authType === 'bearer') {
+    const token = keepSecret(authInput.token, previous?.auth?.token);
+    if (!token) return { error: 'auth.token is required for bearer auth' };
+    auth = { type: 'bearer', token };
+  } else if (authType !== 'none') {
+    return { error: 'auth.type must be one of: none, basic, bearer' };
+  }
+
+  const contentType = normalizeString(config.contentType) || 'application/json';
+  if (/[\r\n]/.test(contentType)) return { error: 'contentType must not contain line breaks' };
+  const bodyTemplate = parseTemplate(config.bodyTemplate, 'bodyTemplate');
+  if (bodyTemplate.error) return bodyTemplate;
+
+  return {
+    value: { url: target.normalizedUrl, method, headers, auth, contentType, bodyTemplate: bodyTemplate.value },
+  };
+}
+
+function validateNtfyConfig(config, previous) {
+  const server = validateWebhookTargetUrl(config.serverUrl || 'https://ntfy.sh', {
+    allowPrivateTargets: ALERTS_ALLOW_PRIVATE_TARGETS,
+  });
+  if (!server.ok) return { error: server.error.replace('targetUrl', 'serverUrl') };
+
+  const topic = normalizeString(config.topic);
+  if (!NTFY_TOPIC_PATTERN.test(topic)) {
+    return { error: 'topic must be 1-64 letters, digits, "-" or "_"' };
+  }
+
+  const priority = config.priority === undefined || config.priority === null || config.priority === ''
+    ? 3
+    : Number.parseInt(String(config.priority), 10);
+  if (!Number.isInteger(priority) || priority < 1 || priority > 5) {
+    return { error: 'priority must be an integer between 1 and 5' };
+  }
+
+  const rawTags = Array.isArray(config.tags) ? config.tags : String(config.tags ?? '').split(',');
+  const tags = rawTags.map(normalizeString).filter(Boolean).slice(0, 10);
+
+  const titleTemplate = parseTemplate(config.titleTemplate, 'titleTemplate', '{{rule.name}}');
+  if (titleTemplate.error) return titleTemplate;
+  const bodyTemplate = parseTemplate(config.bodyTemplate, 'bodyTemplate', '{{message}}');
+  if (bodyTemplate.error) return bodyTemplate;
+
+  return {
+    value: {
+      serverUrl: server.normalizedUrl.replace(/\/+$/, ''),
+      topic,
+      token: keepSecret(config.token, previous?.token),
+      priority,
+      tags,
+      titleTemplate: titleTemplate.value,
+      bodyTemplate: bodyTemplate.value,
+    },
+  };
+}
+
+function validateSmtpConfig(config, previous) {
+  const host = normalizeString(config.host).toLowerCase();
+  if (!host || /[\s/:]/.test(host)) return { error: 'host must be a hostname or IP address' };
+  if (host === 'localhost' || host.endsWith('.localhost')) return { error: 'localhost targets are not allowed' };
+
+  const security = normalizeString(config.security || 'starttls').toLowerCase();
+  if (!(security in SMTP_DEFAULT_PORTS)) return { error: 'security must be one of: starttls, tls, none' };
+
+  const port = config.port === undefined || config.port === null || config.port === ''
+    ? SMTP_DEFAULT_PORTS[security]
+    : Number.parseInt(String(config.port), 10);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) return { error: 'port must be between 1 and 65535' };
+
+  const from = normalizeString(config.from);
+  if (!EMAIL_PATTERN.test(from)) return { error: 'from must be an email address' };
+
+  const rawTo = Array.isArray(config.to) ? config.to : String(config.to ?? '').split(',');
+  const to = rawTo.map(normalizeString).filter(Boolean);
+  if (!to.length) return { error: 'to must list at least one email address' };
+  if (to.length > MAX_RECIPIENTS) return { error: `to must list at most ${MAX_RECIPIENTS} addresses` };
+  const invalid = to.find((address) => !EMAIL_PATTERN.test(address));
+  if (invalid) return { error: `Invalid email address: ${invalid}` };
+
+  const username = normalizeString(config.username);
+  const subjectTemplate = parseTemplate(config.subjectTemplate, 'subjectTemplate', '[HomeChronicle] {{rule.name}}');
+  if (subjectTemplate.error) return subjectTemplate;
+  const bodyTemplate = parseTemplate(config.bodyTemplate, 'bodyTemplate', '{{message}}');
+  if (bodyTemplate.error) return bodyTemplate;
+
+  return {
+    value: {
+      host,
+      port,
+      security,
+      username,
+      password: username ? keepSecret(config.password, previous?.password) : '',
+      from,
+      to,
+      subjectTemplate: subjectTemplate.value,
+      bodyTemplate: bodyTemplate.value,
+    },
+  };
+}
+
+function parseMqttUrl(value) {
+  let parsed;
+  try {
+    parsed = new URL(normalizeString(value));
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'mqtt:' && parsed.protocol !== 'mqtts:') return null;
+  if (!parsed.hostname) return null;
+  const secure = parsed.protocol === 'mqtts:';
+  return {
+    host: parsed.hostname.replace(/^\[(.*)\]$/, '$1'),
+    port: parsed.port ? Number(parsed.port) : (secure ? 8883 : 1883),
+    secure,
+  };
+}
+
+function validateMqttConfig(config, previous) {
+  const broker = parseMqttUrl(config.url);
+  if (!broker) return { error: 'url must be an mqtt:// or mqtts:// URL' };
+  if (broker.host === 'localhost' || broker.host.endsWith('.localhost')) {
+    return { error: 'localhost targets are not allowed' };
+  }
+
+  const topic = parseTemplate(config.topic, 'topic', 'homechronicle/alerts/{{rule.id}}');
+  if (topic.error) return topic;
+  if (!topic.value.trim() || /[+#]/.test(topic.value)) {
+    return { error: 'topic is required and cannot contain MQTT wildcards' };
+  }
+
+  const qos = config.qos === undefined || config.qos === null || config.qos === '' ? 0 : Number(config.qos);
+  if (qos !== 0 && qos !== 1) return { error: 'qos must be 0 or 1' };
+
+  const payloadTemplate = parseTemplate(config.payloadTemplate, 'payloadTemplate');
+  if (payloadTemplate.error) return payloadTemplate;
+
+  const username = normalizeString(config.username);
+  return {
+    value: {
+      url: `${broker.secure ? 'mqtts' : 'mqtt'}://${broker.host.includes(':') ? `[${broker.host}]` : broker.host}:${broker.port}`,
+      topic: topic.value.trim(),
+      username,
+      password: username ? keepSecret(config.password, previous?.password) : '',
+      qos,
+      retain: Boolean(config.retain),
+      payloadTemplate: payloadTemplate.value,
+    },
+  };
+}
+
+const CONFIG_VALIDATORS = {
+  webhook: validateWebhookConfig,
+  ntfy: validateNtfyConfig,
+  smtp: validateSmtpConfig,
+  mqtt: validateMqttConfig,
+};
+
+/**
+ * Validate a channel config for `type`. `previous` is the stored config when
+ * updating, so secrets sent back as SECRET_PLACEHOLDER are preserved.
+ * Returns `{ value }` (the normalized config) or `{ error }`.
+ */
+export function validateChannelConfig(type, config, previous = null) {
+  const validator = CONFIG_VALIDATORS[type];
+  if (!validator) return { error: `type must be one of: ${CHANNEL_TYPES.join(', ')}` };
+  if (!isPlainObject(config)) return { error: 'config must be an object' };
+  return validator(config, previous);
+}
+
+/** Copy of a stored config that is safe to return from the API. */
+export function redactChannelConfig(type, config = {}) {
+  const redact = (value) => (value ? SECRET_PLACEHOLDER : '');
+  if (type === 'webhook') {
+    const headers = Object.fromEntries(
+      Object.entries(config.headers ?? {}).map(([name, value]) => [
+        name,
+        SENSITIVE_HEADER_PATTERN.test(name) ? redact(value) : value,
+      ])
+    );
+    const auth = { ...(config.auth ?? { type: 'none' }) };
+    if ('password' in auth) auth.password = redact(auth.password);
+    if ('token' in auth) auth.token = redact(auth.token);
+    return { ...config, headers, auth };
+  }
+  if (type === 'ntfy') return { ...config, token: redact(config.token) };
+  if (type === 'smtp' || type === 'mqtt') return { ...config, password: redact(config.password) };
+  return { ...config };
+}
+
+/** Short human-readable destination, recorded as alert_deliveries.target_url. */
+export function describeChannelTarget(channel) {
+  const config = channel.config ?? {};
+  if (channel.type === 'ntfy') return `${config.serverUrl}/${config.topic}`;
+  if (channel.type === 'smtp') return `smtp://${config.host}:${config.port} → ${(config.to ?? []).join(', ')}`;
+  if (channel.type === 'mqtt') return `${config.url}/${config.topic}`;
+  return config.url ?? '';
+}
+
+/** The implicit channel behind a rule's plain `target_url`. */
+export function legacyWebhookChannel(targetUrl) {
+  return {
+    id: null,
+    name: 'Webhook',
+    type: 'webhook',
+    enabled: true,
+    config: { url: targetUrl, method: 'POST', headers: {}, auth: { type: 'none' }, contentType: 'application/json', bodyTemplate: '' },
+  };
+}
+
+/** Timeouts, throttling and server errors are worth retrying; other 4xx are not. */
+function isRetryableHttpStatus(status) {
+  return status >= 500 || status === 408 || status === 425 || status === 429;
+}
+
+async function postHttp(label, url, init, timeoutMs) {
+  const target = await resolveAndValidateWebhookTarget(url, {
+    allowPrivateTargets: ALERTS_ALLOW_PRIVATE_TARGETS,
+  });
+  if (!target.ok) {
+    return { status: 'failed', retryable: false, error: `Blocked ${label} target: ${target.error}` };
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(target.normalizedUrl, { ...init, signal: controller.signal });
+    if (!response.ok) {
+      const text = (await response.text().catch(() => '')).slice(0, 300);
+      return {
+        status: 'failed',
+        retryable: isRetryableHttpStatus(response.status),
+        responseCode: response.status,
+        error: text || `HTTP ${response.status}`,
+      };
+    }
+    return { status: 'sent', responseCode: response.status };
+  } catch (err) {
+    return {
+      status: 'failed',
+      retryable: true,
+      error: err?.name === 'AbortError'
+        ? `${label[0].toUpperCase()}${label.slice(1)} timeout after ${timeoutMs}ms`
+        : (err?.message ?? 'Request failed'),
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function sendWebhook(config, payload, { timeoutMs, idempotencyKey, signingSecrets }) {
+  const overridden = config.auth?.type && config.auth.type !== 'none'
+    ? new Set(['content-type', 'authorization'])
+    : new Set(['content-type']);
+  const headers = Object.fromEntries(
+    Object.entries(config.headers ?? {}).filter(([name]) => !overridden.has(name.toLowerCase()))
+  );
+  if (config.auth?.type === 'basic') {
+    const credentials = Buffer.from(`${config.auth.username}:${config.auth.password ?? ''}`, 'utf8').toString('base64');
+    headers.authorization = `Basic ${credentials}`;
+  } else if (config.auth?.type === 'bearer') {
+    headers.authorization = `Bearer ${config.auth.token}`;
+  }
+  const contentType = config.contentType || 'application/json';
+  headers['content-type'] = contentType;
+  // Stays the same across retries and replays so receivers can drop duplicates.
+  if (idempotencyKey) headers['idempotency-key'] = idempotencyKey;
+  const body = config.bodyTemplate
+    ? renderTemplate(config.bodyTemplate, payload, escapeForContentType(contentType))
+    : JSON.stringify(payload);
+  if (signingSecrets?.length) Object.assign(headers, buildSignatureHeaders(signingSecrets, body));
+  return postHttp('webhook', config.url, { method: config.method || 'POST', headers, body }, timeoutMs);
+}
+
+function sendNtfy(config, payload, { timeoutMs }) {
+  // JSON publishing keeps non-ASCII titles intact (ntfy headers are ASCII-only).
+  const headers = { 'content-type': 'application/json' };
+  if (config.token) headers.authorization = `Bearer ${config.token}`;
+  const body = {
+    topic: config.topic,
+    title: renderTemplate(config.titleTemplate, payload),
+    message: renderTemplate(config.bodyTemplate, payload),
+    priority: config.priority,
+  };
+  if (config.tags?.length) body.tags = config.tags;
+  const links = payload.incident?.links;
+  if (links) {
+    body.actions = [
+      { action: 'http', label: 'Acknowledge', url: links.acknowledge, method: 'POST', clear: true },
+      { action: 'http', label: 'Resolve', url: links.resolve, method: 'POST', clear: true },
+    ];
+  }
+  return postHttp('ntfy', `${config.serverUrl}/`, { method: 'POST', headers, body: JSON.stringify(body) }, timeoutMs);
+}
+
+function appendIncidentLinks(text, payload) {
+  const links = payload.incident?.links;
+  if (!links) return text;
+  return `${text}\n\nAcknowledge: ${links.acknowledge}\nResolve: ${links.resolve}\n`;
+}
+
+async function sendSmtp(config, payload, { timeoutMs, idempotencyKey }) {
+  const host = await resolveAndValidateHost(config.host, { allowPrivateTargets: ALERTS_ALLOW_PRIVATE_TARGETS });
+  if (!host.ok) return { status: 'failed', retryable: false, error: `Blocked SMTP host: ${host.error}` };
+  try {
+    const result = await sendMail({
+      host: host.address,
+      servername: host.hostname,
+      port: config.port,
+      security: config.security,
+      username: config.username,
+      password: config.password,
+      from: config.from,
+      to: config.to,
+      subject: renderTemplate(config.subjectTemplate, payload),
+      text: appendIncidentLinks(renderTemplate(config.bodyTemplate, payload), payload),
+      messageId: idempotencyKey,
+      timeoutMs,
+    });
+    return { status: 'sent', responseCode: result.responseCode };
+  } catch (err) {
+    const code = err?.code ?? null;
+    return {
+      status: 'failed',
+      // 5xx SMTP replies are permanent rejections; 4xx and network errors are transient.
+      retryable: !(Number.isInteger(code) && code >= 500),
+      responseCode: Number.isInteger(code) ? code : null,
+      error: err?.message ?? 'SMTP delivery failed',
+    };
+  }
+}
+
+async function sendMqtt(config, payload, { timeoutMs }) {
+  const broker = parseMqttUrl(config.url);
+  if (!broker) return { status: 'failed', retryable: false, error: 'Invalid MQTT broker URL' };
+  const host = await resolveAndValidateHost(broker.host, { allowPrivateTargets: ALERTS_ALLOW_PRIVATE_TARGETS });
+  if (!host.ok) return { status: 'failed', retryable: false, error: `Blocked MQTT broker: ${host.error}` };
+
+  const topic = renderTemplate(config.topic, payload).trim();
+  if (!topic || /[+#]/.test(topic)) {
+    return { status: 'failed', retryable: false, error: `Invalid MQTT topic: ${topic}` };
+  }
+  try {
+    await publishMqtt({
+      host: host.address,
+      servername: host.hostname,
+      port: broker.port,
+      secure: broker.secure,
+      username: config.username,
+      password: config.password,
+      topic,
+      payload: config.payloadTemplate
+        ? renderTemplate(config.payloadTemplate, payload)
+        : JSON.stringify(payload),
+      qos: config.qos,
+      retain: config.retain,
+      timeoutMs,
+    });
+    return { status: 'sent' };
+  } catch (err) {
+    return { status: 'failed', retryable: true, error: err?.message ?? 'MQTT publish failed' };
+  }
+}
+
+const SENDERS = {
+  webhook: sendWebhook,
+  ntfy: sendNtfy,
+  smtp: sendSmtp,
+  mqtt: sendMqtt,
+};
+
+/**
+ * Deliver an alert payload through one channel. Never throws; returns
+ * `{ status: 'sent'|'failed', responseCode?, error?, retryable? }`, where
+ * `retryable: false` marks failures a retry cannot fix (blocked target,
+ * permanent rejection). `idempotencyKey` is sent as the webhook
+ * Idempotency-Key header and the email Message-ID; `signingSecrets` (the
+ * rule's, current first) sign webhook bodies — see webhook-signature.js.
+ */
+export async function sendToChannel(channel, payload, {
+  timeoutMs = ALERTS_WEBHOOK_TIMEOUT_MS,
+  idempotencyKey = null,
+  signingSecrets = [],
+} = {}) {
+  const sender = SENDERS[channel.type];
+  if (!sender) return { status: 'failed', retryable: false, error: `Unknown channel type: ${channel.type}` };
+  return sender(channel.config ?? {}, payload, { timeoutMs, idempotencyKey, signingSecrets });
+}
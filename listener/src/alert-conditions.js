@@ -0,0 +1,223 @@
+/**
+ * alert-conditions.js — compound conditions on an alert rule.
+ *
+ * A rule's trigger (scope, characteristic, operator) decides *when* it is
+ * checked; its optional `conditions` tree decides *whether* it fires, by
+ * looking at the latest known state of any accessory:
+ *
+ *   { "op": "and", "conditions": [
+ *       { "accessory": "Alarm", "characteristic": "SecuritySystemCurrentState",
+ *         "operator": "equals", "value": "1" },
+ *       { "op": "or", "conditions": [ ... ] } ] }
+ *
+ * Leaves compare a characteristic's last logged value with the state
+ * operators below; groups combine their children with AND or OR. A leaf
+ * whose accessory has never reported that characteristic is false.
+ */
+
+import { ALERT_OPERATORS, evaluateOperator, validateOperatorValues } from './alert-operators.js';
+
+/** Operators that compare one value; the change operators need an event. */
+export const STATE_OPERATORS = ALERT_OPERATORS.filter(
+  (operator) => !['changed_from_to', 'increased_by', 'decreased_by', 'changed_by'].includes(operator)
+);
+
+const GROUP_OPS = new Set(['and', 'or']);
+const MAX_DEPTH = 3;
+const MAX_LEAVES = 20;
+const MAX_TEXT_LENGTH = 200;
+
+function normalizeString(value) {
+  return String(value ?? '').trim();
+}
+
+function isGroup(node) {
+  return Array.isArray(node?.conditions);
+}
+
+function validateLeaf(node, path) {
+  const accessory = normalizeString(node.accessory);
+  const characteristic = normalizeString(node.characteristic);
+  if (!accessory) return { error: `${path}.accessory is required` };
+  if (!characteristic) return { error: `${path}.characteristic is required` };
+  if (accessory.length > MAX_TEXT_LENGTH || characteristic.length > MAX_TEXT_LENGTH) {
+    return { error: `${path} names must be at most ${MAX_TEXT_LENGTH} characters` };
+  }
+
+  const operator = normalizeString(node.operator || 'equals').toLowerCase();
+  if (!STATE_OPERATORS.includes(operator)) {
+    return { error: `${path}.operator must be one of: ${STATE_OPERATORS.join(', ')}` };
+  }
+  const values = validateOperatorValues(operator, node.value, node.valueTo);
+  if (values.error) {
+    const message = values.error.replace(/matchValue(To)?/g, (_match, to) => (to ? 'valueTo' : 'value'));
+    return { error: `${path}: ${message}` };
+  }
+  return {
+    value: {
+      accessory,
+      characteristic,
+      operator,
+      value: values.value.matchValue,
+      valueTo: values.value.matchValueTo,
+    },
+  };
+}
+
+/**
+ * Validate a condition tree from the API. null/undefined clears it.
+ * Returns `{ value: tree|null }` or `{ error }`.
+ */
+export function validateConditionTree(input) {
+  if (input === null || input === undefined) return { value: null };
+  if (!isGroup(input)) return { error: 'conditions must be a group: { op, conditions: [...] }' };
+
+  let leaves = 0;
+  function walk(node, depth, path) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return { error: `${path} must be an object` };
+    if (!isGroup(node)) {
+      leaves += 1;
+      if (leaves > MAX_LEAVES) return { error: `conditions can have at most ${MAX_LEAVES} comparisons` };
+      return validateLeaf(node, path);
+    }
+
+    if (depth > MAX_DEPTH) return { error: `conditions can nest at most ${MAX_DEPTH} groups deep` };
+    const op = normalizeString(node.op || 'and').toLowerCase();
+    if (!GROUP_OPS.has(op)) return { error: `${path}.op must be one of: and, or` };
+    if (!node.conditions.length) return { error: `${path}.conditions cannot be empty` };
+
+    const children = [];
+    for (const [index, child] of node.conditions.entries()) {
+      const parsed = walk(child, depth + 1, `${path}.conditions[${index}]`);
+      if (parsed.error) return parsed;
+      children.push(parsed.value);
+    }
+    return { value: { op, conditions: children } };
+  }
+  return walk(input, 1, 'conditions');
+}
+
+function stateKey(accessory, characteristic) {
+  return `${accessory}\u0000${characteristic}`;
+}
+
+/** Distinct (accessory, characteristic) pairs a tree reads. */
+export function collectStateRefs(tree) {
+  const refs = new Map();
+  (function walk(node) {
+    if (!node) return;
+    if (isGroup(node)) {
+      node.conditions.forEach(walk);
+      return;
+    }
+    refs.set(stateKey(node.accessory, node.characteristic), {
+      accessory: node.accessory,
+      characteristic: node.characteristic,
+    });
+  })(tree);
+  return [...refs.values()];
+}
+
+/** Record `event` in `state` for every ref it reports on. */
+export function applyEventToState(state, refs, event) {
+  if (!event?.characteristic) return state;
+  for (const ref of refs) {
+    const sameAccessory = ref.accessory === event.accessoryName || ref.accessory === event.accessoryId;
+    if (sameAccessory && ref.characteristic === event.characteristic) {
+      state.set(stateKey(ref.accessory, ref.characteristic), {
+        accessoryName: event.accessoryName,
+        value: event.newValue,
+        timestamp: event.timestamp,
+      });
+    }
+  }
+  return state;
+}
+
+/**
+ * Latest logged value for each ref, keyed by stateKey(). The triggering
+ * event (already in event_logs) is overlaid so its own state is current
+ * even if a newer row for the same characteristic raced it in. `before`
+ * limits the lookup to earlier events (the state at that moment).
+ */
+export async function loadConditionState(pool, refs, event = null, { before = null } = {}) {
+  const state = new Map();
+  if (!refs.length) return state;
+
+  // A ref names the accessory or its ID; one indexed lookup each, rather
+  // than an OR that can't use either index.
+  const result = await pool.query(
+    `SELECT ref.accessory AS ref_accessory, ref.characteristic AS ref_characteristic,
+            e.accessory_name, e.new_value, e.timestamp
+     FROM jsonb_to_recordset($1::jsonb) AS ref(accessory text, characteristic text)
+     CROSS JOIN LATERAL (
+       SELECT accessory_name, new_value, timestamp
+       FROM (
+         (SELECT id, accessory_name, new_value, timestamp
+          FROM event_logs
+          WHERE accessory_name = ref.accessory
+            AND characteristic = ref.characteristic
+            AND ($2::timestamptz IS NULL OR timestamp < $2::timestamptz)
+          ORDER BY timestamp DESC, id DESC
+          LIMIT 1)
+         UNION ALL
+         (SELECT id, accessory_name, new_value, timestamp
+          FROM event_logs
+          WHERE accessory_id = ref.accessory
+            AND characteristic = ref.characteristic
+            AND ($2::timestamptz IS NULL OR timestamp < $2::timestamptz)
+          ORDER BY timestamp DESC, id DESC
+          LIMIT 1)
+       ) latest
+       ORDER BY timestamp DESC, id DESC
+       LIMIT 1
+     ) e`,
+    [JSON.stringify(refs), before]
+  );
+  for (const row of result.rows) {
+    state.set(stateKey(row.ref_accessory, row.ref_characteristic), {
+      accessoryName: row.accessory_name,
+      value: row.new_value,
+      timestamp: row.timestamp instanceof Date ? row.timestamp.toISOString() : row.timestamp,
+    });
+  }
+  return applyEventToState(state, refs, event);
+}
+
+/** Evaluate a validated tree against a map from loadConditionState(). */
+export function evaluateConditionTree(tree, state) {
+  if (!tree) return true;
+  if (isGroup(tree)) {
+    const results = tree.conditions.map((child) => evaluateConditionTree(child, state));
+    return tree.op === 'or' ? results.some(Boolean) : results.every(Boolean);
+  }
+  const current = state.get(stateKey(tree.accessory, tree.characteristic));
+  if (!current) return false;
+  return evaluateOperator(
+    { operator: tree.operator, match_value: tree.value, match_value_to: tree.valueTo },
+    { oldValue: null, newValue: current.value }
+  );
+}
+
+/**
+ * Check a rule's conditions for `event`.
+ * @returns {Promise<{ ok: boolean, state: object[] }>} `state` lists the
+ *   values the decision was based on, for the alert payload
+ */
+export async function checkRuleConditions(pool, rule, event) {
+  if (!rule.conditions) return { ok: true, state: [] };
+  const refs = collectStateRefs(rule.conditions);
+  const state = await loadConditionState(pool, refs, event);
+  return {
+    ok: evaluateConditionTree(rule.conditions, state),
+    state: refs.map((ref) => {
+      const current = state.get(stateKey(ref.accessory, ref.characteristic));
+      return {
+        accessory: ref.accessory,
+        characteristic: ref.characteristic,
+        value: current?.value ?? null,
+        since: current?.timestamp ?? null,
+      };
+    }),
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * alert-digest.js — hourly and daily alert digests.
+ *
+ * Rules whose delivery_mode is 'hourly' or 'daily' don't notify on every
+ * match. deliverAlert() records each match as a 'batched' alert_deliveries
+ * row; once the period is over, the scheduler tick collects them into a
+ * single 'homechronicle.digest' notification per channel (a count, the
+ * matched events and links back to the Timeline) and marks them 'digested'.
+ *
+ * Hourly digests go out at the top of each hour, daily ones at
+ * ALERTS_DIGEST_HOUR; both in the household timezone.
+ */
+
+import { ALERTS_PUBLIC_URL } from './alert-incidents.js';
+import { addDays, getHouseholdTimezone, localParts, localToInstant } from './alert-schedule.js';
+import { deliverDigest, rulePayload } from './alerts.js';
+
+export const DELIVERY_MODES = ['immediate', 'hourly', 'daily'];
+
+/** Events listed in a digest payload; `count` still covers all of them. */
+const MAX_DIGEST_EVENTS = 100;
+/** Events spelled out in the digest text. */
+const MAX_TEXT_LINES = 20;
+const TIMELINE_CONTEXT_MS = 5 * 60_000;
+
+const PERIOD_LABELS = { hourly: 'hour', daily: 'day' };
+
+export function isDigestMode(mode) {
+  return mode === 'hourly' || mode === 'daily';
+}
+
+/**
+ * Start of the current hourly and daily periods: batched matches from
+ * before them are due.
+ */
+export function digestCutoffs(now = new Date(), { digestHour = 8, timeZone = getHouseholdTimezone() } = {}) {
+  const local = localParts(now, timeZone);
+  const hourly = localToInstant(local.date, Math.floor(local.minutes / 60) * 60, timeZone);
+  let daily = localToInstant(local.date, digestHour * 60, timeZone);
+  if (daily > now.getTime()) daily = localToInstant(addDays(local.date, -1), digestHour * 60, timeZone);
+  return { hourly: new Date(hourly), daily: new Date(daily) };
+}
+
+/** Web UI link to the Timeline with the given filters, or null without ALERTS_PUBLIC_URL. */
+export function timelineUrl(filters, baseUrl = ALERTS_PUBLIC_URL) {
+  if (!baseUrl) return null;
+  const params = new URLSearchParams({ tab: 'timeline' });
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== null && value !== undefined && value !== '') params.set(key, String(value));
+  }
+  return `${baseUrl}/?${params}`;
+}
+
+function toIso(value) {
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+/** Timeline filters for the rule's scope. */
+function scopeFilters(rule) {
+  const filters = {};
+  if (rule.scope_type === 'room') filters.room = rule.scope_value;
+  if (rule.scope_type === 'accessory') filters.accessory = rule.scope_value;
+  if (rule.scope_type === 'characteristic') filters.characteristic = rule.scope_value;
+  if (rule.characteristic) filters.characteristic = rule.characteristic;
+  return filters;
+}
+
+function describeMatch(event, timeZone) {
+  const time = new Date(event.timestamp ?? event.matchedAt);
+  const clock = Number.isNaN(time.getTime())
+    ? ''
+    : `${time.toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit' })} `;
+  const subject = event.accessoryName || event.accessoryId || 'Unknown accessory';
+  const room = event.roomName ? ` (${event.roomName})` : '';
+  const change = event.characteristic ? `${event.characteristic} is ${event.newValue}` : `value is ${event.newValue}`;
+  return `${clock}${subject}${room} ${change}`;
+}
+
+/**
+ * The digest for `rule` from its batched `matches` (alert_deliveries rows
+ * with the payload each match would have sent), oldest first.
+ */
+export function buildDigestPayload(rule, matches, {
+  mode,
+  to,
+  baseUrl = ALERTS_PUBLIC_URL,
+  timeZone = getHouseholdTimezone(),
+}) {
+  const from = toIso(matches[0].sent_at);
+  const events = matches.slice(0, MAX_DIGEST_EVENTS).map((match) => {
+    const event = match.payload?.event ?? {};
+    const at = Date.parse(event.timestamp ?? toIso(match.sent_at));
+    return {
+      ...event,
+      id: event.id ?? match.event_id ?? null,
+      matchedAt: toIso(match.sent_at),
+      condition: match.payload?.condition ?? null,
+      timelineUrl: timelineUrl({
+        accessory: event.accessoryName || event.accessoryId,
+        from: new Date(at - TIMELINE_CONTEXT_MS).toISOString(),
+        to: new Date(at + TIMELINE_CONTEXT_MS).toISOString(),
+      }, baseUrl),
+    };
+  });
+  const link = timelineUrl({ ...scopeFilters(rule), from, to: toIso(to) }, baseUrl);
+
+  const count = matches.length;
+  const lines = [`${rule.name}: ${count} match${count === 1 ? '' : 'es'} in the last ${PERIOD_LABELS[mode] ?? 'period'}`];
+  for (const event of events.slice(0, MAX_TEXT_LINES)) lines.push(`• ${describeMatch(event, timeZone)}`);
+  if (count > MAX_TEXT_LINES) lines.push(`…and ${count - MAX_TEXT_LINES} more`);
+  if (link) lines.push(`Timeline: ${link}`);
+
+  return {
+    type: 'homechronicle.digest',
+    firedAt: new Date().toISOString(),
+    rule: rulePayload(rule),
+    digest: {
+      mode,
+      from,
+      to: toIso(to),
+      count,
+      truncated: count > events.length,
+      events,
+      timelineUrl: link,
+      text: lines.join('\n'),
+    },
+  };
+}
+
+/**
+ * Collect every rule's batched matches whose period has ended and queue
+ * one digest per rule.
+ * @returns {Promise<number>} digests queued
+ */
+export async function sendDueDigests(pool, { now = new Date(), digestHour = 8, timeZone = getHouseholdTimezone() } = {}) {
+  const cutoffs = digestCutoffs(now, { digestHour, timeZone });
+  // Rules switched back to immediate flush their leftovers with the hourly digests.
+  const claimed = await pool.query(
+    `UPDATE alert_deliveries d
+     SET status = 'digested'
+     FROM alert_rules r
+     WHERE r.id = d.rule_id
+       AND d.status = 'batched'
+       AND d.sent_at < CASE WHEN r.delivery_mode = 'daily' THEN $2::timestamptz ELSE $1::timestamptz END
+     RETURNING d.id, d.rule_id, d.event_id, d.payload, d.sent_at, r.delivery_mode`,
+    [cutoffs.hourly.toISOString(), cutoffs.daily.toISOString()]
+  );
+  if (!claimed.rows.length) return 0;
+
+  const byRule = new Map();
+  for (const row of claimed.rows) {
+    if (!byRule.has(row.rule_id)) byRule.set(row.rule_id, []);
+    byRule.get(row.rule_id).push(row);
+  }
+  const rules = await pool.query(
+    `SELECT id, name, scope_type, scope_value, characteristic, operator, match_value, match_value_to,
+            condition_type, for_minutes, quiet_minutes, target_url, channel_ids, conditions, delivery_mode
+     FROM alert_rules
+     WHERE id = ANY($1::bigint[])`,
+    [[...byRule.keys()]]
+  );
+
+  let sent = 0;
+  for (const rule of rules.rows) {
+    const matches = byRule.get(rule.id)
+      .sort((a, b) => new Date(a.sent_at) - new Date(b.sent_at) || a.id - b.id);
+    const mode = matches[0].delivery_mode === 'daily' ? 'daily' : 'hourly';
+    const payload = buildDigestPayload(rule, matches, { mode, to: cutoffs[mode], timeZone });
+    await deliverDigest(pool, rule, payload);
+    sent += 1;
+  }
+  return sent;
+}
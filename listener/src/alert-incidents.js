@@ -0,0 +1,221 @@
+/**
+ * alert-incidents.js — open, acknowledged and resolved alerts.
+ *
+ * Every firing that is sent (not suppressed by the quiet period) opens an
+ * incident, or joins the one already open for the same rule, accessory and
+ * characteristic:
+ *
+ *   open → acknowledged → resolved
+ *   open → resolved
+ *
+ * Incidents are acknowledged or resolved from the UI, or through signed
+ * links carried in the notification (`incident.links` in the payload).
+ * Rules with `escalate_after_minutes` notify their escalation channels when
+ * an incident is still open that long after it opened; rules with
+ * `auto_resolve` resolve it when a later event shows the trigger no longer
+ * holds. Both run in alert-scheduler.js.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { evaluateOperator } from './alert-operators.js';
+import { eventForRule, ruleSeesEvent } from './alerts.js';
+
+export const INCIDENT_STATUSES = ['open', 'acknowledged', 'resolved'];
+export const INCIDENT_ACTIONS = ['acknowledge', 'resolve'];
+
+/** Signed links stop working after this long. */
+export const INCIDENT_LINK_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Paths of the signed-link route; they authenticate by signature, not session. */
+export const INCIDENT_LINK_PATTERN = /^\/api\/alerts\/incidents\/\d+\/link$/;
+
+const ESCALATION_BATCH_SIZE = 50;
+
+/**
+ * Base URL the links in notifications point at (the address the web UI is
+ * reached on; it proxies /api). Without it notifications carry no links.
+ * Digests use it for their Timeline links too (see alert-digest.js).
+ */
+function parsePublicUrl(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  try {
+    const url = new URL(text);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return url.toString().replace(/\/+$/, '');
+  } catch {
+    return null;
+  }
+}
+
+export const ALERTS_PUBLIC_URL = parsePublicUrl(process.env.ALERTS_PUBLIC_URL);
+
+function generateActionSecret() {
+  return randomBytes(32).toString('base64url');
+}
+
+function linkSignature(secret, incidentId, action, expires) {
+  return createHmac('sha256', String(secret)).update(`${incidentId}.${action}.${expires}`).digest('hex');
+}
+
+/**
+ * Signed acknowledge/resolve links for an incident, or null when no public
+ * URL is configured.
+ */
+export function buildIncidentLinks(incident, { baseUrl = ALERTS_PUBLIC_URL, now = Date.now() } = {}) {
+  if (!baseUrl || !incident?.action_secret) return null;
+  const expires = Math.floor((now + INCIDENT_LINK_TTL_MS) / 1000);
+  return Object.fromEntries(INCIDENT_ACTIONS.map((action) => {
+    const params = new URLSearchParams({
+      action,
+      expires: String(expires),
+      sig: linkSignature(incident.action_secret, incident.id, action, expires),
+    });
+    return [action, `${baseUrl}/api/alerts/incidents/${incident.id}/link?${params}`];
+  }));
+}
+
+/**
+ * Check a signed link's query against the incident's secret.
+ * @returns {{ ok: true, action: string }|{ ok: false, error: string }}
+ */
+export function verifyIncidentLink(incident, query = {}, now = Date.now()) {
+  const action = String(query.action ?? '');
+  if (!INCIDENT_ACTIONS.includes(action)) return { ok: false, error: 'Unknown action' };
+  const expires = Number.parseInt(String(query.expires ?? ''), 10);
+  if (!Number.isFinite(expires)) return { ok: false, error: 'Invalid link' };
+  if (expires * 1000 < now) return { ok: false, error: 'This link has expired' };
+
+  const expected = Buffer.from(linkSignature(incident.action_secret, incident.id, action, expires), 'utf8');
+  const provided = Buffer.from(String(query.sig ?? ''), 'utf8');
+  if (expected.length !== provided.length || !timingSafeEqual(expected, provided)) {
+    return { ok: false, error: 'Invalid link' };
+  }
+  return { ok: true, action };
+}
+
+/** Incidents are keyed like timers: absence rules per accessory. */
+function incidentCharacteristic(rule, event) {
+  return rule.condition_type === 'absence' ? '' : String(event.characteristic ?? '');
+}
+
+/**
+ * Open an incident for a firing, or join the unresolved one for the same
+ * rule, accessory and characteristic.
+ * @returns {Promise<object>} the incident row (with `created`)
+ */
+export async function openIncident(pool, rule, event, { summary, payload }) {
+  const result = await pool.query(
+    `INSERT INTO alert_incidents
+       (rule_id, event_id, accessory_id, characteristic, summary, payload, action_secret, escalate_at)
+     VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7,
+             CASE WHEN $8::int IS NULL THEN NULL ELSE NOW() + ($8::int * INTERVAL '1 minute') END)
+     ON CONFLICT (rule_id, accessory_id, characteristic) WHERE status <> 'resolved'
+     DO UPDATE SET fire_count = alert_incidents.fire_count + 1, last_fired_at = NOW()
+     RETURNING id, status, opened_at, action_secret, (xmax = 0) AS created`,
+    [
+      rule.id,
+      event.eventId ?? null,
+      String(event.accessoryId ?? ''),
+      incidentCharacteristic(rule, event),
+      summary,
+      JSON.stringify(payload),
+      generateActionSecret(),
+      rule.escalate_after_minutes ?? null,
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Acknowledge or resolve an incident. Acknowledging a resolved incident is
+ * a no-op; `by` is the username (or 'link').
+ * @returns {Promise<object|null>} the updated row, or null if nothing changed
+ */
+export async function updateIncidentStatus(pool, id, action, { by = null, resolution = 'manual' } = {}) {
+  if (action === 'acknowledge') {
+    const result = await pool.query(
+      `UPDATE alert_incidents
+       SET status = 'acknowledged', acknowledged_at = NOW(), acknowledged_by = $2
+       WHERE id = $1 AND status = 'open'
+       RETURNING id, status`,
+      [id, by]
+    );
+    return result.rows[0] ?? null;
+  }
+  const result = await pool.query(
+    `UPDATE alert_incidents
+     SET status = 'resolved', resolved_at = NOW(), resolved_by = $2, resolution = $3
+     WHERE id = $1 AND status <> 'resolved'
+     RETURNING id, status`,
+    [id, by, resolution]
+  );
+  return result.rows[0] ?? null;
+}
+
+/** The rule fields autoResolveIncidents() selects, in alert_rules shape. */
+function incidentRule(incident) {
+  return {
+    characteristic: incident.rule_characteristic ?? null,
+    scope_type: incident.scope_type ?? null,
+    scope_value: incident.scope_value ?? null,
+  };
+}
+
+/**
+ * Does `event` show that an incident's trigger has reverted? Absence
+ * incidents end with any event from the accessory; the others when the
+ * same characteristic reports a value the rule's operator doesn't match.
+ * Connection rows only count for rules that name them (going offline is no
+ * sign of activity).
+ */
+export function incidentReverted(incident, event) {
+  if (String(event.accessoryId ?? '') !== incident.accessory_id) return false;
+  if (!ruleSeesEvent(incidentRule(incident), event)) return false;
+  if (incident.condition_type === 'absence') return true;
+  if (String(event.characteristic ?? '') !== incident.characteristic) return false;
+  // A field rule's incident reverts on that field, not the event's value.
+  const ruleEvent = eventForRule(incidentRule(incident), event);
+  if (!ruleEvent) return false;
+  return !evaluateOperator(incident, ruleEvent);
+}
+
+/** Resolve auto-resolving incidents that `event` shows have reverted. */
+export async function autoResolveIncidents(pool, event) {
+  if (!event?.accessoryId) return 0;
+  const result = await pool.query(
+    `SELECT i.id, i.accessory_id, i.characteristic, r.characteristic AS rule_characteristic,
+            r.scope_type, r.scope_value, r.condition_type, r.operator, r.match_value, r.match_value_to
+     FROM alert_incidents i
+     JOIN alert_rules r ON r.id = i.rule_id
+     WHERE i.status <> 'resolved' AND i.accessory_id = $1 AND r.auto_resolve = TRUE`,
+    [String(event.accessoryId)]
+  );
+  let resolved = 0;
+  for (const incident of result.rows) {
+    if (!incidentReverted(incident, event)) continue;
+    if (await updateIncidentStatus(pool, incident.id, 'resolve', { resolution: 'auto' })) resolved += 1;
+  }
+  return resolved;
+}
+
+/**
+ * Claim open incidents whose escalation time has passed. Claimed rows get
+ * `escalated_at`, so each incident escalates at most once.
+ */
+export async function claimDueEscalations(pool) {
+  const result = await pool.query(
+    `UPDATE alert_incidents i
+     SET escalated_at = NOW()
+     WHERE i.id IN (
+       SELECT id FROM alert_incidents
+       WHERE status = 'open' AND escalated_at IS NULL AND escalate_at <= NOW()
+       ORDER BY escalate_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING i.id, i.rule_id, i.event_id, i.opened_at, i.fire_count, i.payload, i.action_secret`,
+    [ESCALATION_BATCH_SIZE]
+  );
+  return result.rows;
+}
@@ -0,0 +1,149 @@
+/**
+ * alert-operators.js — how an alert rule's operator compares an event's
+ * values against the rule's `match_value` / `match_value_to`.
+ *
+ * Shared by the alert processor (evaluation) and the alerts router
+ * (validation), so the two can't disagree about what a rule means.
+ */
+
+export const ALERT_OPERATORS = [
+  'equals', 'not_equals', 'contains',
+  'gt', 'gte', 'lt', 'lte',
+  'between', 'outside',
+  'changed_from_to',
+  'increased_by', 'decreased_by', 'changed_by',
+];
+
+const COMPARISON_OPERATORS = new Set(['gt', 'gte', 'lt', 'lte']);
+const RANGE_OPERATORS = new Set(['between', 'outside']);
+const DELTA_OPERATORS = new Set(['increased_by', 'decreased_by', 'changed_by']);
+
+/** Wildcard for either side of `changed_from_to`. */
+export const ANY_VALUE = '*';
+
+function normalizeString(value) {
+  return String(value ?? '').trim();
+}
+
+/**
+ * Parse an event or rule value as a number. HomeKit booleans arrive as
+ * "true"/"false", so they map to 1/0; anything else non-numeric is null.
+ */
+export function parseNumericValue(value) {
+  const text = normalizeString(value).toLowerCase();
+  if (!text) return null;
+  if (text === 'true') return 1;
+  if (text === 'false') return 0;
+  const parsed = Number(text);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function valuesEqual(actual, expected) {
+  if (expected === ANY_VALUE) return true;
+  if (actual === expected) return true;
+  const a = parseNumericValue(actual);
+  const b = parseNumericValue(expected);
+  return a !== null && b !== null && a === b;
+}
+
+export function isRangeOperator(operator) {
+  return RANGE_OPERATORS.has(operator);
+}
+
+/** True when the operator needs a second value (`match_value_to`). */
+export function operatorUsesSecondValue(operator) {
+  return RANGE_OPERATORS.has(operator) || operator === 'changed_from_to';
+}
+
+/**
+ * Validate the values a rule supplies for its operator.
+ * Returns `{ value: { matchValue, matchValueTo } }` or `{ error }`.
+ */
+export function validateOperatorValues(operator, matchValue, matchValueTo) {
+  const first = normalizeString(matchValue);
+  const second = normalizeString(matchValueTo);
+  if (!first) return { error: 'matchValue is required' };
+
+  if (COMPARISON_OPERATORS.has(operator)) {
+    if (parseNumericValue(first) === null) return { error: `matchValue must be a number for ${operator}` };
+    return { value: { matchValue: first, matchValueTo: null } };
+  }
+
+  if (RANGE_OPERATORS.has(operator)) {
+    const low = parseNumericValue(first);
+    const high = parseNumericValue(second);
+    if (low === null || high === null) {
+      return { error: `matchValue and matchValueTo must be numbers for ${operator}` };
+    }
+    if (low > high) return { error: 'matchValue must be less than or equal to matchValueTo' };
+    return { value: { matchValue: first, matchValueTo: second } };
+  }
+
+  if (operator === 'changed_from_to') {
+    if (!second) return { error: 'matchValueTo is required for changed_from_to' };
+    if (first === ANY_VALUE && second === ANY_VALUE) {
+      return { error: `matchValue and matchValueTo cannot both be "${ANY_VALUE}"` };
+    }
+    return { value: { matchValue: first, matchValueTo: second } };
+  }
+
+  if (DELTA_OPERATORS.has(operator)) {
+    const threshold = parseNumericValue(first);
+    if (threshold === null || threshold <= 0) {
+      return { error: `matchValue must be a positive number for ${operator}` };
+    }
+    return { value: { matchValue: first, matchValueTo: null } };
+  }
+
+  return { value: { matchValue: first, matchValueTo: null } };
+}
+
+/**
+ * Does an event's old/new value pair satisfy the rule's operator?
+ * @param {{ operator?: string, match_value?: string, match_value_to?: string|null }} rule
+ * @param {{ oldValue?: unknown, newValue?: unknown }} event
+ */
+export function evaluateOperator(rule, event) {
+  const op = normalizeString(rule.operator || 'equals').toLowerCase();
+  const actual = normalizeString(event.newValue);
+  const expected = normalizeString(rule.match_value);
+
+  if (op === 'equals') return actual === expected;
+  if (op === 'not_equals') return actual !== expected;
+  if (op === 'contains') return actual.toLowerCase().includes(expected.toLowerCase());
+
+  if (op === 'changed_from_to') {
+    const previous = normalizeString(event.oldValue);
+    const expectedTo = normalizeString(rule.match_value_to);
+    // A first reading has no previous value; only a wildcard accepts it.
+    if (!previous && expected !== ANY_VALUE) return false;
+    return valuesEqual(previous, expected) && valuesEqual(actual, expectedTo) && previous !== actual;
+  }
+
+  const value = parseNumericValue(actual);
+  const target = parseNumericValue(expected);
+  if (value === null || target === null) return false;
+
+  if (op === 'gt') return value > target;
+  if (op === 'gte') return value >= target;
+  if (op === 'lt') return value < target;
+  if (op === 'lte') return value <= target;
+
+  if (RANGE_OPERATORS.has(op)) {
+    const upper = parseNumericValue(rule.match_value_to);
+    if (upper === null) return false;
+    const inside = value >= target && value <= upper;
+    return op === 'between' ? inside : !inside;
+  }
+
+  if (DELTA_OPERATORS.has(op)) {
+    const previous = parseNumericValue(event.oldValue);
+    if (previous === null) return false;
+    const delta = value - previous;
+    if (op === 'increased_by') return delta >= target;
+    if (op === 'decreased_by') return -delta >= target;
+    return Math.abs(delta) >= target;
+  }
+
+  return false;
+}
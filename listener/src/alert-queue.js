@@ -0,0 +1,239 @@
+/**
+ * alert-queue.js — persistent alert delivery queue.
+ *
+ * deliverAlert() (alerts.js) only inserts 'pending' alert_deliveries rows;
+ * this worker sends them, so a slow or unreachable target never holds up
+ * event ingestion. Each row moves through:
+ *
+ *   pending → sent
+ *   pending → pending (attempt failed; retried after an exponential backoff)
+ *   pending → dead    (attempts exhausted or a permanent failure)
+ *
+ * Dead deliveries keep their payload and idempotency key, so replay() can
+ * put them back in the queue unchanged. Rows are claimed with
+ * FOR UPDATE SKIP LOCKED and leased for the send, so a second listener or a
+ * crash mid-send can't lose or double-claim a delivery.
+ */
+
+import { legacyWebhookChannel, sendToChannel } from './alert-channels.js';
+import { onDeliveriesQueued } from './alerts.js';
+import { log } from './logger.js';
+import { ROTATION_GRACE_MS } from './webhook-signature.js';
+
+const CLAIM_BATCH_SIZE = 20;
+
+/**
+ * Delay before retry number `attempt` (1 = first retry): baseMs doubled per
+ * attempt, capped at maxMs.
+ */
+export function computeBackoffMs(attempt, { baseMs, maxMs }) {
+  const exponent = Math.max(0, attempt - 1);
+  return Math.min(maxMs, baseMs * 2 ** Math.min(exponent, 30));
+}
+
+/**
+ * @param {object} deps
+ * @param {import('pg').Pool} deps.pool
+ * @param {number} [deps.intervalMs] - how often the queue is polled for due retries
+ * @param {number} [deps.maxAttempts] - sends per delivery before it is dead-lettered
+ * @param {number} [deps.backoffBaseMs]
+ * @param {number} [deps.backoffMaxMs]
+ * @param {number} [deps.leaseMs] - how long a claimed row stays invisible to other workers
+ */
+export function createAlertDeliveryQueue({
+  pool,
+  intervalMs = 5_000,
+  maxAttempts = 5,
+  backoffBaseMs = 30_000,
+  backoffMaxMs = 3_600_000,
+  leaseMs = 120_000,
+}) {
+  let interval = null;
+  let unsubscribe = null;
+  let draining = null;
+  let again = false;
+
+  async function claimDue() {
+    const result = await pool.query(
+      `UPDATE alert_deliveries d
+       SET attempts = d.attempts + 1,
+           next_attempt_at = NOW() + ($2::int * INTERVAL '1 millisecond')
+       WHERE d.id IN (
+         SELECT id FROM alert_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at ASC, id ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING d.id, d.rule_id, d.channel_id, d.channel_type, d.target_url,
+                 d.attempts, d.idempotency_key, d.payload`,
+      [CLAIM_BATCH_SIZE, leaseMs]
+    );
+    return result.rows;
+  }
+
+  /** The channel a delivery goes to now, or `{ error }` if it is gone. */
+  async function resolveChannel(row) {
+    if (row.channel_id) {
+      const result = await pool.query(
+        'SELECT id, name, type, enabled, config FROM alert_channels WHERE id = $1',
+        [row.channel_id]
+      );
+      const channel = result.rows[0];
+      if (!channel) return { error: 'Channel no longer exists' };
+      if (!channel.enabled) return { error: 'Channel is disabled' };
+      return { channel };
+    }
+    // A rule's plain target_url (or escalation target). A deleted webhook
+    // channel also leaves channel_id NULL, but its URL won't match the payload's.
+    const plainTargets = [row.payload?.rule?.targetUrl, row.payload?.rule?.escalation?.targetUrl];
+    if (row.channel_type === 'webhook' && row.target_url && plainTargets.includes(row.target_url)) {
+      return { channel: legacyWebhookChannel(row.target_url) };
+    }
+    return { error: 'Channel no longer exists' };
+  }
+
+  /**
+   * The rule's signing secrets as of now (current first, then the previous
+   * one during its grace period), so retries pick up a rotation.
+   */
+  async function loadSigningSecrets(ruleId) {
+    const result = await pool.query(
+      `SELECT signing_secret, signing_secret_previous, signing_secret_rotated_at
+       FROM alert_rules WHERE id = $1`,
+      [ruleId]
+    );
+    const rule = result.rows[0];
+    if (!rule?.signing_secret) return [];
+    const rotatedAt = rule.signing_secret_rotated_at ? new Date(rule.signing_secret_rotated_at).getTime() : 0;
+    const previousValid = rule.signing_secret_previous && Date.now() - rotatedAt < ROTATION_GRACE_MS;
+    return previousValid ? [rule.signing_secret, rule.signing_secret_previous] : [rule.signing_secret];
+  }
+
+  async function markSent(row, result) {
+    await pool.query(
+      `UPDATE alert_deliveries
+       SET status = 'sent', response_code = $2, error = NULL, next_attempt_at = NULL, sent_at = NOW()
+       WHERE id = $1`,
+      [row.id, result.responseCode ?? null]
+    );
+  }
+
+  async function markFailed(row, result) {
+    const retry = result.retryable !== false && row.attempts < maxAttempts;
+    if (retry) {
+      await pool.query(
+        `UPDATE alert_deliveries
+         SET status = 'pending', response_code = $2, error = $3,
+             next_attempt_at = NOW() + ($4::int * INTERVAL '1 millisecond')
+         WHERE id = $1`,
+        [row.id, result.responseCode ?? null, result.error ?? null, computeBackoffMs(row.attempts, {
+          baseMs: backoffBaseMs,
+          maxMs: backoffMaxMs,
+        })]
+      );
+      return;
+    }
+    await pool.query(
+      `UPDATE alert_deliveries
+       SET status = 'dead', response_code = $2, error = $3, next_attempt_at = NULL
+       WHERE id = $1`,
+      [row.id, result.responseCode ?? null, result.error ?? null]
+    );
+    log.warn(`[alerts] Delivery ${row.id} dead-lettered after ${row.attempts} attempt(s): ${result.error ?? 'failed'}`);
+  }
+
+  async function sendRow(row) {
+    const resolved = await resolveChannel(row);
+    if (resolved.error) {
+      await markFailed(row, { status: 'failed', retryable: false, error: resolved.error });
+      return;
+    }
+    const signingSecrets = resolved.channel.type === 'webhook' ? await loadSigningSecrets(row.rule_id) : [];
+    const result = await sendToChannel(resolved.channel, row.payload, {
+      idempotencyKey: row.idempotency_key,
+      signingSecrets,
+    });
+    if (result.status === 'sent') await markSent(row, result);
+    else await markFailed(row, result);
+  }
+
+  async function drainNow() {
+    let processed = 0;
+    for (;;) {
+      const rows = await claimDue();
+      for (const row of rows) {
+        try {
+          await sendRow(row);
+        } catch (err) {
+          // Left pending; the lease expires and the row is retried.
+          log.error(`[alerts] Delivery ${row.id} failed:`, err.message ?? err.stack ?? err);
+        }
+        processed += 1;
+      }
+      if (rows.length < CLAIM_BATCH_SIZE) return processed;
+    }
+  }
+
+  /**
+   * Send every due delivery. Calls made while a pass is running schedule one
+   * more pass instead of running concurrently.
+   * @returns {Promise<number>} deliveries processed by this pass
+   */
+  function tick() {
+    if (draining) {
+      again = true;
+      return draining;
+    }
+    draining = (async () => {
+      let processed = 0;
+      try {
+        do {
+          again = false;
+          processed += await drainNow();
+        } while (again);
+      } catch (err) {
+        log.error('[alerts] Delivery queue check failed:', err.message ?? err.stack ?? err);
+      } finally {
+        draining = null;
+      }
+      return processed;
+    })();
+    return draining;
+  }
+
+  /**
+   * Put a dead (or failed) delivery back in the queue with its original
+   * payload and idempotency key.
+   * @returns {Promise<object|null>} the updated row, or null if it can't be replayed
+   */
+  async function replay(id) {
+    const result = await pool.query(
+      `UPDATE alert_deliveries
+       SET status = 'pending', attempts = 0, next_attempt_at = NOW(), error = NULL, response_code = NULL
+       WHERE id = $1 AND status IN ('dead', 'failed') AND payload IS NOT NULL
+       RETURNING id`,
+      [id]
+    );
+    if (!result.rows.length) return null;
+    void tick();
+    return result.rows[0];
+  }
+
+  function start() {
+    if (interval) return;
+    unsubscribe = onDeliveriesQueued(() => { void tick(); });
+    interval = setInterval(() => { void tick(); }, intervalMs);
+    interval.unref?.();
+    void tick();
+  }
+
+  function stop() {
+    if (interval) clearInterval(interval);
+    interval = null;
+    unsubscribe?.();
+    unsubscribe = null;
+  }
+
+  return { tick, replay, start, stop };
+}
@@ -0,0 +1,229 @@
+/**
+ * alert-schedule.js — when an alert rule is armed.
+ *
+ * A rule's optional `schedule` limits it to weekly windows in the household
+ * timezone, with dated overrides for holidays and vacations:
+ *
+ *   { "windows": [{ "days": [1, 2, 3, 4, 5], "start": "22:00", "end": "06:30" }],
+ *     "overrides": [{ "from": "2026-12-20", "to": "2027-01-02", "mode": "armed",
+ *                     "label": "Christmas away" }] }
+ *
+ * Days are 0 (Sunday) – 6 (Saturday) and name the day a window starts on; a
+ * window whose end is not after its start runs past midnight (equal times
+ * mean 24 hours). Override dates are inclusive local dates and win over the
+ * windows; the first matching override applies. Without windows a rule is
+ * armed except during `disarmed` overrides; without a schedule it is
+ * always armed.
+ */
+
+const MAX_WINDOWS = 14;
+const MAX_OVERRIDES = 50;
+const MAX_LABEL_LENGTH = 100;
+const OVERRIDE_MODES = new Set(['armed', 'disarmed']);
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MINUTE_MS = 60_000;
+// nextScheduleChange() looks this far past today and past each override;
+// weekly windows repeat within it.
+const LOOKAHEAD_DAYS = 8;
+
+/** HOUSEHOLD_TIMEZONE, else the process timezone (TZ), else UTC. */
+export function defaultHouseholdTimezone() {
+  const configured = String(process.env.HOUSEHOLD_TIMEZONE ?? '').trim();
+  if (configured && isValidTimezone(configured)) return configured;
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+let householdTimezone = null;
+
+export function isValidTimezone(value) {
+  if (typeof value !== 'string' || !value.trim()) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value.trim() });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function getHouseholdTimezone() {
+  householdTimezone ??= defaultHouseholdTimezone();
+  return householdTimezone;
+}
+
+/** Set from the household settings; invalid values fall back to the default. */
+export function setHouseholdTimezone(value) {
+  householdTimezone = isValidTimezone(value) ? String(value).trim() : defaultHouseholdTimezone();
+  return householdTimezone;
+}
+
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(String(value ?? '').trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function isValidDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validate a schedule from the API. null/undefined clears it.
+ * Returns `{ value: schedule|null }` or `{ error }`.
+ */
+export function validateSchedule(input) {
+  if (input === null || input === undefined) return { value: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'schedule must be an object with windows and/or overrides' };
+  }
+  const rawWindows = input.windows ?? [];
+  const rawOverrides = input.overrides ?? [];
+  if (!Array.isArray(rawWindows) || rawWindows.length > MAX_WINDOWS) {
+    return { error: `schedule.windows must be an array of at most ${MAX_WINDOWS} windows` };
+  }
+  if (!Array.isArray(rawOverrides) || rawOverrides.length > MAX_OVERRIDES) {
+    return { error: `schedule.overrides must be an array of at most ${MAX_OVERRIDES} periods` };
+  }
+
+  const windows = [];
+  for (const [index, window] of rawWindows.entries()) {
+    const path = `schedule.windows[${index}]`;
+    const days = Array.isArray(window?.days) ? window.days.map((day) => Number(day)) : null;
+    if (!days?.length || days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: `${path}.days must list weekdays 0 (Sunday) to 6 (Saturday)` };
+    }
+    const start = parseTime(window.start);
+    const end = parseTime(window.end);
+    if (start === null || end === null) return { error: `${path} start and end must be HH:MM times` };
+    windows.push({ days: [...new Set(days)].sort((a, b) => a - b), start: String(window.start).trim(), end: String(window.end).trim() });
+  }
+
+  const overrides = [];
+  for (const [index, override] of rawOverrides.entries()) {
+    const path = `schedule.overrides[${index}]`;
+    const from = String(override?.from ?? '').trim();
+    const to = String(override?.to ?? from).trim();
+    if (!isValidDate(from) || !isValidDate(to)) return { error: `${path} from and to must be YYYY-MM-DD dates` };
+    if (to < from) return { error: `${path}.to must not be before from` };
+    const mode = String(override.mode ?? 'disarmed').trim().toLowerCase();
+    if (!OVERRIDE_MODES.has(mode)) return { error: `${path}.mode must be armed or disarmed` };
+    const label = String(override.label ?? '').trim().slice(0, MAX_LABEL_LENGTH) || null;
+    overrides.push({ from, to, mode, label });
+  }
+
+  if (!windows.length && !overrides.length) return { value: null };
+  return { value: { windows, overrides } };
+}
+
+const partsFormatters = new Map();
+
+function formatterFor(timeZone) {
+  let formatter = partsFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+    partsFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/** Local calendar date, weekday and minute of day for an instant. */
+export function localParts(at, timeZone) {
+  const parts = Object.fromEntries(
+    formatterFor(timeZone).formatToParts(at).map((part) => [part.type, part.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS[parts.weekday],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+function windowCovers(window, { weekday, minutes }) {
+  const start = parseTime(window.start);
+  const end = parseTime(window.end);
+  if (start < end) return window.days.includes(weekday) && minutes >= start && minutes < end;
+  // Overnight (or 24 h): the evening part belongs to today's window, the
+  // early-morning part to yesterday's.
+  const yesterday = (weekday + 6) % 7;
+  return (window.days.includes(weekday) && minutes >= start)
+    || (window.days.includes(yesterday) && minutes < end);
+}
+
+/** Is a rule with this schedule armed at `at`? */
+export function isScheduleActive(schedule, at = new Date(), timeZone = getHouseholdTimezone()) {
+  if (!schedule) return true;
+  const local = localParts(at, timeZone);
+  const override = (schedule.overrides ?? []).find((period) => local.date >= period.from && local.date <= period.to);
+  if (override) return override.mode === 'armed';
+  const windows = schedule.windows ?? [];
+  if (!windows.length) return true;
+  return windows.some((window) => windowCovers(window, local));
+}
+
+/** `date` (YYYY-MM-DD) plus `days` calendar days. */
+export function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+/** The instant a local date + minute of day happens in `timeZone`. */
+export function localToInstant(date, minutes, timeZone) {
+  const naive = Date.parse(`${date}T00:00:00Z`) + minutes * MINUTE_MS;
+  let guess = naive;
+  // Two passes settle the offset, including across a DST change.
+  for (let i = 0; i < 2; i += 1) {
+    const local = localParts(new Date(guess), timeZone);
+    const shown = Date.parse(`${local.date}T00:00:00Z`) + local.minutes * MINUTE_MS;
+    guess += naive - shown;
+  }
+  return guess;
+}
+
+/**
+ * When the armed state next flips after `from`.
+ * @returns {{ armed: boolean, at: string }|null} the state it flips to and
+ *   when, or null if it doesn't change within the lookahead (or ever)
+ */
+export function nextScheduleChange(schedule, from = new Date(), timeZone = getHouseholdTimezone()) {
+  if (!schedule) return null;
+  const now = from.getTime();
+  const current = isScheduleActive(schedule, from, timeZone);
+  const today = localParts(from, timeZone).date;
+
+  const boundaries = new Set();
+  const windowTimes = (schedule.windows ?? []).flatMap((window) => [parseTime(window.start), parseTime(window.end)]);
+  const windowBoundariesFrom = (date) => {
+    for (let day = 0; day <= LOOKAHEAD_DAYS; day += 1) {
+      for (const minutes of windowTimes) boundaries.add(localToInstant(addDays(date, day), minutes, timeZone));
+    }
+  };
+  windowBoundariesFrom(today);
+  // Overrides start and end at local midnight, however far ahead they are.
+  for (const override of schedule.overrides ?? []) {
+    if (addDays(override.to, 1) < today) continue;
+    const resumes = addDays(override.to, 1);
+    boundaries.add(localToInstant(override.from, 0, timeZone));
+    boundaries.add(localToInstant(resumes, 0, timeZone));
+    if (resumes > today) windowBoundariesFrom(resumes);
+  }
+
+  const upcoming = [...boundaries].filter((instant) => instant > now).sort((a, b) => a - b);
+  for (const instant of upcoming) {
+    const armed = isScheduleActive(schedule, new Date(instant), timeZone);
+    if (armed !== current) return { armed, at: new Date(instant).toISOString() };
+  }
+  return null;
+}
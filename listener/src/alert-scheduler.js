@@ -0,0 +1,330 @@
+/**
+ * alert-scheduler.js — timer-driven alert rules.
+ *
+ * Rules with `for_minutes` do not fire when an event arrives; they arm a
+ * timer in `alert_timers` and fire when it comes due:
+ *
+ *   condition_type 'event'   — the operator has matched continuously for
+ *                              for_minutes ("garage door open for 20 min").
+ *                              An event that no longer matches cancels it.
+ *   condition_type 'absence' — no in-scope event for for_minutes ("leak
+ *                              sensor silent for 6 h"). Every event resets it.
+ *
+ * Timers live in Postgres so they survive restarts; `reconcile()` re-derives
+ * them from the latest event per accessory at startup and whenever rules
+ * change, which also covers events missed while the listener was down.
+ *
+ * The same loop runs incident follow-ups (see alert-incidents.js): every
+ * event may auto-resolve incidents, and each tick escalates incidents left
+ * unacknowledged past their rule's escalate_after_minutes. Each tick also
+ * sends the hourly and daily digests that have come due (alert-digest.js).
+ */
+
+import { checkRuleConditions } from './alert-conditions.js';
+import { sendDueDigests } from './alert-digest.js';
+import { autoResolveIncidents, claimDueEscalations } from './alert-incidents.js';
+import { isScheduleActive } from './alert-schedule.js';
+import { evaluateOperator } from './alert-operators.js';
+import {
+  deliverAlert, deliverEscalation, eventForRule, eventMatchesCharacteristic, eventMatchesScope, ruleSeesEvent,
+} from './alerts.js';
+import { log } from './logger.js';
+
+const RULE_COLUMNS = `r.id, r.name, r.enabled, r.scope_type, r.scope_value, r.characteristic,
+  r.operator, r.match_value, r.match_value_to, r.target_url, r.quiet_minutes,
+  r.condition_type, r.for_minutes, r.channel_ids, r.conditions, r.schedule,
+  r.escalate_after_minutes, r.escalation_target_url, r.escalation_channel_ids, r.auto_resolve, r.delivery_mode`;
+
+const DUE_BATCH_SIZE = 100;
+
+/** Convert an event_logs row (as published by insertEvent) to the alert event shape. */
+export function toAlertEvent(row) {
+  return {
+    eventId: row.id,
+    timestamp: row.timestamp instanceof Date ? row.timestamp.toISOString() : row.timestamp,
+    accessoryId: row.accessory_id,
+    accessoryName: row.accessory_name,
+    roomName: row.room_name,
+    serviceType: row.service_type,
+    characteristic: row.characteristic,
+    oldValue: row.old_value,
+    newValue: row.new_value,
+    rawIid: row.raw_iid,
+    eventData: row.event_data ?? null,
+  };
+}
+
+/**
+ * What a timed rule does with an in-scope event:
+ *   'reset'  — (re)start the timer from this event (absence rules)
+ *   'hold'   — keep or start the timer (duration rule still matching)
+ *   'cancel' — drop the timer (duration rule no longer matching)
+ *   null     — event is out of the rule's scope, or a connection row the
+ *              rule doesn't name (going offline isn't a sign of life)
+ */
+export function timerActionForEvent(rule, event) {
+  if (!ruleSeesEvent(rule, event)) return null;
+  // Field rules (LockOperation.operationSource) judge that field.
+  const ruleEvent = eventForRule(rule, event);
+  if (!ruleEvent) return null;
+  if (!eventMatchesScope(rule, event) || !eventMatchesCharacteristic(rule, ruleEvent)) return null;
+  if (rule.condition_type === 'absence') return 'reset';
+  return evaluateOperator(rule, ruleEvent) ? 'hold' : 'cancel';
+}
+
+/** Absence is tracked per accessory; held state per accessory characteristic. */
+function timerCharacteristic(rule, event) {
+  return rule.condition_type === 'absence' ? '' : String(event.characteristic ?? '');
+}
+
+async function armTimer(pool, rule, event, { reset }) {
+  const conflict = reset
+    ? `DO UPDATE SET started_at = EXCLUDED.started_at,
+                     due_at = EXCLUDED.due_at,
+                     fired_at = NULL,
+                     event_id = EXCLUDED.event_id,
+                     context = EXCLUDED.context`
+    : 'DO NOTHING';
+  await pool.query(
+    `INSERT INTO alert_timers
+       (rule_id, accessory_id, characteristic, started_at, due_at, event_id, context)
+     VALUES ($1, $2, $3, $4::timestamptz, $4::timestamptz + ($5::int * INTERVAL '1 minute'), $6, $7::jsonb)
+     ON CONFLICT (rule_id, accessory_id, characteristic) ${conflict}`,
+    [
+      rule.id,
+      event.accessoryId,
+      timerCharacteristic(rule, event),
+      event.timestamp,
+      rule.for_minutes,
+      event.eventId ?? null,
+      JSON.stringify(event),
+    ]
+  );
+}
+
+async function cancelTimer(pool, rule, event) {
+  await pool.query(
+    `DELETE FROM alert_timers
+     WHERE rule_id = $1 AND accessory_id = $2 AND characteristic = $3`,
+    [rule.id, event.accessoryId, timerCharacteristic(rule, event)]
+  );
+}
+
+/**
+ * @param {object} deps
+ * @param {import('pg').Pool} deps.pool
+ * @param {number} [deps.intervalMs] - how often due timers are checked
+ */
+export function createAlertScheduler({ pool, intervalMs = 30_000, digestHour = 8 }) {
+  let rules = null;
+  let interval = null;
+  let queue = Promise.resolve();
+  let ticking = false;
+
+  async function loadRules() {
+    const result = await pool.query(
+      `SELECT ${RULE_COLUMNS}
+       FROM alert_rules r
+       WHERE r.enabled = TRUE AND r.for_minutes IS NOT NULL
+       ORDER BY r.id ASC`
+    );
+    rules = result.rows;
+    return rules;
+  }
+
+  async function applyEvent(event) {
+    await autoResolveIncidents(pool, event);
+    const timedRules = rules ?? await loadRules();
+    for (const rule of timedRules) {
+      const action = timerActionForEvent(rule, event);
+      if (action === 'reset') await armTimer(pool, rule, event, { reset: true });
+      else if (action === 'hold') await armTimer(pool, rule, event, { reset: false });
+      else if (action === 'cancel') await cancelTimer(pool, rule, event);
+    }
+  }
+
+  /**
+   * Feed a freshly inserted event_logs row. Events are applied in arrival
+   * order so a quick open→close can't leave a stale timer behind.
+   */
+  function handleEvent(row) {
+    const event = toAlertEvent(row);
+    queue = queue
+      .then(() => applyEvent(event))
+      .catch((err) => log.error('[alerts] Timer update failed:', err.message ?? err.stack ?? err));
+    return queue;
+  }
+
+  async function escalateDueIncidents() {
+    let escalated = 0;
+    for (const incident of await claimDueEscalations(pool)) {
+      const result = await pool.query(`SELECT ${RULE_COLUMNS} FROM alert_rules r WHERE r.id = $1`, [incident.rule_id]);
+      const rule = result.rows[0];
+      if (!rule?.escalate_after_minutes) continue;
+      await deliverEscalation(pool, rule, incident);
+      log.info(`[alerts] Incident ${incident.id} (${rule.name}) escalated after ${rule.escalate_after_minutes} min unacknowledged`);
+      escalated += 1;
+    }
+    return escalated;
+  }
+
+  /** Fire every timer that has come due, escalate overdue incidents and send due digests. */
+  async function tick() {
+    if (ticking) return 0;
+    ticking = true;
+    let fired = 0;
+    try {
+      const due = await pool.query(
+        `SELECT t.id AS timer_id, t.started_at, t.event_id, t.context, ${RULE_COLUMNS}
+         FROM alert_timers t
+         JOIN alert_rules r ON r.id = t.rule_id
+         WHERE t.fired_at IS NULL
+           AND t.due_at <= NOW()
+           AND r.enabled = TRUE
+           AND r.for_minutes IS NOT NULL
+         ORDER BY t.due_at ASC
+         LIMIT $1`,
+        [DUE_BATCH_SIZE]
+      );
+      for (const row of due.rows) {
+        // Claim first so a concurrent tick (or a second listener) can't double-fire.
+        const claimed = await pool.query(
+          'UPDATE alert_timers SET fired_at = NOW() WHERE id = $1 AND fired_at IS NULL',
+          [row.timer_id]
+        );
+        if (!claimed.rowCount) continue;
+
+        const startedAt = row.started_at instanceof Date ? row.started_at.toISOString() : row.started_at;
+        const event = { ...row.context, eventId: row.event_id };
+        if (!isScheduleActive(row.schedule)) {
+          log.debug(`[alerts] Timer for rule ${row.id} came due while the rule is disarmed by its schedule`);
+          continue;
+        }
+        // Compound conditions are checked when the timer comes due, not when it was armed.
+        const check = await checkRuleConditions(pool, row, null);
+        if (!check.ok) {
+          log.debug(`[alerts] Timer for rule ${row.id} came due but its conditions do not hold`);
+          continue;
+        }
+        await deliverAlert(pool, row, event, {
+          type: row.condition_type === 'absence' ? 'absence' : 'duration',
+          forMinutes: row.for_minutes,
+          since: startedAt,
+          ...(row.conditions ? { state: check.state } : {}),
+        });
+        fired += 1;
+      }
+      await escalateDueIncidents();
+      const digests = await sendDueDigests(pool, { digestHour });
+      if (digests) log.info(`[alerts] Sent ${digests} alert digest(s)`);
+    } catch (err) {
+      log.error('[alerts] Timer check failed:', err.message ?? err.stack ?? err);
+    } finally {
+      ticking = false;
+    }
+    return fired;
+  }
+
+  async function reconcileNow() {
+    await pool.query(
+      `DELETE FROM alert_timers t
+       USING alert_rules r
+       WHERE r.id = t.rule_id AND (r.enabled = FALSE OR r.for_minutes IS NULL)`
+    );
+    const timedRules = await loadRules();
+    if (!timedRules.length) return;
+
+    // Walks idx_event_logs_accessory_id_char_ts instead of sorting the table.
+    const latest = await pool.query(
+      `SELECT DISTINCT ON (accessory_id, characteristic)
+              id, timestamp, accessory_id, accessory_name, room_name, service_type,
+              characteristic, old_value, new_value, raw_iid, event_data
+       FROM event_logs
+       ORDER BY accessory_id, characteristic, timestamp DESC, id DESC`
+    );
+    const events = latest.rows.map(toAlertEvent);
+
+    for (const rule of timedRules) {
+      const desired = new Map();
+      for (const event of events) {
+        const action = timerActionForEvent(rule, event);
+        if (action === null || action === 'cancel') continue;
+        const key = `${event.accessoryId}\u0000${timerCharacteristic(rule, event)}`;
+        const existing = desired.get(key);
+        if (!existing || existing.timestamp < event.timestamp) desired.set(key, event);
+      }
+
+      const keys = [...desired.values()];
+      await pool.query(
+        `DELETE FROM alert_timers
+         WHERE rule_id = $1
+           AND (accessory_id, characteristic) NOT IN (
+             SELECT * FROM unnest($2::text[], $3::text[])
+           )`,
+        [rule.id, keys.map((event) => event.accessoryId), keys.map((event) => timerCharacteristic(rule, event))]
+      );
+
+      for (const event of keys) {
+        // A newer event than the stored timer restarts an absence timer;
+        // otherwise only due_at is refreshed in case for_minutes changed.
+        await pool.query(
+          `INSERT INTO alert_timers
+             (rule_id, accessory_id, characteristic, started_at, due_at, event_id, context)
+           VALUES ($1, $2, $3, $4::timestamptz, $4::timestamptz + ($5::int * INTERVAL '1 minute'), $6, $7::jsonb)
+           ON CONFLICT (rule_id, accessory_id, characteristic) DO UPDATE SET
+             fired_at = CASE WHEN $8 AND EXCLUDED.started_at > alert_timers.started_at
+                             THEN NULL ELSE alert_timers.fired_at END,
+             event_id = CASE WHEN $8 AND EXCLUDED.started_at > alert_timers.started_at
+                             THEN EXCLUDED.event_id ELSE alert_timers.event_id END,
+             context = CASE WHEN $8 AND EXCLUDED.started_at > alert_timers.started_at
+                            THEN EXCLUDED.context ELSE alert_timers.context END,
+             started_at = CASE WHEN $8 THEN GREATEST(alert_timers.started_at, EXCLUDED.started_at)
+                               ELSE alert_timers.started_at END,
+             due_at = CASE WHEN $8 THEN GREATEST(alert_timers.started_at, EXCLUDED.started_at)
+                           ELSE alert_timers.started_at END + ($5::int * INTERVAL '1 minute')`,
+          [
+            rule.id,
+            event.accessoryId,
+            timerCharacteristic(rule, event),
+            event.timestamp,
+            rule.for_minutes,
+            event.eventId,
+            JSON.stringify(event),
+            rule.condition_type === 'absence',
+          ]
+        );
+      }
+    }
+  }
+
+  /**
+   * Rebuild timers from rules and the latest event per accessory. Queued
+   * behind pending event updates so the two never interleave.
+   */
+  function reconcile() {
+    queue = queue
+      .then(reconcileNow)
+      .catch((err) => log.error('[alerts] Timer reconcile failed:', err.message ?? err.stack ?? err));
+    return queue;
+  }
+
+  /** Call after rules are created, edited or deleted. */
+  function rulesChanged() {
+    rules = null;
+    return reconcile();
+  }
+
+  function start() {
+    if (interval) return;
+    void reconcile().then(() => tick());
+    interval = setInterval(() => { void tick(); }, intervalMs);
+    interval.unref?.();
+  }
+
+  function stop() {
+    if (interval) clearInterval(interval);
+    interval = null;
+  }
+
+  return { start, stop, handleEvent, tick, reconcile, rulesChanged };
+}
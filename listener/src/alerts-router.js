@@ -1,11 +1,27 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
+import {
+  CHANNEL_TYPES,
+  redactChannelConfig,
+  sendToChannel,
+  validateChannelConfig,
+} from './alert-channels.js';
+import { validateConditionTree } from './alert-conditions.js';
+import { DELIVERY_MODES } from './alert-digest.js';
+import { updateIncidentStatus, verifyIncidentLink } from './alert-incidents.js';
+import { backtestRule, parseBacktestWindow } from './alert-backtest.js';
+import { ALERT_OPERATORS, validateOperatorValues } from './alert-operators.js';
+import { isScheduleActive, nextScheduleChange, validateSchedule } from './alert-schedule.js';
+import { buildPayload } from './alerts.js';
 import { parseIntInRange } from './events-router.js';
 import { log } from './logger.js';
 import { validateWebhookTargetUrl } from './security.js';
+import { ROTATION_GRACE_MS, generateSigningSecret } from './webhook-signature.js';
 
 const VALID_SCOPE_TYPES = new Set(['all', 'room', 'accessory', 'characteristic']);
-const VALID_OPERATORS = new Set(['equals', 'not_equals', 'contains']);
+const VALID_CONDITION_TYPES = new Set(['event', 'absence']);
+const VALID_OPERATORS = new Set(ALERT_OPERATORS);
+const OPERATOR_ERROR = `operator must be one of: ${ALERT_OPERATORS.join(', ')}`;
 
 function parseScopeType(value) {
   const scopeType = String(value ?? 'all').trim().toLowerCase();
@@ -17,6 +33,61 @@ function parseOperator(value) {
   return VALID_OPERATORS.has(operator) ? operator : null;
 }
 
+function parseConditionType(value) {
+  const conditionType = String(value ?? 'event').trim().toLowerCase() || 'event';
+  return VALID_CONDITION_TYPES.has(conditionType) ? conditionType : null;
+}
+
+/** null/empty → no duration; otherwise 1–10080, or undefined when invalid. */
+function parseForMinutes(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const parsed = Number.parseInt(String(value), 10);
+  if (!Number.isFinite(parsed) || parsed < 1 || parsed > 10080) return undefined;
+  return parsed;
+}
+
+/**
+ * Validate the parts that decide when a rule fires. Absence rules fire on
+ * silence, so they ignore operator values; every other rule must supply
+ * the values its operator needs.
+ */
+function validateCondition({ conditionType, forMinutes, operator, matchValue, matchValueTo }) {
+  if (conditionType === 'absence') {
+    if (forMinutes === null) return { error: 'forMinutes is required for absence rules' };
+    return { value: { matchValue: '', matchValueTo: null } };
+  }
+  return validateOperatorValues(operator, matchValue, matchValueTo);
+}
+
+const MAX_RULE_CHANNELS = 20;
+
+/** Deduplicated positive channel ids, [] when absent, or null when invalid. */
+function parseChannelIds(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > MAX_RULE_CHANNELS) return null;
+  const ids = value.map((id) => Number.parseInt(String(id), 10));
+  if (ids.some((id) => !Number.isInteger(id) || id < 1)) return null;
+  return [...new Set(ids)];
+}
+
+const CHANNEL_IDS_ERROR = `channelIds must be an array of at most ${MAX_RULE_CHANNELS} channel ids`;
+const DESTINATION_ERROR = 'A rule needs a targetUrl or at least one channel';
+const ESCALATION_CHANNEL_IDS_ERROR = `escalationChannelIds must be an array of at most ${MAX_RULE_CHANNELS} channel ids`;
+const ESCALATION_DESTINATION_ERROR = 'Escalation needs an escalationTargetUrl or at least one escalation channel';
+const DELIVERY_MODE_ERROR = `deliveryMode must be one of: ${DELIVERY_MODES.join(', ')}`;
+
+function parseDeliveryMode(value) {
+  const mode = String(value ?? '').trim().toLowerCase() || 'immediate';
+  return DELIVERY_MODES.includes(mode) ? mode : null;
+}
+
+function parseTargetUrl(value, field) {
+  if (!String(value ?? '').trim()) return { value: null };
+  const target = validateWebhookTargetUrl(value, { allowPrivateTargets: ALERTS_ALLOW_PRIVATE_TARGETS });
+  if (!target.ok) return { error: target.error.replace('targetUrl', field) };
+  return { value: target.normalizedUrl };
+}
+
 function parseQuietMinutes(value, fallback = 0) {
   const parsed = Number.parseInt(String(value ?? ''), 10);
   if (!Number.isFinite(parsed)) return fallback;
@@ -61,7 +132,11 @@ const ALERTS_WRITE_RATE_LIMIT_MAX = parseIntInRange(
   100_000
 );
 
-function validateCreate(body = {}) {
+/**
+ * `requireDestination: false` is for drafts that are only backtested, which
+ * don't need anywhere to send alerts yet.
+ */
+function validateCreate(body = {}, { requireDestination = true } = {}) {
   const name = String(body.name ?? '').trim();
   if (!name) return { error: 'name is required' };
 
@@ -73,19 +148,58 @@ function validateCreate(body = {}) {
 
   const characteristic = String(body.characteristic ?? '').trim() || null;
   const operator = parseOperator(body.operator);
-  if (!operator) return { error: 'operator must be one of: equals, not_equals, contains' };
+  if (!operator) return { error: OPERATOR_ERROR };
+
+  const conditionType = parseConditionType(body.conditionType);
+  if (!conditionType) return { error: 'conditionType must be one of: event, absence' };
 
-  const matchValue = String(body.matchValue ?? '').trim();
-  if (!matchValue) return { error: 'matchValue is required' };
+  const forMinutes = parseForMinutes(body.forMinutes);
+  if (forMinutes === undefined) return { error: 'forMinutes must be an integer between 1 and 10080' };
 
-  const target = validateWebhookTargetUrl(body.targetUrl, {
-    allowPrivateTargets: ALERTS_ALLOW_PRIVATE_TARGETS,
+  const values = validateCondition({
+    conditionType,
+    forMinutes,
+    operator,
+    matchValue: body.matchValue,
+    matchValueTo: body.matchValueTo,
   });
-  if (!target.ok) return { error: target.error };
+  if (values.error) return { error: values.error };
+
+  const channelIds = parseChannelIds(body.channelIds);
+  if (!channelIds) return { error: CHANNEL_IDS_ERROR };
+
+  // With channels, the plain webhook target is optional.
+  let targetUrl = null;
+  if (String(body.targetUrl ?? '').trim() || (!channelIds.length && requireDestination)) {
+    const target = validateWebhookTargetUrl(body.targetUrl, {
+      allowPrivateTargets: ALERTS_ALLOW_PRIVATE_TARGETS,
+    });
+    if (!target.ok) return { error: target.error };
+    targetUrl = target.normalizedUrl;
+  }
 
   const quietMinutes = parseQuietMinutes(body.quietMinutes, 0);
   if (quietMinutes === null) return { error: 'quietMinutes must be an integer between 0 and 10080' };
 
+  const conditions = validateConditionTree(body.conditions);
+  if (conditions.error) return { error: conditions.error };
+
+  const schedule = validateSchedule(body.schedule);
+  if (schedule.error) return { error: schedule.error };
+
+  const escalateAfterMinutes = parseForMinutes(body.escalateAfterMinutes);
+  if (escalateAfterMinutes === undefined) return { error: 'escalateAfterMinutes must be an integer between 1 and 10080' };
+  const escalationTargetUrl = parseTargetUrl(body.escalationTargetUrl, 'escalationTargetUrl');
+  if (escalationTargetUrl.error) return { error: escalationTargetUrl.error };
+  const escalationChannelIds = parseChannelIds(body.escalationChannelIds);
+  if (!escalationChannelIds) return { error: ESCALATION_CHANNEL_IDS_ERROR };
+  if (escalateAfterMinutes !== null && requireDestination && !escalationTargetUrl.value && !escalationChannelIds.length) {
+    return { error: ESCALATION_DESTINATION_ERROR };
+  }
+
+  const deliveryMode = parseDeliveryMode(body.deliveryMode);
+  if (!deliveryMode) return { error: DELIVERY_MODE_ERROR };
+
   const enabled = body.enabled === undefined ? true : Boolean(body.enabled);
   return {
     value: {
@@ -95,9 +209,20 @@ function validateCreate(body = {}) {
       scopeValue: scopeType === 'all' ? null : scopeValue,
       characteristic,
       operator,
-      matchValue,
-      targetUrl: target.normalizedUrl,
+      matchValue: values.value.matchValue,
+      matchValueTo: values.value.matchValueTo,
+      conditionType,
+      forMinutes,
+      targetUrl,
+      channelIds,
       quietMinutes,
+      conditions: conditions.value,
+      schedule: schedule.value,
+      escalateAfterMinutes,
+      escalationTargetUrl: escalationTargetUrl.value,
+      escalationChannelIds,
+      autoResolve: Boolean(body.autoResolve),
+      deliveryMode,
     },
   };
 }
@@ -125,26 +250,79 @@ function validatePatch(body = {}) {
   }
   if ('operator' in body) {
     const operator = parseOperator(body.operator);
-    if (!operator) return { error: 'operator must be one of: equals, not_equals, contains' };
+    if (!operator) return { error: OPERATOR_ERROR };
     updates.operator = operator;
   }
   if ('matchValue' in body) {
-    const matchValue = String(body.matchValue ?? '').trim();
-    if (!matchValue) return { error: 'matchValue cannot be empty' };
-    updates.matchValue = matchValue;
+    updates.matchValue = String(body.matchValue ?? '').trim();
+  }
+  if ('matchValueTo' in body) {
+    updates.matchValueTo = String(body.matchValueTo ?? '').trim() || null;
+  }
+  if ('conditionType' in body) {
+    const conditionType = parseConditionType(body.conditionType);
+    if (!conditionType) return { error: 'conditionType must be one of: event, absence' };
+    updates.conditionType = conditionType;
+  }
+  if ('forMinutes' in body) {
+    const forMinutes = parseForMinutes(body.forMinutes);
+    if (forMinutes === undefined) return { error: 'forMinutes must be an integer between 1 and 10080' };
+    updates.forMinutes = forMinutes;
   }
   if ('targetUrl' in body) {
-    const target = validateWebhookTargetUrl(body.targetUrl, {
-      allowPrivateTargets: ALERTS_ALLOW_PRIVATE_TARGETS,
-    });
-    if (!target.ok) return { error: target.error };
-    updates.targetUrl = target.normalizedUrl;
+    if (String(body.targetUrl ?? '').trim()) {
+      const target = validateWebhookTargetUrl(body.targetUrl, {
+        allowPrivateTargets: ALERTS_ALLOW_PRIVATE_TARGETS,
+      });
+      if (!target.ok) return { error: target.error };
+      updates.targetUrl = target.normalizedUrl;
+    } else {
+      updates.targetUrl = null;
+    }
+  }
+  if ('channelIds' in body) {
+    const channelIds = parseChannelIds(body.channelIds);
+    if (!channelIds) return { error: CHANNEL_IDS_ERROR };
+    updates.channelIds = channelIds;
   }
   if ('quietMinutes' in body) {
     const quietMinutes = parseQuietMinutes(body.quietMinutes, 0);
     if (quietMinutes === null) return { error: 'quietMinutes must be an integer between 0 and 10080' };
     updates.quietMinutes = quietMinutes;
   }
+  if ('conditions' in body) {
+    const conditions = validateConditionTree(body.conditions);
+    if (conditions.error) return { error: conditions.error };
+    updates.conditions = conditions.value;
+  }
+  if ('schedule' in body) {
+    const schedule = validateSchedule(body.schedule);
+    if (schedule.error) return { error: schedule.error };
+    updates.schedule = schedule.value;
+  }
+  if ('escalateAfterMinutes' in body) {
+    const escalateAfterMinutes = parseForMinutes(body.escalateAfterMinutes);
+    if (escalateAfterMinutes === undefined) return { error: 'escalateAfterMinutes must be an integer between 1 and 10080' };
+    updates.escalateAfterMinutes = escalateAfterMinutes;
+  }
+  if ('escalationTargetUrl' in body) {
+    const escalationTargetUrl = parseTargetUrl(body.escalationTargetUrl, 'escalationTargetUrl');
+    if (escalationTargetUrl.error) return { error: escalationTargetUrl.error };
+    updates.escalationTargetUrl = escalationTargetUrl.value;
+  }
+  if ('escalationChannelIds' in body) {
+    const escalationChannelIds = parseChannelIds(body.escalationChannelIds);
+    if (!escalationChannelIds) return { error: ESCALATION_CHANNEL_IDS_ERROR };
+    updates.escalationChannelIds = escalationChannelIds;
+  }
+  if ('autoResolve' in body) {
+    updates.autoResolve = Boolean(body.autoResolve);
+  }
+  if ('deliveryMode' in body) {
+    const deliveryMode = parseDeliveryMode(body.deliveryMode);
+    if (!deliveryMode) return { error: DELIVERY_MODE_ERROR };
+    updates.deliveryMode = deliveryMode;
+  }
 
   const nextScopeType = updates.scopeType;
   const nextScopeValue = updates.scopeValue;
@@ -159,6 +337,34 @@ function validatePatch(body = {}) {
   return { value: updates };
 }
 
+// Signing secrets are write-only: rules report whether they sign, and the
+// secret itself is returned once, by the signing-secret route.
+const RULE_COLUMNS = `id, name, enabled, scope_type, scope_value, characteristic,
+  operator, match_value, match_value_to, condition_type, for_minutes, target_url, quiet_minutes, channel_ids,
+  conditions, schedule, escalate_after_minutes, escalation_target_url, escalation_channel_ids, auto_resolve,
+  delivery_mode, signing_secret IS NOT NULL AS signing_enabled, signing_secret_rotated_at, created_at, updated_at`;
+
+/** A validated create body in the alert_rules row shape alerts.js works with. */
+function draftToRuleRow(value) {
+  return {
+    id: null,
+    name: value.name,
+    enabled: value.enabled,
+    scope_type: value.scopeType,
+    scope_value: value.scopeValue,
+    characteristic: value.characteristic,
+    operator: value.operator,
+    match_value: value.matchValue,
+    match_value_to: value.matchValueTo,
+    condition_type: value.conditionType,
+    for_minutes: value.forMinutes,
+    quiet_minutes: value.quietMinutes,
+    conditions: value.conditions,
+    schedule: value.schedule,
+    delivery_mode: value.deliveryMode,
+  };
+}
+
 function toApiRule(row) {
   return {
     id: row.id,
@@ -169,14 +375,172 @@ function toApiRule(row) {
     characteristic: row.characteristic,
     operator: row.operator,
     matchValue: row.match_value,
-    targetUrl: row.target_url,
+    matchValueTo: row.match_value_to ?? null,
+    conditionType: row.condition_type ?? 'event',
+    forMinutes: row.for_minutes ?? null,
+    targetUrl: row.target_url ?? null,
+    channelIds: (row.channel_ids ?? []).map(Number),
     quietMinutes: row.quiet_minutes,
+    conditions: row.conditions ?? null,
+    schedule: row.schedule ?? null,
+    // Where the schedule (household timezone) has the rule right now.
+    armed: isScheduleActive(row.schedule ?? null),
+    nextScheduleChange: nextScheduleChange(row.schedule ?? null),
+    escalateAfterMinutes: row.escalate_after_minutes ?? null,
+    escalationTargetUrl: row.escalation_target_url ?? null,
+    escalationChannelIds: (row.escalation_channel_ids ?? []).map(Number),
+    autoResolve: Boolean(row.auto_resolve),
+    deliveryMode: row.delivery_mode ?? 'immediate',
+    signingEnabled: Boolean(row.signing_enabled),
+    signingSecretRotatedAt: row.signing_secret_rotated_at ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function toApiChannel(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    enabled: row.enabled,
+    config: redactChannelConfig(row.type, row.config),
     createdAt: row.created_at,
     updatedAt: row.updated_at,
   };
 }
 
-export function createAlertsRouter({ pool }) {
+function parseRowId(value) {
+  const id = Number.parseInt(String(value ?? ''), 10);
+  return Number.isFinite(id) && id >= 1 ? id : null;
+}
+
+/** Ids from `ids` that don't exist in alert_channels. */
+async function findMissingChannels(pool, ids) {
+  if (!ids.length) return [];
+  const result = await pool.query('SELECT id FROM alert_channels WHERE id = ANY($1::bigint[])', [ids]);
+  const found = new Set(result.rows.map((row) => Number(row.id)));
+  return ids.filter((id) => !found.has(id));
+}
+
+/** Payload for POST /channels/:id/test — shaped like a real firing. */
+function sampleAlertPayload() {
+  const now = new Date().toISOString();
+  return buildPayload(
+    { id: 0, name: 'Test alert', scope_type: 'all', operator: 'equals', match_value: 'true', quiet_minutes: 0 },
+    {
+      eventId: null,
+      timestamp: now,
+      accessoryId: 'test-accessory',
+      accessoryName: 'Test Accessory',
+      roomName: 'Test Room',
+      serviceType: 'ContactSensor',
+      characteristic: 'ContactSensorState',
+      oldValue: '0',
+      newValue: '1',
+      rawIid: null,
+    },
+    now
+  );
+}
+
+const CHANNEL_COLUMNS = 'id, name, type, enabled, config, created_at, updated_at';
+
+const DELIVERY_STATUSES = new Set(['pending', 'sent', 'failed', 'suppressed', 'dead', 'batched', 'digested']);
+
+const DELIVERY_SELECT = `SELECT d.id, d.rule_id, d.event_id, d.status, d.target_url, d.response_code, d.error, d.sent_at,
+         d.channel_id, d.channel_type, d.attempts, d.next_attempt_at, d.idempotency_key,
+         d.payload IS NOT NULL AS replayable, d.incident_id, r.name AS rule_name, c.name AS channel_name
+  FROM alert_deliveries d
+  LEFT JOIN alert_rules r ON r.id = d.rule_id
+  LEFT JOIN alert_channels c ON c.id = d.channel_id`;
+
+function toApiDelivery(row) {
+  return {
+    id: row.id,
+    ruleId: row.rule_id,
+    ruleName: row.rule_name,
+    eventId: row.event_id,
+    status: row.status,
+    targetUrl: row.target_url,
+    channelId: row.channel_id ?? null,
+    channelType: row.channel_type ?? 'webhook',
+    channelName: row.channel_name ?? null,
+    responseCode: row.response_code,
+    error: row.error,
+    attempts: row.attempts ?? 0,
+    nextAttemptAt: row.next_attempt_at ?? null,
+    idempotencyKey: row.idempotency_key ?? null,
+    replayable: Boolean(row.replayable) && (row.status === 'dead' || row.status === 'failed'),
+    incidentId: row.incident_id ?? null,
+    sentAt: row.sent_at,
+  };
+}
+
+const INCIDENT_VIEWS = new Set(['active', 'resolved', 'all']);
+
+const INCIDENT_SELECT = `SELECT i.id, i.rule_id, r.name AS rule_name, i.event_id, i.accessory_id,
+         i.payload->'event'->>'accessoryName' AS accessory_name, i.characteristic, i.status, i.summary,
+         i.fire_count, i.opened_at, i.last_fired_at, i.acknowledged_at, i.acknowledged_by,
+         i.resolved_at, i.resolved_by, i.resolution, i.escalate_at, i.escalated_at
+  FROM alert_incidents i
+  JOIN alert_rules r ON r.id = i.rule_id`;
+
+function toApiIncident(row) {
+  return {
+    id: row.id,
+    ruleId: row.rule_id,
+    ruleName: row.rule_name,
+    eventId: row.event_id ?? null,
+    accessoryId: row.accessory_id || null,
+    accessoryName: row.accessory_name ?? null,
+    characteristic: row.characteristic || null,
+    status: row.status,
+    summary: row.summary,
+    fireCount: row.fire_count,
+    openedAt: row.opened_at,
+    lastFiredAt: row.last_fired_at,
+    acknowledgedAt: row.acknowledged_at ?? null,
+    acknowledgedBy: row.acknowledged_by ?? null,
+    resolvedAt: row.resolved_at ?? null,
+    resolvedBy: row.resolved_by ?? null,
+    resolution: row.resolution ?? null,
+    escalateAt: row.escalate_at ?? null,
+    escalatedAt: row.escalated_at ?? null,
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/** Minimal page for signed links opened in a browser. */
+function renderLinkPage(res, status, title, body) {
+  res.status(status).type('html').send(`<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · HomeChronicle</title>
+<style>body{font-family:system-ui,sans-serif;max-width:32rem;margin:4rem auto;padding:0 1rem;color:#111827}
+button{font:inherit;padding:.5rem 1rem;border-radius:.5rem;border:0;background:#2563eb;color:#fff;cursor:pointer}
+p{color:#4b5563}</style></head>
+<body><h1>${escapeHtml(title)}</h1>${body}</body></html>`);
+}
+
+const LINK_ACTION_LABELS = { acknowledge: 'Acknowledge', resolve: 'Resolve' };
+const LINK_ACTION_DONE = { acknowledge: 'acknowledged', resolve: 'resolved' };
+
+/**
+ * @param {object} deps
+ * @param {import('pg').Pool} deps.pool
+ * @param {() => void} [deps.onRulesChanged] - called after a rule is created,
+ *   updated or deleted (the alert scheduler rebuilds its timers)
+ */
+/**
+ * @param {object} deps
+ * @param {import('pg').Pool} deps.pool
+ * @param {() => void} [deps.onRulesChanged]
+ * @param {{ replay(id: number): Promise<object|null> }|null} [deps.deliveryQueue] - see alert-queue.js
+ */
+export function createAlertsRouter({ pool, onRulesChanged = () => {}, deliveryQueue = null }) {
   const router = express.Router();
   const alertsReadLimiter = rateLimit({
     windowMs: ALERTS_READ_RATE_LIMIT_WINDOW_MS,
@@ -200,8 +564,7 @@ export function createAlertsRouter({ pool }) {
   router.get('/rules', alertsReadLimiter, async (_req, res) => {
     try {
       const result = await pool.query(
-        `SELECT id, name, enabled, scope_type, scope_value, characteristic,
-                operator, match_value, target_url, quiet_minutes, created_at, updated_at
+        `SELECT ${RULE_COLUMNS}
          FROM alert_rules
          ORDER BY updated_at DESC, id DESC`
       );
@@ -217,12 +580,16 @@ export function createAlertsRouter({ pool }) {
     if (parsed.error) return res.status(400).json({ error: parsed.error });
 
     try {
+      const missing = await findMissingChannels(pool, [...parsed.value.channelIds, ...parsed.value.escalationChannelIds]);
+      if (missing.length) return res.status(400).json({ error: `Unknown channel id(s): ${missing.join(', ')}` });
+
       const result = await pool.query(
         `INSERT INTO alert_rules
-           (name, enabled, scope_type, scope_value, characteristic, operator, match_value, target_url, quiet_minutes)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
-         RETURNING id, name, enabled, scope_type, scope_value, characteristic,
-                   operator, match_value, target_url, quiet_minutes, created_at, updated_at`,
+           (name, enabled, scope_type, scope_value, characteristic, operator, match_value, target_url, quiet_minutes,
+            match_value_to, condition_type, for_minutes, channel_ids, conditions, schedule,
+            escalate_after_minutes, escalation_target_url, escalation_channel_ids, auto_resolve, delivery_mode)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14::jsonb,$15::jsonb,$16,$17,$18,$19,$20)
+         RETURNING ${RULE_COLUMNS}`,
         [
           parsed.value.name,
           parsed.value.enabled,
@@ -233,8 +600,20 @@ export function createAlertsRouter({ pool }) {
           parsed.value.matchValue,
           parsed.value.targetUrl,
           parsed.value.quietMinutes,
+          parsed.value.matchValueTo,
+          parsed.value.conditionType,
+          parsed.value.forMinutes,
+          parsed.value.channelIds,
+          parsed.value.conditions ? JSON.stringify(parsed.value.conditions) : null,
+          parsed.value.schedule ? JSON.stringify(parsed.value.schedule) : null,
+          parsed.value.escalateAfterMinutes,
+          parsed.value.escalationTargetUrl,
+          parsed.value.escalationChannelIds,
+          parsed.value.autoResolve,
+          parsed.value.deliveryMode,
         ]
       );
+      onRulesChanged();
       res.status(201).json(toApiRule(result.rows[0]));
     } catch (err) {
       log.error('[api] /api/alerts/rules create error:', err.message ?? err.stack ?? err);
@@ -251,6 +630,63 @@ export function createAlertsRouter({ pool }) {
     const parsed = validatePatch(req.body);
     if (parsed.error) return res.status(400).json({ error: parsed.error });
 
+    // Condition fields and destinations are validated together, so a
+    // partial update is checked against the stored rule.
+    const conditionKeys = ['operator', 'matchValue', 'matchValueTo', 'conditionType', 'forMinutes'];
+    const destinationKeys = ['targetUrl', 'channelIds'];
+    const escalationKeys = ['escalateAfterMinutes', 'escalationTargetUrl', 'escalationChannelIds'];
+    const changesCondition = conditionKeys.some((key) => key in parsed.value);
+    const changesDestination = destinationKeys.some((key) => key in parsed.value);
+    const changesEscalation = escalationKeys.some((key) => key in parsed.value);
+    if (changesCondition || changesDestination || changesEscalation) {
+      try {
+        const current = await pool.query(
+          `SELECT operator, match_value, match_value_to, condition_type, for_minutes, target_url, channel_ids,
+                  escalate_after_minutes, escalation_target_url, escalation_channel_ids
+           FROM alert_rules WHERE id = $1`,
+          [ruleId]
+        );
+        if (!current.rows.length) return res.status(404).json({ error: 'Rule not found' });
+        const row = current.rows[0];
+        const pick = (key, column) => (key in parsed.value ? parsed.value[key] : row[column]);
+
+        if (changesDestination) {
+          const channelIds = pick('channelIds', 'channel_ids') ?? [];
+          if (!pick('targetUrl', 'target_url') && !channelIds.length) {
+            return res.status(400).json({ error: DESTINATION_ERROR });
+          }
+          const missing = await findMissingChannels(pool, parsed.value.channelIds ?? []);
+          if (missing.length) return res.status(400).json({ error: `Unknown channel id(s): ${missing.join(', ')}` });
+        }
+
+        if (changesEscalation) {
+          const escalationChannelIds = pick('escalationChannelIds', 'escalation_channel_ids') ?? [];
+          if (pick('escalateAfterMinutes', 'escalate_after_minutes')
+            && !pick('escalationTargetUrl', 'escalation_target_url') && !escalationChannelIds.length) {
+            return res.status(400).json({ error: ESCALATION_DESTINATION_ERROR });
+          }
+          const missing = await findMissingChannels(pool, parsed.value.escalationChannelIds ?? []);
+          if (missing.length) return res.status(400).json({ error: `Unknown channel id(s): ${missing.join(', ')}` });
+        }
+
+        if (changesCondition) {
+          const values = validateCondition({
+            conditionType: pick('conditionType', 'condition_type') ?? 'event',
+            forMinutes: pick('forMinutes', 'for_minutes') ?? null,
+            operator: pick('operator', 'operator'),
+            matchValue: pick('matchValue', 'match_value'),
+            matchValueTo: pick('matchValueTo', 'match_value_to'),
+          });
+          if (values.error) return res.status(400).json({ error: values.error });
+          parsed.value.matchValue = values.value.matchValue;
+          parsed.value.matchValueTo = values.value.matchValueTo;
+        }
+      } catch (err) {
+        log.error('[api] /api/alerts/rules patch error:', err.message ?? err.stack ?? err);
+        return res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+
     const fields = [];
     const params = [];
     const map = {
@@ -261,11 +697,23 @@ export function createAlertsRouter({ pool }) {
       characteristic: 'characteristic',
       operator: 'operator',
       matchValue: 'match_value',
+      matchValueTo: 'match_value_to',
+      conditionType: 'condition_type',
+      forMinutes: 'for_minutes',
       targetUrl: 'target_url',
+      channelIds: 'channel_ids',
       quietMinutes: 'quiet_minutes',
+      conditions: 'conditions',
+      schedule: 'schedule',
+      escalateAfterMinutes: 'escalate_after_minutes',
+      escalationTargetUrl: 'escalation_target_url',
+      escalationChannelIds: 'escalation_channel_ids',
+      autoResolve: 'auto_resolve',
+      deliveryMode: 'delivery_mode',
     };
+    const jsonKeys = new Set(['conditions', 'schedule']);
     for (const [key, value] of Object.entries(parsed.value)) {
-      params.push(value);
+      params.push(jsonKeys.has(key) && value ? JSON.stringify(value) : value);
       fields.push(`${map[key]} = $${params.length}`);
     }
     params.push(ruleId);
@@ -275,11 +723,11 @@ export function createAlertsRouter({ pool }) {
         `UPDATE alert_rules
          SET ${fields.join(', ')}, updated_at = NOW()
          WHERE id = $${params.length}
-         RETURNING id, name, enabled, scope_type, scope_value, characteristic,
-                   operator, match_value, target_url, quiet_minutes, created_at, updated_at`,
+         RETURNING ${RULE_COLUMNS}`,
         params
       );
       if (!result.rows.length) return res.status(404).json({ error: 'Rule not found' });
+      onRulesChanged();
       res.json(toApiRule(result.rows[0]));
     } catch (err) {
       log.error('[api] /api/alerts/rules patch error:', err.message ?? err.stack ?? err);
@@ -295,6 +743,7 @@ export function createAlertsRouter({ pool }) {
     try {
       const result = await pool.query('DELETE FROM alert_rules WHERE id = $1', [ruleId]);
       if (!result.rowCount) return res.status(404).json({ error: 'Rule not found' });
+      onRulesChanged();
       res.json({ success: true });
     } catch (err) {
       log.error('[api] /api/alerts/rules delete error:', err.message ?? err.stack ?? err);
@@ -302,39 +751,297 @@ export function createAlertsRouter({ pool }) {
     }
   });
 
+  /**
+   * Dry-run a saved rule over past events (body: `{ days }` or
+   * `{ from, to }`). Nothing is queued or sent.
+   */
+  router.post('/rules/:id/backtest', alertsWriteLimiter, async (req, res) => {
+    const ruleId = parseRowId(req.params.id);
+    if (!ruleId) return res.status(400).json({ error: 'Invalid rule id' });
+    const window = parseBacktestWindow(req.body ?? {});
+    if (window.error) return res.status(400).json({ error: window.error });
+
+    try {
+      const result = await pool.query(`SELECT ${RULE_COLUMNS} FROM alert_rules WHERE id = $1`, [ruleId]);
+      if (!result.rows.length) return res.status(404).json({ error: 'Rule not found' });
+      res.json(await backtestRule(pool, result.rows[0], window.value));
+    } catch (err) {
+      log.error('[api] /api/alerts/rules backtest error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /** Dry-run an unsaved rule: `{ rule, days }` or `{ rule, from, to }`. */
+  router.post('/rules/backtest', alertsWriteLimiter, async (req, res) => {
+    const body = req.body ?? {};
+    const draft = body.rule && typeof body.rule === 'object' ? body.rule : null;
+    if (!draft) return res.status(400).json({ error: 'rule is required' });
+    // Where alerts would go doesn't affect when they fire.
+    const parsed = validateCreate(
+      {
+        ...draft,
+        name: String(draft.name ?? '').trim() || 'Draft rule',
+        targetUrl: null,
+        channelIds: [],
+        escalationTargetUrl: null,
+        escalationChannelIds: [],
+      },
+      { requireDestination: false }
+    );
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const window = parseBacktestWindow(body);
+    if (window.error) return res.status(400).json({ error: window.error });
+
+    try {
+      res.json(await backtestRule(pool, draftToRuleRow(parsed.value), window.value));
+    } catch (err) {
+      log.error('[api] /api/alerts/rules draft backtest error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Enable signing or rotate the rule's secret. The old secret keeps
+   * signing alongside the new one for ROTATION_GRACE_MS so receivers can
+   * switch over without rejecting alerts.
+   */
+  router.post('/rules/:id/signing-secret', alertsWriteLimiter, async (req, res) => {
+    const ruleId = parseRowId(req.params.id);
+    if (!ruleId) return res.status(400).json({ error: 'Invalid rule id' });
+
+    try {
+      const secret = generateSigningSecret();
+      const result = await pool.query(
+        `UPDATE alert_rules
+         SET signing_secret_previous = signing_secret,
+             signing_secret_rotated_at = CASE WHEN signing_secret IS NULL THEN NULL ELSE NOW() END,
+             signing_secret = $2,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING signing_secret_previous IS NOT NULL AS rotated, signing_secret_rotated_at`,
+        [ruleId, secret]
+      );
+      if (!result.rows.length) return res.status(404).json({ error: 'Rule not found' });
+      const { rotated, signing_secret_rotated_at: rotatedAt } = result.rows[0];
+      res.json({
+        signingSecret: secret,
+        previousSecretValidUntil: rotated
+          ? new Date(new Date(rotatedAt).getTime() + ROTATION_GRACE_MS).toISOString()
+          : null,
+      });
+    } catch (err) {
+      log.error('[api] /api/alerts/rules signing-secret error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.delete('/rules/:id/signing-secret', alertsWriteLimiter, async (req, res) => {
+    const ruleId = parseRowId(req.params.id);
+    if (!ruleId) return res.status(400).json({ error: 'Invalid rule id' });
+
+    try {
+      const result = await pool.query(
+        `UPDATE alert_rules
+         SET signing_secret = NULL, signing_secret_previous = NULL, signing_secret_rotated_at = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [ruleId]
+      );
+      if (!result.rowCount) return res.status(404).json({ error: 'Rule not found' });
+      res.json({ success: true });
+    } catch (err) {
+      log.error('[api] /api/alerts/rules signing-secret delete error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.get('/channels', alertsReadLimiter, async (_req, res) => {
+    try {
+      const result = await pool.query(`SELECT ${CHANNEL_COLUMNS} FROM alert_channels ORDER BY name ASC, id ASC`);
+      res.json(result.rows.map(toApiChannel));
+    } catch (err) {
+      log.error('[api] /api/alerts/channels error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.post('/channels', alertsWriteLimiter, async (req, res) => {
+    const body = req.body ?? {};
+    const name = String(body.name ?? '').trim();
+    if (!name) return res.status(400).json({ error: 'name is required' });
+    const type = String(body.type ?? '').trim().toLowerCase();
+    if (!CHANNEL_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${CHANNEL_TYPES.join(', ')}` });
+    }
+    const config = validateChannelConfig(type, body.config ?? {});
+    if (config.error) return res.status(400).json({ error: config.error });
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO alert_channels (name, type, enabled, config)
+         VALUES ($1, $2, $3, $4::jsonb)
+         RETURNING ${CHANNEL_COLUMNS}`,
+        [name, type, body.enabled === undefined ? true : Boolean(body.enabled), JSON.stringify(config.value)]
+      );
+      res.status(201).json(toApiChannel(result.rows[0]));
+    } catch (err) {
+      log.error('[api] /api/alerts/channels create error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.patch('/channels/:id', alertsWriteLimiter, async (req, res) => {
+    const channelId = parseRowId(req.params.id);
+    if (!channelId) return res.status(400).json({ error: 'Invalid channel id' });
+    const body = req.body ?? {};
+
+    try {
+      const current = await pool.query(`SELECT ${CHANNEL_COLUMNS} FROM alert_channels WHERE id = $1`, [channelId]);
+      if (!current.rows.length) return res.status(404).json({ error: 'Channel not found' });
+      const existing = current.rows[0];
+
+      const name = 'name' in body ? String(body.name ?? '').trim() : existing.name;
+      if (!name) return res.status(400).json({ error: 'name cannot be empty' });
+      const enabled = 'enabled' in body ? Boolean(body.enabled) : existing.enabled;
+      // The type is fixed; config is replaced as a whole, keeping secrets
+      // that come back as the redaction placeholder.
+      const config = 'config' in body
+        ? validateChannelConfig(existing.type, body.config ?? {}, existing.config)
+        : { value: existing.config };
+      if (config.error) return res.status(400).json({ error: config.error });
+
+      const result = await pool.query(
+        `UPDATE alert_channels
+         SET name = $1, enabled = $2, config = $3::jsonb, updated_at = NOW()
+         WHERE id = $4
+         RETURNING ${CHANNEL_COLUMNS}`,
+        [name, enabled, JSON.stringify(config.value), channelId]
+      );
+      if (!result.rows.length) return res.status(404).json({ error: 'Channel not found' });
+      res.json(toApiChannel(result.rows[0]));
+    } catch (err) {
+      log.error('[api] /api/alerts/channels patch error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.delete('/channels/:id', alertsWriteLimiter, async (req, res) => {
+    const channelId = parseRowId(req.params.id);
+    if (!channelId) return res.status(400).json({ error: 'Invalid channel id' });
+
+    try {
+      // Refuse rather than leave a rule with nowhere to deliver.
+      const stranded = await pool.query(
+        `SELECT name FROM alert_rules
+         WHERE ($1::bigint = ANY(channel_ids) AND target_url IS NULL AND cardinality(channel_ids) = 1)
+            OR ($1::bigint = ANY(escalation_channel_ids) AND escalate_after_minutes IS NOT NULL
+                AND escalation_target_url IS NULL AND cardinality(escalation_channel_ids) = 1)
+         ORDER BY name ASC`,
+        [channelId]
+      );
+      if (stranded.rows.length) {
+        return res.status(409).json({
+          error: `Channel is the only destination of: ${stranded.rows.map((row) => row.name).join(', ')}`,
+        });
+      }
+
+      const result = await pool.query(
+        `WITH detached AS (
+           UPDATE alert_rules
+           SET channel_ids = array_remove(channel_ids, $1::bigint),
+               escalation_channel_ids = array_remove(escalation_channel_ids, $1::bigint),
+               updated_at = NOW()
+           WHERE $1::bigint = ANY(channel_ids) OR $1::bigint = ANY(escalation_channel_ids)
+         )
+         DELETE FROM alert_channels WHERE id = $1`,
+        [channelId]
+      );
+      if (!result.rowCount) return res.status(404).json({ error: 'Channel not found' });
+      res.json({ success: true });
+    } catch (err) {
+      log.error('[api] /api/alerts/channels delete error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /** Send a sample alert through a saved channel (enabled or not). */
+  router.post('/channels/:id/test', alertsWriteLimiter, async (req, res) => {
+    const channelId = parseRowId(req.params.id);
+    if (!channelId) return res.status(400).json({ error: 'Invalid channel id' });
+
+    try {
+      const result = await pool.query(`SELECT ${CHANNEL_COLUMNS} FROM alert_channels WHERE id = $1`, [channelId]);
+      if (!result.rows.length) return res.status(404).json({ error: 'Channel not found' });
+      const delivery = await sendToChannel(result.rows[0], sampleAlertPayload());
+      res.json({
+        status: delivery.status,
+        responseCode: delivery.responseCode ?? null,
+        error: delivery.error ?? null,
+      });
+    } catch (err) {
+      log.error('[api] /api/alerts/channels test error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /** Pending and fired timers of duration/absence rules, soonest first. */
+  router.get('/timers', alertsReadLimiter, async (_req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT t.id, t.rule_id, r.name AS rule_name, r.condition_type, r.for_minutes,
+                t.accessory_id, t.characteristic, t.context->>'accessoryName' AS accessory_name,
+                t.started_at, t.due_at, t.fired_at
+         FROM alert_timers t
+         JOIN alert_rules r ON r.id = t.rule_id
+         ORDER BY t.fired_at IS NOT NULL, t.due_at ASC
+         LIMIT 200`
+      );
+      res.json(result.rows.map((row) => ({
+        id: row.id,
+        ruleId: row.rule_id,
+        ruleName: row.rule_name,
+        conditionType: row.condition_type,
+        forMinutes: row.for_minutes,
+        accessoryId: row.accessory_id,
+        accessoryName: row.accessory_name ?? row.accessory_id,
+        characteristic: row.characteristic || null,
+        startedAt: row.started_at,
+        dueAt: row.due_at,
+        firedAt: row.fired_at,
+      })));
+    } catch (err) {
+      log.error('[api] /api/alerts/timers error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
   router.get('/deliveries', alertsReadLimiter, async (req, res) => {
     const page = parseIntInRange(req.query.page, 1, 1, Number.MAX_SAFE_INTEGER);
     const limit = parseIntInRange(req.query.limit, 50, 1, 200);
     const offset = (page - 1) * limit;
+    const status = String(req.query.status ?? '').trim().toLowerCase();
+    if (status && !DELIVERY_STATUSES.has(status)) {
+      return res.status(400).json({ error: `status must be one of: ${[...DELIVERY_STATUSES].join(', ')}` });
+    }
 
     try {
-      const countResult = await pool.query('SELECT COUNT(*)::int AS total FROM alert_deliveries');
+      const countResult = await pool.query(
+        'SELECT COUNT(*)::int AS total FROM alert_deliveries WHERE ($1::text IS NULL OR status = $1)',
+        [status || null]
+      );
       const total = countResult.rows[0]?.total ?? 0;
       const result = await pool.query(
-        `SELECT d.id, d.rule_id, d.event_id, d.status, d.target_url, d.response_code, d.error, d.sent_at,
-                r.name AS rule_name
-         FROM alert_deliveries d
-         LEFT JOIN alert_rules r ON r.id = d.rule_id
+        `${DELIVERY_SELECT}
+         WHERE ($3::text IS NULL OR d.status = $3)
          ORDER BY d.sent_at DESC, d.id DESC
          LIMIT $1 OFFSET $2`,
-        [limit, offset]
+        [limit, offset, status || null]
       );
       res.json({
         total,
         page,
         limit,
         pages: Math.ceil(total / limit),
-        deliveries: result.rows.map((row) => ({
-          id: row.id,
-          ruleId: row.rule_id,
-          ruleName: row.rule_name,
-          eventId: row.event_id,
-          status: row.status,
-          targetUrl: row.target_url,
-          responseCode: row.response_code,
-          error: row.error,
-          sentAt: row.sent_at,
-        })),
+        deliveries: result.rows.map(toApiDelivery),
       });
     } catch (err) {
       log.error('[api] /api/alerts/deliveries error:', err.message ?? err.stack ?? err);
@@ -342,5 +1049,120 @@ export function createAlertsRouter({ pool }) {
     }
   });
 
+  /** Incidents: `active` (open or acknowledged, the default), `resolved` or `all`, newest first. */
+  router.get('/incidents', alertsReadLimiter, async (req, res) => {
+    const view = String(req.query.status ?? 'active').trim().toLowerCase() || 'active';
+    if (!INCIDENT_VIEWS.has(view)) {
+      return res.status(400).json({ error: `status must be one of: ${[...INCIDENT_VIEWS].join(', ')}` });
+    }
+    const limit = parseIntInRange(req.query.limit, 50, 1, 200);
+
+    try {
+      const result = await pool.query(
+        `${INCIDENT_SELECT}
+         WHERE ($1 = 'all' OR ($1 = 'active') = (i.status <> 'resolved'))
+         ORDER BY i.opened_at DESC, i.id DESC
+         LIMIT $2`,
+        [view, limit]
+      );
+      res.json(result.rows.map(toApiIncident));
+    } catch (err) {
+      log.error('[api] /api/alerts/incidents error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  for (const action of ['acknowledge', 'resolve']) {
+    router.post(`/incidents/:id/${action}`, alertsWriteLimiter, async (req, res) => {
+      const incidentId = parseRowId(req.params.id);
+      if (!incidentId) return res.status(400).json({ error: 'Invalid incident id' });
+
+      try {
+        const updated = await updateIncidentStatus(pool, incidentId, action, { by: req.user?.username ?? null });
+        const result = await pool.query(`${INCIDENT_SELECT} WHERE i.id = $1`, [incidentId]);
+        if (!result.rows.length) return res.status(404).json({ error: 'Incident not found' });
+        if (!updated) {
+          return res.status(409).json({ error: `Incident is already ${result.rows[0].status}` });
+        }
+        res.json(toApiIncident(result.rows[0]));
+      } catch (err) {
+        log.error(`[api] /api/alerts/incidents ${action} error:`, err.message ?? err.stack ?? err);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+  }
+
+  /**
+   * Signed links from notifications. They work without signing in: GET
+   * shows a confirmation button (so link previews can't act on their own)
+   * and POST, from that button or an ntfy action, applies it.
+   */
+  async function loadLinkedIncident(req, res) {
+    const incidentId = parseRowId(req.params.id);
+    const result = incidentId
+      ? await pool.query('SELECT id, status, summary, action_secret FROM alert_incidents WHERE id = $1', [incidentId])
+      : { rows: [] };
+    const incident = result.rows[0];
+    const link = incident ? verifyIncidentLink(incident, req.query) : { ok: false, error: 'Invalid link' };
+    if (!link.ok) {
+      renderLinkPage(res, incident ? 403 : 404, 'Link not valid', `<p>${escapeHtml(link.error)}. Open HomeChronicle to manage this alert.</p>`);
+      return null;
+    }
+    return { incident, action: link.action };
+  }
+
+  router.get('/incidents/:id/link', alertsReadLimiter, async (req, res) => {
+    try {
+      const linked = await loadLinkedIncident(req, res);
+      if (!linked) return;
+      const { incident, action } = linked;
+      if (incident.status === 'resolved' || (action === 'acknowledge' && incident.status === 'acknowledged')) {
+        return renderLinkPage(res, 200, `Already ${incident.status}`, `<p>${escapeHtml(incident.summary)}</p>`);
+      }
+      renderLinkPage(res, 200, `${LINK_ACTION_LABELS[action]} alert?`, `<p>${escapeHtml(incident.summary)}</p>
+<form method="post"><button type="submit">${LINK_ACTION_LABELS[action]}</button></form>`);
+    } catch (err) {
+      log.error('[api] /api/alerts/incidents link error:', err.message ?? err.stack ?? err);
+      renderLinkPage(res, 500, 'Something went wrong', '<p>Please try again later.</p>');
+    }
+  });
+
+  router.post('/incidents/:id/link', alertsWriteLimiter, async (req, res) => {
+    try {
+      const linked = await loadLinkedIncident(req, res);
+      if (!linked) return;
+      const { incident, action } = linked;
+      const updated = await updateIncidentStatus(pool, incident.id, action, { by: 'link', resolution: 'link' });
+      const title = updated ? `Alert ${LINK_ACTION_DONE[action]}` : `Already ${incident.status}`;
+      renderLinkPage(res, 200, title, `<p>${escapeHtml(incident.summary)}</p>`);
+    } catch (err) {
+      log.error('[api] /api/alerts/incidents link error:', err.message ?? err.stack ?? err);
+      renderLinkPage(res, 500, 'Something went wrong', '<p>Please try again later.</p>');
+    }
+  });
+
+  /** Re-queue a dead-lettered delivery with its original payload and idempotency key. */
+  router.post('/deliveries/:id/replay', alertsWriteLimiter, async (req, res) => {
+    const deliveryId = parseRowId(req.params.id);
+    if (!deliveryId) return res.status(400).json({ error: 'Invalid delivery id' });
+    if (!deliveryQueue) return res.status(503).json({ error: 'Delivery queue is not running' });
+
+    try {
+      const existing = await pool.query(`${DELIVERY_SELECT} WHERE d.id = $1`, [deliveryId]);
+      if (!existing.rows.length) return res.status(404).json({ error: 'Delivery not found' });
+      if (!toApiDelivery(existing.rows[0]).replayable) {
+        return res.status(409).json({ error: 'Only dead or failed deliveries with a stored payload can be replayed' });
+      }
+
+      const replayed = await deliveryQueue.replay(deliveryId);
+      if (!replayed) return res.status(409).json({ error: 'Delivery is no longer replayable' });
+      const result = await pool.query(`${DELIVERY_SELECT} WHERE d.id = $1`, [deliveryId]);
+      res.json(toApiDelivery(result.rows[0]));
+    } catch (err) {
+      log.error('[api] /api/alerts/deliveries replay error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
   return router;
 }
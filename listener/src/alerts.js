@@ -1,13 +1,26 @@
-import { resolveAndValidateWebhookTarget } from './security.js';
+import { randomUUID } from 'crypto';
+import { describeChannelTarget, legacyWebhookChannel, summarizeAlert } from './alert-channels.js';
+import { checkRuleConditions } from './alert-conditions.js';
+import { buildIncidentLinks, openIncident } from './alert-incidents.js';
+import { isScheduleActive } from './alert-schedule.js';
+import { evaluateOperator } from './alert-operators.js';
+import { CONNECTION_CHARACTERISTICS } from './device-health.js';
 
-const ALERTS_WEBHOOK_TIMEOUT_MS = (() => {
-  const parsed = Number.parseInt(process.env.ALERTS_WEBHOOK_TIMEOUT_MS ?? '5000', 10);
-  if (!Number.isFinite(parsed) || parsed < 500) return 5000;
-  return parsed;
-})();
-const ALERTS_ALLOW_PRIVATE_TARGETS = /^(1|true|yes|on)$/i.test(
-  process.env.ALERTS_ALLOW_PRIVATE_TARGETS ?? 'true'
-);
+const queuedListeners = new Set();
+
+/**
+ * Register a callback for newly queued deliveries (alert-queue.js uses it
+ * to send right away instead of waiting for its next poll).
+ * @returns {() => void} unsubscribe
+ */
+export function onDeliveriesQueued(listener) {
+  queuedListeners.add(listener);
+  return () => queuedListeners.delete(listener);
+}
+
+export function notifyDeliveriesQueued() {
+  for (const listener of queuedListeners) listener();
+}
 
 function normalizeString(value) {
   return String(value ?? '').trim();
@@ -17,7 +30,7 @@ function normalizeLower(value) {
   return normalizeString(value).toLowerCase();
 }
 
-function eventMatchesScope(rule, event) {
+export function eventMatchesScope(rule, event) {
   const scopeType = normalizeLower(rule.scope_type || 'all');
   const scopeValue = normalizeString(rule.scope_value);
 
@@ -36,38 +49,82 @@ function eventMatchesScope(rule, event) {
   return false;
 }
 
-function eventMatchesCharacteristic(rule, event) {
+/**
+ * Rules can match a field of a Matter cluster event: a characteristic like
+ * `LockOperation.operationSource` matches LockOperation events and compares
+ * the event's `operationSource` field instead of its value. Returns the
+ * event as the rule sees it, or null when the rule can't apply to it.
+ */
+export function eventForRule(rule, event) {
+  const characteristic = normalizeString(rule.characteristic);
+  const dot = characteristic.indexOf('.');
+  if (dot <= 0) return event;
+
+  const data = event.eventData;
+  const field = characteristic.slice(dot + 1);
+  if (!data || typeof data !== 'object' || !Object.hasOwn(data, field)) return null;
+  if (normalizeLower(event.characteristic) !== normalizeLower(characteristic.slice(0, dot))) return null;
+  const value = data[field];
+  return {
+    ...event,
+    characteristic,
+    oldValue: null,
+    newValue: value !== null && typeof value === 'object' ? JSON.stringify(value) : normalizeString(value),
+  };
+}
+
+/**
+ * Connection rows (Reachable, ConnectivityGap) say nothing about the
+ * accessory's state, so only rules that name that characteristic see them.
+ */
+export function ruleSeesEvent(rule, event) {
+  const characteristic = normalizeLower(event.characteristic);
+  if (!CONNECTION_CHARACTERISTICS.some((name) => name.toLowerCase() === characteristic)) return true;
+  if (normalizeLower(rule.characteristic) === characteristic) return true;
+  return normalizeLower(rule.scope_type) === 'characteristic' && normalizeLower(rule.scope_value) === characteristic;
+}
+
+export function eventMatchesCharacteristic(rule, event) {
   const expected = normalizeString(rule.characteristic);
   if (!expected) return true;
   return normalizeLower(event.characteristic) === normalizeLower(expected);
 }
 
-function eventMatchesOperator(rule, event) {
-  const op = normalizeLower(rule.operator || 'equals');
-  const actual = normalizeString(event.newValue);
-  const expected = normalizeString(rule.match_value);
-
-  if (op === 'equals') return actual === expected;
-  if (op === 'not_equals') return actual !== expected;
-  if (op === 'contains') return normalizeLower(actual).includes(normalizeLower(expected));
-  return false;
+/** The `rule` section of alert and digest payloads. */
+export function rulePayload(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    scopeType: rule.scope_type,
+    scopeValue: rule.scope_value,
+    characteristic: rule.characteristic,
+    operator: rule.operator,
+    matchValue: rule.match_value,
+    matchValueTo: rule.match_value_to ?? null,
+    conditionType: rule.condition_type ?? 'event',
+    forMinutes: rule.for_minutes ?? null,
+    quietMinutes: rule.quiet_minutes,
+    targetUrl: rule.target_url ?? null,
+    channelIds: (rule.channel_ids ?? []).map(Number),
+    conditions: rule.conditions ?? null,
+    escalation: rule.escalate_after_minutes
+      ? {
+        afterMinutes: rule.escalate_after_minutes,
+        targetUrl: rule.escalation_target_url ?? null,
+        channelIds: (rule.escalation_channel_ids ?? []).map(Number),
+      }
+      : null,
+    autoResolve: Boolean(rule.auto_resolve),
+    deliveryMode: rule.delivery_mode ?? 'immediate',
+  };
 }
 
-function buildPayload(rule, event, firedAt) {
+export function buildPayload(rule, event, firedAt, condition = null) {
   return {
     type: 'homechronicle.alert',
     firedAt,
-    rule: {
-      id: rule.id,
-      name: rule.name,
-      scopeType: rule.scope_type,
-      scopeValue: rule.scope_value,
-      characteristic: rule.characteristic,
-      operator: rule.operator,
-      matchValue: rule.match_value,
-      quietMinutes: rule.quiet_minutes,
-      targetUrl: rule.target_url,
-    },
+    condition,
+    rule: rulePayload(rule),
     event: {
       id: event.eventId,
       timestamp: event.timestamp,
@@ -79,6 +136,7 @@ function buildPayload(rule, event, firedAt) {
       oldValue: event.oldValue,
       newValue: event.newValue,
       rawIid: event.rawIid,
+      eventData: event.eventData ?? null,
     },
   };
 }
@@ -86,15 +144,21 @@ function buildPayload(rule, event, firedAt) {
 async function createDelivery(pool, data) {
   await pool.query(
     `INSERT INTO alert_deliveries
-       (rule_id, event_id, status, target_url, response_code, error)
-     VALUES ($1, $2, $3, $4, $5, $6)`,
+       (rule_id, event_id, status, target_url, response_code, error, channel_id, channel_type,
+        payload, idempotency_key, next_attempt_at, incident_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::jsonb, $10, CASE WHEN $3 = 'pending' THEN NOW() END, $11)`,
     [
       data.ruleId,
       data.eventId ?? null,
       data.status,
-      data.targetUrl,
+      data.targetUrl ?? '',
       data.responseCode ?? null,
       data.error ?? null,
+      data.channelId ?? null,
+      data.channelType ?? 'webhook',
+      data.payload ? JSON.stringify(data.payload) : null,
+      data.idempotencyKey ?? null,
+      data.incidentId ?? null,
     ]
   );
 }
@@ -103,11 +167,13 @@ async function isSuppressed(pool, ruleId, quietMinutes) {
   const minutes = Number.parseInt(String(quietMinutes ?? 0), 10);
   if (!Number.isFinite(minutes) || minutes <= 0) return false;
 
+  // Queued deliveries count too, so a burst of events can't slip past the
+  // quiet period before the first one has been sent.
   const result = await pool.query(
     `SELECT sent_at
      FROM alert_deliveries
      WHERE rule_id = $1
-       AND status = 'sent'
+       AND status IN ('sent', 'pending')
      ORDER BY sent_at DESC
      LIMIT 1`,
     [ruleId]
@@ -119,89 +185,156 @@ async function isSuppressed(pool, ruleId, quietMinutes) {
   return Date.now() - lastSentAt < minutes * 60_000;
 }
 
-async function sendWebhook(rule, event) {
-  const target = await resolveAndValidateWebhookTarget(rule.target_url, {
-    allowPrivateTargets: ALERTS_ALLOW_PRIVATE_TARGETS,
-  });
-  if (!target.ok) {
-    return {
+/** A plain webhook target_url (if any) followed by the enabled channels among `channelIds`. */
+async function loadChannels(pool, targetUrl, channelIds) {
+  const channels = targetUrl ? [legacyWebhookChannel(targetUrl)] : [];
+  const ids = (channelIds ?? []).map(Number).filter(Number.isInteger);
+  if (!ids.length) return channels;
+
+  const result = await pool.query(
+    `SELECT id, name, type, enabled, config
+     FROM alert_channels
+     WHERE id = ANY($1::bigint[]) AND enabled = TRUE
+     ORDER BY id ASC`,
+    [ids]
+  );
+  return [...channels, ...result.rows];
+}
+
+/** One 'pending' alert_deliveries row per channel, or a 'failed' one without channels. */
+async function queueDeliveries(pool, rule, channels, { eventId, payload, incidentId }) {
+  if (!channels.length) {
+    await createDelivery(pool, {
+      ruleId: rule.id,
+      eventId,
       status: 'failed',
-      error: `Blocked webhook target: ${target.error}`,
-    };
+      error: 'No enabled delivery channels',
+      incidentId,
+    });
+    return;
   }
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), ALERTS_WEBHOOK_TIMEOUT_MS);
-
-  try {
-    const firedAt = new Date().toISOString();
-    const payload = buildPayload(rule, event, firedAt);
-    const response = await fetch(target.normalizedUrl, {
-      method: 'POST',
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify(payload),
-      signal: controller.signal,
+  for (const channel of channels) {
+    await createDelivery(pool, {
+      ruleId: rule.id,
+      eventId,
+      status: 'pending',
+      targetUrl: describeChannelTarget(channel),
+      channelId: channel.id,
+      channelType: channel.type,
+      payload,
+      idempotencyKey: randomUUID(),
+      incidentId,
     });
+  }
+  notifyDeliveriesQueued();
+}
 
-    if (!response.ok) {
-      const text = (await response.text().catch(() => '')).slice(0, 300);
-      return {
-        status: 'failed',
-        responseCode: response.status,
-        error: text || `HTTP ${response.status}`,
-      };
-    }
+function incidentPayload(incident) {
+  return {
+    id: incident.id,
+    status: incident.status,
+    openedAt: incident.opened_at instanceof Date ? incident.opened_at.toISOString() : incident.opened_at,
+    links: buildIncidentLinks(incident),
+  };
+}
 
-    return { status: 'sent', responseCode: response.status };
-  } catch (err) {
-    return {
-      status: 'failed',
-      error: err?.name === 'AbortError'
-        ? `Webhook timeout after ${ALERTS_WEBHOOK_TIMEOUT_MS}ms`
-        : (err?.message ?? 'Webhook request failed'),
-    };
-  } finally {
-    clearTimeout(timeoutId);
+/**
+ * Queue one firing of `rule` for each of its channels, honouring its quiet
+ * period: one 'pending' alert_deliveries row per channel, sent (and retried)
+ * by alert-queue.js. Firings that aren't suppressed open (or join) an
+ * incident — see alert-incidents.js. `condition` describes timer-driven
+ * firings (see alert-scheduler.js) and the accessory state behind compound
+ * conditions (see alert-conditions.js); it is included in the payload.
+ */
+export async function deliverAlert(pool, rule, event, condition = null) {
+  // Digest rules record the match for the next digest (see alert-digest.js).
+  if (rule.delivery_mode === 'hourly' || rule.delivery_mode === 'daily') {
+    await createDelivery(pool, {
+      ruleId: rule.id,
+      eventId: event.eventId,
+      status: 'batched',
+      payload: buildPayload(rule, event, new Date().toISOString(), condition),
+    });
+    return;
+  }
+
+  const suppressed = await isSuppressed(pool, rule.id, rule.quiet_minutes);
+  if (suppressed) {
+    await createDelivery(pool, {
+      ruleId: rule.id,
+      eventId: event.eventId,
+      status: 'suppressed',
+      targetUrl: rule.target_url,
+      error: `Suppressed by quiet period (${rule.quiet_minutes} minute(s))`,
+    });
+    return;
   }
+
+  const payload = buildPayload(rule, event, new Date().toISOString(), condition);
+  const incident = await openIncident(pool, rule, event, { summary: summarizeAlert(payload), payload });
+  const channels = await loadChannels(pool, rule.target_url, rule.channel_ids);
+  await queueDeliveries(pool, rule, channels, {
+    eventId: event.eventId,
+    payload: { ...payload, incident: incidentPayload(incident) },
+    incidentId: incident.id,
+  });
+}
+
+/** Queue a digest built by alert-digest.js to the rule's target and channels. */
+export async function deliverDigest(pool, rule, payload) {
+  const channels = await loadChannels(pool, rule.target_url, rule.channel_ids);
+  await queueDeliveries(pool, rule, channels, { eventId: null, payload });
+}
+
+/**
+ * Send an incident that nobody acknowledged in time to the rule's
+ * escalation target and channels. The payload is the original firing's,
+ * plus `escalation`.
+ */
+export async function deliverEscalation(pool, rule, incident) {
+  const channels = await loadChannels(pool, rule.escalation_target_url, rule.escalation_channel_ids);
+  const payload = {
+    ...incident.payload,
+    escalation: {
+      afterMinutes: rule.escalate_after_minutes,
+      escalatedAt: new Date().toISOString(),
+      fireCount: incident.fire_count,
+    },
+    incident: incidentPayload({ ...incident, status: 'open' }),
+  };
+  await queueDeliveries(pool, rule, channels, { eventId: incident.event_id, payload, incidentId: incident.id });
 }
 
 export async function processAlertsForEvent(pool, event) {
   if (!event?.eventId) return;
 
+  // Rules with for_minutes are timer-driven and handled by the scheduler.
   const rulesResult = await pool.query(
     `SELECT id, name, enabled, scope_type, scope_value, characteristic,
-            operator, match_value, target_url, quiet_minutes
+            operator, match_value, match_value_to, target_url, quiet_minutes, channel_ids, conditions, schedule,
+            escalate_after_minutes, escalation_target_url, escalation_channel_ids, auto_resolve, delivery_mode
      FROM alert_rules
-     WHERE enabled = TRUE
+     WHERE enabled = TRUE AND for_minutes IS NULL
      ORDER BY id ASC`
   );
   if (!rulesResult.rows.length) return;
 
+  const now = new Date();
   for (const rule of rulesResult.rows) {
+    if (!isScheduleActive(rule.schedule, now)) continue;
+    if (!ruleSeesEvent(rule, event)) continue;
+    const ruleEvent = eventForRule(rule, event);
+    if (!ruleEvent) continue;
     if (!eventMatchesScope(rule, event)) continue;
-    if (!eventMatchesCharacteristic(rule, event)) continue;
-    if (!eventMatchesOperator(rule, event)) continue;
-
-    const suppressed = await isSuppressed(pool, rule.id, rule.quiet_minutes);
-    if (suppressed) {
-      await createDelivery(pool, {
-        ruleId: rule.id,
-        eventId: event.eventId,
-        status: 'suppressed',
-        targetUrl: rule.target_url,
-        error: `Suppressed by quiet period (${rule.quiet_minutes} minute(s))`,
-      });
+    if (!eventMatchesCharacteristic(rule, ruleEvent)) continue;
+    if (!evaluateOperator(rule, ruleEvent)) continue;
+
+    if (rule.conditions) {
+      const check = await checkRuleConditions(pool, rule, event);
+      if (!check.ok) continue;
+      await deliverAlert(pool, rule, event, { type: 'compound', state: check.state });
       continue;
     }
-
-    const delivery = await sendWebhook(rule, event);
-    await createDelivery(pool, {
-      ruleId: rule.id,
-      eventId: event.eventId,
-      status: delivery.status,
-      targetUrl: rule.target_url,
-      responseCode: delivery.responseCode,
-      error: delivery.error,
-    });
+    await deliverAlert(pool, rule, event);
   }
 }
@@ -0,0 +1,418 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import {
+  authenticateRequest,
+  burnPasswordCheck,
+  buildClearedSessionCookie,
+  buildSessionCookie,
+  generateAuthToken,
+  hashAuthToken,
+  hashPassword,
+  isSecureRequest,
+  isValidRole,
+  normalizeUsername,
+  ROLES,
+  toApiUser,
+  validatePassword,
+  verifyPassword,
+} from './auth.js';
+import { parseIntInRange } from './events-router.js';
+import { log } from './logger.js';
+
+const AUTH_LOGIN_RATE_LIMIT_WINDOW_MS = parseIntInRange(
+  process.env.AUTH_LOGIN_RATE_LIMIT_WINDOW_MS,
+  15 * 60 * 1000,
+  1_000,
+  24 * 60 * 60 * 1000
+);
+const AUTH_LOGIN_RATE_LIMIT_MAX = parseIntInRange(process.env.AUTH_LOGIN_RATE_LIMIT_MAX, 10, 1, 10_000);
+const AUTH_WRITE_RATE_LIMIT_WINDOW_MS = parseIntInRange(
+  process.env.AUTH_WRITE_RATE_LIMIT_WINDOW_MS,
+  60_000,
+  1_000,
+  24 * 60 * 60 * 1000
+);
+const AUTH_WRITE_RATE_LIMIT_MAX = parseIntInRange(process.env.AUTH_WRITE_RATE_LIMIT_MAX, 30, 1, 10_000);
+
+const MAX_TOKEN_NAME_LENGTH = 80;
+const MAX_TOKEN_EXPIRY_DAYS = 3650;
+const USER_COLUMNS = 'id, username, role, disabled, created_at, last_login_at';
+const TOKEN_COLUMNS = 'id, name, created_at, last_used_at, expires_at';
+
+function rateLimitKeyGenerator(req) {
+  const forwardedFor = req?.headers?.['x-forwarded-for'];
+  if (typeof forwardedFor === 'string' && forwardedFor.trim()) {
+    return forwardedFor.split(',')[0].trim();
+  }
+  return req?.ip ?? req?.socket?.remoteAddress ?? 'unknown';
+}
+
+function parseRowId(value) {
+  const id = Number.parseInt(String(value ?? ''), 10);
+  return Number.isFinite(id) && id >= 1 ? id : null;
+}
+
+function toApiToken(row) {
+  return {
+    id: Number(row.id),
+    name: row.name,
+    createdAt: row.created_at ?? null,
+    lastUsedAt: row.last_used_at ?? null,
+    expiresAt: row.expires_at ?? null,
+  };
+}
+
+/** null/empty → never expires; otherwise 1–3650 days, or undefined when invalid. */
+function parseExpiresInDays(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const parsed = Number.parseInt(String(value), 10);
+  if (!Number.isFinite(parsed) || parsed < 1 || parsed > MAX_TOKEN_EXPIRY_DAYS) return undefined;
+  return parsed;
+}
+
+/**
+ * @param {object} deps
+ * @param {import('pg').Pool} deps.pool
+ * @param {'token'|'users'} deps.mode - AUTH_MODE; only /status is served in token mode
+ * @param {number} [deps.sessionTtlHours]
+ */
+export function createAuthRouter({ pool, mode, sessionTtlHours = 720 }) {
+  const router = express.Router();
+  const loginLimiter = rateLimit({
+    windowMs: AUTH_LOGIN_RATE_LIMIT_WINDOW_MS,
+    max: AUTH_LOGIN_RATE_LIMIT_MAX,
+    standardHeaders: true,
+    legacyHeaders: false,
+    validate: false,
+    skipSuccessfulRequests: true,
+    keyGenerator: rateLimitKeyGenerator,
+    message: { error: 'Too many sign-in attempts, try again later' },
+  });
+  const authWriteLimiter = rateLimit({
+    windowMs: AUTH_WRITE_RATE_LIMIT_WINDOW_MS,
+    max: AUTH_WRITE_RATE_LIMIT_MAX,
+    standardHeaders: true,
+    legacyHeaders: false,
+    validate: false,
+    keyGenerator: rateLimitKeyGenerator,
+    message: { error: 'Too many requests' },
+  });
+
+  router.get('/status', async (req, res) => {
+    if (mode !== 'users') return res.json({ mode, user: null });
+    try {
+      const user = await authenticateRequest(pool, req);
+      if (!user) return res.json({ mode, user: null });
+      const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [user.id]);
+      res.json({ mode, user: result.rows[0] ? toApiUser(result.rows[0]) : null });
+    } catch (err) {
+      log.error('[api] /api/auth/status error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  if (mode !== 'users') return router;
+
+  /** Revoke every session of a user, optionally keeping one. */
+  async function revokeSessions(userId, exceptTokenId = null) {
+    await pool.query(
+      `UPDATE auth_tokens SET revoked_at = NOW()
+       WHERE user_id = $1 AND kind = 'session' AND revoked_at IS NULL
+         AND ($2::bigint IS NULL OR id <> $2::bigint)`,
+      [userId, exceptTokenId]
+    );
+  }
+
+  /** Admins left after excluding one user (who is being demoted, disabled or deleted). */
+  async function countOtherActiveAdmins(userId) {
+    const result = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM users
+       WHERE role = 'admin' AND NOT disabled AND id <> $1`,
+      [userId]
+    );
+    return Number(result.rows[0]?.total ?? 0);
+  }
+
+  router.post('/login', loginLimiter, async (req, res) => {
+    const username = normalizeUsername(req.body?.username);
+    const password = typeof req.body?.password === 'string' ? req.body.password : '';
+    if (!username || !password) {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+
+    try {
+      const result = await pool.query(
+        `SELECT ${USER_COLUMNS}, password_hash FROM users WHERE username = $1`,
+        [username]
+      );
+      const row = result.rows[0];
+      const valid = row
+        ? await verifyPassword(password, row.password_hash)
+        : await burnPasswordCheck(password);
+      if (!valid || row.disabled) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+
+      const token = generateAuthToken('session');
+      await pool.query(
+        `DELETE FROM auth_tokens
+         WHERE kind = 'session' AND (expires_at <= NOW() OR revoked_at IS NOT NULL)`
+      );
+      await pool.query(
+        `INSERT INTO auth_tokens (user_id, kind, name, token_hash, expires_at)
+         VALUES ($1, 'session', $2, $3, NOW() + ($4::int * INTERVAL '1 hour'))`,
+        [
+          row.id,
+          String(req.headers?.['user-agent'] ?? '').slice(0, MAX_TOKEN_NAME_LENGTH) || 'Browser',
+          hashAuthToken(token),
+          sessionTtlHours,
+        ]
+      );
+      await pool.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [row.id]);
+
+      res.setHeader('Set-Cookie', buildSessionCookie(token, {
+        maxAgeSeconds: sessionTtlHours * 3600,
+        secure: isSecureRequest(req),
+      }));
+      log.info(`[auth] "${username}" signed in`);
+      res.json({ user: toApiUser({ ...row, last_login_at: new Date().toISOString() }) });
+    } catch (err) {
+      log.error('[api] /api/auth/login error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.post('/logout', async (req, res) => {
+    try {
+      const user = await authenticateRequest(pool, req);
+      if (user?.tokenKind === 'session') {
+        await pool.query('UPDATE auth_tokens SET revoked_at = NOW() WHERE id = $1', [user.tokenId]);
+      }
+      res.setHeader('Set-Cookie', buildClearedSessionCookie({ secure: isSecureRequest(req) }));
+      res.json({ success: true });
+    } catch (err) {
+      log.error('[api] /api/auth/logout error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.get('/me', async (req, res) => {
+    try {
+      const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [req.user.id]);
+      if (!result.rows.length) return res.status(404).json({ error: 'User not found' });
+      res.json({ user: toApiUser(result.rows[0]) });
+    } catch (err) {
+      log.error('[api] /api/auth/me error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /** Change your own password. Other browser sessions are signed out. */
+  router.post('/password', authWriteLimiter, async (req, res) => {
+    const currentPassword = typeof req.body?.currentPassword === 'string' ? req.body.currentPassword : '';
+    const next = validatePassword(req.body?.newPassword);
+    if (next.error) return res.status(400).json({ error: `newPassword: ${next.error}` });
+
+    try {
+      const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+      if (!result.rows.length) return res.status(404).json({ error: 'User not found' });
+      if (!(await verifyPassword(currentPassword, result.rows[0].password_hash))) {
+        return res.status(403).json({ error: 'Current password is incorrect' });
+      }
+      await pool.query(
+        'UPDATE users SET password_hash = $2, updated_at = NOW() WHERE id = $1',
+        [req.user.id, await hashPassword(next.value)]
+      );
+      await revokeSessions(req.user.id, req.user.tokenKind === 'session' ? req.user.tokenId : null);
+      res.json({ success: true });
+    } catch (err) {
+      log.error('[api] /api/auth/password error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.get('/tokens', async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT ${TOKEN_COLUMNS} FROM auth_tokens
+         WHERE user_id = $1 AND kind = 'device' AND revoked_at IS NULL
+         ORDER BY created_at DESC, id DESC`,
+        [req.user.id]
+      );
+      res.json(result.rows.map(toApiToken));
+    } catch (err) {
+      log.error('[api] /api/auth/tokens error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Issue a device token for the caller. It acts with the caller's role and
+   * is only returned here — store it on the device right away.
+   */
+  router.post('/tokens', authWriteLimiter, async (req, res) => {
+    const name = String(req.body?.name ?? '').trim();
+    if (!name) return res.status(400).json({ error: 'name is required' });
+    if (name.length > MAX_TOKEN_NAME_LENGTH) {
+      return res.status(400).json({ error: `name must be at most ${MAX_TOKEN_NAME_LENGTH} characters` });
+    }
+    const expiresInDays = parseExpiresInDays(req.body?.expiresInDays);
+    if (expiresInDays === undefined) {
+      return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_TOKEN_EXPIRY_DAYS}` });
+    }
+
+    try {
+      const token = generateAuthToken('device');
+      const result = await pool.query(
+        `INSERT INTO auth_tokens (user_id, kind, name, token_hash, expires_at)
+         VALUES ($1, 'device', $2, $3,
+                 CASE WHEN $4::int IS NULL THEN NULL ELSE NOW() + ($4::int * INTERVAL '1 day') END)
+         RETURNING ${TOKEN_COLUMNS}`,
+        [req.user.id, name, hashAuthToken(token), expiresInDays]
+      );
+      res.status(201).json({ ...toApiToken(result.rows[0]), token });
+    } catch (err) {
+      log.error('[api] /api/auth/tokens create error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.delete('/tokens/:id', authWriteLimiter, async (req, res) => {
+    const tokenId = parseRowId(req.params.id);
+    if (!tokenId) return res.status(400).json({ error: 'Invalid token id' });
+    try {
+      const result = await pool.query(
+        `UPDATE auth_tokens SET revoked_at = NOW()
+         WHERE id = $1 AND user_id = $2 AND kind = 'device' AND revoked_at IS NULL`,
+        [tokenId, req.user.id]
+      );
+      if (!result.rowCount) return res.status(404).json({ error: 'Token not found' });
+      res.json({ success: true });
+    } catch (err) {
+      log.error('[api] /api/auth/tokens delete error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.get('/users', async (_req, res) => {
+    try {
+      const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users ORDER BY username ASC`);
+      res.json(result.rows.map(toApiUser));
+    } catch (err) {
+      log.error('[api] /api/auth/users error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.post('/users', authWriteLimiter, async (req, res) => {
+    const username = normalizeUsername(req.body?.username);
+    if (!username) {
+      return res.status(400).json({ error: 'username must be 1-64 characters of a-z, 0-9, ".", "_" or "-"' });
+    }
+    const role = String(req.body?.role ?? 'viewer').trim().toLowerCase();
+    if (!isValidRole(role)) return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    const password = validatePassword(req.body?.password);
+    if (password.error) return res.status(400).json({ error: password.error });
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO users (username, password_hash, role)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (username) DO NOTHING
+         RETURNING ${USER_COLUMNS}`,
+        [username, await hashPassword(password.value), role]
+      );
+      if (!result.rows.length) return res.status(409).json({ error: 'A user with that name already exists' });
+      log.info(`[auth] "${req.user?.username}" created ${role} "${username}"`);
+      res.status(201).json(toApiUser(result.rows[0]));
+    } catch (err) {
+      log.error('[api] /api/auth/users create error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Change a user's role, disable/enable them or reset their password.
+   * Disabling or resetting signs the user out everywhere; the last active
+   * admin can't be demoted or disabled.
+   */
+  router.patch('/users/:id', authWriteLimiter, async (req, res) => {
+    const userId = parseRowId(req.params.id);
+    if (!userId) return res.status(400).json({ error: 'Invalid user id' });
+    const body = req.body ?? {};
+
+    let role;
+    if (body.role !== undefined) {
+      role = String(body.role).trim().toLowerCase();
+      if (!isValidRole(role)) return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (body.disabled !== undefined && typeof body.disabled !== 'boolean') {
+      return res.status(400).json({ error: 'disabled must be a boolean' });
+    }
+    let password;
+    if (body.password !== undefined) {
+      const validated = validatePassword(body.password);
+      if (validated.error) return res.status(400).json({ error: validated.error });
+      password = validated.value;
+    }
+    if (role === undefined && body.disabled === undefined && password === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    try {
+      const current = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [userId]);
+      const user = current.rows[0];
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      const losesAdmin = user.role === 'admin' && !user.disabled
+        && ((role !== undefined && role !== 'admin') || body.disabled === true);
+      if (losesAdmin && (await countOtherActiveAdmins(userId)) === 0) {
+        return res.status(409).json({ error: 'At least one active admin is required' });
+      }
+
+      const result = await pool.query(
+        `UPDATE users
+         SET role = COALESCE($2, role),
+             disabled = COALESCE($3, disabled),
+             password_hash = COALESCE($4, password_hash),
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING ${USER_COLUMNS}`,
+        [userId, role ?? null, body.disabled ?? null, password ? await hashPassword(password) : null]
+      );
+      if (body.disabled === true) {
+        await pool.query('UPDATE auth_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL', [userId]);
+      } else if (password) {
+        await revokeSessions(userId);
+      }
+      res.json(toApiUser(result.rows[0]));
+    } catch (err) {
+      log.error('[api] /api/auth/users update error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  router.delete('/users/:id', authWriteLimiter, async (req, res) => {
+    const userId = parseRowId(req.params.id);
+    if (!userId) return res.status(400).json({ error: 'Invalid user id' });
+    if (userId === req.user?.id) return res.status(409).json({ error: 'You cannot delete your own account' });
+
+    try {
+      const current = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [userId]);
+      const user = current.rows[0];
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      if (user.role === 'admin' && !user.disabled && (await countOtherActiveAdmins(userId)) === 0) {
+        return res.status(409).json({ error: 'At least one active admin is required' });
+      }
+      // auth_tokens rows go with the user (ON DELETE CASCADE).
+      await pool.query('DELETE FROM users WHERE id = $1', [userId]);
+      log.info(`[auth] "${req.user?.username}" deleted user "${user.username}"`);
+      res.json({ success: true });
+    } catch (err) {
+      log.error('[api] /api/auth/users delete error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
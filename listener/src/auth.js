@@ -0,0 +1,315 @@
+/**
+ * auth.js — user accounts, sessions and device tokens (AUTH_MODE=users).
+ *
+ * Passwords are stored as scrypt hashes. Browser sessions (an HttpOnly
+ * cookie) and per-device API tokens (Authorization: Bearer) are random
+ * secrets of which only a SHA-256 digest is stored, so neither can be
+ * recovered from a database dump. Every /api request is resolved to a user
+ * and checked against the role requiredRoleFor() asks for:
+ *
+ *   viewer — read-only access (timeline, stats, alert history)
+ *   member — day-to-day changes (rooms, names, notes, alert rules)
+ *   admin  — pairing, wipes, retention, backup/restore, user management
+ */
+
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { INCIDENT_LINK_PATTERN } from './alert-incidents.js';
+import { log } from './logger.js';
+
+export const AUTH_MODES = ['token', 'users'];
+export const ROLES = ['viewer', 'member', 'admin'];
+export const SESSION_COOKIE = 'hc_session';
+
+const scryptAsync = promisify(scrypt);
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 256;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+const TOKEN_PREFIXES = { session: 'hcs_', device: 'hcd_' };
+// last_used_at is bumped at most this often per token.
+const TOUCH_INTERVAL_MS = 60_000;
+
+const READ_METHODS = new Set(['GET', 'HEAD']);
+
+/** Routes reachable without signing in. */
+const PUBLIC_ROUTES = [
+  ['GET', '/api/health'],
+  ['GET', '/api/auth/status'],
+  ['POST', '/api/auth/login'],
+  // Also clears a cookie whose session already expired.
+  ['POST', '/api/auth/logout'],
+  // Signed acknowledge/resolve links from alert notifications carry their own signature.
+  ['GET', INCIDENT_LINK_PATTERN],
+  ['POST', INCIDENT_LINK_PATTERN],
+];
+
+/**
+ * Routes that need more (or less) than the method default. First match
+ * wins; `writes` entries only apply to non-read methods.
+ */
+const ROUTE_ROLES = [
+  // Self-service on the caller's own account.
+  { pattern: /^\/api\/auth\/(me|password|tokens)(\/|$)/, role: 'viewer' },
+  { pattern: /^\/api\/auth\/users(\/|$)/, role: 'admin' },
+  { writes: true, pattern: /^\/api\/setup\/(pair|pairing|retention|log-level)(\/|$)/, role: 'admin' },
+  { writes: true, pattern: /^\/api\/setup\/matter\/(commission|pair|pairing)(\/|$)/, role: 'admin' },
+  { pattern: /^\/api\/data(\/|$)/, role: 'admin' },
+  // Backups carry pairing keys and signing secrets.
+  { pattern: /^\/api\/(backup|restore)(\/|$)/, role: 'admin' },
+];
+
+export function parseAuthMode(value) {
+  const mode = String(value ?? '').trim().toLowerCase() || 'token';
+  return AUTH_MODES.includes(mode) ? mode : null;
+}
+
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+export function roleAtLeast(role, required) {
+  const rank = ROLES.indexOf(role);
+  return rank >= 0 && rank >= ROLES.indexOf(required);
+}
+
+/**
+ * The minimum role for a request, or null for public routes.
+ * @param {string} method
+ * @param {string} path - full request path, e.g. /api/setup/pair
+ */
+export function requiredRoleFor(method, path) {
+  const upperMethod = String(method ?? '').toUpperCase();
+  const normalizedPath = String(path ?? '').replace(/\/+$/, '') || '/';
+  const isPublic = PUBLIC_ROUTES.some(([m, p]) => (
+    m === upperMethod && (p instanceof RegExp ? p.test(normalizedPath) : p === normalizedPath)
+  ));
+  if (isPublic) return null;
+
+  const isRead = READ_METHODS.has(upperMethod);
+  for (const rule of ROUTE_ROLES) {
+    if (rule.writes && isRead) continue;
+    if (rule.pattern.test(normalizedPath)) return rule.role;
+  }
+  return isRead ? 'viewer' : 'member';
+}
+
+/** Lowercased username, or null when it isn't 1–64 of [a-z0-9._-]. */
+export function normalizeUsername(value) {
+  const username = String(value ?? '').trim().toLowerCase();
+  return USERNAME_PATTERN.test(username) ? username : null;
+}
+
+export function validatePassword(value) {
+  if (typeof value !== 'string' || value.length < PASSWORD_MIN_LENGTH) {
+    return { error: `password must be at least ${PASSWORD_MIN_LENGTH} characters` };
+  }
+  if (value.length > PASSWORD_MAX_LENGTH) {
+    return { error: `password must be at most ${PASSWORD_MAX_LENGTH} characters` };
+  }
+  return { value };
+}
+
+/** `scrypt$N$r$p$<salt>$<hash>`, both base64url. */
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scryptAsync(String(password), salt, SCRYPT_KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64url'), hash.toString('base64url')].join('$');
+}
+
+export async function verifyPassword(password, stored) {
+  const parts = String(stored ?? '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+  const [N, r, p] = parts.slice(1, 4).map((part) => Number.parseInt(part, 10));
+  if (![N, r, p].every((value) => Number.isFinite(value) && value > 0)) return false;
+  const salt = Buffer.from(parts[4], 'base64url');
+  const expected = Buffer.from(parts[5], 'base64url');
+  if (!salt.length || !expected.length) return false;
+  try {
+    const actual = await scryptAsync(String(password ?? ''), salt, expected.length, {
+      N, r, p, maxmem: 256 * N * r,
+    });
+    return timingSafeEqual(actual, expected);
+  } catch {
+    return false;
+  }
+}
+
+let dummyHashPromise = null;
+
+/** Spend the same scrypt time on unknown usernames as on real ones. */
+export async function burnPasswordCheck(password) {
+  dummyHashPromise ??= hashPassword(randomBytes(16).toString('hex'));
+  await verifyPassword(password, await dummyHashPromise);
+  return false;
+}
+
+export function generateAuthToken(kind) {
+  return `${TOKEN_PREFIXES[kind] ?? TOKEN_PREFIXES.device}${randomBytes(32).toString('base64url')}`;
+}
+
+export function hashAuthToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+export function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header ?? '').split(';')) {
+    const index = part.indexOf('=');
+    if (index <= 0) continue;
+    const name = part.slice(0, index).trim();
+    if (!name || name in cookies) continue;
+    const raw = part.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+    try {
+      cookies[name] = decodeURIComponent(raw);
+    } catch {
+      cookies[name] = raw;
+    }
+  }
+  return cookies;
+}
+
+function extractBearerToken(headerValue) {
+  const match = /^bearer\s+(.+)$/i.exec(String(headerValue ?? '').trim());
+  return match ? match[1].trim() : '';
+}
+
+/** The session cookie, else a bearer token; '' when neither is present. */
+export function readRequestToken(req) {
+  const cookieToken = parseCookies(req.headers?.cookie)[SESSION_COOKIE];
+  if (cookieToken) return { token: cookieToken, source: 'cookie' };
+  const bearer = extractBearerToken(req.headers?.authorization);
+  if (bearer) return { token: bearer, source: 'bearer' };
+  return { token: '', source: null };
+}
+
+export function isSecureRequest(req) {
+  if (req.secure) return true;
+  const forwardedProto = String(req.headers?.['x-forwarded-proto'] ?? '').split(',')[0].trim().toLowerCase();
+  return forwardedProto === 'https';
+}
+
+/**
+ * Set-Cookie value for a session. Path=/api keeps it off static assets;
+ * SameSite=Strict keeps other sites from riding on it.
+ */
+export function buildSessionCookie(token, { maxAgeSeconds, secure }) {
+  return [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/api',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${Math.max(0, Math.floor(maxAgeSeconds))}`,
+    secure ? 'Secure' : null,
+  ].filter(Boolean).join('; ');
+}
+
+export function buildClearedSessionCookie({ secure }) {
+  return buildSessionCookie('', { maxAgeSeconds: 0, secure });
+}
+
+export function toApiUser(row) {
+  return {
+    id: Number(row.id),
+    username: row.username,
+    role: row.role,
+    disabled: Boolean(row.disabled),
+    createdAt: row.created_at ?? null,
+    lastLoginAt: row.last_login_at ?? null,
+  };
+}
+
+/**
+ * Resolve a raw token to its user.
+ * @returns {Promise<object|null>} { id, username, role, tokenId, tokenKind } or null
+ */
+export async function findUserByToken(pool, token) {
+  if (!token) return null;
+  const result = await pool.query(
+    `SELECT u.id, u.username, u.role, t.id AS token_id, t.kind AS token_kind, t.last_used_at
+     FROM auth_tokens t
+     JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash = $1
+       AND t.revoked_at IS NULL
+       AND (t.expires_at IS NULL OR t.expires_at > NOW())
+       AND NOT u.disabled`,
+    [hashAuthToken(token)]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+
+  const lastUsed = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsed > TOUCH_INTERVAL_MS) {
+    pool.query('UPDATE auth_tokens SET last_used_at = NOW() WHERE id = $1', [row.token_id])
+      .catch((err) => log.warn('[auth] Could not update token last_used_at:', err.message ?? err));
+  }
+  return {
+    id: Number(row.id),
+    username: row.username,
+    role: row.role,
+    tokenId: Number(row.token_id),
+    tokenKind: row.token_kind,
+  };
+}
+
+export async function authenticateRequest(pool, req) {
+  const { token, source } = readRequestToken(req);
+  const user = await findUserByToken(pool, token);
+  return user ? { ...user, tokenSource: source } : null;
+}
+
+/**
+ * Replaces the shared API_TOKEN check in users mode. Sets req.user, answers
+ * 401 without a valid session/token and 403 when the role is too low.
+ */
+export function createUserAuthMiddleware({ pool }) {
+  return async function userAuthMiddleware(req, res, next) {
+    if (req.method === 'OPTIONS') return next();
+    const required = requiredRoleFor(req.method, req.path);
+    if (!required) return next();
+
+    let user;
+    try {
+      user = await authenticateRequest(pool, req);
+    } catch (err) {
+      log.error('[auth] Session lookup error:', err.message ?? err.stack ?? err);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+    if (!user) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="homechronicle-api"');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    req.user = user;
+    if (!roleAtLeast(user.role, required)) {
+      return res.status(403).json({ error: `This action requires the ${required} role` });
+    }
+    return next();
+  };
+}
+
+/**
+ * Create the first admin from ADMIN_USERNAME/ADMIN_PASSWORD while the users
+ * table is empty. Later changes to those variables are ignored.
+ */
+export async function ensureBootstrapAdmin({ pool, username, password }) {
+  const count = await pool.query('SELECT COUNT(*)::int AS total FROM users');
+  if (Number(count.rows[0]?.total ?? 0) > 0) return null;
+
+  const normalized = normalizeUsername(username);
+  const validPassword = validatePassword(password);
+  if (!normalized || validPassword.error) {
+    log.warn('[auth] No users exist yet. Set ADMIN_USERNAME and ADMIN_PASSWORD (8+ characters) to create the first admin.');
+    return null;
+  }
+  const result = await pool.query(
+    `INSERT INTO users (username, password_hash, role)
+     VALUES ($1, $2, 'admin')
+     ON CONFLICT (username) DO NOTHING
+     RETURNING id, username, role, disabled, created_at, last_login_at`,
+    [normalized, await hashPassword(validPassword.value)]
+  );
+  if (result.rows[0]) log.info(`[auth] Created admin user "${normalized}"`);
+  return result.rows[0] ? toApiUser(result.rows[0]) : null;
+}
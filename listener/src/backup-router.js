@@ -0,0 +1,306 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import {
+  BACKUP_STORE_KEYS,
+  decodeBackup,
+  diffBackup,
+  encodeBackup,
+  readDirectoryFiles,
+  stageDirectoryFiles,
+  validateBackupPayload,
+} from './backup.js';
+import { parseIntInRange } from './events-router.js';
+import { log } from './logger.js';
+
+const BACKUP_MAX_BYTES = (process.env.BACKUP_MAX_BYTES ?? '200mb').trim() || '200mb';
+const BACKUP_MAX_EVENTS = parseIntInRange(process.env.BACKUP_MAX_EVENTS, 500_000, 1, 50_000_000);
+
+function rateLimitKeyGenerator(req) {
+  const forwardedFor = req?.headers?.['x-forwarded-for'];
+  if (typeof forwardedFor === 'string' && forwardedFor.trim()) {
+    return forwardedFor.split(',')[0].trim();
+  }
+  return req?.ip ?? req?.socket?.remoteAddress ?? 'unknown';
+}
+
+const BACKUP_RATE_LIMIT_WINDOW_MS = parseIntInRange(
+  process.env.BACKUP_RATE_LIMIT_WINDOW_MS,
+  60_000,
+  1_000,
+  24 * 60 * 60 * 1000
+);
+const BACKUP_RATE_LIMIT_MAX = parseIntInRange(
+  process.env.BACKUP_RATE_LIMIT_MAX,
+  10,
+  1,
+  10_000
+);
+
+function isTruthy(value) {
+  return /^(1|true|yes|on)$/i.test(String(value ?? ''));
+}
+
+function backupFilename(now, encrypted) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+  return `homechronicle-backup-${stamp}${encrypted ? '.enc' : ''}.hcbackup`;
+}
+
+async function loadAlertRules(pool) {
+  const result = await pool.query('SELECT * FROM alert_rules ORDER BY id ASC');
+  return result.rows;
+}
+
+async function loadAlertChannels(pool) {
+  const result = await pool.query('SELECT * FROM alert_channels ORDER BY id ASC');
+  return result.rows;
+}
+
+async function getTableColumns(client, table) {
+  const result = await client.query(
+    `SELECT column_name
+     FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1
+     ORDER BY ordinal_position`,
+    [table]
+  );
+  return result.rows.map((row) => row.column_name);
+}
+
+/**
+ * Columns to copy from backup rows: present in both the table and the rows.
+ * Columns added after the backup was taken fall back to their defaults.
+ */
+function pickColumns(tableColumns, rows) {
+  const present = new Set(rows.flatMap((row) => Object.keys(row)));
+  return tableColumns.filter((column) => present.has(column));
+}
+
+async function insertRows(client, table, rows, conflictTarget, { upsert = false, omit = [] } = {}) {
+  if (!rows.length) return 0;
+  const columns = pickColumns(await getTableColumns(client, table), rows)
+    .filter((column) => !omit.includes(column));
+  const list = columns.map((column) => `"${column}"`).join(', ');
+  const updates = columns
+    .filter((column) => column !== conflictTarget)
+    .map((column) => `"${column}" = EXCLUDED."${column}"`)
+    .join(', ');
+  const result = await client.query(
+    `INSERT INTO ${table} (${list})
+     SELECT ${list} FROM json_populate_recordset(NULL::${table}, $1::json)
+     ON CONFLICT (${conflictTarget}) ${upsert && updates ? `DO UPDATE SET ${updates}` : 'DO NOTHING'}`,
+    [JSON.stringify(rows)]
+  );
+  return result.rowCount ?? 0;
+}
+
+async function resetSequence(client, table, column) {
+  await client.query(
+    `SELECT setval(pg_get_serial_sequence('${table}', '${column}'),
+                   GREATEST((SELECT COALESCE(MAX(${column}), 0) FROM ${table}), 1))`
+  );
+}
+
+/**
+ * @param {object} deps
+ * @param {import('pg').Pool} deps.pool
+ * @param {Record<string, import('./store.js').JsonObjectStore>} deps.stores
+ *   keyed by BACKUP_STORE_KEYS
+ * @param {string|null} deps.matterStoragePath
+ * @param {(info: { previous: object }) => Promise<void>|void} [deps.onRestored]
+ *   called after a restore is applied so runtime state can be reloaded
+ */
+export function createBackupRouter({ pool, stores, matterStoragePath = null, onRestored = null }) {
+  const router = express.Router();
+  const backupLimiter = rateLimit({
+    windowMs: BACKUP_RATE_LIMIT_WINDOW_MS,
+    max: BACKUP_RATE_LIMIT_MAX,
+    standardHeaders: true,
+    legacyHeaders: false,
+    validate: false,
+    keyGenerator: rateLimitKeyGenerator,
+    message: { error: 'Too many requests' },
+  });
+  let restoreInProgress = false;
+
+  function snapshotStores() {
+    return Object.fromEntries(BACKUP_STORE_KEYS.map((key) => [key, stores[key].getSnapshot()]));
+  }
+
+  /**
+   * Download a backup archive. POST so the passphrase stays out of URLs and
+   * the route is covered by write-token auth — archives contain pairing keys.
+   */
+  router.post('/backup', backupLimiter, async (req, res) => {
+    const passphrase = String(req.body?.passphrase ?? '');
+    const includeMatterStorage = Boolean(req.body?.includeMatterStorage);
+    const includeEvents = Boolean(req.body?.includeEvents);
+
+    try {
+      const payload = {
+        stores: snapshotStores(),
+        alertRules: await loadAlertRules(pool),
+        alertChannels: await loadAlertChannels(pool),
+        matterStorage: null,
+        events: null,
+      };
+
+      if (includeMatterStorage && matterStoragePath) {
+        payload.matterStorage = { files: await readDirectoryFiles(matterStoragePath) };
+      }
+
+      if (includeEvents) {
+        const countResult = await pool.query(
+          `SELECT (SELECT COUNT(*) FROM event_logs) + (SELECT COUNT(*) FROM event_logs_archive) AS total`
+        );
+        const total = Number.parseInt(countResult.rows[0].total, 10);
+        if (total > BACKUP_MAX_EVENTS) {
+          return res.status(413).json({
+            error: `Event history has ${total} rows, above the ${BACKUP_MAX_EVENTS} backup limit. Use /api/export/events for full history.`,
+          });
+        }
+        const live = await pool.query('SELECT * FROM event_logs ORDER BY id ASC');
+        const archive = await pool.query('SELECT * FROM event_logs_archive ORDER BY archived_id ASC');
+        payload.events = { live: live.rows, archive: archive.rows };
+      }
+
+      const now = new Date();
+      const archive = await encodeBackup(payload, { passphrase, now });
+      log.info(`[backup] Created backup (${archive.length} bytes${passphrase ? ', encrypted' : ''})`);
+      res.status(200).set({
+        'Content-Type': 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${backupFilename(now, Boolean(passphrase))}"`,
+        'Cache-Control': 'no-store',
+      });
+      res.send(archive);
+    } catch (err) {
+      log.error('[api] /api/backup error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Validate an uploaded archive and either return a dry-run diff
+   * (`?dryRun=true`) or apply it. Database changes run in one transaction and
+   * JSON stores are staged to temp files first, so a failure leaves the
+   * current state untouched.
+   */
+  router.post(
+    '/restore',
+    backupLimiter,
+    express.raw({ type: () => true, limit: BACKUP_MAX_BYTES }),
+    async (req, res) => {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Upload a backup file as the request body' });
+      }
+      const dryRun = isTruthy(req.query.dryRun);
+
+      const decoded = await decodeBackup(req.body, {
+        passphrase: String(req.headers['x-backup-passphrase'] ?? ''),
+      });
+      if (decoded.error) return res.status(400).json({ error: decoded.error });
+
+      const validated = validateBackupPayload(decoded.value.payload);
+      if (validated.error) return res.status(400).json({ error: validated.error });
+      const next = validated.value;
+
+      // Optional sections are applied unless explicitly skipped.
+      const applyMatterStorage = Boolean(next.matterStorage)
+        && Boolean(matterStoragePath)
+        && !/^(0|false|no|off)$/i.test(String(req.query.includeMatterStorage ?? 'true'));
+      const applyEvents = Boolean(next.events)
+        && !/^(0|false|no|off)$/i.test(String(req.query.includeEvents ?? 'true'));
+
+      try {
+        const current = {
+          stores: snapshotStores(),
+          alertRules: await loadAlertRules(pool),
+          alertChannels: next.alertChannels ? await loadAlertChannels(pool) : [],
+          matterStorageFiles: matterStoragePath
+            ? Object.keys(await readDirectoryFiles(matterStoragePath)).length
+            : 0,
+        };
+        const diff = diffBackup(current, next);
+        const summary = {
+          backup: decoded.value.header,
+          applies: { matterStorage: applyMatterStorage, events: applyEvents },
+          diff,
+        };
+
+        if (dryRun) return res.json({ dryRun: true, ...summary });
+
+        if (restoreInProgress) {
+          return res.status(409).json({ error: 'A restore is already in progress' });
+        }
+        restoreInProgress = true;
+
+        const staged = [];
+        let eventsInserted = 0;
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+
+          if (next.alertChannels) {
+            const keepChannelIds = next.alertChannels.map((channel) => Number(channel.id));
+            await client.query('DELETE FROM alert_channels WHERE NOT (id = ANY($1::bigint[]))', [keepChannelIds]);
+            await insertRows(client, 'alert_channels', next.alertChannels, 'id', { upsert: true });
+            await resetSequence(client, 'alert_channels', 'id');
+          }
+
+          const keepIds = next.alertRules.map((rule) => Number(rule.id));
+          await client.query('DELETE FROM alert_rules WHERE NOT (id = ANY($1::bigint[]))', [keepIds]);
+          await insertRows(client, 'alert_rules', next.alertRules, 'id', { upsert: true });
+          await resetSequence(client, 'alert_rules', 'id');
+
+          if (applyEvents) {
+            eventsInserted += await insertRows(client, 'event_logs', next.events.live, 'id');
+            // archived_id is local bookkeeping; source_id is the stable identity.
+            eventsInserted += await insertRows(client, 'event_logs_archive', next.events.archive, 'source_id', {
+              omit: ['archived_id'],
+            });
+            await resetSequence(client, 'event_logs', 'id');
+          }
+
+          for (const key of BACKUP_STORE_KEYS) {
+            staged.push(await stores[key].stage(next.stores[key]));
+          }
+          if (applyMatterStorage) {
+            staged.push(await stageDirectoryFiles(matterStoragePath, next.matterStorage.files));
+          }
+
+          await client.query('COMMIT');
+          for (const entry of staged) await entry.commit();
+
+          log.info(`[backup] Restored backup from ${decoded.value.header.createdAt ?? 'unknown date'}`);
+        } catch (err) {
+          await client.query('ROLLBACK').catch(() => {});
+          await Promise.all(staged.map((entry) => entry.discard().catch(() => {})));
+          throw err;
+        } finally {
+          client.release();
+          restoreInProgress = false;
+        }
+
+        // The restore is applied by now; a failing hook doesn't undo it.
+        if (onRestored) {
+          try {
+            await onRestored({ previous: current });
+          } catch (err) {
+            log.error('[backup] Post-restore hook failed:', err.message ?? err.stack ?? err);
+          }
+        }
+
+        res.json({
+          dryRun: false,
+          ...summary,
+          eventsInserted,
+          restartRequired: applyMatterStorage,
+        });
+      } catch (err) {
+        log.error('[api] /api/restore error:', err.message ?? err.stack ?? err);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    }
+  );
+
+  return router;
+}
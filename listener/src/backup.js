@@ -0,0 +1,275 @@
+/**
+ * backup.js — versioned archive of listener state.
+ *
+ * An archive is a gzip'd JSON envelope. The payload holds the seven JSON
+ * stores and alert rules, plus optional Matter controller storage and event
+ * history. With a passphrase the payload is sealed with AES-256-GCM using a
+ * scrypt-derived key; the envelope header stays readable so a restore can
+ * say "wrong passphrase" rather than "corrupt file".
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes, scrypt as scryptCallback } from 'crypto';
+import { gunzip as gunzipCallback, gzip as gzipCallback } from 'zlib';
+import { promisify } from 'util';
+import { mkdir, readdir, readFile, rename, rm, stat, writeFile } from 'fs/promises';
+import { dirname, join, normalize, relative, sep } from 'path';
+
+const gzip = promisify(gzipCallback);
+const gunzip = promisify(gunzipCallback);
+const scrypt = promisify(scryptCallback);
+
+export const BACKUP_FORMAT = 'homechronicle-backup';
+export const BACKUP_VERSION = 1;
+export const BACKUP_STORE_KEYS = ['pairings', 'rooms', 'displayNames', 'notes', 'retention', 'watchLists', 'noisePolicies'];
+
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const KEY_LENGTH = 32;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+async function deriveKey(passphrase, salt) {
+  return scrypt(String(passphrase), salt, KEY_LENGTH, SCRYPT_OPTIONS);
+}
+
+/**
+ * Serialize a payload into archive bytes.
+ * @param {object} payload
+ * @param {object} [options]
+ * @param {string} [options.passphrase] - encrypt when non-empty
+ * @param {Date}   [options.now]
+ */
+export async function encodeBackup(payload, { passphrase = '', now = new Date() } = {}) {
+  const envelope = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: now.toISOString(),
+    contents: Object.keys(payload).filter((key) => payload[key] != null),
+    encrypted: Boolean(passphrase),
+  };
+
+  if (passphrase) {
+    const salt = randomBytes(16);
+    const iv = randomBytes(12);
+    const key = await deriveKey(passphrase, salt);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    const plaintext = await gzip(Buffer.from(JSON.stringify(payload), 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    envelope.kdf = { name: 'scrypt', salt: salt.toString('base64'), N: SCRYPT_OPTIONS.N, r: SCRYPT_OPTIONS.r, p: SCRYPT_OPTIONS.p };
+    envelope.cipher = { name: 'aes-256-gcm', iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64') };
+    envelope.ciphertext = ciphertext.toString('base64');
+  } else {
+    envelope.payload = payload;
+  }
+
+  return gzip(Buffer.from(JSON.stringify(envelope), 'utf8'));
+}
+
+/**
+ * Parse archive bytes back into `{ value: { header, payload } }`, or
+ * `{ error }` with a message suitable for the API response.
+ */
+export async function decodeBackup(buffer, { passphrase = '' } = {}) {
+  let envelope;
+  try {
+    envelope = JSON.parse((await gunzip(buffer)).toString('utf8'));
+  } catch {
+    return { error: 'File is not a HomeChronicle backup' };
+  }
+  if (!isPlainObject(envelope) || envelope.format !== BACKUP_FORMAT) {
+    return { error: 'File is not a HomeChronicle backup' };
+  }
+  if (!Number.isInteger(envelope.version) || envelope.version > BACKUP_VERSION) {
+    return { error: `Unsupported backup version: ${envelope.version}` };
+  }
+
+  const header = {
+    version: envelope.version,
+    createdAt: envelope.createdAt ?? null,
+    encrypted: Boolean(envelope.encrypted),
+    contents: Array.isArray(envelope.contents) ? envelope.contents : [],
+  };
+
+  if (!envelope.encrypted) {
+    return { value: { header, payload: envelope.payload } };
+  }
+
+  if (!passphrase) return { error: 'This backup is encrypted — a passphrase is required' };
+  try {
+    const salt = Buffer.from(envelope.kdf.salt, 'base64');
+    const key = await scrypt(String(passphrase), salt, KEY_LENGTH, {
+      N: envelope.kdf.N,
+      r: envelope.kdf.r,
+      p: envelope.kdf.p,
+      maxmem: SCRYPT_OPTIONS.maxmem,
+    });
+    const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.cipher.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.cipher.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(envelope.ciphertext, 'base64')),
+      decipher.final(),
+    ]);
+    const payload = JSON.parse((await gunzip(plaintext)).toString('utf8'));
+    return { value: { header, payload } };
+  } catch {
+    return { error: 'Wrong passphrase or corrupted backup' };
+  }
+}
+
+/** Check payload shape before anything is diffed or applied. */
+export function validateBackupPayload(payload) {
+  if (!isPlainObject(payload)) return { error: 'Backup payload is missing' };
+  if (!isPlainObject(payload.stores)) return { error: 'Backup is missing listener settings' };
+
+  const stores = {};
+  for (const key of BACKUP_STORE_KEYS) {
+    const value = payload.stores[key] ?? {};
+    if (!isPlainObject(value)) return { error: `Backup store "${key}" must be an object` };
+    stores[key] = value;
+  }
+
+  const alertRules = payload.alertRules ?? [];
+  if (!Array.isArray(alertRules) || alertRules.some((rule) => !isPlainObject(rule) || !Number.isInteger(Number(rule.id)))) {
+    return { error: 'Backup alert rules are malformed' };
+  }
+
+  // Absent in backups made before delivery channels existed; restoring those
+  // leaves the current channels alone.
+  let alertChannels = null;
+  if (payload.alertChannels != null) {
+    alertChannels = payload.alertChannels;
+    if (!Array.isArray(alertChannels)
+      || alertChannels.some((channel) => !isPlainObject(channel) || !Number.isInteger(Number(channel.id)))) {
+      return { error: 'Backup alert channels are malformed' };
+    }
+  }
+
+  let matterStorage = null;
+  if (payload.matterStorage != null) {
+    const files = payload.matterStorage.files;
+    if (!isPlainObject(files)) return { error: 'Backup Matter storage is malformed' };
+    for (const [path, content] of Object.entries(files)) {
+      if (!isSafeRelativePath(path) || typeof content !== 'string') {
+        return { error: `Backup Matter storage has an invalid entry: ${path}` };
+      }
+    }
+    matterStorage = { files };
+  }
+
+  let events = null;
+  if (payload.events != null) {
+    const live = payload.events.live ?? [];
+    const archive = payload.events.archive ?? [];
+    if (!Array.isArray(live) || !Array.isArray(archive)) return { error: 'Backup event history is malformed' };
+    events = { live, archive };
+  }
+
+  return { value: { stores, alertRules, alertChannels, matterStorage, events } };
+}
+
+function describeEntry(key, value) {
+  const label = isPlainObject(value) ? (value.name ?? null) : (typeof value === 'string' ? value : null);
+  return label && label !== key ? { key, label } : { key };
+}
+
+function diffObjects(current = {}, next = {}) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [key, value] of Object.entries(next)) {
+    if (!(key in current)) added.push(describeEntry(key, value));
+    else if (JSON.stringify(current[key]) !== JSON.stringify(value)) changed.push(describeEntry(key, value));
+  }
+  for (const [key, value] of Object.entries(current)) {
+    if (!(key in next)) removed.push(describeEntry(key, value));
+  }
+  return { added, removed, changed };
+}
+
+function indexRules(rules) {
+  return Object.fromEntries(rules.map((rule) => {
+    const { created_at: _createdAt, updated_at: _updatedAt, ...comparable } = rule;
+    return [String(rule.id), comparable];
+  }));
+}
+
+/**
+ * Dry-run summary of what applying `next` over `current` would change.
+ * Values are never echoed back — only keys and display names — because
+ * pairings carry long-term keys.
+ */
+export function diffBackup(current, next) {
+  const diff = { stores: {} };
+  for (const key of BACKUP_STORE_KEYS) {
+    diff.stores[key] = diffObjects(current.stores[key], next.stores[key]);
+  }
+  diff.alertRules = diffObjects(indexRules(current.alertRules), indexRules(next.alertRules));
+  diff.alertChannels = next.alertChannels
+    ? diffObjects(indexRules(current.alertChannels ?? []), indexRules(next.alertChannels))
+    : null;
+  diff.matterStorage = next.matterStorage
+    ? { files: Object.keys(next.matterStorage.files).length, currentFiles: current.matterStorageFiles ?? 0 }
+    : null;
+  diff.events = next.events
+    ? { live: next.events.live.length, archive: next.events.archive.length }
+    : null;
+  return diff;
+}
+
+function isSafeRelativePath(path) {
+  if (typeof path !== 'string' || !path || path.startsWith('/') || path.includes('\0')) return false;
+  const normalized = normalize(path);
+  return !normalized.startsWith('..') && !normalized.split(sep).includes('..');
+}
+
+/** Read a directory tree into `{ relativePath: base64 }`. Missing dir → {}. */
+export async function readDirectoryFiles(root) {
+  const files = {};
+  async function walk(dir) {
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    for (const entry of entries) {
+      const fullPath = join(dir, entry.name);
+      if (entry.isDirectory()) await walk(fullPath);
+      else if (entry.isFile()) {
+        files[relative(root, fullPath).split(sep).join('/')] = (await readFile(fullPath)).toString('base64');
+      }
+    }
+  }
+  await walk(root);
+  return files;
+}
+
+/**
+ * Write files into a sibling staging directory. `commit()` swaps it into
+ * place (keeping the old tree as `<root>.bak-<timestamp>`); `discard()`
+ * removes the staging copy.
+ */
+export async function stageDirectoryFiles(root, files) {
+  const stamp = Date.now();
+  const stagingDir = `${root}.restore-${stamp}`;
+  await rm(stagingDir, { recursive: true, force: true });
+  await mkdir(stagingDir, { recursive: true });
+  for (const [path, content] of Object.entries(files)) {
+    const target = join(stagingDir, path);
+    await mkdir(dirname(target), { recursive: true });
+    await writeFile(target, Buffer.from(content, 'base64'), { mode: 0o600 });
+  }
+
+  return {
+    commit: async () => {
+      const exists = await stat(root).then(() => true, () => false);
+      if (exists) await rename(root, `${root}.bak-${stamp}`);
+      await rename(stagingDir, root);
+    },
+    discard: async () => {
+      await rm(stagingDir, { recursive: true, force: true });
+    },
+  };
+}
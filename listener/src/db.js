@@ -4,6 +4,7 @@
 
 import pg from 'pg';
 import { log } from './logger.js';
+import { publishEvent } from './event-stream.js';
 
 const { Pool } = pg;
 
@@ -16,7 +17,8 @@ pool.on('error', (err) => {
 });
 
 /**
- * Insert a single HomeKit event into event_logs.
+ * Insert a single HomeKit event into event_logs and publish the stored row
+ * to live stream subscribers.
  *
  * @param {object} event
  * @param {string} event.accessoryId      - protocol-specific accessory identifier
@@ -32,6 +34,12 @@ pool.on('error', (err) => {
  * @param {number|null} event.clusterId
  * @param {number|null} event.attributeId
  * @param {number|null} event.rawIid      - HAP instance ID
+ * @param {string|null} event.stateKey    - value-cache key; when set, the
+ *   row also becomes the characteristic's accessory_state
+ * @param {boolean} event.reconciled      - read after a reconnect rather than
+ *   reported live
+ * @param {Date|null} event.gapStartedAt  - ConnectivityGap rows: outage start
+ * @param {object|null} event.eventData   - Matter cluster events: the event's fields
  */
 export async function insertEvent(event) {
   const {
@@ -48,20 +56,134 @@ export async function insertEvent(event) {
     clusterId = null,
     attributeId = null,
     rawIid = null,
+    stateKey = null,
+    reconciled = false,
+    gapStartedAt = null,
+    eventData = null,
   } = event;
 
   const result = await pool.query(
-    `INSERT INTO event_logs
-       (accessory_id, accessory_name, room_name, service_type,
-        characteristic, old_value, new_value, protocol, transport,
-        endpoint_id, cluster_id, attribute_id, raw_iid)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-     RETURNING id, timestamp`,
+    `WITH inserted AS (
+       INSERT INTO event_logs
+         (accessory_id, accessory_name, room_name, service_type,
+          characteristic, old_value, new_value, protocol, transport,
+          endpoint_id, cluster_id, attribute_id, raw_iid, reconciled, gap_started_at, event_data)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $15, $16, $17::jsonb)
+       RETURNING id, timestamp
+     ), state AS (
+       INSERT INTO accessory_state
+         (protocol, state_key, accessory_id, accessory_name, room_name, service_type,
+          characteristic, value, endpoint_id, cluster_id, attribute_id, raw_iid,
+          event_id, updated_at)
+       SELECT $8, $14::text, $1, $2, $3, $4, $5, $7, $10, $11, $12, $13, id, timestamp
+       FROM inserted
+       WHERE $14::text IS NOT NULL
+       ON CONFLICT (protocol, state_key) DO UPDATE SET
+         accessory_id = EXCLUDED.accessory_id,
+         accessory_name = EXCLUDED.accessory_name,
+         room_name = EXCLUDED.room_name,
+         service_type = EXCLUDED.service_type,
+         characteristic = EXCLUDED.characteristic,
+         value = EXCLUDED.value,
+         endpoint_id = EXCLUDED.endpoint_id,
+         cluster_id = EXCLUDED.cluster_id,
+         attribute_id = EXCLUDED.attribute_id,
+         raw_iid = EXCLUDED.raw_iid,
+         event_id = EXCLUDED.event_id,
+         updated_at = EXCLUDED.updated_at
+       WHERE accessory_state.updated_at <= EXCLUDED.updated_at
+     )
+     SELECT id, timestamp FROM inserted`,
     [accessoryId, accessoryName, roomName, serviceType,
       characteristic, oldValue, String(newValue), protocol, transport,
-      endpointId, clusterId, attributeId, rawIid]
+      endpointId, clusterId, attributeId, rawIid, stateKey, reconciled, gapStartedAt,
+      eventData ? JSON.stringify(eventData) : null]
+  );
+  const inserted = result.rows[0];
+
+  publishEvent({
+    id: inserted.id,
+    timestamp: inserted.timestamp,
+    accessory_id: accessoryId,
+    accessory_name: accessoryName,
+    room_name: roomName,
+    service_type: serviceType,
+    characteristic,
+    old_value: oldValue,
+    new_value: String(newValue),
+    protocol,
+    transport,
+    endpoint_id: endpointId,
+    cluster_id: clusterId,
+    attribute_id: attributeId,
+    raw_iid: rawIid,
+    reconciled,
+    gap_started_at: gapStartedAt,
+    event_data: eventData,
+  });
+
+  return inserted;
+}
+
+/**
+ * Every stored last-known value, for priming the subscribers' value caches
+ * at startup.
+ * @returns {Promise<Array<{ protocol: string, state_key: string, value: string }>>}
+ */
+export async function loadAccessoryState() {
+  const result = await pool.query('SELECT protocol, state_key, value FROM accessory_state');
+  return result.rows;
+}
+
+/**
+ * Add noise-policy suppression counts (from drainSuppressionCounts()) to
+ * today's event_suppressions rows.
+ */
+export async function recordSuppressionCounts(rows) {
+  if (!rows.length) return;
+  await pool.query(
+    `INSERT INTO event_suppressions
+       (day, accessory_id, accessory_name, characteristic, protocol, reason, count)
+     SELECT (NOW() AT TIME ZONE 'UTC')::date, r.accessory_id, r.accessory_name,
+            r.characteristic, r.protocol, r.reason, r.count
+     FROM jsonb_to_recordset($1::jsonb) AS r(
+       accessory_id TEXT, accessory_name TEXT, characteristic TEXT,
+       protocol TEXT, reason TEXT, count BIGINT
+     )
+     ON CONFLICT (day, accessory_id, characteristic, reason) DO UPDATE SET
+       count = event_suppressions.count + EXCLUDED.count,
+       accessory_name = EXCLUDED.accessory_name`,
+    [JSON.stringify(rows.map((row) => ({
+      accessory_id: row.accessoryId,
+      accessory_name: row.accessoryName,
+      characteristic: row.characteristic,
+      protocol: row.protocol,
+      reason: row.reason,
+      count: row.count,
+    })))]
+  );
+}
+
+/**
+ * Log a HomeKit accessory moving to a new address or port.
+ * @param {{ deviceId: string, deviceName?: string, oldAddress?: string, oldPort?: number,
+ *           newAddress: string, newPort: number, source: 'browse' | 'scan' }} change
+ */
+export async function recordAddressChange(change) {
+  await pool.query(
+    `INSERT INTO device_address_history
+       (device_id, device_name, old_address, old_port, new_address, new_port, source)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      change.deviceId,
+      change.deviceName ?? null,
+      change.oldAddress ?? null,
+      Number.isFinite(Number(change.oldPort)) ? Number(change.oldPort) : null,
+      change.newAddress,
+      Number(change.newPort),
+      change.source,
+    ]
   );
-  return result.rows[0];
 }
 
 /**
@@ -87,7 +209,10 @@ export async function migrateDb() {
       endpoint_id     INT,
       cluster_id      BIGINT,
       attribute_id    BIGINT,
-      raw_iid         INT
+      raw_iid         INT,
+      reconciled      BOOLEAN     NOT NULL DEFAULT FALSE,
+      gap_started_at  TIMESTAMPTZ,
+      event_data      JSONB
     );
 
     CREATE TABLE IF NOT EXISTS event_logs_archive (
@@ -107,22 +232,72 @@ export async function migrateDb() {
       cluster_id      BIGINT,
       attribute_id    BIGINT,
       raw_iid         INT,
+      reconciled      BOOLEAN     NOT NULL DEFAULT FALSE,
+      gap_started_at  TIMESTAMPTZ,
+      event_data      JSONB,
       archived_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
     );
 
+    CREATE TABLE IF NOT EXISTS accessory_state (
+      protocol        TEXT        NOT NULL DEFAULT 'homekit',
+      state_key       TEXT        NOT NULL,   -- runtime value-cache key, e.g. "<accessoryId>:<aid>.<iid>"
+      accessory_id    TEXT        NOT NULL,
+      accessory_name  TEXT        NOT NULL,
+      room_name       TEXT,
+      service_type    TEXT,
+      characteristic  TEXT        NOT NULL,
+      value           TEXT        NOT NULL,
+      endpoint_id     INT,
+      cluster_id      BIGINT,
+      attribute_id    BIGINT,
+      raw_iid         INT,
+      event_id        BIGINT,                 -- event_logs row that set the value
+      updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (protocol, state_key)
+    );
+
+    CREATE TABLE IF NOT EXISTS device_address_history (
+      id              BIGSERIAL PRIMARY KEY,
+      device_id       TEXT        NOT NULL,
+      device_name     TEXT,
+      old_address     TEXT,
+      old_port        INT,
+      new_address     TEXT        NOT NULL,
+      new_port        INT         NOT NULL,
+      source          TEXT        NOT NULL,
+      changed_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS event_suppressions (
+      day             DATE        NOT NULL,
+      accessory_id    TEXT        NOT NULL,
+      accessory_name  TEXT        NOT NULL,
+      characteristic  TEXT        NOT NULL,
+      protocol        TEXT        NOT NULL DEFAULT 'homekit',
+      reason          TEXT        NOT NULL,
+      count           BIGINT      NOT NULL DEFAULT 0,
+      PRIMARY KEY (day, accessory_id, characteristic, reason)
+    );
+
     ALTER TABLE event_logs
       ADD COLUMN IF NOT EXISTS protocol TEXT NOT NULL DEFAULT 'homekit',
       ADD COLUMN IF NOT EXISTS transport TEXT,
       ADD COLUMN IF NOT EXISTS endpoint_id INT,
       ADD COLUMN IF NOT EXISTS cluster_id BIGINT,
-      ADD COLUMN IF NOT EXISTS attribute_id BIGINT;
+      ADD COLUMN IF NOT EXISTS attribute_id BIGINT,
+      ADD COLUMN IF NOT EXISTS reconciled BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS gap_started_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS event_data JSONB;
 
     ALTER TABLE event_logs_archive
       ADD COLUMN IF NOT EXISTS protocol TEXT NOT NULL DEFAULT 'homekit',
       ADD COLUMN IF NOT EXISTS transport TEXT,
       ADD COLUMN IF NOT EXISTS endpoint_id INT,
       ADD COLUMN IF NOT EXISTS cluster_id BIGINT,
-      ADD COLUMN IF NOT EXISTS attribute_id BIGINT;
+      ADD COLUMN IF NOT EXISTS attribute_id BIGINT,
+      ADD COLUMN IF NOT EXISTS reconciled BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS gap_started_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS event_data JSONB;
 
     CREATE TABLE IF NOT EXISTS alert_rules (
       id              BIGSERIAL PRIMARY KEY,
@@ -133,16 +308,134 @@ export async function migrateDb() {
       characteristic  TEXT,
       operator        TEXT        NOT NULL DEFAULT 'equals',
       match_value     TEXT        NOT NULL,
-      target_url      TEXT        NOT NULL,
+      match_value_to  TEXT,
+      target_url      TEXT,
       quiet_minutes   INT         NOT NULL DEFAULT 0,
+      condition_type  TEXT        NOT NULL DEFAULT 'event',
+      for_minutes     INT,
+      channel_ids     BIGINT[]    NOT NULL DEFAULT '{}',
+      conditions      JSONB,
+      schedule        JSONB,
+      signing_secret  TEXT,
+      signing_secret_previous TEXT,
+      signing_secret_rotated_at TIMESTAMPTZ,
       created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
       updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
       CONSTRAINT chk_alert_scope_type
         CHECK (scope_type IN ('all', 'room', 'accessory', 'characteristic')),
       CONSTRAINT chk_alert_operator
-        CHECK (operator IN ('equals', 'not_equals', 'contains')),
+        CHECK (operator IN (
+          'equals', 'not_equals', 'contains',
+          'gt', 'gte', 'lt', 'lte', 'between', 'outside',
+          'changed_from_to', 'increased_by', 'decreased_by', 'changed_by'
+        )),
       CONSTRAINT chk_alert_quiet_minutes
-        CHECK (quiet_minutes >= 0 AND quiet_minutes <= 10080)
+        CHECK (quiet_minutes >= 0 AND quiet_minutes <= 10080),
+      CONSTRAINT chk_alert_condition_type
+        CHECK (condition_type IN ('event', 'absence')),
+      CONSTRAINT chk_alert_for_minutes
+        CHECK (for_minutes IS NULL OR (for_minutes >= 1 AND for_minutes <= 10080)),
+      CONSTRAINT chk_alert_absence_for_minutes
+        CHECK (condition_type <> 'absence' OR for_minutes IS NOT NULL),
+      CONSTRAINT chk_alert_destination
+        CHECK (target_url IS NOT NULL OR cardinality(channel_ids) > 0)
+    );
+
+    -- Numeric, range and change operators (second value for between/outside
+    -- and changed_from_to).
+    ALTER TABLE alert_rules
+      ADD COLUMN IF NOT EXISTS match_value_to TEXT;
+    ALTER TABLE alert_rules DROP CONSTRAINT IF EXISTS chk_alert_operator;
+    ALTER TABLE alert_rules ADD CONSTRAINT chk_alert_operator
+      CHECK (operator IN (
+        'equals', 'not_equals', 'contains',
+        'gt', 'gte', 'lt', 'lte', 'between', 'outside',
+        'changed_from_to', 'increased_by', 'decreased_by', 'changed_by'
+      ));
+
+    -- Duration ("held for N minutes") and absence ("no event for N minutes") rules.
+    ALTER TABLE alert_rules
+      ADD COLUMN IF NOT EXISTS condition_type TEXT NOT NULL DEFAULT 'event',
+      ADD COLUMN IF NOT EXISTS for_minutes INT;
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_alert_condition_type') THEN
+        ALTER TABLE alert_rules
+          ADD CONSTRAINT chk_alert_condition_type
+            CHECK (condition_type IN ('event', 'absence')),
+          ADD CONSTRAINT chk_alert_for_minutes
+            CHECK (for_minutes IS NULL OR (for_minutes >= 1 AND for_minutes <= 10080)),
+          ADD CONSTRAINT chk_alert_absence_for_minutes
+            CHECK (condition_type <> 'absence' OR for_minutes IS NOT NULL);
+      END IF;
+    END $$;
+
+    -- Per-rule HMAC signing secrets for webhooks (see webhook-signature.js).
+    -- The previous secret keeps signing for a grace period after rotation.
+    ALTER TABLE alert_rules
+      ADD COLUMN IF NOT EXISTS signing_secret TEXT,
+      ADD COLUMN IF NOT EXISTS signing_secret_previous TEXT,
+      ADD COLUMN IF NOT EXISTS signing_secret_rotated_at TIMESTAMPTZ;
+
+    -- Delivery channels: rules may fan out to several channels instead of
+    -- (or as well as) their plain webhook target_url.
+    ALTER TABLE alert_rules
+      ALTER COLUMN target_url DROP NOT NULL,
+      ADD COLUMN IF NOT EXISTS channel_ids BIGINT[] NOT NULL DEFAULT '{}';
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_alert_destination') THEN
+        ALTER TABLE alert_rules
+          ADD CONSTRAINT chk_alert_destination
+            CHECK (target_url IS NOT NULL OR cardinality(channel_ids) > 0);
+      END IF;
+    END $$;
+
+    -- Compound AND/OR conditions over other accessories' state (see alert-conditions.js).
+    ALTER TABLE alert_rules
+      ADD COLUMN IF NOT EXISTS conditions JSONB;
+
+    -- Active weekday/time windows and dated overrides (see alert-schedule.js).
+    ALTER TABLE alert_rules
+      ADD COLUMN IF NOT EXISTS schedule JSONB;
+
+    -- Incident escalation and auto-resolve (see alert-incidents.js).
+    ALTER TABLE alert_rules
+      ADD COLUMN IF NOT EXISTS escalate_after_minutes INT,
+      ADD COLUMN IF NOT EXISTS escalation_target_url TEXT,
+      ADD COLUMN IF NOT EXISTS escalation_channel_ids BIGINT[] NOT NULL DEFAULT '{}',
+      ADD COLUMN IF NOT EXISTS auto_resolve BOOLEAN NOT NULL DEFAULT FALSE;
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_alert_escalate_after_minutes') THEN
+        ALTER TABLE alert_rules
+          ADD CONSTRAINT chk_alert_escalate_after_minutes
+            CHECK (escalate_after_minutes IS NULL OR (escalate_after_minutes >= 1 AND escalate_after_minutes <= 10080));
+      END IF;
+    END $$;
+
+    -- Immediate notifications or hourly/daily digests (see alert-digest.js).
+    ALTER TABLE alert_rules
+      ADD COLUMN IF NOT EXISTS delivery_mode TEXT NOT NULL DEFAULT 'immediate';
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'chk_alert_delivery_mode') THEN
+        ALTER TABLE alert_rules
+          ADD CONSTRAINT chk_alert_delivery_mode
+            CHECK (delivery_mode IN ('immediate', 'hourly', 'daily'));
+      END IF;
+    END $$;
+
+    CREATE TABLE IF NOT EXISTS alert_channels (
+      id              BIGSERIAL PRIMARY KEY,
+      name            TEXT        NOT NULL,
+      type            TEXT        NOT NULL,
+      enabled         BOOLEAN     NOT NULL DEFAULT TRUE,
+      config          JSONB       NOT NULL DEFAULT '{}'::jsonb,
+      created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CONSTRAINT chk_alert_channel_type
+        CHECK (type IN ('webhook', 'ntfy', 'smtp', 'mqtt'))
     );
 
     CREATE TABLE IF NOT EXISTS alert_deliveries (
@@ -155,12 +448,100 @@ export async function migrateDb() {
       error           TEXT,
       sent_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
       CONSTRAINT chk_alert_delivery_status
-        CHECK (status IN ('sent', 'failed', 'suppressed'))
+        CHECK (status IN ('pending', 'sent', 'failed', 'suppressed', 'dead'))
+    );
+
+    ALTER TABLE alert_deliveries
+      ADD COLUMN IF NOT EXISTS channel_id BIGINT REFERENCES alert_channels(id) ON DELETE SET NULL,
+      ADD COLUMN IF NOT EXISTS channel_type TEXT NOT NULL DEFAULT 'webhook',
+      ADD COLUMN IF NOT EXISTS attempts INT NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS idempotency_key TEXT,
+      ADD COLUMN IF NOT EXISTS payload JSONB;
+
+    -- Deliveries are queued ('pending') and dead-lettered ('dead') by alert-queue.js;
+    -- digest rules record matches as 'batched' until their digest makes them 'digested'.
+    ALTER TABLE alert_deliveries DROP CONSTRAINT IF EXISTS chk_alert_delivery_status;
+    ALTER TABLE alert_deliveries ADD CONSTRAINT chk_alert_delivery_status
+      CHECK (status IN ('pending', 'sent', 'failed', 'suppressed', 'dead', 'batched', 'digested'));
+
+    CREATE TABLE IF NOT EXISTS alert_incidents (
+      id              BIGSERIAL PRIMARY KEY,
+      rule_id         BIGINT      NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+      event_id        BIGINT      REFERENCES event_logs(id) ON DELETE SET NULL,
+      accessory_id    TEXT        NOT NULL DEFAULT '',
+      characteristic  TEXT        NOT NULL DEFAULT '',
+      status          TEXT        NOT NULL DEFAULT 'open',
+      summary         TEXT        NOT NULL,
+      payload         JSONB,
+      fire_count      INT         NOT NULL DEFAULT 1,
+      opened_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_fired_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      acknowledged_at TIMESTAMPTZ,
+      acknowledged_by TEXT,
+      resolved_at     TIMESTAMPTZ,
+      resolved_by     TEXT,
+      resolution      TEXT,
+      escalate_at     TIMESTAMPTZ,
+      escalated_at    TIMESTAMPTZ,
+      action_secret   TEXT        NOT NULL,
+      CONSTRAINT chk_alert_incident_status
+        CHECK (status IN ('open', 'acknowledged', 'resolved')),
+      CONSTRAINT chk_alert_incident_resolution
+        CHECK (resolution IS NULL OR resolution IN ('manual', 'link', 'auto'))
+    );
+
+    ALTER TABLE alert_deliveries
+      ADD COLUMN IF NOT EXISTS incident_id BIGINT REFERENCES alert_incidents(id) ON DELETE SET NULL;
+
+    CREATE TABLE IF NOT EXISTS alert_timers (
+      id              BIGSERIAL PRIMARY KEY,
+      rule_id         BIGINT      NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+      accessory_id    TEXT        NOT NULL,
+      characteristic  TEXT        NOT NULL DEFAULT '',
+      started_at      TIMESTAMPTZ NOT NULL,
+      due_at          TIMESTAMPTZ NOT NULL,
+      fired_at        TIMESTAMPTZ,
+      event_id        BIGINT      REFERENCES event_logs(id) ON DELETE SET NULL,
+      context         JSONB       NOT NULL DEFAULT '{}'::jsonb,
+      CONSTRAINT uq_alert_timers_key UNIQUE (rule_id, accessory_id, characteristic)
+    );
+
+    -- Accounts for AUTH_MODE=users (see auth.js). Only hashes are stored:
+    -- scrypt for passwords, SHA-256 for session and device tokens.
+    CREATE TABLE IF NOT EXISTS users (
+      id              BIGSERIAL PRIMARY KEY,
+      username        TEXT        NOT NULL UNIQUE,
+      password_hash   TEXT        NOT NULL,
+      role            TEXT        NOT NULL DEFAULT 'viewer',
+      disabled        BOOLEAN     NOT NULL DEFAULT FALSE,
+      created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_login_at   TIMESTAMPTZ,
+      CONSTRAINT chk_user_role
+        CHECK (role IN ('viewer', 'member', 'admin'))
+    );
+
+    CREATE TABLE IF NOT EXISTS auth_tokens (
+      id              BIGSERIAL PRIMARY KEY,
+      user_id         BIGINT      NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      kind            TEXT        NOT NULL,
+      name            TEXT        NOT NULL,
+      token_hash      TEXT        NOT NULL UNIQUE,
+      created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_used_at    TIMESTAMPTZ,
+      expires_at      TIMESTAMPTZ,
+      revoked_at      TIMESTAMPTZ,
+      CONSTRAINT chk_auth_token_kind
+        CHECK (kind IN ('session', 'device'))
     );
 
     CREATE UNIQUE INDEX IF NOT EXISTS idx_event_logs_archive_source_id
       ON event_logs_archive (source_id);
 
+    CREATE INDEX IF NOT EXISTS idx_event_logs_archive_timestamp_source
+      ON event_logs_archive (timestamp, source_id);
+
     CREATE INDEX IF NOT EXISTS idx_event_logs_timestamp_id
       ON event_logs (timestamp DESC, id DESC);
 
@@ -185,6 +566,9 @@ export async function migrateDb() {
     CREATE INDEX IF NOT EXISTS idx_event_logs_char_ts
       ON event_logs (characteristic, timestamp DESC, id DESC);
 
+    CREATE INDEX IF NOT EXISTS idx_event_logs_accessory_id_char_ts
+      ON event_logs (accessory_id, characteristic, timestamp DESC, id DESC);
+
     CREATE INDEX IF NOT EXISTS idx_event_logs_timestamp_trunc
       ON event_logs (date_trunc('hour', timestamp AT TIME ZONE 'UTC'));
 
@@ -199,10 +583,77 @@ export async function migrateDb() {
 
     CREATE INDEX IF NOT EXISTS idx_alert_deliveries_event
       ON alert_deliveries (event_id);
+
+    CREATE INDEX IF NOT EXISTS idx_alert_deliveries_pending
+      ON alert_deliveries (next_attempt_at) WHERE status = 'pending';
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_deliveries_idempotency_key
+      ON alert_deliveries (idempotency_key) WHERE idempotency_key IS NOT NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_alert_timers_pending_due
+      ON alert_timers (due_at) WHERE fired_at IS NULL;
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_incidents_unresolved_key
+      ON alert_incidents (rule_id, accessory_id, characteristic) WHERE status <> 'resolved';
+
+    CREATE INDEX IF NOT EXISTS idx_alert_incidents_unresolved_accessory
+      ON alert_incidents (accessory_id) WHERE status <> 'resolved';
+
+    CREATE INDEX IF NOT EXISTS idx_alert_incidents_escalation_due
+      ON alert_incidents (escalate_at) WHERE status = 'open' AND escalated_at IS NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_alert_incidents_opened
+      ON alert_incidents (opened_at DESC);
+
+    CREATE INDEX IF NOT EXISTS idx_alert_deliveries_incident
+      ON alert_deliveries (incident_id);
+
+    CREATE INDEX IF NOT EXISTS idx_alert_deliveries_batched
+      ON alert_deliveries (rule_id, sent_at) WHERE status = 'batched';
+
+    CREATE INDEX IF NOT EXISTS idx_auth_tokens_user
+      ON auth_tokens (user_id, kind) WHERE revoked_at IS NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_accessory_state_accessory
+      ON accessory_state (accessory_id);
+    CREATE INDEX IF NOT EXISTS idx_device_address_history_device
+      ON device_address_history (device_id, changed_at DESC);
   `);
   log.info('[db] Schema ready.');
 }
 
+/**
+ * Delete what has been logged for one accessory (every accessory when
+ * `accessoryId` is null) in one transaction: events, current state,
+ * suppression counts and address history.
+ * @returns {Promise<{ deleted: number, stateRows: Array<{ protocol: string, state_key: string }> }>}
+ *   `stateRows` are the accessory_state rows removed, for the value caches
+ */
+export async function deleteLoggedData(accessoryId = null) {
+  const params = accessoryId == null ? [] : [accessoryId];
+  const byAccessory = accessoryId == null ? '' : 'WHERE accessory_id = $1';
+  const byDevice = accessoryId == null ? '' : 'WHERE device_id = $1';
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const events = await client.query(`DELETE FROM event_logs ${byAccessory}`, params);
+    const state = await client.query(
+      `DELETE FROM accessory_state ${byAccessory} RETURNING protocol, state_key`,
+      params
+    );
+    await client.query(`DELETE FROM event_suppressions ${byAccessory}`, params);
+    await client.query(`DELETE FROM device_address_history ${byDevice}`, params);
+    await client.query('COMMIT');
+    return { deleted: events.rowCount, stateRows: state.rows };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 export async function runRetentionSweep({
   retentionDays,
   archiveBeforeDelete = true,
@@ -221,10 +672,12 @@ export async function runRetentionSweep({
            INSERT INTO event_logs_archive
              (source_id, timestamp, accessory_id, accessory_name, room_name,
               service_type, characteristic, old_value, new_value, protocol,
-              transport, endpoint_id, cluster_id, attribute_id, raw_iid)
+              transport, endpoint_id, cluster_id, attribute_id, raw_iid,
+              reconciled, gap_started_at, event_data)
            SELECT id, timestamp, accessory_id, accessory_name, room_name,
                   service_type, characteristic, old_value, new_value, protocol,
-                  transport, endpoint_id, cluster_id, attribute_id, raw_iid
+                  transport, endpoint_id, cluster_id, attribute_id, raw_iid,
+                  reconciled, gap_started_at, event_data
            FROM event_logs
            WHERE timestamp < NOW() - ($1::int * INTERVAL '1 day')
            ON CONFLICT (source_id) DO NOTHING
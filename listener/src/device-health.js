@@ -1,3 +1,11 @@
+// Synthetic characteristics the listener logs about the connection itself
+// rather than the accessory's state (subscriber.js, matter-runtime.js).
+// They say nothing about how often a device reports, so heartbeat and
+// last-seen queries leave them out.
+export const REACHABLE = 'Reachable';
+export const CONNECTIVITY_GAP = 'ConnectivityGap';
+export const CONNECTION_CHARACTERISTICS = [REACHABLE, CONNECTIVITY_GAP];
+
 function clamp(value, min, max) {
   if (!Number.isFinite(value)) return null;
   return Math.min(max, Math.max(min, value));
@@ -20,6 +28,7 @@ export function deriveDeviceHealth({
   heartbeatSeconds = null,
   heartbeatSamples = 0,
   staleThresholdSeconds = 12 * 60 * 60,
+  reachability = null,
   now = Date.now(),
 } = {}) {
   const nowMs = Number.isFinite(now) ? now : Date.now();
@@ -66,6 +75,25 @@ export function deriveDeviceHealth({
     }
   }
 
+  // Recorded connection state (a Reachable row) beats guessing from event
+  // silence. `reachability.direct` is false when it is the state of the
+  // connection a bridged child sits behind: a lost bridge takes its
+  // children with it, but a live bridge says nothing about a child.
+  const reachable = typeof reachability?.reachable === 'boolean' ? reachability.reachable : null;
+  const unreachableSeconds = reachable === false ? safeSecondsBetween(nowMs, reachability.since) : null;
+  if (reachable === false) {
+    if (unreachableSeconds != null && unreachableSeconds >= staleThreshold) {
+      status = 'stale';
+      staleReason = 'unreachable';
+    } else {
+      status = 'offline';
+      staleReason = null;
+    }
+  } else if (reachable === true && reachability.direct !== false && status !== 'online') {
+    status = 'online';
+    staleReason = null;
+  }
+
   return {
     status,
     heartbeatSeconds: baselineSeconds,
@@ -76,5 +104,8 @@ export function deriveDeviceHealth({
     missedHeartbeats,
     isStale: status === 'stale',
     staleReason,
+    reachable,
+    reachableChangedAt: reachability?.since ?? null,
+    unreachableSeconds,
   };
 }
@@ -0,0 +1,39 @@
+/**
+ * event-stream.js — in-process fan-out of freshly inserted event rows.
+ *
+ * insertEvent() publishes every row it writes (HomeKit subscriber, Matter
+ * runtime and the Matter event intake all go through it); the SSE route in
+ * events-router.js relays them to connected browsers.
+ */
+
+import { EventEmitter } from 'node:events';
+import { log } from './logger.js';
+
+const emitter = new EventEmitter();
+// Every open browser tab holds one listener; there is no meaningful cap.
+emitter.setMaxListeners(0);
+
+/**
+ * Publish an inserted event_logs row (snake_case columns, as /api/events
+ * returns them). A failing subscriber must never break event ingestion.
+ */
+export function publishEvent(row) {
+  try {
+    emitter.emit('event', row);
+  } catch (err) {
+    log.warn('[stream] Event subscriber failed:', err.message ?? err);
+  }
+}
+
+/**
+ * Register a listener for published rows.
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeEvents(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+export function getStreamSubscriberCount() {
+  return emitter.listenerCount('event');
+}
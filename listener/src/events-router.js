@@ -1,6 +1,7 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
 import { log } from './logger.js';
+import { subscribeEvents } from './event-stream.js';
 
 function parseIntInRange(value, fallback, min, max) {
   const parsed = Number.parseInt(String(value ?? ''), 10);
@@ -13,6 +14,58 @@ function parentBridgeId(id) {
   return parts.length > 6 ? parts.slice(0, 6).join(':') : String(id ?? '');
 }
 
+function applyRoomOverride(row, rooms) {
+  return {
+    ...row,
+    room_name: rooms[row.accessory_id]
+      ?? rooms[parentBridgeId(row.accessory_id)]
+      ?? row.room_name,
+  };
+}
+
+function parseLastEventId(value) {
+  if (!/^\d+$/.test(String(value ?? '').trim())) return null;
+  return String(value).trim();
+}
+
+function formatStreamEvent(row) {
+  return `id: ${row.id}\ndata: ${JSON.stringify(row)}\n\n`;
+}
+
+/**
+ * Cursors are opaque to clients: base64url of "<timestamp>|<id>". The
+ * timestamp is Postgres' own text rendering so microsecond precision survives
+ * the round trip and keyset comparisons never skip or repeat rows.
+ */
+const CURSOR_TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)$/;
+
+function encodeCursor(timestamp, id) {
+  const ts = timestamp instanceof Date ? timestamp.toISOString() : String(timestamp);
+  return Buffer.from(`${ts}|${id}`, 'utf8').toString('base64url');
+}
+
+function decodeCursor(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const decoded = Buffer.from(value.trim(), 'base64url').toString('utf8');
+  const sep = decoded.lastIndexOf('|');
+  if (sep <= 0) return null;
+  const timestamp = decoded.slice(0, sep);
+  const id = decoded.slice(sep + 1);
+  if (!/^\d+$/.test(id)) return null;
+  if (!CURSOR_TIMESTAMP_RE.test(timestamp)) return null;
+  return { timestamp, id };
+}
+
+function buildEventFilters(query, params = []) {
+  const conditions = [];
+  if (query.room) { params.push(query.room); conditions.push(`room_name = $${params.length}`); }
+  if (query.accessory) { params.push(`%${query.accessory}%`); conditions.push(`accessory_name ILIKE $${params.length}`); }
+  if (query.characteristic) { params.push(query.characteristic); conditions.push(`characteristic = $${params.length}`); }
+  if (query.from) { params.push(query.from); conditions.push(`timestamp >= $${params.length}`); }
+  if (query.to) { params.push(query.to); conditions.push(`timestamp <= $${params.length}`); }
+  return { conditions, params };
+}
+
 function rateLimitKeyGenerator(req) {
   const forwardedFor = req?.headers?.['x-forwarded-for'];
   if (typeof forwardedFor === 'string' && forwardedFor.trim()) {
@@ -33,6 +86,32 @@ const EVENTS_RATE_LIMIT_MAX = parseIntInRange(
   1,
   100_000
 );
+const EVENTS_STREAM_HEARTBEAT_MS = parseIntInRange(
+  process.env.EVENTS_STREAM_HEARTBEAT_MS,
+  25_000,
+  1_000,
+  5 * 60 * 1000
+);
+// Client reconnect delay advertised via the SSE `retry:` field.
+const EVENTS_STREAM_RETRY_MS = 5_000;
+// Max rows replayed on resume; past this the client is told to reload instead.
+const EVENTS_STREAM_REPLAY_LIMIT = 500;
+
+const EVENT_COLUMNS = `id, timestamp, accessory_id, accessory_name, room_name,
+                service_type, characteristic, old_value, new_value, protocol,
+                transport, endpoint_id, cluster_id, attribute_id, raw_iid,
+                reconciled, gap_started_at, event_data`;
+
+/**
+ * Cheap row count for a filtered event_logs query, taken from the planner's
+ * estimate rather than a full scan. Good enough for "about N events" labels.
+ */
+async function estimateRowCount(pool, where, params) {
+  const result = await pool.query(`EXPLAIN (FORMAT JSON) SELECT 1 FROM event_logs ${where}`, params);
+  const plan = result.rows[0]?.['QUERY PLAN']?.[0]?.Plan;
+  const rows = Number(plan?.['Plan Rows']);
+  return Number.isFinite(rows) ? Math.round(rows) : null;
+}
 
 export function createEventsRouter({ pool, getRooms }) {
   const router = express.Router();
@@ -46,59 +125,155 @@ export function createEventsRouter({ pool, getRooms }) {
     message: { error: 'Too many requests' },
   });
 
+  /**
+   * Keyset-paged event feed, newest first. Pass the previous response's
+   * `nextCursor` as `cursor` to continue. Totals are opt-in via
+   * `total=exact` (full COUNT) or `total=estimate` (planner row estimate).
+   */
   router.get('/events', eventsReadLimiter, async (req, res) => {
     try {
-      const page = parseIntInRange(req.query.page, 1, 1, Number.MAX_SAFE_INTEGER);
       const limit = parseIntInRange(req.query.limit, 50, 1, 200);
-      const offset = (page - 1) * limit;
-
-      const conditions = [];
-      const params = [];
-
-      if (req.query.room) { params.push(req.query.room); conditions.push(`room_name = $${params.length}`); }
-      if (req.query.accessory) { params.push(`%${req.query.accessory}%`); conditions.push(`accessory_name ILIKE $${params.length}`); }
-      if (req.query.characteristic) { params.push(req.query.characteristic); conditions.push(`characteristic = $${params.length}`); }
-      if (req.query.from) { params.push(req.query.from); conditions.push(`timestamp >= $${params.length}`); }
-      if (req.query.to) { params.push(req.query.to); conditions.push(`timestamp <= $${params.length}`); }
+      const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+      if (req.query.cursor && !cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      const totalMode = ['exact', 'estimate'].includes(req.query.total) ? req.query.total : null;
 
+      const { conditions, params } = buildEventFilters(req.query);
       const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
 
-      const countResult = await pool.query(`SELECT COUNT(*) AS total FROM event_logs ${where}`, params);
-      const total = Number.parseInt(countResult.rows[0].total, 10);
+      let total = null;
+      if (totalMode === 'exact') {
+        const countResult = await pool.query(`SELECT COUNT(*) AS total FROM event_logs ${where}`, params);
+        total = Number.parseInt(countResult.rows[0].total, 10);
+      } else if (totalMode === 'estimate') {
+        total = await estimateRowCount(pool, where, params);
+      }
 
-      params.push(limit, offset);
+      const pageParams = [...params];
+      const pageConditions = [...conditions];
+      if (cursor) {
+        pageParams.push(cursor.timestamp, cursor.id);
+        pageConditions.push(
+          `(timestamp, id) < ($${pageParams.length - 1}::timestamptz, $${pageParams.length}::bigint)`
+        );
+      }
+      const pageWhere = pageConditions.length ? `WHERE ${pageConditions.join(' AND ')}` : '';
+
+      // Fetch one extra row to learn whether another page exists.
+      pageParams.push(limit + 1);
       const dataResult = await pool.query(
-        `SELECT id, timestamp, accessory_id, accessory_name, room_name,
-                service_type, characteristic, old_value, new_value, protocol,
-                transport, endpoint_id, cluster_id, attribute_id, raw_iid
-         FROM event_logs ${where}
+        `SELECT ${EVENT_COLUMNS}, timestamp::text AS cursor_ts
+         FROM event_logs ${pageWhere}
          ORDER BY timestamp DESC, id DESC
-         LIMIT $${params.length - 1} OFFSET $${params.length}`,
-        params
+         LIMIT $${pageParams.length}`,
+        pageParams
       );
 
+      const hasMore = dataResult.rows.length > limit;
+      const rows = dataResult.rows.slice(0, limit);
+      const last = rows.at(-1);
+      const nextCursor = hasMore && last ? encodeCursor(last.cursor_ts ?? last.timestamp, last.id) : null;
+
       const rooms = getRooms();
-      const events = dataResult.rows.map((row) => ({
-        ...row,
-        room_name: rooms[row.accessory_id]
-          ?? rooms[parentBridgeId(row.accessory_id)]
-          ?? row.room_name,
-      }));
-
-      res.json({ total, page, limit, pages: Math.ceil(total / limit), events });
+      const events = rows.map(({ cursor_ts: _cursorTs, ...row }) => applyRoomOverride(row, rooms));
+
+      res.json({
+        limit,
+        events,
+        nextCursor,
+        hasMore,
+        total,
+        totalEstimated: totalMode === 'estimate',
+      });
     } catch (err) {
       log.error('[api] /api/events error:', err.message ?? err.stack ?? err);
       res.status(500).json({ error: 'Internal server error' });
     }
   });
 
+  /**
+   * Server-Sent Events feed of every inserted event row. Clients resume via
+   * the standard Last-Event-ID header (sent automatically by EventSource on
+   * reconnect) or a `lastEventId` query param when opening a fresh stream.
+   */
+  router.get('/events/stream', eventsReadLimiter, async (req, res) => {
+    const lastEventId = parseLastEventId(req.headers['last-event-id'] ?? req.query.lastEventId);
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream behind the /api proxy.
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${EVENTS_STREAM_RETRY_MS}\n\n`);
+
+    let closed = false;
+    let replaying = lastEventId !== null;
+    const pending = [];
+    const send = (row) => {
+      if (!closed) res.write(formatStreamEvent(applyRoomOverride(row, getRooms())));
+    };
+
+    // Live rows that arrive while the replay query runs are held back so the
+    // client still receives everything in order.
+    const unsubscribe = subscribeEvents((row) => {
+      if (replaying) pending.push(row);
+      else send(row);
+    });
+    const heartbeat = setInterval(() => {
+      if (!closed) res.write(': ping\n\n');
+    }, EVENTS_STREAM_HEARTBEAT_MS);
+    heartbeat.unref?.();
+
+    req.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    if (!replaying) return;
+
+    const replayedIds = new Set();
+    try {
+      const result = await pool.query(
+        `SELECT ${EVENT_COLUMNS}
+         FROM event_logs
+         WHERE id > $1
+         ORDER BY id ASC
+         LIMIT $2`,
+        [lastEventId, EVENTS_STREAM_REPLAY_LIMIT]
+      );
+      for (const row of result.rows) {
+        replayedIds.add(String(row.id));
+        send(row);
+      }
+      if (result.rows.length >= EVENTS_STREAM_REPLAY_LIMIT && !closed) {
+        res.write('event: reset\ndata: {}\n\n');
+      }
+    } catch (err) {
+      log.error('[api] /api/events/stream replay error:', err.message ?? err.stack ?? err);
+      if (!closed) res.write('event: reset\ndata: {}\n\n');
+    }
+
+    replaying = false;
+    for (const row of pending.splice(0)) {
+      if (!replayedIds.has(String(row.id))) send(row);
+    }
+  });
+
+  /**
+   * Locate the newest event for an accessory in a given UTC hour and return
+   * the cursor whose page starts with it (null when it is the newest row).
+   */
   router.get('/events/jump', eventsReadLimiter, async (req, res) => {
-    const { accessory, hour, limit = '50', room, from, to } = req.query;
+    const { accessory, hour, room, from, to } = req.query;
     if (!accessory || hour === undefined) {
       return res.status(400).json({ error: 'accessory and hour are required' });
     }
 
-    const pageSize = parseIntInRange(limit, 50, 1, 200);
     const hourInt = Number.parseInt(String(hour), 10);
 
     try {
@@ -112,7 +287,7 @@ export function createEventsRouter({ pool, getRooms }) {
       if (to) { matchParams.push(to); matchConditions.push(`timestamp <= $${matchParams.length}`); }
 
       const matchResult = await pool.query(
-        `SELECT id, timestamp
+        `SELECT id, timestamp, timestamp::text AS cursor_ts
          FROM event_logs
          WHERE ${matchConditions.join(' AND ')}
          ORDER BY timestamp DESC, id DESC
@@ -120,25 +295,31 @@ export function createEventsRouter({ pool, getRooms }) {
         matchParams
       );
 
-      if (!matchResult.rows.length) return res.json({ page: null, eventId: null });
+      if (!matchResult.rows.length) return res.json({ cursor: null, eventId: null });
 
-      const { id: eventId, timestamp } = matchResult.rows[0];
-      const countParams = [timestamp, eventId];
-      const countConditions = [
+      const { id: eventId, cursor_ts: timestamp } = matchResult.rows[0];
+      // The cursor is the row sorted immediately before the match, so a page
+      // fetched with it begins at the match itself.
+      const neighbourParams = [timestamp, eventId];
+      const neighbourConditions = [
         '(timestamp > $1 OR (timestamp = $1 AND id > $2))',
       ];
-      if (room) { countParams.push(room); countConditions.push(`room_name = $${countParams.length}`); }
-      if (from) { countParams.push(from); countConditions.push(`timestamp >= $${countParams.length}`); }
-      if (to) { countParams.push(to); countConditions.push(`timestamp <= $${countParams.length}`); }
+      if (room) { neighbourParams.push(room); neighbourConditions.push(`room_name = $${neighbourParams.length}`); }
+      if (from) { neighbourParams.push(from); neighbourConditions.push(`timestamp >= $${neighbourParams.length}`); }
+      if (to) { neighbourParams.push(to); neighbourConditions.push(`timestamp <= $${neighbourParams.length}`); }
 
-      const countResult = await pool.query(
-        `SELECT COUNT(*) AS newer FROM event_logs WHERE ${countConditions.join(' AND ')}`,
-        countParams
+      const neighbourResult = await pool.query(
+        `SELECT id, timestamp::text AS cursor_ts
+         FROM event_logs
+         WHERE ${neighbourConditions.join(' AND ')}
+         ORDER BY timestamp ASC, id ASC
+         LIMIT 1`,
+        neighbourParams
       );
 
-      const newer = Number.parseInt(countResult.rows[0].newer, 10);
-      const page = Math.floor(newer / pageSize) + 1;
-      res.json({ page, eventId: String(eventId) });
+      const neighbour = neighbourResult.rows[0];
+      const cursor = neighbour ? encodeCursor(neighbour.cursor_ts, neighbour.id) : null;
+      res.json({ cursor, eventId: String(eventId) });
     } catch (err) {
       log.error('[api] /api/events/jump error:', err.message ?? err.stack ?? err);
       res.status(500).json({ error: 'Internal server error' });
@@ -148,4 +329,11 @@ export function createEventsRouter({ pool, getRooms }) {
   return router;
 }
 
-export { parentBridgeId, parseIntInRange };
+export {
+  applyRoomOverride,
+  buildEventFilters,
+  decodeCursor,
+  encodeCursor,
+  parentBridgeId,
+  parseIntInRange,
+};
@@ -0,0 +1,217 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { createGzip } from 'zlib';
+import { applyRoomOverride, buildEventFilters, parseIntInRange } from './events-router.js';
+import { log } from './logger.js';
+
+const EXPORT_FORMATS = new Set(['csv', 'ndjson']);
+const EXPORT_BATCH_SIZE = parseIntInRange(process.env.EXPORT_BATCH_SIZE, 2_000, 100, 50_000);
+
+const EXPORT_COLUMNS = [
+  'id', 'timestamp', 'accessory_id', 'accessory_name', 'room_name',
+  'service_type', 'characteristic', 'old_value', 'new_value', 'protocol',
+  'transport', 'endpoint_id', 'cluster_id', 'attribute_id', 'raw_iid',
+  'reconciled', 'gap_started_at', 'event_data', 'source',
+];
+
+function rateLimitKeyGenerator(req) {
+  const forwardedFor = req?.headers?.['x-forwarded-for'];
+  if (typeof forwardedFor === 'string' && forwardedFor.trim()) {
+    return forwardedFor.split(',')[0].trim();
+  }
+  return req?.ip ?? req?.socket?.remoteAddress ?? 'unknown';
+}
+
+const EXPORT_RATE_LIMIT_WINDOW_MS = parseIntInRange(
+  process.env.EXPORT_RATE_LIMIT_WINDOW_MS,
+  60_000,
+  1_000,
+  24 * 60 * 60 * 1000
+);
+const EXPORT_RATE_LIMIT_MAX = parseIntInRange(
+  process.env.EXPORT_RATE_LIMIT_MAX,
+  10,
+  1,
+  10_000
+);
+
+function isTruthy(value) {
+  return /^(1|true|yes|on)$/i.test(String(value ?? ''));
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value); // event_data
+  else text = String(value);
+  // Neutralise spreadsheet formula injection; plain numbers like "-3.5" are left alone.
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsvRow(row) {
+  return `${EXPORT_COLUMNS.map((column) => csvCell(row[column])).join(',')}\r\n`;
+}
+
+function formatNdjsonRow(row) {
+  const record = {};
+  for (const column of EXPORT_COLUMNS) record[column] = row[column] ?? null;
+  return `${JSON.stringify(record)}\n`;
+}
+
+function exportFilename(format, gzip) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+  return `homechronicle-events-${stamp}.${format}${gzip ? '.gz' : ''}`;
+}
+
+/**
+ * Resolve once the writable can take more data. Rejects if the client goes
+ * away first so the export loop stops querying.
+ */
+function waitForDrain(stream) {
+  return new Promise((resolve, reject) => {
+    if (stream.destroyed) {
+      reject(new Error('Export stream closed'));
+      return;
+    }
+    const cleanup = () => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+      stream.off('error', onClose);
+    };
+    const onDrain = () => { cleanup(); resolve(); };
+    const onClose = () => { cleanup(); reject(new Error('Export stream closed')); };
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+    stream.on('error', onClose);
+  });
+}
+
+export function createExportRouter({ pool, getRooms }) {
+  const router = express.Router();
+  const exportLimiter = rateLimit({
+    windowMs: EXPORT_RATE_LIMIT_WINDOW_MS,
+    max: EXPORT_RATE_LIMIT_MAX,
+    standardHeaders: true,
+    legacyHeaders: false,
+    validate: false,
+    keyGenerator: rateLimitKeyGenerator,
+    message: { error: 'Too many requests' },
+  });
+
+  /**
+   * Stream every matching event, live and archived, oldest first. Rows are
+   * read in keyset batches and the next batch is only fetched once the
+   * response (or gzip stream) has drained, so memory stays flat for any size.
+   */
+  router.get('/export/events', exportLimiter, async (req, res) => {
+    const format = String(req.query.format ?? 'csv').trim().toLowerCase();
+    if (!EXPORT_FORMATS.has(format)) {
+      return res.status(400).json({ error: 'format must be one of: csv, ndjson' });
+    }
+    const gzip = isTruthy(req.query.gzip);
+
+    const { conditions, params } = buildEventFilters(req.query);
+    const filterSql = conditions.length ? `AND ${conditions.join(' AND ')}` : '';
+    const formatRow = format === 'csv' ? formatCsvRow : formatNdjsonRow;
+
+    res.status(200).set({
+      'Content-Type': gzip
+        ? 'application/gzip'
+        : (format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8'),
+      'Content-Disposition': `attachment; filename="${exportFilename(format, gzip)}"`,
+      'Cache-Control': 'no-store',
+    });
+
+    let out = res;
+    if (gzip) {
+      out = createGzip();
+      out.pipe(res);
+    }
+
+    let closed = false;
+    req.on('close', () => { closed = true; });
+    res.on('close', () => {
+      if (res.writableFinished) return;
+      closed = true;
+      // The response unpipes the gzip stream when the client goes away, so
+      // it would never drain; destroying it releases a pending write.
+      if (out !== res) out.destroy();
+    });
+
+    const write = async (chunk) => {
+      if (!out.write(chunk)) await waitForDrain(out);
+    };
+
+    let exported = 0;
+    try {
+      if (format === 'csv') await write(`${EXPORT_COLUMNS.join(',')}\r\n`);
+
+      let cursor = null;
+      while (!closed) {
+        const batchParams = [...params];
+        let keyset = '';
+        if (cursor) {
+          batchParams.push(cursor.timestamp, cursor.id);
+          keyset = `AND (timestamp, %ID%) > ($${batchParams.length - 1}::timestamptz, $${batchParams.length}::bigint)`;
+        }
+        batchParams.push(EXPORT_BATCH_SIZE);
+
+        const result = await pool.query(
+          `SELECT * FROM (
+             (SELECT id, timestamp, timestamp::text AS cursor_ts, accessory_id, accessory_name,
+                     room_name, service_type, characteristic, old_value, new_value, protocol,
+                     transport, endpoint_id, cluster_id, attribute_id, raw_iid,
+                     reconciled, gap_started_at, event_data, 'live' AS source
+              FROM event_logs
+              WHERE TRUE ${filterSql} ${keyset.replace('%ID%', 'id')}
+              ORDER BY timestamp ASC, id ASC
+              LIMIT $${batchParams.length})
+             UNION ALL
+             (SELECT source_id AS id, timestamp, timestamp::text AS cursor_ts, accessory_id, accessory_name,
+                     room_name, service_type, characteristic, old_value, new_value, protocol,
+                     transport, endpoint_id, cluster_id, attribute_id, raw_iid,
+                     reconciled, gap_started_at, event_data, 'archive' AS source
+              FROM event_logs_archive
+              WHERE TRUE ${filterSql} ${keyset.replace('%ID%', 'source_id')}
+              ORDER BY timestamp ASC, source_id ASC
+              LIMIT $${batchParams.length})
+           ) AS combined
+           ORDER BY timestamp ASC, id ASC
+           LIMIT $${batchParams.length}`,
+          batchParams
+        );
+
+        if (!result.rows.length) break;
+
+        const rooms = getRooms();
+        for (const row of result.rows) {
+          if (closed) break;
+          const { cursor_ts: _cursorTs, ...event } = row;
+          await write(formatRow(applyRoomOverride(event, rooms)));
+          exported += 1;
+        }
+
+        const last = result.rows.at(-1);
+        cursor = { timestamp: last.cursor_ts, id: last.id };
+        if (result.rows.length < EXPORT_BATCH_SIZE) break;
+      }
+
+      out.end();
+      log.info(`[export] Exported ${exported} event(s) as ${format}${gzip ? ' (gzip)' : ''}`);
+    } catch (err) {
+      if (closed) {
+        log.debug(`[export] Client disconnected after ${exported} event(s)`);
+      } else {
+        log.error('[api] /api/export/events error:', err.message ?? err.stack ?? err);
+      }
+      // Headers are already sent; cutting the stream signals the failure.
+      res.destroy();
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,173 @@
+/**
+ * homekit-discovery.js — long-lived mDNS browse for HomeKit (_hap._tcp)
+ * accessories.
+ *
+ * Keeps pairings current without waiting for a rescan: every serviceUp and
+ * serviceChanged announcement for a paired device ID is compared with the
+ * stored address and port, so a DHCP lease change is picked up as soon as
+ * the accessory re-announces itself. `onAddressChange` (index.js) saves the
+ * new address, records it in the address history and reconnects that
+ * accessory's subscriber.
+ *
+ * Exports:
+ *   createHomeKitBrowser(options) → { start, stop, isRunning, list, handleService }
+ *   isSameAddress(pairing, service) → boolean
+ *   watchSetupHashes(discovery, onSetupHash)
+ */
+
+import { IPDiscovery } from 'hap-controller';
+import { log } from './logger.js';
+
+// Wait before reopening the browser after an mDNS error.
+const RESTART_DELAY_MS = 30_000;
+
+/**
+ * Whether a discovered service still points at the stored address. Dual-
+ * stack accessories announce several addresses; any of them counts, so the
+ * pairing doesn't flip between IPv4 and IPv6 on every announcement.
+ */
+export function isSameAddress(pairing, service) {
+  if (Number(pairing?.port) !== Number(service?.port)) return false;
+  const addresses = service.allAddresses?.length ? service.allAddresses : [service.address];
+  return addresses.includes(pairing.address);
+}
+
+/**
+ * hap-controller leaves the `sh` (setup hash) TXT field out of the services
+ * it emits, so read it from the underlying dnssd browser; setup payloads are
+ * matched to accessories with it. Call after `discovery.start()`.
+ * @param {(deviceId: string, setupHash: string) => void} onSetupHash
+ */
+export function watchSetupHashes(discovery, onSetupHash) {
+  const browser = discovery?.browser;
+  if (!browser?.on) return;
+  const handle = (raw) => {
+    if (raw?.txt?.id && raw.txt.sh) onSetupHash(raw.txt.id, raw.txt.sh);
+  };
+  browser.on('serviceUp', handle);
+  browser.on('serviceChanged', handle);
+}
+
+/**
+ * @param {object} options
+ * @param {string|null} [options.iface]          - DISCOVER_IFACE
+ * @param {(deviceId: string) => object|null} options.getPairing - HomeKit pairings only
+ * @param {(change: { deviceId: string, pairing: object, service: object, source: string }) => Promise<void>} options.onAddressChange
+ * @param {() => void} [options.onServicesChanged] - the list() contents changed
+ * @param {(iface: string|null) => object} [options.createDiscovery] - injectable for tests
+ */
+export function createHomeKitBrowser({
+  iface = null,
+  getPairing,
+  onAddressChange,
+  onServicesChanged = () => {},
+  createDiscovery = (discoverIface) => new IPDiscovery(discoverIface),
+  restartDelayMs = RESTART_DELAY_MS,
+}) {
+  const services = new Map();
+  let discovery = null;
+  let restartTimer = null;
+  let running = false;
+  // Changes are applied one at a time so two announcements can't race each
+  // other through pairings.json.
+  let queue = Promise.resolve();
+
+  async function checkService(service, source) {
+    const pairing = getPairing(service.id);
+    if (!pairing || !service.address || isSameAddress(pairing, service)) return;
+    await onAddressChange({ deviceId: service.id, pairing, service, source });
+  }
+
+  /**
+   * Record a discovered service and apply an address change if it has one.
+   * Also used for the results of a manual scan (`source: 'scan'`).
+   */
+  function handleService(service, source = 'browse') {
+    if (!service?.id) return queue;
+    services.set(service.id, service);
+    onServicesChanged();
+    queue = queue
+      .then(() => checkService(service, source))
+      .catch((err) => {
+        log.error(`[discovery] Address update for ${service.id} failed:`, err.message ?? err.stack ?? err);
+      });
+    return queue;
+  }
+
+  function close() {
+    if (!discovery) return;
+    try { discovery.stop(); } catch { /* ignore stop errors */ }
+    discovery = null;
+  }
+
+  function scheduleRestart() {
+    if (!running || restartTimer) return;
+    restartTimer = setTimeout(() => {
+      restartTimer = null;
+      open();
+    }, restartDelayMs);
+  }
+
+  function open() {
+    if (!running) return;
+    close();
+    try {
+      // Handlers stay attached after close() (an 'error' without a listener
+      // would throw), but ignore a browser that has been replaced.
+      const current = createDiscovery(iface);
+      discovery = current;
+      current.on('serviceUp', (service) => {
+        if (discovery === current) void handleService(service);
+      });
+      current.on('serviceChanged', (service) => {
+        if (discovery === current) void handleService(service);
+      });
+      current.on('serviceDown', (service) => {
+        if (discovery === current && services.delete(service?.id)) onServicesChanged();
+      });
+      current.on('error', (err) => {
+        if (discovery !== current) return;
+        log.warn(`[discovery] Browse failed, retrying in ${Math.round(restartDelayMs / 1000)}s: ${err?.message ?? err}`);
+        close();
+        scheduleRestart();
+      });
+      current.start();
+      watchSetupHashes(current, (deviceId, setupHash) => {
+        const service = services.get(deviceId);
+        if (discovery !== current || !service || service.setupHash === setupHash) return;
+        service.setupHash = setupHash;
+        onServicesChanged();
+      });
+      log.info('[discovery] Browsing for HomeKit accessories');
+    } catch (err) {
+      log.warn(`[discovery] Could not start browsing, retrying in ${Math.round(restartDelayMs / 1000)}s: ${err.message ?? err}`);
+      close();
+      scheduleRestart();
+    }
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    open();
+  }
+
+  function stop() {
+    if (!running) return;
+    running = false;
+    if (restartTimer) {
+      clearTimeout(restartTimer);
+      restartTimer = null;
+    }
+    close();
+    log.info('[discovery] Stopped browsing');
+  }
+
+  return {
+    start,
+    stop,
+    isRunning: () => running,
+    list: () => [...services.values()],
+    handleService,
+  };
+}
@@ -10,22 +10,64 @@ import express from 'express';
 import cors from 'cors';
 import rateLimit from 'express-rate-limit';
 import { IPDiscovery, HttpClient } from 'hap-controller';
-import { insertEvent, pool, migrateDb, runRetentionSweep } from './db.js';
-import { startSubscribers, stopSubscriber, getSubscriberStats } from './subscriber.js';
+import {
+  deleteLoggedData,
+  insertEvent,
+  loadAccessoryState,
+  pool,
+  migrateDb,
+  recordAddressChange,
+  recordSuppressionCounts,
+  runRetentionSweep,
+} from './db.js';
+import {
+  applyWatchLists,
+  forgetCachedValues,
+  primeValueCache,
+  processAlertsSafe,
+  reconnectSubscriber,
+  startSubscribers,
+  stopSubscriber,
+  getSubscriberStats,
+} from './subscriber.js';
 import { JsonObjectStore } from './store.js';
 import { createEventsRouter, parentBridgeId, parseIntInRange } from './events-router.js';
 import { createAlertsRouter } from './alerts-router.js';
+import { createAlertScheduler } from './alert-scheduler.js';
+import { defaultHouseholdTimezone, isValidTimezone, setHouseholdTimezone } from './alert-schedule.js';
+import { createAlertDeliveryQueue } from './alert-queue.js';
+import { INCIDENT_LINK_PATTERN } from './alert-incidents.js';
+import { createUserAuthMiddleware, ensureBootstrapAdmin, parseAuthMode } from './auth.js';
+import { createAuthRouter } from './auth-router.js';
+import { subscribeEvents } from './event-stream.js';
+import { createExportRouter } from './export-router.js';
+import { createStateRouter } from './state-router.js';
+import { createBackupRouter } from './backup-router.js';
 import { createMatterRouter } from './matter-router.js';
 import { createMatterRuntime } from './matter-runtime.js';
-import { initController as initMatterController } from './matter-controller.js';
-import { deriveDeviceHealth } from './device-health.js';
+import { createHomeKitBrowser, isSameAddress, watchSetupHashes } from './homekit-discovery.js';
+import { findBySetupId, parseSetupPayload, setupHashFor } from './setup-payload.js';
+import { initController as initMatterController, STORAGE_PATH as MATTER_STORAGE_PATH } from './matter-controller.js';
+import { CONNECTION_CHARACTERISTICS, REACHABLE, deriveDeviceHealth } from './device-health.js';
 import { detectOutliers } from './anomaly-detection.js';
+import {
+  SUPPRESSION_REASONS,
+  drainSuppressionCounts,
+  getNoisePolicyConfig,
+  normalizeNoisePolicyConfig,
+  recordSuppression,
+  setNoisePolicyConfig,
+  validateNoisePolicy,
+} from './noise-policy.js';
 import { log, getLevel, setLevel } from './logger.js';
 import { secureTokenEquals } from './security.js';
 import {
   cacheAccessoryMetadata,
   getAccessoryCapabilities,
   getAccessoryIdentity,
+  normalizeCharacteristicType,
+  normalizeWatchListConfig,
+  setWatchListConfig,
   shortUuid,
 } from './accessory-metadata.js';
 
@@ -38,14 +80,21 @@ const DISPLAY_NAMES_FILE = process.env.DISPLAY_NAMES_FILE
   || (process.env.NODE_ENV === 'production' ? '/app/data/display-names.json' : './data/display-names.json');
 const NOTES_FILE = process.env.NOTES_FILE
   || (process.env.NODE_ENV === 'production' ? '/app/data/notes.json' : './data/notes.json');
+const WATCH_LISTS_FILE = process.env.WATCH_LISTS_FILE
+  || (process.env.NODE_ENV === 'production' ? '/app/data/watch-lists.json' : './data/watch-lists.json');
+const NOISE_POLICIES_FILE = process.env.NOISE_POLICIES_FILE
+  || (process.env.NODE_ENV === 'production' ? '/app/data/noise-policies.json' : './data/noise-policies.json');
 const RETENTION_FILE = process.env.RETENTION_FILE
   || (process.env.NODE_ENV === 'production' ? '/app/data/retention.json' : './data/retention.json');
 
 const PORT = Number(process.env.API_PORT ?? 3001);
-const RESCAN_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const SUPPRESSION_FLUSH_INTERVAL_MS = 60 * 1000;
 const STORE_REFRESH_INTERVAL_MS = Number.parseInt(process.env.STORE_REFRESH_INTERVAL_MS ?? '30000', 10);
 const API_TOKEN = (process.env.API_TOKEN ?? '').trim();
 const API_TOKEN_READS_ENABLED = /^(1|true|yes|on)$/i.test(process.env.API_TOKEN_READS_ENABLED ?? 'false');
+// token: one shared API_TOKEN (default). users: accounts, roles and per-device tokens (auth.js).
+const AUTH_MODE = parseAuthMode(process.env.AUTH_MODE);
+const AUTH_SESSION_TTL_HOURS = parseIntInRange(process.env.AUTH_SESSION_TTL_HOURS, 720, 1, 24 * 365);
 const API_JSON_LIMIT = (process.env.API_JSON_LIMIT ?? '256kb').trim() || '256kb';
 const CORS_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS ?? '')
   .split(',')
@@ -53,6 +102,12 @@ const CORS_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS ?? '')
   .filter(Boolean);
 const CORS_ALLOW_LOCALHOST = /^(1|true|yes|on)$/i.test(process.env.CORS_ALLOW_LOCALHOST ?? 'true');
 const ALERTS_ENABLED = !/^(0|false|no|off)$/i.test(process.env.ALERTS_ENABLED ?? 'false');
+const ALERTS_TIMER_INTERVAL_MS = parseIntInRange(process.env.ALERTS_TIMER_INTERVAL_MS, 30_000, 1_000, 60 * 60 * 1000);
+const ALERTS_DIGEST_HOUR = parseIntInRange(process.env.ALERTS_DIGEST_HOUR, 8, 0, 23);
+const ALERTS_DELIVERY_MAX_ATTEMPTS = parseIntInRange(process.env.ALERTS_DELIVERY_MAX_ATTEMPTS, 5, 1, 20);
+const ALERTS_RETRY_BASE_MS = parseIntInRange(process.env.ALERTS_RETRY_BASE_MS, 30_000, 1_000, 60 * 60 * 1000);
+const ALERTS_RETRY_MAX_MS = parseIntInRange(process.env.ALERTS_RETRY_MAX_MS, 60 * 60 * 1000, 1_000, 24 * 60 * 60 * 1000);
+const ALERTS_QUEUE_INTERVAL_MS = parseIntInRange(process.env.ALERTS_QUEUE_INTERVAL_MS, 5_000, 500, 10 * 60 * 1000);
 const DISCOVERY_SCAN_ENABLED = !/^(0|false|no|off)$/i.test(process.env.DISCOVERY_SCAN_ENABLED ?? 'true');
 const IS_PRODUCTION = String(process.env.NODE_ENV ?? 'production').trim().toLowerCase() === 'production';
 
@@ -65,8 +120,12 @@ const API_WRITE_RATE_LIMIT_MAX = Number.parseInt(process.env.API_WRITE_RATE_LIMI
 const API_STATS_RATE_LIMIT_WINDOW_MS = Number.parseInt(process.env.API_STATS_RATE_LIMIT_WINDOW_MS ?? '60000', 10);
 const API_STATS_RATE_LIMIT_MAX = Number.parseInt(process.env.API_STATS_RATE_LIMIT_MAX ?? '120', 10);
 
-if (IS_PRODUCTION && !API_TOKEN) {
-  log.error('[api] API_TOKEN is required when NODE_ENV=production');
+if (!AUTH_MODE) {
+  log.error('[api] AUTH_MODE must be "token" or "users"');
+  process.exit(1);
+}
+if (IS_PRODUCTION && AUTH_MODE === 'token' && !API_TOKEN) {
+  log.error('[api] API_TOKEN is required when NODE_ENV=production (or set AUTH_MODE=users)');
   process.exit(1);
 }
 
@@ -74,6 +133,8 @@ const pairingsStore = new JsonObjectStore(PAIRINGS_FILE, {});
 const roomsStore = new JsonObjectStore(ROOMS_FILE, {});
 const displayNamesStore = new JsonObjectStore(DISPLAY_NAMES_FILE, {});
 const notesStore = new JsonObjectStore(NOTES_FILE, {});
+const watchListsStore = new JsonObjectStore(WATCH_LISTS_FILE, {});
+const noisePoliciesStore = new JsonObjectStore(NOISE_POLICIES_FILE, {});
 const retentionStore = new JsonObjectStore(RETENTION_FILE, {
   retentionDays: RETENTION_DAYS_DEFAULT,
   archiveBeforeDelete: RETENTION_ARCHIVE_DEFAULT,
@@ -152,7 +213,19 @@ function normalizeRetentionSettings(input = {}) {
   const quietHoursStart = Number.isFinite(qhStart) && qhStart >= 0 && qhStart <= 23 ? qhStart : 23;
   const qhEnd = Number.parseInt(String(input.quietHoursEnd ?? ''), 10);
   const quietHoursEnd = Number.isFinite(qhEnd) && qhEnd >= 0 && qhEnd <= 23 ? qhEnd : 6;
-  return { retentionDays, archiveBeforeDelete, staleThresholdHours, autoScanHomeKit, quietHoursEnabled, quietHoursStart, quietHoursEnd };
+  const householdTimezone = isValidTimezone(input.householdTimezone)
+    ? input.householdTimezone.trim()
+    : defaultHouseholdTimezone();
+  return {
+    retentionDays,
+    archiveBeforeDelete,
+    staleThresholdHours,
+    autoScanHomeKit,
+    quietHoursEnabled,
+    quietHoursStart,
+    quietHoursEnd,
+    householdTimezone,
+  };
 }
 
 function isLoopbackHostname(hostname) {
@@ -213,6 +286,59 @@ function mapReliabilityStats(reliability) {
     last_subscribed_at: reliability.lastSubscribedAt,
     last_error: reliability.lastError,
     last_error_at: reliability.lastErrorAt,
+    reconciled_events: reliability.reconciledEvents,
+    connectivity_gaps: reliability.connectivityGaps,
+    last_reconciled_at: reliability.lastReconciledAt,
+  };
+}
+
+/**
+ * Recorded connection state per paired device or Matter node (its Reachable
+ * row in accessory_state), with how often it went unreachable in 7 days.
+ * @returns {Promise<Map<string, { reachable: boolean, since: Date, drops7d: number }>>}
+ */
+async function loadReachability(accessoryIds = null) {
+  const params = [REACHABLE];
+  let filter = '';
+  if (accessoryIds) {
+    params.push(accessoryIds);
+    filter = 'AND s.accessory_id = ANY($2::text[])';
+  }
+  const result = await pool.query(
+    `SELECT s.accessory_id, s.value, s.updated_at, COALESCE(d.drops, 0)::int AS drops_7d
+     FROM accessory_state s
+     LEFT JOIN (
+       SELECT accessory_id, COUNT(*) AS drops
+       FROM event_logs
+       WHERE characteristic = $1 AND new_value = 'false'
+         AND timestamp >= NOW() - INTERVAL '7 days'
+       GROUP BY accessory_id
+     ) d USING (accessory_id)
+     WHERE s.characteristic = $1 ${filter}`,
+    params
+  );
+  return new Map(result.rows.map((row) => [row.accessory_id, {
+    reachable: row.value === 'true',
+    since: row.updated_at,
+    drops7d: row.drops_7d,
+  }]));
+}
+
+/** Reachability for an accessory: its own, else its bridge's or node's. */
+function reachabilityFor(reachabilityById, accessoryId, connectionId) {
+  const own = reachabilityById.get(accessoryId);
+  if (own) return { ...own, direct: true };
+  const parent = connectionId && connectionId !== accessoryId ? reachabilityById.get(connectionId) : null;
+  return parent ? { ...parent, direct: false } : null;
+}
+
+function mapReachability(reachability) {
+  if (!reachability) return null;
+  return {
+    reachable: reachability.reachable,
+    since: reachability.since,
+    drops_7d: reachability.drops7d,
+    direct: reachability.direct,
   };
 }
 
@@ -263,8 +389,36 @@ async function saveNotes(notes) {
   await notesStore.write(notes);
 }
 
+/**
+ * Current watch lists. Also hands them to accessory-metadata.js; returns
+ * `changed` so callers only resubscribe when something actually moved.
+ */
+function loadWatchLists() {
+  const config = normalizeWatchListConfig(watchListsStore.getSnapshot());
+  return { config, changed: setWatchListConfig(config) };
+}
+
+async function saveWatchLists(config) {
+  await watchListsStore.write(normalizeWatchListConfig(config));
+  if (loadWatchLists().changed) void applyWatchLists();
+}
+
+/** Current noise policies; also hands them to noise-policy.js. */
+function loadNoisePolicies() {
+  setNoisePolicyConfig(noisePoliciesStore.getSnapshot());
+  return getNoisePolicyConfig();
+}
+
+async function saveNoisePolicies(config) {
+  await noisePoliciesStore.write(normalizeNoisePolicyConfig(config));
+  return loadNoisePolicies();
+}
+
 function loadRetentionSettings() {
-  return normalizeRetentionSettings(retentionStore.getSnapshot());
+  const settings = normalizeRetentionSettings(retentionStore.getSnapshot());
+  // Alert rule schedules are evaluated in the household timezone.
+  setHouseholdTimezone(settings.householdTimezone);
+  return settings;
 }
 
 async function saveRetentionSettings(settings) {
@@ -292,19 +446,62 @@ const DISCOVER_IFACE = (() => {
 // ---------------------------------------------------------------------------
 
 await migrateDb();
+if (AUTH_MODE === 'users') {
+  await ensureBootstrapAdmin({
+    pool,
+    username: process.env.ADMIN_USERNAME,
+    password: process.env.ADMIN_PASSWORD,
+  });
+}
 await pairingsStore.init();
 await roomsStore.init();
 await displayNamesStore.init();
 await notesStore.init();
+await watchListsStore.init();
+loadWatchLists();
+await noisePoliciesStore.init();
+loadNoisePolicies();
 await retentionStore.init();
 await initMatterController();
 matterRuntime = createMatterRuntime({
   insertEvent,
   loadRooms,
+  processAlerts: processAlertsSafe,
 });
 
+// Last-known values, so old_value survives restarts.
+try {
+  const stateRows = await loadAccessoryState();
+  const loaded = primeValueCache(stateRows) + matterRuntime.primeValueCache(stateRows);
+  log.info(`[init] Restored ${loaded} last-known value(s)`);
+} catch (err) {
+  log.warn('[init] Could not load accessory state:', err.message ?? err.stack ?? err);
+}
+
 let retentionSettings = loadRetentionSettings();
 
+// Duration/absence alert timers. Fed from every inserted event (HomeKit and
+// Matter alike) and checked on an interval.
+const alertScheduler = ALERTS_ENABLED
+  ? createAlertScheduler({ pool, intervalMs: ALERTS_TIMER_INTERVAL_MS, digestHour: ALERTS_DIGEST_HOUR })
+  : null;
+if (alertScheduler) {
+  subscribeEvents((row) => { void alertScheduler.handleEvent(row); });
+  alertScheduler.start();
+}
+
+// Sends queued alert deliveries, with retries and dead-lettering.
+const alertDeliveryQueue = ALERTS_ENABLED
+  ? createAlertDeliveryQueue({
+    pool,
+    intervalMs: ALERTS_QUEUE_INTERVAL_MS,
+    maxAttempts: ALERTS_DELIVERY_MAX_ATTEMPTS,
+    backoffBaseMs: ALERTS_RETRY_BASE_MS,
+    backoffMaxMs: Math.max(ALERTS_RETRY_BASE_MS, ALERTS_RETRY_MAX_MS),
+  })
+  : null;
+alertDeliveryQueue?.start();
+
 if (Number.isFinite(STORE_REFRESH_INTERVAL_MS) && STORE_REFRESH_INTERVAL_MS >= 5_000) {
   setInterval(() => {
     void pairingsStore.refresh().catch((err) => {
@@ -326,8 +523,21 @@ if (Number.isFinite(STORE_REFRESH_INTERVAL_MS) && STORE_REFRESH_INTERVAL_MS >= 5
     void notesStore.refresh().catch((err) => {
       log.warn('[store] notes refresh failed:', err.message ?? err.stack ?? err);
     });
+    void watchListsStore.refresh()
+      .then(() => { if (loadWatchLists().changed) void applyWatchLists(); })
+      .catch((err) => {
+        log.warn('[store] watch-lists refresh failed:', err.message ?? err.stack ?? err);
+      });
+    void noisePoliciesStore.refresh()
+      .then(() => { loadNoisePolicies(); })
+      .catch((err) => {
+        log.warn('[store] noise-policies refresh failed:', err.message ?? err.stack ?? err);
+      });
     void retentionStore.refresh()
-      .then(() => { retentionSettings = loadRetentionSettings(); })
+      .then(() => {
+        retentionSettings = loadRetentionSettings();
+        syncHomeKitBrowsing();
+      })
       .catch((err) => {
         log.warn('[store] retention refresh failed:', err.message ?? err.stack ?? err);
       });
@@ -355,11 +565,76 @@ if (pairedCount > 0) {
 }
 
 // ---------------------------------------------------------------------------
-// 2. Background discovery scan (refreshes every hour, populates cache)
+// 2. HomeKit discovery: continuous mDNS browse, plus on-demand scans
 // ---------------------------------------------------------------------------
 
-let discoveryCache = []; // last scan results
+let discoveryCache = []; // browse results, or the last manual scan's
+
+function toDiscoveryEntry(service, currentPairings) {
+  return {
+    id: service.id,
+    protocol: 'homekit',
+    name: service.name,
+    address: service.address,
+    port: service.port,
+    category: service.ci ?? null,
+    setupHash: service.setupHash ?? null,
+    paired: service.sf === 0 || !!currentPairings[service.id],
+    alreadyPaired: !!currentPairings[service.id],
+  };
+}
+
+function refreshDiscoveryCache(services) {
+  const currentPairings = getHomeKitPairings(loadPairings());
+  discoveryCache = services.map((service) => toDiscoveryEntry(service, currentPairings));
+  return discoveryCache;
+}
+
+/**
+ * A paired accessory was announced at a new address: save it, add it to the
+ * address history and reconnect that accessory's subscriber there.
+ */
+async function applyDiscoveredAddress({ deviceId, service, source }) {
+  await pairingsStore.refresh();
+  const allPairings = loadPairings();
+  const pairing = allPairings[deviceId];
+  if (!pairing || !isHomeKitPairing(pairing) || isSameAddress(pairing, service)) return;
+
+  const next = { ...pairing, address: service.address, port: service.port };
+  await savePairings({ ...allPairings, [deviceId]: next });
+  log.info(
+    `[discovery] ${pairing.name}: address changed ` +
+    `${pairing.address}:${pairing.port} -> ${service.address}:${service.port} (${source})`
+  );
+  try {
+    await recordAddressChange({
+      deviceId,
+      deviceName: pairing.name,
+      oldAddress: pairing.address,
+      oldPort: pairing.port,
+      newAddress: service.address,
+      newPort: service.port,
+      source,
+    });
+  } catch (err) {
+    log.warn('[discovery] Could not record address change:', err.message ?? err.stack ?? err);
+  }
+  reconnectSubscriber(deviceId, normalizePairingRecord(deviceId, next));
+}
+
+const homeKitBrowser = createHomeKitBrowser({
+  iface: DISCOVER_IFACE,
+  getPairing: (id) => {
+    const pairing = pairingsStore.getByKey(id);
+    return pairing && isHomeKitPairing(pairing) ? pairing : null;
+  },
+  onAddressChange: applyDiscoveredAddress,
+  onServicesChanged: () => {
+    if (homeKitBrowser.isRunning()) refreshDiscoveryCache(homeKitBrowser.list());
+  },
+});
 
+/** Short browse for the Setup tab's "Scan" button. */
 function runDiscoveryScan() {
   if (!DISCOVERY_SCAN_ENABLED) {
     return Promise.resolve(discoveryCache);
@@ -398,6 +673,10 @@ function runDiscoveryScan() {
 
     try {
       discovery.start();
+      watchSetupHashes(discovery, (id, setupHash) => {
+        const service = found.get(id);
+        if (service) service.setupHash = setupHash;
+      });
     } catch (err) {
       return fail(err);
     }
@@ -408,40 +687,13 @@ function runDiscoveryScan() {
         try {
           try { discovery.stop(); } catch { /* ignore stop errors */ }
           await pairingsStore.refresh();
-          const allPairings = loadPairings();
-          const currentPairings = getHomeKitPairings(allPairings);
-          discoveryCache = [...found.values()].map((s) => ({
-            id: s.id,
-            protocol: 'homekit',
-            name: s.name,
-            address: s.address,
-            port: s.port,
-            category: s.ci ?? null,
-            paired: s.sf === 0 || !!currentPairings[s.id],
-            alreadyPaired: !!currentPairings[s.id],
-          }));
-          log.info(`[discovery] Scan complete — found ${discoveryCache.length} accessory/accessories`);
-
-          let pairingsUpdated = false;
-          for (const [id, pairing] of Object.entries(currentPairings)) {
-            const seen = found.get(id);
-            if (!seen) continue;
-            if (seen.address !== pairing.address || seen.port !== pairing.port) {
-              log.debug(
-                `[discovery] ${pairing.name}: address updated ` +
-                `${pairing.address}:${pairing.port} -> ${seen.address}:${seen.port} — pairing refreshed`
-              );
-              currentPairings[id] = { ...pairing, address: seen.address, port: seen.port };
-              pairingsUpdated = true;
-            }
-          }
-          if (pairingsUpdated) {
-            await savePairings({
-              ...allPairings,
-              ...currentPairings,
-            });
+          // Paired accessories that moved are updated as if browsed.
+          for (const service of found.values()) {
+            // eslint-disable-next-line no-await-in-loop
+            await homeKitBrowser.handleService(service, 'scan');
           }
-
+          refreshDiscoveryCache(homeKitBrowser.isRunning() ? homeKitBrowser.list() : [...found.values()]);
+          log.info(`[discovery] Scan complete — found ${found.size} accessory/accessories`);
           succeed(discoveryCache);
         } catch (err) {
           fail(err);
@@ -451,27 +703,18 @@ function runDiscoveryScan() {
   });
 }
 
-function safeDiscoveryScan() {
-  return runDiscoveryScan().catch((err) => {
-    log.warn(`[discovery] Scan skipped: ${err.message}`);
-    return [];
-  });
-}
-
 function isAutoDiscoveryEnabled() {
   return DISCOVERY_SCAN_ENABLED && retentionSettings.autoScanHomeKit;
 }
 
-function runScheduledDiscoveryScan() {
-  if (!isAutoDiscoveryEnabled()) return Promise.resolve(discoveryCache);
-  return safeDiscoveryScan();
+/** Browse while the "auto-scan" setting is on. */
+function syncHomeKitBrowsing() {
+  if (isAutoDiscoveryEnabled()) homeKitBrowser.start();
+  else homeKitBrowser.stop();
 }
 
 if (DISCOVERY_SCAN_ENABLED) {
-  void runScheduledDiscoveryScan();
-  setInterval(() => {
-    void runScheduledDiscoveryScan();
-  }, RESCAN_INTERVAL_MS);
+  syncHomeKitBrowsing();
 } else {
   log.info('[discovery] Disabled via DISCOVERY_SCAN_ENABLED=false');
 }
@@ -506,6 +749,26 @@ if (Number.isFinite(RETENTION_SWEEP_MS) && RETENTION_SWEEP_MS >= 60_000) {
   }, RETENTION_SWEEP_MS);
 }
 
+// ---------------------------------------------------------------------------
+// 2c. Noise-policy suppression counts
+// ---------------------------------------------------------------------------
+
+// Counted in memory by noise-policy.js; added to event_suppressions here.
+// Counts from a failed write are kept for the next flush.
+async function flushSuppressionCountsSafe() {
+  const rows = drainSuppressionCounts();
+  try {
+    await recordSuppressionCounts(rows);
+  } catch (err) {
+    for (const row of rows) recordSuppression(row, row.reason, row.count);
+    log.warn('[noise] Could not record suppression counts:', err.message ?? err.stack ?? err);
+  }
+}
+
+setInterval(() => {
+  void flushSuppressionCountsSafe();
+}, SUPPRESSION_FLUSH_INTERVAL_MS);
+
 // ---------------------------------------------------------------------------
 // 3. REST API
 // ---------------------------------------------------------------------------
@@ -545,9 +808,16 @@ app.use((req, res, next) => {
   res.setHeader('Referrer-Policy', 'no-referrer');
   next();
 });
+if (AUTH_MODE === 'users') {
+  // The shared API_TOKEN (and the X-API-Token header nginx injects) is
+  // ignored here; every request needs a session cookie or device token.
+  app.use(createUserAuthMiddleware({ pool }));
+}
 app.use((req, res, next) => {
-  if (!API_TOKEN) return next();
+  if (AUTH_MODE !== 'token' || !API_TOKEN) return next();
   if (req.method === 'OPTIONS') return next();
+  // Signed incident links are checked by the alerts router.
+  if (INCIDENT_LINK_PATTERN.test(req.path)) return next();
 
   const isReadMethod = req.method === 'GET' || req.method === 'HEAD';
   if (isReadMethod && !API_TOKEN_READS_ENABLED) return next();
@@ -587,13 +857,69 @@ app.post('/api/setup/scan', async (_req, res) => {
   }
 });
 
+/**
+ * Decode an X-HM:// setup payload and find the discovered accessory it
+ * belongs to: `deviceId` if given (rejected when its setup hash disagrees),
+ * otherwise the one whose announced setup hash matches the setup ID.
+ */
+function resolveSetupPayload(text, deviceId) {
+  const parsed = parseSetupPayload(text);
+  if (parsed.error) return { error: parsed.error };
+  const payload = parsed.value;
+  if (payload.transports.ble && !payload.transports.ip) {
+    return { error: 'This accessory pairs over Bluetooth only; HomeChronicle can only pair Wi-Fi or Ethernet accessories.' };
+  }
+
+  let accessory = null;
+  if (deviceId) {
+    accessory = discoveryCache.find((s) => s.id === deviceId) ?? null;
+    if (accessory?.setupHash && accessory.setupHash !== setupHashFor(payload.setupId, accessory.id)) {
+      return { error: `This setup code belongs to a different accessory than ${accessory.name}.` };
+    }
+  } else {
+    const matches = findBySetupId(discoveryCache, payload.setupId);
+    if (matches.length === 1) accessory = matches[0];
+  }
+
+  return {
+    value: {
+      payload,
+      accessory,
+      categoryMismatch: accessory?.category != null && accessory.category !== payload.category,
+    },
+  };
+}
+
+app.post('/api/setup/decode-payload', (req, res) => {
+  const resolved = resolveSetupPayload(req.body?.payload);
+  if (resolved.error) return res.status(400).json({ error: resolved.error });
+  const { payload, accessory, categoryMismatch } = resolved.value;
+  res.json({ ...payload, accessory, categoryMismatch });
+});
+
 app.post('/api/setup/pair', async (req, res) => {
-  const { deviceId, pin, protocol = 'homekit' } = req.body ?? {};
+  const { setupPayload, protocol = 'homekit' } = req.body ?? {};
+  let { deviceId, pin } = req.body ?? {};
   if (String(protocol).toLowerCase() !== 'homekit') {
     return res.status(400).json({ error: 'Unsupported protocol for this endpoint. Use /api/setup/matter/pair.' });
   }
+  if (setupPayload) {
+    const resolved = resolveSetupPayload(setupPayload, deviceId);
+    if (resolved.error) return res.status(400).json({ error: resolved.error });
+    const { payload, accessory, categoryMismatch } = resolved.value;
+    if (!accessory) {
+      return res.status(404).json({
+        error: 'No discovered accessory matches this setup code. Run a new scan, or pick the accessory and enter its PIN.',
+      });
+    }
+    if (categoryMismatch) {
+      log.warn(`[setup] Setup payload category ${payload.category} differs from ${accessory.name}'s (${accessory.category})`);
+    }
+    deviceId = accessory.id;
+    pin = payload.setupCode;
+  }
   if (!deviceId || !pin) {
-    return res.status(400).json({ error: 'deviceId and pin are required' });
+    return res.status(400).json({ error: 'deviceId and pin (or setupPayload) are required' });
   }
 
   const cached = discoveryCache.find((s) => s.id === deviceId);
@@ -729,6 +1055,25 @@ app.get('/api/setup/pairings', (_req, res) => {
   res.json(list);
 });
 
+// Address changes discovery has applied to a HomeKit pairing, newest first.
+app.get('/api/setup/pairing/:deviceId/address-history', async (req, res) => {
+  const limit = parseIntInRange(req.query.limit, 20, 1, 200);
+  try {
+    const result = await pool.query(
+      `SELECT id, device_id, device_name, old_address, old_port, new_address, new_port, source, changed_at
+       FROM device_address_history
+       WHERE device_id = $1
+       ORDER BY changed_at DESC, id DESC
+       LIMIT $2`,
+      [req.params.deviceId, limit]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    log.error('[api] /api/setup/pairing/:deviceId/address-history error:', err.message ?? err.stack ?? err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 app.delete('/api/setup/pairing/:deviceId', async (req, res) => {
   const { deviceId } = req.params;
   const currentPairings = loadPairings();
@@ -809,6 +1154,82 @@ app.get('/api/setup/notes', (_req, res) => {
   res.json(loadNotes());
 });
 
+app.get('/api/setup/watch-lists', (_req, res) => {
+  res.json(loadWatchLists().config);
+});
+
+app.patch('/api/setup/watch-list', async (req, res) => {
+  const { accessoryId, serviceType, characteristic, watched } = req.body ?? {};
+  if (Boolean(accessoryId) === Boolean(serviceType)) {
+    return res.status(400).json({ error: 'Exactly one of accessoryId or serviceType is required' });
+  }
+  const charType = normalizeCharacteristicType(characteristic);
+  if (!charType) return res.status(400).json({ error: 'characteristic must be a HAP type or UUID' });
+  if (watched !== null && typeof watched !== 'boolean') {
+    return res.status(400).json({ error: 'watched must be true, false or null' });
+  }
+
+  const section = accessoryId ? 'accessories' : 'serviceTypes';
+  const key = accessoryId ? String(accessoryId) : normalizeCharacteristicType(serviceType);
+  if (!key) return res.status(400).json({ error: 'serviceType must be a HAP type or UUID' });
+
+  const config = loadWatchLists().config;
+  const toggles = { ...config[section][key] };
+  if (watched === null) delete toggles[charType];
+  else toggles[charType] = watched;
+  config[section][key] = toggles;
+  await saveWatchLists(config);
+  log.info(`[setup] Watch list for ${key} → ${charType} set to ${watched ?? '(default)'}`);
+  res.json(loadWatchLists().config);
+});
+
+app.get('/api/setup/noise-policies', (_req, res) => {
+  res.json(loadNoisePolicies());
+});
+
+// Set (or with `policy: null` clear) one rule: a characteristic default
+// without accessoryId, otherwise for one accessory ('*' = all of its
+// characteristics).
+app.patch('/api/setup/noise-policy', async (req, res) => {
+  const { accessoryId, characteristic, policy } = req.body ?? {};
+  const name = String(characteristic ?? '').trim();
+  if (!name) return res.status(400).json({ error: 'characteristic is required' });
+  if (!accessoryId && name === '*') {
+    return res.status(400).json({ error: 'characteristic "*" requires an accessoryId' });
+  }
+  let parsed = null;
+  if (policy !== null) {
+    parsed = validateNoisePolicy(policy);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+  }
+
+  const config = structuredClone(loadNoisePolicies());
+  const key = accessoryId ? String(accessoryId) : null;
+  const rules = key ? { ...config.accessories[key] } : config.characteristics;
+  if (parsed) rules[name] = parsed.value;
+  else delete rules[name];
+  if (key) config.accessories[key] = rules;
+  const saved = await saveNoisePolicies(config);
+  log.info(`[setup] Noise policy for ${key ?? '(all accessories)'} → ${name} ${parsed ? 'set' : 'cleared'}`);
+  res.json(saved);
+});
+
+app.patch('/api/setup/characteristic-name', async (req, res) => {
+  const { characteristic, name } = req.body ?? {};
+  const charType = normalizeCharacteristicType(characteristic);
+  if (!charType) return res.status(400).json({ error: 'characteristic must be a HAP type or UUID' });
+
+  const config = loadWatchLists().config;
+  if (name && String(name).trim()) {
+    config.names[charType] = String(name).trim();
+  } else {
+    delete config.names[charType];
+  }
+  await saveWatchLists(config);
+  log.info(`[setup] Name for characteristic ${charType} set to ${config.names[charType] ?? '(cleared)'}`);
+  res.json(loadWatchLists().config);
+});
+
 app.get('/api/setup/retention', (_req, res) => {
   res.json({
     retentionDays: retentionSettings.retentionDays,
@@ -818,6 +1239,7 @@ app.get('/api/setup/retention', (_req, res) => {
     quietHoursEnabled: retentionSettings.quietHoursEnabled,
     quietHoursStart: retentionSettings.quietHoursStart,
     quietHoursEnd: retentionSettings.quietHoursEnd,
+    householdTimezone: retentionSettings.householdTimezone,
     sweepMs: RETENTION_SWEEP_MS,
   });
 });
@@ -876,6 +1298,13 @@ app.patch('/api/setup/retention', async (req, res) => {
     updates.quietHoursEnd = h;
   }
 
+  if (body.householdTimezone !== undefined) {
+    if (!isValidTimezone(body.householdTimezone)) {
+      return res.status(400).json({ error: 'householdTimezone must be an IANA timezone such as Europe/Berlin.' });
+    }
+    updates.householdTimezone = body.householdTimezone.trim();
+  }
+
   if (!Object.keys(updates).length) {
     return res.status(400).json({ error: 'No supported settings provided.' });
   }
@@ -883,8 +1312,9 @@ app.patch('/api/setup/retention', async (req, res) => {
   const nextSettings = { ...retentionSettings, ...updates };
   await saveRetentionSettings(nextSettings);
   retentionSettings = loadRetentionSettings();
+  syncHomeKitBrowsing();
   log.info(
-    `[setup] Settings updated: retention=${retentionSettings.retentionDays}d stale=${retentionSettings.staleThresholdHours}h autoScanHomeKit=${retentionSettings.autoScanHomeKit}`
+    `[setup] Settings updated: retention=${retentionSettings.retentionDays}d stale=${retentionSettings.staleThresholdHours}h autoScanHomeKit=${retentionSettings.autoScanHomeKit} timezone=${retentionSettings.householdTimezone}`
   );
 
   res.json({
@@ -895,6 +1325,7 @@ app.patch('/api/setup/retention', async (req, res) => {
     quietHoursEnabled: retentionSettings.quietHoursEnabled,
     quietHoursStart: retentionSettings.quietHoursStart,
     quietHoursEnd: retentionSettings.quietHoursEnd,
+    householdTimezone: retentionSettings.householdTimezone,
     sweepMs: RETENTION_SWEEP_MS,
   });
 });
@@ -920,14 +1351,14 @@ app.delete('/api/data/accessory', apiWriteLimiter, async (req, res) => {
   const { accessoryId } = req.body ?? {};
   if (!accessoryId) return res.status(400).json({ error: 'accessoryId is required' });
   try {
-    const result = await pool.query(
-      'DELETE FROM event_logs WHERE accessory_id = $1', [accessoryId]
-    );
+    const { deleted, stateRows } = await deleteLoggedData(accessoryId);
+    forgetCachedValues(stateRows);
+    matterRuntime?.forgetCachedValues(stateRows);
     const rooms = loadRooms();
     delete rooms[accessoryId];
     await saveRooms(rooms);
-    log.info(`[data] Deleted ${result.rowCount} event(s) for accessory ${accessoryId}`);
-    res.json({ success: true, deleted: result.rowCount });
+    log.info(`[data] Deleted ${deleted} event(s) for accessory ${accessoryId}`);
+    res.json({ success: true, deleted });
   } catch (err) {
     log.error('[data] /api/data/accessory error:', err.message ?? err.stack ?? err);
     res.status(500).json({ error: 'Internal server error' });
@@ -936,23 +1367,75 @@ app.delete('/api/data/accessory', apiWriteLimiter, async (req, res) => {
 
 app.delete('/api/data/all', apiWriteLimiter, async (_req, res) => {
   try {
-    const result = await pool.query('DELETE FROM event_logs');
+    const { deleted } = await deleteLoggedData();
+    forgetCachedValues();
+    matterRuntime?.forgetCachedValues();
     await saveRooms({});
-    log.info(`[data] Wiped all data — ${result.rowCount} event(s) deleted`);
-    res.json({ success: true, deleted: result.rowCount });
+    log.info(`[data] Wiped all data — ${deleted} event(s) deleted`);
+    res.json({ success: true, deleted });
   } catch (err) {
     log.error('[data] /api/data/all error:', err.message ?? err.stack ?? err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+app.use('/api/auth', createAuthRouter({
+  pool,
+  mode: AUTH_MODE,
+  sessionTtlHours: AUTH_SESSION_TTL_HOURS,
+}));
+
 // Event API routes
 app.use('/api', createEventsRouter({
   pool,
   getRooms: loadRooms,
 }));
+app.use('/api', createExportRouter({
+  pool,
+  getRooms: loadRooms,
+}));
+app.use('/api', createStateRouter({
+  pool,
+  getRooms: loadRooms,
+  readLimiter: apiStatsReadLimiter,
+}));
+app.use('/api', createBackupRouter({
+  pool,
+  stores: {
+    pairings: pairingsStore,
+    rooms: roomsStore,
+    displayNames: displayNamesStore,
+    notes: notesStore,
+    retention: retentionStore,
+    watchLists: watchListsStore,
+    noisePolicies: noisePoliciesStore,
+  },
+  matterStoragePath: MATTER_STORAGE_PATH,
+  onRestored: ({ previous }) => {
+    retentionSettings = loadRetentionSettings();
+    syncHomeKitBrowsing();
+    loadWatchLists();
+    loadNoisePolicies();
+    void alertScheduler?.rulesChanged();
+    const restoredPairings = loadPairings();
+    matterRuntime.syncPairings(restoredPairings);
+    // Restart HomeKit sessions so restored keys and addresses take effect.
+    for (const id of Object.keys(getHomeKitPairings(normalizePairingsMap(previous.stores.pairings)))) {
+      stopSubscriber(id);
+    }
+    startSubscribers(getHomeKitPairings(restoredPairings), loadRooms(), (id) => {
+      const pairing = pairingsStore.getByKey(id);
+      if (!pairing || !isHomeKitPairing(pairing)) return null;
+      return normalizePairingRecord(id, pairing);
+    });
+  },
+}));
 if (ALERTS_ENABLED) {
-  app.use('/api/alerts', createAlertsRouter({ pool }));
+  app.use('/api/alerts', createAlertsRouter({
+    pool,
+    onRulesChanged: () => { void alertScheduler?.rulesChanged(); },
+    deliveryQueue: alertDeliveryQueue,
+  }));
 }
 let matterDiscoveryCache = [];
 app.use('/api', createMatterRouter({
@@ -981,11 +1464,13 @@ app.get('/api/accessories', apiStatsReadLimiter, async (_req, res) => {
           protocol,
           timestamp AS last_seen
         FROM event_logs
+        WHERE characteristic <> ALL($1::text[])
         ORDER BY accessory_id, timestamp DESC, id DESC
       ),
       counts AS (
         SELECT accessory_id, COUNT(*)::int AS event_count
         FROM event_logs
+        WHERE characteristic <> ALL($1::text[])
         GROUP BY accessory_id
       )
       SELECT
@@ -995,11 +1480,11 @@ app.get('/api/accessories', apiStatsReadLimiter, async (_req, res) => {
         latest.service_type,
         latest.protocol,
         latest.last_seen,
-        counts.event_count
+        COALESCE(counts.event_count, 0) AS event_count
       FROM latest
-      JOIN counts USING (accessory_id)
+      LEFT JOIN counts USING (accessory_id)
       ORDER BY latest.last_seen DESC
-    `);
+    `, [CONNECTION_CHARACTERISTICS]);
     const heartbeatResult = await pool.query(`
       WITH recent AS (
         SELECT accessory_id, timestamp
@@ -1013,6 +1498,7 @@ app.get('/api/accessories', apiStatsReadLimiter, async (_req, res) => {
             ) AS row_num
           FROM event_logs
           WHERE timestamp >= NOW() - INTERVAL '30 days'
+            AND characteristic <> ALL($1::text[])
         ) ranked
         WHERE row_num <= 200
       ),
@@ -1034,7 +1520,8 @@ app.get('/api/accessories', apiStatsReadLimiter, async (_req, res) => {
       FROM deltas
       WHERE gap_seconds IS NOT NULL AND gap_seconds > 0
       GROUP BY accessory_id
-    `);
+    `, [CONNECTION_CHARACTERISTICS]);
+    const reachabilityById = await loadReachability();
 
     const rooms = loadRooms();
     const currentPairings = loadPairings();
@@ -1056,12 +1543,14 @@ app.get('/api/accessories', apiStatsReadLimiter, async (_req, res) => {
       const identity = getAccessoryIdentity(r.accessory_id)
         ?? getAccessoryIdentity(bridgeId);
       const reliability = getSubscriberStats(bridgeId);
+      const reachability = reachabilityFor(reachabilityById, r.accessory_id, matterNodeId ?? bridgeId);
       const health = deriveDeviceHealth({
         lastSeen: r.last_seen,
         pairedAt: bridgePairing?.pairedAt ?? null,
         heartbeatSeconds: heartbeat.heartbeat_seconds ?? null,
         heartbeatSamples: heartbeat.heartbeat_samples ?? 0,
         staleThresholdSeconds: retentionSettings.staleThresholdHours * 60 * 60,
+        reachability,
         now,
       });
       return {
@@ -1077,6 +1566,7 @@ app.get('/api/accessories', apiStatsReadLimiter, async (_req, res) => {
         hardware_revision: identity?.hardware_revision ?? null,
         metadata_updated_at: identity?.metadata_updated_at ?? null,
         reliability: mapReliabilityStats(reliability),
+        reachability: mapReachability(reachability),
         health,
       };
     });
@@ -1088,6 +1578,7 @@ app.get('/api/accessories', apiStatsReadLimiter, async (_req, res) => {
       .map(([id, p]) => {
         const identity = getAccessoryIdentity(id);
         const reliability = getSubscriberStats(id);
+        const reachability = reachabilityFor(reachabilityById, id, p.nodeId == null ? null : String(p.nodeId));
         return {
           accessory_id: id,
           accessory_name: p.name,
@@ -1106,10 +1597,12 @@ app.get('/api/accessories', apiStatsReadLimiter, async (_req, res) => {
           hardware_revision: identity?.hardware_revision ?? null,
           metadata_updated_at: identity?.metadata_updated_at ?? null,
           reliability: mapReliabilityStats(reliability),
+          reachability: mapReachability(reachability),
           health: deriveDeviceHealth({
             lastSeen: null,
             pairedAt: p.pairedAt ?? null,
             staleThresholdSeconds: retentionSettings.staleThresholdHours * 60 * 60,
+            reachability,
             now,
           }),
         };
@@ -1138,15 +1631,18 @@ app.get('/api/accessories/:accessoryId/detail', apiStatsReadLimiter, async (req,
 
     const summaryResult = await pool.query(
       `SELECT
-         COUNT(*)::int AS event_count,
+         COUNT(*)::int AS row_count,
+         COUNT(*) FILTER (WHERE characteristic <> ALL($2::text[]))::int AS event_count,
          MIN(timestamp) AS first_seen,
-         MAX(timestamp) AS last_seen
+         MAX(timestamp) FILTER (WHERE characteristic <> ALL($2::text[])) AS last_seen
        FROM event_logs
        WHERE accessory_id = $1`,
-      [accessoryId]
+      [accessoryId, CONNECTION_CHARACTERISTICS]
     );
     const summary = summaryResult.rows[0] ?? {};
     const eventCount = Number.parseInt(summary.event_count ?? '0', 10);
+    // History pages list connection rows too.
+    const rowCount = Number.parseInt(summary.row_count ?? '0', 10);
 
     const latestResult = await pool.query(
       `SELECT accessory_name, room_name, service_type, protocol
@@ -1174,7 +1670,7 @@ app.get('/api/accessories/:accessoryId/detail', apiStatsReadLimiter, async (req,
       `WITH recent AS (
          SELECT timestamp
          FROM event_logs
-         WHERE accessory_id = $1
+         WHERE accessory_id = $1 AND characteristic <> ALL($2::text[])
          ORDER BY timestamp DESC, id DESC
          LIMIT 200
        ),
@@ -1189,9 +1685,15 @@ app.get('/api/accessories/:accessoryId/detail', apiStatsReadLimiter, async (req,
          COUNT(*) FILTER (WHERE gap_seconds IS NOT NULL)::int AS heartbeat_samples
        FROM deltas
        WHERE gap_seconds IS NOT NULL AND gap_seconds > 0`,
-      [accessoryId]
+      [accessoryId, CONNECTION_CHARACTERISTICS]
     );
     const heartbeat = heartbeatResult.rows[0] ?? {};
+    const connectionId = matterNodeId ?? bridgeId;
+    const reachability = reachabilityFor(
+      await loadReachability([accessoryId, connectionId]),
+      accessoryId,
+      connectionId
+    );
 
     const health = deriveDeviceHealth({
       lastSeen: summary.last_seen ?? null,
@@ -1199,6 +1701,7 @@ app.get('/api/accessories/:accessoryId/detail', apiStatsReadLimiter, async (req,
       heartbeatSeconds: heartbeat.heartbeat_seconds ?? null,
       heartbeatSamples: heartbeat.heartbeat_samples ?? 0,
       staleThresholdSeconds: retentionSettings.staleThresholdHours * 60 * 60,
+      reachability,
       now,
     });
 
@@ -1210,7 +1713,7 @@ app.get('/api/accessories/:accessoryId/detail', apiStatsReadLimiter, async (req,
          service_type,
          timestamp
        FROM event_logs
-       WHERE accessory_id = $1
+       WHERE accessory_id = $1 AND gap_started_at IS NULL AND event_data IS NULL
        ORDER BY characteristic, timestamp DESC, id DESC`,
       [accessoryId]
     );
@@ -1219,7 +1722,7 @@ app.get('/api/accessories/:accessoryId/detail', apiStatsReadLimiter, async (req,
       `SELECT
          id, timestamp, accessory_id, accessory_name, room_name, service_type,
          characteristic, old_value, new_value, protocol, transport,
-         endpoint_id, cluster_id, attribute_id, raw_iid
+         endpoint_id, cluster_id, attribute_id, raw_iid, reconciled, gap_started_at, event_data
        FROM event_logs
        WHERE accessory_id = $1
        ORDER BY timestamp DESC, id DESC
@@ -1267,6 +1770,7 @@ app.get('/api/accessories/:accessoryId/detail', apiStatsReadLimiter, async (req,
       hardware_revision: identity?.hardware_revision ?? null,
       metadata_updated_at: identity?.metadata_updated_at ?? null,
       reliability: mapReliabilityStats(reliability),
+      reachability: mapReachability(reachability),
       health,
     };
 
@@ -1284,10 +1788,10 @@ app.get('/api/accessories/:accessoryId/detail', apiStatsReadLimiter, async (req,
         daily: activityResult.rows,
       },
       history: {
-        total: eventCount,
+        total: rowCount,
         page,
         limit,
-        pages: Math.ceil(eventCount / limit),
+        pages: Math.ceil(rowCount / limit),
         events: historyResult.rows.map((row) => ({
           ...row,
           room_name: rooms[row.accessory_id] ?? row.room_name,
@@ -1300,6 +1804,47 @@ app.get('/api/accessories/:accessoryId/detail', apiStatsReadLimiter, async (req,
   }
 });
 
+// Values of one characteristic over time, for the trend chart on the detail
+// page. Chatty numeric characteristics (e.g. Eve power) keep the newest points.
+const TREND_MAX_POINTS = 2000;
+
+app.get('/api/accessories/:accessoryId/characteristics/:characteristic/trend', apiStatsReadLimiter, async (req, res) => {
+  const accessoryId = String(req.params.accessoryId ?? '').trim();
+  const characteristic = String(req.params.characteristic ?? '').trim();
+  if (!accessoryId || !characteristic) {
+    return res.status(400).json({ error: 'accessoryId and characteristic are required' });
+  }
+  const days = parseIntInRange(req.query.days, 30, 1, 365);
+
+  try {
+    const result = await pool.query(
+      `SELECT timestamp, new_value
+       FROM (
+         SELECT id, timestamp, new_value
+         FROM event_logs
+         WHERE accessory_id = $1
+           AND characteristic = $2
+           AND timestamp >= NOW() - ($3::int * INTERVAL '1 day')
+         ORDER BY timestamp DESC, id DESC
+         LIMIT $4
+       ) recent
+       ORDER BY timestamp ASC, id ASC`,
+      [accessoryId, characteristic, days, TREND_MAX_POINTS + 1]
+    );
+    const truncated = result.rows.length > TREND_MAX_POINTS;
+    res.json({
+      accessory_id: accessoryId,
+      characteristic,
+      days,
+      truncated,
+      points: truncated ? result.rows.slice(1) : result.rows,
+    });
+  } catch (err) {
+    log.error('[api] /api/accessories/:accessoryId/characteristics/:characteristic/trend error:', err.message ?? err.stack ?? err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 app.get('/api/stats/hourly', apiStatsReadLimiter, async (_req, res) => {
   try {
     const result = await pool.query(`
@@ -1396,6 +1941,53 @@ app.get('/api/stats/rooms', apiStatsReadLimiter, async (req, res) => {
   }
 });
 
+// Changes kept out of event_logs by noise policies, by reason and by
+// accessory/characteristic. Counts reach the table once a minute.
+app.get('/api/stats/suppressed', apiStatsReadLimiter, async (req, res) => {
+  const days = parseIntInRange(req.query.days, 7, 1, 90);
+  try {
+    const result = await pool.query(`
+      SELECT accessory_id,
+             (ARRAY_AGG(accessory_name ORDER BY day DESC))[1] AS accessory_name,
+             characteristic, protocol, reason, SUM(count)::bigint AS count
+      FROM event_suppressions
+      WHERE day > (NOW() AT TIME ZONE 'UTC')::date - $1::int
+      GROUP BY accessory_id, characteristic, protocol, reason
+      ORDER BY count DESC, accessory_id, characteristic
+    `, [days]);
+    const byReason = Object.fromEntries(SUPPRESSION_REASONS.map((reason) => [reason, 0]));
+    const accessories = new Map();
+    for (const row of result.rows) {
+      const count = Number(row.count);
+      byReason[row.reason] = (byReason[row.reason] ?? 0) + count;
+      const key = `${row.accessory_id}\u0000${row.characteristic}`;
+      let entry = accessories.get(key);
+      if (!entry) {
+        entry = {
+          accessory_id: row.accessory_id,
+          accessory_name: row.accessory_name,
+          characteristic: row.characteristic,
+          protocol: row.protocol,
+          total: 0,
+          reasons: {},
+        };
+        accessories.set(key, entry);
+      }
+      entry.total += count;
+      entry.reasons[row.reason] = count;
+    }
+    res.json({
+      days,
+      total: Object.values(byReason).reduce((sum, count) => sum + count, 0),
+      byReason,
+      accessories: [...accessories.values()].sort((a, b) => b.total - a.total),
+    });
+  } catch (err) {
+    log.error('[api] /api/stats/suppressed error:', err.message ?? err.stack ?? err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 app.get('/api/stats/weekday', apiStatsReadLimiter, async (req, res) => {
   const days = parseIntInRange(req.query.days, 90, 7, 365);
   try {
@@ -1606,7 +2198,9 @@ app.get('/api/health', (_req, res) => {
 
 app.listen(PORT, () => {
   log.info(`[api] Listening on port ${PORT}`);
-  if (API_TOKEN) {
+  if (AUTH_MODE === 'users') {
+    log.info('[api] User accounts enabled (AUTH_MODE=users); API_TOKEN is ignored');
+  } else if (API_TOKEN) {
     log.info('[api] Write auth enabled for POST/PATCH/DELETE routes');
     if (API_TOKEN_READS_ENABLED) {
       log.info('[api] Read auth enabled for GET/HEAD routes');
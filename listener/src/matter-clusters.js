@@ -0,0 +1,370 @@
+/**
+ * matter-clusters.js — declarative registry of the Matter clusters we log.
+ *
+ * Each entry lists the attributes to read and subscribe to. Every attribute
+ * has the HomeKit characteristic name it is logged as, plus a formatter that
+ * converts the Matter value into HomeKit units and enums. A Matter
+ * thermostat's `localTemperature` of 2150 is logged as CurrentTemperature
+ * "21.5", just like a HomeKit one, so dashboards, noise policies and alert
+ * rules treat both protocols the same. A formatter returning null skips the
+ * reading (e.g. a sensor reporting "unknown").
+ *
+ * `name` is the matter.js cluster export (`@matter/main/clusters`); matter-
+ * controller.js uses it to get a cluster client for polling.
+ *
+ * `events` lists the cluster events (button presses, lock operations,
+ * alarms) logged from subscriptions. They are logged under the event name,
+ * with `value` giving the new_value and the event's fields kept in
+ * event_data; `fields` decoders turn enum fields into readable labels.
+ *
+ * Exports:
+ *   MATTER_CLUSTERS                       the registry
+ *   toMatterEvent(nodeId, path, value) → event | null
+ *   toMatterClusterEvent(nodeId, path, occurrence) → event | null
+ */
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function scaled(divisor, digits = 2) {
+  return (value) => (typeof value === 'number' ? round(value / divisor, digits) : null);
+}
+
+function percentOf(max) {
+  return (value) => (typeof value === 'number' ? Math.round((value / max) * 100) : null);
+}
+
+/** Map a Matter enum value through a lookup table; unknown values are skipped. */
+function mapped(table) {
+  return (value) => table[value] ?? null;
+}
+
+const passthrough = (value) => (value === undefined ? null : value);
+
+// Matter alarm states: 0 normal, 1 warning, 2 critical → HomeKit 0/1.
+const alarmDetected = (value) => (typeof value === 'number' ? (value > 0 ? 1 : 0) : null);
+
+// WindowCovering positions count closure (10000 = closed); HomeKit counts
+// how far open (100 = open).
+const openPercent = (value) => (typeof value === 'number' ? Math.round(100 - value / 100) : null);
+
+/** Decode an enum field through a label table; unknown values are kept as-is. */
+function label(table) {
+  return (value) => table[value] ?? value;
+}
+
+const OPERATION_SOURCES = {
+  0: 'unspecified', 1: 'manual', 2: 'proprietary remote', 3: 'keypad', 4: 'auto', 5: 'button',
+  6: 'schedule', 7: 'remote', 8: 'rfid', 9: 'biometric', 10: 'aliro',
+};
+const LOCK_OPERATION_TYPES = { 0: 'lock', 1: 'unlock', 2: 'non-access user event', 3: 'forced user event', 4: 'unlatch' };
+const LOCK_ALARM_CODES = {
+  0: 'lock jammed', 1: 'factory reset', 3: 'radio power cycled', 4: 'wrong code entry limit',
+  5: 'front escutcheon removed', 6: 'door forced open', 7: 'door ajar', 8: 'forced user',
+};
+const LOCK_OPERATION_ERRORS = {
+  0: 'unspecified', 1: 'invalid credential', 2: 'disabled user denied', 3: 'restricted', 4: 'insufficient battery',
+};
+const CREDENTIAL_TYPES = {
+  0: 'programming pin', 1: 'pin', 2: 'rfid', 3: 'fingerprint', 4: 'finger vein', 5: 'face',
+};
+const ALARM_SEVERITIES = { 0: 'normal', 1: 'warning', 2: 'critical' };
+
+const LOCK_FIELDS = {
+  lockOperationType: label(LOCK_OPERATION_TYPES),
+  operationSource: label(OPERATION_SOURCES),
+  operationError: label(LOCK_OPERATION_ERRORS),
+  credentials: (list) => (Array.isArray(list)
+    ? list.map((c) => ({ ...c, credentialType: label(CREDENTIAL_TYPES)(c.credentialType) }))
+    : list),
+};
+
+// SmokeCoAlarm events without fields are logged with this value.
+const TRIGGERED = 'triggered';
+
+export const MATTER_CLUSTERS = [
+  {
+    name: 'OnOff',
+    id: 0x0006,
+    serviceType: 'Switch',
+    attributes: [{ name: 'onOff', id: 0x0000, characteristic: 'On', format: passthrough }],
+  },
+  {
+    name: 'LevelControl',
+    id: 0x0008,
+    serviceType: 'Lightbulb',
+    attributes: [{ name: 'currentLevel', id: 0x0000, characteristic: 'Brightness', format: percentOf(254) }],
+  },
+  {
+    name: 'ColorControl',
+    id: 0x0300,
+    serviceType: 'Lightbulb',
+    attributes: [
+      { name: 'currentHue', id: 0x0000, characteristic: 'Hue', format: (v) => (typeof v === 'number' ? Math.round((v / 254) * 360) : null) },
+      { name: 'currentSaturation', id: 0x0001, characteristic: 'Saturation', format: percentOf(254) },
+      { name: 'colorTemperatureMireds', id: 0x0007, characteristic: 'ColorTemperature', format: passthrough },
+    ],
+  },
+  {
+    name: 'BooleanState',
+    id: 0x0045,
+    serviceType: 'ContactSensor',
+    // true = contact (closed) → HomeKit CONTACT_DETECTED (0).
+    attributes: [{ name: 'stateValue', id: 0x0000, characteristic: 'ContactSensorState', format: (v) => (typeof v === 'boolean' ? (v ? 0 : 1) : null) }],
+  },
+  {
+    name: 'OccupancySensing',
+    id: 0x0406,
+    serviceType: 'OccupancySensor',
+    attributes: [{ name: 'occupancy', id: 0x0000, characteristic: 'OccupancyDetected', format: (v) => (v && typeof v === 'object' ? (v.occupied ? 1 : 0) : null) }],
+  },
+  {
+    name: 'TemperatureMeasurement',
+    id: 0x0402,
+    serviceType: 'TemperatureSensor',
+    attributes: [{ name: 'measuredValue', id: 0x0000, characteristic: 'CurrentTemperature', format: scaled(100) }],
+  },
+  {
+    name: 'RelativeHumidityMeasurement',
+    id: 0x0405,
+    serviceType: 'HumiditySensor',
+    attributes: [{ name: 'measuredValue', id: 0x0000, characteristic: 'CurrentRelativeHumidity', format: scaled(100) }],
+  },
+  {
+    name: 'IlluminanceMeasurement',
+    id: 0x0400,
+    serviceType: 'LightSensor',
+    // measuredValue = 10000 × log10(lux) + 1; 0 means too dark to measure.
+    attributes: [{
+      name: 'measuredValue',
+      id: 0x0000,
+      characteristic: 'CurrentAmbientLightLevel',
+      format: (v) => (typeof v === 'number' ? (v === 0 ? 0.0001 : round(10 ** ((v - 1) / 10000))) : null),
+    }],
+  },
+  {
+    name: 'PressureMeasurement',
+    id: 0x0403,
+    serviceType: 'AirPressureSensor',
+    // 0.1 kPa = 1 hPa, the unit the Eve characteristic uses.
+    attributes: [{ name: 'measuredValue', id: 0x0000, characteristic: 'AirPressure', format: scaled(1, 1) }],
+  },
+  {
+    name: 'AirQuality',
+    id: 0x005b,
+    serviceType: 'AirQualitySensor',
+    // Matter: unknown, good, fair, moderate, poor, very poor, extremely poor.
+    attributes: [{ name: 'airQuality', id: 0x0000, characteristic: 'AirQuality', format: mapped({ 0: 0, 1: 1, 2: 2, 3: 3, 4: 4, 5: 5, 6: 5 }) }],
+  },
+  {
+    name: 'SmokeCoAlarm',
+    id: 0x005c,
+    serviceType: 'SmokeSensor',
+    attributes: [
+      { name: 'smokeState', id: 0x0001, characteristic: 'SmokeDetected', format: alarmDetected },
+      { name: 'coState', id: 0x0002, characteristic: 'CarbonMonoxideDetected', format: alarmDetected },
+    ],
+    events: [
+      ...[
+        ['smokeAlarm', 0x00, 'SmokeAlarm'],
+        ['coAlarm', 0x01, 'COAlarm'],
+        ['lowBattery', 0x02, 'LowBattery'],
+        ['interconnectSmokeAlarm', 0x08, 'InterconnectSmokeAlarm'],
+        ['interconnectCoAlarm', 0x09, 'InterconnectCOAlarm'],
+      ].map(([name, id, characteristic]) => ({
+        name,
+        id,
+        characteristic,
+        value: (d) => label(ALARM_SEVERITIES)(d.alarmSeverityLevel),
+        fields: { alarmSeverityLevel: label(ALARM_SEVERITIES) },
+      })),
+      ...[
+        ['hardwareFault', 0x03, 'HardwareFault'],
+        ['endOfService', 0x04, 'EndOfService'],
+        ['selfTestComplete', 0x05, 'SelfTestComplete'],
+        ['alarmMuted', 0x06, 'AlarmMuted'],
+        ['muteEnded', 0x07, 'MuteEnded'],
+        ['allClear', 0x0a, 'AllClear'],
+      ].map(([name, id, characteristic]) => ({ name, id, characteristic, value: () => TRIGGERED })),
+    ],
+  },
+  {
+    name: 'Switch',
+    id: 0x003b,
+    serviceType: 'StatelessProgrammableSwitch',
+    attributes: [],
+    // Positions are the switch's positions (0 = released); press counts
+    // for the multi-press events.
+    events: [
+      { name: 'initialPress', id: 0x01, characteristic: 'InitialPress', value: (d) => d.newPosition },
+      { name: 'longPress', id: 0x02, characteristic: 'LongPress', value: (d) => d.newPosition },
+      { name: 'shortRelease', id: 0x03, characteristic: 'ShortRelease', value: (d) => d.previousPosition },
+      { name: 'longRelease', id: 0x04, characteristic: 'LongRelease', value: (d) => d.previousPosition },
+      { name: 'multiPressOngoing', id: 0x05, characteristic: 'MultiPressOngoing', value: (d) => d.currentNumberOfPressesCounted },
+      { name: 'multiPressComplete', id: 0x06, characteristic: 'MultiPressComplete', value: (d) => d.totalNumberOfPressesCounted },
+    ],
+  },
+  {
+    name: 'DoorLock',
+    id: 0x0101,
+    serviceType: 'LockMechanism',
+    // Matter: not fully locked, locked, unlocked, unlatched; null = unknown.
+    // HomeKit: unsecured, secured, jammed, unknown.
+    attributes: [{
+      name: 'lockState',
+      id: 0x0000,
+      characteristic: 'LockCurrentState',
+      format: (v) => (v === null ? 3 : ({ 0: 2, 1: 1, 2: 0, 3: 0 })[v] ?? null),
+    }],
+    events: [
+      { name: 'doorLockAlarm', id: 0x00, characteristic: 'DoorLockAlarm', value: (d) => label(LOCK_ALARM_CODES)(d.alarmCode), fields: { alarmCode: label(LOCK_ALARM_CODES) } },
+      { name: 'lockOperation', id: 0x02, characteristic: 'LockOperation', value: (d) => label(LOCK_OPERATION_TYPES)(d.lockOperationType), fields: LOCK_FIELDS },
+      { name: 'lockOperationError', id: 0x03, characteristic: 'LockOperationError', value: (d) => label(LOCK_OPERATION_ERRORS)(d.operationError), fields: LOCK_FIELDS },
+    ],
+  },
+  {
+    name: 'WindowCovering',
+    id: 0x0102,
+    serviceType: 'WindowCovering',
+    attributes: [
+      { name: 'currentPositionLiftPercent100ths', id: 0x000e, characteristic: 'CurrentPosition', format: openPercent },
+      { name: 'targetPositionLiftPercent100ths', id: 0x000b, characteristic: 'TargetPosition', format: openPercent },
+      {
+        name: 'operationalStatus',
+        id: 0x000a,
+        characteristic: 'PositionState',
+        // Matter: stopped, opening, closing. HomeKit: decreasing, increasing, stopped.
+        format: (v) => (v && typeof v === 'object' ? ({ 0: 2, 1: 1, 2: 0 })[v.global] ?? null : null),
+      },
+    ],
+  },
+  {
+    name: 'Thermostat',
+    id: 0x0201,
+    serviceType: 'Thermostat',
+    attributes: [
+      { name: 'localTemperature', id: 0x0000, characteristic: 'CurrentTemperature', format: scaled(100) },
+      { name: 'occupiedCoolingSetpoint', id: 0x0011, characteristic: 'CoolingThresholdTemperature', format: scaled(100) },
+      { name: 'occupiedHeatingSetpoint', id: 0x0012, characteristic: 'HeatingThresholdTemperature', format: scaled(100) },
+      {
+        name: 'systemMode',
+        id: 0x001c,
+        characteristic: 'TargetHeatingCoolingState',
+        // Matter: off, auto, (reserved), cool, heat. HomeKit: off, heat, cool, auto.
+        format: mapped({ 0: 0, 1: 3, 3: 2, 4: 1 }),
+      },
+      {
+        name: 'thermostatRunningState',
+        id: 0x0029,
+        characteristic: 'CurrentHeatingCoolingState',
+        format: (v) => {
+          if (!v || typeof v !== 'object') return null;
+          if (v.heat || v.heatStage2) return 1;
+          if (v.cool || v.coolStage2) return 2;
+          return 0;
+        },
+      },
+    ],
+  },
+  {
+    name: 'FanControl',
+    id: 0x0202,
+    serviceType: 'Fan',
+    attributes: [{ name: 'percentCurrent', id: 0x0003, characteristic: 'RotationSpeed', format: passthrough }],
+  },
+  {
+    name: 'PowerSource',
+    id: 0x002f,
+    serviceType: 'Battery',
+    attributes: [
+      // Reported in half-percent steps.
+      { name: 'batPercentRemaining', id: 0x000c, characteristic: 'BatteryLevel', format: scaled(2, 0) },
+      // Matter: ok, warning, critical. HomeKit: normal, low.
+      { name: 'batChargeLevel', id: 0x000e, characteristic: 'StatusLowBattery', format: alarmDetected },
+      // Matter: unknown, charging, full, not charging. HomeKit: not charging, charging.
+      { name: 'batChargeState', id: 0x001a, characteristic: 'ChargingState', format: mapped({ 0: 0, 1: 1, 2: 0, 3: 0 }) },
+    ],
+  },
+  {
+    name: 'ElectricalPowerMeasurement',
+    id: 0x0090,
+    serviceType: 'Outlet',
+    // mW, mV and mA → the W, V and A the Eve energy characteristics use.
+    attributes: [
+      { name: 'voltage', id: 0x0004, characteristic: 'Voltage', format: scaled(1000, 1) },
+      { name: 'activeCurrent', id: 0x0005, characteristic: 'ElectricCurrent', format: scaled(1000) },
+      { name: 'activePower', id: 0x0008, characteristic: 'Power', format: scaled(1000, 1) },
+    ],
+  },
+];
+
+const CLUSTERS_BY_ID = new Map(MATTER_CLUSTERS.map((cluster) => [cluster.id, cluster]));
+
+/**
+ * Turn an attribute reading into the event shape matter-runtime.js ingests,
+ * or null when it isn't in the registry or the formatter skips it. `path`
+ * needs `endpointId`, `clusterId` and `attributeName` or `attributeId`.
+ */
+export function toMatterEvent(nodeId, path, value) {
+  const cluster = CLUSTERS_BY_ID.get(Number(path.clusterId));
+  if (!cluster) return null;
+  const attribute = cluster.attributes.find((a) => (
+    path.attributeName != null ? a.name === path.attributeName : a.id === Number(path.attributeId)
+  ));
+  if (!attribute) return null;
+
+  const newValue = attribute.format(value);
+  if (newValue === null || newValue === undefined) return null;
+  return {
+    nodeId,
+    endpointId: path.endpointId,
+    clusterId: cluster.id,
+    attributeId: attribute.id,
+    serviceType: cluster.serviceType,
+    characteristic: attribute.characteristic,
+    newValue,
+  };
+}
+
+/** Event fields as plain JSON: bigints become strings, bytes become hex. */
+function toJsonValue(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Uint8Array) return Buffer.from(value).toString('hex');
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toJsonValue(v)]));
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Turn one occurrence of a cluster event into an event row, or null when
+ * the event isn't in the registry. `path` needs `endpointId`, `clusterId`
+ * and `eventName` or `eventId`; `occurrence` is matter.js's decoded event
+ * (`{ eventNumber, priority, data }`).
+ */
+export function toMatterClusterEvent(nodeId, path, occurrence) {
+  const cluster = CLUSTERS_BY_ID.get(Number(path.clusterId));
+  const definition = cluster?.events?.find((e) => (
+    path.eventName != null ? e.name === path.eventName : e.id === Number(path.eventId)
+  ));
+  if (!definition) return null;
+
+  const data = occurrence?.data ?? {};
+  const fields = Object.fromEntries(Object.entries(data).map(([key, value]) => (
+    [key, toJsonValue(definition.fields?.[key] ? definition.fields[key](value) : value)]
+  )));
+  const newValue = definition.value(data);
+  return {
+    nodeId,
+    endpointId: path.endpointId,
+    clusterId: cluster.id,
+    eventId: definition.id,
+    serviceType: cluster.serviceType,
+    characteristic: definition.characteristic,
+    newValue: newValue === undefined || newValue === null ? TRIGGERED : toJsonValue(newValue),
+    eventData: fields,
+  };
+}
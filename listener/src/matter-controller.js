@@ -7,21 +7,14 @@
  */
 
 import { Environment, StorageService } from '@matter/main';
-import {
-  OnOff,
-  LevelControl,
-  BooleanState,
-  TemperatureMeasurement,
-  RelativeHumidityMeasurement,
-  OccupancySensing,
-  GeneralCommissioning,
-} from '@matter/main/clusters';
+import * as MatterClusters from '@matter/main/clusters';
 import { ManualPairingCodeCodec, QrPairingCodeCodec } from '@matter/main/types';
 import { CommissioningController } from '@project-chip/matter.js';
 import { NodeStates } from '@project-chip/matter.js/device';
+import { MATTER_CLUSTERS, toMatterClusterEvent, toMatterEvent } from './matter-clusters.js';
 import { log } from './logger.js';
 
-const STORAGE_PATH = process.env.MATTER_STORAGE_PATH?.trim()
+export const STORAGE_PATH = process.env.MATTER_STORAGE_PATH?.trim()
   || (process.env.NODE_ENV === 'production' ? '/app/data/matter-storage' : './data/matter-storage');
 
 const SUBSCRIBE_MIN_INTERVAL_SEC = Number.parseInt(
@@ -31,49 +24,14 @@ const SUBSCRIBE_MAX_INTERVAL_SEC = Number.parseInt(
   process.env.MATTER_SUBSCRIBE_MAX_INTERVAL_SEC ?? '30', 10,
 );
 
-/** Clusters we read/subscribe — same set that chip-tool scripts supported. */
-const SUPPORTED_CLUSTERS = [
-  {
-    cluster: OnOff.Complete,
-    id: 0x0006,
-    serviceType: 'OnOff',
-    attributes: [{ name: 'onOff', characteristic: 'OnOff', attributeId: 0 }],
-  },
-  {
-    cluster: LevelControl.Complete,
-    id: 0x0008,
-    serviceType: 'LevelControl',
-    attributes: [{ name: 'currentLevel', characteristic: 'CurrentLevel', attributeId: 0 }],
-  },
-  {
-    cluster: BooleanState.Complete,
-    id: 0x0045,
-    serviceType: 'BooleanState',
-    attributes: [{ name: 'stateValue', characteristic: 'StateValue', attributeId: 0 }],
-  },
-  {
-    cluster: TemperatureMeasurement.Complete,
-    id: 0x0402,
-    serviceType: 'TemperatureMeasurement',
-    attributes: [{ name: 'measuredValue', characteristic: 'MeasuredValue', attributeId: 0 }],
-  },
-  {
-    cluster: RelativeHumidityMeasurement.Complete,
-    id: 0x0405,
-    serviceType: 'RelativeHumidityMeasurement',
-    attributes: [{ name: 'measuredValue', characteristic: 'MeasuredValue', attributeId: 0 }],
-  },
-  {
-    cluster: OccupancySensing.Complete,
-    id: 0x0406,
-    serviceType: 'OccupancySensing',
-    attributes: [{ name: 'occupancy', characteristic: 'Occupancy', attributeId: 0 }],
-  },
-];
-
-const CLUSTER_LABELS = new Map(
-  SUPPORTED_CLUSTERS.map((c) => [c.id, { serviceType: c.serviceType, characteristic: c.attributes[0].characteristic }]),
-);
+/** Clusters we read/subscribe (see matter-clusters.js), with their matter.js definitions. */
+const SUPPORTED_CLUSTERS = MATTER_CLUSTERS
+  .map((entry) => ({ ...entry, cluster: MatterClusters[entry.name]?.Complete }))
+  .filter((entry) => {
+    if (entry.cluster) return true;
+    log.warn(`[matter-controller] Cluster ${entry.name} is not available in this matter.js version`);
+    return false;
+  });
 
 let controller = null;
 let controllerReady = false;
@@ -149,7 +107,7 @@ export async function commission(setupCode, opts = {}) {
 
   const commissioningOptions = {
     commissioning: {
-      regulatoryLocation: GeneralCommissioning.RegulatoryLocationType.IndoorOutdoor,
+      regulatoryLocation: MatterClusters.GeneralCommissioning.RegulatoryLocationType.IndoorOutdoor,
       regulatoryCountryCode: 'XX',
     },
     discovery: {
@@ -207,23 +165,18 @@ export async function poll(nodeId) {
       if (!clusterClient) continue;
 
       for (const attr of clusterDef.attributes) {
+        const attribute = clusterClient.attributes[attr.name];
+        if (!attribute) continue;
         let value;
         try {
-          value = await clusterClient.attributes[attr.name]?.get();
+          value = await attribute.get();
         } catch {
           continue;
         }
-        if (value === undefined || value === null) continue;
-
-        events.push({
-          nodeId,
-          endpointId,
-          clusterId: clusterDef.id,
-          attributeId: attr.attributeId,
-          serviceType: clusterDef.serviceType,
-          characteristic: attr.characteristic,
-          newValue: value,
-        });
+        if (value === undefined) continue;
+
+        const event = toMatterEvent(nodeId, { endpointId, clusterId: clusterDef.id, attributeName: attr.name }, value);
+        if (event) events.push(event);
       }
     }
   }
@@ -232,11 +185,13 @@ export async function poll(nodeId) {
 }
 
 /**
- * Subscribe to attribute changes on a commissioned node.
- * Calls `callback(events)` for each attribute change.
- * Returns an object with a `stop()` method.
+ * Subscribe to attribute changes and cluster events on a commissioned node.
+ * Calls `callback(events)` for each attribute change or batch of cluster
+ * events (rows with `eventId` and `eventData`), and
+ * `onStateChange('connected' | 'disconnected')` when the node's connection
+ * state changes. Returns an object with a `stop()` method.
  */
-export async function subscribe(nodeId, callback) {
+export async function subscribe(nodeId, callback, { onStateChange = null } = {}) {
   if (!controller || !controllerReady) {
     throw new Error('Matter controller not initialized');
   }
@@ -251,34 +206,34 @@ export async function subscribe(nodeId, callback) {
     await node.events.initializedFromRemote;
   }
 
-  // Subscribe to all attribute changes on this node.
+  // Subscribe to all attribute changes on this node; ones outside the
+  // registry are ignored.
   const handler = ({ path, value }) => {
-    const { endpointId, clusterId, attributeName } = path;
-    const labels = CLUSTER_LABELS.get(clusterId);
-    if (!labels) return; // Not a cluster we track
-
-    const event = {
-      nodeId,
-      endpointId,
-      clusterId,
-      attributeId: 0, // Primary attribute for each tracked cluster
-      serviceType: labels.serviceType,
-      characteristic: labels.characteristic,
-      newValue: value,
-    };
-    callback([event]);
+    const event = toMatterEvent(nodeId, path, value);
+    if (event) callback([event]);
   };
 
   node.events.attributeChanged.on(handler);
 
-  // Also listen for connection state changes to assist with error tracking.
+  const eventHandler = ({ path, events }) => {
+    const rows = (events ?? [])
+      .map((occurrence) => toMatterClusterEvent(nodeId, path, occurrence))
+      .filter(Boolean);
+    if (rows.length) callback(rows);
+  };
+  node.events.eventTriggered.on(eventHandler);
+
+  // Also listen for connection state changes, for error tracking and the
+  // runtime's Reachable events.
   const stateHandler = (state) => {
     if (state === NodeStates.Disconnected) {
       log.warn(`[matter-controller] Node ${nodeId} disconnected`);
+      onStateChange?.('disconnected');
     } else if (state === NodeStates.Reconnecting) {
       log.debug(`[matter-controller] Node ${nodeId} reconnecting...`);
     } else if (state === NodeStates.Connected) {
       log.info(`[matter-controller] Node ${nodeId} connected`);
+      onStateChange?.('connected');
     }
   };
   node.events.stateChanged.on(stateHandler);
@@ -287,6 +242,7 @@ export async function subscribe(nodeId, callback) {
     stop() {
       try {
         node.events.attributeChanged.off(handler);
+        node.events.eventTriggered.off(eventHandler);
         node.events.stateChanged.off(stateHandler);
       } catch { /* ignore cleanup errors */ }
     },
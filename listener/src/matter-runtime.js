@@ -1,4 +1,6 @@
 import * as matterController from './matter-controller.js';
+import { REACHABLE } from './device-health.js';
+import { createNoiseGate, resolveNoisePolicy } from './noise-policy.js';
 import { log } from './logger.js';
 
 const POLL_INTERVAL_MS = Number.parseInt(process.env.MATTER_POLL_INTERVAL_MS ?? '5000', 10);
@@ -43,12 +45,20 @@ function normalizePolledEvents(raw) {
   return [];
 }
 
+/**
+ * @param {object} deps
+ * @param {(event: object) => Promise<object>} deps.insertEvent
+ * @param {() => object} deps.loadRooms
+ * @param {(event: object, inserted: object) => void} [deps.processAlerts] - evaluate alert rules for an inserted event
+ */
 export function createMatterRuntime({
   insertEvent,
   loadRooms,
+  processAlerts = () => {},
 }) {
   const sessions = new Map();
   const valueCache = new Map();
+  const noiseGate = createNoiseGate();
 
   function getStatus() {
     const controllerStatus = matterController.getStatus();
@@ -87,18 +97,86 @@ export function createMatterRuntime({
   }
 
   const MAX_CONSECUTIVE_ERRORS = 10;
+  // Consecutive poll/subscribe failures before a node is logged unreachable.
+  const UNREACHABLE_AFTER_ERRORS = 3;
+
+  /**
+   * Log a Reachable transition for a node (see subscriber.js). Only changes
+   * are inserted; the cached state is restored from accessory_state.
+   */
+  async function recordReachability(session, reachable) {
+    const { nodeId, pairing } = session;
+    const cacheKey = `${nodeId}:reachable`;
+    const newValue = String(reachable);
+    const oldValue = valueCache.get(cacheKey) ?? null;
+    if (oldValue === newValue) return;
+    valueCache.set(cacheKey, newValue);
+
+    try {
+      const rooms = loadRooms();
+      const eventPayload = {
+        accessoryId: nodeId,
+        accessoryName: pairing?.name ?? nodeId,
+        roomName: rooms[nodeId] ?? null,
+        serviceType: null,
+        characteristic: REACHABLE,
+        oldValue,
+        newValue,
+        protocol: 'matter',
+        transport: pairing?.transport ?? null,
+        stateKey: cacheKey,
+      };
+      const inserted = await insertEvent(eventPayload);
+      processAlerts(eventPayload, inserted);
+      log.info(`[matter] ${nodeId} → ${REACHABLE}: ${newValue}`);
+    } catch (err) {
+      log.error(`[matter] Reachability insert failed for ${nodeId}:`, err.message ?? err.stack ?? err);
+    }
+  }
 
   function setSessionError(session, nodeId, err, mode = 'poll') {
     session.lastError = err?.message ?? String(err);
     session.lastErrorAt = nowIso();
     session.consecutiveErrors = (session.consecutiveErrors ?? 0) + 1;
     log.warn(`[matter] ${mode} failed for ${nodeId}: ${session.lastError}`);
+    if (session.consecutiveErrors >= UNREACHABLE_AFTER_ERRORS && !session.stopped) {
+      void recordReachability(session, false);
+    }
     if (session.consecutiveErrors >= MAX_CONSECUTIVE_ERRORS && !session.stopped) {
       log.warn(`[matter] Stopping polling for ${nodeId} after ${session.consecutiveErrors} consecutive errors`);
       session.pollingEnabled = false;
     }
   }
 
+  /**
+   * Log a cluster event (button press, lock operation, alarm). Events are
+   * occurrences, not state: there is no old value, nothing is cached and
+   * the noise gate doesn't apply.
+   */
+  async function recordClusterEvent(session, row, rooms) {
+    const { nodeId, pairing } = session;
+    const endpointId = toOptionalInt(row.endpointId);
+    const accessoryId = endpointId == null ? nodeId : `${nodeId}:${endpointId}`;
+    const eventPayload = {
+      accessoryId,
+      accessoryName: pairing?.name ?? nodeId,
+      roomName: rooms[accessoryId] ?? rooms[nodeId] ?? null,
+      serviceType: toOptionalText(row.serviceType) ?? toOptionalText(pairing?.deviceType) ?? null,
+      characteristic: row.characteristic,
+      oldValue: null,
+      newValue: String(row.newValue),
+      protocol: 'matter',
+      transport: pairing?.transport ?? null,
+      endpointId,
+      clusterId: toOptionalInt(row.clusterId),
+      eventData: row.eventData ?? null,
+    };
+    const inserted = await insertEvent(eventPayload);
+    session.lastEventAt = nowIso();
+    processAlerts(eventPayload, inserted);
+    log.info(`[matter] ${accessoryId} → ${row.characteristic}: ${eventPayload.newValue}`);
+  }
+
   async function ingestRows(session, rows, options = {}) {
     const { suppressInsert = false } = options;
     const { nodeId, pairing } = session;
@@ -109,6 +187,11 @@ export function createMatterRuntime({
     session.lastPolledAt = nowIso();
 
     for (const row of polledEvents) {
+      if (row.eventId != null) {
+        // eslint-disable-next-line no-await-in-loop
+        await recordClusterEvent(session, row, rooms);
+        continue;
+      }
       const endpointId = toOptionalInt(row.endpointId);
       const clusterId = toOptionalInt(row.clusterId);
       const attributeId = toOptionalInt(row.attributeId);
@@ -123,11 +206,16 @@ export function createMatterRuntime({
       const cacheKey = `${nodeId}:${endpointId ?? 0}:${clusterId ?? 0}:${attributeId ?? 0}:${characteristic}`;
       const newValue = row.newValue === undefined ? row.value : row.newValue;
       if (newValue === undefined) continue;
+      // The cache holds the last logged value; the noise gate compares
+      // against it and only updates it when a change is logged.
       const oldValue = valueCache.get(cacheKey) ?? null;
       const nextValue = String(newValue);
-      valueCache.set(cacheKey, nextValue);
-      if (oldValue !== null && oldValue === nextValue) continue;
-      if (suppressInsert) continue;
+      // The first poll only records values; ones restored from
+      // accessory_state are compared, so changes made while down are logged.
+      if (suppressInsert && oldValue === null) {
+        valueCache.set(cacheKey, nextValue);
+        continue;
+      }
 
       const eventPayload = {
         accessoryId,
@@ -143,11 +231,23 @@ export function createMatterRuntime({
         clusterId,
         attributeId,
         rawIid: null,
+        stateKey: cacheKey,
       };
 
       // eslint-disable-next-line no-await-in-loop
-      await insertEvent(eventPayload);
-      session.lastEventAt = nowIso();
+      await noiseGate.offer({
+        key: cacheKey,
+        policy: resolveNoisePolicy(accessoryId, characteristic),
+        oldValue,
+        newValue: nextValue,
+        info: { accessoryId, accessoryName: eventPayload.accessoryName, characteristic, protocol: 'matter' },
+        emit: async () => {
+          valueCache.set(cacheKey, nextValue);
+          const inserted = await insertEvent(eventPayload);
+          session.lastEventAt = nowIso();
+          processAlerts(eventPayload, inserted);
+        },
+      });
     }
   }
 
@@ -171,6 +271,7 @@ export function createMatterRuntime({
 
     void matterController.stopNode(nodeId).catch(() => { /* ignore */ });
 
+    noiseGate.cancel(`${nodeId}:`);
     for (const key of valueCache.keys()) {
       if (key.startsWith(`${nodeId}:`)) valueCache.delete(key);
     }
@@ -206,6 +307,7 @@ export function createMatterRuntime({
     try {
       const events = await matterController.poll(nodeId);
       session.consecutiveErrors = 0;
+      await recordReachability(session, true);
       await ingestRows(session, events, { suppressInsert });
       session.initialPollPending = false;
     } catch (err) {
@@ -224,8 +326,16 @@ export function createMatterRuntime({
         void ingestRows(session, events).catch((err) => {
           setSessionError(session, nodeId, err, 'subscribe');
         });
+      }, {
+        onStateChange: (state) => {
+          if (session.stopped) return;
+          if (state === 'connected') void recordReachability(session, true);
+          if (state === 'disconnected') void recordReachability(session, false);
+        },
       });
       session.subscription = sub;
+      session.consecutiveErrors = 0;
+      await recordReachability(session, true);
     } catch (err) {
       setSessionError(session, nodeId, err, 'subscribe');
       scheduleSubscriptionRestart(session);
@@ -296,9 +406,33 @@ export function createMatterRuntime({
     return matterController.discover(DISCOVER_TIMEOUT_MS);
   }
 
+  /** Seed the value cache from accessory_state rows (see subscriber.js). */
+  function primeValueCache(rows = []) {
+    let loaded = 0;
+    for (const row of rows) {
+      if (row.protocol !== 'matter') continue;
+      valueCache.set(row.state_key, row.value);
+      loaded += 1;
+    }
+    return loaded;
+  }
+
+  /** Drop cached values whose accessory_state rows were deleted (see subscriber.js). */
+  function forgetCachedValues(rows = null) {
+    if (rows === null) {
+      valueCache.clear();
+      return;
+    }
+    for (const row of rows) {
+      if (row.protocol === 'matter') valueCache.delete(row.state_key);
+    }
+  }
+
   return {
     commission,
     scan,
+    primeValueCache,
+    forgetCachedValues,
     syncPairings,
     stopNode,
     getStatus,
@@ -0,0 +1,182 @@
+/**
+ * mqtt-client.js — a single MQTT 3.1.1 publish: CONNECT, PUBLISH (QoS 0 or
+ * 1), DISCONNECT. Alerts are infrequent, so each one opens its own short
+ * connection rather than keeping a session to the broker.
+ */
+
+import { randomBytes } from 'crypto';
+import net from 'net';
+import tls from 'tls';
+
+const PACKET_CONNECT = 1;
+const PACKET_CONNACK = 2;
+const PACKET_PUBLISH = 3;
+const PACKET_PUBACK = 4;
+const PACKET_DISCONNECT = 14;
+
+const CONNACK_ERRORS = {
+  1: 'unacceptable protocol version',
+  2: 'client identifier rejected',
+  3: 'server unavailable',
+  4: 'bad username or password',
+  5: 'not authorized',
+};
+
+export class MqttError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MqttError';
+  }
+}
+
+function encodeRemainingLength(length) {
+  const bytes = [];
+  let value = length;
+  do {
+    let byte = value % 128;
+    value = Math.floor(value / 128);
+    if (value > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (value > 0);
+  return Buffer.from(bytes);
+}
+
+function encodeString(value) {
+  const data = Buffer.from(String(value), 'utf8');
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(data.length);
+  return Buffer.concat([length, data]);
+}
+
+function packet(type, flags, body) {
+  return Buffer.concat([Buffer.from([(type << 4) | flags]), encodeRemainingLength(body.length), body]);
+}
+
+export function encodeConnect({ clientId, username = '', password = '', keepAliveSeconds = 30 }) {
+  let connectFlags = 0x02; // clean session
+  if (username) connectFlags |= 0x80;
+  if (username && password) connectFlags |= 0x40;
+  const keepAlive = Buffer.alloc(2);
+  keepAlive.writeUInt16BE(keepAliveSeconds);
+  const parts = [encodeString('MQTT'), Buffer.from([4, connectFlags]), keepAlive, encodeString(clientId)];
+  if (username) parts.push(encodeString(username));
+  if (username && password) parts.push(encodeString(password));
+  return packet(PACKET_CONNECT, 0, Buffer.concat(parts));
+}
+
+export function encodePublish({ topic, payload, qos = 0, retain = false, packetId = 1 }) {
+  const parts = [encodeString(topic)];
+  if (qos > 0) {
+    const id = Buffer.alloc(2);
+    id.writeUInt16BE(packetId);
+    parts.push(id);
+  }
+  parts.push(Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload ?? ''), 'utf8'));
+  return packet(PACKET_PUBLISH, (qos << 1) | (retain ? 1 : 0), Buffer.concat(parts));
+}
+
+/**
+ * Split a byte stream into MQTT packets. Returns the complete packets and
+ * whatever bytes are left over for the next read.
+ */
+export function decodePackets(buffer) {
+  const packets = [];
+  let offset = 0;
+  while (offset + 2 <= buffer.length) {
+    let length = 0;
+    let multiplier = 1;
+    let cursor = offset + 1;
+    let complete = false;
+    while (cursor < buffer.length && cursor - offset <= 4) {
+      const byte = buffer[cursor++];
+      length += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+      if (!(byte & 0x80)) {
+        complete = true;
+        break;
+      }
+    }
+    if (!complete || cursor + length > buffer.length) break;
+    packets.push({
+      type: buffer[offset] >> 4,
+      flags: buffer[offset] & 0x0f,
+      body: buffer.subarray(cursor, cursor + length),
+    });
+    offset = cursor + length;
+  }
+  return { packets, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Publish one message and disconnect.
+ * @param {object} options
+ * @param {string} options.host - address to connect to
+ * @param {number} options.port
+ * @param {boolean} [options.secure] - connect with TLS (mqtts://)
+ * @param {string} [options.servername] - TLS server name (defaults to host)
+ * @param {string} options.topic
+ * @param {string|Buffer} options.payload
+ * @param {0|1} [options.qos]
+ * @param {boolean} [options.retain]
+ * @param {number} [options.timeoutMs]
+ */
+export function publishMqtt({
+  host,
+  port,
+  secure = false,
+  servername = host,
+  username = '',
+  password = '',
+  clientId = `homechronicle-${randomBytes(4).toString('hex')}`,
+  topic,
+  payload,
+  qos = 0,
+  retain = false,
+  timeoutMs = 10_000,
+}) {
+  return new Promise((resolve, reject) => {
+    const options = { host, port, servername: net.isIP(servername) ? undefined : servername };
+    const socket = secure ? tls.connect(options) : net.connect(options);
+    const packetId = 1;
+    let pending = Buffer.alloc(0);
+    let settled = false;
+
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (err) {
+        socket.destroy();
+        reject(err);
+        return;
+      }
+      socket.end(packet(PACKET_DISCONNECT, 0, Buffer.alloc(0)));
+      resolve({});
+    };
+
+    const timer = setTimeout(() => finish(new MqttError(`MQTT timeout after ${timeoutMs}ms`)), timeoutMs);
+
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.write(encodeConnect({ clientId, username, password }));
+    });
+    socket.on('error', (err) => finish(err));
+    socket.on('close', () => finish(new MqttError('MQTT connection closed by broker')));
+    socket.on('data', (chunk) => {
+      const decoded = decodePackets(Buffer.concat([pending, chunk]));
+      pending = decoded.rest;
+      for (const received of decoded.packets) {
+        if (received.type === PACKET_CONNACK) {
+          const code = received.body[1];
+          if (code !== 0) {
+            finish(new MqttError(`MQTT connection refused: ${CONNACK_ERRORS[code] ?? `code ${code}`}`));
+            return;
+          }
+          socket.write(encodePublish({ topic, payload, qos, retain, packetId }));
+          if (qos === 0) finish();
+        } else if (received.type === PACKET_PUBACK && received.body.readUInt16BE(0) === packetId) {
+          finish();
+        }
+      }
+    });
+  });
+}
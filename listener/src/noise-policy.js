@@ -0,0 +1,267 @@
+/**
+ * noise-policy.js — per-accessory and per-characteristic rules that keep
+ * noisy devices from flooding event_logs. Shared by HomeKit (subscriber.js)
+ * and Matter (matter-runtime.js) ingestion.
+ *
+ * A policy can set:
+ *   deadband           — numeric values are logged only once they have moved
+ *                        at least this far from the last logged value
+ *   minIntervalSeconds — changes within this long of the last logged event
+ *                        are held; when the interval ends the latest value
+ *                        is logged if it still differs
+ *   flapWindowSeconds  — changes within this long of the last logged event
+ *                        are held; when the window closes only the net
+ *                        change, if any, is logged
+ *   delayOffSeconds    — on → off transitions are held this long and dropped
+ *                        if the value turns back on meanwhile (e.g. robot
+ *                        cycle switches that blip off between runs)
+ *
+ * Config (noise-policies.json):
+ *   { characteristics: { [characteristic]: policy },
+ *     accessories: { [accessoryId]: { [characteristic | '*']: policy } } }
+ * Characteristics are the names events are logged under. Fields merge from
+ * the characteristic default, to the accessory's '*', to the accessory's
+ * characteristic; 0 turns a field off again at a more specific level.
+ *
+ * Every observed change that does not become a row is counted per
+ * accessory, characteristic and reason; index.js flushes the counts to the
+ * event_suppressions table for /api/stats/suppressed.
+ */
+
+import { log } from './logger.js';
+
+export const SUPPRESSION_REASONS = ['deadband', 'minInterval', 'flap', 'delayOff'];
+
+const POLICY_FIELDS = {
+  deadband: { max: 1_000_000, integer: false },
+  minIntervalSeconds: { max: 86_400, integer: true },
+  flapWindowSeconds: { max: 86_400, integer: true },
+  delayOffSeconds: { max: 86_400, integer: true },
+};
+const ALL_CHARACTERISTICS = '*';
+const MAX_KEY_LENGTH = 200;
+
+let noisePolicyConfig = { characteristics: {}, accessories: {} };
+const suppressionCounts = new Map();
+
+/**
+ * Validate one policy from an API body. Fields left out are unset; 0 is
+ * kept so it can override a less specific level.
+ */
+export function validateNoisePolicy(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'policy must be an object' };
+  }
+  const value = {};
+  for (const [field, spec] of Object.entries(POLICY_FIELDS)) {
+    const raw = input[field];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const number = Number(raw);
+    if (!Number.isFinite(number) || number < 0 || number > spec.max || (spec.integer && !Number.isInteger(number))) {
+      return {
+        error: `${field} must be ${spec.integer ? 'an integer' : 'a number'} between 0 and ${spec.max}`,
+      };
+    }
+    value[field] = number;
+  }
+  const unknown = Object.keys(input).filter((key) => !(key in POLICY_FIELDS));
+  if (unknown.length) return { error: `Unknown policy field: ${unknown[0]}` };
+  return { value };
+}
+
+function normalizePolicyMap(input) {
+  const output = {};
+  for (const [key, policy] of Object.entries(input ?? {})) {
+    const name = String(key ?? '').trim().slice(0, MAX_KEY_LENGTH);
+    const parsed = validateNoisePolicy(policy);
+    if (name && parsed.value && Object.keys(parsed.value).length) output[name] = parsed.value;
+  }
+  return output;
+}
+
+/** Drop malformed entries (hand-edited files, old backups). */
+export function normalizeNoisePolicyConfig(input = {}) {
+  const accessories = {};
+  for (const [accessoryId, policies] of Object.entries(input?.accessories ?? {})) {
+    const id = String(accessoryId ?? '').trim();
+    const normalized = normalizePolicyMap(policies);
+    if (id && Object.keys(normalized).length) accessories[id] = normalized;
+  }
+  const characteristics = normalizePolicyMap(input?.characteristics);
+  delete characteristics[ALL_CHARACTERISTICS];
+  return { characteristics, accessories };
+}
+
+export function setNoisePolicyConfig(config) {
+  noisePolicyConfig = normalizeNoisePolicyConfig(config);
+}
+
+export function getNoisePolicyConfig() {
+  return noisePolicyConfig;
+}
+
+/** Effective policy for an accessory's characteristic, or null for none. */
+export function resolveNoisePolicy(accessoryId, characteristic) {
+  const accessory = noisePolicyConfig.accessories[accessoryId] ?? {};
+  const merged = {
+    ...noisePolicyConfig.characteristics[characteristic],
+    ...accessory[ALL_CHARACTERISTICS],
+    ...accessory[characteristic],
+  };
+  const policy = {};
+  for (const [field, value] of Object.entries(merged)) {
+    if (value > 0) policy[field] = value;
+  }
+  return Object.keys(policy).length ? policy : null;
+}
+
+/**
+ * Count a change that was not logged.
+ * @param {{ accessoryId: string, accessoryName?: string, characteristic: string, protocol?: string }} info
+ */
+export function recordSuppression(info, reason, count = 1) {
+  const key = `${info.accessoryId}\u0000${info.characteristic}\u0000${reason}`;
+  const entry = suppressionCounts.get(key);
+  if (entry) {
+    entry.count += count;
+    entry.accessoryName = info.accessoryName ?? entry.accessoryName;
+    return;
+  }
+  suppressionCounts.set(key, {
+    accessoryId: info.accessoryId,
+    accessoryName: info.accessoryName ?? info.accessoryId,
+    characteristic: info.characteristic,
+    protocol: info.protocol ?? 'homekit',
+    reason,
+    count,
+  });
+}
+
+/** Counts since the last drain; the caller persists them. */
+export function drainSuppressionCounts() {
+  const rows = [...suppressionCounts.values()];
+  suppressionCounts.clear();
+  return rows;
+}
+
+function isOn(value) {
+  return value === 'true' || value === '1';
+}
+
+function isOff(value) {
+  return value === 'false' || value === '0';
+}
+
+function toNumber(value) {
+  if (value === null || value === '' || typeof value === 'boolean') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Per-ingester state: when each key was last logged and the changes being
+ * held. Keys are the ingester's value-cache keys.
+ */
+export function createNoiseGate() {
+  const lastLoggedAt = new Map();
+  const pending = new Map();
+
+  function emitLater(entry) {
+    lastLoggedAt.set(entry.key, Date.now());
+    Promise.resolve()
+      .then(() => entry.emit())
+      .catch((err) => log.error('[noise] Held event insert failed:', err.message ?? err.stack ?? err));
+  }
+
+  function hold(key, entry, delayMs) {
+    entry.key = key;
+    entry.timer = setTimeout(() => {
+      pending.delete(key);
+      if (entry.latest === entry.base) {
+        recordSuppression(entry.info, entry.reason);
+        return;
+      }
+      emitLater(entry);
+    }, Math.max(0, delayMs));
+    pending.set(key, entry);
+  }
+
+  /**
+   * Offer an observed value. `oldValue` is the last *logged* value and
+   * `emit` logs the change (it runs now, or when a hold ends — the caller
+   * updates its value cache inside it, so held changes keep comparing
+   * against what was logged).
+   *
+   * @param {object} change
+   * @param {string} change.key
+   * @param {object|null} change.policy - from resolveNoisePolicy()
+   * @param {string|null} change.oldValue
+   * @param {string} change.newValue
+   * @param {object} change.info        - accessoryId, accessoryName, characteristic, protocol
+   * @param {() => Promise<void>} change.emit
+   * @returns {Promise<'logged' | 'held' | 'suppressed' | 'unchanged'>}
+   */
+  async function offer({ key, policy, oldValue, newValue, info, emit }) {
+    const held = pending.get(key);
+    if (held) {
+      if (newValue === held.latest) return 'unchanged';
+      // The held value is superseded without ever being logged.
+      recordSuppression(held.info, held.reason);
+      held.latest = newValue;
+      held.emit = emit;
+      held.info = info;
+      if (held.reason === 'delayOff' && newValue === held.base) {
+        clearTimeout(held.timer);
+        pending.delete(key);
+        recordSuppression(info, held.reason);
+        return 'suppressed';
+      }
+      return 'held';
+    }
+
+    if (newValue === oldValue) return 'unchanged';
+
+    if (policy && oldValue !== null) {
+      if (policy.deadband) {
+        const from = toNumber(oldValue);
+        const to = toNumber(newValue);
+        if (from !== null && to !== null && Math.abs(to - from) < policy.deadband) {
+          recordSuppression(info, 'deadband');
+          return 'suppressed';
+        }
+      }
+
+      const sinceMs = lastLoggedAt.has(key) ? Date.now() - lastLoggedAt.get(key) : Infinity;
+      if (policy.minIntervalSeconds && sinceMs < policy.minIntervalSeconds * 1000) {
+        hold(key, { base: oldValue, latest: newValue, emit, info, reason: 'minInterval' }, policy.minIntervalSeconds * 1000 - sinceMs);
+        return 'held';
+      }
+      if (policy.delayOffSeconds && isOn(oldValue) && isOff(newValue)) {
+        hold(key, { base: oldValue, latest: newValue, emit, info, reason: 'delayOff' }, policy.delayOffSeconds * 1000);
+        return 'held';
+      }
+      if (policy.flapWindowSeconds && sinceMs < policy.flapWindowSeconds * 1000) {
+        hold(key, { base: oldValue, latest: newValue, emit, info, reason: 'flap' }, policy.flapWindowSeconds * 1000 - sinceMs);
+        return 'held';
+      }
+    }
+
+    lastLoggedAt.set(key, Date.now());
+    await emit();
+    return 'logged';
+  }
+
+  /** Drop held changes and timing for keys starting with `prefix`. */
+  function cancel(prefix) {
+    for (const [key, entry] of pending) {
+      if (!key.startsWith(prefix)) continue;
+      clearTimeout(entry.timer);
+      pending.delete(key);
+    }
+    for (const key of lastLoggedAt.keys()) {
+      if (key.startsWith(prefix)) lastLoggedAt.delete(key);
+    }
+  }
+
+  return { offer, cancel, pendingCount: () => pending.size };
+}
@@ -155,3 +155,44 @@ export async function resolveAndValidateWebhookTarget(rawUrl, {
     resolvedAddresses,
   };
 }
+
+/**
+ * Resolve a bare hostname (SMTP server, MQTT broker) under the same address
+ * policy as webhook targets. Callers should connect to the returned address
+ * so a second lookup can't swap in a blocked one.
+ */
+export async function resolveAndValidateHost(rawHost, {
+  allowPrivateTargets = true,
+  lookup = dnsLookup,
+} = {}) {
+  const hostname = normalizeHostname(rawHost);
+  if (!hostname) return { ok: false, error: 'host is required' };
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return { ok: false, error: 'localhost targets are not allowed' };
+  }
+
+  if (isIP(hostname)) {
+    const classification = classifyResolvedAddress(hostname, allowPrivateTargets);
+    if (classification.blocked) return { ok: false, error: classification.reason };
+    return { ok: true, hostname, address: hostname };
+  }
+
+  let answers;
+  try {
+    answers = await lookup(hostname, { all: true, verbatim: true });
+  } catch {
+    return { ok: false, error: `Could not resolve hostname: ${hostname}` };
+  }
+  if (!Array.isArray(answers) || answers.length === 0) {
+    return { ok: false, error: `Could not resolve hostname: ${hostname}` };
+  }
+
+  for (const answer of answers) {
+    const address = String(answer?.address ?? '').trim();
+    const classification = classifyResolvedAddress(address, allowPrivateTargets);
+    if (classification.blocked) {
+      return { ok: false, error: `${classification.reason} (${address || 'no address'})` };
+    }
+  }
+  return { ok: true, hostname, address: String(answers[0].address).trim() };
+}
@@ -0,0 +1,88 @@
+/**
+ * setup-payload.js — HomeKit setup payloads: the `X-HM://` URI in an
+ * accessory's QR code or NFC tag.
+ *
+ * The URI is 9 base-36 characters holding a 46-bit number, then the 4-
+ * character setup ID:
+ *   bits  0–26  setup code (the 8-digit PIN)
+ *   bits 27–30  flags: NFC, IP, BLE
+ *   bits 31–38  accessory category
+ *   bits 39–42  reserved
+ *   bits 43–45  version (0)
+ *
+ * The setup ID isn't announced directly; accessories publish `sh` in their
+ * mDNS TXT record, the first 4 bytes of SHA-512(setupId + deviceId) in
+ * base64, which is how a payload is matched to a discovered accessory.
+ */
+
+import { createHash } from 'crypto';
+
+const PAYLOAD_PATTERN = /^X-HM:\/\/([0-9A-Z]{9})([0-9A-Z]{4})$/;
+const SETUP_CODE_MASK = (1n << 27n) - 1n;
+// Trivial codes HAP forbids; a payload carrying one is corrupt or fake.
+const INVALID_SETUP_CODES = new Set([
+  '00000000', '11111111', '22222222', '33333333', '44444444', '55555555',
+  '66666666', '77777777', '88888888', '99999999', '12345678', '87654321',
+]);
+
+const FLAG_NFC = 0x1;
+const FLAG_IP = 0x2;
+const FLAG_BLE = 0x4;
+
+function decodeBase36(text) {
+  let value = 0n;
+  for (const char of text) value = value * 36n + BigInt(Number.parseInt(char, 36));
+  return value;
+}
+
+/**
+ * Decode an `X-HM://` setup payload.
+ * @returns {{ value: { setupCode: string, setupId: string, category: number,
+ *   transports: { ip: boolean, ble: boolean, nfc: boolean } } } | { error: string }}
+ */
+export function parseSetupPayload(input) {
+  const text = String(input ?? '').trim().toUpperCase();
+  const match = PAYLOAD_PATTERN.exec(text);
+  if (!match) return { error: 'Setup payload must look like X-HM://0023ISYWY1QJ8' };
+
+  const value = decodeBase36(match[1]);
+  const version = Number((value >> 43n) & 0x7n);
+  if (version !== 0) return { error: `Unsupported setup payload version ${version}` };
+
+  const digits = String(value & SETUP_CODE_MASK).padStart(8, '0');
+  if (digits.length !== 8 || INVALID_SETUP_CODES.has(digits)) {
+    return { error: 'Setup payload does not contain a valid setup code' };
+  }
+  const category = Number((value >> 31n) & 0xffn);
+  if (category < 1) return { error: 'Setup payload does not name an accessory category' };
+
+  const flags = Number((value >> 27n) & 0xfn);
+  return {
+    value: {
+      setupCode: `${digits.slice(0, 3)}-${digits.slice(3, 5)}-${digits.slice(5)}`,
+      setupId: match[2],
+      category,
+      transports: {
+        ip: Boolean(flags & FLAG_IP),
+        ble: Boolean(flags & FLAG_BLE),
+        nfc: Boolean(flags & FLAG_NFC),
+      },
+    },
+  };
+}
+
+/** The `sh` TXT value an accessory with this device ID and setup ID announces. */
+export function setupHashFor(setupId, deviceId) {
+  return createHash('sha512')
+    .update(`${setupId}${String(deviceId).toUpperCase()}`)
+    .digest()
+    .subarray(0, 4)
+    .toString('base64');
+}
+
+/** Discovered accessories (with `setupHash`) that a payload's setup ID belongs to. */
+export function findBySetupId(accessories, setupId) {
+  return accessories.filter((accessory) => (
+    accessory.setupHash && accessory.setupHash === setupHashFor(setupId, accessory.id)
+  ));
+}
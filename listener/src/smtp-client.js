@@ -0,0 +1,231 @@
+/**
+ * smtp-client.js — just enough SMTP (RFC 5321) to hand one alert email to a
+ * mail relay: EHLO, STARTTLS or implicit TLS, AUTH PLAIN/LOGIN, one message,
+ * QUIT. No pooling, attachments or HTML.
+ */
+
+import { randomBytes } from 'crypto';
+import net from 'net';
+import tls from 'tls';
+
+export class SmtpError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+  }
+}
+
+/** Collects CRLF-terminated lines into complete (possibly multi-line) replies. */
+function createReplyReader() {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiters = [];
+  let failure = null;
+
+  function settle() {
+    while (waiters.length && (replies.length || failure)) {
+      const waiter = waiters.shift();
+      if (replies.length) waiter.resolve(replies.shift());
+      else waiter.reject(failure);
+    }
+  }
+
+  return {
+    push(chunk) {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, index).replace(/\r$/, '');
+        buffer = buffer.slice(index + 1);
+        lines.push(line);
+        // "250-..." continues a reply; "250 ..." (or a bare code) ends it.
+        if (/^\d{3}(?: |$)/.test(line)) {
+          replies.push({ code: Number(line.slice(0, 3)), text: lines.map((l) => l.slice(4)).join('\n') });
+          lines = [];
+        }
+      }
+      settle();
+    },
+    fail(err) {
+      failure ??= err;
+      settle();
+    },
+    next() {
+      return new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+        settle();
+      });
+    },
+  };
+}
+
+function connectSocket({ host, port, secure, servername, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const options = { host, port, servername: net.isIP(servername) ? undefined : servername };
+    const socket = secure ? tls.connect(options) : net.connect(options);
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new SmtpError(`SMTP connect timeout after ${timeoutMs}ms`));
+    }, timeoutMs);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      clearTimeout(timer);
+      resolve(socket);
+    });
+    socket.once('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+function upgradeSocket(socket, servername, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: net.isIP(servername) ? undefined : servername });
+    const timer = setTimeout(() => {
+      secured.destroy();
+      reject(new SmtpError(`SMTP STARTTLS timeout after ${timeoutMs}ms`));
+    }, timeoutMs);
+    secured.once('secureConnect', () => {
+      clearTimeout(timer);
+      resolve(secured);
+    });
+    secured.once('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+function stripLineBreaks(value) {
+  return String(value ?? '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+/** RFC 2047 encoded-word for header values that aren't plain ASCII. */
+function encodeHeader(value) {
+  const text = stripLineBreaks(value);
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  return `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Build the DATA section. The body is base64 so long lines, non-ASCII text
+ * and leading dots need no further escaping.
+ */
+export function formatMessage({ from, to, subject, text, date = new Date(), messageId = null }) {
+  const domain = stripLineBreaks(from).split('@')[1] || 'homechronicle.local';
+  const localPart = messageId ? stripLineBreaks(messageId).replace(/[^\w.-]/g, '') : '';
+  const body = Buffer.from(String(text ?? ''), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  return [
+    `From: ${stripLineBreaks(from)}`,
+    `To: ${to.map(stripLineBreaks).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${localPart || randomBytes(12).toString('hex')}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+/**
+ * Send one plain-text message.
+ * @param {object} options
+ * @param {string} options.host - address to connect to
+ * @param {number} options.port
+ * @param {'starttls'|'tls'|'none'} [options.security]
+ * @param {string} [options.servername] - TLS server name (defaults to host)
+ * @param {string} [options.username]
+ * @param {string} [options.password]
+ * @param {string} options.from
+ * @param {string[]} options.to
+ * @param {string} options.subject
+ * @param {string} options.text
+ * @param {string} [options.messageId] - stable Message-ID local part, so retries can be de-duplicated
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<{ responseCode: number }>}
+ */
+export async function sendMail({
+  host,
+  port,
+  security = 'starttls',
+  servername = host,
+  username = '',
+  password = '',
+  from,
+  to,
+  subject,
+  text,
+  messageId = null,
+  timeoutMs = 10_000,
+  clientName = 'homechronicle',
+}) {
+  let socket = await connectSocket({ host, port, secure: security === 'tls', servername, timeoutMs });
+  const replies = createReplyReader();
+  const onData = (chunk) => replies.push(chunk);
+  const onError = (err) => replies.fail(err);
+  const onClose = () => replies.fail(new SmtpError('SMTP connection closed'));
+
+  function attach(target) {
+    target.on('data', onData);
+    target.on('error', onError);
+    target.on('close', onClose);
+    target.setTimeout(timeoutMs, () => target.destroy(new SmtpError(`SMTP timeout after ${timeoutMs}ms`)));
+  }
+
+  function detach(target) {
+    target.off('data', onData);
+    target.off('error', onError);
+    target.off('close', onClose);
+    target.setTimeout(0);
+  }
+
+  async function command(line, expected, label = line) {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await replies.next();
+    if (!expected.includes(reply.code)) {
+      throw new SmtpError(`SMTP ${label ?? 'greeting'} rejected: ${reply.code} ${reply.text}`.trim(), reply.code);
+    }
+    return reply;
+  }
+
+  attach(socket);
+  try {
+    await command(null, [220], null);
+    let ehlo = await command(`EHLO ${clientName}`, [250], 'EHLO');
+
+    if (security === 'starttls') {
+      if (!/^STARTTLS\b/im.test(ehlo.text)) throw new SmtpError('SMTP server does not offer STARTTLS');
+      await command('STARTTLS', [220]);
+      detach(socket);
+      socket = await upgradeSocket(socket, servername, timeoutMs);
+      attach(socket);
+      ehlo = await command(`EHLO ${clientName}`, [250], 'EHLO');
+    }
+
+    if (username) {
+      if (/^AUTH\b.*\bPLAIN\b/im.test(ehlo.text)) {
+        const token = Buffer.from(`\u0000${username}\u0000${password}`, 'utf8').toString('base64');
+        await command(`AUTH PLAIN ${token}`, [235], 'AUTH PLAIN');
+      } else {
+        await command('AUTH LOGIN', [334]);
+        await command(Buffer.from(username, 'utf8').toString('base64'), [334], 'AUTH LOGIN username');
+        await command(Buffer.from(password, 'utf8').toString('base64'), [235], 'AUTH LOGIN password');
+      }
+    }
+
+    await command(`MAIL FROM:<${stripLineBreaks(from)}>`, [250], 'MAIL FROM');
+    for (const recipient of to) {
+      await command(`RCPT TO:<${stripLineBreaks(recipient)}>`, [250, 251], 'RCPT TO');
+    }
+    await command('DATA', [354]);
+    const accepted = await command(`${formatMessage({ from, to, subject, text, messageId })}\r\n.`, [250], 'message');
+    await command('QUIT', [221]).catch(() => {});
+    return { responseCode: accepted.code };
+  } finally {
+    socket.destroy();
+  }
+}
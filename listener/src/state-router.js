@@ -0,0 +1,89 @@
+import express from 'express';
+import { isCharacteristicWatched } from './accessory-metadata.js';
+import { applyRoomOverride } from './events-router.js';
+import { log } from './logger.js';
+
+const STATE_COLUMNS = `protocol, accessory_id, accessory_name, room_name, service_type,
+                characteristic, value, endpoint_id, cluster_id, attribute_id, raw_iid,
+                event_id, updated_at`;
+
+function toIso(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Current value of every watched characteristic, grouped by accessory,
+ * from accessory_state (written through by insertEvent()).
+ *
+ * HomeKit characteristics that a watch list has since turned off are left
+ * out once the accessory's metadata is cached; `isWatched` is injectable
+ * for tests.
+ */
+export function createStateRouter({ pool, getRooms, readLimiter = null, isWatched = isCharacteristicWatched }) {
+  const router = express.Router();
+  const limiters = readLimiter ? [readLimiter] : [];
+
+  router.get('/state', ...limiters, async (req, res) => {
+    const accessoryId = String(req.query.accessoryId ?? '').trim();
+    const room = String(req.query.room ?? '').trim();
+
+    try {
+      const params = [];
+      const conditions = [];
+      if (accessoryId) {
+        params.push(accessoryId);
+        conditions.push(`accessory_id = $${params.length}`);
+      }
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+      const result = await pool.query(
+        `SELECT ${STATE_COLUMNS}
+         FROM accessory_state ${where}
+         ORDER BY accessory_name ASC, accessory_id ASC, characteristic ASC`,
+        params
+      );
+
+      const rooms = getRooms();
+      const accessories = new Map();
+      let count = 0;
+      for (const raw of result.rows) {
+        if (raw.protocol === 'homekit' && isWatched(raw.accessory_id, raw.raw_iid) === false) continue;
+        const row = applyRoomOverride(raw, rooms);
+        if (room && String(row.room_name ?? '').toLowerCase() !== room.toLowerCase()) continue;
+
+        let accessory = accessories.get(row.accessory_id);
+        if (!accessory) {
+          accessory = {
+            accessory_id: row.accessory_id,
+            accessory_name: row.accessory_name,
+            room_name: row.room_name,
+            protocol: row.protocol,
+            updated_at: null,
+            characteristics: [],
+          };
+          accessories.set(row.accessory_id, accessory);
+        }
+        const updatedAt = toIso(row.updated_at);
+        if (!accessory.updated_at || updatedAt > accessory.updated_at) accessory.updated_at = updatedAt;
+        accessory.characteristics.push({
+          characteristic: row.characteristic,
+          service_type: row.service_type,
+          value: row.value,
+          updated_at: updatedAt,
+          event_id: row.event_id === null ? null : String(row.event_id),
+          raw_iid: row.raw_iid,
+          endpoint_id: row.endpoint_id,
+          cluster_id: row.cluster_id,
+          attribute_id: row.attribute_id,
+        });
+        count += 1;
+      }
+
+      res.json({ count, accessories: [...accessories.values()] });
+    } catch (err) {
+      log.error('[api] /api/state error:', err.message ?? err.stack ?? err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  return router;
+}
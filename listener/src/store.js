@@ -1,4 +1,4 @@
-import { chmod, mkdir, readFile, rename, stat, writeFile } from 'fs/promises';
+import { chmod, mkdir, readFile, rename, rm, stat, writeFile } from 'fs/promises';
 import { dirname } from 'path';
 
 function clone(value) {
@@ -47,6 +47,16 @@ export class JsonObjectStore {
   }
 
   async write(nextValue) {
+    const staged = await this.stage(nextValue);
+    return staged.commit();
+  }
+
+  /**
+   * Write the next value to a temp file without replacing the live file.
+   * `commit()` renames it into place; `discard()` removes it. Used to apply
+   * several stores together (e.g. restoring a backup).
+   */
+  async stage(nextValue) {
     const normalized = (nextValue && typeof nextValue === 'object' && !Array.isArray(nextValue))
       ? nextValue
       : clone(this.defaultValue);
@@ -56,21 +66,29 @@ export class JsonObjectStore {
     const serialized = JSON.stringify(normalized, null, 2);
 
     await writeFile(tempPath, serialized, { encoding: 'utf8', mode: 0o600 });
-    await rename(tempPath, this.filePath);
-    try {
-      await chmod(this.filePath, 0o600);
-    } catch {
-      // Ignore filesystems that do not support POSIX permissions.
-    }
 
-    try {
-      const meta = await stat(this.filePath);
-      this.lastMtimeMs = meta.mtimeMs;
-    } catch {
-      this.lastMtimeMs = Date.now();
-    }
+    return {
+      commit: async () => {
+        await rename(tempPath, this.filePath);
+        try {
+          await chmod(this.filePath, 0o600);
+        } catch {
+          // Ignore filesystems that do not support POSIX permissions.
+        }
+
+        try {
+          const meta = await stat(this.filePath);
+          this.lastMtimeMs = meta.mtimeMs;
+        } catch {
+          this.lastMtimeMs = Date.now();
+        }
 
-    this.cache = clone(normalized);
-    return this.getSnapshot();
+        this.cache = clone(normalized);
+        return this.getSnapshot();
+      },
+      discard: async () => {
+        await rm(tempPath, { force: true });
+      },
+    };
   }
 }
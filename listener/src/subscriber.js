@@ -2,9 +2,21 @@
  * subscriber.js — connects to paired HomeKit accessories and subscribes
  * to characteristic value-change events.
  *
+ * After every (re)subscribe the watched characteristics are read once and
+ * compared with the value cache, so changes made while the connection was
+ * down are still logged (flagged `reconciled`). An outage that went through
+ * reconnect backoff is also logged as a ConnectivityGap row.
+ *
+ * Connection state itself is logged as a synthetic `Reachable`
+ * characteristic on the paired device: `false` once a reconnect has to back
+ * off, `true` once subscribed again.
+ *
  * Exports:
  *   startSubscribers(pairings) → void
  *   stopSubscriber(deviceId)   → void
+ *   reconnectSubscriber(deviceId, pairing) → boolean
+ *   applyWatchLists()          → Promise<void>
+ *   primeValueCache(rows)      → number
  */
 
 import { HttpClient } from 'hap-controller';
@@ -14,6 +26,9 @@ import {
   cacheAccessoryMetadata,
   clearAccessoryMetadata,
 } from './accessory-metadata.js';
+import { decodeVendorValue } from './vendor-characteristics.js';
+import { CONNECTIVITY_GAP, REACHABLE } from './device-health.js';
+import { createNoiseGate, resolveNoisePolicy } from './noise-policy.js';
 import { log } from './logger.js';
 
 const ALERTS_ENABLED = !/^(0|false|no|off)$/i.test(process.env.ALERTS_ENABLED ?? 'false');
@@ -23,31 +38,68 @@ let reconnectBaseMs = Number.parseInt(process.env.RECONNECT_BASE_MS ?? '5000', 1
 let reconnectMaxMs  = Number.parseInt(process.env.RECONNECT_MAX_MS ?? '60000', 10);
 if (!Number.isFinite(reconnectBaseMs) || reconnectBaseMs < 1) reconnectBaseMs = 5_000;
 if (!Number.isFinite(reconnectMaxMs) || reconnectMaxMs < reconnectBaseMs) reconnectMaxMs = 60_000;
-const RUN_CYCLE_NAME_REGEX = /(run leveling|run clean cycle)/i;
-const RUN_CYCLE_OFF_DELAY_MS = Number.parseInt(
-  process.env.RUN_CYCLE_OFF_DELAY_MS ?? `${15 * 60_000}`,
-  10
-);
 
 // In-memory cache of last-seen values: "deviceId:aid.iid" → value string.
 // Used to populate old_value on each event so the UI can show before→after.
-// Survives reconnects within the same process; cleared on restart.
+// Survives reconnects; primed from accessory_state at startup, which every
+// inserted event updates (its key is the event's stateKey). Holds the last
+// *logged* value: changes the noise gate drops or holds don't update it.
 const valueCache = new Map();
-const delayedOffTimers = new Map();
+const noiseGate = createNoiseGate();
 const subscriberSessions = new Map();
 const subscriberStats = new Map();
 let connectAccessoryImpl = connectAccessory;
+let insertEventImpl = insertEvent;
+let createClientImpl = (...args) => new HttpClient(...args);
+let alertsQueue = Promise.resolve();
 
-async function processAlertsSafe(eventPayload, insertedRow) {
+/**
+ * Evaluate alert rules for an inserted event without holding up ingestion.
+ * Rule matching only queues deliveries (alert-queue.js sends them); events
+ * are still evaluated one at a time, in arrival order, so quiet periods
+ * see each other's queued deliveries. Matter events share the queue (see
+ * matter-runtime.js).
+ */
+export function processAlertsSafe(eventPayload, insertedRow) {
   if (!ALERTS_ENABLED) return;
-  try {
-    await processAlertsForEvent(pool, {
-      ...eventPayload,
-      eventId: insertedRow?.id,
-      timestamp: insertedRow?.timestamp ?? new Date().toISOString(),
-    });
-  } catch (err) {
-    log.error('[alerts] Processing failed:', err.message ?? err.stack ?? err);
+  const event = {
+    ...eventPayload,
+    eventId: insertedRow?.id,
+    timestamp: insertedRow?.timestamp ?? new Date().toISOString(),
+  };
+  alertsQueue = alertsQueue
+    .then(() => processAlertsForEvent(pool, event))
+    .catch((err) => log.error('[alerts] Processing failed:', err.message ?? err.stack ?? err));
+}
+
+/**
+ * Seed the value cache from accessory_state rows (see loadAccessoryState()
+ * in db.js), so the first event after a restart still has its old_value.
+ * Call before starting subscribers.
+ * @returns {number} HomeKit values loaded
+ */
+export function primeValueCache(rows = []) {
+  let loaded = 0;
+  for (const row of rows) {
+    if (row.protocol !== 'homekit') continue;
+    valueCache.set(row.state_key, row.value);
+    loaded += 1;
+  }
+  return loaded;
+}
+
+/**
+ * Drop cached values whose accessory_state rows were deleted (the whole
+ * cache when `rows` is null), so the next reading is logged again rather
+ * than deduplicated against wiped history.
+ */
+export function forgetCachedValues(rows = null) {
+  if (rows === null) {
+    valueCache.clear();
+    return;
+  }
+  for (const row of rows) {
+    if (row.protocol === 'homekit') valueCache.delete(row.state_key);
   }
 }
 
@@ -77,8 +129,11 @@ export function startSubscriber(deviceId, pairing, rooms = {}, getPairing = null
     resubscribeFailures: 0,
     subscribeFailures: 0,
     accessoriesQueryFailures: 0,
+    reconciledEvents: 0,
+    connectivityGaps: 0,
     lastConnectedAt: null,
     lastSubscribedAt: null,
+    lastReconciledAt: null,
     lastError: null,
     lastErrorAt: null,
   };
@@ -87,10 +142,19 @@ export function startSubscriber(deviceId, pairing, rooms = {}, getPairing = null
     rooms,
     getPairing,
     pairingName: pairing.name,
+    pairing,
     retryDelayMs: reconnectBaseMs,
     stopped: false,
     reconnectTimeout: null,
     client: null,
+    accessories: null,
+    iidMeta: new Map(),
+    subscribedKeys: new Set(),
+    // Outage tracking for reconciliation: when the event connection dropped,
+    // and when the outage that led to reconnect backoff began.
+    disconnectedAt: null,
+    outageStartedAt: null,
+    hasSubscribed: false,
     eventHandler: null,
     disconnectHandler: null,
     stats,
@@ -116,13 +180,7 @@ export function stopSubscriber(deviceId) {
     session.client = null;
   }
 
-  for (const [timerKey, timeoutId] of delayedOffTimers.entries()) {
-    if (timerKey.startsWith(`${deviceId}:`)) {
-      clearTimeout(timeoutId);
-      delayedOffTimers.delete(timerKey);
-    }
-  }
-
+  noiseGate.cancel(`${deviceId}:`);
   for (const key of valueCache.keys()) {
     if (key.startsWith(`${deviceId}:`)) valueCache.delete(key);
   }
@@ -132,44 +190,81 @@ export function stopSubscriber(deviceId) {
   subscriberSessions.delete(deviceId);
 }
 
+/**
+ * Reconnect one accessory now, at the pairing's (new) address — used when
+ * discovery sees it move. Unlike stopSubscriber() + startSubscriber(), the
+ * session's value cache, stats and outage tracking are kept, so the usual
+ * reconciliation runs once it is subscribed again.
+ */
+export function reconnectSubscriber(deviceId, pairing) {
+  const session = subscriberSessions.get(deviceId);
+  if (!session || session.stopped) return false;
+
+  if (session.reconnectTimeout) {
+    clearTimeout(session.reconnectTimeout);
+    session.reconnectTimeout = null;
+  }
+  const { client } = session;
+  if (client) {
+    if (session.eventHandler) client.off('event', session.eventHandler);
+    if (session.disconnectHandler) client.off('event-disconnect', session.disconnectHandler);
+    session.client = null;
+    Promise.resolve()
+      .then(() => client.close?.())
+      .catch(() => { /* the old address is usually gone already */ });
+  }
+
+  session.retryDelayMs = reconnectBaseMs;
+  log.info(`[subscriber] ${pairing.name}: reconnecting at ${pairing.address}:${pairing.port}`);
+  connectAccessoryImpl(session, pairing);
+  return true;
+}
+
 function connectAccessory(session, pairing) {
   if (session.stopped) return;
   const { deviceId, rooms, getPairing, stats } = session;
   const { name: accessoryName, address, port, longTermData } = pairing;
   session.pairingName = accessoryName;
+  session.pairing = pairing;
   stats.connectAttempts += 1;
 
   log.info(`[subscriber] Connecting to ${accessoryName} (${address}:${port})`);
 
-  const client = new HttpClient(deviceId, address, port, longTermData);
+  const client = createClientImpl(deviceId, address, port, longTermData);
   session.client = client;
+  // reconnectSubscriber() can replace the client while this attempt is
+  // still in flight (a connect to a dead address hangs until it times
+  // out); a superseded attempt must not touch the session.
+  const isCurrent = () => !session.stopped && session.client === client;
 
   client.getAccessories().then(async (accessories) => {
-    const { iidMetaMap: iidMeta } = cacheAccessoryMetadata({
+    if (!isCurrent()) return;
+    session.accessories = accessories;
+    session.subscribedKeys = new Set();
+    const { iidMetaMap } = cacheAccessoryMetadata({
       deviceId,
       pairingName: accessoryName,
       accessories,
     });
+    session.iidMeta = iidMetaMap;
     stats.lastConnectedAt = new Date().toISOString();
 
     // subscribeCharacteristics() expects an array of "aid.iid" strings
-    const watchedKeys = [...iidMeta.keys()];
-
-    if (watchedKeys.length === 0) {
-      log.info(`[subscriber] ${accessoryName}: no watched characteristics found`);
-      return;
-    }
+    const watchedKeys = [...iidMetaMap.keys()];
 
     // HAP events are emitted on the client instance itself (HttpClient extends
     // EventEmitter). subscribeCharacteristics() returns Promise<void|null> —
     // NOT an EventEmitter — so .on() must be called on `client`, not on the
     // return value.
-    const handleEvent = async (event) => {
+    // Reconciliation reads (see reconcileSession()) come through here too,
+    // with `reconciled` set.
+    const handleEvent = async (event, { reconciled = false } = {}) => {
       if (session.stopped) return;
       const changes = event?.characteristics ?? (Array.isArray(event) ? event : [event]);
       for (const change of changes) {
         const key  = `${change.aid}.${change.iid}`;
-        const meta = iidMeta.get(key);
+        // Read through the session: applyWatchLists() swaps the map in place.
+        const meta = session.iidMeta.get(key);
         if (!meta) {
           log.debug(`[event-skip] ${accessoryName} aid=${change.aid} iid=${change.iid} value=${change.value} (not in watched list)`);
           continue;
@@ -182,15 +277,17 @@ function connectAccessory(session, pairing) {
         const effectiveId = change.aid > 1 ? `${deviceId}:${change.aid}` : deviceId;
 
         // Look up (and then update) the cached previous value for this characteristic
+        // Vendor characteristics are decoded (and rounded) before comparing.
+        const newValue = meta.decoder ? decodeVendorValue(meta.decoder, change.value) : String(change.value);
+        if (newValue === null) {
+          log.debug(`[event-skip] ${effectiveName} → ${meta.characteristicName}: undecodable value ${change.value}`);
+          continue;
+        }
         const cacheKey = `${effectiveId}:${change.aid}.${change.iid}`;
         const oldValue = valueCache.get(cacheKey) ?? null;
-        const newValue = String(change.value);
-        valueCache.set(cacheKey, newValue);
-
-        // Skip inserting if the value hasn't actually changed
-        // (some accessories re-broadcast the same value on reconnect)
-        if (oldValue !== null && oldValue === newValue) {
-          log.debug(`[event-skip] ${effectiveName} → ${meta.characteristicName}: unchanged (${newValue})`);
+        // A read with nothing to compare against only seeds the cache.
+        if (reconciled && oldValue === null) {
+          valueCache.set(cacheKey, newValue);
           continue;
         }
 
@@ -208,55 +305,42 @@ function connectAccessory(session, pairing) {
           protocol:       'homekit',
           transport:      'ip',
           rawIid:         change.iid,
+          stateKey:       cacheKey,
+          reconciled,
         };
 
-        // Run-cycle switches often auto-reset immediately. Delay OFF logging so
-        // users see completion later rather than an instant auto-off.
-        const timerKey = `${effectiveId}:${change.aid}.${change.iid}`;
-        const isRunCycleSwitch =
-          meta.characteristicName === 'On' &&
-          RUN_CYCLE_NAME_REGEX.test(effectiveName) &&
-          Number.isFinite(RUN_CYCLE_OFF_DELAY_MS) &&
-          RUN_CYCLE_OFF_DELAY_MS > 0;
-
-        if (isRunCycleSwitch && newValue === 'true') {
-          const pending = delayedOffTimers.get(timerKey);
-          if (pending) {
-            clearTimeout(pending);
-            delayedOffTimers.delete(timerKey);
-          }
-        }
-
-        if (isRunCycleSwitch && newValue === 'false' && oldValue === 'true') {
-          const pending = delayedOffTimers.get(timerKey);
-          if (pending) clearTimeout(pending);
-
-          const timeoutId = setTimeout(async () => {
-            delayedOffTimers.delete(timerKey);
-            try {
-              const inserted = await insertEvent(eventPayload);
-              await processAlertsSafe(eventPayload, inserted);
-              log.debug(
-                `[event-delayed] ${effectiveName} → ${meta.characteristicName}: ${change.value} ` +
-                `(delayed ${Math.round(RUN_CYCLE_OFF_DELAY_MS / 1000)}s)`
-              );
-            } catch (err) {
-              log.error(`[subscriber] Delayed DB insert failed:`, err.message ?? err.stack ?? err);
-            }
-          }, RUN_CYCLE_OFF_DELAY_MS);
-
-          delayedOffTimers.set(timerKey, timeoutId);
-          log.debug(
-            `[event-delay] ${effectiveName} → ${meta.characteristicName}: ${change.value} ` +
-            `queued for ${Math.round(RUN_CYCLE_OFF_DELAY_MS / 1000)}s`
-          );
-          continue;
-        }
-
+        // Reconciled reads describe changes that already happened, so only
+        // the deadband applies to them; delay/flap holds would misdate them.
+        const policy = resolveNoisePolicy(effectiveId, meta.characteristicName);
         try {
-          const inserted = await insertEvent(eventPayload);
-          await processAlertsSafe(eventPayload, inserted);
-          log.info(`[event] ${effectiveName} → ${meta.characteristicName}: ${change.value}`);
+          const outcome = await noiseGate.offer({
+            key: cacheKey,
+            policy: reconciled && policy ? { deadband: policy.deadband } : policy,
+            oldValue,
+            newValue,
+            info: {
+              accessoryId: effectiveId,
+              accessoryName: effectiveName,
+              characteristic: meta.characteristicName,
+              protocol: 'homekit',
+            },
+            emit: async () => {
+              valueCache.set(cacheKey, newValue);
+              const inserted = await insertEventImpl(eventPayload);
+              processAlertsSafe(eventPayload, inserted);
+              if (reconciled) {
+                stats.reconciledEvents += 1;
+                log.info(`[event-reconciled] ${effectiveName} → ${meta.characteristicName}: ${oldValue} → ${newValue}`);
+              } else {
+                log.info(`[event] ${effectiveName} → ${meta.characteristicName}: ${newValue}`);
+              }
+            },
+          });
+          // 'unchanged' is common: some accessories re-broadcast the same
+          // value on reconnect.
+          if (outcome !== 'logged') {
+            log.debug(`[event-${outcome}] ${effectiveName} → ${meta.characteristicName}: ${newValue}`);
+          }
         } catch (err) {
           log.error(`[subscriber] DB insert failed:`, err.message ?? err.stack ?? err);
         }
@@ -267,17 +351,22 @@ function connectAccessory(session, pairing) {
     client.on('event', handleEvent);
 
     // 'event-disconnect' fires when the HAP subscription connection drops.
-    // The argument is the previously-subscribed list — pass it straight back
-    // to resubscribe without needing to rebuild the key list.
-    const disconnectHandler = async (formerSubscribes) => {
+    // Resubscribe to the current watch list rather than the previously
+    // subscribed one, which may still hold characteristics unwatched since.
+    const disconnectHandler = async () => {
       if (session.stopped) return;
       stats.disconnects += 1;
+      session.disconnectedAt ??= new Date();
       log.warn(`[subscriber] ${accessoryName}: disconnected, resubscribing…`);
+      const keys = [...session.iidMeta.keys()];
+      session.subscribedKeys = new Set();
       try {
-        await client.subscribeCharacteristics(formerSubscribes);
+        await client.subscribeCharacteristics(keys);
+        session.subscribedKeys = new Set(keys);
         stats.resubscribeSuccesses += 1;
         stats.lastSubscribedAt = new Date().toISOString();
-        log.info(`[subscriber] ${accessoryName}: resubscribed to ${formerSubscribes.length} characteristic(s)`);
+        log.info(`[subscriber] ${accessoryName}: resubscribed to ${keys.length} characteristic(s)`);
+        await reconcileSession(session, keys);
       } catch (err) {
         stats.resubscribeFailures += 1;
         stats.lastError = err.message ?? String(err);
@@ -289,12 +378,22 @@ function connectAccessory(session, pairing) {
     session.disconnectHandler = disconnectHandler;
     client.on('event-disconnect', disconnectHandler);
 
+    // Handlers stay attached so a watch-list change can subscribe later.
+    if (watchedKeys.length === 0) {
+      log.info(`[subscriber] ${accessoryName}: no watched characteristics found`);
+      return;
+    }
+
     try {
       await client.subscribeCharacteristics(watchedKeys);
+      if (!isCurrent()) return;
+      session.subscribedKeys = new Set(watchedKeys);
       session.retryDelayMs = reconnectBaseMs;
       stats.lastSubscribedAt = new Date().toISOString();
       log.info(`[subscriber] ${accessoryName}: subscribed to ${watchedKeys.length} characteristic(s)`);
+      await reconcileSession(session, watchedKeys);
     } catch (err) {
+      if (!isCurrent()) return;
       stats.subscribeFailures += 1;
       stats.lastError = err.message ?? String(err);
       stats.lastErrorAt = new Date().toISOString();
@@ -303,6 +402,10 @@ function connectAccessory(session, pairing) {
     }
 
   }).catch((err) => {
+    if (!isCurrent()) {
+      log.debug(`[subscriber] ${accessoryName}: superseded connect to ${address}:${port} ended:`, err.message ?? err);
+      return;
+    }
     stats.accessoriesQueryFailures += 1;
     stats.lastError = err.message ?? String(err);
     stats.lastErrorAt = new Date().toISOString();
@@ -311,10 +414,155 @@ function connectAccessory(session, pairing) {
   });
 }
 
+/**
+ * Re-derive every session's watched characteristics after the watch lists
+ * change, then subscribe to the new ones and unsubscribe from the dropped
+ * ones on live connections. Events for dropped characteristics are ignored
+ * from the moment the map is swapped. Sessions in reconnect backoff only
+ * get fresh metadata (so /capabilities reflects the change) and subscribe
+ * to the new set when they reconnect.
+ */
+export async function applyWatchLists() {
+  const pending = [];
+  for (const session of subscriberSessions.values()) {
+    if (session.stopped || !session.accessories) continue;
+    const { iidMetaMap } = cacheAccessoryMetadata({
+      deviceId: session.deviceId,
+      pairingName: session.pairingName,
+      accessories: session.accessories,
+    });
+    session.iidMeta = iidMetaMap;
+    if (session.reconnectTimeout || !session.client) continue;
+    pending.push(resubscribeSession(session));
+  }
+  await Promise.all(pending);
+}
+
+async function resubscribeSession(session) {
+  const { client, pairingName, stats } = session;
+  const keys = [...session.iidMeta.keys()];
+  const added = keys.filter((key) => !session.subscribedKeys.has(key));
+  const removed = [...session.subscribedKeys].filter((key) => !session.iidMeta.has(key));
+  if (!added.length && !removed.length) return;
+
+  if (removed.length) {
+    try {
+      await client.unsubscribeCharacteristics(removed);
+    } catch (err) {
+      // Not fatal: unwatched events are already skipped by the handler.
+      log.debug(`[subscriber] ${pairingName}: unsubscribe failed:`, err.message ?? err.stack ?? err);
+    }
+    for (const key of removed) session.subscribedKeys.delete(key);
+  }
+  if (added.length) {
+    try {
+      await client.subscribeCharacteristics(added);
+      for (const key of added) session.subscribedKeys.add(key);
+      stats.lastSubscribedAt = new Date().toISOString();
+    } catch (err) {
+      stats.subscribeFailures += 1;
+      stats.lastError = err.message ?? String(err);
+      stats.lastErrorAt = new Date().toISOString();
+      log.error(`[subscriber] ${pairingName}: subscribe failed:`, err.message ?? err.stack ?? err);
+      scheduleReconnect(session, session.pairing);
+      return;
+    }
+  }
+  log.info(`[subscriber] ${pairingName}: watch list updated (+${added.length}/-${removed.length}), watching ${keys.length} characteristic(s)`);
+}
+
+/**
+ * Catch up on what happened while the session was not subscribed: log a
+ * ConnectivityGap row for an outage that went through reconnect backoff
+ * (only once the session has been subscribed before — startup is not an
+ * outage) and the device as Reachable again, then read every watched
+ * characteristic and log the ones that differ from the value cache as
+ * reconciled events.
+ */
+async function reconcileSession(session, keys) {
+  if (session.stopped) return;
+  const { deviceId, pairingName, rooms, stats } = session;
+  const outageStartedAt = session.outageStartedAt;
+  const hadSubscribed = session.hasSubscribed;
+  session.disconnectedAt = null;
+  session.outageStartedAt = null;
+  session.hasSubscribed = true;
+
+  if (outageStartedAt && hadSubscribed) {
+    const gapSeconds = Math.max(0, Math.round((Date.now() - outageStartedAt.getTime()) / 1000));
+    try {
+      await insertEventImpl({
+        accessoryId:    deviceId,
+        accessoryName:  pairingName,
+        roomName:       rooms?.[deviceId] ?? null,
+        characteristic: CONNECTIVITY_GAP,
+        newValue:       String(gapSeconds),
+        protocol:       'homekit',
+        transport:      'ip',
+        gapStartedAt:   outageStartedAt,
+      });
+      if (stats) stats.connectivityGaps += 1;
+      log.info(`[subscriber] ${pairingName}: reconnected after ${gapSeconds}s offline`);
+    } catch (err) {
+      log.error(`[subscriber] ${pairingName}: gap insert failed:`, err.message ?? err.stack ?? err);
+    }
+  }
+
+  await recordReachability(session, true);
+
+  if (!keys.length || !session.client || !session.eventHandler) return;
+  try {
+    const result = await session.client.getCharacteristics(keys);
+    // Unreadable characteristics (event-only, or errors) come back without a value.
+    const characteristics = (result?.characteristics ?? [])
+      .filter((change) => change.value !== undefined && change.value !== null);
+    await session.eventHandler({ characteristics }, { reconciled: true });
+    if (stats) stats.lastReconciledAt = new Date().toISOString();
+  } catch (err) {
+    // Not fatal: live events carry on, the next reconnect reconciles again.
+    log.warn(`[subscriber] ${pairingName}: reconciliation read failed:`, err.message ?? err.stack ?? err);
+  }
+}
+
+/**
+ * Log a Reachable transition for the session's device. Goes through the
+ * value cache like any characteristic, so only changes are inserted and
+ * the state survives restarts (accessory_state).
+ */
+async function recordReachability(session, reachable) {
+  const { deviceId, pairingName, rooms } = session;
+  const cacheKey = `${deviceId}:reachable`;
+  const newValue = String(reachable);
+  const oldValue = valueCache.get(cacheKey) ?? null;
+  if (oldValue === newValue) return;
+  valueCache.set(cacheKey, newValue);
+
+  const eventPayload = {
+    accessoryId:    deviceId,
+    accessoryName:  pairingName,
+    roomName:       rooms?.[deviceId] ?? null,
+    characteristic: REACHABLE,
+    oldValue,
+    newValue,
+    protocol:       'homekit',
+    transport:      'ip',
+    stateKey:       cacheKey,
+  };
+  try {
+    const inserted = await insertEventImpl(eventPayload);
+    processAlertsSafe(eventPayload, inserted);
+    log.info(`[event] ${pairingName} → ${REACHABLE}: ${newValue}`);
+  } catch (err) {
+    log.error(`[subscriber] ${pairingName}: reachability insert failed:`, err.message ?? err.stack ?? err);
+  }
+}
+
 function scheduleReconnect(session, pairing) {
   if (session.stopped) return;
   const { deviceId, getPairing } = session;
+  session.outageStartedAt ??= session.disconnectedAt ?? new Date();
   if (session.stats) session.stats.reconnectSchedules += 1;
+  void recordReachability(session, false);
   const nextDelay = Math.min(session.retryDelayMs * 2, reconnectMaxMs);
   session.retryDelayMs = nextDelay;
   log.debug(`[subscriber] ${pairing.name}: retrying in ${nextDelay / 1000}s`);
@@ -345,6 +593,7 @@ export function getSubscriberStats(deviceId) {
 
 export const __testHooks = {
   scheduleReconnect,
+  reconcileSession,
   getSession(deviceId) {
     return subscriberSessions.get(deviceId) ?? null;
   },
@@ -355,11 +604,19 @@ export const __testHooks = {
   setConnectAccessoryImpl(fn) {
     connectAccessoryImpl = fn;
   },
+  setInsertEventImpl(fn) {
+    insertEventImpl = fn;
+  },
+  setCreateClientImpl(fn) {
+    createClientImpl = fn;
+  },
   resetState() {
     for (const [deviceId] of subscriberSessions) {
       stopSubscriber(deviceId);
     }
     connectAccessoryImpl = connectAccessory;
+    insertEventImpl = insertEvent;
+    createClientImpl = (...args) => new HttpClient(...args);
     reconnectBaseMs = 5_000;
     reconnectMaxMs = 60_000;
   },
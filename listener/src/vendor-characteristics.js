@@ -0,0 +1,42 @@
+/**
+ * vendor-characteristics.js — decoders for vendor (non-HAP) characteristics.
+ *
+ * Eve / Elgato accessories report energy, power, valve and air-pressure
+ * readings through proprietary UUIDs. Each registry entry gives the
+ * characteristic the name its events are logged under, its unit, and how
+ * many decimals to keep (the raw floats jitter in the last digits, which
+ * would otherwise log a change on every report). Entries with `watch: true`
+ * are watched by default, like WATCHED_CHARACTERISTICS in
+ * accessory-metadata.js; the rest can be turned on with a watch list.
+ */
+
+const EVE_UUID_SUFFIX = '-079E-48FF-8F27-9C2605A29F52';
+
+function eve(prefix, entry) {
+  return [`${prefix}${EVE_UUID_SUFFIX}`, { vendor: 'Eve', ...entry }];
+}
+
+/** Keyed by the full uppercase UUID (the shortUuid() form of vendor types). */
+export const VENDOR_CHARACTERISTICS = new Map([
+  eve('E863F10D', { name: 'Power', unit: 'W', digits: 1, watch: true }),
+  eve('E863F10C', { name: 'Energy', unit: 'kWh', digits: 3, watch: true }),
+  eve('E863F10A', { name: 'Voltage', unit: 'V', digits: 1, watch: false }),
+  eve('E863F126', { name: 'ElectricCurrent', unit: 'A', digits: 2, watch: false }),
+  eve('E863F12E', { name: 'ValvePosition', unit: '%', digits: 0, watch: true }),
+  eve('E863F10F', { name: 'AirPressure', unit: 'hPa', digits: 1, watch: true }),
+]);
+
+export function getVendorCharacteristic(type) {
+  return VENDOR_CHARACTERISTICS.get(String(type ?? '').toUpperCase()) ?? null;
+}
+
+/**
+ * Decode a raw value for a registry entry into the string logged as
+ * new_value, or null when the value isn't a number.
+ */
+export function decodeVendorValue(entry, value) {
+  if (value === null || value === undefined || value === '' || typeof value === 'boolean') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) return null;
+  return String(Number(number.toFixed(entry.digits)));
+}
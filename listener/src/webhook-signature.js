@@ -0,0 +1,112 @@
+/**
+ * webhook-signature.js — HMAC signatures for alert webhooks.
+ *
+ * Rules with a signing secret send two extra headers with every webhook:
+ *
+ *   X-HomeChronicle-Timestamp: <unix seconds>
+ *   X-HomeChronicle-Signature: v1=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *
+ * Right after a rotation the signature header carries one `v1=` entry per
+ * valid secret (new first), so receivers can switch secrets without
+ * dropping alerts. Receivers verify against the raw request body, before
+ * any JSON parsing. This module only depends on node's crypto, so it can
+ * be copied into a receiver as-is.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+export const SIGNATURE_HEADER = 'X-HomeChronicle-Signature';
+export const TIMESTAMP_HEADER = 'X-HomeChronicle-Timestamp';
+export const SIGNATURE_VERSION = 'v1';
+
+/** How long the previous secret keeps signing after a rotation. */
+export const ROTATION_GRACE_MS = 24 * 60 * 60 * 1000;
+
+export function generateSigningSecret() {
+  return `hcsec_${randomBytes(32).toString('base64url')}`;
+}
+
+/** Hex HMAC-SHA256 of `<timestamp>.<body>`. */
+export function computeSignature(secret, timestamp, body) {
+  return createHmac('sha256', String(secret))
+    .update(`${timestamp}.`)
+    .update(Buffer.isBuffer(body) ? body : Buffer.from(String(body ?? ''), 'utf8'))
+    .digest('hex');
+}
+
+/**
+ * Headers for a signed request.
+ * @param {string[]} secrets - valid secrets, current one first
+ * @param {string|Buffer} body - the exact bytes being sent
+ * @param {number} [now] - epoch milliseconds
+ */
+export function buildSignatureHeaders(secrets, body, now = Date.now()) {
+  const timestamp = Math.floor(now / 1000);
+  const signature = secrets
+    .filter(Boolean)
+    .map((secret) => `${SIGNATURE_VERSION}=${computeSignature(secret, timestamp, body)}`)
+    .join(', ');
+  return {
+    [TIMESTAMP_HEADER.toLowerCase()]: String(timestamp),
+    [SIGNATURE_HEADER.toLowerCase()]: signature,
+  };
+}
+
+function safeEqualHex(a, b) {
+  const left = Buffer.from(a, 'utf8');
+  const right = Buffer.from(b, 'utf8');
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Verify a received webhook.
+ *
+ *   const result = verifyWebhookSignature({
+ *     secret: process.env.HOMECHRONICLE_SECRET,
+ *     body: rawBody,
+ *     timestamp: req.headers['x-homechronicle-timestamp'],
+ *     signature: req.headers['x-homechronicle-signature'],
+ *   });
+ *   if (!result.ok) return res.status(401).end();
+ *
+ * @param {object} options
+ * @param {string|string[]} options.secret - one secret, or several while rotating
+ * @param {string|Buffer} options.body - raw request body
+ * @param {string|number} options.timestamp - X-HomeChronicle-Timestamp header
+ * @param {string} options.signature - X-HomeChronicle-Signature header
+ * @param {number} [options.toleranceSeconds] - max clock skew / replay window
+ * @param {number} [options.now] - epoch milliseconds
+ * @returns {{ ok: true } | { ok: false, error: string }}
+ */
+export function verifyWebhookSignature({
+  secret,
+  body,
+  timestamp,
+  signature,
+  toleranceSeconds = 300,
+  now = Date.now(),
+}) {
+  const secrets = (Array.isArray(secret) ? secret : [secret]).filter(Boolean);
+  if (!secrets.length) return { ok: false, error: 'No secret configured' };
+
+  const seconds = Number.parseInt(String(timestamp ?? ''), 10);
+  if (!Number.isFinite(seconds) || String(seconds) !== String(timestamp).trim()) {
+    return { ok: false, error: 'Missing or invalid timestamp' };
+  }
+  if (Math.abs(Math.floor(now / 1000) - seconds) > toleranceSeconds) {
+    return { ok: false, error: 'Timestamp outside tolerance' };
+  }
+
+  const received = String(signature ?? '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.startsWith(`${SIGNATURE_VERSION}=`))
+    .map((entry) => entry.slice(SIGNATURE_VERSION.length + 1));
+  if (!received.length) return { ok: false, error: 'Missing signature' };
+
+  for (const candidate of secrets) {
+    const expected = computeSignature(candidate, seconds, body);
+    if (received.some((value) => safeEqualHex(value, expected))) return { ok: true };
+  }
+  return { ok: false, error: 'Signature mismatch' };
+}
@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractAccessoryMetadata,
+  normalizeCharacteristicType,
+  normalizeWatchListConfig,
+  setWatchListConfig,
+  shortUuid,
+} from '../src/accessory-metadata.js';
+import { decodeVendorValue, getVendorCharacteristic } from '../src/vendor-characteristics.js';
+
+const VENDOR_TYPE = '4AAAF940-0DEC-11E5-B939-0800200C9A66';
+
+const accessories = {
+  accessories: [{
+    aid: 1,
+    services: [
+      {
+        iid: 1,
+        type: '0000003E-0000-1000-8000-0026BB765291',
+        characteristics: [{ iid: 2, type: '00000023-0000-1000-8000-0026BB765291', value: 'Desk Fan' }],
+      },
+      {
+        iid: 10,
+        type: '000000B7-0000-1000-8000-0026BB765291',
+        characteristics: [
+          { iid: 11, type: '000000B0-0000-1000-8000-0026BB765291', description: 'Active' },
+          { iid: 12, type: '00000029-0000-1000-8000-0026BB765291', description: 'Rotation Speed' },
+          { iid: 13, type: VENDOR_TYPE.toLowerCase(), description: 'Vendor Power' },
+        ],
+      },
+    ],
+  }],
+};
+
+test('shortUuid only shortens HAP base UUIDs', () => {
+  assert.equal(shortUuid('00000025-0000-1000-8000-0026BB765291'), '25');
+  assert.equal(shortUuid('0000003e-0000-1000-8000-0026bb765291'), '3E');
+  assert.equal(shortUuid('b7'), 'B7');
+  assert.equal(shortUuid(VENDOR_TYPE.toLowerCase()), VENDOR_TYPE);
+  assert.equal(normalizeCharacteristicType(' 00000029-0000-1000-8000-0026BB765291 '), '29');
+  assert.equal(normalizeCharacteristicType('not a uuid'), null);
+});
+
+test('normalizeWatchListConfig drops malformed entries', () => {
+  assert.deepEqual(
+    normalizeWatchListConfig({
+      accessories: { 'AA:BB': { 29: true, D2: 'yes', bogus: false }, 'CC:DD': {} },
+      serviceTypes: { d0: { d2: true }, '??': { 25: true } },
+      names: { [VENDOR_TYPE.toLowerCase()]: '  Power ', 25: '' },
+    }),
+    {
+      accessories: { 'AA:BB': { 29: true } },
+      serviceTypes: { D0: { D2: true } },
+      names: { [VENDOR_TYPE]: 'Power' },
+    }
+  );
+});
+
+test('watch lists override the default characteristics per accessory and service type', () => {
+  try {
+    setWatchListConfig({});
+    let parsed = extractAccessoryMetadata({ deviceId: 'AA:BB', accessories });
+    assert.deepEqual([...parsed.iidMetaMap.keys()], ['1.11']);
+
+    assert.equal(setWatchListConfig({
+      serviceTypes: { B7: { 29: true } },
+      accessories: { 'AA:BB': { B0: false, [VENDOR_TYPE]: true } },
+      names: { [VENDOR_TYPE]: 'Power' },
+    }), true);
+    parsed = extractAccessoryMetadata({ deviceId: 'AA:BB', accessories });
+    assert.deepEqual(
+      [...parsed.iidMetaMap.values()].map((meta) => meta.characteristicName),
+      ['RotationSpeed', 'Power']
+    );
+
+    const fan = parsed.capabilitiesByAccessoryId.get('AA:BB').services[1];
+    assert.deepEqual(
+      fan.characteristics.map((c) => [c.type, c.label, c.watched, c.watch_source]),
+      [
+        ['B0', 'Active', false, 'accessory'],
+        ['29', 'RotationSpeed', true, 'service'],
+        [VENDOR_TYPE, 'Power', true, 'accessory'],
+      ]
+    );
+    assert.equal(fan.characteristics[2].custom_name, 'Power');
+    assert.deepEqual(parsed.capabilitiesByAccessoryId.get('AA:BB').watched_characteristics, ['RotationSpeed', 'Power']);
+
+    // Another accessory only gets the service-type entry.
+    parsed = extractAccessoryMetadata({ deviceId: 'EE:FF', accessories });
+    assert.deepEqual([...parsed.iidMetaMap.keys()], ['1.11', '1.12']);
+
+    assert.equal(setWatchListConfig({
+      serviceTypes: { B7: { 29: true } },
+      accessories: { 'AA:BB': { B0: false, [VENDOR_TYPE]: true } },
+      names: { [VENDOR_TYPE]: 'Power' },
+    }), false);
+  } finally {
+    setWatchListConfig({});
+  }
+});
+
+test('Eve power and energy characteristics are decoded with units and watched by default', () => {
+  const eve = (prefix) => `${prefix}-079e-48ff-8f27-9c2605a29f52`;
+  const parsed = extractAccessoryMetadata({
+    deviceId: 'EVE-1',
+    accessories: {
+      accessories: [{
+        aid: 1,
+        services: [{
+          iid: 20,
+          type: '00000047-0000-1000-8000-0026BB765291',
+          characteristics: [
+            { iid: 21, type: eve('E863F10D'), format: 'float' },
+            { iid: 22, type: eve('E863F10C'), format: 'float' },
+            { iid: 23, type: eve('E863F10A'), format: 'float' },
+          ],
+        }],
+      }],
+    },
+  });
+
+  assert.deepEqual([...parsed.iidMetaMap.keys()], ['1.21', '1.22']);
+  const power = parsed.iidMetaMap.get('1.21');
+  assert.equal(power.characteristicName, 'Power');
+  assert.equal(decodeVendorValue(power.decoder, 12.345678), '12.3');
+  assert.equal(decodeVendorValue(parsed.iidMetaMap.get('1.22').decoder, '1.23456'), '1.235');
+  assert.equal(decodeVendorValue(power.decoder, 'AQID'), null);
+
+  const outlet = parsed.capabilitiesByAccessoryId.get('EVE-1').services[0];
+  assert.deepEqual(
+    outlet.characteristics.map((c) => [c.label, c.unit, c.watched]),
+    [['Power', 'W', true], ['Energy', 'kWh', true], ['Voltage', 'V', false]]
+  );
+  assert.equal(getVendorCharacteristic(eve('e863f12e')).name, 'ValvePosition');
+});
@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { backtestRule, parseBacktestWindow } from '../src/alert-backtest.js';
+import { setHouseholdTimezone } from '../src/alert-schedule.js';
+
+const from = new Date('2026-03-01T00:00:00Z');
+const to = new Date('2026-03-02T00:00:00Z');
+
+function eventRow(id, minute, overrides = {}) {
+  return {
+    id,
+    timestamp: new Date(from.getTime() + minute * 60_000),
+    accessory_id: 'door-1',
+    accessory_name: 'Front Door',
+    room_name: 'Hall',
+    service_type: 'ContactSensor',
+    characteristic: 'ContactSensorState',
+    old_value: '0',
+    new_value: '1',
+    raw_iid: 10,
+    ...overrides,
+  };
+}
+
+function createMockPool(events, stateRows = []) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params = []) {
+      queries.push({ sql, params });
+      if (sql.includes('FROM event_logs e')) return { rows: events };
+      if (sql.includes('CROSS JOIN LATERAL')) return { rows: stateRows };
+      throw new Error(`Unexpected SQL: ${sql}`);
+    },
+  };
+}
+
+const doorRule = {
+  id: 1,
+  scope_type: 'accessory',
+  scope_value: 'Front Door',
+  characteristic: 'ContactSensorState',
+  operator: 'equals',
+  match_value: '1',
+  match_value_to: null,
+  condition_type: 'event',
+  for_minutes: null,
+  quiet_minutes: 10,
+  conditions: null,
+  schedule: null,
+};
+
+test('parseBacktestWindow accepts days or an ISO range up to 90 days', () => {
+  const now = new Date('2026-03-10T00:00:00Z');
+  assert.deepEqual(parseBacktestWindow({}, now).value, { from: new Date('2026-03-03T00:00:00Z'), to: now });
+  assert.equal(parseBacktestWindow({ days: '1' }, now).value.from.toISOString(), '2026-03-09T00:00:00.000Z');
+  assert.match(parseBacktestWindow({ days: 91 }, now).error, /between 1 and 90/);
+  assert.match(parseBacktestWindow({ from: 'yesterday' }, now).error, /ISO/);
+  assert.match(parseBacktestWindow({ from: '2026-03-05T00:00:00Z', to: '2026-03-04T00:00:00Z' }, now).error, /before/);
+  assert.match(parseBacktestWindow({ from: '2025-01-01T00:00:00Z' }, now).error, /90 days/);
+  // A range reaching into the future stops at now.
+  assert.equal(parseBacktestWindow({ from: '2026-03-09T00:00:00Z', to: '2026-03-11T00:00:00Z' }, now).value.to, now);
+});
+
+test('backtestRule counts firings and quiet-period suppressions', async () => {
+  const pool = createMockPool([
+    eventRow(1, 0),
+    eventRow(2, 5),
+    eventRow(3, 6, { new_value: '0' }),
+    eventRow(4, 11),
+    eventRow(5, 30, { accessory_name: 'Back Door', accessory_id: 'door-2' }),
+  ]);
+
+  const result = await backtestRule(pool, doorRule, { from, to });
+  assert.equal(result.eventsScanned, 5);
+  assert.equal(result.fired, 2);
+  assert.equal(result.suppressed, 1);
+  assert.deepEqual(result.firings.map((f) => [f.eventId, f.status]), [[1, 'fired'], [2, 'suppressed'], [4, 'fired']]);
+  assert.equal(result.buckets.length, 48);
+  assert.deepEqual(result.buckets[0], { start: from.toISOString(), fired: 2, suppressed: 1 });
+  // The scope is prefiltered in SQL.
+  assert.deepEqual(pool.queries[0].params.slice(2, 4), ['Front Door', 'ContactSensorState']);
+});
+
+test('backtestRule applies schedules and condition state as of each event', async () => {
+  const pool = createMockPool(
+    [
+      eventRow(1, 60),
+      eventRow(2, 120, { accessory_id: 'alarm', accessory_name: 'Alarm', characteristic: 'SecuritySystemCurrentState', new_value: '3' }),
+      eventRow(3, 180),
+      eventRow(4, 23 * 60),
+    ],
+    [{ ref_accessory: 'Alarm', ref_characteristic: 'SecuritySystemCurrentState', accessory_name: 'Alarm', new_value: '1', timestamp: '2026-02-28T20:00:00.000Z' }]
+  );
+  const rule = {
+    ...doorRule,
+    quiet_minutes: 0,
+    conditions: {
+      op: 'and',
+      conditions: [{ accessory: 'Alarm', characteristic: 'SecuritySystemCurrentState', operator: 'equals', value: '1', valueTo: null }],
+    },
+    schedule: { windows: [{ days: [0, 1, 2, 3, 4, 5, 6], start: '00:00', end: '22:00' }], overrides: [] },
+  };
+
+  setHouseholdTimezone('UTC');
+  const result = await backtestRule(pool, rule, { from, to });
+  // Armed by the seeded state at 01:00, disarmed by the alarm event at 02:00,
+  // and 23:00 is outside the window.
+  assert.deepEqual(result.firings.map((f) => f.eventId), [1]);
+  assert.equal(pool.queries[1].params[1], from.toISOString());
+});
+
+test('backtestRule simulates duration timers', async () => {
+  const pool = createMockPool([
+    eventRow(1, 0),
+    eventRow(2, 3),
+    eventRow(3, 20, { new_value: '0' }),
+    eventRow(4, 30),
+    eventRow(5, 32, { new_value: '0' }),
+  ]);
+  const rule = { ...doorRule, for_minutes: 10, quiet_minutes: 0 };
+
+  const result = await backtestRule(pool, rule, { from, to });
+  // Open at 00:00 and still open at 00:10 fires once; the 00:30 opening
+  // closes before its timer is due.
+  assert.equal(result.fired, 1);
+  assert.equal(result.firings[0].at, '2026-03-01T00:10:00.000Z');
+  assert.equal(result.firings[0].eventId, 1);
+  assert.equal(result.firings[0].condition, 'duration');
+});
@@ -0,0 +1,297 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import {
+  SECRET_PLACEHOLDER,
+  redactChannelConfig,
+  renderTemplate,
+  sendToChannel,
+  validateChannelConfig,
+} from '../src/alert-channels.js';
+import { decodePackets, publishMqtt } from '../src/mqtt-client.js';
+import { sendMail } from '../src/smtp-client.js';
+
+function samplePayload(overrides = {}) {
+  return {
+    type: 'homechronicle.alert',
+    firedAt: '2026-02-26T12:00:00.000Z',
+    condition: null,
+    rule: { id: 7, name: 'Front door "opened"' },
+    event: {
+      id: 100,
+      accessoryName: 'Front Door',
+      roomName: 'Hallway',
+      characteristic: 'ContactSensorState',
+      oldValue: '0',
+      newValue: '1',
+    },
+    ...overrides,
+  };
+}
+
+async function withFetch(t, handler) {
+  const originalFetch = global.fetch;
+  const calls = [];
+  global.fetch = async (url, init) => {
+    calls.push({ url, init });
+    return handler(url, init);
+  };
+  t.after(() => { global.fetch = originalFetch; });
+  return calls;
+}
+
+async function listen(server) {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return server.address().port;
+}
+
+test('renderTemplate substitutes payload paths and escapes for the body type', () => {
+  const payload = samplePayload();
+  assert.equal(renderTemplate('{{rule.name}} → {{event.newValue}}{{missing.path}}', payload), 'Front door "opened" → 1');
+  assert.equal(
+    renderTemplate('{"text":"{{message}}"}', payload, (value) => JSON.stringify(value).slice(1, -1)),
+    '{"text":"Front door \\"opened\\": Front Door (Hallway) ContactSensorState is 1"}'
+  );
+  assert.equal(JSON.parse(renderTemplate('{{json}}', payload)).rule.id, 7);
+  assert.equal(
+    renderTemplate('{{message}}', samplePayload({ condition: { type: 'absence', forMinutes: 60 } })),
+    'Front door "opened": no events from Front Door for 60 min'
+  );
+});
+
+test('validateChannelConfig normalizes configs and keeps secrets sent back redacted', () => {
+  assert.match(validateChannelConfig('pager', {}).error, /type must be one of/);
+  assert.match(validateChannelConfig('webhook', { url: 'ftp://x' }).error, /url must use http/);
+  assert.match(validateChannelConfig('webhook', { url: 'https://203.0.113.10', headers: { Host: 'x' } }).error, /cannot be overridden/);
+  assert.match(validateChannelConfig('ntfy', { topic: 'bad topic' }).error, /topic/);
+  assert.match(validateChannelConfig('smtp', { host: 'mail.example.com', from: 'a@example.com', to: 'nope' }).error, /Invalid email/);
+  assert.match(validateChannelConfig('mqtt', { url: 'mqtt://broker.example.com', topic: 'home/#' }).error, /wildcards/);
+
+  const smtp = validateChannelConfig('smtp', {
+    host: 'mail.example.com',
+    security: 'tls',
+    username: 'alerts',
+    password: 'hunter2',
+    from: 'alerts@example.com',
+    to: 'me@example.com, you@example.com',
+  });
+  assert.equal(smtp.value.port, 465);
+  assert.deepEqual(smtp.value.to, ['me@example.com', 'you@example.com']);
+
+  const redacted = redactChannelConfig('smtp', smtp.value);
+  assert.equal(redacted.password, SECRET_PLACEHOLDER);
+  const updated = validateChannelConfig('smtp', { ...redacted, port: 2465 }, smtp.value);
+  assert.equal(updated.value.password, 'hunter2');
+  assert.equal(updated.value.port, 2465);
+
+  const webhook = validateChannelConfig('webhook', {
+    url: 'https://203.0.113.10/hook',
+    headers: { 'X-Api-Key': 'abc', 'X-Source': 'homechronicle' },
+    auth: { type: 'bearer', token: 'tok' },
+  });
+  assert.deepEqual(redactChannelConfig('webhook', webhook.value).headers, {
+    'X-Api-Key': SECRET_PLACEHOLDER,
+    'X-Source': 'homechronicle',
+  });
+  assert.equal(redactChannelConfig('webhook', webhook.value).auth.token, SECRET_PLACEHOLDER);
+
+  const mqtt = validateChannelConfig('mqtt', { url: 'mqtts://broker.example.com' });
+  assert.equal(mqtt.value.url, 'mqtts://broker.example.com:8883');
+  assert.equal(mqtt.value.topic, 'homechronicle/alerts/{{rule.id}}');
+});
+
+test('webhook channels send custom headers, auth and a templated body', async (t) => {
+  const calls = await withFetch(t, async () => ({ ok: true, status: 202 }));
+  const config = validateChannelConfig('webhook', {
+    url: 'https://203.0.113.10/push',
+    method: 'PUT',
+    headers: { 'X-Source': 'homechronicle', Authorization: 'ignored' },
+    auth: { type: 'basic', username: 'user', password: 'pass' },
+    contentType: 'application/x-www-form-urlencoded',
+    bodyTemplate: 'title={{rule.name}}&message={{message}}',
+  }).value;
+
+  const result = await sendToChannel({ type: 'webhook', config }, samplePayload());
+  assert.deepEqual(result, { status: 'sent', responseCode: 202 });
+  assert.equal(calls[0].init.method, 'PUT');
+  assert.equal(calls[0].init.headers.authorization, `Basic ${Buffer.from('user:pass').toString('base64')}`);
+  assert.equal(calls[0].init.headers.Authorization, undefined);
+  assert.equal(calls[0].init.headers['X-Source'], 'homechronicle');
+  const form = new URLSearchParams(calls[0].init.body);
+  assert.equal(form.get('title'), 'Front door "opened"');
+  assert.match(form.get('message'), /Front Door \(Hallway\)/);
+});
+
+test('ntfy channels publish JSON to the server root', async (t) => {
+  const calls = await withFetch(t, async () => ({ ok: true, status: 200 }));
+  const config = validateChannelConfig('ntfy', {
+    serverUrl: 'https://203.0.113.20/',
+    topic: 'house-alerts',
+    token: 'tk_secret',
+    priority: 5,
+    tags: 'door, warning',
+  }).value;
+
+  const result = await sendToChannel({ type: 'ntfy', config }, samplePayload());
+  assert.equal(result.status, 'sent');
+  assert.equal(calls[0].url, 'https://203.0.113.20/');
+  assert.equal(calls[0].init.headers.authorization, 'Bearer tk_secret');
+  assert.deepEqual(JSON.parse(calls[0].init.body), {
+    topic: 'house-alerts',
+    title: 'Front door "opened"',
+    message: 'Front door "opened": Front Door (Hallway) ContactSensorState is 1',
+    priority: 5,
+    tags: ['door', 'warning'],
+  });
+});
+
+test('channels refuse loopback SMTP hosts and MQTT brokers', async () => {
+  const smtp = await sendToChannel({
+    type: 'smtp',
+    config: { host: '127.0.0.1', port: 25, security: 'none', from: 'a@example.com', to: ['b@example.com'] },
+  }, samplePayload());
+  assert.equal(smtp.status, 'failed');
+  assert.match(smtp.error, /Blocked SMTP host/);
+
+  const mqtt = await sendToChannel({ type: 'mqtt', config: { url: 'mqtt://127.0.0.1:1883', topic: 'x' } }, samplePayload());
+  assert.match(mqtt.error, /Blocked MQTT broker/);
+});
+
+test('sendMail delivers through a stand-in SMTP server with AUTH PLAIN', async (t) => {
+  const transcript = [];
+  let message = '';
+  const server = net.createServer((socket) => {
+    let inData = false;
+    let buffer = '';
+    socket.write('220 stand-in ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 2.0.0 queued\r\n');
+          } else {
+            message += `${line}\n`;
+          }
+          continue;
+        }
+        transcript.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-stand-in\r\n250-AUTH LOGIN PLAIN\r\n250 8BITMIME\r\n');
+        else if (line.startsWith('AUTH PLAIN')) socket.write('235 2.7.0 ok\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  const port = await listen(server);
+  t.after(() => server.close());
+
+  const result = await sendMail({
+    host: '127.0.0.1',
+    port,
+    security: 'none',
+    username: 'alerts',
+    password: 'hunter2',
+    from: 'alerts@example.com',
+    to: ['me@example.com', 'you@example.com'],
+    subject: 'Tür offen',
+    text: 'Front door opened\n.hidden line',
+    timeoutMs: 2000,
+  });
+
+  assert.equal(result.responseCode, 250);
+  assert.deepEqual(transcript.filter((line) => /^(MAIL|RCPT)/.test(line)), [
+    'MAIL FROM:<alerts@example.com>',
+    'RCPT TO:<me@example.com>',
+    'RCPT TO:<you@example.com>',
+  ]);
+  const auth = transcript.find((line) => line.startsWith('AUTH PLAIN')).slice('AUTH PLAIN '.length);
+  assert.equal(Buffer.from(auth, 'base64').toString('utf8'), '\u0000alerts\u0000hunter2');
+  assert.match(message, /^Subject: =\?UTF-8\?B\?/m);
+  const body = message.split('\n\n').slice(1).join('').replace(/\n/g, '');
+  assert.equal(Buffer.from(body, 'base64').toString('utf8'), 'Front door opened\n.hidden line');
+});
+
+test('sendMail surfaces SMTP rejections with their reply code', async (t) => {
+  const server = net.createServer((socket) => {
+    socket.write('220 stand-in\r\n');
+    socket.on('data', (chunk) => {
+      const line = chunk.toString('utf8').trim();
+      if (line.startsWith('EHLO')) socket.write('250 stand-in\r\n');
+      else if (line.startsWith('MAIL')) socket.write('550 5.7.1 relaying denied\r\n');
+      else socket.write('250 ok\r\n');
+    });
+  });
+  const port = await listen(server);
+  t.after(() => server.close());
+
+  await assert.rejects(
+    sendMail({ host: '127.0.0.1', port, security: 'none', from: 'a@example.com', to: ['b@example.com'], subject: 'x', text: 'y', timeoutMs: 2000 }),
+    (err) => err.code === 550 && /MAIL FROM rejected: 550 5.7.1 relaying denied/.test(err.message)
+  );
+});
+
+test('publishMqtt connects, publishes at QoS 1 and waits for PUBACK', async (t) => {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      const decoded = decodePackets(Buffer.concat([pending, chunk]));
+      pending = decoded.rest;
+      for (const packet of decoded.packets) {
+        received.push(packet);
+        if (packet.type === 1) socket.write(Buffer.from([0x20, 0x02, 0x00, 0x00]));
+        if (packet.type === 3) {
+          const packetIdOffset = 2 + packet.body.readUInt16BE(0);
+          socket.write(Buffer.concat([Buffer.from([0x40, 0x02]), packet.body.subarray(packetIdOffset, packetIdOffset + 2)]));
+        }
+      }
+    });
+  });
+  const port = await listen(server);
+  t.after(() => server.close());
+
+  await publishMqtt({
+    host: '127.0.0.1',
+    port,
+    username: 'hc',
+    password: 'secret',
+    clientId: 'hc-test',
+    topic: 'homechronicle/alerts/7',
+    payload: '{"ok":true}',
+    qos: 1,
+    retain: true,
+    timeoutMs: 2000,
+  });
+
+  const connect = received.find((packet) => packet.type === 1);
+  assert.equal(connect.body.subarray(2, 6).toString(), 'MQTT');
+  assert.equal(connect.body[7] & 0xc0, 0xc0);
+  assert.ok(connect.body.includes(Buffer.from('secret')));
+
+  const publish = received.find((packet) => packet.type === 3);
+  assert.equal(publish.flags, 0b0011);
+  const topicLength = publish.body.readUInt16BE(0);
+  assert.equal(publish.body.subarray(2, 2 + topicLength).toString(), 'homechronicle/alerts/7');
+  assert.equal(publish.body.subarray(4 + topicLength).toString(), '{"ok":true}');
+});
+
+test('publishMqtt reports a refused connection', async (t) => {
+  const server = net.createServer((socket) => {
+    socket.once('data', () => socket.write(Buffer.from([0x20, 0x02, 0x00, 0x05])));
+  });
+  const port = await listen(server);
+  t.after(() => server.close());
+
+  await assert.rejects(
+    publishMqtt({ host: '127.0.0.1', port, topic: 't', payload: 'x', timeoutMs: 2000 }),
+    /MQTT connection refused: not authorized/
+  );
+});
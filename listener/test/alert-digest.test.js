@@ -0,0 +1,131 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDigestPayload, digestCutoffs, sendDueDigests, timelineUrl } from '../src/alert-digest.js';
+import { processAlertsForEvent } from '../src/alerts.js';
+
+const lightsRule = {
+  id: 4,
+  name: 'Lights while away',
+  scope_type: 'room',
+  scope_value: 'Hall',
+  characteristic: 'On',
+  operator: 'equals',
+  match_value: 'true',
+  target_url: 'https://203.0.113.10/hook',
+  channel_ids: [],
+  quiet_minutes: 30,
+  delivery_mode: 'hourly',
+};
+
+function batchedRow(id, minute, overrides = {}) {
+  const at = new Date(Date.UTC(2026, 2, 1, 13, minute));
+  return {
+    id,
+    rule_id: 4,
+    event_id: 100 + id,
+    sent_at: at,
+    delivery_mode: 'hourly',
+    payload: {
+      event: {
+        id: 100 + id,
+        timestamp: at.toISOString(),
+        accessoryId: 'light-1',
+        accessoryName: 'Hall Light',
+        roomName: 'Hall',
+        characteristic: 'On',
+        newValue: 'true',
+      },
+      condition: null,
+    },
+    ...overrides,
+  };
+}
+
+test('digestCutoffs gives the current hour and the last daily send time in the household timezone', () => {
+  const now = new Date('2026-03-01T07:20:00Z');
+  assert.deepEqual(digestCutoffs(now, { digestHour: 8, timeZone: 'UTC' }), {
+    hourly: new Date('2026-03-01T07:00:00Z'),
+    daily: new Date('2026-02-28T08:00:00Z'),
+  });
+  // 12:50 in Kolkata (UTC+5:30): the local hour started at 06:30 UTC and 08:00 was 02:30 UTC.
+  assert.deepEqual(digestCutoffs(now, { digestHour: 8, timeZone: 'Asia/Kolkata' }), {
+    hourly: new Date('2026-03-01T06:30:00Z'),
+    daily: new Date('2026-03-01T02:30:00Z'),
+  });
+});
+
+test('buildDigestPayload lists matches with a count and Timeline links', () => {
+  const matches = Array.from({ length: 22 }, (_, index) => batchedRow(index + 1, index));
+  const payload = buildDigestPayload(lightsRule, matches, {
+    mode: 'hourly',
+    to: new Date('2026-03-01T14:00:00Z'),
+    baseUrl: 'https://home.example',
+    timeZone: 'UTC',
+  });
+
+  assert.equal(payload.type, 'homechronicle.digest');
+  assert.equal(payload.rule.deliveryMode, 'hourly');
+  assert.equal(payload.digest.count, 22);
+  assert.equal(payload.digest.from, '2026-03-01T13:00:00.000Z');
+  assert.equal(payload.digest.events[0].id, 101);
+  assert.equal(
+    payload.digest.timelineUrl,
+    'https://home.example/?tab=timeline&room=Hall&characteristic=On&from=2026-03-01T13%3A00%3A00.000Z&to=2026-03-01T14%3A00%3A00.000Z'
+  );
+  assert.match(payload.digest.events[0].timelineUrl, /accessory=Hall\+Light&from=2026-03-01T12%3A55/);
+
+  const lines = payload.digest.text.split('\n');
+  assert.equal(lines[0], 'Lights while away: 22 matches in the last hour');
+  assert.equal(lines[1], '• 13:00 Hall Light (Hall) On is true');
+  assert.equal(lines[21], '…and 2 more');
+  assert.match(lines[22], /^Timeline: https:\/\/home\.example\//);
+
+  assert.equal(timelineUrl({ room: 'Hall' }, null), null);
+});
+
+test('processAlertsForEvent batches matches of digest rules without the quiet period', async () => {
+  const deliveries = [];
+  const pool = {
+    async query(sql, params = []) {
+      if (sql.includes('FROM alert_rules')) return { rows: [lightsRule] };
+      if (sql.startsWith('INSERT INTO alert_deliveries')) {
+        deliveries.push({ status: params[2], payload: JSON.parse(params[8]) });
+        return { rowCount: 1 };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    },
+  };
+  const event = { eventId: 1, roomName: 'Hall', accessoryName: 'Hall Light', characteristic: 'On', newValue: 'true' };
+
+  await processAlertsForEvent(pool, event);
+  await processAlertsForEvent(pool, { ...event, eventId: 2 });
+  assert.deepEqual(deliveries.map((delivery) => delivery.status), ['batched', 'batched']);
+  assert.equal(deliveries[1].payload.event.id, 2);
+});
+
+test('sendDueDigests queues one digest per rule from the claimed matches', async () => {
+  const queries = [];
+  const queued = [];
+  const pool = {
+    async query(sql, params = []) {
+      queries.push({ sql, params });
+      if (sql.includes("SET status = 'digested'")) return { rows: [batchedRow(2, 30), batchedRow(1, 10)] };
+      if (sql.includes('FROM alert_rules')) return { rows: [lightsRule] };
+      if (sql.startsWith('INSERT INTO alert_deliveries')) {
+        queued.push({ ruleId: params[0], eventId: params[1], status: params[2], payload: JSON.parse(params[8]) });
+        return { rowCount: 1 };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    },
+  };
+
+  const sent = await sendDueDigests(pool, { now: new Date('2026-03-01T14:00:30Z'), timeZone: 'UTC' });
+  assert.equal(sent, 1);
+  assert.deepEqual(queries[0].params, ['2026-03-01T14:00:00.000Z', '2026-03-01T08:00:00.000Z']);
+  assert.equal(queued.length, 1);
+  assert.deepEqual([queued[0].ruleId, queued[0].eventId, queued[0].status], [4, null, 'pending']);
+  assert.equal(queued[0].payload.digest.count, 2);
+  // Oldest first.
+  assert.deepEqual(queued[0].payload.digest.events.map((event) => event.id), [101, 102]);
+  assert.equal(queued[0].payload.digest.to, '2026-03-01T14:00:00.000Z');
+});
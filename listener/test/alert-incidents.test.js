@@ -0,0 +1,153 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  autoResolveIncidents,
+  buildIncidentLinks,
+  incidentReverted,
+  verifyIncidentLink,
+} from '../src/alert-incidents.js';
+import { createAlertScheduler } from '../src/alert-scheduler.js';
+
+const incident = { id: 7, action_secret: 'incident-secret' };
+
+function linkQuery(url) {
+  return Object.fromEntries(new URL(url).searchParams);
+}
+
+test('buildIncidentLinks signs acknowledge and resolve links that verifyIncidentLink accepts', () => {
+  const now = Date.parse('2026-03-01T00:00:00Z');
+  assert.equal(buildIncidentLinks(incident, { baseUrl: null }), null);
+
+  const links = buildIncidentLinks(incident, { baseUrl: 'https://home.example', now });
+  assert.match(links.acknowledge, /^https:\/\/home\.example\/api\/alerts\/incidents\/7\/link\?action=acknowledge&/);
+
+  const query = linkQuery(links.resolve);
+  assert.deepEqual(verifyIncidentLink(incident, query, now), { ok: true, action: 'resolve' });
+  // The signature covers the action, the expiry and the incident.
+  assert.equal(verifyIncidentLink(incident, { ...query, action: 'acknowledge' }, now).ok, false);
+  assert.equal(verifyIncidentLink(incident, { ...query, expires: String(Number(query.expires) + 60) }, now).ok, false);
+  assert.equal(verifyIncidentLink({ ...incident, id: 8 }, query, now).ok, false);
+  assert.equal(verifyIncidentLink({ ...incident, action_secret: 'other' }, query, now).ok, false);
+  assert.match(verifyIncidentLink(incident, query, now + 8 * 24 * 60 * 60 * 1000).error, /expired/);
+});
+
+test('incidentReverted checks the same accessory and characteristic against the rule', () => {
+  const open = {
+    accessory_id: 'door-1',
+    characteristic: 'ContactSensorState',
+    condition_type: 'event',
+    operator: 'equals',
+    match_value: '1',
+    match_value_to: null,
+  };
+  const event = { accessoryId: 'door-1', characteristic: 'ContactSensorState', oldValue: '1', newValue: '0' };
+
+  assert.equal(incidentReverted(open, event), true);
+  assert.equal(incidentReverted(open, { ...event, newValue: '1' }), false);
+  assert.equal(incidentReverted(open, { ...event, accessoryId: 'door-2' }), false);
+  assert.equal(incidentReverted(open, { ...event, characteristic: 'BatteryLevel' }), false);
+  // Any report from a silent accessory ends an absence incident.
+  assert.equal(incidentReverted({ ...open, condition_type: 'absence', characteristic: '' }, { ...event, characteristic: 'BatteryLevel' }), true);
+});
+
+test('autoResolveIncidents resolves reverted incidents of auto-resolving rules', async () => {
+  const updates = [];
+  const pool = {
+    async query(sql, params = []) {
+      if (sql.includes('FROM alert_incidents i')) {
+        assert.match(sql, /auto_resolve = TRUE/);
+        return {
+          rows: [
+            { id: 1, accessory_id: 'leak-1', characteristic: 'LeakDetected', condition_type: 'event', operator: 'equals', match_value: '1' },
+            { id: 2, accessory_id: 'leak-1', characteristic: 'BatteryLevel', condition_type: 'event', operator: 'less_than', match_value: '20' },
+          ],
+        };
+      }
+      if (sql.startsWith('UPDATE alert_incidents')) {
+        updates.push(params);
+        return { rows: [{ id: params[0], status: 'resolved' }] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    },
+  };
+
+  const resolved = await autoResolveIncidents(pool, { accessoryId: 'leak-1', characteristic: 'LeakDetected', newValue: '0' });
+  assert.equal(resolved, 1);
+  assert.deepEqual(updates, [[1, null, 'auto']]);
+});
+
+test('the scheduler tick escalates unacknowledged incidents once to the escalation destination', async () => {
+  const deliveries = [];
+  let claimed = false;
+  const pool = {
+    async query(sql, params = []) {
+      if (sql.includes('UPDATE alert_incidents i')) {
+        if (claimed) return { rows: [] };
+        claimed = true;
+        return {
+          rows: [{
+            id: 5,
+            rule_id: 3,
+            event_id: 40,
+            opened_at: '2026-03-01T10:00:00.000Z',
+            fire_count: 2,
+            payload: { rule: { id: 3, name: 'Leak' }, event: { id: 40 } },
+            action_secret: 'secret',
+          }],
+        };
+      }
+      if (sql.includes('FROM alert_rules r WHERE r.id = $1')) {
+        return {
+          rows: [{
+            id: 3,
+            name: 'Leak',
+            escalate_after_minutes: 15,
+            escalation_target_url: 'https://203.0.113.10/escalate',
+            escalation_channel_ids: [],
+          }],
+        };
+      }
+      if (sql.includes('INSERT INTO alert_deliveries')) {
+        deliveries.push(params);
+        return { rows: [], rowCount: 1 };
+      }
+      return { rows: [], rowCount: 0 };
+    },
+  };
+  const scheduler = createAlertScheduler({ pool });
+
+  await scheduler.tick();
+  await scheduler.tick();
+  assert.equal(deliveries.length, 1);
+  const [ruleId, eventId, status, targetUrl] = deliveries[0];
+  assert.deepEqual([ruleId, eventId, status, targetUrl], [3, 40, 'pending', 'https://203.0.113.10/escalate']);
+  const payload = JSON.parse(deliveries[0][8]);
+  assert.equal(payload.escalation.afterMinutes, 15);
+  assert.equal(payload.escalation.fireCount, 2);
+  assert.equal(payload.incident.id, 5);
+  assert.equal(deliveries[0][10], 5);
+});
+
+test('incidentReverted judges field rules by the event field', () => {
+  const open = {
+    accessory_id: 'lock-1',
+    characteristic: 'LockOperation',
+    rule_characteristic: 'LockOperation.operationSource',
+    condition_type: 'event',
+    operator: 'equals',
+    match_value: 'keypad',
+    match_value_to: null,
+  };
+  const event = {
+    accessoryId: 'lock-1',
+    characteristic: 'LockOperation',
+    oldValue: null,
+    newValue: 'unlock',
+    eventData: { operationSource: 'keypad' },
+  };
+
+  // Another keypad unlock keeps the incident open; a manual one reverts it.
+  assert.equal(incidentReverted(open, event), false);
+  assert.equal(incidentReverted(open, { ...event, eventData: { operationSource: 'manual' } }), true);
+  assert.equal(incidentReverted(open, { ...event, eventData: null }), false);
+});
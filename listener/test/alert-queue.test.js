@@ -0,0 +1,178 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeBackoffMs, createAlertDeliveryQueue } from '../src/alert-queue.js';
+import { verifyWebhookSignature } from '../src/webhook-signature.js';
+
+function makePayload(targetUrl) {
+  return {
+    type: 'homechronicle.alert',
+    firedAt: '2026-02-26T12:00:00.000Z',
+    condition: null,
+    rule: { id: 1, name: 'Motion detected', targetUrl },
+    event: { id: 100, accessoryName: 'Hallway Motion', characteristic: 'MotionDetected', newValue: 'true' },
+  };
+}
+
+/** In-memory alert_deliveries that understands the queue's statements. */
+function createQueuePool(rows, rule = {}) {
+  const deliveries = rows.map((row, index) => ({
+    id: index + 1,
+    rule_id: 1,
+    status: 'pending',
+    channel_id: null,
+    channel_type: 'webhook',
+    response_code: null,
+    error: null,
+    attempts: 0,
+    next_attempt_at: 0,
+    idempotency_key: `key-${index + 1}`,
+    ...row,
+  }));
+  const find = (id) => deliveries.find((delivery) => delivery.id === id);
+
+  return {
+    deliveries,
+    async query(sql, params = []) {
+      if (sql.includes('SET attempts = d.attempts + 1')) {
+        const claimed = deliveries
+          .filter((d) => d.status === 'pending' && d.next_attempt_at <= Date.now())
+          .slice(0, params[0]);
+        for (const d of claimed) {
+          d.attempts += 1;
+          d.next_attempt_at = Date.now() + params[1];
+        }
+        return { rows: claimed.map((d) => ({ ...d })) };
+      }
+      if (sql.includes("SET status = 'sent'")) {
+        Object.assign(find(params[0]), { status: 'sent', response_code: params[1], error: null, next_attempt_at: null });
+        return { rowCount: 1 };
+      }
+      if (sql.includes("SET status = 'pending', response_code")) {
+        Object.assign(find(params[0]), {
+          response_code: params[1],
+          error: params[2],
+          next_attempt_at: Date.now() + params[3],
+          backoffMs: params[3],
+        });
+        return { rowCount: 1 };
+      }
+      if (sql.includes("SET status = 'dead'")) {
+        Object.assign(find(params[0]), { status: 'dead', response_code: params[1], error: params[2], next_attempt_at: null });
+        return { rowCount: 1 };
+      }
+      if (sql.includes("SET status = 'pending', attempts = 0")) {
+        const d = find(params[0]);
+        if (!d || !['dead', 'failed'].includes(d.status) || !d.payload) return { rows: [], rowCount: 0 };
+        Object.assign(d, { status: 'pending', attempts: 0, next_attempt_at: 0, error: null, response_code: null });
+        return { rows: [{ id: d.id }], rowCount: 1 };
+      }
+      if (sql.includes('FROM alert_channels')) return { rows: [] };
+      if (sql.includes('FROM alert_rules')) return { rows: [{ signing_secret: null, ...rule }] };
+      throw new Error(`Unexpected SQL: ${sql}`);
+    },
+  };
+}
+
+function mockFetch(t, respond) {
+  const originalFetch = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, init });
+    return respond(calls.length);
+  };
+  t.after(() => { globalThis.fetch = originalFetch; });
+  return calls;
+}
+
+test('computeBackoffMs doubles per attempt up to the cap', () => {
+  const options = { baseMs: 1_000, maxMs: 10_000 };
+  assert.equal(computeBackoffMs(1, options), 1_000);
+  assert.equal(computeBackoffMs(2, options), 2_000);
+  assert.equal(computeBackoffMs(4, options), 8_000);
+  assert.equal(computeBackoffMs(5, options), 10_000);
+  assert.equal(computeBackoffMs(60, options), 10_000);
+});
+
+test('queued deliveries are sent with their idempotency key', async (t) => {
+  const url = 'https://203.0.113.10/hook';
+  const calls = mockFetch(t, () => ({ ok: true, status: 200 }));
+  const pool = createQueuePool([{ target_url: url, payload: makePayload(url) }]);
+  const queue = createAlertDeliveryQueue({ pool });
+
+  assert.equal(await queue.tick(), 1);
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].init.headers['idempotency-key'], 'key-1');
+  assert.equal(JSON.parse(calls[0].init.body).rule.name, 'Motion detected');
+  assert.equal(pool.deliveries[0].status, 'sent');
+  assert.equal(pool.deliveries[0].response_code, 200);
+  assert.equal(await queue.tick(), 0);
+});
+
+test('non-2xx responses are retried with backoff, then dead-lettered and replayable', async (t) => {
+  const url = 'https://203.0.113.10/hook';
+  const calls = mockFetch(t, () => ({ ok: false, status: 500, text: async () => 'upstream failed' }));
+  const pool = createQueuePool([{ target_url: url, payload: makePayload(url) }]);
+  const queue = createAlertDeliveryQueue({ pool, maxAttempts: 2, backoffBaseMs: 1_000, backoffMaxMs: 5_000 });
+  const delivery = pool.deliveries[0];
+
+  await queue.tick();
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.response_code, 500);
+  assert.equal(delivery.error, 'upstream failed');
+  assert.equal(delivery.backoffMs, 1_000);
+  // Not due yet.
+  assert.equal(await queue.tick(), 0);
+
+  delivery.next_attempt_at = 0;
+  await queue.tick();
+  assert.equal(delivery.status, 'dead');
+  assert.equal(delivery.attempts, 2);
+  assert.equal(calls.length, 2);
+
+  assert.deepEqual(await queue.replay(delivery.id), { id: 1 });
+  await queue.tick();
+  assert.equal(calls.length, 3);
+  assert.equal(calls[2].init.headers['idempotency-key'], 'key-1');
+  assert.equal(await queue.replay(999), null);
+});
+
+test('blocked targets and deleted channels are dead-lettered without retrying', async (t) => {
+  const loopback = 'http://127.0.0.1:8080/hook';
+  const calls = mockFetch(t, () => ({ ok: true, status: 200 }));
+  const pool = createQueuePool([
+    { target_url: loopback, payload: makePayload(loopback) },
+    { channel_id: 42, channel_type: 'ntfy', target_url: 'https://ntfy.sh/alerts', payload: makePayload(null) },
+  ]);
+  const queue = createAlertDeliveryQueue({ pool, maxAttempts: 5 });
+
+  await queue.tick();
+  assert.equal(calls.length, 0);
+  assert.equal(pool.deliveries[0].status, 'dead');
+  assert.equal(pool.deliveries[0].attempts, 1);
+  assert.match(pool.deliveries[0].error, /blocked webhook target/i);
+  assert.equal(pool.deliveries[1].status, 'dead');
+  assert.equal(pool.deliveries[1].error, 'Channel no longer exists');
+});
+
+test('webhooks of signing rules carry signatures for every valid secret', async (t) => {
+  const url = 'https://203.0.113.10/hook';
+  const calls = mockFetch(t, () => ({ ok: true, status: 200 }));
+  const pool = createQueuePool([{ target_url: url, payload: makePayload(url) }], {
+    signing_secret: 'hcsec_new',
+    signing_secret_previous: 'hcsec_old',
+    signing_secret_rotated_at: new Date(),
+  });
+  await createAlertDeliveryQueue({ pool }).tick();
+
+  const { headers, body } = calls[0].init;
+  const received = {
+    body,
+    timestamp: headers['x-homechronicle-timestamp'],
+    signature: headers['x-homechronicle-signature'],
+  };
+  assert.match(received.signature, /^v1=[0-9a-f]{64}, v1=[0-9a-f]{64}$/);
+  assert.deepEqual(verifyWebhookSignature({ ...received, secret: 'hcsec_new' }), { ok: true });
+  assert.deepEqual(verifyWebhookSignature({ ...received, secret: 'hcsec_old' }), { ok: true });
+  assert.equal(verifyWebhookSignature({ ...received, secret: 'hcsec_other' }).error, 'Signature mismatch');
+});
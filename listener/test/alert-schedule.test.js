@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isScheduleActive,
+  isValidTimezone,
+  nextScheduleChange,
+  validateSchedule,
+} from '../src/alert-schedule.js';
+import { processAlertsForEvent } from '../src/alerts.js';
+
+const TZ = 'Europe/Berlin';
+const weeknights = { days: [1, 2, 3, 4, 5], start: '22:00', end: '06:30' };
+
+test('validateSchedule checks windows and override periods', () => {
+  assert.deepEqual(validateSchedule(null), { value: null });
+  assert.deepEqual(validateSchedule({ windows: [], overrides: [] }), { value: null });
+  assert.deepEqual(validateSchedule({ windows: [{ ...weeknights, days: [5, 1, 1] }] }).value.windows[0].days, [1, 5]);
+  assert.deepEqual(validateSchedule({ overrides: [{ from: '2026-12-24' }] }).value.overrides, [
+    { from: '2026-12-24', to: '2026-12-24', mode: 'disarmed', label: null },
+  ]);
+
+  assert.match(validateSchedule({ windows: [{ days: [7], start: '22:00', end: '06:00' }] }).error, /weekdays/);
+  assert.match(validateSchedule({ windows: [{ days: [1], start: '9:00', end: '10:00' }] }).error, /HH:MM/);
+  assert.match(validateSchedule({ overrides: [{ from: '2026-02-30' }] }).error, /YYYY-MM-DD/);
+  assert.match(validateSchedule({ overrides: [{ from: '2026-03-02', to: '2026-03-01' }] }).error, /before from/);
+  assert.match(validateSchedule({ overrides: [{ from: '2026-03-01', mode: 'maybe' }] }).error, /armed or disarmed/);
+  assert.equal(isValidTimezone('Europe/Berlin'), true);
+  assert.equal(isValidTimezone('Mars/Olympus'), false);
+});
+
+test('windows cross midnight in the household timezone', () => {
+  const schedule = validateSchedule({ windows: [weeknights] }).value;
+  // Monday 23:30 and Tuesday 06:00 in Berlin (CEST, UTC+2).
+  assert.equal(isScheduleActive(schedule, new Date('2026-10-19T21:30:00Z'), TZ), true);
+  assert.equal(isScheduleActive(schedule, new Date('2026-10-20T04:00:00Z'), TZ), true);
+  assert.equal(isScheduleActive(schedule, new Date('2026-10-20T04:30:00Z'), TZ), false);
+  // Saturday 01:00 still belongs to Friday night; Sunday 01:00 does not.
+  assert.equal(isScheduleActive(schedule, new Date('2026-10-23T23:00:00Z'), TZ), true);
+  assert.equal(isScheduleActive(schedule, new Date('2026-10-24T23:00:00Z'), TZ), false);
+  // Same instant, different household: 21:30 UTC is before 22:00 in London (BST).
+  assert.equal(isScheduleActive(schedule, new Date('2026-10-19T20:30:00Z'), 'Europe/London'), false);
+});
+
+test('overrides win over windows and nextScheduleChange finds the next flip', () => {
+  const schedule = validateSchedule({
+    windows: [weeknights],
+    overrides: [{ from: '2026-10-27', to: '2026-10-28', mode: 'disarmed', label: 'Guests' }],
+  }).value;
+
+  assert.deepEqual(nextScheduleChange(schedule, new Date('2026-10-19T21:30:00Z'), TZ), {
+    armed: false,
+    at: '2026-10-20T04:30:00.000Z',
+  });
+  // Saturday → Monday 22:00, after the switch to CET (UTC+1).
+  assert.deepEqual(nextScheduleChange(schedule, new Date('2026-10-24T10:00:00Z'), TZ), {
+    armed: true,
+    at: '2026-10-26T21:00:00.000Z',
+  });
+  // Monday night runs into the override, which disarms at local midnight.
+  assert.equal(isScheduleActive(schedule, new Date('2026-10-27T21:30:00Z'), TZ), false);
+  assert.deepEqual(nextScheduleChange(schedule, new Date('2026-10-26T21:30:00Z'), TZ), {
+    armed: false,
+    at: '2026-10-26T23:00:00.000Z',
+  });
+  assert.equal(nextScheduleChange(null, new Date(), TZ), null);
+});
+
+test('processAlertsForEvent skips rules outside their schedule', async () => {
+  const deliveries = [];
+  const neverArmed = { windows: [], overrides: [{ from: '2000-01-01', to: '2999-12-31', mode: 'disarmed' }] };
+  const pool = {
+    async query(sql, params = []) {
+      if (sql.includes('FROM alert_rules')) {
+        return {
+          rows: [1, 2].map((id) => ({
+            id,
+            name: `Rule ${id}`,
+            scope_type: 'all',
+            operator: 'equals',
+            match_value: 'true',
+            target_url: 'https://203.0.113.10/hook',
+            quiet_minutes: 0,
+            schedule: id === 1 ? neverArmed : null,
+          })),
+        };
+      }
+      if (sql.includes('status IN (\'sent\', \'pending\')')) return { rows: [] };
+      if (sql.startsWith('INSERT INTO alert_incidents')) return { rows: [{ id: 1, status: 'open', opened_at: '2026-01-01T00:00:00.000Z', action_secret: 'secret', created: true }] };
+      if (sql.startsWith('INSERT INTO alert_deliveries')) {
+        deliveries.push(params[0]);
+        return { rowCount: 1 };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    },
+  };
+
+  await processAlertsForEvent(pool, { eventId: 1, characteristic: 'MotionDetected', newValue: 'true' });
+  assert.deepEqual(deliveries, [2]);
+});
@@ -0,0 +1,218 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createAlertScheduler, timerActionForEvent } from '../src/alert-scheduler.js';
+import { autoResolveIncidents } from '../src/alert-incidents.js';
+
+const durationRule = {
+  id: 1,
+  name: 'Garage left open',
+  enabled: true,
+  scope_type: 'accessory',
+  scope_value: 'Garage Door',
+  characteristic: 'Current Door State',
+  operator: 'equals',
+  match_value: '0',
+  match_value_to: null,
+  target_url: 'https://203.0.113.10/hook',
+  quiet_minutes: 0,
+  condition_type: 'event',
+  for_minutes: 20,
+};
+
+const absenceRule = {
+  ...durationRule,
+  id: 2,
+  name: 'Leak sensor silent',
+  scope_value: 'Leak Sensor',
+  characteristic: '',
+  operator: 'equals',
+  match_value: '',
+  condition_type: 'absence',
+  for_minutes: 360,
+};
+
+function eventRow(overrides = {}) {
+  return {
+    id: 10,
+    timestamp: new Date('2026-01-01T10:00:00Z'),
+    accessory_id: 'AA:BB',
+    accessory_name: 'Garage Door',
+    room_name: 'Garage',
+    service_type: 'Garage Door Opener',
+    characteristic: 'Current Door State',
+    old_value: '1',
+    new_value: '0',
+    raw_iid: 11,
+    ...overrides,
+  };
+}
+
+function createTimerPool(rules) {
+  const timers = new Map();
+  const calls = [];
+  const pool = {
+    timers,
+    calls,
+    async query(sql, params = []) {
+      calls.push(sql);
+      if (sql.includes('FROM alert_rules r') && sql.includes('WHERE r.enabled')) {
+        return { rows: rules };
+      }
+      if (sql.includes('INSERT INTO alert_timers')) {
+        const key = `${params[0]}|${params[1]}|${params[2]}`;
+        const existing = timers.get(key);
+        if (existing && sql.includes('DO NOTHING')) return { rows: [], rowCount: 0 };
+        timers.set(key, {
+          id: existing?.id ?? timers.size + 1,
+          ruleId: params[0],
+          startedAt: params[3],
+          firedAt: null,
+        });
+        return { rows: [], rowCount: 1 };
+      }
+      if (sql.includes('DELETE FROM alert_timers')) {
+        const key = `${params[0]}|${params[1]}|${params[2]}`;
+        return { rows: [], rowCount: timers.delete(key) ? 1 : 0 };
+      }
+      if (sql.includes('FROM alert_timers t')) {
+        const rows = [...timers.values()]
+          .filter((timer) => !timer.firedAt)
+          .map((timer) => ({
+            ...rules.find((rule) => rule.id === timer.ruleId),
+            timer_id: timer.id,
+            started_at: timer.startedAt,
+            event_id: 10,
+            context: { accessoryId: 'AA:BB', accessoryName: 'Garage Door' },
+          }));
+        return { rows };
+      }
+      if (sql.includes('UPDATE alert_timers SET fired_at')) {
+        const timer = [...timers.values()].find((entry) => entry.id === params[0]);
+        if (!timer || timer.firedAt) return { rows: [], rowCount: 0 };
+        timer.firedAt = 'now';
+        return { rows: [], rowCount: 1 };
+      }
+      if (sql.includes('FROM alert_deliveries')) return { rows: [] };
+      if (sql.includes('INSERT INTO alert_incidents')) return { rows: [{ id: 1, status: 'open', opened_at: '2026-01-01T00:00:00.000Z', action_secret: 'secret', created: true }] };
+      if (sql.includes('INSERT INTO alert_deliveries')) {
+        pool.deliveries.push(params);
+        return { rows: [], rowCount: 1 };
+      }
+      return { rows: [], rowCount: 0 };
+    },
+    deliveries: [],
+  };
+  return pool;
+}
+
+test('timerActionForEvent holds, cancels and resets per condition type', () => {
+  const open = { accessoryName: 'Garage Door', characteristic: 'Current Door State', newValue: '0' };
+  const closed = { ...open, newValue: '1' };
+  const other = { ...open, accessoryName: 'Porch Light' };
+  const leak = { accessoryName: 'Leak Sensor', characteristic: 'Battery Level', newValue: '80' };
+
+  assert.equal(timerActionForEvent(durationRule, open), 'hold');
+  assert.equal(timerActionForEvent(durationRule, closed), 'cancel');
+  assert.equal(timerActionForEvent(durationRule, other), null);
+  assert.equal(timerActionForEvent(absenceRule, leak), 'reset');
+  assert.equal(timerActionForEvent(absenceRule, open), null);
+});
+
+test('duration timers are held while matching and cancelled when the condition clears', async () => {
+  const pool = createTimerPool([durationRule]);
+  const scheduler = createAlertScheduler({ pool });
+
+  await scheduler.handleEvent(eventRow());
+  await scheduler.handleEvent(eventRow({ id: 11, timestamp: new Date('2026-01-01T10:05:00Z') }));
+  assert.equal(pool.timers.size, 1);
+  // A repeat of the matching state keeps the original start time.
+  assert.equal([...pool.timers.values()][0].startedAt, '2026-01-01T10:00:00.000Z');
+
+  await scheduler.handleEvent(eventRow({ id: 12, old_value: '0', new_value: '1' }));
+  assert.equal(pool.timers.size, 0);
+});
+
+test('due timers fire once with a duration condition in the delivery', async () => {
+  const pool = createTimerPool([durationRule]);
+  const scheduler = createAlertScheduler({ pool });
+  await scheduler.handleEvent(eventRow());
+
+  assert.equal(await scheduler.tick(), 1);
+  assert.equal(await scheduler.tick(), 0);
+  assert.equal(pool.deliveries.length, 1);
+  assert.equal(pool.deliveries[0][2], 'pending');
+  const payloads = pool.deliveries.map((params) => JSON.parse(params[8]));
+  assert.deepEqual(payloads[0].condition, {
+    type: 'duration',
+    forMinutes: 20,
+    since: '2026-01-01T10:00:00.000Z',
+  });
+  assert.equal(payloads[0].event.accessoryName, 'Garage Door');
+});
+
+test('absence timers stay armed while the device goes offline and comes back', async () => {
+  const pool = createTimerPool([absenceRule]);
+  const scheduler = createAlertScheduler({ pool });
+  const leak = { accessory_name: 'Leak Sensor', service_type: 'Leak Sensor' };
+
+  await scheduler.handleEvent(eventRow({ ...leak, characteristic: 'Leak Detected', new_value: '0' }));
+  await scheduler.handleEvent(eventRow({ ...leak, id: 11, timestamp: new Date('2026-01-01T12:00:00Z'), characteristic: 'Reachable', old_value: 'true', new_value: 'false' }));
+  await scheduler.handleEvent(eventRow({ ...leak, id: 12, timestamp: new Date('2026-01-01T13:00:00Z'), characteristic: 'Reachable', old_value: 'false', new_value: 'true' }));
+  assert.equal(pool.timers.size, 1);
+  assert.equal([...pool.timers.values()][0].startedAt, '2026-01-01T10:00:00.000Z');
+
+  // A rule that names the connection characteristic still sees it.
+  const offlineRule = { ...absenceRule, characteristic: 'Reachable' };
+  assert.equal(timerActionForEvent(offlineRule, { accessoryName: 'Leak Sensor', characteristic: 'Reachable', newValue: 'false' }), 'reset');
+});
+
+test('ConnectivityGap rows neither reset absence timers nor match catch-all rules', () => {
+  const gap = { accessoryName: 'Leak Sensor', characteristic: 'ConnectivityGap', newValue: '5400' };
+  assert.equal(timerActionForEvent(absenceRule, gap), null);
+  assert.equal(timerActionForEvent({ ...absenceRule, scope_type: 'all' }, gap), null);
+  assert.equal(timerActionForEvent({ ...absenceRule, scope_type: 'characteristic', scope_value: 'ConnectivityGap' }, gap), 'reset');
+});
+
+test('connection rows do not auto-resolve absence incidents', async () => {
+  const updates = [];
+  const incident = {
+    id: 3,
+    accessory_id: 'leak-1',
+    characteristic: 'LeakDetected',
+    rule_characteristic: null,
+    scope_type: 'accessory',
+    scope_value: 'Leak Sensor',
+    condition_type: 'absence',
+  };
+  const pool = {
+    async query(sql, params = []) {
+      if (sql.includes('FROM alert_incidents i')) return { rows: [incident] };
+      if (sql.startsWith('UPDATE alert_incidents')) {
+        updates.push(params[0]);
+        return { rows: [{ id: params[0], status: 'resolved' }] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    },
+  };
+
+  assert.equal(await autoResolveIncidents(pool, { accessoryId: 'leak-1', characteristic: 'Reachable', newValue: 'false' }), 0);
+  assert.equal(await autoResolveIncidents(pool, { accessoryId: 'leak-1', characteristic: 'ConnectivityGap', newValue: '600' }), 0);
+  assert.equal(await autoResolveIncidents(pool, { accessoryId: 'leak-1', characteristic: 'LeakDetected', newValue: '0' }), 1);
+  assert.deepEqual(updates, [3]);
+});
+
+test('timers of field rules match on the event field', () => {
+  const keypadRule = {
+    ...durationRule,
+    scope_type: 'all',
+    scope_value: null,
+    characteristic: 'LockOperation.operationSource',
+    match_value: 'keypad',
+  };
+  const keypad = { accessoryName: 'Front Door', characteristic: 'LockOperation', newValue: 'unlock', eventData: { operationSource: 'keypad' } };
+
+  assert.equal(timerActionForEvent(keypadRule, keypad), 'hold');
+  assert.equal(timerActionForEvent(keypadRule, { ...keypad, eventData: { operationSource: 'manual' } }), 'cancel');
+  assert.equal(timerActionForEvent(keypadRule, { ...keypad, eventData: null }), null);
+  assert.equal(timerActionForEvent({ ...keypadRule, condition_type: 'absence' }, keypad), 'reset');
+});
@@ -1,6 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 import { createAlertsRouter } from '../src/alerts-router.js';
+import { buildIncidentLinks } from '../src/alert-incidents.js';
 
 function getRouteHandler(router, method, path) {
   for (const layer of router.stack) {
@@ -15,6 +16,7 @@ function getRouteHandler(router, method, path) {
 async function invoke(handler, { query = {}, params = {}, body = {} } = {}) {
   let statusCode = 200;
   let jsonBody = null;
+  let textBody = null;
   const req = { query, params, body };
   const res = {
     status(code) {
@@ -25,13 +27,21 @@ async function invoke(handler, { query = {}, params = {}, body = {} } = {}) {
       jsonBody = payload;
       return this;
     },
+    type() {
+      return this;
+    },
+    send(payload) {
+      textBody = payload;
+      return this;
+    },
   };
   await handler(req, res);
-  return { statusCode, jsonBody };
+  return { statusCode, jsonBody, textBody };
 }
 
 function createMockPool() {
   const rules = [];
+  const channels = [];
   const deliveries = [{
     id: 1,
     rule_id: 1,
@@ -44,6 +54,7 @@ function createMockPool() {
     rule_name: 'Door Opened',
   }];
   let nextRuleId = 1;
+  let nextChannelId = 1;
 
   return {
     async query(sql, params = []) {
@@ -62,12 +73,26 @@ function createMockPool() {
           match_value: params[6],
           target_url: params[7],
           quiet_minutes: params[8],
+          match_value_to: params[9],
+          condition_type: params[10],
+          for_minutes: params[11],
+          channel_ids: params[12] ?? [],
+          conditions: params[13] ? JSON.parse(params[13]) : null,
+          schedule: params[14] ? JSON.parse(params[14]) : null,
+          escalate_after_minutes: params[15],
+          escalation_target_url: params[16],
+          escalation_channel_ids: params[17] ?? [],
+          auto_resolve: params[18],
+          delivery_mode: params[19],
           created_at: '2026-02-26T10:00:00.000Z',
           updated_at: '2026-02-26T10:00:00.000Z',
         };
         rules.push(row);
         return { rows: [row] };
       }
+      if (sql.startsWith('SELECT operator, match_value, match_value_to, condition_type, for_minutes')) {
+        return { rows: rules.filter((r) => r.id === params[0]) };
+      }
       if (sql.startsWith('UPDATE alert_rules')) {
         const id = params.at(-1);
         const existing = rules.find((r) => r.id === id);
@@ -75,6 +100,11 @@ function createMockPool() {
         if (sql.includes('enabled = $1')) {
           existing.enabled = params[0];
         }
+        const assignments = sql.slice(sql.indexOf('SET') + 3, sql.indexOf('updated_at = NOW()')).split(',');
+        for (const assignment of assignments) {
+          const match = /(\w+) = \$(\d+)/.exec(assignment);
+          if (match) existing[match[1]] = params[Number(match[2]) - 1];
+        }
         existing.updated_at = '2026-02-26T11:00:00.000Z';
         return { rows: [existing] };
       }
@@ -85,6 +115,35 @@ function createMockPool() {
         rules.push(...next);
         return { rowCount: before - next.length };
       }
+      if (sql.startsWith('INSERT INTO alert_channels')) {
+        const row = {
+          id: nextChannelId++,
+          name: params[0],
+          type: params[1],
+          enabled: params[2],
+          config: JSON.parse(params[3]),
+          created_at: '2026-02-26T10:00:00.000Z',
+          updated_at: '2026-02-26T10:00:00.000Z',
+        };
+        channels.push(row);
+        return { rows: [row] };
+      }
+      if (sql.startsWith('SELECT id FROM alert_channels')) {
+        return { rows: channels.filter((c) => params[0].includes(c.id)).map((c) => ({ id: c.id })) };
+      }
+      if (sql.startsWith('SELECT name FROM alert_rules')) {
+        return {
+          rows: rules.filter((r) => r.channel_ids.includes(params[0]) && !r.target_url && r.channel_ids.length === 1),
+        };
+      }
+      if (sql.startsWith('WITH detached AS')) {
+        for (const rule of rules) rule.channel_ids = rule.channel_ids.filter((id) => id !== params[0]);
+        const before = channels.length;
+        const next = channels.filter((c) => c.id !== params[0]);
+        channels.length = 0;
+        channels.push(...next);
+        return { rowCount: before - next.length };
+      }
       if (sql.includes('COUNT(*)::int AS total FROM alert_deliveries')) {
         return { rows: [{ total: deliveries.length }] };
       }
@@ -116,6 +175,7 @@ test('/api/alerts/rules supports create/list/patch/delete', async () => {
   });
   assert.equal(created.statusCode, 201);
   assert.equal(created.jsonBody.name, 'Door opened');
+  assert.equal(created.jsonBody.deliveryMode, 'immediate');
 
   const listed = await invoke(list);
   assert.equal(listed.statusCode, 200);
@@ -128,6 +188,18 @@ test('/api/alerts/rules supports create/list/patch/delete', async () => {
   assert.equal(updated.statusCode, 200);
   assert.equal(updated.jsonBody.enabled, false);
 
+  const digest = await invoke(patch, {
+    params: { id: String(created.jsonBody.id) },
+    body: { deliveryMode: 'daily' },
+  });
+  assert.equal(digest.jsonBody.deliveryMode, 'daily');
+  const weekly = await invoke(patch, {
+    params: { id: String(created.jsonBody.id) },
+    body: { deliveryMode: 'weekly' },
+  });
+  assert.equal(weekly.statusCode, 400);
+  assert.match(weekly.jsonBody.error, /deliveryMode/);
+
   const deleted = await invoke(del, {
     params: { id: String(created.jsonBody.id) },
   });
@@ -174,3 +246,417 @@ test('/api/alerts/deliveries returns paginated response', async () => {
   assert.equal(response.jsonBody.deliveries.length, 1);
   assert.equal(response.jsonBody.deliveries[0].status, 'sent');
 });
+
+test('/api/alerts/rules validates operator values on create and partial patch', async () => {
+  const router = createAlertsRouter({ pool: createMockPool() });
+  const post = getRouteHandler(router, 'POST', '/rules');
+  const patch = getRouteHandler(router, 'PATCH', '/rules/:id');
+  const base = {
+    name: 'Too warm',
+    scopeType: 'characteristic',
+    scopeValue: 'CurrentTemperature',
+    targetUrl: 'https://example.test/hook',
+  };
+
+  const missingUpper = await invoke(post, { body: { ...base, operator: 'between', matchValue: '18' } });
+  assert.equal(missingUpper.statusCode, 400);
+  assert.match(missingUpper.jsonBody.error, /matchValueTo/);
+
+  const notNumeric = await invoke(post, { body: { ...base, operator: 'gt', matchValue: 'hot' } });
+  assert.equal(notNumeric.statusCode, 400);
+
+  const created = await invoke(post, { body: { ...base, operator: 'between', matchValue: '18', matchValueTo: '24' } });
+  assert.equal(created.statusCode, 201);
+  assert.equal(created.jsonBody.matchValueTo, '24');
+
+  const inverted = await invoke(patch, {
+    params: { id: String(created.jsonBody.id) },
+    body: { matchValue: '30' },
+  });
+  assert.equal(inverted.statusCode, 400);
+
+  const switched = await invoke(patch, {
+    params: { id: String(created.jsonBody.id) },
+    body: { operator: 'gt', matchValue: '28' },
+  });
+  assert.equal(switched.statusCode, 200);
+  assert.equal(switched.jsonBody.operator, 'gt');
+  assert.equal(switched.jsonBody.matchValueTo, null);
+});
+
+test('/api/alerts/rules accepts duration and absence conditions', async () => {
+  const changes = [];
+  const router = createAlertsRouter({ pool: createMockPool(), onRulesChanged: () => changes.push('changed') });
+  const post = getRouteHandler(router, 'POST', '/rules');
+  const patch = getRouteHandler(router, 'PATCH', '/rules/:id');
+  const base = {
+    name: 'Leak sensor silent',
+    scopeType: 'accessory',
+    scopeValue: 'Leak Sensor',
+    targetUrl: 'https://example.test/hook',
+  };
+
+  const missingMinutes = await invoke(post, { body: { ...base, conditionType: 'absence' } });
+  assert.equal(missingMinutes.statusCode, 400);
+  assert.match(missingMinutes.jsonBody.error, /forMinutes/);
+
+  const badMinutes = await invoke(post, { body: { ...base, matchValue: '1', forMinutes: 0 } });
+  assert.equal(badMinutes.statusCode, 400);
+
+  const absence = await invoke(post, { body: { ...base, conditionType: 'absence', forMinutes: 360 } });
+  assert.equal(absence.statusCode, 201);
+  assert.equal(absence.jsonBody.conditionType, 'absence');
+  assert.equal(absence.jsonBody.forMinutes, 360);
+  assert.equal(absence.jsonBody.matchValue, '');
+
+  const duration = await invoke(post, {
+    body: { ...base, name: 'Garage left open', operator: 'equals', matchValue: '0', forMinutes: 20 },
+  });
+  assert.equal(duration.statusCode, 201);
+  assert.equal(duration.jsonBody.conditionType, 'event');
+  assert.equal(duration.jsonBody.forMinutes, 20);
+
+  const backToEvent = await invoke(patch, {
+    params: { id: String(absence.jsonBody.id) },
+    body: { conditionType: 'event', forMinutes: null },
+  });
+  assert.equal(backToEvent.statusCode, 400);
+  assert.match(backToEvent.jsonBody.error, /matchValue/);
+
+  assert.equal(changes.length, 2);
+});
+
+test('/api/alerts/rules stores and clears compound conditions', async () => {
+  const router = createAlertsRouter({ pool: createMockPool() });
+  const post = getRouteHandler(router, 'POST', '/rules');
+  const patch = getRouteHandler(router, 'PATCH', '/rules/:id');
+  const base = {
+    name: 'Back door while away',
+    scopeType: 'accessory',
+    scopeValue: 'Back Door',
+    characteristic: 'ContactSensorState',
+    matchValue: '1',
+    targetUrl: 'https://example.test/hook',
+  };
+
+  const invalid = await invoke(post, {
+    body: { ...base, conditions: { op: 'and', conditions: [{ accessory: 'Phone', value: '0' }] } },
+  });
+  assert.equal(invalid.statusCode, 400);
+  assert.match(invalid.jsonBody.error, /characteristic is required/);
+
+  const created = await invoke(post, {
+    body: {
+      ...base,
+      conditions: {
+        op: 'and',
+        conditions: [
+          { accessory: 'Alice Phone', characteristic: 'OccupancyDetected', value: '0' },
+          { accessory: 'Bob Phone', characteristic: 'OccupancyDetected', value: '0' },
+        ],
+      },
+    },
+  });
+  assert.equal(created.statusCode, 201);
+  assert.equal(created.jsonBody.conditions.conditions.length, 2);
+  assert.equal(created.jsonBody.conditions.conditions[1].operator, 'equals');
+
+  const cleared = await invoke(patch, { params: { id: String(created.jsonBody.id) }, body: { conditions: null } });
+  assert.equal(cleared.statusCode, 200);
+  assert.equal(cleared.jsonBody.conditions, null);
+});
+
+test('/api/alerts/rules stores schedules and reports the armed state', async () => {
+  const router = createAlertsRouter({ pool: createMockPool() });
+  const post = getRouteHandler(router, 'POST', '/rules');
+  const base = {
+    name: 'Night motion',
+    scopeType: 'characteristic',
+    scopeValue: 'MotionDetected',
+    matchValue: 'true',
+    targetUrl: 'https://example.test/hook',
+  };
+
+  const bad = await invoke(post, { body: { ...base, schedule: { windows: [{ days: [1], start: '25:00', end: '06:00' }] } } });
+  assert.equal(bad.statusCode, 400);
+  assert.match(bad.jsonBody.error, /HH:MM/);
+
+  const always = await invoke(post, { body: base });
+  assert.equal(always.jsonBody.schedule, null);
+  assert.equal(always.jsonBody.armed, true);
+  assert.equal(always.jsonBody.nextScheduleChange, null);
+
+  const everyNight = { days: [0, 1, 2, 3, 4, 5, 6], start: '22:00', end: '06:00' };
+  const scheduled = await invoke(post, { body: { ...base, schedule: { windows: [everyNight] } } });
+  assert.equal(scheduled.statusCode, 201);
+  assert.deepEqual(scheduled.jsonBody.schedule, { windows: [everyNight], overrides: [] });
+  assert.equal(typeof scheduled.jsonBody.armed, 'boolean');
+  assert.equal(scheduled.jsonBody.nextScheduleChange.armed, !scheduled.jsonBody.armed);
+});
+
+test('/api/alerts/channels redacts secrets and rules can deliver through channels only', async () => {
+  const router = createAlertsRouter({ pool: createMockPool() });
+  const createChannel = getRouteHandler(router, 'POST', '/channels');
+  const deleteChannel = getRouteHandler(router, 'DELETE', '/channels/:id');
+  const createRule = getRouteHandler(router, 'POST', '/rules');
+  const patchRule = getRouteHandler(router, 'PATCH', '/rules/:id');
+
+  const badType = await invoke(createChannel, { body: { name: 'Pager', type: 'pager', config: {} } });
+  assert.equal(badType.statusCode, 400);
+
+  const channel = await invoke(createChannel, {
+    body: {
+      name: 'Email',
+      type: 'smtp',
+      config: { host: 'mail.example.com', username: 'alerts', password: 'hunter2', from: 'hc@example.com', to: ['me@example.com'] },
+    },
+  });
+  assert.equal(channel.statusCode, 201);
+  assert.equal(channel.jsonBody.config.password, '********');
+  assert.equal(channel.jsonBody.config.port, 587);
+
+  const base = { name: 'Door opened', operator: 'equals', matchValue: '1' };
+  const unknown = await invoke(createRule, { body: { ...base, channelIds: [99] } });
+  assert.equal(unknown.statusCode, 400);
+  assert.match(unknown.jsonBody.error, /Unknown channel id\(s\): 99/);
+
+  const noDestination = await invoke(createRule, { body: base });
+  assert.equal(noDestination.statusCode, 400);
+  assert.match(noDestination.jsonBody.error, /targetUrl/);
+
+  const rule = await invoke(createRule, { body: { ...base, channelIds: [channel.jsonBody.id] } });
+  assert.equal(rule.statusCode, 201);
+  assert.equal(rule.jsonBody.targetUrl, null);
+  assert.deepEqual(rule.jsonBody.channelIds, [channel.jsonBody.id]);
+
+  const cleared = await invoke(patchRule, { params: { id: String(rule.jsonBody.id) }, body: { channelIds: [] } });
+  assert.equal(cleared.statusCode, 400);
+
+  const noEscalation = await invoke(patchRule, { params: { id: String(rule.jsonBody.id) }, body: { escalateAfterMinutes: 15 } });
+  assert.equal(noEscalation.statusCode, 400);
+  assert.match(noEscalation.jsonBody.error, /escalation/i);
+
+  const escalating = await invoke(patchRule, {
+    params: { id: String(rule.jsonBody.id) },
+    body: { escalateAfterMinutes: 15, escalationChannelIds: [channel.jsonBody.id], autoResolve: true },
+  });
+  assert.equal(escalating.statusCode, 200);
+  assert.equal(escalating.jsonBody.escalateAfterMinutes, 15);
+  assert.deepEqual(escalating.jsonBody.escalationChannelIds, [channel.jsonBody.id]);
+  assert.equal(escalating.jsonBody.autoResolve, true);
+
+  const stranded = await invoke(deleteChannel, { params: { id: String(channel.jsonBody.id) } });
+  assert.equal(stranded.statusCode, 409);
+  assert.match(stranded.jsonBody.error, /Door opened/);
+
+  const withUrl = await invoke(patchRule, {
+    params: { id: String(rule.jsonBody.id) },
+    body: { targetUrl: 'https://example.test/hook' },
+  });
+  assert.equal(withUrl.statusCode, 200);
+
+  const deleted = await invoke(deleteChannel, { params: { id: String(channel.jsonBody.id) } });
+  assert.equal(deleted.statusCode, 200);
+});
+
+test('/api/alerts/deliveries filters by status and replays dead deliveries', async () => {
+  const rows = [
+    { id: 1, rule_id: 1, status: 'dead', target_url: 'https://example.test/hook', attempts: 5, replayable: true, error: 'HTTP 503' },
+    { id: 2, rule_id: 1, status: 'sent', target_url: 'https://example.test/hook', attempts: 1, replayable: true },
+  ];
+  const pool = {
+    async query(sql, params = []) {
+      if (sql.includes('COUNT(*)::int AS total FROM alert_deliveries')) {
+        return { rows: [{ total: rows.filter((row) => !params[0] || row.status === params[0]).length }] };
+      }
+      if (sql.includes('WHERE d.id = $1')) return { rows: rows.filter((row) => row.id === params[0]) };
+      if (sql.includes('FROM alert_deliveries d')) {
+        return { rows: rows.filter((row) => !params[2] || row.status === params[2]) };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    },
+  };
+  const replayed = [];
+  const deliveryQueue = {
+    async replay(id) {
+      replayed.push(id);
+      const row = rows.find((entry) => entry.id === id);
+      Object.assign(row, { status: 'pending', attempts: 0, error: null });
+      return { id };
+    },
+  };
+  const router = createAlertsRouter({ pool, deliveryQueue });
+  const list = getRouteHandler(router, 'GET', '/deliveries');
+  const replay = getRouteHandler(router, 'POST', '/deliveries/:id/replay');
+
+  const dead = await invoke(list, { query: { status: 'dead' } });
+  assert.equal(dead.statusCode, 200);
+  assert.equal(dead.jsonBody.total, 1);
+  assert.equal(dead.jsonBody.deliveries[0].replayable, true);
+  assert.equal(dead.jsonBody.deliveries[0].attempts, 5);
+
+  const badStatus = await invoke(list, { query: { status: 'lost' } });
+  assert.equal(badStatus.statusCode, 400);
+
+  const sent = await invoke(replay, { params: { id: '2' } });
+  assert.equal(sent.statusCode, 409);
+  const missing = await invoke(replay, { params: { id: '9' } });
+  assert.equal(missing.statusCode, 404);
+
+  const ok = await invoke(replay, { params: { id: '1' } });
+  assert.equal(ok.statusCode, 200);
+  assert.equal(ok.jsonBody.status, 'pending');
+  assert.equal(ok.jsonBody.replayable, false);
+  assert.deepEqual(replayed, [1]);
+
+  const disabled = createAlertsRouter({ pool });
+  const unavailable = await invoke(getRouteHandler(disabled, 'POST', '/deliveries/:id/replay'), { params: { id: '1' } });
+  assert.equal(unavailable.statusCode, 503);
+});
+
+test('/api/alerts/rules/:id/signing-secret enables, rotates and disables signing', async () => {
+  const rule = { id: 3, signing_secret: null, signing_secret_previous: null, signing_secret_rotated_at: null };
+  const pool = {
+    async query(sql, params = []) {
+      if (params[0] !== rule.id) return { rows: [], rowCount: 0 };
+      if (sql.includes('SET signing_secret_previous = signing_secret')) {
+        rule.signing_secret_rotated_at = rule.signing_secret ? new Date('2026-02-26T12:00:00.000Z') : null;
+        rule.signing_secret_previous = rule.signing_secret;
+        rule.signing_secret = params[1];
+        return {
+          rows: [{ rotated: rule.signing_secret_previous !== null, signing_secret_rotated_at: rule.signing_secret_rotated_at }],
+          rowCount: 1,
+        };
+      }
+      if (sql.includes('SET signing_secret = NULL')) {
+        Object.assign(rule, { signing_secret: null, signing_secret_previous: null, signing_secret_rotated_at: null });
+        return { rows: [], rowCount: 1 };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    },
+  };
+  const router = createAlertsRouter({ pool });
+  const rotate = getRouteHandler(router, 'POST', '/rules/:id/signing-secret');
+  const disable = getRouteHandler(router, 'DELETE', '/rules/:id/signing-secret');
+
+  const enabled = await invoke(rotate, { params: { id: '3' } });
+  assert.equal(enabled.statusCode, 200);
+  assert.match(enabled.jsonBody.signingSecret, /^hcsec_/);
+  assert.equal(enabled.jsonBody.previousSecretValidUntil, null);
+
+  const rotated = await invoke(rotate, { params: { id: '3' } });
+  assert.notEqual(rotated.jsonBody.signingSecret, enabled.jsonBody.signingSecret);
+  assert.equal(rotated.jsonBody.previousSecretValidUntil, '2026-02-27T12:00:00.000Z');
+  assert.equal(rule.signing_secret_previous, enabled.jsonBody.signingSecret);
+
+  assert.equal((await invoke(rotate, { params: { id: '9' } })).statusCode, 404);
+  assert.equal((await invoke(rotate, { params: { id: 'x' } })).statusCode, 400);
+
+  const disabled = await invoke(disable, { params: { id: '3' } });
+  assert.equal(disabled.statusCode, 200);
+  assert.equal(rule.signing_secret, null);
+});
+
+test('/api/alerts/rules/backtest dry-runs drafts without a destination', async () => {
+  const pool = {
+    async query(sql) {
+      if (sql.includes('FROM event_logs e')) {
+        return {
+          rows: [{
+            id: 7,
+            timestamp: new Date(Date.now() - 60_000),
+            accessory_id: 'door-1',
+            accessory_name: 'Front Door',
+            room_name: 'Hall',
+            characteristic: 'ContactSensorState',
+            old_value: '0',
+            new_value: '1',
+          }],
+        };
+      }
+      if (sql.includes('FROM alert_rules')) return { rows: [] };
+      throw new Error(`Unexpected SQL: ${sql}`);
+    },
+  };
+  const router = createAlertsRouter({ pool });
+  const draft = getRouteHandler(router, 'POST', '/rules/backtest');
+  const saved = getRouteHandler(router, 'POST', '/rules/:id/backtest');
+
+  const result = await invoke(draft, {
+    body: {
+      days: 1,
+      rule: { scopeType: 'accessory', scopeValue: 'Front Door', operator: 'equals', matchValue: '1', targetUrl: 'not a url' },
+    },
+  });
+  assert.equal(result.statusCode, 200);
+  assert.equal(result.jsonBody.fired, 1);
+  assert.equal(result.jsonBody.firings[0].eventId, 7);
+
+  assert.equal((await invoke(draft, { body: {} })).statusCode, 400);
+  assert.equal((await invoke(draft, { body: { rule: { scopeType: 'nowhere' } } })).statusCode, 400);
+  assert.equal((await invoke(draft, { body: { rule: { scopeType: 'all' }, days: 365 } })).statusCode, 400);
+  assert.equal((await invoke(saved, { params: { id: '4' }, body: {} })).statusCode, 404);
+  assert.equal((await invoke(saved, { params: { id: 'x' }, body: {} })).statusCode, 400);
+});
+
+test('/api/alerts/incidents lists, acknowledges and resolves incidents, including by signed link', async () => {
+  const incidents = [
+    { id: 1, rule_id: 3, rule_name: 'Leak', accessory_id: 'leak-1', characteristic: 'LeakDetected', status: 'open', summary: 'Leak: LeakDetected is 1', fire_count: 2, opened_at: '2026-02-27T10:00:00.000Z', action_secret: 'secret-1' },
+    { id: 2, rule_id: 3, rule_name: 'Leak', accessory_id: 'leak-2', characteristic: 'LeakDetected', status: 'resolved', summary: 'Old leak', fire_count: 1, opened_at: '2026-02-26T10:00:00.000Z', action_secret: 'secret-2' },
+  ];
+  const pool = {
+    async query(sql, params = []) {
+      if (sql.includes('FROM alert_incidents i') && sql.includes('LIMIT $2')) {
+        const [view] = params;
+        return { rows: incidents.filter((row) => view === 'all' || (view === 'active') === (row.status !== 'resolved')) };
+      }
+      if (sql.includes('FROM alert_incidents')) {
+        return { rows: incidents.filter((row) => row.id === params[0]) };
+      }
+      if (sql.startsWith('UPDATE alert_incidents')) {
+        const row = incidents.find((entry) => entry.id === params[0]);
+        const allowed = sql.includes("status = 'open'") ? row?.status === 'open' : row && row.status !== 'resolved';
+        if (!allowed) return { rows: [] };
+        if (sql.includes("'acknowledged'")) Object.assign(row, { status: 'acknowledged', acknowledged_by: params[1] });
+        else Object.assign(row, { status: 'resolved', resolved_by: params[1], resolution: params[2] });
+        return { rows: [{ id: row.id, status: row.status }] };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    },
+  };
+  const router = createAlertsRouter({ pool });
+  const list = getRouteHandler(router, 'GET', '/incidents');
+  const acknowledge = getRouteHandler(router, 'POST', '/incidents/:id/acknowledge');
+  const resolve = getRouteHandler(router, 'POST', '/incidents/:id/resolve');
+  const linkPage = getRouteHandler(router, 'GET', '/incidents/:id/link');
+  const linkAction = getRouteHandler(router, 'POST', '/incidents/:id/link');
+
+  const active = await invoke(list);
+  assert.deepEqual(active.jsonBody.map((row) => row.id), [1]);
+  assert.equal(active.jsonBody[0].fireCount, 2);
+  assert.equal('action_secret' in active.jsonBody[0] || 'actionSecret' in active.jsonBody[0], false);
+  assert.equal((await invoke(list, { query: { status: 'all' } })).jsonBody.length, 2);
+  assert.equal((await invoke(list, { query: { status: 'muted' } })).statusCode, 400);
+
+  const acked = await invoke(acknowledge, { params: { id: '1' } });
+  assert.equal(acked.statusCode, 200);
+  assert.equal(acked.jsonBody.status, 'acknowledged');
+  assert.equal((await invoke(acknowledge, { params: { id: '1' } })).statusCode, 409);
+  assert.equal((await invoke(resolve, { params: { id: '9' } })).statusCode, 404);
+
+  const links = buildIncidentLinks(incidents[0], { baseUrl: 'https://home.example' });
+  const query = Object.fromEntries(new URL(links.resolve).searchParams);
+  // GET only confirms; the POST from its button resolves.
+  const page = await invoke(linkPage, { params: { id: '1' }, query });
+  assert.equal(page.statusCode, 200);
+  assert.match(page.textBody, /<form method="post">/);
+  assert.equal(incidents[0].status, 'acknowledged');
+
+  const forged = await invoke(linkAction, { params: { id: '1' }, query: { ...query, action: 'acknowledge' } });
+  assert.equal(forged.statusCode, 403);
+
+  const done = await invoke(linkAction, { params: { id: '1' }, query });
+  assert.equal(done.statusCode, 200);
+  assert.match(done.textBody, /Alert resolved/);
+  assert.deepEqual([incidents[0].status, incidents[0].resolution], ['resolved', 'link']);
+});
@@ -1,6 +1,8 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { processAlertsForEvent } from '../src/alerts.js';
+import { evaluateConditionTree, validateConditionTree } from '../src/alert-conditions.js';
+import { evaluateOperator, validateOperatorValues } from '../src/alert-operators.js';
+import { eventForRule, processAlertsForEvent } from '../src/alerts.js';
 
 function makeRule(overrides = {}) {
   return {
@@ -34,14 +36,22 @@ function makeEvent(overrides = {}) {
   };
 }
 
-test('processAlertsForEvent records sent delivery for matching rule', async () => {
+test('processAlertsForEvent queues a pending delivery for matching rule', async () => {
   const deliveries = [];
   const pool = {
     async query(sql, params = []) {
       if (sql.includes('FROM alert_rules')) return { rows: [makeRule()] };
-      if (sql.includes('status = \'sent\'')) return { rows: [] };
+      if (sql.includes('status IN (\'sent\', \'pending\')')) return { rows: [] };
+      if (sql.startsWith('INSERT INTO alert_incidents')) return { rows: [{ id: 1, status: 'open', opened_at: '2026-01-01T00:00:00.000Z', action_secret: 'secret', created: true }] };
       if (sql.startsWith('INSERT INTO alert_deliveries')) {
-        deliveries.push({ ruleId: params[0], eventId: params[1], status: params[2], responseCode: params[4] });
+        deliveries.push({
+          ruleId: params[0],
+          eventId: params[1],
+          status: params[2],
+          targetUrl: params[3],
+          payload: JSON.parse(params[8]),
+          idempotencyKey: params[9],
+        });
         return { rowCount: 1 };
       }
       throw new Error(`Unexpected SQL: ${sql}`);
@@ -49,12 +59,23 @@ test('processAlertsForEvent records sent delivery for matching rule', async () =
   };
 
   const originalFetch = global.fetch;
-  global.fetch = async () => ({ ok: true, status: 200 });
+  let fetchCalls = 0;
+  global.fetch = async () => {
+    fetchCalls += 1;
+    return { ok: true, status: 200 };
+  };
   try {
     await processAlertsForEvent(pool, makeEvent());
+    // Sending is left to the delivery queue.
+    assert.equal(fetchCalls, 0);
     assert.equal(deliveries.length, 1);
-    assert.equal(deliveries[0].status, 'sent');
-    assert.equal(deliveries[0].responseCode, 200);
+    assert.equal(deliveries[0].status, 'pending');
+    assert.equal(deliveries[0].targetUrl, 'https://203.0.113.10/hook');
+    assert.equal(deliveries[0].payload.rule.id, 1);
+    assert.equal(deliveries[0].payload.event.id, 100);
+    assert.equal(deliveries[0].payload.incident.id, 1);
+    assert.equal(deliveries[0].payload.incident.status, 'open');
+    assert.match(deliveries[0].idempotencyKey, /^[0-9a-f-]{36}$/);
   } finally {
     global.fetch = originalFetch;
   }
@@ -65,9 +86,10 @@ test('processAlertsForEvent records suppressed delivery when within quiet period
   const pool = {
     async query(sql, params = []) {
       if (sql.includes('FROM alert_rules')) return { rows: [makeRule({ quiet_minutes: 10 })] };
-      if (sql.includes('status = \'sent\'')) {
+      if (sql.includes('status IN (\'sent\', \'pending\')')) {
         return { rows: [{ sent_at: new Date().toISOString() }] };
       }
+      if (sql.startsWith('INSERT INTO alert_incidents')) return { rows: [{ id: 1, status: 'open', opened_at: '2026-01-01T00:00:00.000Z', action_secret: 'secret', created: true }] };
       if (sql.startsWith('INSERT INTO alert_deliveries')) {
         deliveries.push({ status: params[2], error: params[5] });
         return { rowCount: 1 };
@@ -92,14 +114,70 @@ test('processAlertsForEvent records suppressed delivery when within quiet period
   }
 });
 
-test('processAlertsForEvent records failed delivery for non-2xx response', async () => {
+test('evaluateOperator handles numeric thresholds and ranges', () => {
+  const rule = (operator, matchValue, matchValueTo = null) => ({
+    operator,
+    match_value: matchValue,
+    match_value_to: matchValueTo,
+  });
+  const temp = (newValue) => ({ oldValue: '27.5', newValue });
+
+  assert.equal(evaluateOperator(rule('gt', '28'), temp('28.5')), true);
+  assert.equal(evaluateOperator(rule('gt', '28'), temp('28')), false);
+  assert.equal(evaluateOperator(rule('gte', '28'), temp('28')), true);
+  assert.equal(evaluateOperator(rule('lt', '15'), temp('14')), true);
+  assert.equal(evaluateOperator(rule('lte', '15'), temp('abc')), false);
+  assert.equal(evaluateOperator(rule('between', '18', '24'), temp('24')), true);
+  assert.equal(evaluateOperator(rule('outside', '18', '24'), temp('24')), false);
+  assert.equal(evaluateOperator(rule('outside', '18', '24'), temp('17.9')), true);
+  assert.equal(evaluateOperator(rule('gte', '1'), temp('true')), true);
+});
+
+test('evaluateOperator handles changed_from_to and delta operators', () => {
+  const changed = { operator: 'changed_from_to', match_value: '0', match_value_to: '1' };
+  assert.equal(evaluateOperator(changed, { oldValue: '0', newValue: '1' }), true);
+  assert.equal(evaluateOperator(changed, { oldValue: 'false', newValue: 'true' }), true);
+  assert.equal(evaluateOperator(changed, { oldValue: '1', newValue: '1' }), false);
+  assert.equal(evaluateOperator(changed, { oldValue: null, newValue: '1' }), false);
+
+  const toAny = { operator: 'changed_from_to', match_value: '*', match_value_to: 'Open' };
+  assert.equal(evaluateOperator(toAny, { oldValue: null, newValue: 'Open' }), true);
+
+  const rose = { operator: 'increased_by', match_value: '10' };
+  assert.equal(evaluateOperator(rose, { oldValue: '40', newValue: '51' }), true);
+  assert.equal(evaluateOperator(rose, { oldValue: '51', newValue: '40' }), false);
+  assert.equal(evaluateOperator({ operator: 'decreased_by', match_value: '10' }, { oldValue: '51', newValue: '40' }), true);
+  assert.equal(evaluateOperator({ operator: 'changed_by', match_value: '10' }, { oldValue: '51', newValue: '45' }), false);
+  assert.equal(evaluateOperator({ operator: 'changed_by', match_value: '5' }, { oldValue: null, newValue: '45' }), false);
+});
+
+test('validateOperatorValues enforces the values each operator needs', () => {
+  assert.match(validateOperatorValues('gt', 'warm').error, /number/);
+  assert.match(validateOperatorValues('between', '10').error, /matchValueTo/);
+  assert.match(validateOperatorValues('between', '30', '10').error, /less than or equal/);
+  assert.match(validateOperatorValues('changed_from_to', '0').error, /matchValueTo is required/);
+  assert.match(validateOperatorValues('increased_by', '-2').error, /positive/);
+  assert.deepEqual(validateOperatorValues('equals', ' on ', 'ignored').value, { matchValue: 'on', matchValueTo: null });
+  assert.deepEqual(validateOperatorValues('outside', '18', '24').value, { matchValue: '18', matchValueTo: '24' });
+});
+
+test('processAlertsForEvent fires numeric rules only when the threshold is crossed', async () => {
   const deliveries = [];
   const pool = {
     async query(sql, params = []) {
-      if (sql.includes('FROM alert_rules')) return { rows: [makeRule()] };
-      if (sql.includes('status = \'sent\'')) return { rows: [] };
+      if (sql.includes('FROM alert_rules')) {
+        return {
+          rows: [makeRule({
+            scope_value: 'BatteryLevel',
+            operator: 'lt',
+            match_value: '15',
+          })],
+        };
+      }
+      if (sql.includes('status IN (\'sent\', \'pending\')')) return { rows: [] };
+      if (sql.startsWith('INSERT INTO alert_incidents')) return { rows: [{ id: 1, status: 'open', opened_at: '2026-01-01T00:00:00.000Z', action_secret: 'secret', created: true }] };
       if (sql.startsWith('INSERT INTO alert_deliveries')) {
-        deliveries.push({ status: params[2], responseCode: params[4], error: params[5] });
+        deliveries.push({ eventId: params[1], status: params[2] });
         return { rowCount: 1 };
       }
       throw new Error(`Unexpected SQL: ${sql}`);
@@ -107,50 +185,165 @@ test('processAlertsForEvent records failed delivery for non-2xx response', async
   };
 
   const originalFetch = global.fetch;
-  global.fetch = async () => ({
-    ok: false,
-    status: 500,
-    text: async () => 'upstream failed',
-  });
+  global.fetch = async () => ({ ok: true, status: 200 });
   try {
-    await processAlertsForEvent(pool, makeEvent());
-    assert.equal(deliveries.length, 1);
-    assert.equal(deliveries[0].status, 'failed');
-    assert.equal(deliveries[0].responseCode, 500);
+    await processAlertsForEvent(pool, makeEvent({ eventId: 1, characteristic: 'BatteryLevel', oldValue: '20', newValue: '16' }));
+    await processAlertsForEvent(pool, makeEvent({ eventId: 2, characteristic: 'BatteryLevel', oldValue: '16', newValue: '14' }));
+    assert.deepEqual(deliveries, [{ eventId: 2, status: 'pending' }]);
   } finally {
     global.fetch = originalFetch;
   }
 });
 
-test('processAlertsForEvent blocks localhost webhook targets', async () => {
+test('validateConditionTree normalizes groups and rejects bad leaves', () => {
+  const parsed = validateConditionTree({
+    op: 'AND',
+    conditions: [
+      { accessory: ' Alarm ', characteristic: 'SecuritySystemCurrentState', value: '1' },
+      { op: 'or', conditions: [{ accessory: 'Phone', characteristic: 'Presence', operator: 'between', value: '0', valueTo: '1' }] },
+    ],
+  });
+  assert.deepEqual(parsed.value.conditions[0], {
+    accessory: 'Alarm', characteristic: 'SecuritySystemCurrentState', operator: 'equals', value: '1', valueTo: null,
+  });
+  assert.equal(parsed.value.op, 'and');
+  assert.deepEqual(validateConditionTree(null), { value: null });
+
+  assert.match(validateConditionTree({ op: 'xor', conditions: [] }).error, /op must be/);
+  assert.match(validateConditionTree({ op: 'and', conditions: [] }).error, /cannot be empty/);
+  assert.match(validateConditionTree({ accessory: 'A', characteristic: 'B', value: '1' }).error, /must be a group/);
+  assert.match(
+    validateConditionTree({ conditions: [{ accessory: 'A', characteristic: 'B', operator: 'increased_by', value: '1' }] }).error,
+    /operator must be one of/
+  );
+  assert.match(
+    validateConditionTree({ conditions: [{ accessory: 'A', characteristic: 'B', operator: 'gt', value: 'warm' }] }).error,
+    /conditions\.conditions\[0\]: value must be a number/
+  );
+  const deep = { conditions: [{ conditions: [{ conditions: [{ conditions: [{ accessory: 'A', characteristic: 'B', value: '1' }] }] }] }] };
+  assert.match(validateConditionTree(deep).error, /nest at most/);
+});
+
+test('evaluateConditionTree combines AND/OR groups and treats unknown state as false', () => {
+  const tree = validateConditionTree({
+    op: 'and',
+    conditions: [
+      { accessory: 'Alarm', characteristic: 'SecuritySystemCurrentState', operator: 'not_equals', value: '3' },
+      {
+        op: 'or',
+        conditions: [
+          { accessory: 'Alice Phone', characteristic: 'OccupancyDetected', value: '0' },
+          { accessory: 'Bob Phone', characteristic: 'OccupancyDetected', value: '0' },
+        ],
+      },
+    ],
+  }).value;
+  const state = (entries) => new Map(entries.map(([accessory, characteristic, value]) => [`${accessory}\u0000${characteristic}`, { value }]));
+
+  assert.equal(evaluateConditionTree(tree, state([
+    ['Alarm', 'SecuritySystemCurrentState', '1'],
+    ['Alice Phone', 'OccupancyDetected', '1'],
+    ['Bob Phone', 'OccupancyDetected', '0'],
+  ])), true);
+  assert.equal(evaluateConditionTree(tree, state([
+    ['Alarm', 'SecuritySystemCurrentState', '3'],
+    ['Bob Phone', 'OccupancyDetected', '0'],
+  ])), false);
+  assert.equal(evaluateConditionTree(tree, state([['Alarm', 'SecuritySystemCurrentState', '1']])), false);
+});
+
+test('processAlertsForEvent checks compound conditions against the latest accessory state', async () => {
   const deliveries = [];
+  let armed = '1';
+  const conditions = validateConditionTree({
+    op: 'and',
+    conditions: [
+      { accessory: 'Alarm', characteristic: 'SecuritySystemCurrentState', operator: 'not_equals', value: '3' },
+      { accessory: 'Hallway Motion', characteristic: 'MotionDetected', value: 'true' },
+    ],
+  }).value;
   const pool = {
     async query(sql, params = []) {
-      if (sql.includes('FROM alert_rules')) {
-        return { rows: [makeRule({ target_url: 'http://127.0.0.1:8080/hook' })] };
+      if (sql.includes('FROM alert_rules')) return { rows: [makeRule({ conditions })] };
+      if (sql.includes('jsonb_to_recordset')) {
+        const refs = JSON.parse(params[0]);
+        assert.equal(refs.length, 2);
+        // Name and ID are looked up separately so each can use its index.
+        assert.doesNotMatch(sql, /\bOR accessory_id\b/);
+        assert.match(sql, /UNION ALL/);
+        // The latest logged motion value is stale; the triggering event wins.
+        return {
+          rows: [
+            { ref_accessory: 'Alarm', ref_characteristic: 'SecuritySystemCurrentState', accessory_name: 'Alarm', new_value: armed, timestamp: '2026-02-26T08:00:00.000Z' },
+            { ref_accessory: 'Hallway Motion', ref_characteristic: 'MotionDetected', accessory_name: 'Hallway Motion', new_value: 'false', timestamp: '2026-02-26T11:00:00.000Z' },
+          ],
+        };
       }
-      if (sql.includes('status = \'sent\'')) return { rows: [] };
+      if (sql.includes('status IN (\'sent\', \'pending\')')) return { rows: [] };
+      if (sql.startsWith('INSERT INTO alert_incidents')) return { rows: [{ id: 1, status: 'open', opened_at: '2026-01-01T00:00:00.000Z', action_secret: 'secret', created: true }] };
       if (sql.startsWith('INSERT INTO alert_deliveries')) {
-        deliveries.push({ status: params[2], error: params[5] });
+        deliveries.push({ eventId: params[1], payload: JSON.parse(params[8]) });
         return { rowCount: 1 };
       }
       throw new Error(`Unexpected SQL: ${sql}`);
     },
   };
 
-  const originalFetch = global.fetch;
-  let fetchCalls = 0;
-  global.fetch = async () => {
-    fetchCalls += 1;
-    return { ok: true, status: 200 };
+  await processAlertsForEvent(pool, makeEvent({ eventId: 1 }));
+  armed = '3';
+  await processAlertsForEvent(pool, makeEvent({ eventId: 2 }));
+
+  assert.equal(deliveries.length, 1);
+  assert.equal(deliveries[0].eventId, 1);
+  const { condition, rule } = deliveries[0].payload;
+  assert.equal(condition.type, 'compound');
+  assert.deepEqual(condition.state.map((entry) => entry.value), ['1', 'true']);
+  assert.equal(rule.conditions.op, 'and');
+});
+
+test('eventForRule matches a Matter event field named as Event.field', () => {
+  const event = makeEvent({
+    serviceType: 'LockMechanism',
+    characteristic: 'LockOperation',
+    oldValue: null,
+    newValue: 'unlock',
+    eventData: { operationSource: 'keypad', userIndex: 3 },
+  });
+
+  const rule = makeRule({ scope_type: 'all', scope_value: null, characteristic: 'LockOperation.operationSource', match_value: 'keypad' });
+  const ruleEvent = eventForRule(rule, event);
+  assert.equal(ruleEvent.characteristic, 'LockOperation.operationSource');
+  assert.equal(ruleEvent.newValue, 'keypad');
+  assert.equal(evaluateOperator(rule, ruleEvent), true);
+  assert.equal(eventForRule({ ...rule, characteristic: 'LockOperation.userIndex' }, event).newValue, '3');
+
+  assert.equal(eventForRule({ ...rule, characteristic: 'LockOperation.credentials' }, event), null);
+  assert.equal(eventForRule({ ...rule, characteristic: 'DoorLockAlarm.operationSource' }, event), null);
+  assert.equal(eventForRule(makeRule(), makeEvent()).newValue, 'true');
+});
+
+test('processAlertsForEvent only shows connection rows to rules that name them', async () => {
+  const deliveries = [];
+  const rules = [
+    makeRule({ id: 1, scope_type: 'accessory', scope_value: 'Hallway Motion', operator: 'contains', match_value: '' }),
+    makeRule({ id: 2, scope_type: 'all', scope_value: null, characteristic: 'Reachable', match_value: 'false' }),
+  ];
+  const pool = {
+    async query(sql, params = []) {
+      if (sql.includes('FROM alert_rules')) return { rows: rules };
+      if (sql.includes('status IN (\'sent\', \'pending\')')) return { rows: [] };
+      if (sql.startsWith('INSERT INTO alert_incidents')) return { rows: [{ id: 1, status: 'open', opened_at: '2026-01-01T00:00:00.000Z', action_secret: 'secret', created: true }] };
+      if (sql.startsWith('INSERT INTO alert_deliveries')) {
+        deliveries.push(params[0]);
+        return { rowCount: 1 };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    },
   };
-  try {
-    await processAlertsForEvent(pool, makeEvent());
-    assert.equal(fetchCalls, 0);
-    assert.equal(deliveries.length, 1);
-    assert.equal(deliveries[0].status, 'failed');
-    assert.match(deliveries[0].error, /blocked webhook target/i);
-  } finally {
-    global.fetch = originalFetch;
-  }
+
+  await processAlertsForEvent(pool, makeEvent({ characteristic: 'Reachable', oldValue: 'true', newValue: 'false' }));
+  assert.deepEqual(deliveries, [2]);
+
+  await processAlertsForEvent(pool, makeEvent({ eventId: 101 }));
+  assert.deepEqual(deliveries, [2, 1]);
 });
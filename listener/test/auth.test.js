@@ -0,0 +1,221 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildSessionCookie,
+  createUserAuthMiddleware,
+  hashAuthToken,
+  hashPassword,
+  normalizeUsername,
+  parseAuthMode,
+  parseCookies,
+  requiredRoleFor,
+  roleAtLeast,
+  verifyPassword,
+} from '../src/auth.js';
+import { createAuthRouter } from '../src/auth-router.js';
+
+function getRouteHandler(router, method, path) {
+  for (const layer of router.stack) {
+    if (!layer.route) continue;
+    if (layer.route.path !== path) continue;
+    if (!layer.route.methods[method.toLowerCase()]) continue;
+    return layer.route.stack.at(-1).handle;
+  }
+  throw new Error(`Route not found: ${method} ${path}`);
+}
+
+async function invoke(handler, { params = {}, body = {}, headers = {}, user = null } = {}) {
+  let statusCode = 200;
+  let jsonBody = null;
+  const responseHeaders = {};
+  const req = { params, body, headers, user };
+  const res = {
+    status(code) {
+      statusCode = code;
+      return this;
+    },
+    json(payload) {
+      jsonBody = payload;
+      return this;
+    },
+    setHeader(name, value) {
+      responseHeaders[name.toLowerCase()] = value;
+    },
+  };
+  await handler(req, res);
+  return { statusCode, jsonBody, headers: responseHeaders };
+}
+
+/** users + auth_tokens in memory, matching the statements auth*.js issue. */
+function createAuthPool(users) {
+  const tokens = [];
+  const find = (id) => users.find((user) => user.id === id);
+  return {
+    users,
+    tokens,
+    async query(sql, params = []) {
+      if (sql.includes('FROM auth_tokens t')) {
+        const token = tokens.find((t) => t.token_hash === params[0] && !t.revoked_at);
+        const user = token && find(token.user_id);
+        if (!user || user.disabled) return { rows: [] };
+        return { rows: [{ ...user, token_id: token.id, token_kind: token.kind, last_used_at: new Date() }] };
+      }
+      if (sql.includes('FROM users WHERE username = $1')) {
+        return { rows: users.filter((user) => user.username === params[0]) };
+      }
+      if (sql.includes('FROM users WHERE id = $1')) return { rows: users.filter((user) => user.id === params[0]) };
+      if (sql.startsWith('DELETE FROM auth_tokens')) return { rowCount: 0 };
+      if (sql.includes('INSERT INTO auth_tokens')) {
+        const row = { id: tokens.length + 1, user_id: params[0], kind: sql.includes("'session'") ? 'session' : 'device', name: params[1], token_hash: params[2] };
+        tokens.push(row);
+        return { rows: [row] };
+      }
+      if (sql.includes('SET last_login_at')) return { rowCount: 1 };
+      if (sql.includes("WHERE role = 'admin' AND NOT disabled AND id <> $1")) {
+        return { rows: [{ total: users.filter((u) => u.role === 'admin' && !u.disabled && u.id !== params[0]).length }] };
+      }
+      if (sql.startsWith('UPDATE users')) {
+        const user = find(params[0]);
+        Object.assign(user, params[1] ? { role: params[1] } : {}, params[2] !== null ? { disabled: params[2] } : {});
+        return { rows: [user] };
+      }
+      if (sql.includes('UPDATE auth_tokens SET revoked_at')) {
+        for (const token of tokens) {
+          if (sql.includes('WHERE id = $1') ? token.id === params[0] : token.user_id === params[0]) {
+            token.revoked_at = new Date();
+          }
+        }
+        return { rowCount: 1 };
+      }
+      throw new Error(`Unexpected SQL: ${sql}`);
+    },
+  };
+}
+
+test('passwords round-trip through scrypt hashes', async () => {
+  const stored = await hashPassword('correct horse');
+  assert.match(stored, /^scrypt\$16384\$8\$1\$[\w-]+\$[\w-]+$/);
+  assert.equal(await verifyPassword('correct horse', stored), true);
+  assert.equal(await verifyPassword('wrong horse', stored), false);
+  assert.equal(await verifyPassword('correct horse', 'plaintext'), false);
+  assert.notEqual(await hashPassword('correct horse'), stored);
+});
+
+test('route roles: viewers read, members write, admins pair and wipe', () => {
+  assert.equal(requiredRoleFor('GET', '/api/health'), null);
+  assert.equal(requiredRoleFor('POST', '/api/auth/login'), null);
+  assert.equal(requiredRoleFor('GET', '/api/events'), 'viewer');
+  assert.equal(requiredRoleFor('GET', '/api/alerts/rules'), 'viewer');
+  assert.equal(requiredRoleFor('POST', '/api/alerts/rules'), 'member');
+  assert.equal(requiredRoleFor('POST', '/api/alerts/incidents/12/link'), null);
+  assert.equal(requiredRoleFor('POST', '/api/alerts/incidents/12/resolve'), 'member');
+  assert.equal(requiredRoleFor('PATCH', '/api/setup/room'), 'member');
+  assert.equal(requiredRoleFor('POST', '/api/auth/tokens'), 'viewer');
+  assert.equal(requiredRoleFor('POST', '/api/setup/pair'), 'admin');
+  assert.equal(requiredRoleFor('DELETE', '/api/setup/pairing/AA:BB'), 'admin');
+  assert.equal(requiredRoleFor('POST', '/api/setup/matter/commission'), 'admin');
+  assert.equal(requiredRoleFor('DELETE', '/api/data/all'), 'admin');
+  assert.equal(requiredRoleFor('POST', '/api/backup'), 'admin');
+  assert.equal(requiredRoleFor('GET', '/api/auth/users'), 'admin');
+
+  assert.equal(roleAtLeast('admin', 'member'), true);
+  assert.equal(roleAtLeast('viewer', 'member'), false);
+  assert.equal(roleAtLeast('nobody', 'viewer'), false);
+  assert.equal(parseAuthMode(undefined), 'token');
+  assert.equal(parseAuthMode('USERS'), 'users');
+  assert.equal(parseAuthMode('ldap'), null);
+  assert.equal(normalizeUsername(' Alice '), 'alice');
+  assert.equal(normalizeUsername('no spaces'), null);
+});
+
+test('middleware resolves cookies and bearer tokens and enforces roles', async () => {
+  const pool = createAuthPool([
+    { id: 1, username: 'kid', role: 'viewer', disabled: false },
+    { id: 2, username: 'parent', role: 'admin', disabled: false },
+  ]);
+  pool.tokens.push(
+    { id: 1, user_id: 1, kind: 'session', token_hash: hashAuthToken('hcs_kid') },
+    { id: 2, user_id: 2, kind: 'device', token_hash: hashAuthToken('hcd_tablet') },
+  );
+  const middleware = createUserAuthMiddleware({ pool });
+  const run = async (method, path, headers = {}) => {
+    let nextCalled = false;
+    let user;
+    const result = await invoke(async (req, res) => {
+      Object.assign(req, { method, path });
+      await middleware(req, res, () => { nextCalled = true; });
+      user = req.user;
+    }, { headers });
+    return { ...result, nextCalled, user };
+  };
+
+  assert.equal((await run('GET', '/api/health')).nextCalled, true);
+  assert.equal((await run('GET', '/api/events')).statusCode, 401);
+  assert.equal((await run('GET', '/api/events', { authorization: 'Bearer hcd_unknown' })).statusCode, 401);
+  // The shared token nginx injects carries no identity in users mode.
+  assert.equal((await run('GET', '/api/events', { 'x-api-token': 'shared' })).statusCode, 401);
+
+  const viewerRead = await run('GET', '/api/events', { cookie: `theme=dark; ${buildSessionCookie('hcs_kid', { maxAgeSeconds: 60 }).split(';')[0]}` });
+  assert.equal(viewerRead.nextCalled, true);
+  assert.equal(viewerRead.user.username, 'kid');
+  const viewerWipe = await run('DELETE', '/api/data/all', { cookie: 'hc_session=hcs_kid' });
+  assert.equal(viewerWipe.statusCode, 403);
+  assert.equal(viewerWipe.nextCalled, false);
+
+  const adminWipe = await run('DELETE', '/api/data/all', { authorization: 'Bearer hcd_tablet' });
+  assert.equal(adminWipe.nextCalled, true);
+  assert.equal(adminWipe.user.tokenKind, 'device');
+
+  pool.tokens[1].revoked_at = new Date();
+  assert.equal((await run('DELETE', '/api/data/all', { authorization: 'Bearer hcd_tablet' })).statusCode, 401);
+  assert.deepEqual(parseCookies('a=1; hc_session=x%20y; a=2'), { a: '1', hc_session: 'x y' });
+});
+
+test('auth router signs in, issues device tokens and protects the last admin', async () => {
+  const pool = createAuthPool([
+    { id: 1, username: 'parent', role: 'admin', disabled: false, password_hash: await hashPassword('family-secret') },
+  ]);
+  const router = createAuthRouter({ pool, mode: 'users', sessionTtlHours: 24 });
+
+  const login = getRouteHandler(router, 'POST', '/login');
+  const bad = await invoke(login, { body: { username: 'parent', password: 'nope-nope' } });
+  assert.equal(bad.statusCode, 401);
+  const unknown = await invoke(login, { body: { username: 'stranger', password: 'family-secret' } });
+  assert.equal(unknown.statusCode, 401);
+
+  const ok = await invoke(login, { body: { username: 'Parent', password: 'family-secret' }, headers: { 'x-forwarded-proto': 'https' } });
+  assert.equal(ok.statusCode, 200);
+  assert.equal(ok.jsonBody.user.role, 'admin');
+  assert.equal(ok.jsonBody.user.password_hash, undefined);
+  const cookie = ok.headers['set-cookie'];
+  assert.match(cookie, /^hc_session=hcs_[\w-]+; Path=\/api; HttpOnly; SameSite=Strict; Max-Age=86400; Secure$/);
+  const sessionToken = cookie.split(';')[0].split('=')[1];
+  assert.equal(pool.tokens[0].token_hash, hashAuthToken(sessionToken));
+
+  const status = await invoke(getRouteHandler(router, 'GET', '/status'), { headers: { cookie: `hc_session=${sessionToken}` } });
+  assert.deepEqual([status.jsonBody.mode, status.jsonBody.user.username], ['users', 'parent']);
+
+  const user = { id: 1, username: 'parent', role: 'admin', tokenId: 1, tokenKind: 'session' };
+  const created = await invoke(getRouteHandler(router, 'POST', '/tokens'), { body: { name: 'Hallway tablet' }, user });
+  assert.equal(created.statusCode, 201);
+  assert.match(created.jsonBody.token, /^hcd_/);
+  assert.equal(pool.tokens[1].token_hash, hashAuthToken(created.jsonBody.token));
+  assert.equal((await invoke(getRouteHandler(router, 'POST', '/tokens'), { body: {}, user })).statusCode, 400);
+
+  const demote = await invoke(getRouteHandler(router, 'PATCH', '/users/:id'), { params: { id: '1' }, body: { role: 'viewer' }, user });
+  assert.equal(demote.statusCode, 409);
+  const deleteSelf = await invoke(getRouteHandler(router, 'DELETE', '/users/:id'), { params: { id: '1' }, user });
+  assert.equal(deleteSelf.statusCode, 409);
+
+  const logout = await invoke(getRouteHandler(router, 'POST', '/logout'), { headers: { cookie: `hc_session=${sessionToken}` } });
+  assert.equal(logout.statusCode, 200);
+  assert.match(logout.headers['set-cookie'], /^hc_session=; .*Max-Age=0/);
+  assert.ok(pool.tokens[0].revoked_at);
+  assert.ok(!pool.tokens[1].revoked_at);
+});
+
+test('token mode only serves the auth status', () => {
+  const router = createAuthRouter({ pool: createAuthPool([]), mode: 'token' });
+  assert.ok(getRouteHandler(router, 'GET', '/status'));
+  assert.throws(() => getRouteHandler(router, 'POST', '/login'), /Route not found/);
+});
@@ -0,0 +1,227 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  BACKUP_STORE_KEYS,
+  decodeBackup,
+  diffBackup,
+  encodeBackup,
+  validateBackupPayload,
+} from '../src/backup.js';
+import { createBackupRouter } from '../src/backup-router.js';
+import { JsonObjectStore } from '../src/store.js';
+
+function getRouteHandler(router, method, path) {
+  for (const layer of router.stack) {
+    if (!layer.route) continue;
+    if (layer.route.path !== path) continue;
+    if (!layer.route.methods[method.toLowerCase()]) continue;
+    return layer.route.stack.at(-1).handle;
+  }
+  throw new Error(`Route not found: ${method} ${path}`);
+}
+
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+}
+
+function samplePayload() {
+  return {
+    stores: {
+      pairings: { 'AA:BB': { name: 'Front Door', LTSK: 'secret-key' } },
+      rooms: { 'AA:BB': 'Hallway' },
+      displayNames: {},
+      notes: {},
+      retention: { retentionDays: 30 },
+    },
+    alertRules: [{ id: '3', name: 'Door opened', operator: 'equals', match_value: '1' }],
+    matterStorage: null,
+    events: null,
+  };
+}
+
+async function createStores(dir, values = {}) {
+  const stores = {};
+  for (const key of BACKUP_STORE_KEYS) {
+    stores[key] = new JsonObjectStore(join(dir, `${key}.json`), {});
+    await stores[key].init();
+    if (values[key]) await stores[key].write(values[key]);
+  }
+  return stores;
+}
+
+test('backup archives round-trip with and without a passphrase', async () => {
+  const payload = samplePayload();
+
+  const plain = await decodeBackup(await encodeBackup(payload));
+  assert.equal(plain.value.header.encrypted, false);
+  assert.deepEqual(plain.value.header.contents, ['stores', 'alertRules']);
+  assert.deepEqual(plain.value.payload, payload);
+
+  const sealed = await encodeBackup(payload, { passphrase: 'hunter2' });
+  assert.ok(!sealed.includes(Buffer.from('secret-key')));
+  assert.deepEqual((await decodeBackup(sealed, { passphrase: 'hunter2' })).value.payload, payload);
+  assert.match((await decodeBackup(sealed)).error, /passphrase is required/);
+  assert.match((await decodeBackup(sealed, { passphrase: 'wrong' })).error, /Wrong passphrase/);
+  assert.match((await decodeBackup(Buffer.from('not a backup'))).error, /not a HomeChronicle backup/);
+});
+
+test('validateBackupPayload rejects malformed sections and unsafe storage paths', () => {
+  assert.match(validateBackupPayload({}).error, /listener settings/);
+  assert.match(validateBackupPayload({ ...samplePayload(), alertRules: [{ name: 'x' }] }).error, /alert rules/);
+  assert.match(
+    validateBackupPayload({ ...samplePayload(), matterStorage: { files: { '../escape': 'AA==' } } }).error,
+    /invalid entry/
+  );
+  assert.deepEqual(validateBackupPayload(samplePayload()).value.stores.rooms, { 'AA:BB': 'Hallway' });
+});
+
+test('diffBackup reports keys and names without echoing stored values', () => {
+  const next = validateBackupPayload(samplePayload()).value;
+  const diff = diffBackup({
+    stores: { ...next.stores, pairings: { 'CC:DD': { name: 'Garage' } }, rooms: { 'AA:BB': 'Porch' } },
+    alertRules: [{ id: '4', name: 'Old rule' }],
+  }, next);
+
+  assert.deepEqual(diff.stores.pairings, {
+    added: [{ key: 'AA:BB', label: 'Front Door' }],
+    removed: [{ key: 'CC:DD', label: 'Garage' }],
+    changed: [],
+  });
+  assert.deepEqual(diff.stores.rooms.changed, [{ key: 'AA:BB', label: 'Hallway' }]);
+  assert.deepEqual(diff.alertRules.added, [{ key: '3', label: 'Door opened' }]);
+  assert.deepEqual(diff.alertRules.removed, [{ key: '4', label: 'Old rule' }]);
+  assert.ok(!JSON.stringify(diff).includes('secret-key'));
+});
+
+test('/api/restore dry run leaves state untouched; apply writes stores after COMMIT', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'hc-backup-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const stores = await createStores(dir, { rooms: { 'AA:BB': 'Porch' } });
+
+  const clientCalls = [];
+  const client = {
+    async query(sql) {
+      clientCalls.push(sql.trim().split(/\s+/).slice(0, 2).join(' '));
+      if (sql.includes('information_schema.columns')) {
+        return { rows: ['id', 'name', 'operator', 'match_value', 'created_at'].map((column_name) => ({ column_name })) };
+      }
+      return { rows: [], rowCount: 1 };
+    },
+    release() {},
+  };
+  const pool = {
+    async query() { return { rows: [] }; },
+    async connect() { return client; },
+  };
+  const restored = [];
+  const router = createBackupRouter({
+    pool,
+    stores,
+    onRestored: (info) => restored.push(info),
+  });
+  const handler = getRouteHandler(router, 'POST', '/restore');
+  const archive = await encodeBackup(samplePayload(), { passphrase: 'hunter2' });
+
+  const badRes = createResponse();
+  await handler({ body: archive, query: { dryRun: 'true' }, headers: {} }, badRes);
+  assert.equal(badRes.statusCode, 400);
+
+  const dryRes = createResponse();
+  await handler({ body: archive, query: { dryRun: 'true' }, headers: { 'x-backup-passphrase': 'hunter2' } }, dryRes);
+  assert.equal(dryRes.statusCode, 200);
+  assert.equal(dryRes.body.dryRun, true);
+  assert.deepEqual(dryRes.body.diff.stores.rooms.changed, [{ key: 'AA:BB', label: 'Hallway' }]);
+  assert.equal(clientCalls.length, 0);
+  assert.deepEqual(stores.rooms.getSnapshot(), { 'AA:BB': 'Porch' });
+
+  const applyRes = createResponse();
+  await handler({ body: archive, query: {}, headers: { 'x-backup-passphrase': 'hunter2' } }, applyRes);
+  assert.equal(applyRes.statusCode, 200);
+  assert.equal(applyRes.body.dryRun, false);
+  assert.equal(applyRes.body.restartRequired, false);
+  assert.equal(clientCalls[0], 'BEGIN');
+  assert.equal(clientCalls.at(-1), 'COMMIT');
+  assert.ok(clientCalls.includes('INSERT INTO'));
+  assert.deepEqual(stores.rooms.getSnapshot(), { 'AA:BB': 'Hallway' });
+  assert.deepEqual(JSON.parse(await readFile(join(dir, 'pairings.json'), 'utf8'))['AA:BB'].name, 'Front Door');
+  assert.equal(restored.length, 1);
+  assert.deepEqual(restored[0].previous.stores.rooms, { 'AA:BB': 'Porch' });
+});
+
+test('/api/restore rolls back and keeps stores when the database step fails', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'hc-backup-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const stores = await createStores(dir, { rooms: { 'AA:BB': 'Porch' } });
+
+  const clientCalls = [];
+  const client = {
+    async query(sql) {
+      clientCalls.push(sql.trim().split(/\s+/)[0]);
+      if (sql.includes('information_schema.columns')) throw new Error('boom');
+      return { rows: [], rowCount: 0 };
+    },
+    release() {},
+  };
+  const pool = {
+    async query() { return { rows: [] }; },
+    async connect() { return client; },
+  };
+  const router = createBackupRouter({ pool, stores });
+  const handler = getRouteHandler(router, 'POST', '/restore');
+
+  const res = createResponse();
+  await handler({ body: await encodeBackup(samplePayload()), query: {}, headers: {} }, res);
+  assert.equal(res.statusCode, 500);
+  assert.equal(clientCalls.at(-1), 'ROLLBACK');
+  assert.deepEqual(stores.rooms.getSnapshot(), { 'AA:BB': 'Porch' });
+});
+
+test('/api/restore reports success when the post-restore hook fails', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'hc-backup-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const stores = await createStores(dir, { rooms: { 'AA:BB': 'Porch' } });
+
+  const clientCalls = [];
+  const client = {
+    async query(sql) {
+      clientCalls.push(sql.trim().split(/\s+/)[0]);
+      if (sql.includes('information_schema.columns')) {
+        return { rows: ['id', 'name', 'operator', 'match_value', 'created_at'].map((column_name) => ({ column_name })) };
+      }
+      return { rows: [], rowCount: 1 };
+    },
+    release() {},
+  };
+  const pool = {
+    async query() { return { rows: [] }; },
+    async connect() { return client; },
+  };
+  const router = createBackupRouter({
+    pool,
+    stores,
+    onRestored: () => { throw new Error('resubscribe failed'); },
+  });
+  const handler = getRouteHandler(router, 'POST', '/restore');
+
+  const res = createResponse();
+  await handler({ body: await encodeBackup(samplePayload()), query: {}, headers: {} }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.dryRun, false);
+  assert.equal(clientCalls.at(-1), 'COMMIT');
+  assert.ok(!clientCalls.includes('ROLLBACK'));
+  assert.deepEqual(stores.rooms.getSnapshot(), { 'AA:BB': 'Hallway' });
+});
@@ -55,3 +55,35 @@ test('deriveDeviceHealth honors configured staleThresholdSeconds', () => {
   assert.equal(health.staleThresholdSeconds, 6 * 60 * 60);
   assert.equal(health.isStale, true);
 });
+
+test('deriveDeviceHealth prefers recorded reachability over event silence', () => {
+  const now = new Date('2026-02-26T18:00:00.000Z').getTime();
+  const quiet = {
+    lastSeen: '2026-02-25T18:00:00.000Z',
+    heartbeatSeconds: 600,
+    heartbeatSamples: 12,
+    staleThresholdSeconds: 12 * 60 * 60,
+    now,
+  };
+
+  const connected = deriveDeviceHealth({ ...quiet, reachability: { reachable: true, since: '2026-02-20T00:00:00.000Z' } });
+  assert.equal(connected.status, 'online');
+  assert.equal(connected.reachable, true);
+
+  // A live bridge connection says nothing about a bridged child.
+  const child = deriveDeviceHealth({ ...quiet, reachability: { reachable: true, direct: false } });
+  assert.equal(child.status, 'stale');
+
+  const dropped = deriveDeviceHealth({
+    ...quiet,
+    lastSeen: '2026-02-26T17:59:00.000Z',
+    reachability: { reachable: false, since: '2026-02-26T17:30:00.000Z' },
+  });
+  assert.equal(dropped.status, 'offline');
+  assert.equal(dropped.unreachableSeconds, 1800);
+  assert.equal(dropped.isStale, false);
+
+  const gone = deriveDeviceHealth({ ...quiet, reachability: { reachable: false, since: '2026-02-25T00:00:00.000Z' } });
+  assert.equal(gone.status, 'stale');
+  assert.equal(gone.staleReason, 'unreachable');
+});
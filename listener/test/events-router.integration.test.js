@@ -1,6 +1,8 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { createEventsRouter } from '../src/events-router.js';
+import { EventEmitter } from 'node:events';
+import { createEventsRouter, decodeCursor, encodeCursor } from '../src/events-router.js';
+import { publishEvent, getStreamSubscriberCount } from '../src/event-stream.js';
 
 function getRouteHandler(router, method, path) {
   for (const layer of router.stack) {
@@ -30,6 +32,22 @@ async function invoke(handler, query = {}) {
   return { statusCode, jsonBody };
 }
 
+function openStream(handler, { headers = {}, query = {} } = {}) {
+  const req = new EventEmitter();
+  req.headers = headers;
+  req.query = query;
+  const chunks = [];
+  const res = {
+    headers: {},
+    status() { return this; },
+    set(values) { Object.assign(this.headers, values); return this; },
+    flushHeaders() {},
+    write(chunk) { chunks.push(chunk); return true; },
+  };
+  const done = handler(req, res);
+  return { req, res, chunks, done };
+}
+
 test('/api/events orders by timestamp and id descending', async () => {
   const sqlSeen = [];
   const pool = {
@@ -50,16 +68,74 @@ test('/api/events orders by timestamp and id descending', async () => {
   assert.ok(selectSql.includes('ORDER BY timestamp DESC, id DESC'));
 });
 
+test('/api/events pages with (timestamp, id) cursors and skips COUNT by default', async () => {
+  const calls = [];
+  const pool = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      return {
+        rows: [
+          { id: '30', timestamp: new Date('2026-02-20T12:00:02.000Z'), cursor_ts: '2026-02-20 12:00:02.000123+00', accessory_id: 'a1' },
+          { id: '29', timestamp: new Date('2026-02-20T12:00:01.000Z'), cursor_ts: '2026-02-20 12:00:01.000456+00', accessory_id: 'a1' },
+          { id: '28', timestamp: new Date('2026-02-20T12:00:00.000Z'), cursor_ts: '2026-02-20 12:00:00+00', accessory_id: 'a1' },
+        ],
+      };
+    },
+  };
+
+  const router = createEventsRouter({ pool, getRooms: () => ({}) });
+  const handler = getRouteHandler(router, 'GET', '/events');
+  const cursor = encodeCursor('2026-02-20 12:00:03.5+00', '31');
+  const response = await invoke(handler, { limit: '2', cursor, room: 'Kitchen' });
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(calls.length, 1);
+  assert.ok(!calls[0].sql.includes('COUNT(*)'));
+  assert.ok(calls[0].sql.includes('(timestamp, id) < ($2::timestamptz, $3::bigint)'));
+  assert.deepEqual(calls[0].params, ['Kitchen', '2026-02-20 12:00:03.5+00', '31', 3]);
+
+  assert.equal(response.jsonBody.events.length, 2);
+  assert.equal(response.jsonBody.events[1].cursor_ts, undefined);
+  assert.equal(response.jsonBody.hasMore, true);
+  assert.equal(response.jsonBody.total, null);
+  assert.deepEqual(decodeCursor(response.jsonBody.nextCursor), {
+    timestamp: '2026-02-20 12:00:01.000456+00',
+    id: '29',
+  });
+});
+
+test('/api/events rejects malformed cursors and can estimate totals', async () => {
+  const sqlSeen = [];
+  const pool = {
+    async query(sql) {
+      sqlSeen.push(sql);
+      if (sql.startsWith('EXPLAIN')) return { rows: [{ 'QUERY PLAN': [{ Plan: { 'Plan Rows': 1234.4 } }] }] };
+      return { rows: [] };
+    },
+  };
+  const router = createEventsRouter({ pool, getRooms: () => ({}) });
+  const handler = getRouteHandler(router, 'GET', '/events');
+
+  const bad = await invoke(handler, { cursor: 'not-a-cursor' });
+  assert.equal(bad.statusCode, 400);
+
+  const estimated = await invoke(handler, { total: 'estimate' });
+  assert.equal(estimated.jsonBody.total, 1234);
+  assert.equal(estimated.jsonBody.totalEstimated, true);
+  assert.equal(estimated.jsonBody.nextCursor, null);
+  assert.equal(estimated.jsonBody.hasMore, false);
+});
+
 test('/api/events/jump uses deterministic tie-breaker for timestamp ties', async () => {
   const calls = [];
   const pool = {
     async query(sql, params) {
       calls.push({ sql, params });
-      if (sql.includes('SELECT id, timestamp')) {
-        return { rows: [{ id: 19, timestamp: '2026-02-20T12:00:00.000Z' }] };
+      if (sql.includes('SELECT id, timestamp,')) {
+        return { rows: [{ id: 19, timestamp: '2026-02-20T12:00:00.000Z', cursor_ts: '2026-02-20 12:00:00+00' }] };
       }
-      if (sql.includes('COUNT(*) AS newer')) {
-        return { rows: [{ newer: '4' }] };
+      if (sql.includes('ORDER BY timestamp ASC, id ASC')) {
+        return { rows: [{ id: 20, cursor_ts: '2026-02-20 12:00:00+00' }] };
       }
       throw new Error('Unexpected SQL');
     },
@@ -69,10 +145,75 @@ test('/api/events/jump uses deterministic tie-breaker for timestamp ties', async
   const handler = getRouteHandler(router, 'GET', '/events/jump');
   const response = await invoke(handler, { accessory: 'Lamp', hour: '12', limit: '2' });
   assert.equal(response.statusCode, 200);
-  assert.equal(response.jsonBody.page, 3);
+  assert.deepEqual(decodeCursor(response.jsonBody.cursor), { timestamp: '2026-02-20 12:00:00+00', id: '20' });
   assert.equal(response.jsonBody.eventId, '19');
 
-  const countCall = calls.find((entry) => entry.sql.includes('COUNT(*) AS newer'));
-  assert.ok(countCall.sql.includes('(timestamp > $1 OR (timestamp = $1 AND id > $2))'));
-  assert.equal(countCall.params[1], 19);
+  const neighbourCall = calls.find((entry) => entry.sql.includes('ORDER BY timestamp ASC, id ASC'));
+  assert.ok(neighbourCall.sql.includes('(timestamp > $1 OR (timestamp = $1 AND id > $2))'));
+  assert.equal(neighbourCall.params[1], 19);
+});
+
+test('/api/events/jump returns a null cursor when the match is the newest event', async () => {
+  const pool = {
+    async query(sql) {
+      if (sql.includes('SELECT id, timestamp,')) {
+        return { rows: [{ id: 50, cursor_ts: '2026-02-20 12:00:00+00' }] };
+      }
+      return { rows: [] };
+    },
+  };
+  const router = createEventsRouter({ pool, getRooms: () => ({}) });
+  const handler = getRouteHandler(router, 'GET', '/events/jump');
+  const response = await invoke(handler, { accessory: 'Lamp', hour: '12' });
+  assert.deepEqual(response.jsonBody, { cursor: null, eventId: '50' });
+});
+
+test('/api/events/stream relays inserted rows with room overrides', async () => {
+  const pool = { async query() { throw new Error('Unexpected SQL'); } };
+  const router = createEventsRouter({ pool, getRooms: () => ({ 'AA:BB:CC:DD:EE:FF': 'Kitchen' }) });
+  const handler = getRouteHandler(router, 'GET', '/events/stream');
+  const stream = openStream(handler);
+  await stream.done;
+
+  assert.equal(stream.res.headers['Content-Type'], 'text/event-stream');
+  assert.match(stream.chunks[0], /^retry: \d+/);
+
+  publishEvent({ id: '7', accessory_id: 'AA:BB:CC:DD:EE:FF:2', accessory_name: 'Lamp', room_name: null, characteristic: 'On', new_value: 'true' });
+  const message = stream.chunks.at(-1);
+  assert.ok(message.startsWith('id: 7\n'));
+  assert.equal(JSON.parse(message.split('data: ')[1]).room_name, 'Kitchen');
+
+  const before = getStreamSubscriberCount();
+  stream.req.emit('close');
+  assert.equal(getStreamSubscriberCount(), before - 1);
+});
+
+test('/api/events/stream replays rows after Last-Event-ID before live rows', async () => {
+  let releaseReplay;
+  const calls = [];
+  const pool = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      await new Promise((resolve) => { releaseReplay = resolve; });
+      return { rows: [{ id: '11', accessory_id: 'a1', room_name: null }, { id: '12', accessory_id: 'a1', room_name: null }] };
+    },
+  };
+  const router = createEventsRouter({ pool, getRooms: () => ({}) });
+  const handler = getRouteHandler(router, 'GET', '/events/stream');
+  const stream = openStream(handler, { headers: { 'last-event-id': '10' } });
+
+  // Row 12 is both replayed and published live; row 13 only arrives live.
+  publishEvent({ id: '12', accessory_id: 'a1', room_name: null });
+  publishEvent({ id: '13', accessory_id: 'a1', room_name: null });
+  releaseReplay();
+  await stream.done;
+
+  const ids = stream.chunks
+    .filter((chunk) => chunk.startsWith('id: '))
+    .map((chunk) => chunk.split('\n')[0].slice(4));
+  assert.deepEqual(ids, ['11', '12', '13']);
+  assert.ok(calls[0].sql.includes('WHERE id > $1'));
+  assert.equal(calls[0].params[0], '10');
+
+  stream.req.emit('close');
 });
@@ -0,0 +1,154 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { randomBytes } from 'node:crypto';
+import { Writable } from 'node:stream';
+import { gunzipSync } from 'node:zlib';
+
+process.env.EXPORT_BATCH_SIZE = '100';
+const { createExportRouter } = await import('../src/export-router.js');
+
+function getRouteHandler(router, method, path) {
+  for (const layer of router.stack) {
+    if (!layer.route) continue;
+    if (layer.route.path !== path) continue;
+    if (!layer.route.methods[method.toLowerCase()]) continue;
+    return layer.route.stack.at(-1).handle;
+  }
+  throw new Error(`Route not found: ${method} ${path}`);
+}
+
+// A slow, tiny-buffered response so the exporter has to wait for 'drain'.
+function createResponse() {
+  const chunks = [];
+  const res = new Writable({
+    highWaterMark: 64,
+    write(chunk, _encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      setImmediate(callback);
+    },
+  });
+  res.statusCode = 200;
+  res.headers = {};
+  res.jsonBody = null;
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (values) => { Object.assign(res.headers, values); return res; };
+  res.json = (body) => { res.jsonBody = body; return res; };
+  res.body = () => Buffer.concat(chunks);
+  res.finishedPromise = new Promise((resolve) => res.on('finish', resolve));
+  return res;
+}
+
+function makeRow(n, source = 'live') {
+  const second = String(n % 60).padStart(2, '0');
+  return {
+    id: String(n),
+    timestamp: new Date(`2026-03-01T10:00:${second}.000Z`),
+    cursor_ts: `2026-03-01 10:00:${second}+00`,
+    accessory_id: 'AA:BB:CC:DD:EE:FF',
+    accessory_name: 'Front, "Main" Door',
+    room_name: null,
+    service_type: 'LockMechanism',
+    characteristic: 'LockCurrentState',
+    old_value: n === 1 ? '=HYPERLINK("x")' : '0',
+    new_value: '-1',
+    protocol: 'homekit',
+    transport: 'ip',
+    endpoint_id: null,
+    cluster_id: null,
+    attribute_id: null,
+    raw_iid: 9,
+    source,
+  };
+}
+
+test('/api/export/events streams CSV in keyset batches over live and archive rows', async () => {
+  const calls = [];
+  const pool = {
+    async query(sql, params) {
+      calls.push({ sql, params });
+      if (calls.length === 1) return { rows: Array.from({ length: 100 }, (_, i) => makeRow(i + 1, i < 40 ? 'archive' : 'live')) };
+      return { rows: [makeRow(101)] };
+    },
+  };
+  const router = createExportRouter({ pool, getRooms: () => ({ 'AA:BB:CC:DD:EE:FF': 'Hallway' }) });
+  const handler = getRouteHandler(router, 'GET', '/export/events');
+  const req = new EventEmitter();
+  req.query = { room: 'Hallway' };
+  const res = createResponse();
+
+  await handler(req, res);
+  await res.finishedPromise;
+
+  assert.equal(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+  assert.match(res.headers['Content-Disposition'], /attachment; filename="homechronicle-events-\d{8}T\d{6}\.csv"/);
+
+  const lines = res.body().toString('utf8').trim().split('\r\n');
+  assert.equal(lines.length, 102);
+  assert.ok(lines[0].startsWith('id,timestamp,accessory_id'));
+  assert.ok(lines[1].includes(`"Front, ""Main"" Door",Hallway`));
+  assert.ok(lines[1].includes(`"'=HYPERLINK(""x"")",-1`));
+  assert.ok(lines[1].endsWith(',archive'));
+
+  assert.equal(calls.length, 2);
+  assert.ok(calls[0].sql.includes('FROM event_logs_archive'));
+  assert.ok(calls[1].sql.includes('(timestamp, id) > ($2::timestamptz, $3::bigint)'));
+  assert.ok(calls[1].sql.includes('(timestamp, source_id) > ($2::timestamptz, $3::bigint)'));
+  assert.deepEqual(calls[1].params, ['Hallway', '2026-03-01 10:00:40+00', '100', 100]);
+});
+
+test('/api/export/events supports gzip NDJSON and rejects unknown formats', async () => {
+  const pool = { async query() { return { rows: [makeRow(7)] }; } };
+  const router = createExportRouter({ pool, getRooms: () => ({}) });
+  const handler = getRouteHandler(router, 'GET', '/export/events');
+
+  const badReq = new EventEmitter();
+  badReq.query = { format: 'xml' };
+  const badRes = createResponse();
+  await handler(badReq, badRes);
+  assert.equal(badRes.statusCode, 400);
+
+  const req = new EventEmitter();
+  req.query = { format: 'ndjson', gzip: 'true' };
+  const res = createResponse();
+  await handler(req, res);
+  await res.finishedPromise;
+
+  assert.equal(res.headers['Content-Type'], 'application/gzip');
+  const records = gunzipSync(res.body()).toString('utf8').trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(records.length, 1);
+  assert.equal(records[0].id, '7');
+  assert.equal(records[0].cursor_ts, undefined);
+  assert.equal(records[0].source, 'live');
+});
+
+test('/api/export/events stops a gzip export when the client disconnects mid-stream', async () => {
+  let queries = 0;
+  const pool = {
+    async query() {
+      queries += 1;
+      // Incompressible names, so the gzip stream backs up quickly.
+      return { rows: Array.from({ length: 100 }, (_, i) => ({ ...makeRow(i + 1), accessory_name: randomBytes(256).toString('hex') })) };
+    },
+  };
+  const router = createExportRouter({ pool, getRooms: () => ({}) });
+  const handler = getRouteHandler(router, 'GET', '/export/events');
+  const req = new EventEmitter();
+  req.query = { format: 'csv', gzip: '1' };
+  // A client that stops reading: writes are never acknowledged.
+  const res = createResponse();
+  res._write = () => {};
+
+  const done = handler(req, res);
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  const stalledAt = queries;
+  res.destroy();
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('export did not stop')), 2000);
+  });
+  await Promise.race([done, timeout]).finally(() => clearTimeout(timer));
+  assert.ok(stalledAt >= 1);
+  assert.equal(queries, stalledAt);
+});
@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { createHomeKitBrowser, isSameAddress } from '../src/homekit-discovery.js';
+
+class FakeDiscovery extends EventEmitter {
+  start() { this.started = true; }
+  stop() { this.stopped = true; }
+}
+
+function service(overrides = {}) {
+  return {
+    id: 'AA:BB:CC:DD:EE:FF',
+    name: 'Desk Lamp',
+    address: '10.0.0.5',
+    allAddresses: ['10.0.0.5', 'fe80::1'],
+    port: 51826,
+    sf: 0,
+    ...overrides,
+  };
+}
+
+test('isSameAddress accepts any announced address on the same port', () => {
+  const pairing = { address: 'fe80::1', port: 51826 };
+  assert.equal(isSameAddress(pairing, service()), true);
+  assert.equal(isSameAddress(pairing, service({ port: 51827 })), false);
+  assert.equal(isSameAddress({ address: '10.0.0.4', port: 51826 }, service()), false);
+});
+
+test('browser applies address changes of paired accessories as they are announced', async () => {
+  const discoveries = [];
+  const changes = [];
+  let listChanges = 0;
+  const pairings = { 'AA:BB:CC:DD:EE:FF': { name: 'Desk Lamp', address: '10.0.0.4', port: 51826 } };
+  const browser = createHomeKitBrowser({
+    getPairing: (id) => pairings[id] ?? null,
+    onAddressChange: async (change) => {
+      changes.push(change);
+      pairings[change.deviceId] = { ...change.pairing, address: change.service.address };
+    },
+    onServicesChanged: () => { listChanges += 1; },
+    createDiscovery: () => {
+      const discovery = new FakeDiscovery();
+      discoveries.push(discovery);
+      return discovery;
+    },
+  });
+
+  browser.start();
+  assert.equal(discoveries[0].started, true);
+
+  discoveries[0].emit('serviceUp', service({ id: 'unpaired' }));
+  discoveries[0].emit('serviceChanged', service());
+  // A TXT-record change at the same address is not a move.
+  discoveries[0].emit('serviceChanged', service({ 's#': 2 }));
+  await browser.handleService(service({ id: 'unpaired' }));
+
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].source, 'browse');
+  assert.equal(changes[0].pairing.address, '10.0.0.4');
+  assert.deepEqual(browser.list().map((s) => s.id).sort(), ['AA:BB:CC:DD:EE:FF', 'unpaired']);
+
+  discoveries[0].emit('serviceDown', service({ id: 'unpaired' }));
+  assert.deepEqual(browser.list().map((s) => s.id), ['AA:BB:CC:DD:EE:FF']);
+  assert.equal(listChanges, 5);
+
+  browser.stop();
+  assert.equal(discoveries[0].stopped, true);
+  assert.equal(browser.isRunning(), false);
+});
+
+test('browser reopens after an mDNS error', async () => {
+  const discoveries = [];
+  const browser = createHomeKitBrowser({
+    getPairing: () => null,
+    onAddressChange: async () => {},
+    createDiscovery: () => {
+      const discovery = new FakeDiscovery();
+      discoveries.push(discovery);
+      return discovery;
+    },
+    restartDelayMs: 5,
+  });
+
+  browser.start();
+  discoveries[0].emit('error', new Error('EADDRINUSE'));
+  assert.equal(discoveries[0].stopped, true);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  assert.equal(discoveries.length, 2);
+  assert.equal(discoveries[1].started, true);
+  browser.stop();
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MATTER_CLUSTERS, toMatterClusterEvent, toMatterEvent } from '../src/matter-clusters.js';
+
+test('toMatterEvent converts Matter attributes to HomeKit characteristics and units', () => {
+  assert.deepEqual(
+    toMatterEvent('42', { endpointId: 1, clusterId: 0x0201, attributeName: 'localTemperature' }, 2150),
+    {
+      nodeId: '42',
+      endpointId: 1,
+      clusterId: 0x0201,
+      attributeId: 0,
+      serviceType: 'Thermostat',
+      characteristic: 'CurrentTemperature',
+      newValue: 21.5,
+    },
+  );
+
+  const convert = (clusterId, attributeName, value) => (
+    toMatterEvent('42', { endpointId: 1, clusterId, attributeName }, value)?.newValue
+  );
+  assert.equal(convert(0x0101, 'lockState', 1), 1);
+  assert.equal(convert(0x0101, 'lockState', 2), 0);
+  assert.equal(convert(0x0101, 'lockState', null), 3);
+  assert.equal(convert(0x0102, 'currentPositionLiftPercent100ths', 2500), 75);
+  assert.equal(convert(0x0008, 'currentLevel', 254), 100);
+  assert.equal(convert(0x002f, 'batPercentRemaining', 171), 86);
+  assert.equal(convert(0x0045, 'stateValue', true), 0);
+  assert.equal(convert(0x0406, 'occupancy', { occupied: true }), 1);
+  assert.equal(convert(0x0201, 'systemMode', 4), 1);
+});
+
+test('toMatterEvent matches by attribute ID and skips readings it cannot map', () => {
+  const event = toMatterEvent('42', { endpointId: 2, clusterId: 0x002f, attributeId: 0x000e }, 2);
+  assert.equal(event.characteristic, 'StatusLowBattery');
+  assert.equal(event.newValue, 1);
+
+  assert.equal(toMatterEvent('42', { endpointId: 1, clusterId: 0x0028, attributeName: 'vendorName' }, 'Acme'), null);
+  assert.equal(toMatterEvent('42', { endpointId: 1, clusterId: 0x0402, attributeName: 'minMeasuredValue' }, 0), null);
+  assert.equal(toMatterEvent('42', { endpointId: 1, clusterId: 0x0402, attributeName: 'measuredValue' }, null), null);
+  assert.equal(toMatterEvent('42', { endpointId: 1, clusterId: 0x0201, attributeName: 'systemMode' }, 7), null);
+});
+
+test('registry entries have unique cluster IDs and unique attributes per cluster', () => {
+  const ids = MATTER_CLUSTERS.map((c) => c.id);
+  assert.equal(new Set(ids).size, ids.length);
+  for (const cluster of MATTER_CLUSTERS) {
+    const names = cluster.attributes.map((a) => a.name);
+    assert.equal(new Set(names).size, names.length, cluster.name);
+    for (const attribute of cluster.attributes) {
+      assert.equal(typeof attribute.format, 'function', `${cluster.name}.${attribute.name}`);
+      assert.ok(attribute.characteristic, `${cluster.name}.${attribute.name}`);
+    }
+  }
+});
+
+test('toMatterClusterEvent decodes lock operations and switch presses with their fields', () => {
+  const lock = toMatterClusterEvent('42', { endpointId: 1, clusterId: 0x0101, eventName: 'lockOperation' }, {
+    eventNumber: 7n,
+    data: { lockOperationType: 1, operationSource: 3, userIndex: 2, fabricIndex: 1n, credentials: [{ credentialType: 1, credentialIndex: 4 }] },
+  });
+  assert.equal(lock.eventId, 0x02);
+  assert.equal(lock.serviceType, 'LockMechanism');
+  assert.equal(lock.characteristic, 'LockOperation');
+  assert.equal(lock.newValue, 'unlock');
+  assert.deepEqual(lock.eventData, {
+    lockOperationType: 'unlock',
+    operationSource: 'keypad',
+    userIndex: 2,
+    fabricIndex: '1',
+    credentials: [{ credentialType: 'pin', credentialIndex: 4 }],
+  });
+
+  const press = toMatterClusterEvent('42', { endpointId: 2, clusterId: 0x003b, eventId: 0x06 }, {
+    data: { newPosition: 1, totalNumberOfPressesCounted: 2 },
+  });
+  assert.equal(press.characteristic, 'MultiPressComplete');
+  assert.equal(press.newValue, 2);
+
+  assert.equal(toMatterClusterEvent('42', { endpointId: 1, clusterId: 0x0101, eventName: 'lockUserChange' }, { data: {} }), null);
+  assert.equal(toMatterClusterEvent('42', { endpointId: 1, clusterId: 0x0006, eventId: 0 }, { data: {} }), null);
+});
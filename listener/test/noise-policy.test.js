@@ -0,0 +1,124 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createNoiseGate,
+  drainSuppressionCounts,
+  resolveNoisePolicy,
+  setNoisePolicyConfig,
+  validateNoisePolicy,
+} from '../src/noise-policy.js';
+
+const info = { accessoryId: 'AA:BB', accessoryName: 'Robot', characteristic: 'On', protocol: 'homekit' };
+
+function recorder() {
+  const logged = [];
+  let last = null;
+  return {
+    logged,
+    get last() { return last; },
+    offer(gate, newValue, policy) {
+      return gate.offer({
+        key: 'AA:BB:1.10',
+        policy,
+        oldValue: last,
+        newValue,
+        info,
+        emit: async () => {
+          logged.push(`${last}→${newValue}`);
+          last = newValue;
+        },
+      });
+    },
+  };
+}
+
+test('resolveNoisePolicy merges characteristic, accessory and per-characteristic rules', () => {
+  setNoisePolicyConfig({
+    characteristics: { CurrentTemperature: { deadband: 0.5, minIntervalSeconds: 60 } },
+    accessories: {
+      'AA:BB': { '*': { flapWindowSeconds: 30 }, CurrentTemperature: { minIntervalSeconds: 0 } },
+      bad: { On: { deadband: -1 } },
+    },
+  });
+
+  assert.deepEqual(resolveNoisePolicy('AA:BB', 'CurrentTemperature'), { deadband: 0.5, flapWindowSeconds: 30 });
+  assert.deepEqual(resolveNoisePolicy('CC:DD', 'CurrentTemperature'), { deadband: 0.5, minIntervalSeconds: 60 });
+  assert.equal(resolveNoisePolicy('bad', 'On'), null);
+  assert.match(validateNoisePolicy({ minIntervalSeconds: 1.5 }).error, /integer/);
+  assert.match(validateNoisePolicy({ debounce: 1 }).error, /Unknown policy field/);
+  setNoisePolicyConfig({});
+});
+
+test('noise gate drops changes inside the deadband', async () => {
+  drainSuppressionCounts();
+  const gate = createNoiseGate();
+  const temp = recorder();
+
+  assert.equal(await temp.offer(gate, '20.0', { deadband: 0.5 }), 'logged');
+  assert.equal(await temp.offer(gate, '20.3', { deadband: 0.5 }), 'suppressed');
+  assert.equal(await temp.offer(gate, '20.6', { deadband: 0.5 }), 'logged');
+  assert.deepEqual(temp.logged, ['null→20.0', '20.0→20.6']);
+  assert.deepEqual(drainSuppressionCounts().map((row) => [row.reason, row.count]), [['deadband', 1]]);
+});
+
+test('noise gate logs the latest change held by the minimum interval when it ends', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const now = mock.method(Date, 'now', () => 0);
+  t.after(() => now.mock.restore());
+  drainSuppressionCounts();
+  const gate = createNoiseGate();
+  const temp = recorder();
+  const policy = { minIntervalSeconds: 60 };
+
+  await temp.offer(gate, '20.0', policy);
+  now.mock.mockImplementation(() => 15_000);
+  assert.equal(await temp.offer(gate, '21.5', policy), 'held');
+  assert.equal(await temp.offer(gate, '22.0', policy), 'held');
+  t.mock.timers.tick(45_000);
+  await new Promise((resolve) => setImmediate(resolve));
+
+  // The sensor stays put after one move; the reading is still logged.
+  assert.deepEqual(temp.logged, ['null→20.0', '20.0→22.0']);
+  assert.equal(gate.pendingCount(), 0);
+  assert.deepEqual(drainSuppressionCounts().map((row) => [row.reason, row.count]), [['minInterval', 1]]);
+});
+
+test('noise gate holds on → off and drops it when the value turns back on', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  drainSuppressionCounts();
+  const gate = createNoiseGate();
+  const robot = recorder();
+  const policy = { delayOffSeconds: 900 };
+
+  await robot.offer(gate, 'true', policy);
+  assert.equal(await robot.offer(gate, 'false', policy), 'held');
+  assert.equal(await robot.offer(gate, 'true', policy), 'suppressed');
+  assert.equal(gate.pendingCount(), 0);
+
+  assert.equal(await robot.offer(gate, 'false', policy), 'held');
+  t.mock.timers.tick(900_000);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(robot.logged, ['null→true', 'true→false']);
+  assert.deepEqual(drainSuppressionCounts().map((row) => [row.reason, row.count]), [['delayOff', 2]]);
+});
+
+test('noise gate collapses flaps into the net change at the end of the window', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const now = mock.method(Date, 'now', () => 0);
+  t.after(() => now.mock.restore());
+  drainSuppressionCounts();
+  const gate = createNoiseGate();
+  const door = recorder();
+  const policy = { flapWindowSeconds: 10 };
+
+  await door.offer(gate, '0', policy);
+  now.mock.mockImplementation(() => 2_000);
+  assert.equal(await door.offer(gate, '1', policy), 'held');
+  assert.equal(await door.offer(gate, '0', policy), 'held');
+  assert.equal(await door.offer(gate, '1', policy), 'held');
+  t.mock.timers.tick(8_000);
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepEqual(door.logged, ['null→0', '0→1']);
+  assert.deepEqual(drainSuppressionCounts().map((row) => [row.reason, row.count]), [['flap', 2]]);
+});
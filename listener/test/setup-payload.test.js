@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { findBySetupId, parseSetupPayload, setupHashFor } from '../src/setup-payload.js';
+
+// Same packing HAP-NodeJS uses when it prints an accessory's QR code.
+function encodePayload({ code, category, setupId, flags = 0x2, version = 0 }) {
+  let value = BigInt(Number(code.replace(/-/g, '')));
+  value |= BigInt(flags) << 27n;
+  value |= BigInt(category) << 31n;
+  value |= BigInt(version) << 43n;
+  return `X-HM://${value.toString(36).toUpperCase().padStart(9, '0')}${setupId}`;
+}
+
+test('parseSetupPayload decodes the setup code, category, setup ID and transports', () => {
+  assert.deepEqual(parseSetupPayload('X-HM://0023ISYWY1QJ8').value, {
+    setupCode: '031-45-154',
+    setupId: '1QJ8',
+    category: 2,
+    transports: { ip: true, ble: false, nfc: false },
+  });
+
+  const payload = encodePayload({ code: '482-91-307', category: 5, setupId: 'AB12', flags: 0x3 });
+  assert.deepEqual(parseSetupPayload(` ${payload.toLowerCase()} `).value, {
+    setupCode: '482-91-307',
+    setupId: 'AB12',
+    category: 5,
+    transports: { ip: true, ble: false, nfc: true },
+  });
+});
+
+test('parseSetupPayload rejects malformed payloads', () => {
+  assert.match(parseSetupPayload('123-45-678').error, /X-HM:\/\//);
+  assert.match(parseSetupPayload('X-HM://0023ISYWY1QJ').error, /X-HM:\/\//);
+  assert.match(parseSetupPayload(encodePayload({ code: '111-11-111', category: 5, setupId: 'AB12' })).error, /setup code/);
+  assert.match(parseSetupPayload(encodePayload({ code: '482-91-307', category: 0, setupId: 'AB12' })).error, /category/);
+  assert.match(parseSetupPayload(encodePayload({ code: '482-91-307', category: 5, setupId: 'AB12', version: 1 })).error, /version 1/);
+});
+
+test('findBySetupId matches the accessory announcing the setup hash', () => {
+  const accessories = [
+    { id: 'AA:BB:CC:DD:EE:01', setupHash: setupHashFor('AB12', 'aa:bb:cc:dd:ee:01') },
+    { id: 'AA:BB:CC:DD:EE:02', setupHash: setupHashFor('ZZ99', 'AA:BB:CC:DD:EE:02') },
+    { id: 'AA:BB:CC:DD:EE:03', setupHash: null },
+  ];
+  assert.equal(setupHashFor('AB12', 'AA:BB:CC:DD:EE:01').length, 8);
+  assert.deepEqual(findBySetupId(accessories, 'AB12').map((a) => a.id), ['AA:BB:CC:DD:EE:01']);
+  assert.deepEqual(findBySetupId(accessories, 'QQ00'), []);
+});
@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createStateRouter } from '../src/state-router.js';
+
+function getRouteHandler(router, method, path) {
+  for (const layer of router.stack) {
+    if (!layer.route) continue;
+    if (layer.route.path !== path) continue;
+    if (!layer.route.methods[method.toLowerCase()]) continue;
+    return layer.route.stack.at(-1).handle;
+  }
+  throw new Error(`Route not found: ${method} ${path}`);
+}
+
+async function invoke(handler, query = {}) {
+  let statusCode = 200;
+  let jsonBody = null;
+  const req = { query };
+  const res = {
+    status(code) {
+      statusCode = code;
+      return this;
+    },
+    json(body) {
+      jsonBody = body;
+      return this;
+    },
+  };
+  await handler(req, res);
+  return { statusCode, jsonBody };
+}
+
+function stateRow(overrides = {}) {
+  return {
+    protocol: 'homekit',
+    accessory_id: 'AA:BB:CC:DD:EE:FF',
+    accessory_name: 'Desk Lamp',
+    room_name: 'Office',
+    service_type: 'Lightbulb',
+    characteristic: 'On',
+    value: 'true',
+    endpoint_id: null,
+    cluster_id: null,
+    attribute_id: null,
+    raw_iid: 10,
+    event_id: 42,
+    updated_at: new Date('2026-03-01T10:00:00Z'),
+    ...overrides,
+  };
+}
+
+test('/api/state groups current values by accessory and skips unwatched characteristics', async () => {
+  const queries = [];
+  const pool = {
+    async query(sql, params) {
+      queries.push({ sql, params });
+      return {
+        rows: [
+          stateRow(),
+          stateRow({ characteristic: 'Brightness', value: '80', raw_iid: 11, updated_at: new Date('2026-03-01T11:00:00Z') }),
+          stateRow({ characteristic: 'Hue', value: '120', raw_iid: 12 }),
+          stateRow({
+            protocol: 'matter',
+            accessory_id: '1234:1',
+            accessory_name: 'Plug',
+            room_name: null,
+            service_type: 'OnOffPlugInUnit',
+            characteristic: 'OnOff',
+            value: '1',
+            raw_iid: null,
+            endpoint_id: 1,
+            cluster_id: 6,
+            attribute_id: 0,
+            event_id: 43,
+          }),
+        ],
+      };
+    },
+  };
+  const router = createStateRouter({
+    pool,
+    getRooms: () => ({ '1234:1': 'Kitchen' }),
+    isWatched: (_accessoryId, iid) => (iid === 12 ? false : null),
+  });
+
+  const { statusCode, jsonBody } = await invoke(getRouteHandler(router, 'get', '/state'));
+  assert.equal(statusCode, 200);
+  assert.equal(jsonBody.count, 3);
+  assert.deepEqual(jsonBody.accessories.map((a) => [a.accessory_id, a.room_name, a.updated_at]), [
+    ['AA:BB:CC:DD:EE:FF', 'Office', '2026-03-01T11:00:00.000Z'],
+    ['1234:1', 'Kitchen', '2026-03-01T10:00:00.000Z'],
+  ]);
+  assert.deepEqual(jsonBody.accessories[0].characteristics.map((c) => [c.characteristic, c.value]), [
+    ['On', 'true'],
+    ['Brightness', '80'],
+  ]);
+  assert.equal(jsonBody.accessories[1].characteristics[0].cluster_id, 6);
+  assert.equal(jsonBody.accessories[1].characteristics[0].event_id, '43');
+  assert.deepEqual(queries[0].params, []);
+
+  const kitchen = await invoke(getRouteHandler(router, 'get', '/state'), { room: 'kitchen', accessoryId: '1234:1' });
+  assert.deepEqual(kitchen.jsonBody.accessories.map((a) => a.accessory_id), ['1234:1']);
+  assert.deepEqual(queries[1].params, ['1234:1']);
+  assert.match(queries[1].sql, /accessory_id = \$1/);
+});
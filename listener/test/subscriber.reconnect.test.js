@@ -1,6 +1,8 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { __testHooks } from '../src/subscriber.js';
+import { EventEmitter } from 'node:events';
+import { __testHooks, applyWatchLists, forgetCachedValues, primeValueCache, reconnectSubscriber, startSubscriber } from '../src/subscriber.js';
+import { getAccessoryCapabilities, setWatchListConfig } from '../src/accessory-metadata.js';
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
@@ -14,6 +16,11 @@ test('scheduleReconnect refreshes pairing before reconnecting', async () => {
   __testHooks.setConnectAccessoryImpl((_session, pairing) => {
     reconnectedWith = pairing;
   });
+  const inserted = [];
+  __testHooks.setInsertEventImpl(async (event) => {
+    inserted.push(event);
+    return { id: inserted.length, timestamp: new Date().toISOString() };
+  });
 
   const session = {
     stopped: false,
@@ -30,6 +37,8 @@ test('scheduleReconnect refreshes pairing before reconnecting', async () => {
   assert.equal(session.retryDelayMs, 10);
   assert.equal(reconnectedWith.address, '10.0.0.2');
   assert.equal(reconnectedWith.port, 5678);
+  // Logged even for a session without stats.
+  assert.deepEqual(inserted.map((e) => [e.characteristic, e.newValue]), [['Reachable', 'false']]);
 
   __testHooks.resetState();
 });
@@ -45,6 +54,7 @@ test('scheduleReconnect stops growth at max reconnect delay', () => {
     retryDelayMs: 20,
     reconnectTimeout: null,
   };
+  __testHooks.setInsertEventImpl(async () => ({ id: 1, timestamp: new Date().toISOString() }));
 
   __testHooks.scheduleReconnect(session, { name: 'Device', address: 'x', port: 1 });
   assert.equal(session.retryDelayMs, 20);
@@ -53,3 +63,254 @@ test('scheduleReconnect stops growth at max reconnect delay', () => {
 
   __testHooks.resetState();
 });
+
+test('applyWatchLists resubscribes live sessions to the changed watch list', async () => {
+  __testHooks.resetState();
+  __testHooks.setConnectAccessoryImpl(() => {});
+  startSubscriber('dev-3', { name: 'Fan', address: 'x', port: 1 });
+
+  const calls = [];
+  const session = __testHooks.getSession('dev-3');
+  session.client = {
+    async subscribeCharacteristics(keys) { calls.push(['subscribe', keys]); },
+    async unsubscribeCharacteristics(keys) { calls.push(['unsubscribe', keys]); },
+  };
+  session.accessories = {
+    accessories: [{
+      aid: 1,
+      services: [{
+        iid: 10,
+        type: 'B7',
+        characteristics: [{ iid: 11, type: 'B0' }, { iid: 12, type: '29' }],
+      }],
+    }],
+  };
+  session.subscribedKeys = new Set(['1.11']);
+
+  try {
+    setWatchListConfig({ accessories: { 'dev-3': { B0: false, 29: true } } });
+    await applyWatchLists();
+    assert.deepEqual(calls, [['unsubscribe', ['1.11']], ['subscribe', ['1.12']]]);
+    assert.deepEqual([...session.subscribedKeys], ['1.12']);
+    assert.equal(session.iidMeta.get('1.12').characteristicName, 'RotationSpeed');
+
+    // Nothing changed, nothing sent.
+    await applyWatchLists();
+    assert.equal(calls.length, 2);
+  } finally {
+    setWatchListConfig({});
+    __testHooks.resetState();
+  }
+});
+
+test('reconcileSession logs reachability, a connectivity gap after backoff and reads watched characteristics', async () => {
+  __testHooks.resetState();
+  __testHooks.setReconnectWindow(5, 20);
+  __testHooks.setConnectAccessoryImpl(() => {});
+  startSubscriber('dev-4', { name: 'Hall Lock', address: 'x', port: 1 }, { 'dev-4': 'Hallway' });
+
+  const inserted = [];
+  __testHooks.setInsertEventImpl(async (event) => {
+    inserted.push(event);
+    return { id: inserted.length, timestamp: new Date().toISOString() };
+  });
+
+  const handled = [];
+  const session = __testHooks.getSession('dev-4');
+  session.client = {
+    async getCharacteristics(keys) {
+      assert.deepEqual(keys, ['1.11', '1.12']);
+      return { characteristics: [{ aid: 1, iid: 11, value: 1 }, { aid: 1, iid: 12, status: -70407 }] };
+    },
+    off() {},
+  };
+  session.eventHandler = async (event, options) => { handled.push([event, options]); };
+
+  try {
+    // First subscribe after startup: reachable and read, but no gap.
+    await __testHooks.reconcileSession(session, ['1.11', '1.12']);
+    assert.deepEqual(inserted.map((e) => [e.characteristic, e.oldValue, e.newValue]), [['Reachable', null, 'true']]);
+    assert.deepEqual(handled[0], [{ characteristics: [{ aid: 1, iid: 11, value: 1 }] }, { reconciled: true }]);
+
+    session.disconnectedAt = new Date(Date.now() - 90_000);
+    __testHooks.scheduleReconnect(session, session.pairing);
+    clearTimeout(session.reconnectTimeout);
+    session.reconnectTimeout = null;
+    assert.equal(session.outageStartedAt, session.disconnectedAt);
+    await sleep(0);
+    assert.deepEqual(inserted.slice(1).map((e) => [e.characteristic, e.newValue, e.stateKey]), [['Reachable', 'false', 'dev-4:reachable']]);
+
+    await __testHooks.reconcileSession(session, ['1.11', '1.12']);
+    assert.equal(inserted.length, 4);
+    const gap = inserted[2];
+    assert.equal(gap.characteristic, 'ConnectivityGap');
+    assert.equal(gap.accessoryId, 'dev-4');
+    assert.equal(gap.roomName, 'Hallway');
+    assert.ok(Number(gap.newValue) >= 90);
+    assert.ok(gap.gapStartedAt instanceof Date);
+    assert.deepEqual([inserted[3].characteristic, inserted[3].oldValue, inserted[3].newValue], ['Reachable', 'false', 'true']);
+    assert.equal(handled.length, 2);
+    assert.equal(session.outageStartedAt, null);
+    assert.equal(session.stats.connectivityGaps, 1);
+  } finally {
+    __testHooks.resetState();
+  }
+});
+
+test('reconnectSubscriber reconnects at the new address without dropping the session', async () => {
+  __testHooks.resetState();
+  const connects = [];
+  __testHooks.setConnectAccessoryImpl((session, pairing) => {
+    connects.push(pairing.address);
+  });
+
+  startSubscriber('dev-move', { name: 'Lamp', address: '10.0.0.4', port: 1234 });
+  const session = __testHooks.getSession('dev-move');
+  const removed = [];
+  let closed = false;
+  session.client = {
+    off(event) { removed.push(event); },
+    async close() { closed = true; },
+  };
+  session.eventHandler = () => {};
+  session.disconnectHandler = () => {};
+  session.retryDelayMs = 40_000;
+  session.reconnectTimeout = setTimeout(() => assert.fail('stale reconnect fired'), 20);
+
+  assert.equal(reconnectSubscriber('dev-move', { name: 'Lamp', address: '10.0.0.9', port: 1234 }), true);
+  await sleep(30);
+
+  assert.deepEqual(connects, ['10.0.0.4', '10.0.0.9']);
+  assert.equal(__testHooks.getSession('dev-move'), session);
+  assert.deepEqual(removed, ['event', 'event-disconnect']);
+  assert.equal(closed, true);
+  assert.equal(session.reconnectTimeout, null);
+  assert.equal(session.retryDelayMs, 5_000);
+  assert.equal(reconnectSubscriber('unknown', { name: 'x', address: 'y', port: 1 }), false);
+
+  __testHooks.resetState();
+});
+
+test('forgetCachedValues makes the next reading log again after its state is deleted', async () => {
+  __testHooks.resetState();
+  __testHooks.setConnectAccessoryImpl(() => {});
+  startSubscriber('dev-wipe', { name: 'Porch Light', address: 'x', port: 1 });
+  const inserted = [];
+  __testHooks.setInsertEventImpl(async (event) => {
+    inserted.push(event);
+    return { id: inserted.length, timestamp: new Date().toISOString() };
+  });
+  const session = __testHooks.getSession('dev-wipe');
+
+  try {
+    primeValueCache([{ protocol: 'homekit', state_key: 'dev-wipe:reachable', value: 'true' }]);
+    await __testHooks.reconcileSession(session, []);
+    assert.equal(inserted.length, 0);
+
+    forgetCachedValues([{ protocol: 'homekit', state_key: 'dev-wipe:reachable' }]);
+    await __testHooks.reconcileSession(session, []);
+    assert.deepEqual(inserted.map((e) => [e.characteristic, e.oldValue, e.newValue]), [['Reachable', null, 'true']]);
+  } finally {
+    __testHooks.resetState();
+  }
+});
+
+test('applyWatchLists refreshes capabilities of sessions in reconnect backoff without subscribing', async () => {
+  __testHooks.resetState();
+  __testHooks.setConnectAccessoryImpl(() => {});
+  startSubscriber('dev-5', { name: 'Fan', address: 'x', port: 1 });
+
+  const session = __testHooks.getSession('dev-5');
+  session.client = null;
+  session.reconnectTimeout = setTimeout(() => {}, 60_000);
+  session.accessories = {
+    accessories: [{
+      aid: 1,
+      services: [{
+        iid: 10,
+        type: 'B7',
+        characteristics: [{ iid: 11, type: 'B0' }, { iid: 12, type: '29' }],
+      }],
+    }],
+  };
+  session.subscribedKeys = new Set();
+
+  const watched = () => Object.fromEntries(getAccessoryCapabilities('dev-5').services[0].characteristics
+    .map((char) => [char.iid, char.watched]));
+
+  try {
+    setWatchListConfig({ accessories: { 'dev-5': { B0: false, 29: true } } });
+    await applyWatchLists();
+    assert.deepEqual(watched(), { 11: false, 12: true });
+    assert.deepEqual([...session.iidMeta.keys()], ['1.12']);
+    assert.equal(session.subscribedKeys.size, 0);
+  } finally {
+    setWatchListConfig({});
+    __testHooks.resetState();
+  }
+});
+
+test('a connect attempt superseded by reconnectSubscriber leaves the session alone', async () => {
+  __testHooks.resetState();
+  __testHooks.setReconnectWindow(5, 20);
+  const inserted = [];
+  __testHooks.setInsertEventImpl(async (event) => {
+    inserted.push(event);
+    return { id: inserted.length, timestamp: new Date().toISOString() };
+  });
+  const accessories = {
+    accessories: [{ aid: 1, services: [{ iid: 10, type: 'B7', characteristics: [{ iid: 11, type: 'B0' }] }] }],
+  };
+  const clients = [];
+  __testHooks.setCreateClientImpl((_deviceId, address) => {
+    let settle;
+    const client = new EventEmitter();
+    client.address = address;
+    client.getAccessories = () => new Promise((resolve, reject) => { settle = { resolve, reject }; });
+    client.settle = () => settle;
+    client.subscribeCharacteristics = async () => {};
+    client.getCharacteristics = async () => ({ characteristics: [] });
+    client.close = async () => {};
+    clients.push(client);
+    return client;
+  });
+
+  try {
+    setWatchListConfig({ accessories: { 'dev-6': { B0: true } } });
+    startSubscriber('dev-6', { name: 'Lamp', address: '10.0.0.4', port: 1 });
+    const session = __testHooks.getSession('dev-6');
+    reconnectSubscriber('dev-6', { name: 'Lamp', address: '10.0.0.9', port: 1 });
+    assert.deepEqual(clients.map((c) => c.address), ['10.0.0.4', '10.0.0.9']);
+
+    clients[1].settle().resolve(accessories);
+    await sleep(0);
+    assert.equal(session.client, clients[1]);
+    const liveHandler = session.eventHandler;
+    assert.equal(clients[1].listenerCount('event'), 1);
+
+    // The old address finally times out, or answers late.
+    clients[0].settle().reject(new Error('ETIMEDOUT'));
+    await sleep(30);
+    assert.equal(session.reconnectTimeout, null);
+    assert.equal(clients.length, 2);
+    assert.equal(session.client, clients[1]);
+    assert.equal(session.eventHandler, liveHandler);
+    assert.deepEqual(inserted.map((e) => [e.characteristic, e.newValue]), [['Reachable', 'true']]);
+
+
+    // A superseded attempt that succeeds late doesn't take over either.
+    reconnectSubscriber('dev-6', { name: 'Lamp', address: '10.0.0.10', port: 1 });
+    reconnectSubscriber('dev-6', { name: 'Lamp', address: '10.0.0.11', port: 1 });
+    clients[3].settle().resolve(accessories);
+    await sleep(0);
+    const newestHandler = session.eventHandler;
+    clients[2].settle().resolve(accessories);
+    await sleep(0);
+    assert.equal(clients[2].listenerCount('event'), 0);
+    assert.equal(session.client, clients[3]);
+    assert.equal(session.eventHandler, newestHandler);
+  } finally {
+    setWatchListConfig({});
+    __testHooks.resetState();
+  }
+});
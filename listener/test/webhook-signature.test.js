@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import {
+  buildSignatureHeaders,
+  generateSigningSecret,
+  verifyWebhookSignature,
+} from '../src/webhook-signature.js';
+
+const NOW = Date.parse('2026-02-26T12:00:00.000Z');
+
+test('buildSignatureHeaders signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+  const body = '{"type":"homechronicle.alert"}';
+  const headers = buildSignatureHeaders(['hcsec_test'], body, NOW);
+  const timestamp = String(NOW / 1000);
+  const expected = createHmac('sha256', 'hcsec_test').update(`${timestamp}.${body}`).digest('hex');
+
+  assert.equal(headers['x-homechronicle-timestamp'], timestamp);
+  assert.equal(headers['x-homechronicle-signature'], `v1=${expected}`);
+});
+
+test('verifyWebhookSignature accepts valid signatures and rejects tampering, skew and bad input', () => {
+  const secret = generateSigningSecret();
+  assert.match(secret, /^hcsec_[A-Za-z0-9_-]{43}$/);
+  const body = '{"rule":{"id":1}}';
+  const headers = buildSignatureHeaders([secret], body, NOW);
+  const request = {
+    secret,
+    body,
+    timestamp: headers['x-homechronicle-timestamp'],
+    signature: headers['x-homechronicle-signature'],
+    now: NOW + 60_000,
+  };
+
+  assert.deepEqual(verifyWebhookSignature(request), { ok: true });
+  assert.deepEqual(verifyWebhookSignature({ ...request, body: Buffer.from(body) }), { ok: true });
+  assert.deepEqual(verifyWebhookSignature({ ...request, secret: ['hcsec_other', secret] }), { ok: true });
+  assert.equal(verifyWebhookSignature({ ...request, body: '{"rule":{"id":2}}' }).error, 'Signature mismatch');
+  assert.equal(verifyWebhookSignature({ ...request, now: NOW + 10 * 60_000 }).error, 'Timestamp outside tolerance');
+  assert.equal(verifyWebhookSignature({ ...request, timestamp: '12abc' }).error, 'Missing or invalid timestamp');
+  assert.equal(verifyWebhookSignature({ ...request, signature: 'v0=abc' }).error, 'Missing signature');
+  assert.equal(verifyWebhookSignature({ ...request, secret: '' }).error, 'No secret configured');
+});
@@ -1,5 +1,5 @@
 import { useCallback, useEffect, useMemo, useState } from 'react';
-import { LayoutList, BarChart2, Home, Settings, Monitor, Sun, Moon, Paintbrush2, Bell, Link2, Unlink2 } from 'lucide-react';
+import { LayoutList, BarChart2, Home, Settings, Monitor, Sun, Moon, Paintbrush2, Bell, Link2, Unlink2, LogOut } from 'lucide-react';
 import clsx from 'clsx';
 import Timeline from './components/Timeline.jsx';
 import StatsCards from './components/StatsCards.jsx';
@@ -18,6 +18,9 @@ import Setup from './components/Setup.jsx';
 import Alerts from './components/Alerts.jsx';
 import BrandLogo from './components/BrandLogo.jsx';
 import ChangelogModal from './components/ChangelogModal.jsx';
+import Login from './components/Login.jsx';
+import { AuthContext, ROLE_LABELS } from './hooks/useAuth.js';
+import { AUTH_REQUIRED_EVENT } from './lib/api.js';
 import { useTheme } from './hooks/useTheme.js';
 import { useSkin } from './hooks/useSkin.js';
 import { useUpdateCheck } from './hooks/useUpdateCheck.js';
@@ -32,6 +35,13 @@ const TABS = [
   { id: 'setup',      label: 'Manage',      icon: Settings },
 ];
 const ALERTS_TAB = { id: 'alerts', label: 'Alerts', icon: Bell };
+
+/** `?tab=` from a deep link (e.g. an alert digest's Timeline link), else the dashboard. */
+function initialTab() {
+  if (typeof window === 'undefined') return 'dashboard';
+  const requested = new URLSearchParams(window.location.search).get('tab');
+  return [...TABS, ALERTS_TAB].some(({ id }) => id === requested) ? requested : 'dashboard';
+}
 const DASHBOARD_WINDOWS = [
   { label: '7d', days: 7 },
   { label: '30d', days: 30 },
@@ -68,9 +78,10 @@ const SKIN_SWATCH_DARK = {
 };
 
 export default function App() {
-  const [tab, setTab]               = useState('dashboard');
+  const [tab, setTab]               = useState(initialTab);
   const [selectedAccessoryId, setSelectedAccessoryId] = useState(null);
   const [alertsEnabled, setAlertsEnabled] = useState(false);
+  const [auth, setAuth] = useState({ mode: 'token', user: null });
   const [isSkinPickerOpen, setIsSkinPickerOpen] = useState(false);
   const [isStandalonePwa, setIsStandalonePwa] = useState(false);
   const [dashboardDays, setDashboardDays] = useState(() => {
@@ -138,6 +149,37 @@ export default function App() {
     return () => { active = false; };
   }, []);
 
+  const refreshAuth = useCallback(() => {
+    if (typeof fetch !== 'function') return;
+    fetch('/api/auth/status')
+      .then((res) => res.json())
+      .then((data) => {
+        if (data?.mode === 'token' || data?.mode === 'users') {
+          setAuth({ mode: data.mode, user: data.user ?? null });
+        }
+      })
+      .catch(() => {
+        // Older listeners have no accounts; keep the token-mode default.
+      });
+  }, []);
+
+  const signOut = useCallback(() => {
+    fetch('/api/auth/logout', { method: 'POST' })
+      .catch(() => {
+        // The session is dropped locally either way.
+      })
+      .finally(() => setAuth((current) => ({ ...current, user: null })));
+  }, []);
+
+  const authContextValue = useMemo(() => ({ ...auth, signOut }), [auth, signOut]);
+
+  useEffect(() => {
+    refreshAuth();
+    if (typeof window === 'undefined') return undefined;
+    window.addEventListener(AUTH_REQUIRED_EVENT, refreshAuth);
+    return () => window.removeEventListener(AUTH_REQUIRED_EVENT, refreshAuth);
+  }, [refreshAuth]);
+
   useEffect(() => {
     if (!alertsEnabled && tab === 'alerts') setTab('timeline');
   }, [alertsEnabled, tab]);
@@ -223,264 +265,288 @@ export default function App() {
     }
   }
 
+  if (auth.mode === 'users' && !auth.user) {
+    return <Login onSignedIn={(user) => setAuth({ mode: 'users', user })} />;
+  }
+
   return (
-    <div className={clsx('min-h-screen bg-gray-50 flex flex-col', isStandalonePwa && 'hc-pwa-shell')}>
-      {/* Header */}
-      <header className="hc-app-header bg-white border-b border-gray-200 px-3 sm:px-4 py-3 flex flex-wrap items-center gap-3">
-        {!isStandalonePwa && (
-          <BrandLogo className="h-12 sm:h-14 w-auto max-w-[260px] sm:max-w-[300px] flex-shrink-0" />
-        )}
-        {!isStandalonePwa && <span className="flex-1 hidden md:block" />}
-
-        <nav className="hc-tab-nav order-3 md:order-none w-full md:w-auto flex gap-1 overflow-x-auto pb-1 -mb-1">
-          {tabs.map(({ id, label, icon: Icon }) => (
-            <button
-              key={id}
-              onClick={() => setTab(id)}
-              className={clsx(
-                'hc-tab-btn flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors whitespace-nowrap',
-                tab === id
-                  ? 'bg-blue-50 text-blue-600'
-                  : 'text-gray-500 hover:text-gray-800 hover:bg-gray-100'
-              )}
-            >
-              <Icon size={isStandalonePwa ? 20 : 15} />
-              <span className="hc-tab-label">{label}</span>
-            </button>
-          ))}
-        </nav>
-      </header>
-
-      {/* Content */}
-      <main className={clsx('flex-1 overflow-hidden', isStandalonePwa && 'hc-pwa-main')}>
-        {tab === 'timeline' && <Timeline onSelectAccessory={(id) => { setTab('accessories'); handleSelectAccessory(id); }} />}
-
-        {tab === 'dashboard' && (
-          <div className="max-w-5xl mx-auto py-4 sm:py-6 px-3 sm:px-4 space-y-4">
-
-            {/* KPI cards row */}
-            <StatsCards />
-
-            <div className="flex items-center justify-between px-1">
-              <div className="flex items-center gap-1 bg-white border border-gray-200 rounded-lg p-0.5 shadow-sm">
-                {DASHBOARD_WINDOWS.map(({ label, days }) => (
-                  <button
-                    key={days}
-                    onClick={() => setDashboardDays(days)}
-                    className={clsx(
-                      'text-xs px-2.5 py-1 rounded-md transition-colors',
-                      dashboardDays === days
-                        ? 'bg-blue-100 text-blue-700 font-medium'
-                        : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100'
-                    )}
-                  >
-                    {label}
-                  </button>
-                ))}
-              </div>
+    <AuthContext.Provider value={authContextValue}>
+      <div className={clsx('min-h-screen bg-gray-50 flex flex-col', isStandalonePwa && 'hc-pwa-shell')}>
+        {/* Header */}
+        <header className="hc-app-header bg-white border-b border-gray-200 px-3 sm:px-4 py-3 flex flex-wrap items-center gap-3">
+          {!isStandalonePwa && (
+            <BrandLogo className="h-12 sm:h-14 w-auto max-w-[260px] sm:max-w-[300px] flex-shrink-0" />
+          )}
+          {!isStandalonePwa && <span className="flex-1 hidden md:block" />}
+
+          <nav className="hc-tab-nav order-3 md:order-none w-full md:w-auto flex gap-1 overflow-x-auto pb-1 -mb-1">
+            {tabs.map(({ id, label, icon: Icon }) => (
               <button
-                onClick={() => setSyncDashboardRanges((v) => !v)}
-                title={syncDashboardRanges ? 'Charts synced — click to unsync' : 'Charts independent — click to sync'}
+                key={id}
+                onClick={() => setTab(id)}
                 className={clsx(
-                  'flex items-center gap-1.5 text-xs px-2.5 py-1.5 rounded-lg border transition-colors',
-                  syncDashboardRanges
-                    ? 'bg-blue-50 border-blue-200 text-blue-600'
-                    : 'bg-white border-gray-200 text-gray-400 hover:text-gray-600'
+                  'hc-tab-btn flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors whitespace-nowrap',
+                  tab === id
+                    ? 'bg-blue-50 text-blue-600'
+                    : 'text-gray-500 hover:text-gray-800 hover:bg-gray-100'
                 )}
               >
-                {syncDashboardRanges ? <Link2 size={12} /> : <Unlink2 size={12} />}
-                <span className="hidden sm:inline">{syncDashboardRanges ? 'Synced' : 'Sync'}</span>
+                <Icon size={isStandalonePwa ? 20 : 15} />
+                <span className="hc-tab-label">{label}</span>
+              </button>
+            ))}
+          </nav>
+
+          {auth.mode === 'users' && auth.user && (
+            <div className="flex items-center gap-2 text-xs text-gray-500 ml-auto md:ml-0">
+              <span className="whitespace-nowrap">
+                {auth.user.username}
+                <span className="text-gray-400"> · {ROLE_LABELS[auth.user.role] ?? auth.user.role}</span>
+              </span>
+              <button
+                type="button"
+                onClick={signOut}
+                title="Sign out"
+                aria-label="Sign out"
+                className="p-1.5 rounded-lg text-gray-400 hover:text-gray-700 hover:bg-gray-100 transition-colors"
+              >
+                <LogOut size={14} />
               </button>
             </div>
-
-            {/* Full-width trend chart */}
-            <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
-              <TrendChart
-                forcedDays={syncDashboardRanges ? dashboardDays : null}
-                onDaysChange={syncDashboardRanges ? setDashboardDays : null}
-              />
-            </div>
-
-            {/* 2-col: hourly activity + room breakdown */}
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
-                <ActivityChart />
-              </div>
-              <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
-                <RoomChart
-                  forcedDays={syncDashboardRanges ? dashboardDays : null}
-                  onDaysChange={syncDashboardRanges ? setDashboardDays : null}
-                />
+          )}
+        </header>
+
+        {/* Content */}
+        <main className={clsx('flex-1 overflow-hidden', isStandalonePwa && 'hc-pwa-main')}>
+          {tab === 'timeline' && <Timeline onSelectAccessory={(id) => { setTab('accessories'); handleSelectAccessory(id); }} />}
+
+          {tab === 'dashboard' && (
+            <div className="max-w-5xl mx-auto py-4 sm:py-6 px-3 sm:px-4 space-y-4">
+
+              {/* KPI cards row */}
+              <StatsCards />
+
+              <div className="flex items-center justify-between px-1">
+                <div className="flex items-center gap-1 bg-white border border-gray-200 rounded-lg p-0.5 shadow-sm">
+                  {DASHBOARD_WINDOWS.map(({ label, days }) => (
+                    <button
+                      key={days}
+                      onClick={() => setDashboardDays(days)}
+                      className={clsx(
+                        'text-xs px-2.5 py-1 rounded-md transition-colors',
+                        dashboardDays === days
+                          ? 'bg-blue-100 text-blue-700 font-medium'
+                          : 'text-gray-400 hover:text-gray-600 hover:bg-gray-100'
+                      )}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <button
+                  onClick={() => setSyncDashboardRanges((v) => !v)}
+                  title={syncDashboardRanges ? 'Charts synced — click to unsync' : 'Charts independent — click to sync'}
+                  className={clsx(
+                    'flex items-center gap-1.5 text-xs px-2.5 py-1.5 rounded-lg border transition-colors',
+                    syncDashboardRanges
+                      ? 'bg-blue-50 border-blue-200 text-blue-600'
+                      : 'bg-white border-gray-200 text-gray-400 hover:text-gray-600'
+                  )}
+                >
+                  {syncDashboardRanges ? <Link2 size={12} /> : <Unlink2 size={12} />}
+                  <span className="hidden sm:inline">{syncDashboardRanges ? 'Synced' : 'Sync'}</span>
+                </button>
               </div>
-            </div>
 
-            {/* 2-col: top devices + heatmaps */}
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {/* Full-width trend chart */}
               <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
-                <TopDevices
+                <TrendChart
                   forcedDays={syncDashboardRanges ? dashboardDays : null}
                   onDaysChange={syncDashboardRanges ? setDashboardDays : null}
                 />
               </div>
-              <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
-                <WeekdayHeatmap
-                  forcedDays={syncDashboardRanges ? dashboardDays : null}
-                  onDaysChange={syncDashboardRanges ? setDashboardDays : null}
-                />
-                <div className="mt-4 pt-4 border-t border-gray-100">
-                  <MonthlyHeatmap />
+
+              {/* 2-col: hourly activity + room breakdown */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
+                  <ActivityChart />
+                </div>
+                <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
+                  <RoomChart
+                    forcedDays={syncDashboardRanges ? dashboardDays : null}
+                    onDaysChange={syncDashboardRanges ? setDashboardDays : null}
+                  />
                 </div>
               </div>
-            </div>
 
-            {/* Quiet hours */}
-            <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
-              <QuietHoursPanel />
-            </div>
+              {/* 2-col: top devices + heatmaps */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
+                  <TopDevices
+                    forcedDays={syncDashboardRanges ? dashboardDays : null}
+                    onDaysChange={syncDashboardRanges ? setDashboardDays : null}
+                  />
+                </div>
+                <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
+                  <WeekdayHeatmap
+                    forcedDays={syncDashboardRanges ? dashboardDays : null}
+                    onDaysChange={syncDashboardRanges ? setDashboardDays : null}
+                  />
+                  <div className="mt-4 pt-4 border-t border-gray-100">
+                    <MonthlyHeatmap />
+                  </div>
+                </div>
+              </div>
 
-            {/* 2-col: active outliers + stale devices */}
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {/* Quiet hours */}
               <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
-                <AnomalyPanel />
+                <QuietHoursPanel />
               </div>
-              <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
-                <StaleDevicesPanel />
+
+              {/* 2-col: active outliers + stale devices */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
+                  <AnomalyPanel />
+                </div>
+                <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
+                  <StaleDevicesPanel />
+                </div>
               </div>
-            </div>
 
-          </div>
-        )}
-
-        {tab === 'accessories' && (
-          selectedAccessoryId
-            ? <AccessoryDetail accessoryId={selectedAccessoryId} onBack={handleAccessoryBack} />
-            : <AccessoryList onSelectAccessory={handleSelectAccessory} />
-        )}
-        {tab === 'alerts' && <Alerts />}
-        {tab === 'setup' && <Setup />}
-      </main>
-
-      {/* Footer */}
-      <footer className="hc-footer border-t border-gray-200 px-4 py-2 text-center text-xs text-gray-400 flex items-center justify-center gap-3">
-        <button
-          onClick={handleOpenChangelog}
-          title={__BUILD_VERSION__}
-          className="inline-flex items-center gap-1.5 text-gray-400 hover:text-gray-600 transition-colors"
-        >
-          {hasNewVersion && <Sparkles size={11} className="text-blue-500" />}
-          <span>{__BUILD_VERSION__}</span>
-          {hasNewVersion && <span className="w-1.5 h-1.5 rounded-full bg-blue-500" />}
-        </button>
-        {availableUpdate && (
-          <>
-            <span className="text-gray-300">·</span>
-            <a
-              href={availableUpdate.url}
-              target="_blank"
-              rel="noopener noreferrer"
-              className="hc-update-badge inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-green-50 border border-green-200 text-green-700 hover:bg-green-100 transition-colors"
-            >
-              <ArrowUpCircle size={11} />
-              <span>{availableUpdate.tag} available</span>
-            </a>
-            <button
-              onClick={dismissUpdate}
-              title="Dismiss update notice"
-              className="text-gray-300 hover:text-gray-500 transition-colors"
-            >
-              &times;
-            </button>
-          </>
-        )}
-        <span className="text-gray-300">·</span>
-        <a
-          href="https://github.com/havuq/homechronicle/issues"
-          target="_blank"
-          rel="noopener noreferrer"
-          className="inline-flex items-center gap-1 text-gray-400 hover:text-gray-600 transition-colors"
-        >
-          <ExternalLink size={11} />
-          Report an issue
-        </a>
-      </footer>
-
-      {showChangelog && <ChangelogModal onClose={handleCloseChangelog} />}
-
-      <div className="hc-fab fixed bottom-4 right-4 z-20">
-        <div className="relative flex flex-col items-end gap-2">
-          <div
-            className={clsx(
-              'absolute right-11 bottom-0 z-10 flex items-center gap-1 rounded-full border border-gray-200 bg-white/95 px-2 py-1.5 shadow-sm backdrop-blur transition-all duration-300 ease-out',
-              isSkinPickerOpen
-                ? 'translate-x-0 opacity-100 pointer-events-auto'
-                : 'translate-x-8 opacity-0 pointer-events-none'
-            )}
-            style={isDarkTheme ? { backgroundColor: 'rgba(30,41,59,0.95)', borderColor: 'rgba(71,85,105,0.7)' } : undefined}
-            aria-hidden={!isSkinPickerOpen}
+            </div>
+          )}
+
+          {tab === 'accessories' && (
+            selectedAccessoryId
+              ? <AccessoryDetail accessoryId={selectedAccessoryId} onBack={handleAccessoryBack} />
+              : <AccessoryList onSelectAccessory={handleSelectAccessory} />
+          )}
+          {tab === 'alerts' && <Alerts />}
+          {tab === 'setup' && <Setup />}
+        </main>
+
+        {/* Footer */}
+        <footer className="hc-footer border-t border-gray-200 px-4 py-2 text-center text-xs text-gray-400 flex items-center justify-center gap-3">
+          <button
+            onClick={handleOpenChangelog}
+            title={__BUILD_VERSION__}
+            className="inline-flex items-center gap-1.5 text-gray-400 hover:text-gray-600 transition-colors"
           >
-            {STYLES.map((style) => (
+            {hasNewVersion && <Sparkles size={11} className="text-blue-500" />}
+            <span>{__BUILD_VERSION__}</span>
+            {hasNewVersion && <span className="w-1.5 h-1.5 rounded-full bg-blue-500" />}
+          </button>
+          {availableUpdate && (
+            <>
+              <span className="text-gray-300">·</span>
+              <a
+                href={availableUpdate.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="hc-update-badge inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-green-50 border border-green-200 text-green-700 hover:bg-green-100 transition-colors"
+              >
+                <ArrowUpCircle size={11} />
+                <span>{availableUpdate.tag} available</span>
+              </a>
               <button
-                key={style.id}
-                type="button"
-                onClick={() => setSkin(style.id)}
-                className={clsx(
-                  'h-6 w-6 rounded-full p-0.5 transition-all',
-                  skin === style.id
-                    ? 'ring-2 ring-blue-500'
-                    : isDarkTheme
-                      ? 'ring-1 ring-slate-300 hover:ring-slate-400'
-                      : 'ring-1 ring-gray-300 hover:ring-gray-400'
-                )}
-                style={isDarkTheme ? { backgroundColor: 'rgba(30,41,59,0.8)' } : undefined}
-                aria-label={`Use ${style.label} color theme`}
-                title={style.label}
+                onClick={dismissUpdate}
+                title="Dismiss update notice"
+                className="text-gray-300 hover:text-gray-500 transition-colors"
               >
-                <span
+                &times;
+              </button>
+            </>
+          )}
+          <span className="text-gray-300">·</span>
+          <a
+            href="https://github.com/havuq/homechronicle/issues"
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-flex items-center gap-1 text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <ExternalLink size={11} />
+            Report an issue
+          </a>
+        </footer>
+
+        {showChangelog && <ChangelogModal onClose={handleCloseChangelog} />}
+
+        <div className="hc-fab fixed bottom-4 right-4 z-20">
+          <div className="relative flex flex-col items-end gap-2">
+            <div
+              className={clsx(
+                'absolute right-11 bottom-0 z-10 flex items-center gap-1 rounded-full border border-gray-200 bg-white/95 px-2 py-1.5 shadow-sm backdrop-blur transition-all duration-300 ease-out',
+                isSkinPickerOpen
+                  ? 'translate-x-0 opacity-100 pointer-events-auto'
+                  : 'translate-x-8 opacity-0 pointer-events-none'
+              )}
+              style={isDarkTheme ? { backgroundColor: 'rgba(30,41,59,0.95)', borderColor: 'rgba(71,85,105,0.7)' } : undefined}
+              aria-hidden={!isSkinPickerOpen}
+            >
+              {STYLES.map((style) => (
+                <button
+                  key={style.id}
+                  type="button"
+                  onClick={() => setSkin(style.id)}
                   className={clsx(
-                    'block h-full w-full rounded-full bg-gradient-to-br',
-                    isDarkTheme ? SKIN_SWATCH_DARK[style.id] : SKIN_SWATCH[style.id]
+                    'h-6 w-6 rounded-full p-0.5 transition-all',
+                    skin === style.id
+                      ? 'ring-2 ring-blue-500'
+                      : isDarkTheme
+                        ? 'ring-1 ring-slate-300 hover:ring-slate-400'
+                        : 'ring-1 ring-gray-300 hover:ring-gray-400'
                   )}
-                  style={isDarkTheme ? { boxShadow: 'inset 0 0 0 1px rgba(255,255,255,0.15)' } : undefined}
-                />
-              </button>
-            ))}
+                  style={isDarkTheme ? { backgroundColor: 'rgba(30,41,59,0.8)' } : undefined}
+                  aria-label={`Use ${style.label} color theme`}
+                  title={style.label}
+                >
+                  <span
+                    className={clsx(
+                      'block h-full w-full rounded-full bg-gradient-to-br',
+                      isDarkTheme ? SKIN_SWATCH_DARK[style.id] : SKIN_SWATCH[style.id]
+                    )}
+                    style={isDarkTheme ? { boxShadow: 'inset 0 0 0 1px rgba(255,255,255,0.15)' } : undefined}
+                  />
+                </button>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => setPreference(nextPreference)}
+              className={clsx(
+                'z-30 inline-flex h-9 w-9 items-center justify-center rounded-full border shadow-sm backdrop-blur transition-all duration-200',
+                isDarkTheme
+                  ? 'border-gray-600 bg-gray-800/90 text-gray-300 hover:text-gray-100 hover:bg-gray-700/90'
+                  : 'border-gray-200 bg-white/95 text-gray-500 hover:text-gray-700 hover:bg-gray-50'
+              )}
+              aria-label={`Theme mode: ${preference}. Click to switch to ${nextPreference}.`}
+              title={`Theme mode: ${preference}`}
+            >
+              {preference === 'system' && <Monitor size={15} />}
+              {preference === 'light' && <Sun size={15} />}
+              {preference === 'dark' && <Moon size={15} />}
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsSkinPickerOpen((current) => !current)}
+              className={clsx(
+                'relative z-20 inline-flex h-9 w-9 items-center justify-center rounded-full border shadow-sm backdrop-blur transition-all duration-200',
+                isDarkTheme
+                  ? 'border-gray-600 bg-gray-800/90 text-gray-300'
+                  : 'border-gray-200 bg-white/95 text-gray-500',
+                isSkinPickerOpen
+                  ? isDarkTheme ? 'text-blue-400 border-blue-500' : 'text-blue-600 border-blue-300'
+                  : isDarkTheme ? 'hover:text-gray-100 hover:bg-gray-700/90' : 'hover:text-gray-700 hover:bg-gray-50'
+              )}
+              aria-label={isSkinPickerOpen ? 'Hide color themes' : 'Show color themes'}
+              aria-expanded={isSkinPickerOpen}
+              title="Color themes"
+            >
+              <Paintbrush2 size={15} />
+            </button>
           </div>
-          <button
-            type="button"
-            onClick={() => setPreference(nextPreference)}
-            className={clsx(
-              'z-30 inline-flex h-9 w-9 items-center justify-center rounded-full border shadow-sm backdrop-blur transition-all duration-200',
-              isDarkTheme
-                ? 'border-gray-600 bg-gray-800/90 text-gray-300 hover:text-gray-100 hover:bg-gray-700/90'
-                : 'border-gray-200 bg-white/95 text-gray-500 hover:text-gray-700 hover:bg-gray-50'
-            )}
-            aria-label={`Theme mode: ${preference}. Click to switch to ${nextPreference}.`}
-            title={`Theme mode: ${preference}`}
-          >
-            {preference === 'system' && <Monitor size={15} />}
-            {preference === 'light' && <Sun size={15} />}
-            {preference === 'dark' && <Moon size={15} />}
-          </button>
-          <button
-            type="button"
-            onClick={() => setIsSkinPickerOpen((current) => !current)}
-            className={clsx(
-              'relative z-20 inline-flex h-9 w-9 items-center justify-center rounded-full border shadow-sm backdrop-blur transition-all duration-200',
-              isDarkTheme
-                ? 'border-gray-600 bg-gray-800/90 text-gray-300'
-                : 'border-gray-200 bg-white/95 text-gray-500',
-              isSkinPickerOpen
-                ? isDarkTheme ? 'text-blue-400 border-blue-500' : 'text-blue-600 border-blue-300'
-                : isDarkTheme ? 'hover:text-gray-100 hover:bg-gray-700/90' : 'hover:text-gray-700 hover:bg-gray-50'
-            )}
-            aria-label={isSkinPickerOpen ? 'Hide color themes' : 'Show color themes'}
-            aria-expanded={isSkinPickerOpen}
-            title="Color themes"
-          >
-            <Paintbrush2 size={15} />
-          </button>
         </div>
       </div>
-    </div>
+    </AuthContext.Provider>
   );
 }
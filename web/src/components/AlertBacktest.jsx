@@ -0,0 +1,77 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { BarChart, Bar, Tooltip, ResponsiveContainer } from 'recharts';
+import { format } from 'date-fns';
+import { History } from 'lucide-react';
+import { fetchJson } from '../lib/api.js';
+
+const TOOLTIP_STYLE = { fontSize: 12, borderRadius: 8, border: '1px solid var(--hc-tooltip-border)', backgroundColor: 'var(--hc-tooltip-bg)', color: 'var(--hc-tooltip-text)' };
+const WINDOWS = [1, 7, 30, 90];
+
+/**
+ * "What would this rule have done?" — replays past events through the
+ * rule as currently filled in (saved or not) and shows firings per bucket
+ * as a sparkline, with quiet-period suppressions stacked on top.
+ */
+export default function AlertBacktest({ getDraft }) {
+  const [days, setDays] = useState(7);
+  const backtestMutation = useMutation({
+    mutationFn: (rule) => fetchJson('/api/alerts/rules/backtest', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rule, days }),
+    }),
+  });
+  const result = backtestMutation.data;
+  const lastFiring = result?.firings.findLast((firing) => firing.status === 'fired');
+
+  return (
+    <div className="md:col-span-2 rounded-lg border border-gray-200 p-3 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <History size={14} className="text-gray-500" />
+        <span className="text-xs font-medium text-gray-700">Backtest</span>
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          className="border border-gray-200 rounded-lg px-2 py-1 text-xs"
+        >
+          {WINDOWS.map((value) => (
+            <option key={value} value={value}>Last {value === 1 ? 'day' : `${value} days`}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() => backtestMutation.mutate(getDraft())}
+          disabled={backtestMutation.isPending}
+          className="rounded-lg px-2 py-1 border border-gray-200 text-xs text-gray-700 hover:bg-gray-50 disabled:opacity-60"
+        >
+          {backtestMutation.isPending ? 'Replaying…' : 'Preview'}
+        </button>
+        {result && (
+          <span className="text-xs text-gray-500">
+            Would have fired <span className="font-medium text-gray-900">{result.fired}</span>
+            {' '}time{result.fired === 1 ? '' : 's'}
+            {result.suppressed > 0 && <>, {result.suppressed} suppressed by the quiet period</>}
+            {lastFiring && <> · last {format(new Date(lastFiring.at), 'MMM d, HH:mm')}</>}
+            {result.truncated && <> · only the first {result.eventsScanned.toLocaleString()} events were replayed</>}
+          </span>
+        )}
+      </div>
+      {backtestMutation.isError && (
+        <p className="text-xs text-red-600">{backtestMutation.error.message || 'Backtest failed'}</p>
+      )}
+      {result && (
+        <ResponsiveContainer width="100%" height={48}>
+          <BarChart data={result.buckets} margin={{ top: 2, right: 0, left: 0, bottom: 0 }} barCategoryGap={1}>
+            <Tooltip
+              contentStyle={TOOLTIP_STYLE}
+              labelFormatter={(_label, payload) => (payload?.[0] ? format(new Date(payload[0].payload.start), 'MMM d, HH:mm') : '')}
+            />
+            <Bar dataKey="fired" stackId="firings" fill="#2563eb" />
+            <Bar dataKey="suppressed" stackId="firings" fill="#d1d5db" />
+          </BarChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,353 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import clsx from 'clsx';
+import { Plus, Save, Send, Trash2 } from 'lucide-react';
+import { fetchJson } from '../lib/api.js';
+import { useAlertChannels } from '../hooks/useAlerts.js';
+
+export const CHANNEL_TYPE_LABELS = {
+  webhook: 'Webhook',
+  ntfy: 'ntfy',
+  smtp: 'Email (SMTP)',
+  mqtt: 'MQTT',
+};
+
+const TEMPLATE_HINT = 'Placeholders: {{message}}, {{rule.name}}, {{event.accessoryName}}, {{event.newValue}}, {{json}}';
+
+// Form fields per channel type. `key` is a flat form key; toConfig/fromConfig
+// map it onto the API's config object.
+const CHANNEL_FIELDS = {
+  webhook: [
+    { key: 'url', placeholder: 'URL (https://...)', required: true },
+    { key: 'method', type: 'select', options: ['POST', 'PUT'] },
+    { key: 'authType', type: 'select', options: ['none', 'basic', 'bearer'], labels: { none: 'No auth', basic: 'Basic auth', bearer: 'Bearer token' } },
+    { key: 'authUsername', placeholder: 'Username', when: (v) => v.authType === 'basic' },
+    { key: 'authPassword', type: 'password', placeholder: 'Password', when: (v) => v.authType === 'basic' },
+    { key: 'authToken', type: 'password', placeholder: 'Token', when: (v) => v.authType === 'bearer' },
+    { key: 'contentType', placeholder: 'Content type (application/json)' },
+    { key: 'headers', type: 'textarea', placeholder: 'Extra headers, one "Name: value" per line' },
+    { key: 'bodyTemplate', type: 'textarea', placeholder: `Body template (empty = standard JSON payload). ${TEMPLATE_HINT}` },
+  ],
+  ntfy: [
+    { key: 'serverUrl', placeholder: 'Server (https://ntfy.sh)' },
+    { key: 'topic', placeholder: 'Topic', required: true },
+    { key: 'token', type: 'password', placeholder: 'Access token (optional)' },
+    { key: 'priority', type: 'select', options: ['1', '2', '3', '4', '5'], labels: { 1: 'Min priority', 2: 'Low priority', 3: 'Default priority', 4: 'High priority', 5: 'Urgent' } },
+    { key: 'tags', placeholder: 'Tags (comma-separated)' },
+    { key: 'titleTemplate', placeholder: 'Title template ({{rule.name}})' },
+    { key: 'bodyTemplate', type: 'textarea', placeholder: `Message template ({{message}}). ${TEMPLATE_HINT}` },
+  ],
+  smtp: [
+    { key: 'host', placeholder: 'SMTP host', required: true },
+    { key: 'security', type: 'select', options: ['starttls', 'tls', 'none'], labels: { starttls: 'STARTTLS', tls: 'TLS', none: 'No encryption' } },
+    { key: 'port', type: 'number', placeholder: 'Port (default for security)' },
+    { key: 'username', placeholder: 'Username (optional)' },
+    { key: 'password', type: 'password', placeholder: 'Password' },
+    { key: 'from', type: 'email', placeholder: 'From address', required: true },
+    { key: 'to', placeholder: 'To addresses (comma-separated)', required: true },
+    { key: 'subjectTemplate', placeholder: 'Subject template ([HomeChronicle] {{rule.name}})' },
+    { key: 'bodyTemplate', type: 'textarea', placeholder: `Body template ({{message}}). ${TEMPLATE_HINT}` },
+  ],
+  mqtt: [
+    { key: 'url', placeholder: 'Broker (mqtt://host:1883 or mqtts://...)', required: true },
+    { key: 'topic', placeholder: 'Topic (homechronicle/alerts/{{rule.id}})' },
+    { key: 'username', placeholder: 'Username (optional)' },
+    { key: 'password', type: 'password', placeholder: 'Password' },
+    { key: 'qos', type: 'select', options: ['0', '1'], labels: { 0: 'QoS 0', 1: 'QoS 1' } },
+    { key: 'retain', type: 'checkbox', label: 'Retain' },
+    { key: 'payloadTemplate', type: 'textarea', placeholder: `Payload template (empty = standard JSON payload). ${TEMPLATE_HINT}` },
+  ],
+};
+
+const EMPTY_FORM = { name: '', type: 'webhook', enabled: true, values: fromConfig('webhook') };
+
+function parseHeaders(text) {
+  return Object.fromEntries(
+    String(text ?? '')
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const index = line.indexOf(':');
+        return index === -1 ? [line, ''] : [line.slice(0, index).trim(), line.slice(index + 1).trim()];
+      })
+  );
+}
+
+function toConfig(type, values) {
+  if (type === 'webhook') {
+    return {
+      url: values.url,
+      method: values.method,
+      contentType: values.contentType,
+      headers: parseHeaders(values.headers),
+      auth: {
+        type: values.authType,
+        username: values.authUsername,
+        password: values.authPassword,
+        token: values.authToken,
+      },
+      bodyTemplate: values.bodyTemplate,
+    };
+  }
+  const config = { ...values };
+  if (type === 'mqtt') return { ...config, qos: Number(config.qos ?? 0), retain: Boolean(config.retain) };
+  if (type === 'smtp') return { ...config, port: config.port || null };
+  return config;
+}
+
+function fromConfig(type, config = {}) {
+  if (type === 'webhook') {
+    return {
+      url: config.url ?? '',
+      method: config.method ?? 'POST',
+      contentType: config.contentType ?? '',
+      headers: Object.entries(config.headers ?? {}).map(([name, value]) => `${name}: ${value}`).join('\n'),
+      authType: config.auth?.type ?? 'none',
+      authUsername: config.auth?.username ?? '',
+      authPassword: config.auth?.password ?? '',
+      authToken: config.auth?.token ?? '',
+      bodyTemplate: config.bodyTemplate ?? '',
+    };
+  }
+  const values = { ...config };
+  if (Array.isArray(values.to)) values.to = values.to.join(', ');
+  if (Array.isArray(values.tags)) values.tags = values.tags.join(', ');
+  if (values.priority !== undefined) values.priority = String(values.priority);
+  if (values.qos !== undefined) values.qos = String(values.qos);
+  return values;
+}
+
+function ChannelField({ field, values, onChange }) {
+  const value = values[field.key] ?? '';
+  const className = 'border border-gray-200 rounded-lg px-3 py-2 text-sm';
+  if (field.type === 'select') {
+    return (
+      <select value={value || field.options[0]} onChange={(e) => onChange(field.key, e.target.value)} className={className}>
+        {field.options.map((option) => (
+          <option key={option} value={option}>{field.labels?.[option] ?? option}</option>
+        ))}
+      </select>
+    );
+  }
+  if (field.type === 'checkbox') {
+    return (
+      <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={Boolean(values[field.key])}
+          onChange={(e) => onChange(field.key, e.target.checked)}
+          className="rounded border-gray-300"
+        />
+        {field.label}
+      </label>
+    );
+  }
+  if (field.type === 'textarea') {
+    return (
+      <textarea
+        value={value}
+        onChange={(e) => onChange(field.key, e.target.value)}
+        placeholder={field.placeholder}
+        rows={3}
+        className={clsx(className, 'md:col-span-2 font-mono text-xs')}
+      />
+    );
+  }
+  return (
+    <input
+      type={field.type ?? 'text'}
+      value={value}
+      onChange={(e) => onChange(field.key, e.target.value)}
+      placeholder={field.placeholder}
+      className={className}
+      required={field.required}
+      autoComplete={field.type === 'password' ? 'new-password' : undefined}
+    />
+  );
+}
+
+export default function AlertChannels() {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState('');
+  const [testResults, setTestResults] = useState({});
+  const { data: channels = [], isLoading } = useAlertChannels();
+
+  function resetForm() {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+    setError('');
+  }
+
+  const saveMutation = useMutation({
+    mutationFn: (payload) => fetchJson(editingId ? `/api/alerts/channels/${editingId}` : '/api/alerts/channels', {
+      method: editingId ? 'PATCH' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    }),
+    onSuccess: () => {
+      resetForm();
+      queryClient.invalidateQueries({ queryKey: ['alerts', 'channels'] });
+    },
+    onError: (err) => setError(err.message || 'Failed to save channel'),
+  });
+
+  const toggleMutation = useMutation({
+    mutationFn: ({ id, enabled }) => fetchJson(`/api/alerts/channels/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ enabled }),
+    }),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['alerts', 'channels'] }),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => fetchJson(`/api/alerts/channels/${id}`, { method: 'DELETE' }),
+    onSuccess: () => {
+      if (editingId) resetForm();
+      queryClient.invalidateQueries({ queryKey: ['alerts', 'channels'] });
+      queryClient.invalidateQueries({ queryKey: ['alerts', 'rules'] });
+    },
+    onError: (err) => setError(err.message || 'Failed to delete channel'),
+  });
+
+  const testMutation = useMutation({
+    mutationFn: (id) => fetchJson(`/api/alerts/channels/${id}/test`, { method: 'POST' }),
+    onSuccess: (result, id) => setTestResults((prev) => ({ ...prev, [id]: result })),
+    onError: (err, id) => setTestResults((prev) => ({ ...prev, [id]: { status: 'failed', error: err.message } })),
+  });
+
+  function setValue(key, value) {
+    setForm((prev) => ({ ...prev, values: { ...prev.values, [key]: value } }));
+  }
+
+  function onSubmit(event) {
+    event.preventDefault();
+    setError('');
+    const payload = { name: form.name, enabled: form.enabled, config: toConfig(form.type, form.values) };
+    saveMutation.mutate(editingId ? payload : { ...payload, type: form.type });
+  }
+
+  function startEdit(channel) {
+    setEditingId(channel.id);
+    setForm({ name: channel.name, type: channel.type, enabled: channel.enabled, values: fromConfig(channel.type, channel.config) });
+    setError('');
+  }
+
+  const fields = CHANNEL_FIELDS[form.type].filter((field) => !field.when || field.when(form.values));
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
+      <h3 className="text-sm font-semibold text-gray-900 mb-1">Delivery Channels</h3>
+      <p className="text-xs text-gray-500 mb-3">
+        Rules can send to any number of channels. Stored passwords and tokens are shown as ******** and kept unless changed.
+      </p>
+
+      <form onSubmit={onSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+          placeholder="Channel name"
+          className="border border-gray-200 rounded-lg px-3 py-2 text-sm"
+          required
+        />
+        <select
+          value={form.type}
+          onChange={(e) => setForm((prev) => ({ ...prev, type: e.target.value, values: fromConfig(e.target.value) }))}
+          className="border border-gray-200 rounded-lg px-3 py-2 text-sm disabled:bg-gray-50"
+          disabled={Boolean(editingId)}
+        >
+          {Object.entries(CHANNEL_TYPE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        {fields.map((field) => (
+          <ChannelField key={field.key} field={field} values={form.values} onChange={setValue} />
+        ))}
+        <div className="flex items-center gap-2 md:col-span-2">
+          <button
+            type="submit"
+            className="inline-flex items-center gap-1 rounded-lg px-3 py-2 bg-blue-600 text-white text-sm hover:bg-blue-700 disabled:opacity-60"
+            disabled={saveMutation.isPending}
+          >
+            {editingId ? <Save size={14} /> : <Plus size={14} />}
+            {editingId ? 'Update Channel' : 'Add Channel'}
+          </button>
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="rounded-lg px-3 py-2 border border-gray-200 text-sm text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+      <div className="mt-4 space-y-2">
+        {isLoading && <p className="text-sm text-gray-500">Loading channels...</p>}
+        {!isLoading && channels.length === 0 && (
+          <p className="text-sm text-gray-500">No channels yet. Rules can still post to a plain webhook URL.</p>
+        )}
+        {channels.map((channel) => {
+          const result = testResults[channel.id];
+          return (
+            <div key={channel.id} className="rounded-lg border border-gray-200 p-3">
+              <div className="flex flex-wrap items-center gap-2">
+                <button
+                  type="button"
+                  className={clsx(
+                    'text-xs px-2 py-1 rounded border',
+                    channel.enabled ? 'bg-green-50 text-green-700 border-green-200' : 'bg-gray-50 text-gray-600 border-gray-200'
+                  )}
+                  onClick={() => toggleMutation.mutate({ id: channel.id, enabled: !channel.enabled })}
+                >
+                  {channel.enabled ? 'Enabled' : 'Disabled'}
+                </button>
+                <button
+                  type="button"
+                  className="text-sm font-medium text-gray-900 hover:text-blue-700"
+                  onClick={() => startEdit(channel)}
+                >
+                  {channel.name}
+                </button>
+                <span className="text-xs text-gray-500">{CHANNEL_TYPE_LABELS[channel.type] ?? channel.type}</span>
+                <div className="ml-auto flex items-center gap-3">
+                  <button
+                    type="button"
+                    className="inline-flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700 disabled:opacity-60"
+                    onClick={() => testMutation.mutate(channel.id)}
+                    disabled={testMutation.isPending && testMutation.variables === channel.id}
+                  >
+                    <Send size={12} />
+                    Send test
+                  </button>
+                  <button
+                    type="button"
+                    className="inline-flex items-center gap-1 text-xs text-red-600 hover:text-red-700"
+                    onClick={() => deleteMutation.mutate(channel.id)}
+                  >
+                    <Trash2 size={12} />
+                    Delete
+                  </button>
+                </div>
+              </div>
+              {result && (
+                <p className={clsx('text-xs mt-1', result.status === 'sent' ? 'text-green-700' : 'text-red-600')}>
+                  {result.status === 'sent'
+                    ? `Test sent${result.responseCode ? ` (${result.responseCode})` : ''}`
+                    : `Test failed: ${result.error ?? 'unknown error'}`}
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
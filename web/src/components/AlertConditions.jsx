@@ -0,0 +1,227 @@
+import clsx from 'clsx';
+import { ListTree, Plus, X } from 'lucide-react';
+import { useAccessories } from '../hooks/useEvents.js';
+
+// Mirrors alert-conditions.js on the listener.
+const MAX_DEPTH = 3;
+const RANGE_OPERATORS = new Set(['between', 'outside']);
+
+export function emptyConditionLeaf() {
+  return { accessory: '', characteristic: '', operator: 'equals', value: '', valueTo: '' };
+}
+
+export function emptyConditionGroup() {
+  return { op: 'and', conditions: [emptyConditionLeaf()] };
+}
+
+function isGroup(node) {
+  return Array.isArray(node?.conditions);
+}
+
+/** API tree → form tree (inputs need strings, not nulls). */
+export function conditionsToForm(tree) {
+  if (!tree) return null;
+  if (isGroup(tree)) return { op: tree.op, conditions: tree.conditions.map(conditionsToForm) };
+  return { ...emptyConditionLeaf(), ...tree, valueTo: tree.valueTo ?? '' };
+}
+
+/** Form tree → API tree; range operators are the only ones that send valueTo. */
+export function conditionsToPayload(tree) {
+  if (!tree) return null;
+  if (isGroup(tree)) return { op: tree.op, conditions: tree.conditions.map(conditionsToPayload) };
+  return { ...tree, valueTo: RANGE_OPERATORS.has(tree.operator) ? tree.valueTo : null };
+}
+
+function updateAt(tree, path, update) {
+  if (!path.length) return update(tree);
+  const [index, ...rest] = path;
+  return {
+    ...tree,
+    conditions: tree.conditions.map((child, i) => (i === index ? updateAt(child, rest, update) : child)),
+  };
+}
+
+function removeAt(tree, path) {
+  const parentPath = path.slice(0, -1);
+  const index = path.at(-1);
+  return updateAt(tree, parentPath, (group) => ({
+    ...group,
+    conditions: group.conditions.filter((_child, i) => i !== index),
+  }));
+}
+
+function ConditionLeaf({ node, operatorGroups, onChange, onRemove }) {
+  const set = (key) => (e) => onChange({ ...node, [key]: e.target.value });
+  const isRange = RANGE_OPERATORS.has(node.operator);
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <input
+        type="text"
+        list="alert-condition-accessories"
+        value={node.accessory}
+        onChange={set('accessory')}
+        placeholder="Accessory"
+        className="min-w-0 flex-1 border border-gray-200 rounded-lg px-2 py-1.5 text-sm"
+        required
+      />
+      <input
+        type="text"
+        value={node.characteristic}
+        onChange={set('characteristic')}
+        placeholder="Characteristic"
+        className="min-w-0 flex-1 border border-gray-200 rounded-lg px-2 py-1.5 text-sm"
+        required
+      />
+      <select
+        value={node.operator}
+        onChange={set('operator')}
+        className="border border-gray-200 rounded-lg px-2 py-1.5 text-sm"
+      >
+        {operatorGroups.map((group) => (
+          <optgroup key={group.label} label={group.label}>
+            {group.options.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </optgroup>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={node.value}
+        onChange={set('value')}
+        placeholder={isRange ? 'Lower bound' : 'Value'}
+        className="w-24 border border-gray-200 rounded-lg px-2 py-1.5 text-sm"
+        required
+      />
+      {isRange && (
+        <input
+          type="text"
+          value={node.valueTo}
+          onChange={set('valueTo')}
+          placeholder="Upper bound"
+          className="w-24 border border-gray-200 rounded-lg px-2 py-1.5 text-sm"
+          required
+        />
+      )}
+      <button type="button" onClick={onRemove} className="text-gray-400 hover:text-red-600" aria-label="Remove condition">
+        <X size={14} />
+      </button>
+    </div>
+  );
+}
+
+function ConditionGroup({ node, path, operatorGroups, onChange, onRemove }) {
+  const depth = path.length + 1;
+  const setChild = (index, child) => onChange({
+    ...node,
+    conditions: node.conditions.map((existing, i) => (i === index ? child : existing)),
+  });
+  const removeChild = (index) => {
+    const next = removeAt(node, [index]);
+    if (next.conditions.length) onChange(next);
+    else onRemove();
+  };
+
+  return (
+    <div className={clsx('rounded-lg border p-2 space-y-2', depth % 2 ? 'border-gray-200 bg-gray-50' : 'border-gray-200 bg-white')}>
+      <div className="flex items-center gap-2">
+        <select
+          value={node.op}
+          onChange={(e) => onChange({ ...node, op: e.target.value })}
+          className="border border-gray-200 rounded-lg px-2 py-1 text-xs font-medium"
+        >
+          <option value="and">All of these hold</option>
+          <option value="or">Any of these holds</option>
+        </select>
+        <button
+          type="button"
+          onClick={onRemove}
+          className="ml-auto text-xs text-gray-500 hover:text-red-600"
+        >
+          {depth === 1 ? 'Remove conditions' : 'Remove group'}
+        </button>
+      </div>
+      {node.conditions.map((child, index) => (
+        isGroup(child) ? (
+          <ConditionGroup
+            key={index}
+            node={child}
+            path={[...path, index]}
+            operatorGroups={operatorGroups}
+            onChange={(next) => setChild(index, next)}
+            onRemove={() => removeChild(index)}
+          />
+        ) : (
+          <ConditionLeaf
+            key={index}
+            node={child}
+            operatorGroups={operatorGroups}
+            onChange={(next) => setChild(index, next)}
+            onRemove={() => removeChild(index)}
+          />
+        )
+      ))}
+      <div className="flex items-center gap-3">
+        <button
+          type="button"
+          onClick={() => onChange({ ...node, conditions: [...node.conditions, emptyConditionLeaf()] })}
+          className="inline-flex items-center gap-1 text-xs text-blue-700 hover:text-blue-800"
+        >
+          <Plus size={12} />
+          Condition
+        </button>
+        {depth < MAX_DEPTH && (
+          <button
+            type="button"
+            onClick={() => onChange({
+              ...node,
+              conditions: [...node.conditions, { ...emptyConditionGroup(), op: node.op === 'and' ? 'or' : 'and' }],
+            })}
+            className="inline-flex items-center gap-1 text-xs text-blue-700 hover:text-blue-800"
+          >
+            <ListTree size={12} />
+            Group
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Visual editor for a rule's compound conditions: nested AND/OR groups of
+ * "accessory characteristic compares to value" checks against current state.
+ */
+export default function AlertConditions({ value, onChange, operatorGroups }) {
+  const { data: accessories = [] } = useAccessories();
+  const accessoryNames = [...new Set(accessories.map((a) => a.accessory_name).filter(Boolean))].sort();
+
+  return (
+    <div className="md:col-span-2 space-y-2">
+      <datalist id="alert-condition-accessories">
+        {accessoryNames.map((name) => <option key={name} value={name} />)}
+      </datalist>
+      {value ? (
+        <>
+          <p className="text-xs text-gray-500">Only fire when, at that moment:</p>
+          <ConditionGroup
+            node={value}
+            path={[]}
+            operatorGroups={operatorGroups}
+            onChange={onChange}
+            onRemove={() => onChange(null)}
+          />
+        </>
+      ) : (
+        <button
+          type="button"
+          onClick={() => onChange(emptyConditionGroup())}
+          className="inline-flex items-center gap-1 text-xs text-blue-700 hover:text-blue-800"
+        >
+          <ListTree size={12} />
+          Only fire when other accessories are in a given state…
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import clsx from 'clsx';
+import { AlertTriangle, Check, CheckCheck } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { fetchJson } from '../lib/api.js';
+import { useAlertIncidents } from '../hooks/useAlerts.js';
+
+function statusClass(status) {
+  if (status === 'acknowledged') return 'text-amber-700 bg-amber-50 border-amber-200';
+  return 'text-white bg-red-600 border-red-600';
+}
+
+/** Open and acknowledged incidents, with acknowledge/resolve actions. */
+export default function AlertIncidents() {
+  const queryClient = useQueryClient();
+  const { data: incidents = [], isLoading } = useAlertIncidents('active');
+
+  const actionMutation = useMutation({
+    mutationFn: ({ id, action }) => fetchJson(`/api/alerts/incidents/${id}/${action}`, { method: 'POST' }),
+    onSettled: () => queryClient.invalidateQueries({ queryKey: ['alerts', 'incidents'] }),
+  });
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
+      <div className="flex items-center gap-2 mb-3">
+        <AlertTriangle size={16} className={incidents.length ? 'text-red-600' : 'text-gray-400'} />
+        <h3 className="text-sm font-semibold text-gray-900">Active</h3>
+        {incidents.length > 0 && <span className="text-xs text-gray-500">{incidents.length}</span>}
+      </div>
+      <div className="space-y-2">
+        {isLoading && <p className="text-sm text-gray-500">Loading incidents...</p>}
+        {!isLoading && incidents.length === 0 && (
+          <p className="text-sm text-gray-500">Nothing needs attention.</p>
+        )}
+        {incidents.map((incident) => (
+          <div key={incident.id} className="rounded-lg border border-gray-200 p-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className={clsx('text-xs px-2 py-1 rounded border', statusClass(incident.status))}>
+                {incident.status}
+              </span>
+              <span className="text-sm text-gray-900">{incident.ruleName}</span>
+              {incident.accessoryName && (
+                <span className="text-xs text-gray-500">
+                  {incident.accessoryName}{incident.characteristic ? ` · ${incident.characteristic}` : ''}
+                </span>
+              )}
+              <span className="text-xs text-gray-500" title={new Date(incident.openedAt).toLocaleString()}>
+                opened {formatDistanceToNow(new Date(incident.openedAt), { addSuffix: true })}
+              </span>
+              {incident.fireCount > 1 && (
+                <span className="text-xs text-gray-500">fired {incident.fireCount}×</span>
+              )}
+              {incident.escalatedAt && <span className="text-xs text-red-700">escalated</span>}
+              {!incident.escalatedAt && incident.escalateAt && incident.status === 'open' && (
+                <span className="text-xs text-gray-500">
+                  escalates {formatDistanceToNow(new Date(incident.escalateAt), { addSuffix: true })}
+                </span>
+              )}
+              {incident.acknowledgedBy && (
+                <span className="text-xs text-gray-500">acknowledged by {incident.acknowledgedBy}</span>
+              )}
+              <div className="ml-auto flex items-center gap-3">
+                {incident.status === 'open' && (
+                  <button
+                    type="button"
+                    onClick={() => actionMutation.mutate({ id: incident.id, action: 'acknowledge' })}
+                    disabled={actionMutation.isPending}
+                    className="inline-flex items-center gap-1 text-xs text-blue-700 hover:text-blue-800 disabled:opacity-60"
+                  >
+                    <Check size={12} />
+                    Acknowledge
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => actionMutation.mutate({ id: incident.id, action: 'resolve' })}
+                  disabled={actionMutation.isPending}
+                  className="inline-flex items-center gap-1 text-xs text-green-700 hover:text-green-800 disabled:opacity-60"
+                >
+                  <CheckCheck size={12} />
+                  Resolve
+                </button>
+              </div>
+            </div>
+            {incident.summary && <p className="text-xs text-gray-500 mt-1 truncate">{incident.summary}</p>}
+          </div>
+        ))}
+      </div>
+      {actionMutation.isError && (
+        <p className="text-xs text-red-600 mt-2">{actionMutation.error.message || 'Action failed'}</p>
+      )}
+    </div>
+  );
+}
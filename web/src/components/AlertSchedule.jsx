@@ -0,0 +1,177 @@
+import clsx from 'clsx';
+import { format } from 'date-fns';
+import { CalendarOff, Clock, Plus, X } from 'lucide-react';
+
+const DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function emptyWindow() {
+  return { days: [1, 2, 3, 4, 5], start: '22:00', end: '06:00' };
+}
+
+function emptyOverride() {
+  const today = format(new Date(), 'yyyy-MM-dd');
+  return { from: today, to: today, mode: 'disarmed', label: '' };
+}
+
+/** API schedule → form schedule (inputs need strings, not nulls). */
+export function scheduleToForm(schedule) {
+  if (!schedule) return { windows: [], overrides: [] };
+  return {
+    windows: schedule.windows ?? [],
+    overrides: (schedule.overrides ?? []).map((override) => ({ ...override, label: override.label ?? '' })),
+  };
+}
+
+/** Form schedule → API schedule; an empty schedule means "always armed". */
+export function scheduleToPayload(schedule) {
+  if (!schedule?.windows.length && !schedule?.overrides.length) return null;
+  return schedule;
+}
+
+/** Short summary for the rule list, e.g. "Mon–Fri 22:00–06:00". */
+export function describeSchedule(schedule) {
+  if (!schedule) return null;
+  const windows = (schedule.windows ?? []).map((window) => {
+    const days = window.days.length === 7 ? 'daily' : window.days.map((day) => DAY_NAMES[day].slice(0, 3)).join(', ');
+    return `${days} ${window.start}–${window.end}`;
+  });
+  const overrides = (schedule.overrides ?? []).length;
+  if (overrides) windows.push(`${overrides} override${overrides === 1 ? '' : 's'}`);
+  return windows.join('; ');
+}
+
+/**
+ * Editor for a rule's schedule: weekly active windows plus dated
+ * holiday/vacation overrides, both in the household timezone.
+ */
+export default function AlertSchedule({ value, onChange }) {
+  const schedule = value ?? { windows: [], overrides: [] };
+  const setWindow = (index, patch) => onChange({
+    ...schedule,
+    windows: schedule.windows.map((window, i) => (i === index ? { ...window, ...patch } : window)),
+  });
+  const setOverride = (index, patch) => onChange({
+    ...schedule,
+    overrides: schedule.overrides.map((override, i) => (i === index ? { ...override, ...patch } : override)),
+  });
+  const toggleDay = (index, day) => {
+    const days = schedule.windows[index].days;
+    setWindow(index, { days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day].sort((a, b) => a - b) });
+  };
+
+  return (
+    <div className="md:col-span-2 space-y-2">
+      {schedule.windows.length > 0 && (
+        <p className="text-xs text-gray-500">Armed only during these windows (household time; an end before the start runs past midnight):</p>
+      )}
+      {schedule.windows.map((window, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2">
+          <div className="flex gap-1">
+            {DAY_LABELS.map((label, day) => (
+              <button
+                key={day}
+                type="button"
+                title={DAY_NAMES[day]}
+                onClick={() => toggleDay(index, day)}
+                className={clsx(
+                  'w-7 h-7 rounded-full text-xs border',
+                  window.days.includes(day)
+                    ? 'bg-blue-600 text-white border-blue-600'
+                    : 'bg-white text-gray-600 border-gray-200 hover:bg-gray-50'
+                )}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <input
+            type="time"
+            value={window.start}
+            onChange={(e) => setWindow(index, { start: e.target.value })}
+            className="border border-gray-200 rounded-lg px-2 py-1 text-sm"
+            required
+          />
+          <span className="text-xs text-gray-500">to</span>
+          <input
+            type="time"
+            value={window.end}
+            onChange={(e) => setWindow(index, { end: e.target.value })}
+            className="border border-gray-200 rounded-lg px-2 py-1 text-sm"
+            required
+          />
+          <button
+            type="button"
+            onClick={() => onChange({ ...schedule, windows: schedule.windows.filter((_w, i) => i !== index) })}
+            className="text-gray-400 hover:text-red-600"
+            aria-label="Remove window"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      ))}
+      {schedule.overrides.map((override, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2">
+          <select
+            value={override.mode}
+            onChange={(e) => setOverride(index, { mode: e.target.value })}
+            className="border border-gray-200 rounded-lg px-2 py-1 text-sm"
+          >
+            <option value="disarmed">Disarmed</option>
+            <option value="armed">Armed all day</option>
+          </select>
+          <input
+            type="date"
+            value={override.from}
+            onChange={(e) => setOverride(index, { from: e.target.value })}
+            className="border border-gray-200 rounded-lg px-2 py-1 text-sm"
+            required
+          />
+          <span className="text-xs text-gray-500">to</span>
+          <input
+            type="date"
+            value={override.to}
+            min={override.from}
+            onChange={(e) => setOverride(index, { to: e.target.value })}
+            className="border border-gray-200 rounded-lg px-2 py-1 text-sm"
+            required
+          />
+          <input
+            type="text"
+            value={override.label}
+            onChange={(e) => setOverride(index, { label: e.target.value })}
+            placeholder="Label (e.g. Vacation)"
+            maxLength={100}
+            className="min-w-0 flex-1 border border-gray-200 rounded-lg px-2 py-1 text-sm"
+          />
+          <button
+            type="button"
+            onClick={() => onChange({ ...schedule, overrides: schedule.overrides.filter((_o, i) => i !== index) })}
+            className="text-gray-400 hover:text-red-600"
+            aria-label="Remove override"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      ))}
+      <div className="flex items-center gap-3">
+        <button
+          type="button"
+          onClick={() => onChange({ ...schedule, windows: [...schedule.windows, emptyWindow()] })}
+          className="inline-flex items-center gap-1 text-xs text-blue-700 hover:text-blue-800"
+        >
+          {schedule.windows.length ? <Plus size={12} /> : <Clock size={12} />}
+          {schedule.windows.length ? 'Window' : 'Only arm on certain days and times…'}
+        </button>
+        <button
+          type="button"
+          onClick={() => onChange({ ...schedule, overrides: [...schedule.overrides, emptyOverride()] })}
+          className="inline-flex items-center gap-1 text-xs text-blue-700 hover:text-blue-800"
+        >
+          <CalendarOff size={12} />
+          Holiday / vacation override
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,15 @@
 import { useMemo, useState } from 'react';
 import { useMutation, useQueryClient } from '@tanstack/react-query';
 import clsx from 'clsx';
-import { Bell, Plus, Save, Trash2 } from 'lucide-react';
+import { Bell, Copy, KeyRound, Plus, RotateCcw, Save, ShieldCheck, Trash2, X } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
 import { fetchJson } from '../lib/api.js';
-import { useAlertRules, useAlertDeliveries } from '../hooks/useAlerts.js';
+import { useAlertRules, useAlertDeliveries, useAlertTimers, useAlertChannels } from '../hooks/useAlerts.js';
+import AlertBacktest from './AlertBacktest.jsx';
+import AlertChannels, { CHANNEL_TYPE_LABELS } from './AlertChannels.jsx';
+import AlertIncidents from './AlertIncidents.jsx';
+import AlertConditions, { conditionsToForm, conditionsToPayload } from './AlertConditions.jsx';
+import AlertSchedule, { describeSchedule, scheduleToForm, scheduleToPayload } from './AlertSchedule.jsx';
 
 const EMPTY_FORM = {
   name: '',
@@ -14,25 +19,163 @@ const EMPTY_FORM = {
   characteristic: '',
   operator: 'equals',
   matchValue: '',
+  matchValueTo: '',
+  trigger: 'event',
+  forMinutes: '',
   targetUrl: '',
+  channelIds: [],
   quietMinutes: 0,
+  conditions: null,
+  schedule: { windows: [], overrides: [] },
+  escalateAfterMinutes: '',
+  escalationTargetUrl: '',
+  escalationChannelIds: [],
+  autoResolve: false,
+  deliveryMode: 'immediate',
 };
 
+const DELIVERY_MODES = [
+  { value: 'immediate', label: 'Notify on every match' },
+  { value: 'hourly', label: 'Hourly digest' },
+  { value: 'daily', label: 'Daily digest' },
+];
+
+const OPERATOR_GROUPS = [
+  {
+    label: 'Text',
+    options: [
+      { value: 'equals', label: 'Equals', symbol: '=' },
+      { value: 'not_equals', label: 'Not equals', symbol: '≠' },
+      { value: 'contains', label: 'Contains', symbol: 'contains' },
+    ],
+  },
+  {
+    label: 'Number',
+    options: [
+      { value: 'gt', label: 'Greater than', symbol: '>' },
+      { value: 'gte', label: 'At least', symbol: '≥' },
+      { value: 'lt', label: 'Less than', symbol: '<' },
+      { value: 'lte', label: 'At most', symbol: '≤' },
+      { value: 'between', label: 'Between', symbol: 'between' },
+      { value: 'outside', label: 'Outside', symbol: 'outside' },
+    ],
+  },
+  {
+    label: 'Change',
+    options: [
+      { value: 'changed_from_to', label: 'Changed from … to …', symbol: 'changed' },
+      { value: 'increased_by', label: 'Increased by at least', symbol: 'rose by ≥' },
+      { value: 'decreased_by', label: 'Decreased by at least', symbol: 'fell by ≥' },
+      { value: 'changed_by', label: 'Changed by at least', symbol: 'changed by ≥' },
+    ],
+  },
+];
+
+const OPERATORS = Object.fromEntries(
+  OPERATOR_GROUPS.flatMap((group) => group.options).map((option) => [option.value, option])
+);
+
+// Compound conditions compare current state, so the change operators don't apply.
+const STATE_OPERATOR_GROUPS = OPERATOR_GROUPS.filter((group) => group.label !== 'Change');
+
+const RANGE_OPERATORS = new Set(['between', 'outside']);
+
+function usesSecondValue(operator) {
+  return RANGE_OPERATORS.has(operator) || operator === 'changed_from_to';
+}
+
+function matchValuePlaceholders(operator) {
+  if (RANGE_OPERATORS.has(operator)) return ['Lower bound', 'Upper bound'];
+  if (operator === 'changed_from_to') return ['From value (* for any)', 'To value (* for any)'];
+  if (['increased_by', 'decreased_by', 'changed_by'].includes(operator)) return ['Minimum change'];
+  if (['gt', 'gte', 'lt', 'lte'].includes(operator)) return ['Threshold'];
+  return ['Match value'];
+}
+
+function describeCondition(rule) {
+  const symbol = OPERATORS[rule.operator]?.symbol ?? rule.operator;
+  if (RANGE_OPERATORS.has(rule.operator)) return `${symbol} ${rule.matchValue}–${rule.matchValueTo}`;
+  if (rule.operator === 'changed_from_to') return `${symbol} ${rule.matchValue} → ${rule.matchValueTo}`;
+  return `${symbol} ${rule.matchValue}`;
+}
+
+function describeConditionTree(node, nested = false) {
+  if (Array.isArray(node.conditions)) {
+    const text = node.conditions
+      .map((child) => describeConditionTree(child, true))
+      .join(node.op === 'or' ? ' OR ' : ' AND ');
+    return nested && node.conditions.length > 1 ? `(${text})` : text;
+  }
+  const symbol = OPERATORS[node.operator]?.symbol ?? node.operator;
+  const value = RANGE_OPERATORS.has(node.operator) ? `${node.value}–${node.valueTo}` : node.value;
+  return `${node.accessory} ${node.characteristic} ${symbol} ${value}`;
+}
+
+// The form's "trigger" maps onto the API's conditionType + forMinutes pair.
+const TRIGGERS = [
+  { value: 'event', label: 'When an event matches' },
+  { value: 'duration', label: 'When the condition holds for…' },
+  { value: 'absence', label: 'When no event arrives for…' },
+];
+
+function triggerForRule(rule) {
+  if (rule.conditionType === 'absence') return 'absence';
+  return rule.forMinutes ? 'duration' : 'event';
+}
+
+function formatMinutes(minutes) {
+  if (minutes >= 60 && minutes % 60 === 0) return `${minutes / 60}h`;
+  return `${minutes}m`;
+}
+
+function describeTrigger(rule) {
+  const trigger = triggerForRule(rule);
+  if (trigger === 'absence') return `no events for ${formatMinutes(rule.forMinutes)}`;
+  if (trigger === 'duration') return `${describeCondition(rule)} for ${formatMinutes(rule.forMinutes)}`;
+  return describeCondition(rule);
+}
+
 function statusClass(status) {
   if (status === 'sent') return 'text-green-700 bg-green-50 border-green-200';
   if (status === 'suppressed') return 'text-amber-700 bg-amber-50 border-amber-200';
+  if (status === 'pending') return 'text-blue-700 bg-blue-50 border-blue-200';
+  if (status === 'dead') return 'text-white bg-red-600 border-red-600';
+  if (status === 'batched' || status === 'digested') return 'text-gray-600 bg-gray-50 border-gray-200';
   return 'text-red-700 bg-red-50 border-red-200';
 }
 
+/** Form state → rule body for create/update (and the backtest draft). */
+function formToPayload(form) {
+  const { trigger, ...fields } = form;
+  return {
+    ...fields,
+    matchValue: trigger === 'absence' ? '' : form.matchValue,
+    matchValueTo: trigger !== 'absence' && usesSecondValue(form.operator) ? form.matchValueTo : null,
+    conditionType: trigger === 'absence' ? 'absence' : 'event',
+    forMinutes: trigger === 'event' ? null : Number.parseInt(String(form.forMinutes), 10) || null,
+    quietMinutes: Number.parseInt(String(form.quietMinutes ?? 0), 10) || 0,
+    conditions: conditionsToPayload(form.conditions),
+    schedule: scheduleToPayload(form.schedule),
+    escalateAfterMinutes: Number.parseInt(String(form.escalateAfterMinutes), 10) || null,
+  };
+}
+
 export default function Alerts() {
   const queryClient = useQueryClient();
   const [form, setForm] = useState(EMPTY_FORM);
   const [editingId, setEditingId] = useState(null);
   const [error, setError] = useState('');
   const [deliveryPage, setDeliveryPage] = useState(1);
+  const [deliveryStatus, setDeliveryStatus] = useState('');
+  const [revealedSecret, setRevealedSecret] = useState(null);
 
   const { data: rules = [], isLoading: rulesLoading } = useAlertRules();
-  const { data: deliveriesData, isLoading: deliveriesLoading } = useAlertDeliveries(deliveryPage, 15);
+  const { data: deliveriesData, isLoading: deliveriesLoading } = useAlertDeliveries(deliveryPage, 15, deliveryStatus);
+  const { data: timers = [] } = useAlertTimers();
+  const { data: channels = [] } = useAlertChannels();
+  const channelsById = useMemo(() => new Map(channels.map((channel) => [channel.id, channel])), [channels]);
+  const pendingTimers = timers.filter((timer) => !timer.firedAt);
+  const isAbsence = form.trigger === 'absence';
   const deliveries = deliveriesData?.deliveries ?? [];
 
   const sortedRules = useMemo(
@@ -61,6 +204,7 @@ export default function Alerts() {
       setError('');
       queryClient.invalidateQueries({ queryKey: ['alerts', 'rules'] });
       queryClient.invalidateQueries({ queryKey: ['alerts', 'deliveries'] });
+      queryClient.invalidateQueries({ queryKey: ['alerts', 'timers'] });
     },
     onError: (err) => {
       setError(err.message || 'Failed to save alert rule');
@@ -88,14 +232,32 @@ export default function Alerts() {
     },
   });
 
+  const rotateSecretMutation = useMutation({
+    mutationFn: (rule) => fetchJson(`/api/alerts/rules/${rule.id}/signing-secret`, { method: 'POST' })
+      .then((result) => ({ ...result, rule })),
+    onSuccess: ({ rule, signingSecret, previousSecretValidUntil }) => {
+      setRevealedSecret({ ruleId: rule.id, ruleName: rule.name, signingSecret, previousSecretValidUntil });
+      queryClient.invalidateQueries({ queryKey: ['alerts', 'rules'] });
+    },
+  });
+
+  const disableSigningMutation = useMutation({
+    mutationFn: (id) => fetchJson(`/api/alerts/rules/${id}/signing-secret`, { method: 'DELETE' }),
+    onSuccess: (_result, id) => {
+      if (revealedSecret?.ruleId === id) setRevealedSecret(null);
+      queryClient.invalidateQueries({ queryKey: ['alerts', 'rules'] });
+    },
+  });
+
+  const replayDeliveryMutation = useMutation({
+    mutationFn: (id) => fetchJson(`/api/alerts/deliveries/${id}/replay`, { method: 'POST' }),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['alerts', 'deliveries'] }),
+  });
+
   function onSubmit(event) {
     event.preventDefault();
-    const payload = {
-      ...form,
-      quietMinutes: Number.parseInt(String(form.quietMinutes ?? 0), 10) || 0,
-    };
     setError('');
-    saveRuleMutation.mutate(payload);
+    saveRuleMutation.mutate(formToPayload(form));
   }
 
   function startEdit(rule) {
@@ -108,12 +270,30 @@ export default function Alerts() {
       characteristic: rule.characteristic ?? '',
       operator: rule.operator,
       matchValue: rule.matchValue,
-      targetUrl: rule.targetUrl,
+      matchValueTo: rule.matchValueTo ?? '',
+      trigger: triggerForRule(rule),
+      forMinutes: rule.forMinutes ?? '',
+      targetUrl: rule.targetUrl ?? '',
+      channelIds: rule.channelIds ?? [],
       quietMinutes: rule.quietMinutes ?? 0,
+      conditions: conditionsToForm(rule.conditions),
+      schedule: scheduleToForm(rule.schedule),
+      escalateAfterMinutes: rule.escalateAfterMinutes ?? '',
+      escalationTargetUrl: rule.escalationTargetUrl ?? '',
+      escalationChannelIds: rule.escalationChannelIds ?? [],
+      autoResolve: rule.autoResolve ?? false,
+      deliveryMode: rule.deliveryMode ?? 'immediate',
     });
     setError('');
   }
 
+  function toggleChannel(id, checked, key = 'channelIds') {
+    setForm((prev) => ({
+      ...prev,
+      [key]: checked ? [...prev[key], id] : prev[key].filter((channelId) => channelId !== id),
+    }));
+  }
+
   return (
     <div className="max-w-6xl mx-auto w-full py-4 sm:py-6 px-3 sm:px-4 space-y-4">
       <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
@@ -135,9 +315,9 @@ export default function Alerts() {
             type="url"
             value={form.targetUrl}
             onChange={(e) => setForm((prev) => ({ ...prev, targetUrl: e.target.value }))}
-            placeholder="Webhook URL (https://...)"
+            placeholder={form.channelIds.length > 0 ? 'Webhook URL (optional)' : 'Webhook URL (https://...)'}
             className="border border-gray-200 rounded-lg px-3 py-2 text-sm"
-            required
+            required={form.channelIds.length === 0}
           />
           <select
             value={form.scopeType}
@@ -161,34 +341,164 @@ export default function Alerts() {
             value={form.characteristic}
             onChange={(e) => setForm((prev) => ({ ...prev, characteristic: e.target.value }))}
             placeholder="Characteristic filter (optional)"
+            title="e.g. ContactSensorState. For a Matter event field, use Event.field, e.g. LockOperation.operationSource"
             className="border border-gray-200 rounded-lg px-3 py-2 text-sm"
           />
-          <select
-            value={form.operator}
-            onChange={(e) => setForm((prev) => ({ ...prev, operator: e.target.value }))}
-            className="border border-gray-200 rounded-lg px-3 py-2 text-sm"
-          >
-            <option value="equals">Equals</option>
-            <option value="not_equals">Not equals</option>
-            <option value="contains">Contains</option>
-          </select>
-          <input
-            type="text"
-            value={form.matchValue}
-            onChange={(e) => setForm((prev) => ({ ...prev, matchValue: e.target.value }))}
-            placeholder="Match value"
-            className="border border-gray-200 rounded-lg px-3 py-2 text-sm"
-            required
+          <div className="flex gap-2">
+            <select
+              value={form.trigger}
+              onChange={(e) => setForm((prev) => ({ ...prev, trigger: e.target.value }))}
+              className="min-w-0 flex-1 border border-gray-200 rounded-lg px-3 py-2 text-sm"
+            >
+              {TRIGGERS.map((trigger) => (
+                <option key={trigger.value} value={trigger.value}>{trigger.label}</option>
+              ))}
+            </select>
+            {form.trigger !== 'event' && (
+              <input
+                type="number"
+                min="1"
+                max="10080"
+                value={form.forMinutes}
+                onChange={(e) => setForm((prev) => ({ ...prev, forMinutes: e.target.value }))}
+                placeholder="Minutes"
+                className="w-28 border border-gray-200 rounded-lg px-3 py-2 text-sm"
+                required
+              />
+            )}
+          </div>
+          {!isAbsence && (
+            <select
+              value={form.operator}
+              onChange={(e) => setForm((prev) => ({ ...prev, operator: e.target.value }))}
+              className="border border-gray-200 rounded-lg px-3 py-2 text-sm"
+            >
+              {OPERATOR_GROUPS.map((group) => (
+                <optgroup key={group.label} label={group.label}>
+                  {group.options.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+          )}
+          {!isAbsence && (
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={form.matchValue}
+                onChange={(e) => setForm((prev) => ({ ...prev, matchValue: e.target.value }))}
+                placeholder={matchValuePlaceholders(form.operator)[0]}
+                className="min-w-0 flex-1 border border-gray-200 rounded-lg px-3 py-2 text-sm"
+                required
+              />
+              {usesSecondValue(form.operator) && (
+                <input
+                  type="text"
+                  value={form.matchValueTo}
+                  onChange={(e) => setForm((prev) => ({ ...prev, matchValueTo: e.target.value }))}
+                  placeholder={matchValuePlaceholders(form.operator)[1]}
+                  className="min-w-0 flex-1 border border-gray-200 rounded-lg px-3 py-2 text-sm"
+                  required
+                />
+              )}
+            </div>
+          )}
+          <div className="flex gap-2">
+            <select
+              value={form.deliveryMode}
+              onChange={(e) => setForm((prev) => ({ ...prev, deliveryMode: e.target.value }))}
+              className="min-w-0 flex-1 border border-gray-200 rounded-lg px-3 py-2 text-sm"
+            >
+              {DELIVERY_MODES.map((mode) => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+            {form.deliveryMode === 'immediate' && (
+              <input
+                type="number"
+                min="0"
+                max="10080"
+                value={form.quietMinutes}
+                onChange={(e) => setForm((prev) => ({ ...prev, quietMinutes: e.target.value }))}
+                placeholder="Quiet period (minutes)"
+                title="Quiet period (minutes)"
+                className="w-28 border border-gray-200 rounded-lg px-3 py-2 text-sm"
+              />
+            )}
+          </div>
+          <AlertConditions
+            value={form.conditions}
+            onChange={(conditions) => setForm((prev) => ({ ...prev, conditions }))}
+            operatorGroups={STATE_OPERATOR_GROUPS}
           />
-          <input
-            type="number"
-            min="0"
-            max="10080"
-            value={form.quietMinutes}
-            onChange={(e) => setForm((prev) => ({ ...prev, quietMinutes: e.target.value }))}
-            placeholder="Quiet period (minutes)"
-            className="border border-gray-200 rounded-lg px-3 py-2 text-sm"
+          <AlertSchedule
+            value={form.schedule}
+            onChange={(schedule) => setForm((prev) => ({ ...prev, schedule }))}
           />
+          {channels.length > 0 && (
+            <div className="md:col-span-2 flex flex-wrap items-center gap-3">
+              <span className="text-xs text-gray-500">Deliver to</span>
+              {channels.map((channel) => (
+                <label key={channel.id} className="inline-flex items-center gap-1.5 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.channelIds.includes(channel.id)}
+                    onChange={(e) => toggleChannel(channel.id, e.target.checked)}
+                    className="rounded border-gray-300"
+                  />
+                  <span className={clsx(!channel.enabled && 'text-gray-400 line-through')}>{channel.name}</span>
+                  <span className="text-xs text-gray-400">{CHANNEL_TYPE_LABELS[channel.type] ?? channel.type}</span>
+                </label>
+              ))}
+            </div>
+          )}
+          <div className="md:col-span-2 flex flex-wrap items-center gap-3">
+            <span className="text-xs text-gray-500">Escalate if unacknowledged after</span>
+            <input
+              type="number"
+              min="1"
+              max="10080"
+              value={form.escalateAfterMinutes}
+              onChange={(e) => setForm((prev) => ({ ...prev, escalateAfterMinutes: e.target.value }))}
+              placeholder="Minutes"
+              className="w-28 border border-gray-200 rounded-lg px-3 py-1.5 text-sm"
+            />
+            {form.escalateAfterMinutes !== '' && (
+              <>
+                <span className="text-xs text-gray-500">to</span>
+                {channels.map((channel) => (
+                  <label key={channel.id} className="inline-flex items-center gap-1.5 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.escalationChannelIds.includes(channel.id)}
+                      onChange={(e) => toggleChannel(channel.id, e.target.checked, 'escalationChannelIds')}
+                      className="rounded border-gray-300"
+                    />
+                    <span className={clsx(!channel.enabled && 'text-gray-400 line-through')}>{channel.name}</span>
+                  </label>
+                ))}
+                <input
+                  type="url"
+                  value={form.escalationTargetUrl}
+                  onChange={(e) => setForm((prev) => ({ ...prev, escalationTargetUrl: e.target.value }))}
+                  placeholder={form.escalationChannelIds.length > 0 ? 'Webhook URL (optional)' : 'Webhook URL (https://...)'}
+                  className="min-w-0 flex-1 border border-gray-200 rounded-lg px-3 py-1.5 text-sm"
+                  required={form.escalationChannelIds.length === 0}
+                />
+              </>
+            )}
+          </div>
+          <AlertBacktest getDraft={() => formToPayload(form)} />
+          <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.autoResolve}
+              onChange={(e) => setForm((prev) => ({ ...prev, autoResolve: e.target.checked }))}
+              className="rounded border-gray-300"
+            />
+            Resolve automatically when the trigger clears
+          </label>
           <label className="inline-flex items-center gap-2 text-sm text-gray-700">
             <input
               type="checkbox"
@@ -224,6 +534,43 @@ export default function Alerts() {
         </form>
         {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
 
+        {revealedSecret && (
+          <div className="mt-4 rounded-lg border border-blue-200 bg-blue-50 p-3 text-sm">
+            <div className="flex items-center gap-2">
+              <KeyRound size={14} className="text-blue-700" />
+              <span className="font-medium text-blue-900">Signing secret for {revealedSecret.ruleName}</span>
+              <button
+                type="button"
+                onClick={() => setRevealedSecret(null)}
+                className="ml-auto text-blue-700 hover:text-blue-900"
+                aria-label="Dismiss"
+              >
+                <X size={14} />
+              </button>
+            </div>
+            <div className="mt-2 flex items-center gap-2">
+              <code className="min-w-0 flex-1 truncate rounded bg-white border border-blue-200 px-2 py-1 text-xs">
+                {revealedSecret.signingSecret}
+              </code>
+              <button
+                type="button"
+                onClick={() => navigator.clipboard?.writeText(revealedSecret.signingSecret)}
+                className="inline-flex items-center gap-1 text-xs text-blue-700 hover:text-blue-900"
+              >
+                <Copy size={12} />
+                Copy
+              </button>
+            </div>
+            <p className="text-xs text-blue-800 mt-2">
+              This is the only time the secret is shown. Webhooks carry X-HomeChronicle-Signature and
+              X-HomeChronicle-Timestamp headers signed with it.
+              {revealedSecret.previousSecretValidUntil && (
+                <> The previous secret also signs until {new Date(revealedSecret.previousSecretValidUntil).toLocaleString()}.</>
+              )}
+            </p>
+          </div>
+        )}
+
         <div className="mt-4 space-y-2">
           {rulesLoading && <p className="text-sm text-gray-500">Loading rules...</p>}
           {!rulesLoading && sortedRules.length === 0 && (
@@ -249,23 +596,126 @@ export default function Alerts() {
                 {rule.name}
               </button>
               <span className="text-xs text-gray-500">{rule.scopeType}{rule.scopeValue ? `: ${rule.scopeValue}` : ''}</span>
-              <span className="text-xs text-gray-500">{rule.operator} {rule.matchValue}</span>
-              <span className="text-xs text-gray-500">quiet {rule.quietMinutes}m</span>
-              <button
-                type="button"
-                className="ml-auto inline-flex items-center gap-1 text-xs text-red-600 hover:text-red-700"
-                onClick={() => deleteRuleMutation.mutate(rule.id)}
-              >
-                <Trash2 size={12} />
-                Delete
-              </button>
+              <span className="text-xs text-gray-500">{describeTrigger(rule)}</span>
+              {rule.conditions && (
+                <span className="text-xs text-gray-500 truncate max-w-md" title={describeConditionTree(rule.conditions)}>
+                  only if {describeConditionTree(rule.conditions)}
+                </span>
+              )}
+              {rule.deliveryMode && rule.deliveryMode !== 'immediate'
+                ? <span className="text-xs text-gray-500">{rule.deliveryMode} digest</span>
+                : <span className="text-xs text-gray-500">quiet {rule.quietMinutes}m</span>}
+              {rule.schedule && (
+                <span
+                  className={clsx('text-xs', rule.armed ? 'text-green-700' : 'text-gray-500')}
+                  title={describeSchedule(rule.schedule)}
+                >
+                  {rule.armed ? 'armed' : 'disarmed'}
+                  {rule.nextScheduleChange && (
+                    <span title={new Date(rule.nextScheduleChange.at).toLocaleString()}>
+                      {' · '}{rule.nextScheduleChange.armed ? 'arms' : 'disarms'}{' '}
+                      {formatDistanceToNow(new Date(rule.nextScheduleChange.at), { addSuffix: true })}
+                    </span>
+                  )}
+                </span>
+              )}
+              {rule.signingEnabled && (
+                <span className="inline-flex items-center gap-1 text-xs text-green-700" title="Webhooks are HMAC-signed">
+                  <ShieldCheck size={12} />
+                  signed
+                </span>
+              )}
+              {(rule.channelIds ?? []).length > 0 && (
+                <span className="text-xs text-gray-500">
+                  → {rule.channelIds.map((id) => channelsById.get(id)?.name ?? `#${id}`).join(', ')}
+                  {rule.targetUrl ? ' + webhook' : ''}
+                </span>
+              )}
+              {rule.escalateAfterMinutes && (
+                <span className="text-xs text-gray-500">
+                  escalates after {formatMinutes(rule.escalateAfterMinutes)}
+                  {' → '}
+                  {[
+                    ...(rule.escalationChannelIds ?? []).map((id) => channelsById.get(id)?.name ?? `#${id}`),
+                    ...(rule.escalationTargetUrl ? ['webhook'] : []),
+                  ].join(', ')}
+                </span>
+              )}
+              <div className="ml-auto flex items-center gap-3">
+                <button
+                  type="button"
+                  className="inline-flex items-center gap-1 text-xs text-gray-600 hover:text-blue-700 disabled:opacity-60"
+                  onClick={() => rotateSecretMutation.mutate(rule)}
+                  disabled={rotateSecretMutation.isPending}
+                >
+                  <KeyRound size={12} />
+                  {rule.signingEnabled ? 'Rotate secret' : 'Sign webhooks'}
+                </button>
+                {rule.signingEnabled && (
+                  <button
+                    type="button"
+                    className="text-xs text-gray-600 hover:text-red-700"
+                    onClick={() => disableSigningMutation.mutate(rule.id)}
+                  >
+                    Stop signing
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className="inline-flex items-center gap-1 text-xs text-red-600 hover:text-red-700"
+                  onClick={() => deleteRuleMutation.mutate(rule.id)}
+                >
+                  <Trash2 size={12} />
+                  Delete
+                </button>
+              </div>
             </div>
           ))}
         </div>
       </div>
 
+      <AlertChannels />
+
+      {pendingTimers.length > 0 && (
+        <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
+          <h3 className="text-sm font-semibold text-gray-900 mb-3">Pending Timers</h3>
+          <div className="space-y-2">
+            {pendingTimers.map((timer) => (
+              <div key={timer.id} className="rounded-lg border border-gray-200 p-3 flex flex-wrap items-center gap-2">
+                <span className="text-sm text-gray-900">{timer.ruleName}</span>
+                <span className="text-xs text-gray-500">
+                  {timer.accessoryName}{timer.characteristic ? ` · ${timer.characteristic}` : ''}
+                </span>
+                <span className="text-xs text-gray-500 ml-auto">
+                  fires {formatDistanceToNow(new Date(timer.dueAt), { addSuffix: true })}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <AlertIncidents />
+
       <div className="bg-white rounded-xl shadow-sm p-4 sm:p-5">
-        <h3 className="text-sm font-semibold text-gray-900 mb-3">Recent Deliveries</h3>
+        <div className="flex items-center gap-2 mb-3">
+          <h3 className="text-sm font-semibold text-gray-900">Recent Deliveries</h3>
+          <select
+            value={deliveryStatus}
+            onChange={(e) => {
+              setDeliveryStatus(e.target.value);
+              setDeliveryPage(1);
+            }}
+            className="ml-auto border border-gray-200 rounded-lg px-2 py-1 text-xs"
+          >
+            <option value="">All</option>
+            <option value="pending">Queued / retrying</option>
+            <option value="dead">Dead letter</option>
+            <option value="sent">Sent</option>
+            <option value="suppressed">Suppressed</option>
+            <option value="batched">Waiting for digest</option>
+          </select>
+        </div>
         <div className="space-y-2">
           {deliveriesLoading && <p className="text-sm text-gray-500">Loading deliveries...</p>}
           {!deliveriesLoading && deliveries.length === 0 && (
@@ -278,9 +728,33 @@ export default function Alerts() {
                   {delivery.status}
                 </span>
                 <span className="text-sm text-gray-900">{delivery.ruleName || `Rule #${delivery.ruleId}`}</span>
+                {delivery.channelName && (
+                  <span className="text-xs text-gray-500">
+                    via {delivery.channelName} ({CHANNEL_TYPE_LABELS[delivery.channelType] ?? delivery.channelType})
+                  </span>
+                )}
                 <span className="text-xs text-gray-500">{formatDistanceToNow(new Date(delivery.sentAt), { addSuffix: true })}</span>
+                {delivery.attempts > 1 && (
+                  <span className="text-xs text-gray-500">{delivery.attempts} attempts</span>
+                )}
+                {delivery.status === 'pending' && delivery.nextAttemptAt && delivery.attempts > 0 && (
+                  <span className="text-xs text-blue-700">
+                    retry {formatDistanceToNow(new Date(delivery.nextAttemptAt), { addSuffix: true })}
+                  </span>
+                )}
+                {delivery.replayable && (
+                  <button
+                    type="button"
+                    onClick={() => replayDeliveryMutation.mutate(delivery.id)}
+                    disabled={replayDeliveryMutation.isPending}
+                    className="ml-auto inline-flex items-center gap-1 text-xs text-blue-700 hover:text-blue-800 disabled:opacity-60"
+                  >
+                    <RotateCcw size={12} />
+                    Replay
+                  </button>
+                )}
               </div>
-              <p className="text-xs text-gray-500 mt-1 truncate">{delivery.targetUrl}</p>
+              {delivery.targetUrl && <p className="text-xs text-gray-500 mt-1 truncate">{delivery.targetUrl}</p>}
               {delivery.error && <p className="text-xs text-red-600 mt-1">{delivery.error}</p>}
             </div>
           ))}
@@ -1,6 +1,6 @@
 import { formatDistanceToNow, format } from 'date-fns';
 import { VolumeX } from 'lucide-react';
-import { getServiceIcon, getServiceLabel, describeChange, describeBeforeAfter } from '../lib/icons.js';
+import { getServiceIcon, getServiceLabel, describeChange, describeBeforeAfter, describeEventData } from '../lib/icons.js';
 import { getRoomColor } from '../lib/roomColors.js';
 
 /** 1st / 2nd / 3rd … Nth */
@@ -26,6 +26,7 @@ export default function EventRow({ event, hoveredCell = null, meta = {}, onMute,
   const ts          = new Date(event.timestamp);
   const description = describeChange(event.characteristic, event.new_value);
   const beforeAfter = describeBeforeAfter(event.characteristic, event.old_value, event.new_value);
+  const eventDetail = describeEventData(event.characteristic, event.event_data);
   const roomColor   = getRoomColor(event.room_name);
 
   const { gap, marker, rank, dayTotal, anomalyLabel } = meta;
@@ -63,6 +64,14 @@ export default function EventRow({ event, hoveredCell = null, meta = {}, onMute,
             ) : (
               <span className="font-medium text-gray-900 truncate">{event.accessory_name}</span>
             )}
+            {event.reconciled && (
+              <span
+                className="text-xs text-slate-500 bg-slate-100 border border-slate-200 px-1.5 py-0.5 rounded-full flex-shrink-0"
+                title="Found when the listener reconnected — the change happened while it was offline, so the time is approximate"
+              >
+                reconciled
+              </span>
+            )}
             {anomalyLabel && (
               <span className="inline-flex items-center gap-1 text-xs text-amber-600 bg-amber-50 border border-amber-100 px-1.5 py-0.5 rounded-full flex-shrink-0">
                 ⚠ {anomalyLabel}
@@ -102,6 +111,11 @@ export default function EventRow({ event, hoveredCell = null, meta = {}, onMute,
               {beforeAfter.from} → {beforeAfter.to}
             </span>
           )}
+          {eventDetail && (
+            <span className="text-xs text-gray-500 bg-gray-50 border border-gray-100 px-1.5 py-0.5 rounded">
+              {eventDetail}
+            </span>
+          )}
           {event.room_name && (
             <span
               className="text-xs px-1.5 py-0.5 rounded-full font-medium flex-shrink-0"
@@ -1,9 +1,29 @@
+import { useState } from 'react';
 import { useAccessories } from '../hooks/useEvents.js';
 import { getRoomColor } from '../lib/roomColors.js';
-import { Search, SlidersHorizontal, ChevronDown, ChevronUp } from 'lucide-react';
+import { Search, SlidersHorizontal, ChevronDown, ChevronUp, Download } from 'lucide-react';
+
+const EXPORT_OPTIONS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'csv.gz', label: 'CSV (gzip)' },
+  { value: 'ndjson', label: 'NDJSON' },
+  { value: 'ndjson.gz', label: 'NDJSON (gzip)' },
+];
+
+/** Same filters as the Timeline query; the listener streams the file back. */
+function buildExportUrl(filters, exportOption) {
+  const [format, compression] = exportOption.split('.');
+  const qs = new URLSearchParams({ format });
+  if (compression === 'gz') qs.set('gzip', 'true');
+  for (const key of ['room', 'accessory', 'characteristic', 'from', 'to']) {
+    if (filters[key]) qs.set(key, filters[key]);
+  }
+  return `/api/export/events?${qs}`;
+}
 
 export default function FilterBar({ filters, onChange, open, onToggle }) {
   const { data: accessories = [] } = useAccessories();
+  const [exportOption, setExportOption] = useState('csv');
 
   const rooms = [...new Set(accessories.map((a) => a.room_name).filter(Boolean))].sort();
 
@@ -109,6 +129,28 @@ export default function FilterBar({ filters, onChange, open, onToggle }) {
               </button>
             )}
           </div>
+
+          {/* Export — includes archived events matching the same filters */}
+          <div className="flex items-center gap-2 mt-2">
+            <select
+              value={exportOption}
+              onChange={(e) => setExportOption(e.target.value)}
+              aria-label="Export format"
+              className="border border-gray-300 rounded-lg px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {EXPORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <a
+              href={buildExportUrl(filters, exportOption)}
+              download
+              className="inline-flex items-center gap-1 text-xs font-medium text-blue-700 bg-blue-50 border border-blue-200 px-2.5 py-1 rounded-lg hover:bg-blue-100"
+            >
+              <Download size={12} />
+              Export current view
+            </a>
+          </div>
         </div>
       )}
     </div>
@@ -0,0 +1,35 @@
+import { format } from 'date-fns';
+import { WifiOff } from 'lucide-react';
+import { describeChange } from '../lib/icons.js';
+
+/**
+ * GapRow — a HomeKit connection outage (a ConnectivityGap row). Changes
+ * during the outage were not seen live; the ones the listener found on
+ * reconnect follow as events marked "reconciled".
+ *
+ * Props:
+ *   event — ConnectivityGap event (timestamp = reconnected, gap_started_at = lost)
+ */
+export default function GapRow({ event }) {
+  const end   = new Date(event.timestamp);
+  const start = event.gap_started_at ? new Date(event.gap_started_at) : null;
+  const hasStart = start && !Number.isNaN(start.getTime());
+
+  return (
+    <div
+      data-scene-id={event.id}
+      className="flex items-center gap-3 py-2 px-4 bg-gray-50"
+      style={{ backgroundImage: 'repeating-linear-gradient(135deg, transparent 0 6px, rgb(0 0 0 / 0.025) 6px 12px)' }}
+    >
+      <WifiOff size={14} className="text-gray-400 flex-shrink-0" />
+      <div className="flex-1 min-w-0 text-xs text-gray-500">
+        <span className="font-medium text-gray-600">{event.accessory_name}</span>
+        {' '}was {describeChange(event.characteristic, event.new_value)}
+        <span className="text-gray-400"> — changes in this window were not seen live</span>
+      </div>
+      <span className="text-xs text-gray-400 whitespace-nowrap" title={format(end, 'PPpp')}>
+        {hasStart ? `${format(start, 'HH:mm')}–${format(end, 'HH:mm')}` : format(end, 'HH:mm')}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import { Loader, LogIn } from 'lucide-react';
+import BrandLogo from './BrandLogo.jsx';
+import { fetchJson } from '../lib/api.js';
+
+export default function Login({ onSignedIn }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [pending, setPending] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    setPending(true);
+    setError(null);
+    try {
+      const result = await fetchJson('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+      });
+      setPassword('');
+      onSignedIn(result.user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPending(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-white border border-gray-200 rounded-xl shadow-sm p-6 space-y-4"
+      >
+        <BrandLogo className="h-14 w-auto mx-auto" />
+        <p className="text-sm text-gray-500 text-center">Sign in to your household account.</p>
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          autoComplete="username"
+          autoCapitalize="none"
+          className="w-full border border-gray-200 rounded-lg px-3 py-2 text-sm"
+          required
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete="current-password"
+          className="w-full border border-gray-200 rounded-lg px-3 py-2 text-sm"
+          required
+        />
+        {error && <p className="text-xs text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={pending}
+          className="w-full inline-flex items-center justify-center gap-1.5 px-3 py-2 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          {pending ? <Loader size={14} className="animate-spin" /> : <LogIn size={14} />}
+          Sign in
+        </button>
+        <p className="text-[11px] text-gray-400 text-center">
+          Forgot your password? Ask an admin to reset it from Manage → Settings.
+        </p>
+      </form>
+    </div>
+  );
+}
@@ -1,12 +1,29 @@
-import { AlertTriangle } from 'lucide-react';
+import { AlertTriangle, WifiOff } from 'lucide-react';
 import { useAccessories } from '../hooks/useEvents.js';
+import { formatGap } from '../lib/icons.js';
 
 function staleScore(device) {
-  const offline = Number(device?.health?.offlineDurationSeconds) || 0;
+  const offline = Number(device?.health?.unreachableSeconds ?? device?.health?.offlineDurationSeconds) || 0;
   const missed = Number(device?.health?.missedHeartbeats) || 0;
   return offline * 100 + missed;
 }
 
+// The listener records connection state (Reachable events); devices it
+// could not reach are listed even before the stale threshold.
+function isUnreachable(device) {
+  return device?.health?.reachable === false;
+}
+
+function describeDevice(device) {
+  if (isUnreachable(device)) {
+    const duration = formatGap((Number(device.health.unreachableSeconds) || 0) * 1000);
+    return duration ? `unreachable for ${duration}` : 'unreachable';
+  }
+  return Number.isFinite(device?.health?.missedHeartbeats)
+    ? `${device.health.missedHeartbeats} missed heartbeat${device.health.missedHeartbeats === 1 ? '' : 's'}`
+    : 'heartbeat missing';
+}
+
 function isBridgeParent(device) {
   const idParts = String(device?.accessory_id ?? '').split(':');
   return idParts.length === 6 && Number(device?.category) === 2;
@@ -20,7 +37,7 @@ export default function StaleDevicesPanel() {
   }
 
   const staleRows = (accessories ?? [])
-    .filter((device) => device?.health?.isStale && !isBridgeParent(device))
+    .filter((device) => (device?.health?.isStale || isUnreachable(device)) && !isBridgeParent(device))
     .sort((a, b) => staleScore(b) - staleScore(a))
     .slice(0, 8);
 
@@ -32,13 +49,13 @@ export default function StaleDevicesPanel() {
     <div>
       <div className="flex items-baseline justify-between mb-3">
         <h3 className="text-sm font-semibold text-gray-700">Stale Devices</h3>
-        <span className="text-xs text-gray-400">heartbeat lagging</span>
+        <span className="text-xs text-gray-400">unreachable or heartbeat lagging</span>
       </div>
       <div className="space-y-2">
         {staleRows.map((device) => (
           <div key={device.accessory_id} className="rounded-lg border border-amber-100 bg-amber-50/70 px-3 py-2">
             <div className="flex items-center gap-2 text-xs text-amber-700">
-              <AlertTriangle size={12} />
+              {isUnreachable(device) ? <WifiOff size={12} /> : <AlertTriangle size={12} />}
               <span className="uppercase tracking-wide font-semibold">Device</span>
               {device.health?.status && (
                 <span className="text-amber-500">{device.health.status}</span>
@@ -48,7 +65,12 @@ export default function StaleDevicesPanel() {
               {device.accessory_name}
             </div>
             <div className="text-xs text-amber-700 mt-0.5">
-              {Number.isFinite(device?.health?.missedHeartbeats) ? `${device.health.missedHeartbeats} missed heartbeat${device.health.missedHeartbeats === 1 ? '' : 's'}` : 'heartbeat missing'}
+              {describeDevice(device)}
+              {device.reachability?.drops_7d > 0 && (
+                <span className="text-amber-500">
+                  {' '}· dropped {device.reachability.drops_7d}× in 7 days
+                </span>
+              )}
             </div>
           </div>
         ))}
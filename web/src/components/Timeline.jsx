@@ -1,13 +1,14 @@
 import { useState, useMemo, useRef, useEffect } from 'react';
 import { format, startOfDay } from 'date-fns';
-import { ChevronLeft, ChevronRight, VolumeX, X, Loader2 } from 'lucide-react';
+import { ArrowUp, VolumeX, X, Loader2 } from 'lucide-react';
 
 import { useEvents, useAnomalies } from '../hooks/useEvents.js';
 import { useMutedDevices } from '../hooks/useMutedDevices.js';
 import { API_BASE, withApiAuthHeaders } from '../lib/api.js';
-import { groupIntoScenes, groupScenesIntoEpisodes } from '../lib/episodes.js';
+import { groupTimelineEntries, isConnectivityGap } from '../lib/episodes.js';
 import { formatGap } from '../lib/icons.js';
 import EpisodeGroup from './EpisodeGroup.jsx';
+import GapRow from './GapRow.jsx';
 import SceneGroup from './SceneGroup.jsx';
 import FilterBar from './FilterBar.jsx';
 import TimelineHeatmap from './TimelineHeatmap.jsx';
@@ -19,6 +20,29 @@ function isValidTimestamp(value) {
   return !Number.isNaN(date.getTime());
 }
 
+const LINK_FILTERS = ['accessory', 'room', 'characteristic', 'from', 'to'];
+
+/**
+ * Filters from a deep link such as `/?tab=timeline&accessory=Hall&from=<ISO>`
+ * (alert digests send these). Times become datetime-local values.
+ */
+function filtersFromLocation() {
+  if (typeof window === 'undefined') return {};
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('tab') !== 'timeline') return {};
+  const filters = {};
+  for (const key of LINK_FILTERS) {
+    const value = params.get(key);
+    if (!value) continue;
+    if (key === 'from' || key === 'to') {
+      if (isValidTimestamp(value)) filters[key] = format(new Date(value), "yyyy-MM-dd'T'HH:mm");
+    } else {
+      filters[key] = value;
+    }
+  }
+  return filters;
+}
+
 /** Groups an event array (any order) into a Map keyed by ISO start-of-day string. */
 function groupByDay(events) {
   const groups = new Map();
@@ -33,21 +57,28 @@ function groupByDay(events) {
 // ── Component ──────────────────────────────────────────────────────────────
 
 export default function Timeline() {
-  const [filters, setFilters]         = useState({});
-  const [page, setPage]               = useState(1);
-  const [filtersOpen, setFiltersOpen] = useState(false);
+  const [filters, setFilters]         = useState(filtersFromLocation);
+  const [startCursor, setStartCursor] = useState(null); // null = live head; set by heatmap jumps
+  const [filtersOpen, setFiltersOpen] = useState(() => Object.keys(filters).length > 0);
   const [heatmapOpen, setHeatmapOpen] = useState(false);
   const [hoveredCell, setHoveredCell] = useState(null); // transient: cleared on mouse-leave
   const [lockedCell,  setLockedCell]  = useState(null); // persistent: set by click, cleared by re-click
   const [isJumping,   setIsJumping]   = useState(false);
   const scrollRef                     = useRef(null);
   const pendingJumpId                 = useRef(null);   // event id to scroll to after page loads
-  const [backfilledEvents, setBackfilledEvents] = useState([]);
+  const sentinelRef                   = useRef(null);   // bottom marker that triggers the next page
 
   // The cell used for dim/highlight logic — prefer locked over hovered
   const activeCell = lockedCell ?? hoveredCell;
 
-  const { data, isLoading, isError } = useEvents(filters, page);
+  const {
+    data,
+    isLoading,
+    isError,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useEvents(filters, startCursor);
   const { data: anomalies }          = useAnomalies();
   const { muted, mute, unmute }      = useMutedDevices();
 
@@ -66,53 +97,15 @@ export default function Timeline() {
     return { byDeviceHour, byRoomHour };
   }, [anomalies]);
 
-  // When muting removes many rows, pull additional pages to keep this page full.
-  useEffect(() => {
-    let cancelled = false;
-
-    async function backfill() {
-      const baseEvents = data?.events ?? [];
-      setBackfilledEvents([]);
-
-      if (!baseEvents.length) return;
-
-      const baseVisibleCount = baseEvents.filter((e) => !muted.has(e.accessory_name)).length;
-      if (baseVisibleCount >= PAGE_SIZE || page >= (data?.pages ?? 1)) return;
-
-      const extras = [];
-      let visibleCount = baseVisibleCount;
-      let nextPage = page + 1;
-
-      while (visibleCount < PAGE_SIZE && nextPage <= data.pages) {
-        const qs = new URLSearchParams({ ...filters, page: String(nextPage), limit: String(PAGE_SIZE) });
-        const res = await fetch(`${API_BASE}/events?${qs}`, { headers: withApiAuthHeaders() });
-        if (!res.ok) break;
-
-        const payload = await res.json();
-        const events = payload?.events ?? [];
-        if (!events.length) break;
-
-        extras.push(...events);
-        visibleCount += events.filter((e) => !muted.has(e.accessory_name)).length;
-        nextPage += 1;
-      }
-
-      if (!cancelled) {
-        setBackfilledEvents(extras);
-      }
-    }
-
-    backfill();
-
-    return () => {
-      cancelled = true;
-    };
-  }, [data?.events, data?.pages, filters, muted, page]);
+  const loadedEvents = useMemo(
+    () => (data?.pages ?? []).flatMap((p) => p.events ?? []),
+    [data]
+  );
 
-  // Filter muted devices after combining the current page + backfilled events.
+  // Filter muted devices and drop rows whose timestamps cannot be rendered.
   const { visibleEvents, droppedInvalidCount } = useMemo(() => {
     const seen = new Set();
-    const combined = [...(data?.events ?? []), ...backfilledEvents].filter((e) => {
+    const combined = loadedEvents.filter((e) => {
       if (seen.has(e.id)) return false;
       seen.add(e.id);
       return true;
@@ -127,7 +120,27 @@ export default function Timeline() {
       visibleEvents: safeEvents.filter((e) => !muted.has(e.accessory_name)),
       droppedInvalidCount: droppedInvalid,
     };
-  }, [data?.events, backfilledEvents, muted]);
+  }, [loadedEvents, muted]);
+
+  // When muting hides most rows, keep pulling pages until the view is full.
+  useEffect(() => {
+    if (visibleEvents.length < PAGE_SIZE && hasNextPage && !isFetchingNextPage) {
+      fetchNextPage();
+    }
+  }, [visibleEvents.length, hasNextPage, isFetchingNextPage, fetchNextPage]);
+
+  // Infinite scroll: load the next page as the bottom of the feed comes into view.
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasNextPage || typeof IntersectionObserver === 'undefined') return undefined;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting) && !isFetchingNextPage) {
+        fetchNextPage();
+      }
+    }, { root: scrollRef.current, rootMargin: '400px 0px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage, visibleEvents.length]);
 
   /**
    * eventMetaMap — per-event metadata keyed by event id.
@@ -148,6 +161,7 @@ export default function Timeline() {
       // Bucket by device
       const byDevice = new Map();
       for (const e of dayEvents) {
+        if (isConnectivityGap(e)) continue;
         if (!byDevice.has(e.accessory_name)) byDevice.set(e.accessory_name, []);
         byDevice.get(e.accessory_name).push(e);
       }
@@ -199,24 +213,28 @@ export default function Timeline() {
     return map;
   }, [visibleEvents, anomalyMap]);
 
-  // ── Scroll-after-page-change ───────────────────────────────────────────────
-  // When handleClickCell navigates to a different page, it stores the target
+  // ── Scroll-after-jump ──────────────────────────────────────────────────────
+  // When handleClickCell reopens the feed at a cursor, it stores the target
   // event id in pendingJumpId. This effect fires whenever the loaded data
   // changes and scrolls as soon as the element appears in the DOM.
   useEffect(() => {
-    if (!pendingJumpId.current || !scrollRef.current || isLoading) return;
-    const el = scrollRef.current.querySelector(`[data-scene-id="${pendingJumpId.current}"]`);
-    if (el) {
-      pendingJumpId.current = null;
-      el.scrollIntoView({ behavior: 'smooth', block: 'start' });
-    }
+    if (!pendingJumpId.current || isLoading) return;
+    scrollToEvent(pendingJumpId.current);
   }, [data, isLoading]);
 
   // ── Handlers ──────────────────────────────────────────────────────────────
 
   function handleFilterChange(newFilters) {
     setFilters(newFilters);
-    setPage(1);
+    setStartCursor(null);
+  }
+
+  function scrollToEvent(eventId) {
+    const el = scrollRef.current?.querySelector(`[data-scene-id="${eventId}"]`);
+    if (!el) return false;
+    pendingJumpId.current = null;
+    el.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    return true;
   }
 
   /** Hover: highlight visible events only. No scroll — avoids mouse-leave side effects. */
@@ -225,8 +243,9 @@ export default function Timeline() {
   }
 
   /**
-   * Click: lock the highlight, collapse the heatmap, ask the server which
-   * page the most recent match lives on, navigate there, then scroll to it.
+   * Click: lock the highlight, collapse the heatmap, ask the server for a
+   * cursor starting at the most recent match, reopen the feed there (unless
+   * the match is already loaded), then scroll to it.
    * The useEffect above handles the scroll once the page data loads.
    * Clicking the same cell a second time unlocks it.
    */
@@ -243,7 +262,7 @@ export default function Timeline() {
     setIsJumping(true);
 
     try {
-      const qs = new URLSearchParams({ accessory: name, hour, limit: PAGE_SIZE });
+      const qs = new URLSearchParams({ accessory: name, hour });
       if (filters.room) qs.set('room', filters.room);
       if (filters.from) qs.set('from', filters.from);
       if (filters.to)   qs.set('to',   filters.to);
@@ -252,24 +271,18 @@ export default function Timeline() {
         headers: withApiAuthHeaders(),
       });
       if (!res.ok) return;
-      const { page: targetPage, eventId } = await res.json();
+      const { cursor, eventId } = await res.json();
 
       if (!eventId) return; // no match in DB
 
       pendingJumpId.current = eventId;
 
-      if (targetPage && targetPage !== page) {
-        // Navigate to the right page — useEffect scrolls after data loads
-        setPage(targetPage);
+      if (loadedEvents.some((e) => String(e.id) === String(eventId))) {
+        // Already loaded — scroll immediately after heatmap collapses
+        setTimeout(() => scrollToEvent(eventId), 120);
       } else {
-        // Already on the correct page — scroll immediately after heatmap collapses
-        setTimeout(() => {
-          const el = scrollRef.current?.querySelector(`[data-scene-id="${eventId}"]`);
-          if (el) {
-            pendingJumpId.current = null;
-            el.scrollIntoView({ behavior: 'smooth', block: 'start' });
-          }
-        }, 120);
+        // Reopen the feed at the match — useEffect scrolls after data loads
+        setStartCursor(cursor ?? null);
       }
     } catch (err) {
       console.error('[timeline] jump failed:', err);
@@ -322,6 +335,19 @@ export default function Timeline() {
         </div>
       )}
 
+      {/* Jumped into history — the live head is not loaded */}
+      {startCursor && (
+        <div className="max-w-2xl mx-auto w-full px-4 py-1.5 flex items-center gap-2">
+          <span className="text-xs text-gray-400">Showing older events</span>
+          <button
+            onClick={() => setStartCursor(null)}
+            className="ml-auto inline-flex items-center gap-1 text-xs font-medium text-blue-600 hover:text-blue-700"
+          >
+            <ArrowUp size={12} /> Back to latest
+          </button>
+        </div>
+      )}
+
       {/* Muted devices banner */}
       {muted.size > 0 && (
         <div className="max-w-2xl mx-auto w-full px-4 py-2 flex items-center gap-2 flex-wrap">
@@ -357,7 +383,7 @@ export default function Timeline() {
           </div>
         )}
 
-        {data && (data.events?.length ?? 0) === 0 && (
+        {data && loadedEvents.length === 0 && (
           <div className="flex flex-col items-center justify-center py-16 text-gray-400">
             <p className="text-lg font-medium">No events yet</p>
             <p className="text-sm mt-1">
@@ -366,7 +392,7 @@ export default function Timeline() {
           </div>
         )}
 
-        {!isLoading && !isError && data && (data.events?.length ?? 0) > 0 && visibleEvents.length === 0 && (
+        {!isLoading && !isError && data && loadedEvents.length > 0 && visibleEvents.length === 0 && !hasNextPage && (
           <div className="flex flex-col items-center justify-center py-16 text-gray-400">
             <p className="text-lg font-medium">No visible events</p>
             <p className="text-sm mt-1 text-center px-6">
@@ -387,8 +413,10 @@ export default function Timeline() {
                   {format(new Date(day), 'EEEE, MMMM d')}
                 </h2>
                 <div className="bg-white rounded-xl shadow-sm divide-y divide-gray-100">
-                  {groupScenesIntoEpisodes(groupIntoScenes(events)).map((entry) => (
-                    entry.kind === 'episode' ? (
+                  {groupTimelineEntries(events).map((entry) => (
+                    entry.kind === 'gap' ? (
+                      <GapRow key={entry.event.id} event={entry.event} />
+                    ) : entry.kind === 'episode' ? (
                       <EpisodeGroup
                         key={entry.scenes[0][0].id}
                         episode={entry.episode}
@@ -413,25 +441,19 @@ export default function Timeline() {
               </div>
             ))}
 
-            {data.pages > 1 && (
-              <div className="flex items-center justify-between px-4 py-3 text-sm text-gray-600">
-                <button
-                  onClick={() => setPage((p) => Math.max(1, p - 1))}
-                  disabled={page === 1}
-                  className="flex items-center gap-1 disabled:opacity-40"
-                >
-                  <ChevronLeft size={16} /> Previous
+            <div ref={sentinelRef} className="flex justify-center px-4 py-3 text-sm text-gray-400">
+              {isFetchingNextPage ? (
+                <span className="flex items-center gap-1.5">
+                  <Loader2 size={14} className="animate-spin" /> Loading older events…
+                </span>
+              ) : hasNextPage ? (
+                <button onClick={() => fetchNextPage()} className="text-gray-600 hover:text-gray-800">
+                  Load older events
                 </button>
-                <span>Page {page} of {data.pages}</span>
-                <button
-                  onClick={() => setPage((p) => Math.min(data.pages, p + 1))}
-                  disabled={page === data.pages}
-                  className="flex items-center gap-1 disabled:opacity-40"
-                >
-                  Next <ChevronRight size={16} />
-                </button>
-              </div>
-            )}
+              ) : (
+                <span className="text-xs">Beginning of history</span>
+              )}
+            </div>
           </div>
         )}
       </div>
@@ -4,23 +4,29 @@ import Timeline from './Timeline.jsx';
 vi.mock('../hooks/useEvents.js', () => ({
   useEvents: (() => {
     const stableData = {
-      events: [{
-        id: 'evt-1',
-        timestamp: 'not-a-real-date',
-        accessory_name: 'Kitchen Light',
-        room_name: 'Kitchen',
-        service_type: 'Lightbulb',
-        characteristic: 'On',
-        old_value: '0',
-        new_value: '1',
+      pages: [{
+        events: [{
+          id: 'evt-1',
+          timestamp: 'not-a-real-date',
+          accessory_name: 'Kitchen Light',
+          room_name: 'Kitchen',
+          service_type: 'Lightbulb',
+          characteristic: 'On',
+          old_value: '0',
+          new_value: '1',
+        }],
+        nextCursor: null,
       }],
-      pages: 1,
     };
+    const fetchNextPage = vi.fn();
     return () => {
       return {
         data: stableData,
         isLoading: false,
         isError: false,
+        fetchNextPage,
+        hasNextPage: false,
+        isFetchingNextPage: false,
       };
     };
   })(),
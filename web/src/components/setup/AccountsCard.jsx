@@ -0,0 +1,418 @@
+import { useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { CheckCircle2, Copy, KeyRound, Trash2, UserPlus } from 'lucide-react';
+import { fetchJson } from '../../lib/api.js';
+import { ROLE_LABELS, hasRole, useAuth, useDeviceTokens, useUsers } from '../../hooks/useAuth.js';
+
+const ROLE_HINTS = {
+  viewer: 'Read-only: timeline, dashboard and alert history',
+  member: 'Also edits rooms, names, notes and alert rules',
+  admin: 'Also pairs devices, wipes data, restores backups and manages users',
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : 'never';
+}
+
+async function sendJson(url, method, body) {
+  return fetchJson(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+}
+
+function PasswordForm() {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [pending, setPending] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    setPending(true);
+    setError(null);
+    setSaved(false);
+    try {
+      await sendJson('/api/auth/password', 'POST', { currentPassword, newPassword });
+      setCurrentPassword('');
+      setNewPassword('');
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPending(false);
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2">
+      <input
+        type="password"
+        value={currentPassword}
+        onChange={(e) => setCurrentPassword(e.target.value)}
+        placeholder="Current password"
+        autoComplete="current-password"
+        className="border border-gray-200 rounded-lg px-3 py-1.5 text-xs"
+        required
+      />
+      <input
+        type="password"
+        value={newPassword}
+        onChange={(e) => setNewPassword(e.target.value)}
+        placeholder="New password (8+ characters)"
+        autoComplete="new-password"
+        minLength={8}
+        className="border border-gray-200 rounded-lg px-3 py-1.5 text-xs"
+        required
+      />
+      <button
+        type="submit"
+        disabled={pending}
+        className="px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+      >
+        {pending ? 'Saving…' : 'Change password'}
+      </button>
+      {saved && (
+        <span className="inline-flex items-center gap-1 text-xs text-emerald-700">
+          <CheckCircle2 size={13} />
+          Password changed — other browsers were signed out
+        </span>
+      )}
+      {error && <span className="text-xs text-red-600">{error}</span>}
+    </form>
+  );
+}
+
+function DeviceTokens() {
+  const queryClient = useQueryClient();
+  const { data: tokens = [], isLoading } = useDeviceTokens();
+  const [name, setName] = useState('');
+  const [expiresInDays, setExpiresInDays] = useState('');
+  const [revealed, setRevealed] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function handleCreate(event) {
+    event.preventDefault();
+    setError(null);
+    try {
+      const created = await sendJson('/api/auth/tokens', 'POST', {
+        name,
+        expiresInDays: expiresInDays || null,
+      });
+      setRevealed(created);
+      setCopied(false);
+      setName('');
+      setExpiresInDays('');
+      queryClient.invalidateQueries({ queryKey: ['auth', 'tokens'] });
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function handleRevoke(id) {
+    setError(null);
+    try {
+      await sendJson(`/api/auth/tokens/${id}`, 'DELETE');
+      if (revealed?.id === id) setRevealed(null);
+      queryClient.invalidateQueries({ queryKey: ['auth', 'tokens'] });
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function handleCopy() {
+    try {
+      await navigator.clipboard.writeText(revealed.token);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-gray-500">
+        Tokens let a wall tablet or script call the API as you (send <code>Authorization: Bearer &lt;token&gt;</code>).
+        Revoke one when the device is lost or retired.
+      </p>
+      {revealed && (
+        <div className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800 space-y-1">
+          <p>Copy the token for “{revealed.name}” now — it won’t be shown again.</p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 min-w-0 truncate rounded bg-white px-2 py-1 border border-amber-100">{revealed.token}</code>
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="inline-flex items-center gap-1 px-2 py-1 rounded border border-amber-200 hover:bg-amber-100 transition-colors"
+            >
+              {copied ? <CheckCircle2 size={12} /> : <Copy size={12} />}
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+          </div>
+        </div>
+      )}
+      {isLoading ? (
+        <p className="text-xs text-gray-400">Loading tokens…</p>
+      ) : tokens.length === 0 ? (
+        <p className="text-xs text-gray-400 italic">No device tokens.</p>
+      ) : (
+        <div className="divide-y divide-gray-100 rounded-lg border border-gray-100">
+          {tokens.map((token) => (
+            <div key={token.id} className="flex items-center gap-3 px-3 py-2">
+              <div className="flex-1 min-w-0">
+                <div className="text-xs font-medium text-gray-800 truncate">{token.name}</div>
+                <div className="text-[11px] text-gray-400">
+                  Created {formatDate(token.createdAt)} · last used {formatDate(token.lastUsedAt)}
+                  {token.expiresAt && ` · expires ${formatDate(token.expiresAt)}`}
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(token.id)}
+                className="text-xs px-2 py-1 rounded border border-red-200 text-red-600 hover:bg-red-50 transition-colors"
+              >
+                Revoke
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      <form onSubmit={handleCreate} className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Device name, e.g. Hallway tablet"
+          maxLength={80}
+          className="border border-gray-200 rounded-lg px-3 py-1.5 text-xs"
+          required
+        />
+        <input
+          type="number"
+          min={1}
+          max={3650}
+          value={expiresInDays}
+          onChange={(e) => setExpiresInDays(e.target.value)}
+          placeholder="Expires in days (optional)"
+          className="w-48 border border-gray-200 rounded-lg px-3 py-1.5 text-xs"
+        />
+        <button
+          type="submit"
+          className="inline-flex items-center gap-1 px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50 transition-colors"
+        >
+          <KeyRound size={12} />
+          Create token
+        </button>
+      </form>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+function UserAdmin({ currentUserId }) {
+  const queryClient = useQueryClient();
+  const { data: users = [], isLoading } = useUsers();
+  const [form, setForm] = useState({ username: '', password: '', role: 'viewer' });
+  const [resetFor, setResetFor] = useState(null);
+  const [resetPassword, setResetPassword] = useState('');
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const [error, setError] = useState(null);
+
+  async function run(request) {
+    setError(null);
+    try {
+      await request();
+      queryClient.invalidateQueries({ queryKey: ['auth', 'users'] });
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }
+
+  async function handleCreate(event) {
+    event.preventDefault();
+    if (await run(() => sendJson('/api/auth/users', 'POST', form))) {
+      setForm({ username: '', password: '', role: 'viewer' });
+    }
+  }
+
+  async function handleReset(event) {
+    event.preventDefault();
+    if (await run(() => sendJson(`/api/auth/users/${resetFor}`, 'PATCH', { password: resetPassword }))) {
+      setResetFor(null);
+      setResetPassword('');
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      {isLoading ? (
+        <p className="text-xs text-gray-400">Loading users…</p>
+      ) : (
+        <div className="divide-y divide-gray-100 rounded-lg border border-gray-100">
+          {users.map((user) => (
+            <div key={user.id} className="px-3 py-2 space-y-2">
+              <div className="flex items-center gap-3 flex-wrap">
+                <div className="flex-1 min-w-0">
+                  <div className="text-xs font-medium text-gray-800 truncate">
+                    {user.username}
+                    {user.id === currentUserId && <span className="text-gray-400"> (you)</span>}
+                    {user.disabled && <span className="ml-1 text-red-600">disabled</span>}
+                  </div>
+                  <div className="text-[11px] text-gray-400">Last sign-in {formatDate(user.lastLoginAt)}</div>
+                </div>
+                <select
+                  value={user.role}
+                  onChange={(e) => run(() => sendJson(`/api/auth/users/${user.id}`, 'PATCH', { role: e.target.value }))}
+                  className="border border-gray-200 rounded-lg px-2 py-1 text-xs"
+                  aria-label={`Role for ${user.username}`}
+                >
+                  {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => { setResetFor(user.id); setResetPassword(''); }}
+                  className="text-xs px-2 py-1 rounded border border-gray-200 text-gray-600 hover:bg-gray-50 transition-colors"
+                >
+                  Reset password
+                </button>
+                {user.id !== currentUserId && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => run(() => sendJson(`/api/auth/users/${user.id}`, 'PATCH', { disabled: !user.disabled }))}
+                      className="text-xs px-2 py-1 rounded border border-gray-200 text-gray-600 hover:bg-gray-50 transition-colors"
+                    >
+                      {user.disabled ? 'Enable' : 'Disable'}
+                    </button>
+                    {confirmDelete === user.id ? (
+                      <button
+                        type="button"
+                        onClick={() => run(() => sendJson(`/api/auth/users/${user.id}`, 'DELETE')).then(() => setConfirmDelete(null))}
+                        className="text-xs px-2 py-1 rounded bg-red-600 text-white hover:bg-red-700 transition-colors"
+                      >
+                        Confirm delete
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => setConfirmDelete(user.id)}
+                        title={`Delete ${user.username}`}
+                        aria-label={`Delete ${user.username}`}
+                        className="p-1 rounded text-gray-400 hover:text-red-600 hover:bg-red-50 transition-colors"
+                      >
+                        <Trash2 size={13} />
+                      </button>
+                    )}
+                  </>
+                )}
+              </div>
+              {resetFor === user.id && (
+                <form onSubmit={handleReset} className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="password"
+                    value={resetPassword}
+                    onChange={(e) => setResetPassword(e.target.value)}
+                    placeholder="New password (8+ characters)"
+                    autoComplete="new-password"
+                    minLength={8}
+                    className="border border-gray-200 rounded-lg px-3 py-1.5 text-xs"
+                    required
+                  />
+                  <button
+                    type="submit"
+                    className="px-3 py-1.5 text-xs font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+                  >
+                    Set password
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setResetFor(null)}
+                    className="text-xs text-gray-500 hover:text-gray-700"
+                  >
+                    Cancel
+                  </button>
+                </form>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      <form onSubmit={handleCreate} className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={form.username}
+          onChange={(e) => setForm((prev) => ({ ...prev, username: e.target.value }))}
+          placeholder="Username"
+          autoCapitalize="none"
+          className="border border-gray-200 rounded-lg px-3 py-1.5 text-xs"
+          required
+        />
+        <input
+          type="password"
+          value={form.password}
+          onChange={(e) => setForm((prev) => ({ ...prev, password: e.target.value }))}
+          placeholder="Password (8+ characters)"
+          autoComplete="new-password"
+          minLength={8}
+          className="border border-gray-200 rounded-lg px-3 py-1.5 text-xs"
+          required
+        />
+        <select
+          value={form.role}
+          onChange={(e) => setForm((prev) => ({ ...prev, role: e.target.value }))}
+          className="border border-gray-200 rounded-lg px-2 py-1.5 text-xs"
+          title={ROLE_HINTS[form.role]}
+        >
+          {Object.entries(ROLE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          className="inline-flex items-center gap-1 px-3 py-1.5 text-xs font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+        >
+          <UserPlus size={12} />
+          Add user
+        </button>
+      </form>
+      <p className="text-[11px] text-gray-400">{ROLE_HINTS[form.role]}</p>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+/** Accounts section of Settings; only rendered when AUTH_MODE=users. */
+export default function AccountsCard() {
+  const auth = useAuth();
+  if (auth.mode !== 'users' || !auth.user) return null;
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg px-4 py-3 space-y-4">
+      <div>
+        <p className="text-sm font-medium text-gray-800">Account</p>
+        <p className="text-xs text-gray-500 mt-0.5">
+          Signed in as <span className="font-medium text-gray-700">{auth.user.username}</span>
+          {' '}({ROLE_LABELS[auth.user.role] ?? auth.user.role}) — {ROLE_HINTS[auth.user.role]?.toLowerCase()}.
+        </p>
+      </div>
+      <PasswordForm />
+      <div className="border-t border-gray-100 pt-3">
+        <p className="text-xs font-medium text-gray-700 mb-1">Device tokens</p>
+        <DeviceTokens />
+      </div>
+      {hasRole(auth, 'admin') && (
+        <div className="border-t border-gray-100 pt-3">
+          <p className="text-xs font-medium text-gray-700 mb-1">Household members</p>
+          <UserAdmin currentUserId={auth.user.id} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -7,6 +7,7 @@ import clsx from 'clsx';
 import { formatDistanceToNow } from 'date-fns';
 import PinHelpModal from '../PinHelpModal.jsx';
 import MatterHelpModal from '../MatterHelpModal.jsx';
+import SetupPayloadPanel from './SetupPayloadPanel.jsx';
 import { CATEGORY_LABELS } from './constants.js';
 
 export default function AddDevicesTab({ setup, onSwitchTab }) {
@@ -91,6 +92,10 @@ export default function AddDevicesTab({ setup, onSwitchTab }) {
     await pairOne(id, pin, setPairingStatus);
   }
 
+  async function handlePayloadPair(id, setupPayload, setupCode) {
+    await pairOne(id, setupCode, setPairingStatus, { setupPayload });
+  }
+
   function handleMatterSubmit(event) {
     event.preventDefault();
     const name = matterForm.name.trim();
@@ -206,6 +211,13 @@ export default function AddDevicesTab({ setup, onSwitchTab }) {
             </div>
           )}
 
+          <SetupPayloadPanel
+            pairingStatus={pairingStatus}
+            onPair={handlePayloadPair}
+            onUsePin={setBulkPin}
+            disabled={scanning || isBulkPairing}
+          />
+
           {discoveredLoading && (
             <div className="flex justify-center py-8 text-gray-400 gap-2 text-sm">
               <Loader size={16} className="animate-spin" /> Loading...
@@ -0,0 +1,52 @@
+import { useQuery } from '@tanstack/react-query';
+import { formatDistanceToNow } from 'date-fns';
+import { Loader } from 'lucide-react';
+import { fetchJson } from '../../lib/api.js';
+
+const SOURCE_LABELS = {
+  browse: 'announced',
+  scan: 'found by scan',
+};
+
+/**
+ * Addresses discovery has moved a HomeKit pairing to (DHCP lease changes
+ * and the like), newest first.
+ */
+export default function AddressHistory({ deviceId }) {
+  const { data: changes, isLoading, isError } = useQuery({
+    queryKey: ['setup', 'address-history', deviceId],
+    queryFn: () => fetchJson(`/api/setup/pairing/${encodeURIComponent(deviceId)}/address-history`),
+    staleTime: 60 * 1000,
+  });
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center gap-1.5 text-xs text-gray-400 py-1">
+        <Loader size={11} className="animate-spin" /> Loading address history…
+      </div>
+    );
+  }
+  if (isError) return <p className="text-xs text-red-400 py-1">Could not load address history.</p>;
+  if (!changes?.length) {
+    return <p className="text-xs text-gray-400 italic py-1">No address changes recorded.</p>;
+  }
+
+  return (
+    <ul className="mt-1 space-y-0.5">
+      {changes.map((change) => (
+        <li key={change.id} className="text-[11px] text-gray-500 flex gap-2">
+          <span
+            className="text-gray-400 whitespace-nowrap"
+            title={new Date(change.changed_at).toLocaleString()}
+          >
+            {formatDistanceToNow(new Date(change.changed_at), { addSuffix: true })}
+          </span>
+          <span className="font-mono truncate">
+            {change.old_address ? `${change.old_address}:${change.old_port}` : '?'} → {change.new_address}:{change.new_port}
+          </span>
+          <span className="text-gray-400 whitespace-nowrap">{SOURCE_LABELS[change.source] ?? change.source}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
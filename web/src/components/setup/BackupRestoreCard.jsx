@@ -0,0 +1,263 @@
+import { useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { AlertTriangle, CheckCircle2, Download, Loader, Upload } from 'lucide-react';
+import { fetchJson, withApiAuthHeaders } from '../../lib/api.js';
+
+function countChanges(section) {
+  if (!section) return { added: 0, removed: 0, changed: 0 };
+  return {
+    added: section.added.length,
+    removed: section.removed.length,
+    changed: section.changed.length,
+  };
+}
+
+const STORE_LABELS = {
+  pairings: 'Pairings',
+  rooms: 'Room assignments',
+  displayNames: 'Display names',
+  notes: 'Notes',
+  retention: 'Settings',
+  noisePolicies: 'Noise policies',
+};
+
+function DiffSummary({ preview }) {
+  const rows = [
+    ...Object.entries(STORE_LABELS).map(([key, label]) => ({ label, ...countChanges(preview.diff.stores[key]) })),
+    { label: 'Alert rules', ...countChanges(preview.diff.alertRules) },
+    ...(preview.diff.alertChannels
+      ? [{ label: 'Alert channels', ...countChanges(preview.diff.alertChannels) }]
+      : []),
+  ];
+  return (
+    <div className="mt-3 rounded-lg border border-gray-100 bg-gray-50 px-3 py-2 text-xs text-gray-600 space-y-1">
+      <p className="text-gray-500">
+        Backup from {preview.backup.createdAt ? new Date(preview.backup.createdAt).toLocaleString() : 'unknown date'}
+        {preview.backup.encrypted ? ' · encrypted' : ''}
+      </p>
+      {rows.map(({ label, added, removed, changed }) => (
+        <div key={label} className="flex justify-between gap-3">
+          <span>{label}</span>
+          <span className="tabular-nums">
+            {added || removed || changed
+              ? `+${added} / −${removed} / ~${changed}`
+              : 'no changes'}
+          </span>
+        </div>
+      ))}
+      {preview.applies.events && preview.diff.events && (
+        <p>Event history: {preview.diff.events.live + preview.diff.events.archive} row(s) merged, existing rows kept.</p>
+      )}
+      {preview.applies.matterStorage && preview.diff.matterStorage && (
+        <p>Matter storage: {preview.diff.matterStorage.files} file(s) replace the current controller state — restart the listener afterwards.</p>
+      )}
+    </div>
+  );
+}
+
+export default function BackupRestoreCard() {
+  const queryClient = useQueryClient();
+  const [includeMatterStorage, setIncludeMatterStorage] = useState(true);
+  const [includeEvents, setIncludeEvents] = useState(false);
+  const [backupPassphrase, setBackupPassphrase] = useState('');
+  const [backupPending, setBackupPending] = useState(false);
+  const [backupError, setBackupError] = useState(null);
+
+  const [restoreFile, setRestoreFile] = useState(null);
+  const [restorePassphrase, setRestorePassphrase] = useState('');
+  const [restorePending, setRestorePending] = useState(false);
+  const [restoreError, setRestoreError] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [confirmRestore, setConfirmRestore] = useState(false);
+  const [restoreResult, setRestoreResult] = useState(null);
+
+  async function handleDownload() {
+    setBackupPending(true);
+    setBackupError(null);
+    try {
+      const res = await fetch('/api/backup', {
+        method: 'POST',
+        headers: withApiAuthHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ passphrase: backupPassphrase, includeMatterStorage, includeEvents }),
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => null);
+        throw new Error(data?.error ?? `HTTP ${res.status}`);
+      }
+      const filename = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') ?? '')?.[1]
+        ?? 'homechronicle-backup.hcbackup';
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setBackupError(err.message);
+    } finally {
+      setBackupPending(false);
+    }
+  }
+
+  async function submitRestore(dryRun) {
+    if (!restoreFile) return;
+    setRestorePending(true);
+    setRestoreError(null);
+    try {
+      const result = await fetchJson(`/api/restore?dryRun=${dryRun}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          ...(restorePassphrase ? { 'x-backup-passphrase': restorePassphrase } : {}),
+        },
+        body: restoreFile,
+      });
+      if (dryRun) {
+        setPreview(result);
+      } else {
+        setPreview(null);
+        setConfirmRestore(false);
+        setRestoreResult(result);
+        queryClient.invalidateQueries();
+      }
+    } catch (err) {
+      setRestoreError(err.message);
+    } finally {
+      setRestorePending(false);
+    }
+  }
+
+  function resetRestore(file) {
+    setRestoreFile(file);
+    setPreview(null);
+    setConfirmRestore(false);
+    setRestoreResult(null);
+    setRestoreError(null);
+  }
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg px-4 py-3">
+      <p className="text-sm font-medium text-gray-800">Backup &amp; restore</p>
+      <p className="text-xs text-gray-500 mt-0.5">
+        Save pairings, rooms, display names, notes, settings and alert rules to a single file.
+      </p>
+
+      <div className="mt-3 flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-700">
+        <label className="inline-flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={includeMatterStorage}
+            onChange={(e) => setIncludeMatterStorage(e.target.checked)}
+            disabled={backupPending}
+          />
+          <span>Matter controller storage</span>
+        </label>
+        <label className="inline-flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={includeEvents}
+            onChange={(e) => setIncludeEvents(e.target.checked)}
+            disabled={backupPending}
+          />
+          <span>Event history</span>
+        </label>
+      </div>
+      <div className="mt-2 flex flex-wrap items-center gap-2">
+        <input
+          type="password"
+          placeholder="Passphrase (optional)"
+          value={backupPassphrase}
+          onChange={(e) => setBackupPassphrase(e.target.value)}
+          autoComplete="new-password"
+          className="flex-1 min-w-[12rem] text-sm border border-gray-300 rounded-lg px-2.5 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          onClick={handleDownload}
+          disabled={backupPending}
+          className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+        >
+          {backupPending ? <Loader size={12} className="animate-spin" /> : <Download size={12} />}
+          Download backup
+        </button>
+      </div>
+      {!backupPassphrase && (
+        <p className="text-[11px] text-amber-700 mt-2">
+          Without a passphrase the file is not encrypted — it contains pairing keys, so store it somewhere safe.
+        </p>
+      )}
+      {backupError && <p className="text-xs text-red-600 mt-2">Could not create backup: {backupError}</p>}
+
+      <div className="mt-4 pt-3 border-t border-gray-100">
+        <p className="text-xs font-medium text-gray-700">Restore from file</p>
+        <div className="mt-2 flex flex-wrap items-center gap-2">
+          <input
+            type="file"
+            accept=".hcbackup,application/octet-stream"
+            onChange={(e) => resetRestore(e.target.files?.[0] ?? null)}
+            disabled={restorePending}
+            className="text-xs text-gray-600"
+          />
+          <input
+            type="password"
+            placeholder="Passphrase"
+            value={restorePassphrase}
+            onChange={(e) => { setRestorePassphrase(e.target.value); setPreview(null); setConfirmRestore(false); }}
+            autoComplete="off"
+            className="flex-1 min-w-[10rem] text-sm border border-gray-300 rounded-lg px-2.5 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            onClick={() => submitRestore(true)}
+            disabled={!restoreFile || restorePending}
+            className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+          >
+            {restorePending && !confirmRestore ? <Loader size={12} className="animate-spin" /> : <Upload size={12} />}
+            Preview changes
+          </button>
+        </div>
+
+        {preview && <DiffSummary preview={preview} />}
+
+        {preview && (
+          confirmRestore ? (
+            <div className="mt-3 flex items-center gap-2 flex-wrap">
+              <span className="inline-flex items-center gap-1.5 text-xs text-red-700">
+                <AlertTriangle size={12} />
+                Replace current settings with this backup?
+              </span>
+              <button
+                onClick={() => submitRestore(false)}
+                disabled={restorePending}
+                className="text-xs px-2 py-1 bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50 transition-colors"
+              >
+                {restorePending ? 'Restoring…' : 'Yes, restore'}
+              </button>
+              <button
+                onClick={() => setConfirmRestore(false)}
+                disabled={restorePending}
+                className="text-xs px-2 py-1 bg-gray-100 text-gray-600 rounded hover:bg-gray-200 transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          ) : (
+            <button
+              onClick={() => setConfirmRestore(true)}
+              className="mt-3 px-3 py-1.5 text-xs font-medium rounded-lg bg-red-600 text-white hover:bg-red-700 transition-colors"
+            >
+              Apply restore
+            </button>
+          )
+        )}
+
+        {restoreResult && (
+          <p className="inline-flex items-center gap-1.5 text-xs text-emerald-700 mt-3">
+            <CheckCircle2 size={14} />
+            Restore applied.
+            {restoreResult.restartRequired && ' Restart the listener to load the restored Matter storage.'}
+          </p>
+        )}
+        {restoreError && <p className="text-xs text-red-600 mt-2">Could not restore: {restoreError}</p>}
+      </div>
+    </div>
+  );
+}
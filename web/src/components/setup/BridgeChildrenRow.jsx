@@ -1,7 +1,9 @@
+import { useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
-import { MapPin, FileText, Loader } from 'lucide-react';
+import { MapPin, FileText, Loader, Eye } from 'lucide-react';
 import clsx from 'clsx';
 import { fetchJson } from '../../lib/api.js';
+import WatchListPanel from './WatchListPanel.jsx';
 
 export default function BridgeChildrenRow({ bridgeId, isExpanded, roomInputs, savedRooms = {}, bridgeRoom = '', onRoomChange, onRoomBlur, noteInputs = {}, savedNotes = {}, onNoteChange, onNoteBlur }) {
   const { data: children = [], isLoading, isError } = useQuery({
@@ -10,6 +12,7 @@ export default function BridgeChildrenRow({ bridgeId, isExpanded, roomInputs, sa
     enabled: isExpanded,
     staleTime: 5 * 60 * 1000,
   });
+  const [watchListChild, setWatchListChild] = useState(null);
 
   if (!isExpanded) return null;
 
@@ -84,7 +87,22 @@ export default function BridgeChildrenRow({ bridgeId, isExpanded, roomInputs, sa
                 onKeyDown={(e) => e.key === 'Enter' && onNoteBlur?.(child.childId)}
                 className="text-xs border border-gray-200 rounded px-2 py-0.5 w-44 focus:outline-none focus:ring-1 focus:ring-blue-400 placeholder-gray-300"
               />
+              <button
+                onClick={() => setWatchListChild((id) => (id === child.childId ? null : child.childId))}
+                title="Characteristics"
+                className={clsx(
+                  'p-0.5 transition-colors',
+                  watchListChild === child.childId ? 'text-blue-600' : 'text-gray-300 hover:text-blue-600',
+                )}
+              >
+                <Eye size={11} />
+              </button>
             </div>
+            {watchListChild === child.childId && (
+              <div className="ml-3.5">
+                <WatchListPanel accessoryId={child.childId} />
+              </div>
+            )}
           </div>
         );
       })}
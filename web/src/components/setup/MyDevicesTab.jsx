@@ -1,8 +1,10 @@
 import { useState } from 'react';
-import { CheckCircle, Trash2, ChevronDown, MapPin, FileText, AlertCircle, Pencil } from 'lucide-react';
+import { CheckCircle, Trash2, ChevronDown, MapPin, FileText, AlertCircle, Pencil, Eye, History } from 'lucide-react';
 import clsx from 'clsx';
 import { CATEGORY_LABELS } from './constants.js';
 import BridgeChildrenRow from './BridgeChildrenRow.jsx';
+import WatchListPanel from './WatchListPanel.jsx';
+import AddressHistory from './AddressHistory.jsx';
 
 function summarizeMatterError(raw) {
   const text = String(raw ?? '').trim();
@@ -37,6 +39,8 @@ export default function MyDevicesTab({ setup }) {
   const [confirmDeleteMatter, setConfirmDeleteMatter] = useState(null);
   const [matterDeleteError, setMatterDeleteError] = useState({});
   const [expandedBridges, setExpandedBridges] = useState(new Set());
+  const [expandedWatchLists, setExpandedWatchLists] = useState(new Set());
+  const [expandedAddressHistory, setExpandedAddressHistory] = useState(new Set());
   const [expandedMatterEndpoints, setExpandedMatterEndpoints] = useState(new Set());
   const [expandedMatterErrors, setExpandedMatterErrors] = useState(new Set());
 
@@ -108,9 +112,21 @@ export default function MyDevicesTab({ setup }) {
                       HomeKit
                     </span>
                   </div>
-                  <div className="text-xs text-gray-400">
-                    {CATEGORY_LABELS[acc.category] ?? 'Unknown'} &middot; {acc.address}
+                  <div className="flex items-center gap-1.5 text-xs text-gray-400">
+                    <span>{CATEGORY_LABELS[acc.category] ?? 'Unknown'} &middot; {acc.address}</span>
+                    <button
+                      onClick={() => setExpandedAddressHistory((s) => {
+                        const next = new Set(s);
+                        next.has(acc.id) ? next.delete(acc.id) : next.add(acc.id);
+                        return next;
+                      })}
+                      title={expandedAddressHistory.has(acc.id) ? 'Hide address history' : 'Show address history'}
+                      className="p-0.5 rounded text-gray-300 hover:text-blue-600 transition-colors"
+                    >
+                      <History size={11} />
+                    </button>
                   </div>
+                  {expandedAddressHistory.has(acc.id) && <AddressHistory deviceId={acc.id} />}
                   <div className="flex items-center gap-1 mt-1.5">
                     <MapPin size={10} className="text-gray-300 flex-shrink-0" />
                     <input
@@ -137,6 +153,22 @@ export default function MyDevicesTab({ setup }) {
                       />
                     </div>
                   )}
+                  {acc.category !== 2 && (
+                    <button
+                      onClick={() => setExpandedWatchLists((s) => {
+                        const next = new Set(s);
+                        next.has(acc.id) ? next.delete(acc.id) : next.add(acc.id);
+                        return next;
+                      })}
+                      className="mt-1.5 flex items-center gap-1 text-xs text-blue-600 hover:text-blue-800 transition-colors"
+                    >
+                      <Eye size={11} />
+                      {expandedWatchLists.has(acc.id) ? 'Hide' : 'Show'} characteristics
+                    </button>
+                  )}
+                  {acc.category !== 2 && expandedWatchLists.has(acc.id) && (
+                    <WatchListPanel accessoryId={acc.id} />
+                  )}
                   {acc.category === 2 && roomVal && (
                     <p className="text-[10px] text-gray-400 mt-0.5 ml-3.5">
                       Children without their own room inherit this.
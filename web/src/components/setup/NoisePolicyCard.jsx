@@ -0,0 +1,213 @@
+import { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Loader, Trash2 } from 'lucide-react';
+import { fetchJson } from '../../lib/api.js';
+import { hasRole, useAuth } from '../../hooks/useAuth.js';
+
+const FIELDS = [
+  { key: 'deadband', label: 'Deadband', unit: '', step: 'any', hint: 'Only log once the value moves this far' },
+  { key: 'minIntervalSeconds', label: 'Min interval', unit: 's', step: 1, hint: 'Hold changes this soon after the last logged one, then log the latest' },
+  { key: 'flapWindowSeconds', label: 'Flap window', unit: 's', step: 1, hint: 'Collapse rapid back-and-forth into the net change' },
+  { key: 'delayOffSeconds', label: 'Delay off', unit: 's', step: 1, hint: 'Hold on → off; drop it if it turns back on' },
+];
+
+const REASON_LABELS = {
+  deadband: 'deadband',
+  minInterval: 'min interval',
+  flap: 'flap',
+  delayOff: 'delay off',
+};
+
+const EMPTY_FORM = { accessoryId: '', characteristic: '', deadband: '', minIntervalSeconds: '', flapWindowSeconds: '', delayOffSeconds: '' };
+
+function describePolicy(policy) {
+  return FIELDS
+    .filter(({ key }) => policy[key] !== undefined)
+    .map(({ key, label, unit }) => `${label.toLowerCase()} ${policy[key]}${unit}`)
+    .join(' · ');
+}
+
+function flattenRules(config, accessoryNames) {
+  const rules = Object.entries(config?.characteristics ?? {}).map(([characteristic, policy]) => ({
+    accessoryId: null,
+    scope: 'All accessories',
+    characteristic,
+    policy,
+  }));
+  for (const [accessoryId, policies] of Object.entries(config?.accessories ?? {})) {
+    for (const [characteristic, policy] of Object.entries(policies)) {
+      rules.push({
+        accessoryId,
+        scope: accessoryNames.get(accessoryId) ?? accessoryId,
+        characteristic: characteristic === '*' ? 'All characteristics' : characteristic,
+        rawCharacteristic: characteristic,
+        policy,
+      });
+    }
+  }
+  return rules;
+}
+
+/**
+ * Noise policies: rules that keep chatty characteristics (temperature
+ * jitter, robot switches that blip off) out of the timeline, plus how many
+ * changes they have dropped in the last week.
+ */
+export default function NoisePolicyCard({ accessories = [] }) {
+  const queryClient = useQueryClient();
+  const canEdit = hasRole(useAuth(), 'member');
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const { data: config, isLoading } = useQuery({
+    queryKey: ['setup', 'noise-policies'],
+    queryFn: () => fetchJson('/api/setup/noise-policies'),
+  });
+  const { data: suppressed } = useQuery({
+    queryKey: ['stats', 'suppressed', 7],
+    queryFn: () => fetchJson('/api/stats/suppressed?days=7'),
+    staleTime: 60 * 1000,
+  });
+
+  const policyMutation = useMutation({
+    mutationFn: (body) => fetchJson('/api/setup/noise-policy', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    }),
+    onSuccess: (data) => queryClient.setQueryData(['setup', 'noise-policies'], data),
+  });
+
+  const accessoryNames = new Map(accessories.map((a) => [a.accessory_id, a.accessory_name]));
+  const rules = flattenRules(config, accessoryNames);
+  const hasValue = FIELDS.some(({ key }) => form[key] !== '');
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const policy = Object.fromEntries(
+      FIELDS.filter(({ key }) => form[key] !== '').map(({ key }) => [key, Number(form[key])])
+    );
+    policyMutation.mutate(
+      { accessoryId: form.accessoryId || undefined, characteristic: form.characteristic.trim(), policy },
+      { onSuccess: () => setForm(EMPTY_FORM) }
+    );
+  }
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg px-4 py-3 space-y-3">
+      <div>
+        <p className="text-sm font-medium text-gray-800">Noise filtering</p>
+        <p className="text-xs text-gray-500 mt-0.5">
+          Keep noisy characteristics out of the timeline. Characteristics use their logged name
+          (e.g. <span className="font-mono">CurrentTemperature</span>, <span className="font-mono">On</span>);
+          accessory rules override the all-accessories default.
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center gap-1.5 text-xs text-gray-400">
+          <Loader size={11} className="animate-spin" /> Loading rules…
+        </div>
+      ) : rules.length === 0 ? (
+        <p className="text-xs text-gray-400 italic">No rules — every change is logged.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+          {rules.map((rule) => (
+            <li key={`${rule.accessoryId}:${rule.characteristic}`} className="flex items-center gap-3 px-3 py-2">
+              <div className="flex-1 min-w-0">
+                <div className="text-xs font-medium text-gray-800 truncate">
+                  {rule.scope} → {rule.characteristic}
+                </div>
+                <div className="text-[11px] text-gray-500">{describePolicy(rule.policy)}</div>
+              </div>
+              {canEdit && (
+                <button
+                  onClick={() => policyMutation.mutate({
+                    accessoryId: rule.accessoryId ?? undefined,
+                    characteristic: rule.rawCharacteristic ?? rule.characteristic,
+                    policy: null,
+                  })}
+                  disabled={policyMutation.isPending}
+                  title="Remove rule"
+                  className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-40 transition-colors"
+                >
+                  <Trash2 size={13} />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canEdit && (
+        <form onSubmit={handleSubmit} className="border-t border-gray-100 pt-3 space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={form.accessoryId}
+              onChange={(e) => setForm((f) => ({ ...f, accessoryId: e.target.value }))}
+              className="text-xs border border-gray-200 rounded-lg px-2.5 py-1.5 bg-white"
+            >
+              <option value="">All accessories</option>
+              {accessories.map((a) => (
+                <option key={a.accessory_id} value={a.accessory_id}>{a.accessory_name}</option>
+              ))}
+            </select>
+            <input
+              value={form.characteristic}
+              onChange={(e) => setForm((f) => ({ ...f, characteristic: e.target.value }))}
+              placeholder={form.accessoryId ? 'Characteristic or *' : 'Characteristic'}
+              className="flex-1 min-w-[9rem] border border-gray-200 rounded-lg px-3 py-1.5 text-xs"
+              required
+            />
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {FIELDS.map(({ key, label, unit, step, hint }) => (
+              <label key={key} className="text-[11px] text-gray-500" title={hint}>
+                {label}{unit && ` (${unit})`}
+                <input
+                  type="number"
+                  min={0}
+                  step={step}
+                  value={form[key]}
+                  onChange={(e) => setForm((f) => ({ ...f, [key]: e.target.value }))}
+                  className="mt-0.5 w-full border border-gray-200 rounded-lg px-2 py-1 text-xs"
+                />
+              </label>
+            ))}
+          </div>
+          <div className="flex items-center gap-3">
+            <button
+              type="submit"
+              disabled={policyMutation.isPending || !hasValue || !form.characteristic.trim()}
+              className="px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+            >
+              {policyMutation.isPending ? 'Saving…' : 'Save rule'}
+            </button>
+            {policyMutation.isError && (
+              <p className="text-xs text-red-600">Could not save rule: {policyMutation.error?.message}</p>
+            )}
+          </div>
+        </form>
+      )}
+
+      {suppressed?.total > 0 && (
+        <div className="border-t border-gray-100 pt-3">
+          <p className="text-xs font-medium text-gray-700 mb-1">
+            {suppressed.total.toLocaleString()} change(s) filtered in the last {suppressed.days} days
+          </p>
+          <ul className="space-y-0.5">
+            {suppressed.accessories.slice(0, 5).map((row) => (
+              <li key={`${row.accessory_id}:${row.characteristic}`} className="flex justify-between gap-3 text-[11px] text-gray-500">
+                <span className="truncate">{row.accessory_name} → {row.characteristic}</span>
+                <span className="tabular-nums whitespace-nowrap">
+                  {Object.entries(row.reasons)
+                    .map(([reason, count]) => `${count.toLocaleString()} ${REASON_LABELS[reason] ?? reason}`)
+                    .join(', ')}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,10 @@
 import { useState, useEffect } from 'react';
 import { AlertTriangle, CheckCircle2, ChevronDown, Loader } from 'lucide-react';
 import clsx from 'clsx';
+import AccountsCard from './AccountsCard.jsx';
+import BackupRestoreCard from './BackupRestoreCard.jsx';
+import NoisePolicyCard from './NoisePolicyCard.jsx';
+import { hasRole, useAuth } from '../../hooks/useAuth.js';
 
 const HOURS_OPTIONS = Array.from({ length: 24 }, (_, h) => {
   const period = h < 12 ? 'AM' : 'PM';
@@ -18,6 +22,9 @@ function utcHourToLocal(utcHour) {
   return ((utcHour + offsetHours) % 24 + 24) % 24;
 }
 
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
 const LOG_LEVELS = [
   { value: 'error', label: 'Error', desc: 'Only errors' },
   { value: 'warn', label: 'Warn', desc: 'Errors + warnings' },
@@ -34,6 +41,8 @@ export default function SettingsTab({ setup }) {
     dbAccessories,
     deleteAccessoryMutation,
   } = setup;
+  // Retention, log level, backups and wipes are admin-only in AUTH_MODE=users.
+  const isAdmin = hasRole(useAuth(), 'admin');
 
   const [retentionDaysInput, setRetentionDaysInput] = useState('');
   const [staleThresholdHoursInput, setStaleThresholdHoursInput] = useState('');
@@ -42,6 +51,7 @@ export default function SettingsTab({ setup }) {
   const [quietHoursEnabledInput, setQuietHoursEnabledInput] = useState(false);
   const [quietHoursStartInput, setQuietHoursStartInput] = useState(22);
   const [quietHoursEndInput, setQuietHoursEndInput] = useState(6);
+  const [householdTimezoneInput, setHouseholdTimezoneInput] = useState('');
   const [logLevelInput, setLogLevelInput] = useState('info');
   const [dangerOpen, setDangerOpen] = useState(false);
   const [dangerPairFilter, setDangerPairFilter] = useState('all');
@@ -57,6 +67,7 @@ export default function SettingsTab({ setup }) {
   const quietHoursEnabledCurrent = Boolean(retentionConfig?.quietHoursEnabled ?? false);
   const quietHoursStartCurrent = retentionConfig?.quietHoursStart != null ? utcHourToLocal(retentionConfig.quietHoursStart) : 22;
   const quietHoursEndCurrent = retentionConfig?.quietHoursEnd != null ? utcHourToLocal(retentionConfig.quietHoursEnd) : 6;
+  const householdTimezoneCurrent = retentionConfig?.householdTimezone ?? '';
   const logLevelCurrent = logLevelConfig?.level ?? 'info';
   const dangerPairedCount = dbAccessories.filter((a) => Boolean(a.paired_at)).length;
   const dangerUnpairedCount = dbAccessories.length - dangerPairedCount;
@@ -91,6 +102,10 @@ export default function SettingsTab({ setup }) {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [quietHoursEnabledCurrent, quietHoursStartCurrent, quietHoursEndCurrent]);
 
+  useEffect(() => {
+    setHouseholdTimezoneInput(householdTimezoneCurrent);
+  }, [householdTimezoneCurrent]);
+
   useEffect(() => {
     setLogLevelInput(logLevelCurrent);
   }, [logLevelCurrent]);
@@ -99,10 +114,13 @@ export default function SettingsTab({ setup }) {
   const parsedStaleThresholdHours = Number.parseInt(staleThresholdHoursInput, 10);
   const retentionDaysValid = Number.isFinite(parsedRetentionDays) && parsedRetentionDays >= 1 && parsedRetentionDays <= 3650;
   const staleThresholdValid = Number.isFinite(parsedStaleThresholdHours) && parsedStaleThresholdHours >= 1 && parsedStaleThresholdHours <= 720;
+  // The listener checks the name itself; the list only offers suggestions.
+  const householdTimezoneValid = Boolean(householdTimezoneInput.trim());
   const inputsReady = retentionDaysInput.trim() && staleThresholdHoursInput.trim();
   const savePending = saveRetentionMutation.isPending || saveLogLevelMutation.isPending;
   const isDirty = retentionDaysValid
     && staleThresholdValid
+    && householdTimezoneValid
     && (
       parsedRetentionDays !== retentionDaysCurrent
       || parsedStaleThresholdHours !== staleThresholdHoursCurrent
@@ -111,6 +129,7 @@ export default function SettingsTab({ setup }) {
       || quietHoursEnabledInput !== quietHoursEnabledCurrent
       || quietHoursStartInput !== quietHoursStartCurrent
       || quietHoursEndInput !== quietHoursEndCurrent
+      || householdTimezoneInput.trim() !== householdTimezoneCurrent
       || logLevelInput !== logLevelCurrent
     );
 
@@ -127,6 +146,7 @@ export default function SettingsTab({ setup }) {
           quietHoursEnabled: quietHoursEnabledInput,
           quietHoursStart: localHourToUtc(quietHoursStartInput),
           quietHoursEnd: localHourToUtc(quietHoursEndInput),
+          householdTimezone: householdTimezoneInput.trim(),
         }),
         saveLogLevelMutation.mutateAsync(logLevelInput),
       ]);
@@ -137,6 +157,7 @@ export default function SettingsTab({ setup }) {
       setQuietHoursEnabledInput(Boolean(nextRetention.quietHoursEnabled ?? false));
       if (nextRetention.quietHoursStart != null) setQuietHoursStartInput(utcHourToLocal(nextRetention.quietHoursStart));
       if (nextRetention.quietHoursEnd != null) setQuietHoursEndInput(utcHourToLocal(nextRetention.quietHoursEnd));
+      if (nextRetention.householdTimezone) setHouseholdTimezoneInput(nextRetention.householdTimezone);
       setSaveFeedback('saved');
     } catch {
       setSaveFeedback('error');
@@ -241,7 +262,7 @@ export default function SettingsTab({ setup }) {
           <div>
             <p className="text-sm font-medium text-gray-800">HomeKit auto-scan</p>
             <p className="text-xs text-gray-500 mt-0.5">
-              Automatically scan for HomeKit devices every hour in the background.
+              Watch the network for HomeKit devices and follow paired ones to new IP addresses as soon as they move.
             </p>
           </div>
           <label className="inline-flex items-center gap-2 text-sm text-gray-700">
@@ -308,6 +329,42 @@ export default function SettingsTab({ setup }) {
         </div>
       </div>
 
+      {/* Household timezone */}
+      <div className="bg-white border border-gray-200 rounded-lg px-4 py-3">
+        <div className="flex items-center justify-between gap-3 flex-wrap">
+          <div>
+            <p className="text-sm font-medium text-gray-800">Household timezone</p>
+            <p className="text-xs text-gray-500 mt-0.5">
+              Alert rule schedules and holiday overrides follow this timezone.
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              list="household-timezones"
+              value={householdTimezoneInput}
+              onChange={(e) => { setHouseholdTimezoneInput(e.target.value); setSaveFeedback(null); }}
+              disabled={savePending}
+              placeholder="Europe/Berlin"
+              className="w-56 text-sm border border-gray-300 rounded-lg px-2.5 py-1.5 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <datalist id="household-timezones">
+              {TIMEZONES.map((zone) => <option key={zone} value={zone} />)}
+            </datalist>
+          </div>
+        </div>
+        {BROWSER_TIMEZONE && householdTimezoneInput !== BROWSER_TIMEZONE && (
+          <button
+            type="button"
+            onClick={() => { setHouseholdTimezoneInput(BROWSER_TIMEZONE); setSaveFeedback(null); }}
+            disabled={savePending}
+            className="text-[11px] text-blue-600 hover:text-blue-700 mt-2"
+          >
+            Use this browser's timezone ({BROWSER_TIMEZONE})
+          </button>
+        )}
+      </div>
+
       {/* Log level */}
       <div className="bg-white border border-gray-200 rounded-lg px-4 py-3">
         <div className="flex items-center justify-between gap-3 flex-wrap">
@@ -353,7 +410,8 @@ export default function SettingsTab({ setup }) {
             )}
             <button
               onClick={handleSaveSettings}
-              disabled={savePending || !inputsReady || !isDirty}
+              disabled={savePending || !inputsReady || !isDirty || !isAdmin}
+              title={isAdmin ? undefined : 'Only admins can change these settings'}
               className="px-3 py-1.5 text-xs font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
             >
               {savePending ? 'Saving\u2026' : 'Save settings'}
@@ -368,142 +426,150 @@ export default function SettingsTab({ setup }) {
         </p>
       )}
 
+      <NoisePolicyCard accessories={dbAccessories} />
+
+      <AccountsCard />
+
+      {isAdmin && <BackupRestoreCard />}
+
       {/* Danger Zone */}
-      <section className="border border-red-200 rounded-xl overflow-hidden">
-        <button
-          onClick={() => setDangerOpen((o) => !o)}
-          className="w-full flex items-center justify-between px-4 py-3 bg-red-50 text-sm font-medium text-red-700 hover:bg-red-100 transition-colors"
-        >
-          <span className="flex items-center gap-2">
-            <AlertTriangle size={14} />
-            Danger Zone — delete accessory data
-          </span>
-          <ChevronDown
-            size={14}
-            className={clsx('transition-transform duration-200', dangerOpen && 'rotate-180')}
-          />
-        </button>
-
-        {dangerOpen && (
-          <div className="bg-white">
-            <p className="px-4 py-3 text-xs text-gray-500 border-b border-gray-100">
-              Delete stored event history for individual accessories, or wipe everything.
-              This only removes logged data — it does not unpair devices.
-            </p>
+      {isAdmin && (
+        <section className="border border-red-200 rounded-xl overflow-hidden">
+          <button
+            onClick={() => setDangerOpen((o) => !o)}
+            className="w-full flex items-center justify-between px-4 py-3 bg-red-50 text-sm font-medium text-red-700 hover:bg-red-100 transition-colors"
+          >
+            <span className="flex items-center gap-2">
+              <AlertTriangle size={14} />
+              Danger Zone — delete accessory data
+            </span>
+            <ChevronDown
+              size={14}
+              className={clsx('transition-transform duration-200', dangerOpen && 'rotate-180')}
+            />
+          </button>
+
+          {dangerOpen && (
+            <div className="bg-white">
+              <p className="px-4 py-3 text-xs text-gray-500 border-b border-gray-100">
+                Delete stored event history for individual accessories, or wipe everything.
+                This only removes logged data — it does not unpair devices.
+              </p>
 
-            {dbAccessories.length > 0 && (
-              <div className="px-4 py-2 border-b border-gray-100">
-                <div className="inline-flex items-center gap-1 rounded-lg bg-gray-50 p-1">
-                  {[
-                    { key: 'all', label: `All (${dbAccessories.length})`, color: 'text-gray-700' },
-                    { key: 'paired', label: `Paired (${dangerPairedCount})`, color: 'text-emerald-700' },
-                    { key: 'unpaired', label: `No longer paired (${dangerUnpairedCount})`, color: 'text-red-700' },
-                  ].map(({ key, label, color }) => (
-                    <button
-                      key={key}
-                      onClick={() => { setDangerPairFilter(key); setConfirmDeleteAccessory(null); }}
-                      className={clsx(
-                        'px-2 py-1 text-xs rounded transition-colors',
-                        dangerPairFilter === key
-                          ? `bg-white ${color} shadow-sm`
-                          : 'text-gray-500 hover:text-gray-700',
-                      )}
-                    >
-                      {label}
-                    </button>
-                  ))}
+              {dbAccessories.length > 0 && (
+                <div className="px-4 py-2 border-b border-gray-100">
+                  <div className="inline-flex items-center gap-1 rounded-lg bg-gray-50 p-1">
+                    {[
+                      { key: 'all', label: `All (${dbAccessories.length})`, color: 'text-gray-700' },
+                      { key: 'paired', label: `Paired (${dangerPairedCount})`, color: 'text-emerald-700' },
+                      { key: 'unpaired', label: `No longer paired (${dangerUnpairedCount})`, color: 'text-red-700' },
+                    ].map(({ key, label, color }) => (
+                      <button
+                        key={key}
+                        onClick={() => { setDangerPairFilter(key); setConfirmDeleteAccessory(null); }}
+                        className={clsx(
+                          'px-2 py-1 text-xs rounded transition-colors',
+                          dangerPairFilter === key
+                            ? `bg-white ${color} shadow-sm`
+                            : 'text-gray-500 hover:text-gray-700',
+                        )}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
                 </div>
-              </div>
-            )}
+              )}
 
-            {dbAccessories.length === 0 ? (
-              <p className="px-4 py-4 text-xs text-gray-400 italic">No accessory data in the database.</p>
-            ) : visibleDangerAccessories.length === 0 ? (
-              <p className="px-4 py-4 text-xs text-gray-400 italic">No accessories match this filter.</p>
-            ) : (
-              <div className="divide-y divide-gray-100">
-                {visibleDangerAccessories.map((acc) => {
-                  const isConfirming = confirmDeleteAccessory === acc.accessory_id;
-                  const isDeleting = deleteAccessoryMutation.isPending && isConfirming;
-                  const isCurrentlyPaired = Boolean(acc.paired_at);
-                  return (
-                    <div key={acc.accessory_id} className="flex items-center gap-3 px-4 py-2.5">
-                      <div className="flex-1 min-w-0">
-                        <div className="text-sm font-medium text-gray-800 truncate">{acc.accessory_name}</div>
-                        <div className="text-xs text-gray-400 flex items-center gap-1.5 flex-wrap">
-                          {acc.service_type ?? 'No events yet'}
-                          {acc.room_name && <span className="ml-1">&middot; {acc.room_name}</span>}
-                          <span
-                            className={clsx(
-                              'ml-1 inline-flex items-center rounded-full px-1.5 py-0.5 text-[10px] font-medium border',
-                              isCurrentlyPaired
-                                ? 'text-emerald-700 bg-emerald-50 border-emerald-100'
-                                : 'text-red-700 bg-red-50 border-red-100',
-                            )}
-                          >
-                            {isCurrentlyPaired ? 'Currently paired' : 'No longer paired'}
-                          </span>
+              {dbAccessories.length === 0 ? (
+                <p className="px-4 py-4 text-xs text-gray-400 italic">No accessory data in the database.</p>
+              ) : visibleDangerAccessories.length === 0 ? (
+                <p className="px-4 py-4 text-xs text-gray-400 italic">No accessories match this filter.</p>
+              ) : (
+                <div className="divide-y divide-gray-100">
+                  {visibleDangerAccessories.map((acc) => {
+                    const isConfirming = confirmDeleteAccessory === acc.accessory_id;
+                    const isDeleting = deleteAccessoryMutation.isPending && isConfirming;
+                    const isCurrentlyPaired = Boolean(acc.paired_at);
+                    return (
+                      <div key={acc.accessory_id} className="flex items-center gap-3 px-4 py-2.5">
+                        <div className="flex-1 min-w-0">
+                          <div className="text-sm font-medium text-gray-800 truncate">{acc.accessory_name}</div>
+                          <div className="text-xs text-gray-400 flex items-center gap-1.5 flex-wrap">
+                            {acc.service_type ?? 'No events yet'}
+                            {acc.room_name && <span className="ml-1">&middot; {acc.room_name}</span>}
+                            <span
+                              className={clsx(
+                                'ml-1 inline-flex items-center rounded-full px-1.5 py-0.5 text-[10px] font-medium border',
+                                isCurrentlyPaired
+                                  ? 'text-emerald-700 bg-emerald-50 border-emerald-100'
+                                  : 'text-red-700 bg-red-50 border-red-100',
+                              )}
+                            >
+                              {isCurrentlyPaired ? 'Currently paired' : 'No longer paired'}
+                            </span>
+                          </div>
                         </div>
-                      </div>
-                      {isConfirming ? (
-                        <div className="flex items-center gap-2 flex-shrink-0">
-                          <span className="text-xs text-gray-500">Delete history? This cannot be undone.</span>
-                          <button
-                            onClick={() => deleteAccessoryMutation.mutate(acc.accessory_id, {
-                              onSuccess: () => setConfirmDeleteAccessory(null),
-                            })}
-                            disabled={isDeleting}
-                            className="text-xs px-2 py-1 bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50 transition-colors"
-                          >
-                            {isDeleting ? 'Deleting\u2026' : 'Yes, delete'}
-                          </button>
+                        {isConfirming ? (
+                          <div className="flex items-center gap-2 flex-shrink-0">
+                            <span className="text-xs text-gray-500">Delete history? This cannot be undone.</span>
+                            <button
+                              onClick={() => deleteAccessoryMutation.mutate(acc.accessory_id, {
+                                onSuccess: () => setConfirmDeleteAccessory(null),
+                              })}
+                              disabled={isDeleting}
+                              className="text-xs px-2 py-1 bg-red-600 text-white rounded hover:bg-red-700 disabled:opacity-50 transition-colors"
+                            >
+                              {isDeleting ? 'Deleting\u2026' : 'Yes, delete'}
+                            </button>
+                            <button
+                              onClick={() => setConfirmDeleteAccessory(null)}
+                              disabled={isDeleting}
+                              className="text-xs px-2 py-1 bg-gray-100 text-gray-600 rounded hover:bg-gray-200 transition-colors"
+                            >
+                              Cancel
+                            </button>
+                          </div>
+                        ) : (
                           <button
-                            onClick={() => setConfirmDeleteAccessory(null)}
-                            disabled={isDeleting}
-                            className="text-xs px-2 py-1 bg-gray-100 text-gray-600 rounded hover:bg-gray-200 transition-colors"
+                            onClick={() => setConfirmDeleteAccessory(acc.accessory_id)}
+                            className="flex-shrink-0 text-xs text-red-400 hover:text-red-600 hover:bg-red-50 px-2 py-1 rounded transition-colors"
                           >
-                            Cancel
+                            Delete history
                           </button>
-                        </div>
-                      ) : (
-                        <button
-                          onClick={() => setConfirmDeleteAccessory(acc.accessory_id)}
-                          className="flex-shrink-0 text-xs text-red-400 hover:text-red-600 hover:bg-red-50 px-2 py-1 rounded transition-colors"
-                        >
-                          Delete history
-                        </button>
-                      )}
-                    </div>
-                  );
-                })}
-              </div>
-            )}
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
 
-            {/* Wipe all */}
-            <div className="border-t border-red-100 bg-red-50/50 px-4 py-4">
-              <p className="text-xs font-medium text-red-700 mb-2">
-                Wipe all event data — type <code className="bg-red-100 px-1 rounded">DELETE</code> to confirm
-              </p>
-              <div className="flex gap-2">
-                <input
-                  type="text"
-                  placeholder="Type DELETE to confirm"
-                  value={wipeConfirmText}
-                  onChange={(e) => setWipeConfirmText(e.target.value)}
-                  className="flex-1 text-xs border border-red-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-1 focus:ring-red-400 bg-white placeholder-red-200"
-                />
-                <button
-                  onClick={handleWipeAll}
-                  disabled={wipeConfirmText !== 'DELETE' || wipePending}
-                  className="flex items-center gap-1.5 px-3 py-2 bg-red-600 text-white text-xs font-medium rounded-lg hover:bg-red-700 disabled:opacity-40 disabled:cursor-not-allowed transition-colors whitespace-nowrap"
-                >
-                  {wipePending ? <><Loader size={12} className="animate-spin" /> Wiping&hellip;</> : 'Wipe all data'}
-                </button>
+              {/* Wipe all */}
+              <div className="border-t border-red-100 bg-red-50/50 px-4 py-4">
+                <p className="text-xs font-medium text-red-700 mb-2">
+                  Wipe all event data — type <code className="bg-red-100 px-1 rounded">DELETE</code> to confirm
+                </p>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    placeholder="Type DELETE to confirm"
+                    value={wipeConfirmText}
+                    onChange={(e) => setWipeConfirmText(e.target.value)}
+                    className="flex-1 text-xs border border-red-200 rounded-lg px-3 py-2 focus:outline-none focus:ring-1 focus:ring-red-400 bg-white placeholder-red-200"
+                  />
+                  <button
+                    onClick={handleWipeAll}
+                    disabled={wipeConfirmText !== 'DELETE' || wipePending}
+                    className="flex items-center gap-1.5 px-3 py-2 bg-red-600 text-white text-xs font-medium rounded-lg hover:bg-red-700 disabled:opacity-40 disabled:cursor-not-allowed transition-colors whitespace-nowrap"
+                  >
+                    {wipePending ? <><Loader size={12} className="animate-spin" /> Wiping&hellip;</> : 'Wipe all data'}
+                  </button>
+                </div>
               </div>
             </div>
-          </div>
-        )}
-      </section>
+          )}
+        </section>
+      )}
     </div>
   );
 }
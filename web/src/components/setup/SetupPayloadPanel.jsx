@@ -0,0 +1,181 @@
+import { useRef, useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { AlertTriangle, Camera, Link2, Loader } from 'lucide-react';
+import { fetchJson } from '../../lib/api.js';
+import { CATEGORY_LABELS } from './constants.js';
+
+const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+async function readQrCode(file) {
+  const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+  const bitmap = await createImageBitmap(file);
+  try {
+    const codes = await detector.detect(bitmap);
+    return codes.map((c) => c.rawValue).find((v) => /^X-HM:\/\//i.test(v)) ?? null;
+  } finally {
+    bitmap.close?.();
+  }
+}
+
+/**
+ * Pair from the X-HM:// setup payload on an accessory's QR sticker, pasted
+ * or read with the camera. The listener decodes it and finds the discovered
+ * accessory whose announced setup hash matches the payload's setup ID.
+ */
+export default function SetupPayloadPanel({ pairingStatus, onPair, onUsePin, disabled }) {
+  const [text, setText] = useState('');
+  const [scanError, setScanError] = useState(null);
+  const fileInput = useRef(null);
+
+  const decodeMutation = useMutation({
+    mutationFn: (payload) => fetchJson('/api/setup/decode-payload', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ payload }),
+    }),
+  });
+
+  function decode(value) {
+    const payload = value.trim();
+    if (payload) decodeMutation.mutate(payload);
+  }
+
+  async function handleImage(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setScanError(null);
+    try {
+      const payload = await readQrCode(file);
+      if (!payload) {
+        setScanError('No HomeKit setup code found in that photo.');
+        return;
+      }
+      setText(payload);
+      decode(payload);
+    } catch (err) {
+      setScanError(`Could not read the QR code: ${err.message}`);
+    }
+  }
+
+  const result = decodeMutation.data;
+  const accessory = result?.accessory;
+  const status = accessory ? pairingStatus[accessory.id] : null;
+  const categoryLabel = result ? CATEGORY_LABELS[result.category] : null;
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 space-y-2">
+      <p className="text-xs text-gray-500">
+        Have the QR code? Paste its <span className="font-mono">X-HM://</span> link
+        {canScan ? ' or take a photo of it' : ''} to pair without picking the device.
+      </p>
+      <form
+        onSubmit={(e) => { e.preventDefault(); decode(text); }}
+        className="flex gap-2"
+      >
+        <div className="relative flex-1">
+          <Link2 size={14} className="absolute left-2.5 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            placeholder="X-HM://…"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onPaste={(e) => {
+              const pasted = e.clipboardData.getData('text');
+              if (pasted) { e.preventDefault(); setText(pasted.trim()); decode(pasted); }
+            }}
+            disabled={disabled}
+            className="w-full pl-8 pr-3 py-1.5 border border-gray-200 rounded-lg text-xs font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+          />
+        </div>
+        {canScan && (
+          <>
+            <button
+              type="button"
+              onClick={() => fileInput.current?.click()}
+              disabled={disabled}
+              title="Scan QR code"
+              className="px-2.5 py-1.5 border border-gray-200 rounded-lg text-gray-600 hover:bg-gray-50 disabled:opacity-40 transition-colors"
+            >
+              <Camera size={14} />
+            </button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept="image/*"
+              capture="environment"
+              onChange={handleImage}
+              className="hidden"
+            />
+          </>
+        )}
+        <button
+          type="submit"
+          disabled={disabled || !text.trim() || decodeMutation.isPending}
+          className="px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-200 text-gray-700 hover:bg-gray-50 disabled:opacity-40 transition-colors"
+        >
+          {decodeMutation.isPending ? <Loader size={12} className="animate-spin" /> : 'Read'}
+        </button>
+      </form>
+
+      {scanError && <p className="text-xs text-red-600">{scanError}</p>}
+      {decodeMutation.isError && <p className="text-xs text-red-600">{decodeMutation.error?.message}</p>}
+
+      {result && (
+        <div className="bg-gray-50 rounded-lg px-3 py-2 space-y-1.5 text-xs">
+          <div className="text-gray-700">
+            PIN <span className="font-mono">{result.setupCode}</span>
+            {' · '}{categoryLabel ?? `Category ${result.category}`}
+            {' · '}setup ID <span className="font-mono">{result.setupId}</span>
+          </div>
+          {!categoryLabel && (
+            <p className="flex items-center gap-1 text-amber-700">
+              <AlertTriangle size={12} /> Unknown accessory category — check the code was read correctly.
+            </p>
+          )}
+          {accessory ? (
+            <>
+              {result.categoryMismatch && (
+                <p className="flex items-center gap-1 text-amber-700">
+                  <AlertTriangle size={12} />
+                  The code is for a {categoryLabel ?? 'different kind of accessory'}, but {accessory.name} reports
+                  {' '}{CATEGORY_LABELS[accessory.category] ?? `category ${accessory.category}`}.
+                </p>
+              )}
+              <div className="flex items-center justify-between gap-2">
+                <span className="text-gray-700 truncate">
+                  Matches <span className="font-medium">{accessory.name}</span>
+                </span>
+                {accessory.alreadyPaired || status?.state === 'success' ? (
+                  <span className="text-green-600">{status?.message ?? 'Already paired'}</span>
+                ) : (
+                  <button
+                    onClick={() => onPair(accessory.id, text.trim(), result.setupCode)}
+                    disabled={disabled || status?.state === 'loading'}
+                    className="px-3 py-1 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 disabled:opacity-40 transition-colors"
+                  >
+                    {status?.state === 'loading' ? 'Pairing…' : 'Pair'}
+                  </button>
+                )}
+              </div>
+              {status?.state === 'error' && <p className="text-red-600">{status.message}</p>}
+            </>
+          ) : (
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-gray-500">
+                No discovered accessory has this setup ID. Scan again, or pair one below with this PIN.
+              </span>
+              <button
+                onClick={() => onUsePin(result.setupCode)}
+                disabled={disabled}
+                className="text-blue-600 hover:underline whitespace-nowrap disabled:opacity-40"
+              >
+                Use as shared PIN
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
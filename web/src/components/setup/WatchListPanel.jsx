@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Loader, RotateCcw } from 'lucide-react';
+import clsx from 'clsx';
+import { fetchJson } from '../../lib/api.js';
+
+const SOURCE_LABELS = {
+  accessory: 'this accessory',
+  service: 'service type',
+  default: 'default',
+};
+
+// Vendor characteristics keep their full UUID as their type.
+function isCustomType(type) {
+  return String(type ?? '').includes('-');
+}
+
+/**
+ * Every characteristic an accessory reports, with a toggle for whether it
+ * is logged. Toggles apply to this accessory, or to every service of the
+ * same type; vendor characteristics can be given a friendly name.
+ */
+export default function WatchListPanel({ accessoryId }) {
+  const queryClient = useQueryClient();
+  const [scope, setScope] = useState('accessory');
+  const [nameInputs, setNameInputs] = useState({});
+
+  const { data: capabilities, isLoading, isError } = useQuery({
+    queryKey: ['capabilities', accessoryId],
+    queryFn: () => fetchJson(`/api/accessories/${encodeURIComponent(accessoryId)}/capabilities`),
+    staleTime: 60 * 1000,
+  });
+
+  const onSaved = () => {
+    queryClient.invalidateQueries({ queryKey: ['capabilities'] });
+    queryClient.invalidateQueries({ queryKey: ['setup', 'watch-lists'] });
+  };
+
+  const watchMutation = useMutation({
+    mutationFn: (body) => fetchJson('/api/setup/watch-list', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    }),
+    onSuccess: onSaved,
+  });
+
+  const nameMutation = useMutation({
+    mutationFn: ({ characteristic, name }) => fetchJson('/api/setup/characteristic-name', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ characteristic, name }),
+    }),
+    onSuccess: onSaved,
+  });
+
+  function toggle(service, characteristic, watched) {
+    watchMutation.mutate({
+      ...(scope === 'service' ? { serviceType: service.type } : { accessoryId }),
+      characteristic: characteristic.type,
+      watched,
+    });
+  }
+
+  function saveName(characteristic) {
+    const name = nameInputs[characteristic.type];
+    if (name === undefined) return;
+    nameMutation.mutate({ characteristic: characteristic.type, name });
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center gap-1.5 text-xs text-gray-400 py-1">
+        <Loader size={11} className="animate-spin" /> Querying accessory…
+      </div>
+    );
+  }
+  if (isError || !capabilities) {
+    return <p className="text-xs text-red-400 py-1">Could not load characteristics — is the accessory reachable?</p>;
+  }
+
+  return (
+    <div className="mt-2 space-y-2">
+      <div className="flex items-center gap-2 text-xs text-gray-500">
+        <span>Toggles apply to</span>
+        <select
+          value={scope}
+          onChange={(e) => setScope(e.target.value)}
+          className="border border-gray-200 rounded px-1.5 py-0.5 text-xs"
+        >
+          <option value="accessory">this accessory</option>
+          <option value="service">every service of the same type</option>
+        </select>
+      </div>
+      {(watchMutation.isError || nameMutation.isError) && (
+        <p className="text-xs text-red-600">
+          {(watchMutation.error ?? nameMutation.error)?.message || 'Could not save the watch list'}
+        </p>
+      )}
+      {capabilities.services
+        .filter((service) => service.characteristics.length > 0)
+        .map((service) => (
+          <div key={service.iid ?? service.type}>
+            <p className="text-[11px] font-medium text-gray-500">{service.label}</p>
+            <ul className="mt-0.5 space-y-0.5">
+              {service.characteristics.map((characteristic) => (
+                <li key={characteristic.iid ?? characteristic.type} className="flex items-center gap-2 text-xs">
+                  <input
+                    type="checkbox"
+                    checked={characteristic.watched}
+                    disabled={watchMutation.isPending}
+                    onChange={(e) => toggle(service, characteristic, e.target.checked)}
+                  />
+                  {isCustomType(characteristic.type) ? (
+                    <input
+                      type="text"
+                      placeholder={characteristic.description ?? 'Name this characteristic…'}
+                      value={nameInputs[characteristic.type] ?? characteristic.custom_name ?? ''}
+                      onChange={(e) => setNameInputs((n) => ({ ...n, [characteristic.type]: e.target.value }))}
+                      onBlur={() => saveName(characteristic)}
+                      onKeyDown={(e) => e.key === 'Enter' && saveName(characteristic)}
+                      className="border border-gray-200 rounded px-2 py-0.5 w-40 focus:outline-none focus:ring-1 focus:ring-blue-400 placeholder-gray-300"
+                    />
+                  ) : (
+                    <span className={clsx(characteristic.watched ? 'text-gray-800' : 'text-gray-500')}>
+                      {characteristic.label}
+                    </span>
+                  )}
+                  <span className="text-[10px] text-gray-300 font-mono truncate max-w-[10rem]" title={characteristic.type}>
+                    {characteristic.type}
+                  </span>
+                  {characteristic.watch_source !== 'default' && (
+                    <>
+                      <span className="text-[10px] text-blue-500">{SOURCE_LABELS[characteristic.watch_source]}</span>
+                      <button
+                        type="button"
+                        title="Reset to the default"
+                        onClick={() => watchMutation.mutate({
+                          ...(characteristic.watch_source === 'service' ? { serviceType: service.type } : { accessoryId }),
+                          characteristic: characteristic.type,
+                          watched: null,
+                        })}
+                        className="text-gray-300 hover:text-gray-600 transition-colors"
+                      >
+                        <RotateCcw size={10} />
+                      </button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+    </div>
+  );
+}
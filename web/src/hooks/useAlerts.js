@@ -12,12 +12,38 @@ export function useAlertRules() {
   });
 }
 
-export function useAlertDeliveries(page = 1, limit = 25) {
+export function useAlertChannels() {
   return useQuery({
-    queryKey: ['alerts', 'deliveries', page, limit],
-    queryFn: () => fetchJson(`${BASE}/deliveries?page=${page}&limit=${limit}`),
+    queryKey: ['alerts', 'channels'],
+    queryFn: () => fetchJson(`${BASE}/channels`),
+  });
+}
+
+export function useAlertTimers() {
+  return useQuery({
+    queryKey: ['alerts', 'timers'],
+    queryFn: () => fetchJson(`${BASE}/timers`),
+    refetchInterval: 30_000,
+    refetchIntervalInBackground: false,
+  });
+}
+
+export function useAlertDeliveries(page = 1, limit = 25, status = '') {
+  const statusParam = status ? `&status=${encodeURIComponent(status)}` : '';
+  return useQuery({
+    queryKey: ['alerts', 'deliveries', page, limit, status],
+    queryFn: () => fetchJson(`${BASE}/deliveries?page=${page}&limit=${limit}${statusParam}`),
     refetchInterval: 15_000,
     refetchIntervalInBackground: false,
   });
 }
 
+
+export function useAlertIncidents(status = 'active') {
+  return useQuery({
+    queryKey: ['alerts', 'incidents', status],
+    queryFn: () => fetchJson(`${BASE}/incidents?status=${encodeURIComponent(status)}`),
+    refetchInterval: 15_000,
+    refetchIntervalInBackground: false,
+  });
+}
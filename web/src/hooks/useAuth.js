@@ -0,0 +1,44 @@
+import { createContext, useContext } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { fetchJson } from '../lib/api.js';
+
+const BASE = '/api/auth';
+const ROLE_RANK = { viewer: 0, member: 1, admin: 2 };
+
+export const ROLE_LABELS = {
+  viewer: 'Viewer',
+  member: 'Member',
+  admin: 'Admin',
+};
+
+// mode 'token' means the shared API_TOKEN setup: no accounts, no role checks.
+export const AuthContext = createContext({ mode: 'token', user: null, signOut: () => {} });
+
+export function useAuth() {
+  return useContext(AuthContext);
+}
+
+/** True when accounts are off, or the signed-in user has at least `role`. */
+export function hasRole(auth, role) {
+  if (auth?.mode !== 'users') return true;
+  const rank = ROLE_RANK[auth.user?.role];
+  return rank !== undefined && rank >= ROLE_RANK[role];
+}
+
+export function useDeviceTokens(enabled = true) {
+  return useQuery({
+    queryKey: ['auth', 'tokens'],
+    queryFn: () => fetchJson(`${BASE}/tokens`),
+    enabled,
+    refetchInterval: false,
+  });
+}
+
+export function useUsers(enabled = true) {
+  return useQuery({
+    queryKey: ['auth', 'users'],
+    queryFn: () => fetchJson(`${BASE}/users`),
+    enabled,
+    refetchInterval: false,
+  });
+}
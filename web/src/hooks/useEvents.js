@@ -1,8 +1,21 @@
-import { useQuery } from '@tanstack/react-query';
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import { useInfiniteQuery, useQuery, useQueryClient } from '@tanstack/react-query';
 import { fetchJson } from '../lib/api.js';
+import {
+  eventMatchesFilters,
+  getEventStreamStatus,
+  prependLiveEvent,
+  subscribeToEventStream,
+  subscribeToEventStreamStatus,
+} from '../lib/eventStream.js';
 
 const BASE = '/api';
 
+// Coalesce refetches triggered by bursts of live events.
+const LIVE_ACCESSORIES_DELAY_MS = 2_000;
+const LIVE_STATS_DELAY_MS = 10_000;
+const pendingInvalidations = new Map();
+
 function buildQueryString(params) {
   const qs = new URLSearchParams();
   for (const [key, val] of Object.entries(params)) {
@@ -13,21 +26,83 @@ function buildQueryString(params) {
   return qs.toString();
 }
 
-export function useEvents(filters = {}, page = 1) {
-  const qs = buildQueryString({ ...filters, page, limit: 50 });
-  return useQuery({
-    queryKey: ['events', filters, page],
-    queryFn: () => fetchJson(`${BASE}/events?${qs}`),
-    refetchInterval: page === 1 ? 10_000 : false,
+export function useEventStreamStatus() {
+  return useSyncExternalStore(subscribeToEventStreamStatus, getEventStreamStatus);
+}
+
+/** Subscribe to the shared live stream for as long as the component is mounted. */
+function useLiveEvents({ onEvent, onReset, enabled = true }) {
+  const handlers = useRef({ onEvent, onReset });
+  handlers.current = { onEvent, onReset };
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    return subscribeToEventStream({
+      onEvent: (event) => handlers.current.onEvent?.(event),
+      onReset: () => handlers.current.onReset?.(),
+    });
+  }, [enabled]);
+}
+
+function scheduleInvalidation(queryClient, queryKey, delayMs) {
+  const key = JSON.stringify(queryKey);
+  if (pendingInvalidations.has(key)) return;
+  pendingInvalidations.set(key, setTimeout(() => {
+    pendingInvalidations.delete(key);
+    queryClient.invalidateQueries({ queryKey });
+  }, delayMs));
+}
+
+function useLiveInvalidation(queryKey, delayMs) {
+  const queryClient = useQueryClient();
+  useLiveEvents({
+    onEvent: () => scheduleInvalidation(queryClient, queryKey, delayMs),
+    onReset: () => queryClient.invalidateQueries({ queryKey }),
+  });
+}
+
+/**
+ * Infinite, cursor-paged event feed. `startCursor` is null for the live head
+ * of the timeline, or a cursor from /api/events/jump to start further back.
+ */
+export function useEvents(filters = {}, startCursor = null) {
+  const queryKey = ['events', filters, startCursor];
+  const queryClient = useQueryClient();
+  const live = useEventStreamStatus() === 'open';
+
+  // Only the head of the feed receives live rows; a feed opened at a jump
+  // cursor is a fixed window into history.
+  useLiveEvents({
+    enabled: !startCursor,
+    onEvent: (event) => {
+      if (!eventMatchesFilters(event, filters)) return;
+      queryClient.setQueryData(queryKey, (current) => prependLiveEvent(current, event));
+    },
+    onReset: () => queryClient.invalidateQueries({ queryKey: ['events'] }),
+  });
+
+  return useInfiniteQuery({
+    queryKey,
+    queryFn: ({ pageParam }) => {
+      const qs = buildQueryString({ ...filters, cursor: pageParam, limit: 50 });
+      return fetchJson(`${BASE}/events?${qs}`);
+    },
+    initialPageParam: startCursor,
+    getNextPageParam: (lastPage) => lastPage?.nextCursor ?? undefined,
+    refetchInterval: !startCursor && !live ? 10_000 : false,
     refetchIntervalInBackground: false,
   });
 }
 
 export function useAccessories() {
+  const live = useEventStreamStatus() === 'open';
+  useLiveInvalidation(['accessories'], LIVE_ACCESSORIES_DELAY_MS);
+
   return useQuery({
     queryKey: ['accessories'],
     queryFn: () => fetchJson(`${BASE}/accessories`),
-    refetchInterval: 15_000,
+    // Health states age without new events, so keep a slow refresh when live.
+    refetchInterval: live ? 60_000 : 15_000,
     refetchIntervalInBackground: false,
   });
 }
@@ -54,6 +129,7 @@ export function useHourlyStats() {
 }
 
 export function useDailyStats(days = 30) {
+  useLiveInvalidation(['stats', 'daily', days], LIVE_STATS_DELAY_MS);
   return useQuery({
     queryKey: ['stats', 'daily', days],
     queryFn: () => fetchJson(`${BASE}/stats/daily?days=${days}`),
@@ -63,6 +139,7 @@ export function useDailyStats(days = 30) {
 }
 
 export function useTopDevices(days = 7) {
+  useLiveInvalidation(['stats', 'top-devices', days], LIVE_STATS_DELAY_MS);
   return useQuery({
     queryKey: ['stats', 'top-devices', days],
     queryFn: () => fetchJson(`${BASE}/stats/top-devices?days=${days}`),
@@ -72,6 +149,7 @@ export function useTopDevices(days = 7) {
 }
 
 export function useRoomStats(days = 7) {
+  useLiveInvalidation(['stats', 'rooms', days], LIVE_STATS_DELAY_MS);
   return useQuery({
     queryKey: ['stats', 'rooms', days],
     queryFn: () => fetchJson(`${BASE}/stats/rooms?days=${days}`),
@@ -281,13 +281,15 @@ export function useSetup() {
 
   // ── Pairing helpers ──────────────────────────────────────────────────────
 
-  async function pairOne(deviceId, pin, setPairingStatus) {
+  // With `setupPayload` (an X-HM:// QR payload) the listener takes the PIN
+  // from the payload and checks it belongs to this accessory.
+  async function pairOne(deviceId, pin, setPairingStatus, { setupPayload } = {}) {
     setPairingStatus((s) => ({ ...s, [deviceId]: { state: 'loading', message: 'Pairing\u2026' } }));
     try {
       const result = await fetchJson('/api/setup/pair', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ deviceId, pin }),
+        body: JSON.stringify(setupPayload ? { deviceId, setupPayload } : { deviceId, pin }),
       });
       savePin(deviceId, pin);
       queryClient.invalidateQueries({ queryKey: ['setup', 'pairings'] });
@@ -4,6 +4,10 @@ const API_TOKEN = import.meta.env.DEV
   ? (import.meta.env.VITE_API_TOKEN ?? '').trim()
   : '';
 
+// Fired on any 401 so the app can fall back to the login screen
+// (AUTH_MODE=users) when a session expires or is revoked.
+export const AUTH_REQUIRED_EVENT = 'hc:auth-required';
+
 export class ApiError extends Error {
   constructor(message, { status = null, statusText = '', url = '' } = {}) {
     super(message);
@@ -52,6 +56,9 @@ export async function fetchJson(url, options = {}) {
   }
 
   if (!response.ok) {
+    if (response.status === 401 && typeof window !== 'undefined') {
+      window.dispatchEvent(new Event(AUTH_REQUIRED_EVENT));
+    }
     const apiMessage = data?.error ?? data?.message ?? null;
     const statusLabel = response.statusText?.trim() || 'Request failed';
     const fallback = `HTTP ${response.status} (${statusLabel})`;
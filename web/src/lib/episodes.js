@@ -21,6 +21,11 @@ function isTruthyOff(value) {
   return normalized === '0' || normalized === 'false';
 }
 
+/** Rows the listener logs for a HomeKit connection outage (see subscriber.js). */
+export function isConnectivityGap(event) {
+  return event?.characteristic === 'ConnectivityGap';
+}
+
 export function groupIntoScenes(events) {
   if (!events.length) return [];
 
@@ -191,3 +196,27 @@ export function groupScenesIntoEpisodes(scenes) {
 
   return output;
 }
+
+/**
+ * Timeline entries for one day of events (newest first): connectivity gaps
+ * stand on their own as `{ kind: 'gap', event }`, and the events between
+ * them are grouped into scenes and episodes as usual.
+ */
+export function groupTimelineEntries(events) {
+  const output = [];
+  let run = [];
+  const flush = () => {
+    if (run.length) output.push(...groupScenesIntoEpisodes(groupIntoScenes(run)));
+    run = [];
+  };
+  for (const event of events) {
+    if (isConnectivityGap(event)) {
+      flush();
+      output.push({ kind: 'gap', event });
+    } else {
+      run.push(event);
+    }
+  }
+  flush();
+  return output;
+}
@@ -1,5 +1,5 @@
 import { describe, expect, it } from 'vitest';
-import { groupIntoScenes, groupScenesIntoEpisodes, summarizeEpisode } from './episodes.js';
+import { groupIntoScenes, groupScenesIntoEpisodes, groupTimelineEntries, summarizeEpisode } from './episodes.js';
 
 function makeEvent(id, timestamp, overrides = {}) {
   return {
@@ -70,4 +70,22 @@ describe('episodes', () => {
     expect(summary.title).toBe('Kitchen activity');
     expect(summary.kind).toBe('room');
   });
+
+  it('keeps connectivity gaps out of scenes', () => {
+    const entries = groupTimelineEntries([
+      makeEvent('1', '2026-03-11T12:03:02.000Z', { reconciled: true }),
+      makeEvent('2', '2026-03-11T12:03:01.000Z', {
+        characteristic: 'ConnectivityGap',
+        service_type: null,
+        old_value: null,
+        new_value: '600',
+        gap_started_at: '2026-03-11T11:53:01.000Z',
+      }),
+      makeEvent('3', '2026-03-11T12:03:00.000Z'),
+    ]);
+
+    expect(entries.map((entry) => entry.kind)).toEqual(['scenes', 'gap', 'scenes']);
+    expect(entries[1].event.id).toBe('2');
+    expect(entries[0].scenes[0].map((event) => event.id)).toEqual(['1']);
+  });
 });
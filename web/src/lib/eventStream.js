@@ -0,0 +1,159 @@
+/**
+ * eventStream.js — shared EventSource connection to /api/events/stream.
+ *
+ * A single connection is opened while at least one listener is subscribed.
+ * EventSource retries on its own and resends Last-Event-ID; when the browser
+ * gives up (e.g. a 502 while the listener restarts) we reopen the stream with
+ * backoff and pass the last id we saw so the listener replays what we missed.
+ */
+
+const STREAM_URL = '/api/events/stream';
+const RECONNECT_BASE_MS = 2_000;
+const RECONNECT_MAX_MS = 30_000;
+
+const listeners = new Set();
+const statusListeners = new Set();
+
+let source = null;
+let status = 'idle'; // 'idle' | 'connecting' | 'open' | 'unsupported'
+let lastEventId = null;
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+
+function setStatus(next) {
+  if (status === next) return;
+  status = next;
+  for (const listener of statusListeners) listener();
+}
+
+function notify(method, payload) {
+  for (const listener of listeners) {
+    try {
+      listener[method]?.(payload);
+    } catch (err) {
+      console.error('[event-stream] listener failed:', err);
+    }
+  }
+}
+
+function connect() {
+  if (typeof EventSource === 'undefined') {
+    setStatus('unsupported');
+    return;
+  }
+
+  const url = lastEventId
+    ? `${STREAM_URL}?lastEventId=${encodeURIComponent(lastEventId)}`
+    : STREAM_URL;
+  const next = new EventSource(url);
+  source = next;
+  setStatus('connecting');
+
+  next.onopen = () => {
+    reconnectAttempts = 0;
+    setStatus('open');
+  };
+
+  next.onmessage = (message) => {
+    if (message.lastEventId) lastEventId = message.lastEventId;
+    let event;
+    try {
+      event = JSON.parse(message.data);
+    } catch {
+      return;
+    }
+    notify('onEvent', event);
+  };
+
+  // The listener could not replay everything since lastEventId — refetch.
+  next.addEventListener('reset', () => notify('onReset'));
+
+  next.onerror = () => {
+    if (next.readyState !== EventSource.CLOSED) {
+      setStatus('connecting');
+      return;
+    }
+    next.close();
+    if (source === next) source = null;
+    scheduleReconnect();
+  };
+}
+
+function scheduleReconnect() {
+  if (reconnectTimer || listeners.size === 0) return;
+  setStatus('connecting');
+  const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** reconnectAttempts);
+  reconnectAttempts += 1;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    if (listeners.size > 0 && !source) connect();
+  }, delay);
+}
+
+function disconnect() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  reconnectAttempts = 0;
+  source?.close();
+  source = null;
+  setStatus('idle');
+}
+
+/**
+ * Subscribe to live events. `listener.onEvent(row)` receives each inserted
+ * event row; `listener.onReset()` fires when the client should refetch.
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeToEventStream(listener) {
+  listeners.add(listener);
+  if (!source && !reconnectTimer && status !== 'unsupported') connect();
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) disconnect();
+  };
+}
+
+export function subscribeToEventStreamStatus(listener) {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+}
+
+export function getEventStreamStatus() {
+  return status;
+}
+
+/** Mirrors the server-side filters on GET /api/events. */
+export function eventMatchesFilters(event, filters = {}) {
+  if (filters.room && event.room_name !== filters.room) return false;
+  if (filters.characteristic && event.characteristic !== filters.characteristic) return false;
+  if (filters.accessory) {
+    const name = String(event.accessory_name ?? '').toLowerCase();
+    if (!name.includes(String(filters.accessory).toLowerCase())) return false;
+  }
+  const time = new Date(event.timestamp).getTime();
+  if (filters.from && !(time >= new Date(filters.from).getTime())) return false;
+  if (filters.to && !(time <= new Date(filters.to).getTime())) return false;
+  return true;
+}
+
+/**
+ * Insert a live event at the top of a cached infinite /api/events feed. Older
+ * pages are untouched so their cursors stay valid.
+ */
+export function prependLiveEvent(feed, event) {
+  const [first, ...rest] = feed?.pages ?? [];
+  if (!first?.events) return feed;
+  const seen = feed.pages.some((page) => page.events?.some((e) => String(e.id) === String(event.id)));
+  if (seen) return feed;
+  return {
+    ...feed,
+    pages: [
+      {
+        ...first,
+        total: first.total == null ? first.total : first.total + 1,
+        events: [event, ...first.events],
+      },
+      ...rest,
+    ],
+  };
+}
@@ -0,0 +1,87 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  eventMatchesFilters,
+  getEventStreamStatus,
+  prependLiveEvent,
+  subscribeToEventStream,
+} from './eventStream.js';
+
+class FakeEventSource {
+  static CLOSED = 2;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.listeners = {};
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, handler) {
+    this.listeners[type] = handler;
+  }
+
+  close() {
+    this.readyState = FakeEventSource.CLOSED;
+  }
+}
+
+describe('eventStream', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    FakeEventSource.instances = [];
+  });
+
+  it('matches events against timeline filters', () => {
+    const event = {
+      accessory_name: 'Kitchen Light',
+      room_name: 'Kitchen',
+      characteristic: 'On',
+      timestamp: '2026-03-01T10:00:00.000Z',
+    };
+    expect(eventMatchesFilters(event, {})).toBe(true);
+    expect(eventMatchesFilters(event, { accessory: 'kitchen', room: 'Kitchen' })).toBe(true);
+    expect(eventMatchesFilters(event, { characteristic: 'Brightness' })).toBe(false);
+    expect(eventMatchesFilters(event, { to: '2026-02-28T00:00:00.000Z' })).toBe(false);
+  });
+
+  it('prepends live events to the first page once', () => {
+    const feed = {
+      pageParams: [null, 'c1'],
+      pages: [
+        { total: 3, nextCursor: 'c1', events: [{ id: 3 }, { id: 2 }] },
+        { total: 3, nextCursor: null, events: [{ id: 1 }] },
+      ],
+    };
+    const next = prependLiveEvent(feed, { id: '4' });
+    expect(next.pages[0].events.map((e) => String(e.id))).toEqual(['4', '3', '2']);
+    expect(next.pages[0].total).toBe(4);
+    expect(next.pages[1]).toBe(feed.pages[1]);
+    expect(prependLiveEvent(next, { id: 1 })).toBe(next);
+  });
+
+  it('reopens a closed stream from the last event id', () => {
+    vi.useFakeTimers();
+    vi.stubGlobal('EventSource', FakeEventSource);
+    const onEvent = vi.fn();
+
+    const unsubscribe = subscribeToEventStream({ onEvent });
+    const first = FakeEventSource.instances[0];
+    first.onopen();
+    expect(getEventStreamStatus()).toBe('open');
+
+    first.onmessage({ lastEventId: '41', data: JSON.stringify({ id: '41' }) });
+    expect(onEvent).toHaveBeenCalledWith({ id: '41' });
+
+    first.readyState = FakeEventSource.CLOSED;
+    first.onerror();
+    expect(getEventStreamStatus()).toBe('connecting');
+
+    vi.runOnlyPendingTimers();
+    expect(FakeEventSource.instances[1].url).toBe('/api/events/stream?lastEventId=41');
+
+    unsubscribe();
+    expect(getEventStreamStatus()).toBe('idle');
+  });
+});
@@ -112,6 +112,13 @@ export function formatGap(ms) {
   return `${h}h ${m}m`;
 }
 
+/** Formats a numeric reading (Eve energy, air pressure) to at most `digits` decimals. */
+function formatReading(value, digits) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return value;
+  return number.toLocaleString(undefined, { maximumFractionDigits: digits });
+}
+
 /** Returns a human-readable description of a characteristic change */
 export function describeChange(characteristic, newValue) {
   switch (characteristic) {
@@ -133,6 +140,25 @@ export function describeChange(characteristic, newValue) {
       const states = ['unsecured', 'secured', 'jammed', 'unknown'];
       return states[parseInt(newValue, 10)] ?? `state ${newValue}`;
     }
+    case 'CurrentHeatingCoolingState':
+    case 'TargetHeatingCoolingState': {
+      const states = ['off', 'heat', 'cool', 'auto'];
+      return states[parseInt(newValue, 10)] ?? `state ${newValue}`;
+    }
+    case 'CurrentPosition':
+      return `${newValue}% open`;
+    case 'TargetPosition':
+      return `moving to ${newValue}% open`;
+    case 'SmokeDetected':
+      return newValue === '1' ? 'smoke detected' : 'smoke cleared';
+    case 'CarbonMonoxideDetected':
+      return newValue === '1' ? 'carbon monoxide detected' : 'carbon monoxide cleared';
+    case 'BatteryLevel':
+      return `battery ${newValue}%`;
+    case 'StatusLowBattery':
+      return newValue === '1' ? 'battery low' : 'battery normal';
+    case 'CurrentAmbientLightLevel':
+      return `${formatReading(newValue, 1)} lx`;
     case 'SecuritySystemCurrentState':
     case 'SecuritySystemTargetState': {
       const states = ['stay arm', 'away arm', 'night arm', 'disarmed', 'alarm triggered'];
@@ -144,7 +170,84 @@ export function describeChange(characteristic, newValue) {
       return `${parseFloat(newValue).toFixed(0)}% RH`;
     case 'Brightness':
       return `brightness ${newValue}%`;
+    case 'Power':
+      return `${formatReading(newValue, 1)} W`;
+    case 'Energy':
+      return `${formatReading(newValue, 3)} kWh`;
+    case 'Voltage':
+      return `${formatReading(newValue, 1)} V`;
+    case 'ElectricCurrent':
+      return `${formatReading(newValue, 2)} A`;
+    case 'AirPressure':
+      return `${formatReading(newValue, 0)} hPa`;
+    case 'ValvePosition':
+      return `valve ${formatReading(newValue, 0)}% open`;
+    // Matter cluster events (see describeEventData for their fields)
+    case 'InitialPress':
+      return 'pressed';
+    case 'LongPress':
+      return 'long press';
+    case 'ShortRelease':
+    case 'LongRelease':
+      return 'released';
+    case 'MultiPressOngoing':
+      return `pressing (${newValue}×)`;
+    case 'MultiPressComplete':
+      return ({ 1: 'single press', 2: 'double press', 3: 'triple press' })[newValue] ?? `${newValue} presses`;
+    case 'LockOperation':
+      return ({ lock: 'locked', unlock: 'unlocked', unlatch: 'unlatched' })[newValue] ?? newValue;
+    case 'LockOperationError':
+      return `lock operation failed: ${newValue}`;
+    case 'DoorLockAlarm':
+      return `lock alarm: ${newValue}`;
+    case 'SmokeAlarm':
+      return `smoke alarm (${newValue})`;
+    case 'COAlarm':
+      return `carbon monoxide alarm (${newValue})`;
+    case 'InterconnectSmokeAlarm':
+      return `smoke alarm on a linked device (${newValue})`;
+    case 'InterconnectCOAlarm':
+      return `carbon monoxide alarm on a linked device (${newValue})`;
+    case 'LowBattery':
+      return `low battery (${newValue})`;
+    case 'HardwareFault':
+      return 'hardware fault';
+    case 'EndOfService':
+      return 'end of service — replace the alarm';
+    case 'SelfTestComplete':
+      return 'self-test complete';
+    case 'AlarmMuted':
+      return 'alarm muted';
+    case 'MuteEnded':
+      return 'alarm mute ended';
+    case 'AllClear':
+      return 'all clear';
+    case 'Reachable':
+      return newValue === 'true' ? 'came online' : 'went offline';
+    case 'ConnectivityGap': {
+      const gap = formatGap(Number(newValue) * 1000);
+      return gap ? `offline for ${gap}` : 'briefly offline';
+    }
     default:
       return `${characteristic}: ${newValue}`;
   }
 }
+
+/**
+ * Summarises the fields of a Matter cluster event (event_data) that aren't
+ * already in its description, e.g. "via keypad · user 3 · pin".
+ * Returns null when there is nothing to add.
+ */
+export function describeEventData(characteristic, eventData) {
+  if (!eventData || typeof eventData !== 'object') return null;
+  if (characteristic === 'LockOperation' || characteristic === 'LockOperationError') {
+    const parts = [];
+    if (eventData.operationSource && eventData.operationSource !== 'unspecified') parts.push(`via ${eventData.operationSource}`);
+    if (eventData.userIndex != null) parts.push(`user ${eventData.userIndex}`);
+    for (const credential of eventData.credentials ?? []) {
+      if (credential?.credentialType != null) parts.push(String(credential.credentialType));
+    }
+    return parts.length ? parts.join(' \u00b7 ') : null;
+  }
+  return null;
+}